@@ -12,14 +12,30 @@ const {
     AbortMultipartUploadCommand
 } = require('@aws-sdk/client-s3');
 
-const s3Client = new S3Client({
+const trimEndpoint = (endpoint) => (endpoint ? endpoint.replace(/\/+$/, '') : null);
+
+// S3-compatible stores such as MinIO are reached through a custom endpoint,
+// and usually need path-style URLs (http://host:9000/bucket/key). Browsers may
+// need another address for it than the server, e.g. inside docker compose.
+const S3_ENDPOINT = trimEndpoint(process.env.AWS_S3_ENDPOINT);
+const S3_PUBLIC_ENDPOINT = trimEndpoint(process.env.AWS_S3_PUBLIC_ENDPOINT) || S3_ENDPOINT;
+
+const createS3Client = (endpoint) => new S3Client({
     region: process.env.AWS_REGION || 'us-east-1',
     credentials: {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID,
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     },
+    ...(endpoint && {
+        endpoint,
+        forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE !== 'false'
+    })
 });
 
+const s3Client = createS3Client(S3_ENDPOINT);
+// Signs the URLs handed to browsers, so they point at the public endpoint
+const s3PresignClient = S3_PUBLIC_ENDPOINT === S3_ENDPOINT ? s3Client : createS3Client(S3_PUBLIC_ENDPOINT);
+
 const BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
 const CLOUDFRONT_DOMAIN = process.env.AWS_CLOUDFRONT_DOMAIN;
 
@@ -28,13 +44,32 @@ const getPublicUrl = (key) => {
     if (CLOUDFRONT_DOMAIN) {
         return `https://${CLOUDFRONT_DOMAIN}/${key}`;
     }
+    if (S3_PUBLIC_ENDPOINT) {
+        return `${S3_PUBLIC_ENDPOINT}/${BUCKET_NAME}/${key}`;
+    }
     return `https://${BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${key}`;
 };
 
+// Object key of a URL made by getPublicUrl, or null for URLs outside the bucket
+const getKeyFromUrl = (url) => {
+    if (!url) {
+        return null;
+    }
+    const prefixes = [
+        CLOUDFRONT_DOMAIN && `https://${CLOUDFRONT_DOMAIN}/`,
+        S3_PUBLIC_ENDPOINT && `${S3_PUBLIC_ENDPOINT}/${BUCKET_NAME}/`,
+        `https://${BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/`
+    ].filter(Boolean);
+    const prefix = prefixes.find(candidate => url.startsWith(candidate));
+    return prefix ? decodeURIComponent(url.slice(prefix.length).split('?')[0]) : null;
+};
+
 module.exports = {
     s3Client,
+    s3PresignClient,
     BUCKET_NAME,
     CLOUDFRONT_DOMAIN,
+    S3_ENDPOINT,
     PutObjectCommand,
     GetObjectCommand,
     DeleteObjectCommand,
@@ -45,5 +80,6 @@ module.exports = {
     CompleteMultipartUploadCommand,
     AbortMultipartUploadCommand,
     getSignedUrl,
-    getPublicUrl
+    getPublicUrl,
+    getKeyFromUrl
 };
@@ -0,0 +1,22 @@
+// Seller details and GST settings printed on tax invoices
+const seller = {
+    name: process.env.INVOICE_SELLER_NAME || 'Beeja Academy',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    state: process.env.INVOICE_SELLER_STATE || 'Tamil Nadu',
+    gstin: process.env.INVOICE_SELLER_GSTIN || '',
+    email: process.env.INVOICE_SELLER_EMAIL || 'dinesh@beejaacademy.com',
+    phone: process.env.INVOICE_SELLER_PHONE || '+91 9585113955',
+    website: process.env.INVOICE_SELLER_WEBSITE || 'www.beejaacademy.com'
+};
+
+// GST rate in percent. Course prices are GST inclusive.
+const gstRate = Number(process.env.GST_RATE || 18);
+
+// Prefix of the invoice number, e.g. BA/2025-26/000042
+const invoicePrefix = process.env.INVOICE_PREFIX || 'BA';
+
+module.exports = {
+    seller,
+    gstRate,
+    invoicePrefix
+};
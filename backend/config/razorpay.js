@@ -1,9 +1,13 @@
 const Razorpay = require("razorpay");
 
-const instance = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY,
-    key_secret: process.env.RAZORPAY_SECRET,
-});
+// Razorpay throws at construction time without a key, so only create the
+// instance when the keys are configured and let callers handle `null`
+const instance = process.env.RAZORPAY_KEY && process.env.RAZORPAY_SECRET
+    ? new Razorpay({
+        key_id: process.env.RAZORPAY_KEY,
+        key_secret: process.env.RAZORPAY_SECRET,
+    })
+    : null;
 
 module.exports = {
     instance
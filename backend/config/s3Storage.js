@@ -5,9 +5,23 @@ const S3_FOLDERS = {
     DOCUMENTS: 'documents',
     PROFILES: 'profiles',
     COURSES: 'courses',
-    CHAT: 'chat-files'
+    CHAT: 'chat-files',
+    QUIZ_ANSWERS: 'quiz-answers',
+    CAPTIONS: 'captions'
 };
 
+// Folders browsers may read directly. Lecture videos and captions are only
+// served through the API.
+const PUBLIC_FOLDERS = [
+    S3_FOLDERS.IMAGES,
+    S3_FOLDERS.DOCUMENTS,
+    S3_FOLDERS.PROFILES,
+    S3_FOLDERS.COURSES,
+    S3_FOLDERS.CHAT,
+    S3_FOLDERS.QUIZ_ANSWERS,
+    'bundles'
+];
+
 // File size limits (same as before)
 const FILE_SIZE_LIMITS = {
     IMAGE: 10 * 1024 * 1024,    // 10MB
@@ -35,7 +49,9 @@ const ALLOWED_FILE_TYPES = {
     DOCUMENTS: [
         'application/pdf', 'application/msword', 
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ]
+    ],
+    // Caption tracks are stored as WebVTT, whatever format they were uploaded in
+    CAPTIONS: ['text/vtt']
 };
 
 // Function to get S3 folder for file type
@@ -87,6 +103,7 @@ const validateFile = (file, folder) => {
         isImageType ||
         ALLOWED_FILE_TYPES.VIDEOS.includes(file.mimetype) ||
         ALLOWED_FILE_TYPES.DOCUMENTS.includes(file.mimetype) ||
+        ALLOWED_FILE_TYPES.CAPTIONS.includes(file.mimetype) ||
         isVideoFile(file.mimetype, file.originalname);
 
     if (!isValidType) {
@@ -116,6 +133,7 @@ const isVideoFile = (mimetype, originalname) => {
 
 module.exports = {
     S3_FOLDERS,
+    PUBLIC_FOLDERS,
     FILE_SIZE_LIMITS,
     ALLOWED_FILE_TYPES,
     CHUNKED_UPLOAD_CONFIG,
@@ -37,11 +37,13 @@ exports.getStudentsByCourse = async (req, res) => {
         if (progress) {
           const totalVideos = await getTotalVideosInCourse(courseId);
           const totalQuizzes = await getTotalQuizzesInCourse(courseId);
+          const totalExercises = await getTotalExercisesInCourse(courseId);
           const completedVideos = progress.completedVideos?.length || 0;
           const passedQuizzes = progress.passedQuizzes?.length || 0;
+          const completedExercises = progress.completedExercises?.length || 0;
           
-          const totalContent = totalVideos + totalQuizzes;
-          const completedContent = completedVideos + passedQuizzes;
+          const totalContent = totalVideos + totalQuizzes + totalExercises;
+          const completedContent = completedVideos + passedQuizzes + completedExercises;
           
           if (totalContent > 0) {
             progressPercentage = Math.round((completedContent / totalContent) * 100);
@@ -127,12 +129,14 @@ exports.getStudentProgress = async (req, res) => {
     // Calculate totals
     const totalVideos = await getTotalVideosInCourse(courseId);
     const totalQuizzes = await getTotalQuizzesInCourse(courseId);
+    const totalExercises = await getTotalExercisesInCourse(courseId);
     
     const completedVideos = progress?.completedVideos?.length || 0;
     const passedQuizzes = progress?.passedQuizzes?.length || 0;
+    const completedExercises = progress?.completedExercises?.length || 0;
     
-    const totalContent = totalVideos + totalQuizzes;
-    const completedContent = completedVideos + passedQuizzes;
+    const totalContent = totalVideos + totalQuizzes + totalExercises;
+    const completedContent = completedVideos + passedQuizzes + completedExercises;
     
     const progressPercentage = totalContent > 0 ? 
       Math.round((completedContent / totalContent) * 100) : 0;
@@ -159,8 +163,10 @@ exports.getStudentProgress = async (req, res) => {
       progressPercentage,
       totalVideos,
       totalQuizzes,
+      totalExercises,
       completedVideos: progress?.completedVideos || [],
       passedQuizzes: progress?.passedQuizzes || [],
+      completedExercises: progress?.completedExercises || [],
       quizResults: progress?.quizResults ? 
         // Remove duplicates by keeping only the latest result for each quiz
         progress.quizResults.reduce((acc, current) => {
@@ -259,3 +265,33 @@ async function getTotalQuizzesInCourse(courseId) {
     return 0;
   }
 }
+
+// Helper function to get total coding exercises in a course
+async function getTotalExercisesInCourse(courseId) {
+  try {
+    const course = await Course.findById(courseId)
+      .populate({
+        path: 'courseContent',
+        populate: {
+          path: 'subSection',
+          model: 'SubSection'
+        }
+      });
+
+    if (!course) return 0;
+
+    let totalExercises = 0;
+    course.courseContent.forEach(section => {
+      section.subSection.forEach(subSection => {
+        if (subSection.codeExercise) {
+          totalExercises++;
+        }
+      });
+    });
+
+    return totalExercises;
+  } catch (error) {
+    console.error('Error calculating total coding exercises:', error);
+    return 0;
+  }
+}
@@ -11,6 +11,17 @@ const mailSender = require('../utils/mailSender');
 const otpTemplate = require('../mail/templates/emailVerificationTemplate');
 const { passwordUpdated } = require("../mail/templates/passwordUpdate");
 const { createNewUserRegistrationNotification } = require('./notification');
+const { claimGiftsForUser } = require('../utils/giftUtils');
+
+// Add the courses gifted to the user's email address. Never blocks signing in.
+const claimGifts = async (user, giftCode) => {
+    try {
+        return await claimGiftsForUser(user, giftCode);
+    } catch (error) {
+        console.error('Error claiming gifts:', error);
+        return [];
+    }
+};
 
 // ================ SEND-OTP For Email Verification ================
 exports.sendOTP = async (req, res) => {
@@ -86,7 +97,7 @@ exports.signup = async (req, res) => {
     try {
         // extract data 
         const { firstName, lastName, email, password, confirmPassword,
-            accountType, contactNumber, otp } = req.body;
+            accountType, contactNumber, otp, giftCode } = req.body;
 
         // validation
         if (!firstName || !lastName || !email || !password || !confirmPassword || !accountType || !otp) {
@@ -162,10 +173,13 @@ exports.signup = async (req, res) => {
         // Create notification for admin about new user registration
         await createNewUserRegistrationNotification(userData._id);
 
+        const claimedGifts = await claimGifts(userData, giftCode);
+
         // return success message
         res.status(200).json({
             success: true,
-            message: 'User Registered Successfully'
+            message: 'User Registered Successfully',
+            claimedGifts
         });
     }
 
@@ -184,7 +198,7 @@ exports.signup = async (req, res) => {
 // ================ LOGIN ================
 exports.login = async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, giftCode } = req.body;
 
         // validation
         if (!email || !password) {
@@ -226,6 +240,11 @@ exports.login = async (req, res) => {
                 expiresIn: "24h",
             });
 
+            const claimedGifts = await claimGifts(user, giftCode);
+            if (claimedGifts.length > 0) {
+                user = await User.findById(user._id).populate('additionalDetails');
+            }
+
             user = user.toObject();
             user.token = token;
             user.password = undefined; // we have remove password from object, not DB
@@ -241,6 +260,7 @@ exports.login = async (req, res) => {
                 success: true,
                 user,
                 token,
+                claimedGifts,
                 message: 'User logged in successfully'
             });
         }
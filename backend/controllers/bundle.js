@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Bundle = require('../models/bundle');
+const Course = require('../models/course');
+const { uploadImageToS3 } = require('../utils/s3Uploader');
+const { enrollBundleStudentsInCourses } = require('../utils/bundleUtils');
+
+const COURSE_FIELDS = 'courseName courseDescription thumbnail price courseType instructor category studentsEnrolled averageRating';
+
+// Course ids arrive as an array or, from multipart forms, as a JSON string
+const parseCourseIds = (courses) => {
+    if (courses === undefined) {
+        return undefined;
+    }
+    const ids = typeof courses === 'string' ? JSON.parse(courses || '[]') : courses;
+    return [...new Set((ids || []).map(String))];
+};
+
+// Check the bundle fields shared by create and update, resolving to an error message or null
+const validateBundleInput = async ({ title, price, validityDays, courseIds }) => {
+    if (title !== undefined && !String(title).trim()) {
+        return 'Bundle title is required';
+    }
+    if (price !== undefined && (isNaN(Number(price)) || Number(price) < 0)) {
+        return 'Bundle price must be a positive number';
+    }
+    if (validityDays !== undefined && (isNaN(Number(validityDays)) || Number(validityDays) < 0)) {
+        return 'Validity must be a positive number of days';
+    }
+    if (courseIds !== undefined) {
+        if (!courseIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return 'Invalid course IDs provided';
+        }
+        const found = await Course.countDocuments({ _id: { $in: courseIds } });
+        if (found !== courseIds.length) {
+            return 'One or more courses not found';
+        }
+    }
+    return null;
+};
+
+const uploadThumbnail = async (file) => {
+    const thumbnail = await uploadImageToS3(file, 'bundles');
+    if (!thumbnail || !thumbnail.secure_url) {
+        throw new Error('Failed to upload thumbnail image');
+    }
+    return thumbnail.secure_url;
+};
+
+// ================ GET ACTIVE BUNDLES ================
+// Public catalog listing. Pass ?categoryId to only get bundles with a course in that category.
+exports.getBundles = async (req, res) => {
+    try {
+        const { categoryId } = req.query;
+        const filter = { isActive: true, 'courses.0': { $exists: true } };
+
+        if (categoryId) {
+            if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid category ID'
+                });
+            }
+            filter.courses = { $in: await Course.find({ category: categoryId }).distinct('_id') };
+        }
+
+        const bundles = await Bundle.find(filter)
+            .select('-enrollments')
+            .populate({
+                path: 'courses',
+                select: COURSE_FIELDS,
+                populate: { path: 'instructor', select: 'firstName lastName' }
+            })
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: bundles
+        });
+
+    } catch (error) {
+        console.error('Error fetching bundles:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching bundles',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET BUNDLE DETAILS ================
+exports.getBundleDetails = async (req, res) => {
+    try {
+        const { bundleId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid bundle ID'
+            });
+        }
+
+        const bundle = await Bundle.findOne({ _id: bundleId, isActive: true })
+            .select('-enrollments')
+            .populate({
+                path: 'courses',
+                select: COURSE_FIELDS,
+                populate: { path: 'instructor', select: 'firstName lastName' }
+            });
+
+        if (!bundle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bundle not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: bundle
+        });
+
+    } catch (error) {
+        console.error('Error fetching bundle details:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching bundle details',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET ALL BUNDLES (ADMIN) ================
+exports.getAllBundles = async (req, res) => {
+    try {
+        const bundles = await Bundle.find({})
+            .populate('courses', 'courseName thumbnail price courseType')
+            .populate('createdBy', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const now = new Date();
+        const data = bundles.map(({ enrollments, ...bundle }) => ({
+            ...bundle,
+            totalEnrollments: enrollments.length,
+            activeEnrollments: enrollments.filter(enrollment => !enrollment.expiresAt || enrollment.expiresAt > now).length
+        }));
+
+        return res.status(200).json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Error fetching bundles:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching bundles',
+            error: error.message
+        });
+    }
+};
+
+// ================ CREATE BUNDLE (ADMIN) ================
+exports.createBundle = async (req, res) => {
+    try {
+        const { title, description, price, validityDays, isActive } = req.body;
+        const courseIds = parseCourseIds(req.body.courses) || [];
+
+        if (!title || price === undefined || price === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Title and price are required'
+            });
+        }
+
+        const validationError = await validateBundleInput({ title, price, validityDays, courseIds });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const bundle = await Bundle.create({
+            title: title.trim(),
+            description: description || '',
+            thumbnail: req.file ? await uploadThumbnail(req.file) : '',
+            courses: courseIds,
+            price: Number(price),
+            validityDays: Number(validityDays || 0),
+            isActive: isActive === undefined ? true : isActive === true || isActive === 'true',
+            createdBy: req.user.id
+        });
+
+        const populatedBundle = await Bundle.findById(bundle._id)
+            .populate('courses', 'courseName thumbnail price courseType');
+
+        return res.status(201).json({
+            success: true,
+            message: 'Bundle created successfully',
+            data: populatedBundle
+        });
+
+    } catch (error) {
+        console.error('Error creating bundle:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating bundle',
+            error: error.message
+        });
+    }
+};
+
+// ================ UPDATE BUNDLE (ADMIN) ================
+// Students who already own the bundle are enrolled in any course added here.
+// Removing a course keeps the existing students enrolled in it.
+exports.updateBundle = async (req, res) => {
+    try {
+        const { bundleId } = req.params;
+        const { title, description, price, validityDays, isActive } = req.body;
+        const courseIds = parseCourseIds(req.body.courses);
+
+        if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid bundle ID'
+            });
+        }
+
+        const bundle = await Bundle.findById(bundleId);
+        if (!bundle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bundle not found'
+            });
+        }
+
+        const validationError = await validateBundleInput({ title, price, validityDays, courseIds });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (title !== undefined) bundle.title = title.trim();
+        if (description !== undefined) bundle.description = description;
+        if (price !== undefined) bundle.price = Number(price);
+        if (validityDays !== undefined) bundle.validityDays = Number(validityDays);
+        if (isActive !== undefined) bundle.isActive = isActive === true || isActive === 'true';
+        if (req.file) bundle.thumbnail = await uploadThumbnail(req.file);
+
+        let addedCourseIds = [];
+        if (courseIds !== undefined) {
+            const currentIds = bundle.courses.map(String);
+            addedCourseIds = courseIds.filter(id => !currentIds.includes(id));
+            bundle.courses = courseIds;
+        }
+
+        await bundle.save();
+
+        if (addedCourseIds.length > 0) {
+            await enrollBundleStudentsInCourses(bundle, addedCourseIds);
+        }
+
+        const populatedBundle = await Bundle.findById(bundle._id)
+            .populate('courses', 'courseName thumbnail price courseType');
+
+        return res.status(200).json({
+            success: true,
+            message: 'Bundle updated successfully',
+            data: populatedBundle
+        });
+
+    } catch (error) {
+        console.error('Error updating bundle:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating bundle',
+            error: error.message
+        });
+    }
+};
+
+// ================ DELETE BUNDLE (ADMIN) ================
+// Bundles that were already sold can only be deactivated
+exports.deleteBundle = async (req, res) => {
+    try {
+        const { bundleId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid bundle ID'
+            });
+        }
+
+        const bundle = await Bundle.findById(bundleId);
+        if (!bundle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bundle not found'
+            });
+        }
+
+        if (bundle.enrollments.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This bundle has been purchased. Deactivate it instead of deleting it.'
+            });
+        }
+
+        await Bundle.findByIdAndDelete(bundleId);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Bundle deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting bundle:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting bundle',
+            error: error.message
+        });
+    }
+};
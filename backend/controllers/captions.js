@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const SubSection = require('../models/subSection');
+const Section = require('../models/section');
+const Course = require('../models/course');
+const { getKeyFromUrl } = require('../config/awsS3');
+const { getTranscriptionProvider } = require('../services/transcription');
+const { deleteFileFromS3 } = require('../utils/s3Uploader');
+const { toWebVtt, getTrackError, getLanguageLabel, uploadCaptionFile, readCaptionFile } = require('../utils/captions');
+const { queueCaptionGeneration, getAutoCaptionLanguage } = require('../utils/captionGenerator');
+const { refreshTranscript } = require('../utils/transcripts');
+
+const MAX_TRACKS = 20;
+
+// The course a lecture belongs to, or null
+const findCourseOfSubSection = async (subSectionId) => {
+    const section = await Section.findOne({ subSection: subSectionId });
+    return section ? Course.findOne({ courseContent: section._id }) : null;
+};
+
+// Admins edit every lecture's captions; instructors only those of the courses they teach
+const canEditCourse = (user, course) =>
+    user.accountType === 'Admin' || (course && course.instructor?.toString() === user.id);
+
+// The lecture in the URL when the user may edit its captions, else null
+// once the error response is sent
+const findEditableLecture = async (req, res) => {
+    const { subSectionId } = req.params;
+    if (!mongoose.isValidObjectId(subSectionId)) {
+        res.status(400).json({
+            success: false,
+            message: 'A valid lecture id is required'
+        });
+        return null;
+    }
+
+    const subSection = await SubSection.findById(subSectionId);
+    if (!subSection) {
+        res.status(404).json({
+            success: false,
+            message: 'Lecture not found'
+        });
+        return null;
+    }
+
+    if (!canEditCourse(req.user, await findCourseOfSubSection(subSectionId))) {
+        res.status(403).json({
+            success: false,
+            message: 'You can only edit captions of courses you teach'
+        });
+        return null;
+    }
+    return subSection;
+};
+
+// Multipart forms send booleans as strings
+const parseBoolean = (value) => value === true || value === 'true';
+
+// Only one track is turned on by default
+const makeDefaultTrack = (subSection, track) => {
+    subSection.captions.forEach(other => {
+        other.isDefault = other._id.equals(track._id);
+    });
+};
+
+// Tracks as instructors see them; files are only read through the API
+const toTrackResponse = (track) => ({
+    _id: track._id,
+    language: track.language,
+    label: track.label,
+    isDefault: track.isDefault,
+    source: track.source,
+    updatedAt: track.updatedAt
+});
+
+const toCaptionsResponse = (subSection) => ({
+    tracks: subSection.captions.map(toTrackResponse),
+    job: subSection.captionJob,
+    canGenerate: Boolean(getTranscriptionProvider() && getKeyFromUrl(subSection.videoUrl))
+});
+
+// ================ GET CAPTION TRACKS ================
+exports.getCaptionTracks = async (req, res) => {
+    try {
+        const subSection = await findEditableLecture(req, res);
+        if (!subSection) return;
+
+        return res.status(200).json({
+            success: true,
+            data: toCaptionsResponse(subSection)
+        });
+    } catch (error) {
+        console.error('Error fetching caption tracks:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching caption tracks',
+            error: error.message
+        });
+    }
+};
+
+// ================ ADD CAPTION TRACK ================
+// From an uploaded WebVTT or SRT file, or caption text in the body
+exports.addCaptionTrack = async (req, res) => {
+    try {
+        const subSection = await findEditableLecture(req, res);
+        if (!subSection) return;
+
+        const { language } = req.body;
+        const label = req.body.label?.trim() || getLanguageLabel(language);
+        const trackError = getTrackError({ language, label });
+        if (trackError) {
+            return res.status(400).json({
+                success: false,
+                message: trackError
+            });
+        }
+        if (subSection.captions.length >= MAX_TRACKS) {
+            return res.status(400).json({
+                success: false,
+                message: `A lecture can have at most ${MAX_TRACKS} caption tracks`
+            });
+        }
+
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+        if (!content) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a WebVTT (.vtt) or SubRip (.srt) caption file'
+            });
+        }
+        const { vtt, error } = toWebVtt(content);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const url = await uploadCaptionFile(vtt, `${subSection._id}_${language}`);
+        subSection.captions.push({ language, label, url, source: 'upload' });
+        const track = subSection.captions[subSection.captions.length - 1];
+        if (parseBoolean(req.body.isDefault) || subSection.captions.length === 1) {
+            makeDefaultTrack(subSection, track);
+        }
+        await subSection.save();
+        await refreshTranscript(subSection._id);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Caption track added',
+            data: toCaptionsResponse(subSection)
+        });
+    } catch (error) {
+        console.error('Error adding caption track:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error adding caption track',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET CAPTION TRACK CONTENT ================
+// The WebVTT text of a track, for the instructor to edit
+exports.getCaptionTrackContent = async (req, res) => {
+    try {
+        const subSection = await findEditableLecture(req, res);
+        if (!subSection) return;
+
+        const track = subSection.captions.id(req.params.trackId);
+        if (!track) {
+            return res.status(404).json({
+                success: false,
+                message: 'Caption track not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...toTrackResponse(track),
+                content: await readCaptionFile(track.url)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching caption track:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching caption track',
+            error: error.message
+        });
+    }
+};
+
+// ================ UPDATE CAPTION TRACK ================
+// Change a track's language, name or default flag, or replace its text
+exports.updateCaptionTrack = async (req, res) => {
+    try {
+        const subSection = await findEditableLecture(req, res);
+        if (!subSection) return;
+
+        const track = subSection.captions.id(req.params.trackId);
+        if (!track) {
+            return res.status(404).json({
+                success: false,
+                message: 'Caption track not found'
+            });
+        }
+
+        const { language = track.language, label = track.label, isDefault, content } = req.body;
+        const trackError = getTrackError({ language, label });
+        if (trackError) {
+            return res.status(400).json({
+                success: false,
+                message: trackError
+            });
+        }
+
+        let previousUrl = null;
+        if (content !== undefined) {
+            const { vtt, error } = toWebVtt(content);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            previousUrl = track.url;
+            track.url = await uploadCaptionFile(vtt, `${subSection._id}_${language}`);
+            track.source = 'edited';
+        }
+
+        track.language = language;
+        track.label = label.trim();
+        track.updatedAt = new Date();
+        if (isDefault !== undefined) {
+            if (parseBoolean(isDefault)) {
+                makeDefaultTrack(subSection, track);
+            } else {
+                track.isDefault = false;
+            }
+        }
+        await subSection.save();
+        await refreshTranscript(subSection._id);
+
+        if (previousUrl) {
+            await deleteFileFromS3(previousUrl);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Caption track updated',
+            data: toCaptionsResponse(subSection)
+        });
+    } catch (error) {
+        console.error('Error updating caption track:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating caption track',
+            error: error.message
+        });
+    }
+};
+
+// ================ DELETE CAPTION TRACK ================
+exports.deleteCaptionTrack = async (req, res) => {
+    try {
+        const subSection = await findEditableLecture(req, res);
+        if (!subSection) return;
+
+        const track = subSection.captions.id(req.params.trackId);
+        if (!track) {
+            return res.status(404).json({
+                success: false,
+                message: 'Caption track not found'
+            });
+        }
+
+        const { url } = track;
+        track.deleteOne();
+        await subSection.save();
+        await refreshTranscript(subSection._id);
+        await deleteFileFromS3(url);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Caption track deleted',
+            data: toCaptionsResponse(subSection)
+        });
+    } catch (error) {
+        console.error('Error deleting caption track:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting caption track',
+            error: error.message
+        });
+    }
+};
+
+// ================ GENERATE CAPTIONS ================
+// Transcribe the lecture's video into a caption track in the background
+exports.generateCaptions = async (req, res) => {
+    try {
+        const subSection = await findEditableLecture(req, res);
+        if (!subSection) return;
+
+        const language = req.body.language || getAutoCaptionLanguage();
+        const trackError = getTrackError({ language });
+        if (trackError) {
+            return res.status(400).json({
+                success: false,
+                message: trackError
+            });
+        }
+        if (!getTranscriptionProvider()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Automatic captions are not set up on this server'
+            });
+        }
+        if (!getKeyFromUrl(subSection.videoUrl)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only videos uploaded to this site can be captioned automatically'
+            });
+        }
+        if (['queued', 'processing'].includes(subSection.captionJob?.status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Captions are already being generated for this lecture'
+            });
+        }
+
+        await queueCaptionGeneration(subSection, language);
+
+        return res.status(202).json({
+            success: true,
+            message: 'Captions are being generated',
+            data: toCaptionsResponse(subSection)
+        });
+    } catch (error) {
+        console.error('Error generating captions:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error generating captions',
+            error: error.message
+        });
+    }
+};
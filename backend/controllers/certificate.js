@@ -3,6 +3,8 @@ const Course = require("../models/course");
 const User = require("../models/user");
 const CourseProgress = require("../models/courseProgress");
 const { regenerateCertificatesForCourse } = require("../utils/certificateRegeneration");
+const { hasSubscriptionAccess } = require("../utils/subscriptionUtils");
+const { findActiveOrder } = require("../utils/enrollmentUtils");
 
 // ================ Generate Certificate ================
 exports.generateCertificate = async (req, res) => {
@@ -25,20 +27,15 @@ exports.generateCertificate = async (req, res) => {
       });
     }
     
-    // If enrolled, check if course is free or user has active order
+    // If enrolled, check if course is free or user has active order or membership
     const isFree = course.courseType === 'Free' || course.adminSetFree;
     
     if (!isFree) {
-      const Order = require('../models/order');
-      const activeOrder = await Order.findOne({
-        user: userId,
-        course: courseId,
-        status: true
-      });
+      const activeOrder = await findActiveOrder(userId, courseId);
 
       // Allow certificate generation if user is enrolled, regardless of current course type
       // This ensures students who enrolled when course was free can still get certificates
-      if (!activeOrder) {
+      if (!activeOrder && !(await hasSubscriptionAccess(userId, course))) {
         console.log(`Certificate generation allowed for enrolled student - User: ${userId}, Course: ${courseId}`);
       }
     }
@@ -100,6 +97,14 @@ exports.generateCertificate = async (req, res) => {
             completedItems += 1;
           }
         }
+
+        // Count coding exercise if exists
+        if (subsection.codeExercise) {
+          totalItems += 1;
+          if (courseProgress.completedExercises.includes(subsection._id)) {
+            completedItems += 1;
+          }
+        }
       });
     });
 
@@ -114,13 +119,14 @@ exports.generateCertificate = async (req, res) => {
     if (progressPercentage < 100) {
       return res.status(400).json({
         success: false,
-        message: "Course not completed yet. Complete all videos and quizzes to get certificate.",
+        message: "Course not completed yet. Complete all videos, quizzes and coding exercises to get certificate.",
         debug: {
           progressPercentage,
           totalItems,
           completedItems,
           completedVideos: courseProgress.completedVideos.length,
-          completedQuizzes: courseProgress.completedQuizzes.length
+          completedQuizzes: courseProgress.completedQuizzes.length,
+          completedExercises: courseProgress.completedExercises.length
         }
       });
     }
@@ -379,6 +385,9 @@ exports.getCertificateRegenerationStatus = async (req, res) => {
         if (subsection.quiz) {
           totalCourseItems += 1; // quiz
         }
+        if (subsection.codeExercise) {
+          totalCourseItems += 1; // coding exercise
+        }
       });
     });
 
@@ -394,7 +403,8 @@ exports.getCertificateRegenerationStatus = async (req, res) => {
       let completedItems = 0;
       
       if (courseProgress) {
-        completedItems = courseProgress.completedVideos.length + courseProgress.completedQuizzes.length;
+        completedItems = courseProgress.completedVideos.length + courseProgress.completedQuizzes.length +
+          courseProgress.completedExercises.length;
         currentProgress = totalCourseItems > 0 ? (completedItems / totalCourseItems) * 100 : 0;
       }
 
@@ -0,0 +1,494 @@
+const CodeExercise = require('../models/codeExercise');
+const CodeExerciseDraft = require('../models/codeExerciseDraft');
+const CodeExerciseSubmission = require('../models/codeExerciseSubmission');
+const CourseProgress = require('../models/courseProgress');
+const SubSection = require('../models/subSection');
+const Section = require('../models/section');
+const Course = require('../models/course');
+const {
+    runExerciseTests,
+    toStudentTestResults,
+    toStoredTestResults,
+    hideExerciseTests,
+    getCodeGradingError
+} = require('../utils/codeGrading');
+const { handleNewContentAddition } = require('../utils/certificateRegeneration');
+const { hasCourseAccess } = require('../utils/enrollmentUtils');
+
+const MAX_FILES = 10;
+const MAX_FILE_LENGTH = 64 * 1024;
+const MAX_TEST_CASES = 25;
+// Submissions listed in a student's history, newest first
+const MAX_SUBMISSIONS_LISTED = 50;
+// Plain file names only, so no file can be written outside the run directory
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_][\w.-]{0,63}$/;
+
+const LANGUAGES = CodeExercise.schema.path('language').enumValues;
+
+// Check the starter files of an exercise, resolving to an error message or null
+const getFilesError = (files) => {
+    if (!Array.isArray(files) || files.length === 0 || files.length > MAX_FILES) {
+        return `An exercise needs between 1 and ${MAX_FILES} files`;
+    }
+    const names = new Set();
+    for (const file of files) {
+        const name = String(file?.name ?? '').trim();
+        if (!FILE_NAME_PATTERN.test(name)) {
+            return 'File names may only use letters, numbers, dots, dashes and underscores';
+        }
+        if (names.has(name)) {
+            return `There are two files named ${name}`;
+        }
+        names.add(name);
+        if (String(file.content ?? '').length > MAX_FILE_LENGTH) {
+            return `${name} must be at most 64 KB`;
+        }
+    }
+    return null;
+};
+
+// Check the fields shared by create and update, resolving to an error message or null
+const getExerciseError = ({ language, files, testCases, comparator, floatTolerance }) => {
+    if (!LANGUAGES.includes(language)) {
+        return 'Choose a supported programming language';
+    }
+    const filesError = getFilesError(files);
+    if (filesError) {
+        return filesError;
+    }
+    if (!Array.isArray(testCases) || testCases.length === 0 || testCases.length > MAX_TEST_CASES) {
+        return `An exercise needs between 1 and ${MAX_TEST_CASES} test cases`;
+    }
+    if (testCases.some(testCase => !String(testCase?.expectedOutput ?? '').trim())) {
+        return 'All test cases must have expected output';
+    }
+    if (!testCases.some(testCase => !testCase.isHidden)) {
+        return 'At least one test case must be visible, for students to run as a sample';
+    }
+    if (comparator === 'custom') {
+        return 'Coding exercises cannot use a custom checker';
+    }
+    return getCodeGradingError({ comparator, testCases, floatTolerance });
+};
+
+const pickExerciseFields = (body) => ({
+    title: body.title ? String(body.title).trim() : undefined,
+    instructions: String(body.instructions ?? ''),
+    language: body.language,
+    files: body.files.map(file => ({ name: String(file.name).trim(), content: String(file.content ?? '') })),
+    testCases: body.testCases.map(testCase => ({
+        input: String(testCase.input ?? ''),
+        expectedOutput: String(testCase.expectedOutput),
+        isHidden: Boolean(testCase.isHidden),
+        weight: testCase.weight ?? 1
+    })),
+    comparator: body.comparator || 'exact',
+    floatTolerance: body.floatTolerance
+});
+
+// The exercise's files holding the student's code. Files the student did not
+// send keep their starter code; files the exercise does not have are ignored.
+const toStudentFiles = (exercise, files) => exercise.files.map(file => {
+    const sent = Array.isArray(files) ? files.find(candidate => candidate?.name === file.name) : null;
+    return { name: file.name, content: sent ? String(sent.content ?? '') : file.content };
+});
+
+const getStudentFilesError = (files) => (files.some(file => file.content.length > MAX_FILE_LENGTH)
+    ? 'Each file must be at most 64 KB'
+    : null);
+
+// The course a lecture belongs to, or null
+const findCourseOfSubSection = async (subSectionId) => {
+    const section = await Section.findOne({ subSection: subSectionId });
+    return section ? Course.findOne({ courseContent: section._id }) : null;
+};
+
+// Admins edit every exercise; instructors only those of the courses they teach
+const canEditCourse = (user, course) =>
+    user.accountType === 'Admin' || (course && course.instructor?.toString() === user.id);
+
+// Staff of the course try its exercises too, students while they have access to it
+const canUseCourse = async (user, course) =>
+    Boolean(course) && (canEditCourse(user, course) || hasCourseAccess(user.id, course));
+
+const sendNoCourseAccess = (res) => res.status(403).json({
+    success: false,
+    message: 'Access denied. Course access has been disabled or not purchased.'
+});
+
+// ================ CREATE CODE EXERCISE ================
+exports.createCodeExercise = async (req, res) => {
+    try {
+        const { subSectionId } = req.body;
+        if (!subSectionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'SubSection ID is required'
+            });
+        }
+
+        const validationError = getExerciseError(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const subSection = await SubSection.findById(subSectionId);
+        if (!subSection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lecture not found'
+            });
+        }
+
+        const course = await findCourseOfSubSection(subSectionId);
+        if (!canEditCourse(req.user, course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only add exercises to courses you teach'
+            });
+        }
+
+        if (subSection.codeExercise || await CodeExercise.exists({ subSection: subSectionId })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This lecture already has a coding exercise'
+            });
+        }
+
+        const exercise = await CodeExercise.create({
+            ...pickExerciseFields(req.body),
+            subSection: subSectionId,
+            createdBy: req.user.id
+        });
+        subSection.codeExercise = exercise._id;
+        await subSection.save();
+
+        // Students who finished the course have a new item to complete
+        if (course) {
+            try {
+                await handleNewContentAddition(course._id, 'coding exercise', {
+                    subSectionId,
+                    exerciseId: exercise._id,
+                    testCasesCount: exercise.testCases.length
+                });
+            } catch (certError) {
+                console.error('Error handling certificate regeneration for new coding exercise:', certError);
+            }
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Coding exercise created successfully',
+            data: exercise
+        });
+    } catch (error) {
+        console.error('Error creating coding exercise:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating coding exercise',
+            error: error.message
+        });
+    }
+};
+
+// ================ UPDATE CODE EXERCISE ================
+exports.updateCodeExercise = async (req, res) => {
+    try {
+        const { exerciseId } = req.params;
+
+        const validationError = getExerciseError(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const exercise = await CodeExercise.findById(exerciseId);
+        if (!exercise) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coding exercise not found'
+            });
+        }
+
+        const course = await findCourseOfSubSection(exercise.subSection);
+        if (!canEditCourse(req.user, course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit exercises of courses you teach'
+            });
+        }
+
+        const fields = pickExerciseFields(req.body);
+        Object.keys(fields).forEach(field => {
+            if (fields[field] !== undefined) {
+                exercise[field] = fields[field];
+            }
+        });
+        await exercise.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Coding exercise updated successfully',
+            data: exercise
+        });
+    } catch (error) {
+        console.error('Error updating coding exercise:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating coding exercise',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET CODE EXERCISE ================
+// Those who edit the exercise get all of it; students get it without its
+// hidden test cases, and whether they solved it
+exports.getCodeExercise = async (req, res) => {
+    try {
+        const exercise = await CodeExercise.findById(req.params.exerciseId);
+        if (!exercise) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coding exercise not found'
+            });
+        }
+
+        const course = await findCourseOfSubSection(exercise.subSection);
+        if (canEditCourse(req.user, course)) {
+            return res.status(200).json({
+                success: true,
+                data: exercise
+            });
+        }
+        if (!(await canUseCourse(req.user, course))) {
+            return sendNoCourseAccess(res);
+        }
+
+        const solved = await CourseProgress.exists({ userId: req.user.id, completedExercises: exercise.subSection });
+        return res.status(200).json({
+            success: true,
+            data: { ...hideExerciseTests(exercise), solved: Boolean(solved) }
+        });
+    } catch (error) {
+        console.error('Error fetching coding exercise:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching coding exercise',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET EXERCISE DRAFT ================
+exports.getExerciseDraft = async (req, res) => {
+    try {
+        const draft = await CodeExerciseDraft.findOne({ exercise: req.params.exerciseId, user: req.user.id });
+
+        return res.status(200).json({
+            success: true,
+            data: draft ? { files: draft.files, updatedAt: draft.updatedAt } : null
+        });
+    } catch (error) {
+        console.error('Error fetching exercise draft:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching exercise draft',
+            error: error.message
+        });
+    }
+};
+
+// ================ SAVE EXERCISE DRAFT ================
+exports.saveExerciseDraft = async (req, res) => {
+    try {
+        const exercise = await CodeExercise.findById(req.params.exerciseId).select('files');
+        if (!exercise) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coding exercise not found'
+            });
+        }
+
+        const files = toStudentFiles(exercise, req.body.files);
+        const filesError = getStudentFilesError(files);
+        if (filesError) {
+            return res.status(400).json({
+                success: false,
+                message: filesError
+            });
+        }
+
+        const draft = await CodeExerciseDraft.findOneAndUpdate(
+            { exercise: exercise._id, user: req.user.id },
+            { files },
+            { new: true, upsert: true }
+        );
+
+        return res.status(200).json({
+            success: true,
+            data: { files: draft.files, updatedAt: draft.updatedAt }
+        });
+    } catch (error) {
+        console.error('Error saving exercise draft:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error saving exercise draft',
+            error: error.message
+        });
+    }
+};
+
+// ================ RUN EXERCISE SAMPLES ================
+// Runs the student's code against the visible test cases without recording anything
+exports.runExerciseSamples = async (req, res) => {
+    try {
+        const exercise = await CodeExercise.findById(req.params.exerciseId);
+        if (!exercise) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coding exercise not found'
+            });
+        }
+
+        const files = toStudentFiles(exercise, req.body.files);
+        const filesError = getStudentFilesError(files);
+        if (filesError) {
+            return res.status(400).json({
+                success: false,
+                message: filesError
+            });
+        }
+
+        if (!(await canUseCourse(req.user, await findCourseOfSubSection(exercise.subSection)))) {
+            return sendNoCourseAccess(res);
+        }
+
+        const samples = exercise.testCases.filter(testCase => !testCase.isHidden);
+        const testResults = await runExerciseTests(exercise, files, samples, req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                passedCount: testResults.filter(result => result.passed).length,
+                totalCount: testResults.length,
+                testResults: toStudentTestResults(testResults)
+            }
+        });
+    } catch (error) {
+        console.error('Error running exercise samples:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error running exercise samples',
+            error: error.message
+        });
+    }
+};
+
+// ================ SUBMIT CODE EXERCISE ================
+// Runs every test case and records the submission. The lecture's exercise
+// counts toward course progress once a submission passes them all.
+exports.submitCodeExercise = async (req, res) => {
+    try {
+        const exercise = await CodeExercise.findById(req.params.exerciseId);
+        if (!exercise) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coding exercise not found'
+            });
+        }
+
+        const files = toStudentFiles(exercise, req.body.files);
+        const filesError = getStudentFilesError(files);
+        if (filesError) {
+            return res.status(400).json({
+                success: false,
+                message: filesError
+            });
+        }
+
+        const course = await findCourseOfSubSection(exercise.subSection);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'This exercise is not part of a course'
+            });
+        }
+        if (!(await canUseCourse(req.user, course))) {
+            return sendNoCourseAccess(res);
+        }
+
+        const testResults = await runExerciseTests(exercise, files, exercise.testCases, req.user.id);
+        const passedCount = testResults.filter(result => result.passed).length;
+        const passed = passedCount === testResults.length;
+
+        const submission = await CodeExerciseSubmission.create({
+            exercise: exercise._id,
+            user: req.user.id,
+            course: course._id,
+            subSection: exercise.subSection,
+            files,
+            passed,
+            passedCount,
+            totalCount: testResults.length,
+            testResults: toStoredTestResults(testResults)
+        });
+
+        if (passed) {
+            await CourseProgress.findOneAndUpdate(
+                { courseID: course._id, userId: req.user.id },
+                { $addToSet: { completedExercises: exercise.subSection } },
+                { upsert: true }
+            );
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: passed ? 'All tests passed' : `${passedCount} of ${testResults.length} tests passed`,
+            data: {
+                _id: submission._id,
+                passed,
+                passedCount,
+                totalCount: submission.totalCount,
+                createdAt: submission.createdAt,
+                testResults: toStudentTestResults(testResults)
+            }
+        });
+    } catch (error) {
+        console.error('Error submitting coding exercise:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error submitting coding exercise',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET EXERCISE SUBMISSIONS ================
+// The student's own submissions, newest first
+exports.getExerciseSubmissions = async (req, res) => {
+    try {
+        const submissions = await CodeExerciseSubmission.find({ exercise: req.params.exerciseId, user: req.user.id })
+            .select('files passed passedCount totalCount testResults createdAt')
+            .sort({ createdAt: -1 })
+            .limit(MAX_SUBMISSIONS_LISTED)
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            data: submissions
+        });
+    } catch (error) {
+        console.error('Error fetching exercise submissions:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching exercise submissions',
+            error: error.message
+        });
+    }
+};
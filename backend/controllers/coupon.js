@@ -1,4 +1,14 @@
 const Coupon = require('../models/coupon');
+const Course = require('../models/course');
+const Bundle = require('../models/bundle');
+const mongoose = require('mongoose');
+const { evaluateCoupon, recordCouponUsage } = require('../utils/couponUtils');
+const { getCoursePrice, getCheckoutCurrency } = require('../utils/checkoutPricing');
+const { BASE_CURRENCY, getCurrency, convertFromBase, roundAmount } = require('../utils/currencyUtils');
+
+// A fixed coupon amount in the coupon's currency, e.g. ₹500 or USD 10
+const formatCouponAmount = (coupon, amount) =>
+  (coupon.currency || BASE_CURRENCY) === BASE_CURRENCY ? `₹${amount}` : `${coupon.currency} ${amount}`;
 
 // Create a new coupon
 exports.createCoupon = async (req, res) => {
@@ -13,13 +23,15 @@ exports.createCoupon = async (req, res) => {
       minimumOrderAmount,
       courses,
       categories,
+      bundles,
       startDate,
       expiryDate,
       isActive,
       linkedTo,
       showOnFront,
       priority,
-      isCombinable
+      isCombinable,
+      currency
     } = req.body;
 
     // Validate unique coupon code
@@ -47,6 +59,15 @@ exports.createCoupon = async (req, res) => {
       });
     }
 
+    // Fixed amounts are in this currency
+    const couponCurrency = await getCurrency(currency || BASE_CURRENCY);
+    if (!couponCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon currency is not supported'
+      });
+    }
+
     // Parse dates and ensure they are in UTC
     const parsedStartDate = new Date(startDate);
     const parsedExpiryDate = new Date(expiryDate);
@@ -72,12 +93,14 @@ exports.createCoupon = async (req, res) => {
       code: code.toUpperCase(),
       discountType,
       discountValue,
+      currency: couponCurrency.code,
       maxDiscountAmount: maxDiscountAmount || 0,
       usageLimit: usageLimit || 0,
       perUserLimit: perUserLimit || 0,
       minimumOrderAmount: minimumOrderAmount || 0,
       courses: courses || [],
       categories: categories || [],
+      bundles: linkedTo === 'bundle' ? (bundles || []) : [],
       startDate: parsedStartDate,
       expiryDate: parsedExpiryDate,
       isActive: isActive !== undefined ? isActive : true,
@@ -107,9 +130,40 @@ exports.createCoupon = async (req, res) => {
 // Validate and apply a coupon code (combined endpoint)
 exports.validateAndApplyCoupon = async (req, res) => {
   try {
-    const { code, courseId, totalAmount, checkoutType, applyImmediately = false } = req.body;
+    const { code, courseId, courseIds, bundleId, checkoutType, applyImmediately = false } = req.body;
+    let { totalAmount } = req.body;
     const userId = req.user.id;
 
+    // Amounts are in the checkout currency
+    const currency = await getCheckoutCurrency(req.body.currency);
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: `Payments in ${req.body.currency} are not supported`
+      });
+    }
+
+    // When the courses are known, price them here instead of trusting the client total
+    let items;
+    const requestedCourseIds = courseIds || (courseId ? [courseId] : null);
+    if (Array.isArray(requestedCourseIds) && requestedCourseIds.length > 0) {
+      const courses = await Course.find({ _id: { $in: requestedCourseIds } });
+      items = courses.map(course => ({ course, amount: convertFromBase(getCoursePrice(course), currency) }));
+      totalAmount = items.reduce((sum, item) => sum + item.amount, 0);
+    } else if (bundleId) {
+      const bundle = mongoose.Types.ObjectId.isValid(bundleId)
+        ? await Bundle.findOne({ _id: bundleId, isActive: true })
+        : null;
+      if (!bundle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bundle not found'
+        });
+      }
+      items = [{ bundle, amount: convertFromBase(bundle.price, currency) }];
+      totalAmount = items[0].amount;
+    }
+
     console.log('Validating coupon:', {
       code: code.toUpperCase(),
       checkoutType,
@@ -118,152 +172,49 @@ exports.validateAndApplyCoupon = async (req, res) => {
       applyImmediately
     });
 
-    const coupon = await Coupon.findOne({ 
-      code: code.toUpperCase(),
-      linkedTo: checkoutType // Only find coupons linked to this checkout type
+    const { coupon, discountAmount, error } = await evaluateCoupon({
+      code,
+      userId,
+      totalAmount,
+      items,
+      checkoutType,
+      currency: currency.code
     });
 
-    // Update analytics - increment validation attempts
-    if (coupon) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.timesValidated': 1 }
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
       });
     }
 
-    console.log('Found coupon:', coupon ? {
+    console.log('Found coupon:', {
       code: coupon.code,
       linkedTo: coupon.linkedTo,
       isActive: coupon.isActive,
       discountType: coupon.discountType,
       discountValue: coupon.discountValue
-    } : 'No coupon found');
-
-    if (!coupon) {
-      // Update failed attempts analytics for any coupon with this code
-      await Coupon.updateOne(
-        { code: code.toUpperCase() },
-        { $inc: { 'analytics.failedAttempts': 1 } }
-      );
-      return res.status(404).json({
-        success: false,
-        message: 'Invalid coupon code or not applicable for this checkout type'
-      });
-    }
-
-    // Check if coupon is active
-    if (!coupon.isActive) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon is not active'
-      });
-    }
-
-    // Check expiry - use more precise date comparison
-    const now = new Date();
-    const startDate = new Date(coupon.startDate);
-    const expiryDate = new Date(coupon.expiryDate);
-    
-    if (now < startDate) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon is not yet active'
-      });
-    }
-    
-    if (now > expiryDate) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon has expired'
-      });
-    }
-
-    // Check usage limit
-    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon usage limit exceeded'
-      });
-    }
-
-    // Check per-user limit
-    const userUsage = coupon.userUsage.find(u => u.user.toString() === userId);
-    if (coupon.perUserLimit > 0 && userUsage && userUsage.usedCount >= coupon.perUserLimit) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'You have exceeded the usage limit for this coupon'
-      });
-    }
-
-    // Check minimum order amount
-    if (coupon.minimumOrderAmount > 0 && totalAmount < coupon.minimumOrderAmount) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: `Minimum order amount of ₹${coupon.minimumOrderAmount} required`
-      });
-    }
-
-    // Calculate discount
-    let discountAmount = 0;
-    if (coupon.discountType === 'percentage') {
-      discountAmount = (totalAmount * coupon.discountValue) / 100;
-      // Apply maximum discount limit if set
-      if (coupon.maxDiscountAmount > 0) {
-        discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
-      }
-    } else {
-      discountAmount = coupon.discountValue;
-    }
-
-    // Ensure discount doesn't exceed order amount
-    discountAmount = Math.min(discountAmount, totalAmount);
+    });
 
     // If applyImmediately is true, update usage counts
     if (applyImmediately) {
-      // Update usage counts
-      coupon.usedCount += 1;
-      coupon.lastUsed = new Date();
-
-      // Update user usage
-      const userUsageIndex = coupon.userUsage.findIndex(u => u.user.toString() === userId);
-      if (userUsageIndex >= 0) {
-        coupon.userUsage[userUsageIndex].usedCount += 1;
-      } else {
-        coupon.userUsage.push({ user: userId, usedCount: 1 });
-      }
-
-      // Update analytics
-      coupon.analytics.successfulUses += 1;
-
-      await coupon.save();
+      await recordCouponUsage(coupon, userId);
     }
 
     return res.status(200).json({
       success: true,
       message: applyImmediately ? 'Coupon applied successfully' : 'Coupon is valid',
       data: {
+        code: coupon.code,
         discountAmount,
         discountType: coupon.discountType,
         discountValue: coupon.discountValue,
         maxDiscountAmount: coupon.maxDiscountAmount,
-        finalAmount: totalAmount - discountAmount,
+        couponCurrency: coupon.currency || BASE_CURRENCY,
+        isCombinable: coupon.isCombinable,
+        currency: currency.code,
+        totalAmount: roundAmount(totalAmount, currency.code),
+        finalAmount: roundAmount(totalAmount - discountAmount, currency.code),
         applied: applyImmediately
       }
     });
@@ -312,8 +263,8 @@ exports.getAllCoupons = async (req, res) => {
           ...coupon.analytics,
           conversionRate: `${conversionRate}%`,
           totalDiscountAmount: coupon.discountType === 'percentage'
-            ? `${coupon.discountValue}% (max: ₹${coupon.maxDiscountAmount || 'unlimited'})`
-            : `₹${coupon.discountValue}`,
+            ? `${coupon.discountValue}% (max: ${coupon.maxDiscountAmount ? formatCouponAmount(coupon, coupon.maxDiscountAmount) : 'unlimited'})`
+            : formatCouponAmount(coupon, coupon.discountValue),
           status: new Date() > new Date(coupon.expiryDate) ? 'Expired' : 'Active'
         }
       };
@@ -366,8 +317,8 @@ exports.getCouponAnalytics = async (req, res) => {
         : 0,
       status: new Date() > new Date(coupon.expiryDate) ? 'Expired' : 'Active',
       totalDiscountAmount: coupon.discountType === 'percentage'
-        ? `${coupon.discountValue}% (max: ₹${coupon.maxDiscountAmount || 'unlimited'})`
-        : `₹${coupon.discountValue}`,
+        ? `${coupon.discountValue}% (max: ${coupon.maxDiscountAmount ? formatCouponAmount(coupon, coupon.maxDiscountAmount) : 'unlimited'})`
+        : formatCouponAmount(coupon, coupon.discountValue),
       usageLimit: coupon.usageLimit > 0 
         ? `${coupon.usedCount}/${coupon.usageLimit}`
         : 'Unlimited',
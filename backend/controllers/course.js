@@ -9,6 +9,11 @@ const RatingAndReview = require('../models/ratingAndReview')
 const { uploadImageToS3, deleteFileFromS3 } = require('../utils/s3Uploader');
 const { convertSecondsToDuration } = require("../utils/secToDuration")
 const { cleanupCourseFiles } = require('../utils/fileCleanup');
+const { hasBundleAccess } = require('../utils/bundleUtils');
+const { getSubscriptionAccess } = require('../utils/subscriptionUtils');
+const { findActiveOrder, hasEnrollmentExpired } = require('../utils/enrollmentUtils');
+const { hideLectureVideo } = require('../utils/playbackTokens');
+const { toStudentQuiz } = require('../utils/quizQuestionUtils');
 const mongoose = require('mongoose');
 
 // Import notification helpers
@@ -337,7 +342,7 @@ exports.getCourseDetails = async (req, res) => {
                 path: "courseContent",
                 populate: {
                     path: "subSection",
-                    select: "-videoUrl",
+                    select: "-videoUrl -hls -captions -captionJob",
                 },
             })
             .exec()
@@ -443,17 +448,18 @@ exports.getFullCourseDetails = async (req, res) => {
                 });
             }
 
-            // Check if course access is active (order status validation)
+            // Check if course access is active (order status or membership validation).
+            // Free courses stay open unless a time-limited grant of them has ended.
             const isFree = course.courseType === 'Free' || course.adminSetFree;
-            if (!isFree) {
+            const accessExpired = await hasEnrollmentExpired(userId, courseId);
+            if (!isFree || accessExpired) {
                 const Order = require('../models/order');
-                const activeOrder = await Order.findOne({
-                    user: userId,
-                    course: courseId,
-                    status: true
-                });
+                const activeOrder = await findActiveOrder(userId, courseId);
+                // Courses bought as part of a bundle have no order of their own
+                const hasPurchase = Boolean(activeOrder) || await hasBundleAccess(userId, courseId);
+                const subscriptionAccess = hasPurchase ? null : await getSubscriptionAccess(userId, course);
 
-                if (!activeOrder) {
+                if (!hasPurchase && subscriptionAccess !== 'active') {
                     // Check if there's an inactive order
                     const inactiveOrder = await Order.findOne({
                         user: userId,
@@ -467,6 +473,18 @@ exports.getFullCourseDetails = async (req, res) => {
                             message: 'This course has been deactivated by the admin. Please contact the administrator for further information.',
                             isDeactivated: true
                         });
+                    } else if (accessExpired) {
+                        return res.status(403).json({
+                            success: false,
+                            message: 'Your access to this course has ended. Enroll again to continue.',
+                            accessExpired: true
+                        });
+                    } else if (subscriptionAccess === 'expired') {
+                        return res.status(403).json({
+                            success: false,
+                            message: 'Your membership has expired. Renew it to continue this course.',
+                            membershipExpired: true
+                        });
                     } else {
                         return res.status(403).json({
                             success: false,
@@ -475,7 +493,7 @@ exports.getFullCourseDetails = async (req, res) => {
                     }
                 }
             }
-            console.log('Student access granted - enrolled in course with active order');
+            console.log('Student access granted - enrolled in course with active order or membership');
         }
         else {
             return res.status(403).json({
@@ -540,17 +558,29 @@ exports.getFullCourseDetails = async (req, res) => {
 
         const totalDuration = convertSecondsToDuration(totalDurationInSeconds)
 
+        // Students play lectures with playback tokens, so they never get the stored
+        // video URLs, and get lecture quizzes without their answers
+        const courseData = courseDetails.toObject()
+        courseData.courseContent.forEach((section) => {
+            section.subSection = section.subSection.map((subSection) =>
+                userAccountType === 'Student'
+                    ? hideLectureVideo({ ...subSection, quiz: subSection.quiz && toStudentQuiz(subSection.quiz) })
+                    : { ...subSection, hasVideo: Boolean(subSection.videoUrl) }
+            )
+        })
+
         // Calculate average rating
         const ratingData = await calculateAverageRating(courseId);
 
         return res.status(200).json({
             success: true,
             data: {
-                courseDetails,
+                courseDetails: courseData,
                 totalDuration,
                 completedVideos: courseProgressCount?.completedVideos ? courseProgressCount?.completedVideos : [],
                 completedQuizzes: courseProgressCount?.completedQuizzes ? courseProgressCount?.completedQuizzes : [],
                 passedQuizzes: courseProgressCount?.passedQuizzes ? courseProgressCount?.passedQuizzes : [],
+                completedExercises: courseProgressCount?.completedExercises ? courseProgressCount?.completedExercises : [],
                 averageRating: ratingData.averageRating,
                 totalRatings: ratingData.totalRatings
             },
@@ -637,6 +667,28 @@ exports.editCourse = async (req, res) => {
                         message: `Invalid ${key} format`
                     });
                 }
+            } else if (key === 'accessDurationDays') {
+                // Only admins decide how long a purchase gives access
+                if (req.user.accountType !== 'Admin') {
+                    continue;
+                }
+                const days = value === '' || value === null ? null : Number(value);
+                if (days !== null && (!Number.isInteger(days) || days < 1)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Access duration must be a whole number of days'
+                    });
+                }
+                updateData[key] = days;
+            } else if (key === 'videoCompletionPercent') {
+                const percent = value === '' || value === null ? null : Number(value);
+                if (percent !== null && (!Number.isInteger(percent) || percent < 1 || percent > 100)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Video completion percent must be a whole number from 1 to 100'
+                    });
+                }
+                updateData[key] = percent;
             } else if (key !== 'courseId' && key !== 'thumbnailImage') {
                 updateData[key] = value;
             }
@@ -814,6 +866,7 @@ exports.deleteCourse = async (req, res) => {
 
         // Get all sections and subsections
         const Quiz = require('../models/quiz');
+        const CodeExercise = require('../models/codeExercise');
         const courseSections = course.courseContent;
         const allSubSectionIds = [];
         
@@ -832,6 +885,9 @@ exports.deleteCourse = async (req, res) => {
         await Promise.all([
             // Delete all quizzes for this course's subsections
             Quiz.deleteMany({ subSection: { $in: allSubSectionIds } }),
+
+            // Delete all coding exercises for this course's subsections
+            CodeExercise.deleteMany({ subSection: { $in: allSubSectionIds } }),
             
             // Delete all subsections and their videos
             ...allSubSectionIds.map(async (subSectionId) => {
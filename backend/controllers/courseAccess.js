@@ -5,6 +5,7 @@ const User = require('../models/user');
 const Order = require('../models/order');
 const RatingAndReview = require('../models/ratingAndReview');
 const { convertSecondsToDuration } = require("../utils/secToDuration");
+const { getAccessExpiry, parseAccessDays } = require("../utils/enrollmentUtils");
 const mongoose = require('mongoose');
 
 // ================ REQUEST COURSE ACCESS ================
@@ -164,6 +165,15 @@ exports.handleAccessRequest = async (req, res) => {
             });
         }
 
+        // Optional access period in days, overriding the course default (0 = lifetime)
+        const accessDays = parseAccessDays(req.body.accessDays);
+        if (accessDays.error) {
+            return res.status(400).json({
+                success: false,
+                message: accessDays.error
+            });
+        }
+
         const accessRequest = await CourseAccessRequest.findById(requestId)
             .populate('user', 'firstName lastName email')
             .populate('course', 'courseName studentsEnrolled');
@@ -214,7 +224,8 @@ exports.handleAccessRequest = async (req, res) => {
                 status: true,
                 paymentMethod: 'Free',
                 transactionId: freeOrderTransactionId,
-                purchaseDate: new Date()
+                purchaseDate: new Date(),
+                expiresAt: getAccessExpiry(accessDays.days ?? course.accessDurationDays)
             });
         }
 
@@ -491,6 +502,15 @@ exports.updateBundleRequestStatus = async (req, res) => {
             });
         }
 
+        // Optional access period in days for every course, overriding the course defaults (0 = lifetime)
+        const accessDays = parseAccessDays(req.body.accessDays);
+        if (accessDays.error) {
+            return res.status(400).json({
+                success: false,
+                message: accessDays.error
+            });
+        }
+
         const bundleRequest = await BundleAccessRequest.findById(bundleId)
             .populate('user')
             .populate('courses');
@@ -547,7 +567,8 @@ exports.updateBundleRequestStatus = async (req, res) => {
                     status: true,
                     paymentMethod: 'Free',
                     transactionId: freeOrderTransactionId,
-                    purchaseDate: new Date()
+                    purchaseDate: new Date(),
+                    expiresAt: getAccessExpiry(accessDays.days ?? course.accessDurationDays)
                 });
             });
 
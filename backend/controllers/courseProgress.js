@@ -2,6 +2,21 @@ const mongoose = require("mongoose")
 const Section = require("../models/section")
 const SubSection = require("../models/subSection")
 const CourseProgress = require("../models/courseProgress")
+const User = require("../models/user")
+const { hasCourseAccess } = require("../utils/enrollmentUtils")
+const {
+  getCompletionPercent,
+  parseIntervals,
+  getVideoDuration,
+  getWatchedPercent,
+  hasWatchedEnough,
+  findVideoProgress,
+  recordVideoProgress,
+  isLectureFinished,
+} = require("../utils/watchProgress")
+
+// Saved positions this close to the end resume from the start instead
+const RESUME_END_MARGIN_SECONDS = 10
 
 
 // ================ update Course Progress ================
@@ -13,8 +28,7 @@ exports.updateCourseProgress = async (req, res) => {
   console.log("Request data:", { courseId, subsectionId, userId })
 
   try {
-    // Check if user has access to this course (either free course or active order)
-    const Order = require('../models/order');
+    // Check if user has access to this course (free course, unexpired order, bundle or membership)
     const Course = require('../models/course');
     
     const course = await Course.findById(courseId);
@@ -25,14 +39,7 @@ exports.updateCourseProgress = async (req, res) => {
       });
     }
 
-    const isFree = course.courseType === 'Free' || course.adminSetFree;
-    const activeOrder = await Order.findOne({
-      user: userId,
-      course: courseId,
-      status: true
-    });
-
-    if (!isFree && !activeOrder) {
+    if (!(await hasCourseAccess(userId, course))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Course access has been disabled by admin.',
@@ -55,6 +62,16 @@ exports.updateCourseProgress = async (req, res) => {
 
     console.log("Course progress found:", courseProgress ? "Yes" : "No")
 
+    // Videos only count once enough of them was watched, not skipped through
+    if (subsection.videoUrl && !courseProgress?.completedVideos.includes(subsectionId)) {
+      const videoProgress = findVideoProgress(courseProgress, subsectionId)
+      if (!hasWatchedEnough(subsection, videoProgress, course)) {
+        return res.status(400).json({
+          error: `Watch at least ${getCompletionPercent(course)}% of the video to complete this lecture`
+        })
+      }
+    }
+
     if (!courseProgress) {
       // If course progress doesn't exist, create a new one
       console.log("Course progress does not exist, creating new one")
@@ -96,125 +113,6 @@ exports.updateCourseProgress = async (req, res) => {
 
 
 
-// ================ update Quiz Progress ================
-exports.updateQuizProgress = async (req, res) => {
-  console.log("updateQuizProgress called with:", req.body)
-  const { courseId, subsectionId, quizId, score, totalMarks } = req.body
-  const userId = req.user.id
-
-  console.log("Request data:", { courseId, subsectionId, quizId, score, totalMarks, userId })
-
-  try {
-    // Check if user has access to this course (either free course or active order)
-    const Order = require('../models/order');
-    const Course = require('../models/course');
-    
-    const course = await Course.findById(courseId);
-    if (!course) {
-      return res.status(404).json({
-        success: false,
-        message: 'Course not found.',
-      });
-    }
-
-    const isFree = course.courseType === 'Free' || course.adminSetFree;
-    const activeOrder = await Order.findOne({
-      user: userId,
-      course: courseId,
-      status: true
-    });
-
-    if (!isFree && !activeOrder) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Course access has been disabled by admin.',
-      });
-    }
-
-    // Check if the subsection is valid
-    const subsection = await SubSection.findById(subsectionId)
-    if (!subsection) {
-      console.log("Invalid subsection ID:", subsectionId)
-      return res.status(404).json({ error: "Invalid subsection" })
-    }
-
-    // Find the course progress document for the user and course
-    let courseProgress = await CourseProgress.findOne({
-      courseID: courseId,
-      userId: userId,
-    })
-
-    // Calculate percentage for pass/fail
-    const percentage = (score / totalMarks) * 100;
-    const passed = percentage >= 60;
-
-    if (!courseProgress) {
-      // If course progress doesn't exist, create a new one
-      courseProgress = await CourseProgress.create({
-        courseID: courseId,
-        userId: userId,
-        completedVideos: [],
-        completedQuizzes: [subsectionId],
-        passedQuizzes: passed ? [subsectionId] : [],
-        quizResults: [{
-          quiz: quizId,
-          score: score,
-          totalMarks: totalMarks,
-          percentage: percentage,
-          passed: passed,
-          completedAt: new Date()
-        }]
-      })
-    } else {
-      // Add to completedQuizzes if not already there
-      if (!courseProgress.completedQuizzes.includes(subsectionId)) {
-        courseProgress.completedQuizzes.push(subsectionId)
-      }
-
-      // Add to passedQuizzes if passed and not already there
-      if (passed && !courseProgress.passedQuizzes.includes(subsectionId)) {
-        courseProgress.passedQuizzes.push(subsectionId)
-      }
-      
-      // Update or add quiz result
-      const existingResultIndex = courseProgress.quizResults.findIndex(
-        result => result.quiz.toString() === quizId
-      )
-      
-      if (existingResultIndex >= 0) {
-        courseProgress.quizResults[existingResultIndex] = {
-          quiz: quizId,
-          score: score,
-          totalMarks: totalMarks,
-          percentage: percentage,
-          passed: passed,
-          completedAt: new Date()
-        }
-      } else {
-        courseProgress.quizResults.push({
-          quiz: quizId,
-          score: score,
-          totalMarks: totalMarks,
-          percentage: percentage,
-          passed: passed,
-          completedAt: new Date()
-        })
-      }
-    }
-
-    await courseProgress.save()
-    console.log("Quiz progress saved successfully")
-
-    return res.status(200).json({ 
-      message: "Quiz progress updated",
-      data: courseProgress
-    })
-  } catch (error) {
-    console.error("Error in updateQuizProgress:", error)
-    return res.status(500).json({ error: "Internal server error" })
-  }
-}
-
 // ================ check Section Access ================
 exports.checkSectionAccess = async (req, res) => {
   const { courseId, sectionId } = req.body
@@ -229,8 +127,7 @@ exports.checkSectionAccess = async (req, res) => {
       });
     }
 
-    // Check if user has access to this course (either free course or active order)
-    const Order = require('../models/order');
+    // Check if user has access to this course (free course, unexpired order, bundle or membership)
     const Course = require("../models/course")
     
     const courseBasic = await Course.findById(courseId);
@@ -241,15 +138,8 @@ exports.checkSectionAccess = async (req, res) => {
       });
     }
 
-    const isFree = courseBasic.courseType === 'Free' || courseBasic.adminSetFree;
-    const activeOrder = await Order.findOne({
-      user: userId,
-      course: courseId,
-      status: true
-    });
-
-    if (!isFree && !activeOrder) {
-      console.log(`Access denied for user ${userId} - no active order for course ${courseId}`);
+    if (!(await hasCourseAccess(userId, courseBasic))) {
+      console.log(`Access denied for user ${userId} - no active order, bundle or membership for course ${courseId}`);
       return res.status(403).json({
         success: false,
         message: 'Access denied. Course access has been disabled or not purchased.',
@@ -319,10 +209,16 @@ exports.checkSectionAccess = async (req, res) => {
         quizCompleted = courseProgress?.completedQuizzes?.includes(subsection._id)
       }
 
-      if (!videoCompleted || !quizCompleted) {
+      // Coding exercises count once every test case passed
+      let exerciseCompleted = true
+      if (subsection.codeExercise) {
+        exerciseCompleted = courseProgress?.completedExercises?.includes(subsection._id)
+      }
+
+      if (!videoCompleted || !quizCompleted || !exerciseCompleted) {
         previousSectionCompleted = false;
         incompleteItems.push({
-          type: !videoCompleted ? 'video' : 'quiz',
+          type: !videoCompleted ? 'video' : !quizCompleted ? 'quiz' : 'exercise',
           title: subsection.title
         });
       }
@@ -414,6 +310,14 @@ exports.getProgressPercentage = async (req, res) => {
             }
           }
         }
+
+        // Count coding exercise if exists
+        if (subsection.codeExercise) {
+          totalItems += 1
+          if (courseProgress.completedExercises.includes(subsection._id)) {
+            completedItems += 1
+          }
+        }
       })
     })
 
@@ -422,7 +326,8 @@ exports.getProgressPercentage = async (req, res) => {
       completedItems,
       completedVideos: courseProgress.completedVideos.length,
       completedQuizzes: courseProgress.completedQuizzes.length,
-      passedQuizzes: courseProgress.passedQuizzes.length
+      passedQuizzes: courseProgress.passedQuizzes.length,
+      completedExercises: courseProgress.completedExercises.length
     })
 
     let progressPercentage = totalItems > 0 ? (completedItems / totalItems) * 100 : 0
@@ -440,3 +345,226 @@ exports.getProgressPercentage = async (req, res) => {
     return res.status(500).json({ error: "Internal server error" })
   }
 }
+
+// Progress of a lecture video as the player needs it
+const formatVideoProgress = (subsection, progress, course, completed) => {
+  const duration = getVideoDuration(subsection, progress)
+  const position = progress?.position || 0
+  return {
+    position,
+    resumeAt: duration > 0 && position >= duration - RESUME_END_MARGIN_SECONDS ? 0 : position,
+    duration,
+    watchedSeconds: progress?.watchedSeconds || 0,
+    watchedPercent: getWatchedPercent(progress, duration),
+    completionPercent: getCompletionPercent(course),
+    completed,
+  }
+}
+
+// The course, and the lecture when it belongs to the course and the student
+// may study it, or the response to send instead
+const findStudentLecture = async (userId, courseId, subsectionId) => {
+  if (!mongoose.isValidObjectId(courseId) || !mongoose.isValidObjectId(subsectionId)) {
+    return { status: 400, message: "Course ID and SubSection ID are required." }
+  }
+
+  const Course = require("../models/course")
+  const course = await Course.findById(courseId)
+  if (!course) {
+    return { status: 404, message: "Course not found." }
+  }
+  if (!(await hasCourseAccess(userId, course))) {
+    return { status: 403, message: "Access denied. Course access has been disabled or not purchased." }
+  }
+
+  const inCourse = await Section.exists({ _id: { $in: course.courseContent }, subSection: subsectionId })
+  const subsection = inCourse && await SubSection.findById(subsectionId)
+  if (!subsection) {
+    return { status: 404, message: "Lecture not found in this course." }
+  }
+  return { course, subsection }
+}
+
+// ================ update Video Progress ================
+// Save where the student is in a lecture video and which parts they watched,
+// completing the lecture once they have watched enough of it
+exports.updateVideoProgress = async (req, res) => {
+  const { courseId, subsectionId, position, duration, intervals } = req.body
+  const userId = req.user.id
+
+  try {
+    const { course, subsection, status, message } = await findStudentLecture(userId, courseId, subsectionId)
+    if (status) {
+      return res.status(status).json({ success: false, message })
+    }
+
+    const videoDuration = Number(duration) > 0 ? Number(duration) : 0
+    const parsed = parseIntervals(intervals, videoDuration || getVideoDuration(subsection))
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error })
+    }
+
+    const courseProgress = await CourseProgress.findOne({ courseID: courseId, userId: userId }) ||
+      new CourseProgress({ courseID: courseId, userId: userId })
+
+    const progress = recordVideoProgress(courseProgress, subsection._id, {
+      position: Number(position),
+      duration: videoDuration,
+      intervals: parsed.intervals,
+    })
+
+    let justCompleted = false
+    if (
+      !courseProgress.completedVideos.includes(subsection._id) &&
+      getVideoDuration(subsection, progress) > 0 &&
+      hasWatchedEnough(subsection, progress, course)
+    ) {
+      courseProgress.completedVideos.push(subsection._id)
+      justCompleted = true
+    }
+
+    await courseProgress.save()
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatVideoProgress(subsection, progress, course, courseProgress.completedVideos.includes(subsection._id)),
+        justCompleted,
+      },
+    })
+  } catch (error) {
+    console.error("Error updating video progress:", error)
+    return res.status(500).json({
+      success: false,
+      message: "Error updating video progress",
+      error: error.message,
+    })
+  }
+}
+
+// ================ get Video Progress ================
+// Where to resume a lecture video and how much of it was watched
+exports.getVideoProgress = async (req, res) => {
+  const { courseId, subsectionId } = req.body
+  const userId = req.user.id
+
+  try {
+    const { course, subsection, status, message } = await findStudentLecture(userId, courseId, subsectionId)
+    if (status) {
+      return res.status(status).json({ success: false, message })
+    }
+
+    const courseProgress = await CourseProgress.findOne({ courseID: courseId, userId: userId })
+    const progress = findVideoProgress(courseProgress, subsection._id)
+    const completed = Boolean(courseProgress?.completedVideos.includes(subsection._id))
+
+    return res.status(200).json({
+      success: true,
+      data: formatVideoProgress(subsection, progress, course, completed),
+    })
+  } catch (error) {
+    console.error("Error fetching video progress:", error)
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching video progress",
+      error: error.message,
+    })
+  }
+}
+
+// ================ get Continue Learning ================
+// The next unfinished lecture of each of the student's courses, most recently
+// studied first: the lecture they were partway through, else the first one
+// they haven't finished
+exports.getContinueLearning = async (req, res) => {
+  const userId = req.user.id
+
+  try {
+    const user = await User.findById(userId)
+      .select("courses")
+      .populate({
+        path: "courses",
+        match: { isDeactivated: { $ne: true } },
+        populate: {
+          path: "courseContent",
+          select: "sectionName subSection",
+          populate: {
+            path: "subSection",
+            select: "title timeDuration videoUrl quiz codeExercise",
+          },
+        },
+      })
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" })
+    }
+
+    const courses = user.courses.filter(Boolean)
+    const progresses = await CourseProgress.find({
+      userId: userId,
+      courseID: { $in: courses.map((course) => course._id) },
+    })
+
+    const items = []
+    for (const course of courses) {
+      if (!(await hasCourseAccess(userId, course))) {
+        continue
+      }
+
+      const courseProgress = progresses.find((progress) => progress.courseID.toString() === course._id.toString())
+      const lectures = course.courseContent.flatMap((section) =>
+        section.subSection.map((subsection) => ({ section, subsection }))
+      )
+      const unfinished = lectures.filter(({ subsection }) => !isLectureFinished(subsection, courseProgress))
+      if (!unfinished.length) {
+        continue
+      }
+
+      // The unfinished lecture watched last, if any
+      const partway = unfinished
+        .map((lecture) => ({ ...lecture, progress: findVideoProgress(courseProgress, lecture.subsection._id) }))
+        .filter((lecture) => lecture.progress)
+        .sort((a, b) => b.progress.lastWatchedAt - a.progress.lastWatchedAt)[0]
+      const next = partway || unfinished[0]
+      const progress = next.progress || findVideoProgress(courseProgress, next.subsection._id)
+      const videoProgress = formatVideoProgress(next.subsection, progress, course, false)
+
+      items.push({
+        course: {
+          _id: course._id,
+          courseName: course.courseName,
+          thumbnail: course.thumbnail,
+        },
+        section: {
+          _id: next.section._id,
+          sectionName: next.section.sectionName,
+        },
+        subSection: {
+          _id: next.subsection._id,
+          title: next.subsection.title,
+          timeDuration: next.subsection.timeDuration,
+        },
+        resumeAt: videoProgress.resumeAt,
+        watchedPercent: videoProgress.watchedPercent,
+        finishedLectures: lectures.length - unfinished.length,
+        totalLectures: lectures.length,
+        lastActivityAt: courseProgress?.updatedAt || null,
+      })
+    }
+
+    // Courses studied most recently first, then those not started yet
+    items.sort((a, b) => (b.lastActivityAt || 0) - (a.lastActivityAt || 0))
+
+    return res.status(200).json({
+      success: true,
+      data: items,
+    })
+  } catch (error) {
+    console.error("Error fetching continue learning:", error)
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching continue learning",
+      error: error.message,
+    })
+  }
+}
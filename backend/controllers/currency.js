@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Currency = require('../models/currency');
+const Order = require('../models/order');
+const Coupon = require('../models/coupon');
+const User = require('../models/user');
+const { BASE_CURRENCY, getActiveCurrencies, getCurrency, resolveCurrency } = require('../utils/currencyUtils');
+
+// Check the currency fields shared by create and update, resolving to an error message or null
+const validateCurrencyInput = ({ name, exchangeRate, countries }) => {
+    if (name !== undefined && !String(name).trim()) {
+        return 'Currency name is required';
+    }
+    if (exchangeRate !== undefined && !(Number(exchangeRate) > 0)) {
+        return 'Exchange rate must be greater than zero';
+    }
+    if (countries !== undefined && !Array.isArray(countries)) {
+        return 'Countries must be a list';
+    }
+    return null;
+};
+
+const normalizeCountries = (countries) =>
+    [...new Set(countries.map(country => String(country).trim().toUpperCase()).filter(Boolean))];
+
+// ================ GET CURRENCIES ================
+// Currencies students can pay in and the one detected for this request
+exports.getCurrencies = async (req, res) => {
+    try {
+        const currencies = await getActiveCurrencies();
+        const detected = await resolveCurrency(req);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                baseCurrency: BASE_CURRENCY,
+                detected: detected.code,
+                currencies: currencies.map(({ code, name, symbol, exchangeRate }) => ({ code, name, symbol, exchangeRate }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching currencies:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching currencies',
+            error: error.message
+        });
+    }
+};
+
+// ================ UPDATE PREFERRED CURRENCY ================
+// Saves the currency the user wants to see prices in, or clears it with null
+exports.updatePreferredCurrency = async (req, res) => {
+    try {
+        const { currency } = req.body;
+
+        let code = null;
+        if (currency) {
+            const found = await getCurrency(currency);
+            if (!found) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Currency is not supported'
+                });
+            }
+            code = found.code;
+        }
+
+        await User.findByIdAndUpdate(req.user.id, { preferredCurrency: code });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Preferred currency updated',
+            data: { preferredCurrency: code }
+        });
+
+    } catch (error) {
+        console.error('Error updating preferred currency:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating preferred currency',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET ALL CURRENCIES (ADMIN) ================
+exports.getAllCurrencies = async (req, res) => {
+    try {
+        const currencies = await Currency.find().sort({ code: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                baseCurrency: BASE_CURRENCY,
+                currencies
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching currencies:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching currencies',
+            error: error.message
+        });
+    }
+};
+
+// ================ CREATE CURRENCY (ADMIN) ================
+exports.createCurrency = async (req, res) => {
+    try {
+        const { code, name, symbol, exchangeRate, countries, isActive } = req.body;
+        const normalizedCode = String(code || '').trim().toUpperCase();
+
+        if (!normalizedCode || !name || exchangeRate === undefined || exchangeRate === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Code, name and exchange rate are required'
+            });
+        }
+
+        if (normalizedCode === BASE_CURRENCY) {
+            return res.status(400).json({
+                success: false,
+                message: `${BASE_CURRENCY} is the base currency and is always available`
+            });
+        }
+
+        const validationError = validateCurrencyInput({ name, exchangeRate, countries });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (await Currency.exists({ code: normalizedCode })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Currency already exists'
+            });
+        }
+
+        const currency = await Currency.create({
+            code: normalizedCode,
+            name: name.trim(),
+            symbol: symbol || '',
+            exchangeRate: Number(exchangeRate),
+            countries: normalizeCountries(countries || []),
+            isActive: isActive === undefined ? true : Boolean(isActive)
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Currency created successfully',
+            data: currency
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error creating currency:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating currency',
+            error: error.message
+        });
+    }
+};
+
+// ================ UPDATE CURRENCY (ADMIN) ================
+// A new exchange rate applies to checkouts from now on; paid orders keep the
+// rate they were charged at.
+exports.updateCurrency = async (req, res) => {
+    try {
+        const { currencyId } = req.params;
+        const { name, symbol, exchangeRate, countries, isActive } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(currencyId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid currency ID'
+            });
+        }
+
+        const currency = await Currency.findById(currencyId);
+        if (!currency) {
+            return res.status(404).json({
+                success: false,
+                message: 'Currency not found'
+            });
+        }
+
+        const validationError = validateCurrencyInput({ name, exchangeRate, countries });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (name !== undefined) currency.name = name.trim();
+        if (symbol !== undefined) currency.symbol = symbol;
+        if (exchangeRate !== undefined) currency.exchangeRate = Number(exchangeRate);
+        if (countries !== undefined) currency.countries = normalizeCountries(countries);
+        if (isActive !== undefined) currency.isActive = Boolean(isActive);
+
+        await currency.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Currency updated successfully',
+            data: currency
+        });
+
+    } catch (error) {
+        console.error('Error updating currency:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating currency',
+            error: error.message
+        });
+    }
+};
+
+// ================ DELETE CURRENCY (ADMIN) ================
+// Currencies used by orders or coupons can only be deactivated
+exports.deleteCurrency = async (req, res) => {
+    try {
+        const { currencyId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(currencyId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid currency ID'
+            });
+        }
+
+        const currency = await Currency.findById(currencyId);
+        if (!currency) {
+            return res.status(404).json({
+                success: false,
+                message: 'Currency not found'
+            });
+        }
+
+        if (await Order.exists({ currency: currency.code }) || await Coupon.exists({ currency: currency.code })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This currency is used by orders or coupons. Deactivate it instead of deleting it.'
+            });
+        }
+
+        await Currency.findByIdAndDelete(currencyId);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Currency deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting currency:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting currency',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,80 @@
+const Gift = require('../models/gift');
+const User = require('../models/user');
+const { normalizeGiftCode, redeemGift } = require('../utils/giftUtils');
+
+// ================ GET GIFT ================
+// What the claim page shows before the recipient signs in
+exports.getGift = async (req, res) => {
+    try {
+        const gift = await Gift.findOne({ code: normalizeGiftCode(req.params.code) })
+            .populate('course', 'courseName courseDescription thumbnail')
+            .populate('purchaser', 'firstName lastName');
+
+        if (!gift || gift.status === 'pending' || gift.status === 'refunded') {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                code: gift.code,
+                course: gift.course,
+                senderName: `${gift.purchaser.firstName} ${gift.purchaser.lastName}`.trim(),
+                recipientName: gift.recipientName,
+                message: gift.message,
+                status: gift.status === 'unclaimed' && !gift.isClaimable() ? 'expired' : gift.status,
+                expiresAt: gift.expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching gift:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching gift',
+            error: error.message
+        });
+    }
+};
+
+// ================ CLAIM GIFT ================
+exports.claimGift = async (req, res) => {
+    try {
+        const gift = await Gift.findOne({ code: normalizeGiftCode(req.body.code) });
+        if (!gift || gift.status === 'pending' || gift.status === 'refunded') {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift not found'
+            });
+        }
+
+        const user = await User.findById(req.user.id);
+        const result = await redeemGift(gift, user);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `"${result.course.courseName}" has been added to your courses`,
+            data: {
+                courseId: result.course._id,
+                courseName: result.course.courseName
+            }
+        });
+
+    } catch (error) {
+        console.error('Error claiming gift:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error claiming gift',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const { getOrCreateInvoice, generateInvoicePDF } = require('../utils/invoiceUtils');
+
+// ================ DOWNLOAD INVOICE PDF ================
+// Students can download invoices of their own orders, admins of any order
+exports.downloadInvoice = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order ID'
+            });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order || (req.user.accountType !== 'Admin' && order.user.toString() !== req.user.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const invoice = await getOrCreateInvoice(order._id);
+        if (!invoice) {
+            return res.status(400).json({
+                success: false,
+                message: 'No invoice is available for this order'
+            });
+        }
+
+        const pdf = await generateInvoicePDF(invoice);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename=invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`
+        );
+        return res.send(pdf);
+
+    } catch (error) {
+        console.error('Error generating invoice:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error generating invoice',
+            error: error.message
+        });
+    }
+};
@@ -2,6 +2,7 @@ const Notification = require('../models/notification');
 const UserNotificationStatus = require('../models/userNotificationStatus');
 const User = require('../models/user');
 const Course = require('../models/course');
+const SubSection = require('../models/subSection');
 
 // Create a new notification (internal use) - Legacy function for backward compatibility
 exports.createNotification = async (recipientId, type, title, message, relatedCourse = null) => {
@@ -496,6 +497,26 @@ exports.createProgressMilestoneNotification = async (studentId, courseId, milest
     }
 };
 
+exports.createQuizGradedNotification = async (attempt, quiz) => {
+    try {
+        const subSection = await SubSection.findById(attempt.subSection).select('title');
+
+        return await exports.createAdvancedNotification({
+            recipient: attempt.user,
+            type: 'QUIZ_GRADED',
+            title: 'Quiz Result Released',
+            message: `Your quiz for "${subSection?.title || 'your lecture'}" has been graded: ${attempt.percentage.toFixed(1)}%, ${attempt.passed ? 'passed' : 'not passed'}.`,
+            relatedCourse: attempt.course,
+            relatedSubSection: attempt.subSection,
+            priority: 'high',
+            actionUrl: `/view-course/${attempt.course}`,
+            metadata: { quizId: quiz._id, attemptId: attempt._id, passed: attempt.passed }
+        });
+    } catch (error) {
+        console.error('Error creating quiz graded notification:', error);
+    }
+};
+
 // Instructor Notifications
 exports.createNewStudentEnrollmentNotification = async (instructorId, studentId, courseId) => {
     try {
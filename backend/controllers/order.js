@@ -1,5 +1,6 @@
 const Order = require('../models/order');
 const mongoose = require('mongoose');
+const { formatAmount, roundAmount } = require('../utils/currencyUtils');
 
 // ================ ORDER MANAGEMENT ================
 
@@ -9,6 +10,8 @@ exports.getAllOrders = async (req, res) => {
         const orders = await Order.find({})
             .populate('user', 'firstName lastName email')
             .populate('course', 'courseName')
+            .populate('bundle', 'title')
+            .populate('subscriptionPlan', 'name')
             .sort({ purchaseDate: -1 });
 
         return res.status(200).json({
@@ -161,6 +164,8 @@ exports.generateOrdersPDF = async (req, res) => {
         const orders = await Order.find({})
             .populate('user', 'firstName lastName email')
             .populate('course', 'courseName')
+            .populate('bundle', 'title')
+            .populate('subscriptionPlan', 'name')
             .sort({ purchaseDate: -1 });
 
         console.log(`Found ${orders.length} orders for PDF generation`);
@@ -199,7 +204,8 @@ exports.generateOrdersPDF = async (req, res) => {
         doc.moveDown(2);
 
         // Add summary section
-        const totalRevenue = orders.reduce((sum, order) => sum + order.amount, 0);
+        // Orders in other currencies count at the exchange rate they were paid at
+        const totalRevenue = roundAmount(orders.reduce((sum, order) => sum + order.amount * (order.exchangeRate || 1), 0));
         const activeOrders = orders.filter(order => order.status).length;
         const freeOrders = orders.filter(order => order.amount === 0).length;
         const paidOrders = orders.filter(order => order.amount > 0).length;
@@ -211,7 +217,7 @@ exports.generateOrdersPDF = async (req, res) => {
         doc.fontSize(12)
            .font('Helvetica')
            .text(`Total Orders: ${orders.length}`)
-           .text(`Total Revenue: Rs. ${totalRevenue}`)
+           .text(`Total Revenue: ${formatAmount(totalRevenue)}`)
            .text(`Active Orders: ${activeOrders}`)
            .text(`Inactive Orders: ${orders.length - activeOrders}`)
            .text(`Free Orders: ${freeOrders}`)
@@ -318,7 +324,9 @@ exports.generateOrdersPDF = async (req, res) => {
                 xPos += colWidths[1];
                 
                 // Course
-                const courseName = order.course?.courseName || 'N/A';
+                const courseName = order.bundle?.title ||
+                    (order.subscriptionPlan ? `${order.subscriptionPlan.name} membership` : null) ||
+                    order.course?.courseName || 'N/A';
                 doc.text(courseName, xPos + 5, yPos + 2, {
                     width: colWidths[2] - 10,
                     align: 'left'
@@ -326,7 +334,7 @@ exports.generateOrdersPDF = async (req, res) => {
                 xPos += colWidths[2];
                 
                 // Amount
-                const amountText = order.amount === 0 ? 'Free' : `Rs. ${order.amount}`;
+                const amountText = order.amount === 0 ? 'Free' : formatAmount(order.amount, order.currency);
                 doc.font('Helvetica-Bold')
                    .text(amountText, xPos + 5, yPos + 2, {
                     width: colWidths[3] - 10,
@@ -4,24 +4,309 @@ const Order = require("../models/order");
 const mongoose = require("mongoose");
 const mailSender = require("../utils/mailSender");
 const { courseEnrollmentEmail } = require("../mail/templates/courseEnrollmentEmail");
+const { getGateway, getGatewayForCurrency } = require("../services/paymentGateways");
+const { recordCouponUsage } = require("../utils/couponUtils");
+const { priceCheckout, priceBundle, allocateDiscount, getCheckoutCurrency } = require("../utils/checkoutPricing");
+const { resolveCurrency, convertFromBase, toMinorUnits } = require("../utils/currencyUtils");
+const { applyRefund, checkRefundEligibility } = require("../utils/refundUtils");
+const RefundRequest = require("../models/refundRequest");
+const { sendInvoiceEmails } = require("../utils/invoiceUtils");
+const Bundle = require("../models/bundle");
+const { enrollInBundle } = require("../utils/bundleUtils");
+const Coupon = require("../models/coupon");
+const SubscriptionPlan = require("../models/subscriptionPlan");
+const Subscription = require("../models/subscription");
+const { activateSubscription } = require("../utils/subscriptionUtils");
+const { subscriptionEmail } = require("../mail/templates/subscriptionEmail");
+const { getAccessExpiry } = require("../utils/enrollmentUtils");
+const Gift = require("../models/gift");
+const { generateGiftCode, activateGift } = require("../utils/giftUtils");
 
+// How each paymentStatus is shown in the student's purchase history
+const PAYMENT_STATUS_LABELS = {
+    paid: "Completed",
+    refund_requested: "Refund Requested",
+    partially_refunded: "Partially Refunded",
+    refunded: "Refunded"
+};
+
+// Add the courses to the user's enrollments and send confirmation emails
+const enrollStudent = async (userId, courses, couponCode) => {
+    const courseIds = courses.map(course => course._id);
+
+    // Add courses to user's enrolled courses using $addToSet to avoid duplicates
+    const updatedUser = await User.findByIdAndUpdate(
+        userId,
+        {
+            $addToSet: { courses: { $each: courseIds } }
+        },
+        { new: true }
+    );
+
+    // Update course student counts
+    await Course.updateMany(
+        { _id: { $in: courseIds } },
+        { $addToSet: { studentsEnrolled: userId } }
+    );
+
+    // Send confirmation emails
+    for (const course of courses) {
+        try {
+            const emailSubject = couponCode
+                ? `Successfully enrolled in ${course.courseName} with coupon ${couponCode}`
+                : `Successfully enrolled in ${course.courseName}`;
+
+            await mailSender(
+                updatedUser.email,
+                emailSubject,
+                courseEnrollmentEmail(course.courseName, updatedUser.firstName)
+            );
+        } catch (emailError) {
+            console.error("Error sending enrollment email:", emailError);
+            // Don't fail the enrollment if email fails
+        }
+    }
+};
+
+// Give the student access to a bundle and its courses and send a confirmation email
+const enrollStudentInBundle = async (userId, bundle, orderId, couponCode) => {
+    await enrollInBundle(userId, bundle, orderId);
+
+    try {
+        const user = await User.findById(userId);
+        await mailSender(
+            user.email,
+            couponCode
+                ? `Successfully enrolled in ${bundle.title} with coupon ${couponCode}`
+                : `Successfully enrolled in ${bundle.title}`,
+            courseEnrollmentEmail(bundle.title, user.firstName)
+        );
+    } catch (emailError) {
+        console.error("Error sending enrollment email:", emailError);
+        // Don't fail the enrollment if email fails
+    }
+};
+
+// Start or extend the student's membership and send a confirmation email
+const activateStudentSubscription = async (userId, plan, orderId) => {
+    const subscription = await activateSubscription(userId, plan, orderId);
+
+    try {
+        const user = await User.findById(userId);
+        const endsOn = subscription.currentPeriodEnd.toLocaleDateString('en-IN', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+        await mailSender(
+            user.email,
+            `Your ${plan.name} membership is active`,
+            subscriptionEmail(
+                user.firstName,
+                `Welcome to ${plan.name}`,
+                `Your ${plan.name} membership is active until ${endsOn}. Enroll in any course included in your plan from its course page.`,
+                'View Membership'
+            )
+        );
+    } catch (emailError) {
+        console.error("Error sending membership email:", emailError);
+        // Don't fail the activation if email fails
+    }
+};
+
+// What the buyer sees about a gift in their purchase history
+const getGiftSummary = (gift) => gift ? {
+    code: gift.code,
+    recipientEmail: gift.recipientEmail,
+    recipientName: gift.recipientName,
+    status: gift.status === 'unclaimed' && !gift.isClaimable() ? 'expired' : gift.status,
+    expiresAt: gift.expiresAt,
+    redeemedAt: gift.redeemedAt
+} : null;
+
+// Currency a checkout is priced and charged in: the one the student picked, else
+// their saved preference or their country's currency
+const getRequestCurrency = async (req) => req.body.currency || (await resolveCurrency(req)).code;
+
+// Whether the total the student saw is the one the server charges. Checkouts
+// that don't say what total was shown are refused too.
+const matchesExpectedAmount = (expectedAmount, finalAmount, currency) =>
+    expectedAmount !== undefined && expectedAmount !== null && expectedAmount !== '' &&
+    Number.isFinite(Number(expectedAmount)) &&
+    toMinorUnits(Number(expectedAmount), currency) === toMinorUnits(finalAmount, currency);
+
+// Build one order document per priced checkout line
+const buildOrders = (userId, pricing) => pricing.lines.map(line => {
+    const orderData = {
+        user: userId,
+        ...(line.bundle ? { bundle: line.bundle._id } : { course: line.course._id }),
+        amount: line.amount,
+        currency: pricing.currency,
+        exchangeRate: pricing.exchangeRate,
+        originalPrice: line.originalPrice,
+        discountAmount: line.discountAmount,
+        discountBreakdown: line.discounts,
+        purchaseDate: new Date()
+    };
+
+    // Only add coupon information if a coupon actually discounted this course
+    if (line.discounts.length > 0) {
+        orderData.couponUsed = {
+            code: line.discounts[0].code,
+            discountType: line.discounts[0].discountType,
+            discountValue: line.discounts[0].discountValue,
+            discountAmount: line.discountAmount
+        };
+    }
+
+    return orderData;
+});
+
+// Start a payment for the amount due with the gateway and store the matching pending orders.
+// The orders all share one currency. Resolves to what the browser needs to pay,
+// tagged with the gateway name.
+const createGatewayCheckout = async (gateway, userId, finalAmount, orderData, notes, description) => {
+    const payment = await gateway.createPayment({
+        amount: finalAmount,
+        currency: orderData[0].currency,
+        receipt: `rcpt_${Date.now()}`,
+        description,
+        notes: {
+            userId: userId.toString(),
+            ...notes
+        }
+    });
+
+    await Order.insertMany(orderData.map(order => ({
+        ...order,
+        status: false,
+        paymentStatus: 'pending',
+        paymentMethod: gateway.name,
+        gateway: gateway.name,
+        gatewayOrderId: payment.id,
+        transactionId: payment.id
+    })));
+
+    return {
+        enrolled: false,
+        gateway: gateway.name,
+        ...payment.checkout
+    };
+};
+
+// Every coupon code used across a set of orders, once each
+const getCouponCodes = (orders) => [...new Set(orders.flatMap(order => [
+    ...(order.discountBreakdown || []).map(discount => discount.code),
+    ...(order.couponUsed?.code ? [order.couponUsed.code] : [])
+]))];
+
+// Mark the pending orders of a gateway checkout as paid and enroll the student.
+// Safe to call more than once for the same checkout (verify call and webhook both
+// land here): the checkout's first order is claimed as paid in one atomic update,
+// and only the call that claims it marks the other orders and does the enrollment.
+const fulfilGatewayOrder = async (gatewayName, gatewayOrderId, gatewayPaymentId, gatewaySignature) => {
+    const update = {
+        status: true,
+        paymentStatus: 'paid',
+        gatewayPaymentId,
+        transactionId: gatewayPaymentId,
+        paidAt: new Date()
+    };
+    if (gatewaySignature) {
+        update.gatewaySignature = gatewaySignature;
+    }
+
+    const firstOrder = await Order.findOne({ gateway: gatewayName, gatewayOrderId }).sort({ _id: 1 }).select('_id');
+    if (!firstOrder) {
+        return { found: false, orders: [] };
+    }
+
+    const claimed = await Order.findOneAndUpdate(
+        { _id: firstOrder._id, paymentStatus: { $in: ['pending', 'failed'] } },
+        { $set: update }
+    );
+    if (claimed) {
+        await Order.updateMany(
+            { gateway: gatewayName, gatewayOrderId, paymentStatus: { $in: ['pending', 'failed'] } },
+            { $set: update }
+        );
+    }
+
+    const orders = await Order.find({ gateway: gatewayName, gatewayOrderId }).populate('course').populate('bundle').populate('subscriptionPlan');
+    if (!claimed) {
+        return { found: true, alreadyProcessed: true, orders };
+    }
+
+    const userId = orders[0].user;
+    const couponCodes = getCouponCodes(orders);
+
+    const coupons = await Coupon.find({ code: { $in: couponCodes } });
+    for (const coupon of coupons) {
+        await recordCouponUsage(coupon, userId);
+    }
+
+    // Time-limited courses are accessible for their access period from payment.
+    // A gift's access period starts when it is claimed instead.
+    for (const order of orders.filter(order => !order.isGift && order.course?.accessDurationDays)) {
+        order.expiresAt = getAccessExpiry(order.course.accessDurationDays, order.paidAt);
+        await order.save();
+    }
+
+    const courses = orders.filter(order => !order.isGift).map(order => order.course).filter(Boolean);
+    if (courses.length > 0) {
+        await enrollStudent(userId, courses, couponCodes.join(', '));
+    }
+    for (const order of orders.filter(order => order.bundle)) {
+        await enrollStudentInBundle(userId, order.bundle, order._id, couponCodes.join(', '));
+    }
+    for (const order of orders.filter(order => order.subscriptionPlan)) {
+        await activateStudentSubscription(userId, order.subscriptionPlan, order._id);
+    }
+    for (const order of orders.filter(order => order.isGift)) {
+        await activateGift(order);
+    }
+    await sendInvoiceEmails(orders);
+
+    return { found: true, alreadyProcessed: false, orders };
+};
+
+// ================ CAPTURE PAYMENT ================
+// Prices the cart on the server, starts a gateway payment for the amount due and
+// stores pending orders. Carts that come to zero are enrolled straight away.
 exports.capturePayment = async (req, res) => {
     try {
-        const { coursesId, couponCode, discountAmount } = req.body;
+        const { coursesId, couponCode, couponCodes, expectedAmount } = req.body;
         const userId = req.user.id;
 
         // Validate coursesId
-        if (!coursesId || !Array.isArray(coursesId)) {
+        if (!coursesId || !Array.isArray(coursesId) || coursesId.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: "Please provide valid course IDs"
             });
         }
 
+        if (!coursesId.every(courseId => mongoose.Types.ObjectId.isValid(courseId))) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid course IDs provided"
+            });
+        }
+
+        const uniqueCourseIds = [...new Set(coursesId.map(String))];
+
         // Check if user already enrolled in any of these courses
         const user = await User.findById(userId);
-        const alreadyEnrolledCourses = coursesId.filter(courseId => 
-            user.courses.includes(courseId)
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        const enrolledCourseIds = user.courses.map(courseId => courseId.toString());
+        const alreadyEnrolledCourses = uniqueCourseIds.filter(courseId =>
+            enrolledCourseIds.includes(courseId)
         );
 
         if (alreadyEnrolledCourses.length > 0) {
@@ -32,152 +317,670 @@ exports.capturePayment = async (req, res) => {
         }
 
         // Get course details
-        const courses = await Course.find({ _id: { $in: coursesId } });
-        
-        if (!courses || courses.length === 0) {
+        const courses = await Course.find({ _id: { $in: uniqueCourseIds } });
+
+        if (courses.length !== uniqueCourseIds.length) {
             return res.status(404).json({
                 success: false,
-                message: "Courses not found"
+                message: "One or more courses not found"
             });
         }
 
-        // Log coupon usage if provided
-        if (couponCode) {
-            console.log(`Coupon ${couponCode} applied for user ${userId}, discount: ${discountAmount}`);
+        // Price every line from Course.price and re-run the coupon rules on the server
+        const pricing = await priceCheckout({
+            userId,
+            courses,
+            couponCodes: Array.isArray(couponCodes) ? couponCodes : [couponCode],
+            checkoutType: 'course',
+            currency: await getRequestCurrency(req)
+        });
+
+        if (pricing.error) {
+            return res.status(pricing.error.status).json({
+                success: false,
+                message: pricing.error.message
+            });
+        }
+
+        const { coupons, finalAmount } = pricing;
+
+        // The amount shown to the student must match what the server charges
+        if (!matchesExpectedAmount(expectedAmount, finalAmount, pricing.currency)) {
+            return res.status(409).json({
+                success: false,
+                message: "The order total has changed. Please review your cart and try again.",
+                data: {
+                    currency: pricing.currency,
+                    totalAmount: pricing.totalAmount,
+                    discountAmount: pricing.discountAmount,
+                    finalAmount
+                }
+            });
         }
 
-        // For test development, proceed directly to enrollment
+        const orderData = buildOrders(userId, pricing);
+        const couponCodesUsed = coupons.map(coupon => coupon.code);
+
+        // Nothing to charge - enroll without going through the payment gateway
+        if (finalAmount === 0) {
+            const transactionId = `FREE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            await Order.insertMany(orderData.map((order, index) => ({
+                ...order,
+                status: true,
+                paymentStatus: 'paid',
+                paymentMethod: coupons.length > 0 ? 'coupon' : 'free',
+                transactionId,
+                paidAt: new Date(),
+                expiresAt: getAccessExpiry(pricing.lines[index].course.accessDurationDays)
+            })));
+
+            for (const coupon of coupons) {
+                await recordCouponUsage(coupon, userId);
+            }
+
+            await enrollStudent(userId, courses, couponCodesUsed.join(', '));
+
+            return res.status(200).json({
+                success: true,
+                message: "Courses enrolled successfully",
+                data: {
+                    enrolled: true,
+                    amount: 0
+                },
+                couponApplied: coupons.length > 0
+            });
+        }
+
+        const gateway = getGatewayForCurrency(pricing.currency);
+        if (!gateway) {
+            return res.status(500).json({
+                success: false,
+                message: "Payment gateway is not configured"
+            });
+        }
+
+        const checkout = await createGatewayCheckout(gateway, userId, finalAmount, orderData, {
+            courses: uniqueCourseIds.join(","),
+            coupons: couponCodesUsed.join(",")
+        }, courses.map(course => course.courseName).join(", "));
+
         return res.status(200).json({
             success: true,
-            message: "Proceed with enrollment",
-            couponApplied: !!couponCode
+            message: "Payment initiated",
+            data: checkout,
+            couponApplied: coupons.length > 0
         });
 
     } catch (error) {
         console.error("Error in capturePayment:", error);
         res.status(500).json({
             success: false,
-            message: "Could not process enrollment"
+            message: "Could not initiate payment"
         });
     }
 };
 
-exports.verifyPayment = async (req, res) => {
+// ================ CAPTURE GIFT PAYMENT ================
+// Buys a course for another email address. The buyer is not enrolled: once the
+// order is paid the recipient is emailed a gift code to claim the course with.
+exports.captureGiftPayment = async (req, res) => {
     try {
-        const { coursesId, couponCode, discountAmount } = req.body;
+        const { courseId, recipientEmail, recipientName, message, couponCode, couponCodes, expectedAmount } = req.body;
         const userId = req.user.id;
 
-        if (!coursesId || !Array.isArray(coursesId)) {
+        if (!mongoose.Types.ObjectId.isValid(courseId)) {
             return res.status(400).json({
                 success: false,
-                message: "Invalid course IDs provided"
+                message: "Invalid course ID"
+            });
+        }
+
+        const email = String(recipientEmail || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide a valid recipient email"
+            });
+        }
+
+        if (message && String(message).length > 500) {
+            return res.status(400).json({
+                success: false,
+                message: "Gift message cannot be longer than 500 characters"
             });
         }
 
-        // Find user and validate
         const user = await User.findById(userId);
         if (!user) {
-            throw new Error("User not found");
-        }
-
-        // Validate courses exist
-        const courses = await Course.find({ _id: { $in: coursesId } });
-        if (courses.length !== coursesId.length) {
-            throw new Error("One or more courses not found");
-        }
-
-        // Calculate final amounts for each course
-        const totalOriginalPrice = courses.reduce((sum, course) => sum + (course.price || 0), 0);
-        const totalDiscountAmount = discountAmount || 0;
-        const finalAmount = Math.max(0, totalOriginalPrice - totalDiscountAmount);
-        
-        // Create order records for each course with active status
-        const orderPromises = courses.map((course, index) => {
-            // Calculate proportional discount for each course if multiple courses
-            const courseOriginalPrice = course.price || 0;
-            const courseDiscountAmount = courses.length > 1 
-                ? Math.round((courseOriginalPrice / totalOriginalPrice) * totalDiscountAmount)
-                : totalDiscountAmount;
-            const courseFinalAmount = Math.max(0, courseOriginalPrice - courseDiscountAmount);
-
-            const orderData = {
-                user: userId,
-                course: course._id,
-                amount: courseFinalAmount,
-                originalPrice: courseOriginalPrice,
-                discountAmount: courseDiscountAmount,
-                status: true, // Set as active by default
-                paymentMethod: 'test', // Default payment method for testing
-                transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                purchaseDate: new Date()
-            };
-
-            // Only add coupon information if coupon was actually used and has discount
-            if (couponCode && courseDiscountAmount > 0) {
-                orderData.couponUsed = {
-                    code: couponCode,
-                    discountType: 'flat', // Assuming flat discount for now
-                    discountValue: courseDiscountAmount,
-                    discountAmount: courseDiscountAmount
-                };
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        if (user.email.toLowerCase() === email) {
+            return res.status(400).json({
+                success: false,
+                message: "You can't send a gift to yourself"
+            });
+        }
+
+        const course = await Course.findById(courseId);
+        if (!course || course.status !== 'Published') {
+            return res.status(404).json({
+                success: false,
+                message: "Course not found"
+            });
+        }
+
+        if (course.courseType === 'Free') {
+            return res.status(400).json({
+                success: false,
+                message: "Free courses can't be bought as a gift"
+            });
+        }
+
+        const recipient = await User.findOne({ email }).select('courses');
+        if (recipient?.courses.some(enrolledId => enrolledId.toString() === course._id.toString())) {
+            return res.status(400).json({
+                success: false,
+                message: "The recipient is already enrolled in this course"
+            });
+        }
+
+        const pricing = await priceCheckout({
+            userId,
+            courses: [course],
+            couponCodes: Array.isArray(couponCodes) ? couponCodes : [couponCode],
+            checkoutType: 'course',
+            currency: await getRequestCurrency(req)
+        });
+
+        if (pricing.error) {
+            return res.status(pricing.error.status).json({
+                success: false,
+                message: pricing.error.message
+            });
+        }
+
+        const { coupons, finalAmount } = pricing;
+
+        // The amount shown to the student must match what the server charges
+        if (!matchesExpectedAmount(expectedAmount, finalAmount, pricing.currency)) {
+            return res.status(409).json({
+                success: false,
+                message: "The order total has changed. Please review your order and try again.",
+                data: {
+                    currency: pricing.currency,
+                    totalAmount: pricing.totalAmount,
+                    discountAmount: pricing.discountAmount,
+                    finalAmount
+                }
+            });
+        }
+
+        const [orderData] = buildOrders(userId, pricing);
+        orderData.isGift = true;
+        const couponCodesUsed = coupons.map(coupon => coupon.code);
+        const giftData = {
+            code: generateGiftCode(),
+            course: course._id,
+            purchaser: userId,
+            recipientEmail: email,
+            recipientName: recipientName || '',
+            message: message || ''
+        };
+
+        // Nothing to charge - send the gift without going through the payment gateway
+        if (finalAmount === 0) {
+            const order = await Order.create({
+                ...orderData,
+                status: true,
+                paymentStatus: 'paid',
+                paymentMethod: 'coupon',
+                transactionId: `FREE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                paidAt: new Date()
+            });
+            await Gift.create({ ...giftData, order: order._id });
+
+            for (const coupon of coupons) {
+                await recordCouponUsage(coupon, userId);
             }
-            // If no coupon used, don't include couponUsed field at all to avoid validation errors
 
-            return Order.create(orderData);
+            await activateGift(order);
+
+            return res.status(200).json({
+                success: true,
+                message: "Gift sent successfully",
+                data: {
+                    enrolled: true,
+                    amount: 0
+                },
+                couponApplied: coupons.length > 0
+            });
+        }
+
+        const gateway = getGatewayForCurrency(pricing.currency);
+        if (!gateway) {
+            return res.status(500).json({
+                success: false,
+                message: "Payment gateway is not configured"
+            });
+        }
+
+        const checkout = await createGatewayCheckout(gateway, userId, finalAmount, [orderData], {
+            courses: course._id.toString(),
+            gift: email,
+            coupons: couponCodesUsed.join(",")
+        }, `Gift: ${course.courseName}`);
+        const order = await Order.findOne({ gateway: gateway.name, gatewayOrderId: checkout.orderId });
+        await Gift.create({ ...giftData, order: order._id });
+
+        return res.status(200).json({
+            success: true,
+            message: "Payment initiated",
+            data: checkout,
+            couponApplied: coupons.length > 0
+        });
+
+    } catch (error) {
+        console.error("Error in captureGiftPayment:", error);
+        res.status(500).json({
+            success: false,
+            message: "Could not initiate payment"
         });
+    }
+};
+
+// ================ CAPTURE BUNDLE PAYMENT ================
+// Same flow as capturePayment for a Bundle: priced from Bundle.price with bundle coupons
+exports.captureBundlePayment = async (req, res) => {
+    try {
+        const { bundleId, couponCode, couponCodes, expectedAmount } = req.body;
+        const userId = req.user.id;
+
+        if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid bundle ID"
+            });
+        }
 
-        const orders = await Promise.all(orderPromises);
+        const bundle = await Bundle.findOne({ _id: bundleId, isActive: true });
+        if (!bundle) {
+            return res.status(404).json({
+                success: false,
+                message: "Bundle not found"
+            });
+        }
 
-        // Add courses to user's enrolled courses using $addToSet to avoid duplicates
-        const updatedUser = await User.findByIdAndUpdate(
+        if (bundle.courses.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "This bundle has no courses yet"
+            });
+        }
+
+        if (bundle.getActiveEnrollment(userId) && !bundle.validityDays) {
+            return res.status(400).json({
+                success: false,
+                message: "You already have access to this bundle"
+            });
+        }
+
+        const pricing = await priceBundle({
             userId,
-            {
-                $addToSet: { courses: { $each: coursesId } }
-            },
-            { new: true }
-        );
+            bundle,
+            couponCodes: Array.isArray(couponCodes) ? couponCodes : [couponCode],
+            currency: await getRequestCurrency(req)
+        });
 
-        // Update course student counts
-        await Course.updateMany(
-            { _id: { $in: coursesId } },
-            { $addToSet: { studentsEnrolled: userId } }
-        );
+        if (pricing.error) {
+            return res.status(pricing.error.status).json({
+                success: false,
+                message: pricing.error.message
+            });
+        }
 
-        // If a coupon was used, log the usage
-        if (couponCode) {
-            console.log(`Verifying enrollment with coupon ${couponCode} for user ${userId}`);
-            console.log(`Applied discount amount: ${discountAmount}`);
+        const { coupons, finalAmount } = pricing;
+
+        // The amount shown to the student must match what the server charges
+        if (!matchesExpectedAmount(expectedAmount, finalAmount, pricing.currency)) {
+            return res.status(409).json({
+                success: false,
+                message: "The bundle price has changed. Please review your order and try again.",
+                data: {
+                    currency: pricing.currency,
+                    totalAmount: pricing.totalAmount,
+                    discountAmount: pricing.discountAmount,
+                    finalAmount
+                }
+            });
         }
 
-        // Send confirmation emails
-        for (const course of courses) {
-            try {
-                const emailSubject = couponCode 
-                    ? `Successfully enrolled in ${course.courseName} with coupon ${couponCode}`
-                    : `Successfully enrolled in ${course.courseName}`;
+        const orderData = buildOrders(userId, pricing);
+        const couponCodesUsed = coupons.map(coupon => coupon.code);
 
-                await mailSender(
-                    updatedUser.email,
-                    emailSubject,
-                    courseEnrollmentEmail(course.courseName, updatedUser.firstName)
-                );
-            } catch (emailError) {
-                console.error("Error sending enrollment email:", emailError);
-                // Don't fail the enrollment if email fails
+        // Nothing to charge - enroll without going through the payment gateway
+        if (finalAmount === 0) {
+            const [order] = await Order.insertMany(orderData.map(order => ({
+                ...order,
+                status: true,
+                paymentStatus: 'paid',
+                paymentMethod: coupons.length > 0 ? 'coupon' : 'free',
+                transactionId: `FREE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                paidAt: new Date()
+            })));
+
+            for (const coupon of coupons) {
+                await recordCouponUsage(coupon, userId);
             }
+
+            await enrollStudentInBundle(userId, bundle, order._id, couponCodesUsed.join(', '));
+
+            return res.status(200).json({
+                success: true,
+                message: "Bundle enrolled successfully",
+                data: {
+                    enrolled: true,
+                    amount: 0
+                },
+                couponApplied: coupons.length > 0
+            });
         }
 
+        const gateway = getGatewayForCurrency(pricing.currency);
+        if (!gateway) {
+            return res.status(500).json({
+                success: false,
+                message: "Payment gateway is not configured"
+            });
+        }
+
+        const checkout = await createGatewayCheckout(gateway, userId, finalAmount, orderData, {
+            bundle: bundle._id.toString(),
+            coupons: couponCodesUsed.join(",")
+        }, bundle.title);
+
         return res.status(200).json({
             success: true,
-            message: "Courses enrolled successfully",
-            couponApplied: !!couponCode
+            message: "Payment initiated",
+            data: checkout,
+            couponApplied: coupons.length > 0
+        });
+
+    } catch (error) {
+        console.error("Error in captureBundlePayment:", error);
+        res.status(500).json({
+            success: false,
+            message: "Could not initiate payment"
+        });
+    }
+};
+
+// ================ CAPTURE SUBSCRIPTION PAYMENT ================
+// Buys one billing period of a membership plan. Paying again for the current plan
+// renews it from the end of the paid period; switching plans waits until it ends.
+exports.captureSubscriptionPayment = async (req, res) => {
+    try {
+        const { planId, expectedAmount } = req.body;
+        const userId = req.user.id;
+
+        if (!mongoose.Types.ObjectId.isValid(planId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid plan ID"
+            });
+        }
+
+        const plan = await SubscriptionPlan.findOne({ _id: planId, isActive: true });
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: "Membership plan not found"
+            });
+        }
+
+        const subscription = await Subscription.findOne({ user: userId }).populate('plan', 'name');
+        if (subscription && subscription.isCurrent() && subscription.plan?._id.toString() !== plan._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: `You already have an active ${subscription.plan?.name || ''} membership. You can switch plans once it ends.`
+            });
+        }
+
+        const currencyCode = await getRequestCurrency(req);
+        const currency = await getCheckoutCurrency(currencyCode);
+        if (!currency) {
+            return res.status(400).json({
+                success: false,
+                message: `Payments in ${currencyCode} are not supported`
+            });
+        }
+        const price = convertFromBase(plan.price, currency);
+
+        // The amount shown to the student must match what the server charges
+        if (!matchesExpectedAmount(expectedAmount, price, currency.code)) {
+            return res.status(409).json({
+                success: false,
+                message: "The plan price has changed. Please review your order and try again.",
+                data: {
+                    currency: currency.code,
+                    totalAmount: price,
+                    discountAmount: 0,
+                    finalAmount: price
+                }
+            });
+        }
+
+        const orderData = {
+            user: userId,
+            subscriptionPlan: plan._id,
+            amount: price,
+            currency: currency.code,
+            exchangeRate: currency.exchangeRate,
+            originalPrice: price,
+            discountAmount: 0,
+            purchaseDate: new Date()
+        };
+
+        // Free plans are activated without going through the payment gateway
+        if (price === 0) {
+            const order = await Order.create({
+                ...orderData,
+                status: true,
+                paymentStatus: 'paid',
+                paymentMethod: 'free',
+                transactionId: `FREE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                paidAt: new Date()
+            });
+
+            await activateStudentSubscription(userId, plan, order._id);
+
+            return res.status(200).json({
+                success: true,
+                message: "Membership activated successfully",
+                data: {
+                    enrolled: true,
+                    amount: 0
+                }
+            });
+        }
+
+        const gateway = getGatewayForCurrency(currency.code);
+        if (!gateway) {
+            return res.status(500).json({
+                success: false,
+                message: "Payment gateway is not configured"
+            });
+        }
+
+        const checkout = await createGatewayCheckout(gateway, userId, price, [orderData], {
+            subscriptionPlan: plan._id.toString()
+        }, `${plan.name} membership`);
+
+        return res.status(200).json({
+            success: true,
+            message: "Payment initiated",
+            data: checkout
+        });
+
+    } catch (error) {
+        console.error("Error in captureSubscriptionPayment:", error);
+        res.status(500).json({
+            success: false,
+            message: "Could not initiate payment"
+        });
+    }
+};
+
+// ================ VERIFY PAYMENT ================
+// Checks the payment confirmation the browser got from the gateway and activates
+// the pending orders. Body: { gateway, ...the gateway's confirmation fields }
+exports.verifyPayment = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const gateway = getGateway(req.body.gateway || 'razorpay');
+
+        if (!gateway || !gateway.isConfigured()) {
+            return res.status(400).json({
+                success: false,
+                message: "Unknown payment gateway"
+            });
+        }
+
+        const payment = await gateway.verifyPayment(req.body);
+
+        if (!payment.valid) {
+            return res.status(400).json({
+                success: false,
+                message: "Payment verification failed"
+            });
+        }
+
+        // Make sure the order belongs to the student verifying it
+        const ownOrder = await Order.exists({ gateway: gateway.name, gatewayOrderId: payment.orderId, user: userId });
+        if (!ownOrder) {
+            return res.status(404).json({
+                success: false,
+                message: "Order not found"
+            });
+        }
+
+        await fulfilGatewayOrder(gateway.name, payment.orderId, payment.paymentId, payment.signature);
+
+        return res.status(200).json({
+            success: true,
+            message: "Payment verified and courses enrolled successfully"
         });
 
     } catch (error) {
         console.error("Error in verifyPayment:", error);
         return res.status(500).json({
             success: false,
-            message: error.message || "Could not complete enrollment"
+            message: "Could not complete enrollment"
+        });
+    }
+};
+
+// ================ PAYMENT WEBHOOK ================
+// Handles payment captured, payment failed and refund events from any gateway,
+// normalized by its adapter. Gateways may deliver an event more than once, so
+// every branch is idempotent. The gateway comes from the URL; /webhook is Razorpay.
+exports.paymentWebhook = async (req, res) => {
+    try {
+        const gateway = getGateway(req.params.gateway || 'razorpay');
+        if (!gateway) {
+            return res.status(404).json({
+                success: false,
+                message: "Unknown payment gateway"
+            });
+        }
+
+        const { valid, event, name } = gateway.parseWebhook(req);
+        if (!valid) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid webhook signature"
+            });
+        }
+
+        switch (event?.type) {
+            case 'payment.captured': {
+                const result = await fulfilGatewayOrder(gateway.name, event.orderId, event.paymentId);
+                if (!result.found) {
+                    console.warn(`Webhook: no orders found for ${gateway.name} order ${event.orderId}`);
+                }
+                break;
+            }
+            case 'payment.failed': {
+                await Order.updateMany(
+                    { gateway: gateway.name, gatewayOrderId: event.orderId, paymentStatus: 'pending' },
+                    { $set: { paymentStatus: 'failed', gatewayPaymentId: event.paymentId } }
+                );
+                break;
+            }
+            case 'refund.processed': {
+                // Refunds approved from the admin panel are for the order of the
+                // request. The admin panel applies them too, whichever comes first wins.
+                if (event.refundRequestId) {
+                    const refundRequest = await RefundRequest.findById(event.refundRequestId).select('order');
+                    const order = refundRequest && await Order.findOne({
+                        _id: refundRequest.order,
+                        gateway: gateway.name,
+                        gatewayPaymentId: event.paymentId
+                    });
+                    if (order) {
+                        await applyRefund(order, event.amount, event.refundId);
+                    } else {
+                        console.warn(`Webhook: no order found for refund request ${event.refundRequestId}`);
+                    }
+                    break;
+                }
+
+                const orders = await Order.find({
+                    gateway: gateway.name,
+                    gatewayPaymentId: event.paymentId,
+                    paymentStatus: { $in: ['paid', 'refund_requested', 'partially_refunded', 'refunded'] }
+                });
+
+                // Refunds applied already, by an earlier delivery of this event
+                if (orders.length === 0 || orders.some(order => order.gatewayRefundIds.includes(event.refundId))) {
+                    break;
+                }
+
+                // Refund issued from the gateway's dashboard - spread it over the orders it paid for
+                const openOrders = orders.filter(order => order.paymentStatus !== 'refunded');
+                const shares = allocateDiscount(
+                    openOrders.map(order => order.amount - (order.refundedAmount || 0)),
+                    event.amount,
+                    openOrders[0]?.currency
+                );
+
+                for (const [index, order] of openOrders.entries()) {
+                    if (shares[index] > 0) {
+                        if (order.paymentStatus === 'refund_requested') {
+                            await RefundRequest.updateMany(
+                                { order: order._id, status: 'Pending' },
+                                { $set: { status: 'Approved', refundedAmount: shares[index], gatewayRefundId: event.refundId, responseDate: new Date() } }
+                            );
+                        }
+                        await applyRefund(order, shares[index], event.refundId);
+                    }
+                }
+                break;
+            }
+            default:
+                console.log(`Webhook: ignoring unhandled ${gateway.name} event ${name}`);
+        }
+
+        return res.status(200).json({ success: true });
+
+    } catch (error) {
+        console.error("Error handling payment webhook:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not process webhook"
         });
     }
 };
@@ -186,8 +989,14 @@ exports.getPurchaseHistory = async (req, res) => {
     try {
         const userId = req.user.id;
 
-        // Find all orders for the user and populate course and user details
-        const orders = await Order.find({ user: userId, status: true })
+        // Find all orders for the user (including refunded ones) and populate course and user details
+        const orders = await Order.find({
+            user: userId,
+            $or: [
+                { status: true },
+                { paymentStatus: { $in: ['refunded', 'partially_refunded', 'refund_requested'] } }
+            ]
+        })
             .populate({
                 path: 'course',
                 model: 'Course',
@@ -198,6 +1007,8 @@ exports.getPurchaseHistory = async (req, res) => {
                     select: 'firstName lastName email'
                 }
             })
+            .populate('bundle', 'title description thumbnail')
+            .populate('subscriptionPlan', 'name description interval')
             .populate({
                 path: 'user',
                 model: 'User',
@@ -218,17 +1029,32 @@ exports.getPurchaseHistory = async (req, res) => {
             });
         }
 
+        const gifts = await Gift.find({ order: { $in: orders.filter(order => order.isGift).map(order => order._id) } });
+
+        const openRefundOrders = await RefundRequest.find({
+            user: userId,
+            status: { $in: ['Pending', 'Processing'] }
+        }).distinct('order');
+
         // Transform the orders data to include all necessary details for invoices
-        const purchaseHistory = orders.map(order => ({
+        const purchaseHistory = await Promise.all(orders.map(async order => ({
             _id: order._id,
-            courseName: order.course?.courseName || 'N/A',
-            courseDescription: order.course?.description || '',
-            thumbnail: order.course?.thumbnail || '',
+            courseName: order.bundle?.title ||
+                (order.subscriptionPlan ? `${order.subscriptionPlan.name} membership` : null) ||
+                order.course?.courseName || 'N/A',
+            courseDescription: order.bundle?.description || order.subscriptionPlan?.description || order.course?.description || '',
+            thumbnail: order.bundle?.thumbnail || order.course?.thumbnail || '',
             price: order.amount || 0,
+            currency: order.currency || 'INR',
             originalPrice: order.originalPrice || order.amount || 0,
             discountAmount: order.discountAmount || 0,
             purchaseDate: order.purchaseDate,
-            status: "Completed",
+            status: PAYMENT_STATUS_LABELS[order.paymentStatus] || "Completed",
+            paymentStatus: order.paymentStatus,
+            refundedAmount: order.refundedAmount || 0,
+            refund: openRefundOrders.some(orderId => orderId.equals(order._id))
+                ? { eligible: false, reason: 'Refund request pending' }
+                : await checkRefundEligibility(order),
             // Order details for invoice
             transactionId: order.transactionId,
             paymentMethod: order.paymentMethod,
@@ -236,8 +1062,13 @@ exports.getPurchaseHistory = async (req, res) => {
             couponUsed: order.couponUsed || null,
             // Course and user details for invoice
             course: order.course,
-            user: order.user
-        }));
+            bundle: order.bundle,
+            subscriptionPlan: order.subscriptionPlan,
+            user: order.user,
+            // Gift details for orders bought for someone else
+            gift: getGiftSummary(gifts.find(gift => gift.order.equals(order._id))),
+            receivedAsGift: order.paymentMethod === 'gift'
+        })));
 
         return res.status(200).json({
             success: true,
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Course = require('../models/course');
+const Section = require('../models/section');
+const SubSection = require('../models/subSection');
+const User = require('../models/user');
+const PlaybackSession = require('../models/playbackSession');
+const { hasCourseAccess } = require('../utils/enrollmentUtils');
+const { createPlaybackToken, getPlaybackSource } = require('../utils/playbackTokens');
+
+// Lectures a student may play at the same time, on any devices
+const MAX_CONCURRENT_STREAMS = Number(process.env.MAX_CONCURRENT_STREAMS) || 2;
+// Players report they're still playing this often
+const HEARTBEAT_SECONDS = 30;
+// A stream missing this many seconds of heartbeats no longer counts against the limit
+const STREAM_IDLE_SECONDS = 90;
+
+// Streams last seen before this no longer count, and can't be resumed
+const getIdleCutoff = () => new Date(Date.now() - STREAM_IDLE_SECONDS * 1000);
+
+const isValidClientId = (clientId) => typeof clientId === 'string' && /^[\w-]{8,64}$/.test(clientId);
+
+// The course a lecture belongs to
+const findLectureCourse = async (subSectionId) => {
+    const section = await Section.findOne({ subSection: subSectionId }).select('_id');
+    return section ? Course.findOne({ courseContent: section._id }) : null;
+};
+
+// ================ ISSUE PLAYBACK TOKEN ================
+// A short-lived token for the student to play one lecture, once they are
+// known to have access to its course and aren't over their stream limit.
+// The course's instructor and admins may always preview.
+exports.issuePlaybackToken = async (req, res) => {
+    try {
+        const { subSectionId, clientId } = req.body;
+        const userId = req.user.id;
+
+        if (!mongoose.isValidObjectId(subSectionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid lecture id is required'
+            });
+        }
+
+        const subSection = await SubSection.findById(subSectionId).select('videoUrl');
+        const course = subSection && await findLectureCourse(subSection._id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lecture not found'
+            });
+        }
+
+        const user = await User.findById(userId).select('email accountType');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const isStaff = user.accountType === 'Admin' ||
+            (user.accountType === 'Instructor' && course.instructor?.toString() === userId.toString());
+
+        if (!isStaff) {
+            if (!(await hasCourseAccess(userId, course))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Course access has been disabled or not purchased.'
+                });
+            }
+
+            if (!isValidClientId(clientId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A player id is required'
+                });
+            }
+
+            const otherStreams = await PlaybackSession.countDocuments({
+                user: userId,
+                clientId: { $ne: clientId },
+                lastSeenAt: { $gt: getIdleCutoff() }
+            });
+            if (otherStreams >= MAX_CONCURRENT_STREAMS) {
+                return res.status(429).json({
+                    success: false,
+                    message: `You are already watching on ${otherStreams} other ${otherStreams === 1 ? 'device' : 'devices'}. Stop playback there to watch here.`,
+                    maxConcurrentStreams: MAX_CONCURRENT_STREAMS
+                });
+            }
+        }
+
+        const { token, expiresAt } = createPlaybackToken({
+            userId,
+            subSectionId: subSection._id,
+            clientId: isStaff ? null : clientId
+        });
+
+        if (!isStaff) {
+            await PlaybackSession.findOneAndUpdate(
+                { user: userId, clientId },
+                {
+                    subSection: subSection._id,
+                    userAgent: req.headers['user-agent'],
+                    lastSeenAt: new Date(),
+                    expiresAt
+                },
+                { upsert: true, setDefaultsOnInsert: true }
+            );
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                token,
+                expiresAt,
+                source: getPlaybackSource(subSection.videoUrl, subSection._id, token),
+                heartbeatInterval: isStaff ? null : HEARTBEAT_SECONDS,
+                watermark: user.email
+            }
+        });
+    } catch (error) {
+        console.error('Error issuing playback token:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error issuing playback token',
+            error: error.message
+        });
+    }
+};
+
+// ================ PLAYBACK HEARTBEAT ================
+// Keep a tab's stream counted as playing
+exports.playbackHeartbeat = async (req, res) => {
+    try {
+        const { clientId } = req.body;
+        if (!isValidClientId(clientId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A player id is required'
+            });
+        }
+
+        const session = await PlaybackSession.findOneAndUpdate(
+            {
+                user: req.user.id,
+                clientId,
+                expiresAt: { $gt: new Date() },
+                lastSeenAt: { $gt: getIdleCutoff() }
+            },
+            { lastSeenAt: new Date() },
+            { new: true }
+        );
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Playback session has ended'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: { lastSeenAt: session.lastSeenAt }
+        });
+    } catch (error) {
+        console.error('Error recording playback heartbeat:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error recording playback heartbeat',
+            error: error.message
+        });
+    }
+};
+
+// ================ END PLAYBACK SESSION ================
+// Free a tab's stream for another device when its player closes
+exports.endPlaybackSession = async (req, res) => {
+    try {
+        await PlaybackSession.deleteOne({ user: req.user.id, clientId: req.params.clientId });
+        return res.status(200).json({
+            success: true,
+            message: 'Playback session ended'
+        });
+    } catch (error) {
+        console.error('Error ending playback session:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error ending playback session',
+            error: error.message
+        });
+    }
+};
+
+// Whether the tab a student's playback token was issued to still holds one of
+// their streams. Once it stops sending heartbeats or ends its session, its
+// token no longer plays anything.
+exports.isPlaybackSessionLive = async (userId, clientId) => {
+    const session = await PlaybackSession.exists({
+        user: userId,
+        clientId,
+        expiresAt: { $gt: new Date() },
+        lastSeenAt: { $gt: getIdleCutoff() }
+    });
+    return Boolean(session);
+};
@@ -4,6 +4,7 @@ const Course = require('../models/course');
 const Section = require('../models/section');
 const SubSection = require('../models/subSection');
 const Quiz = require('../models/quiz');
+const CodeExercise = require('../models/codeExercise');
 const CourseProgress = require('../models/courseProgress');
 const Certificate = require('../models/certificate');
 const RatingAndReview = require('../models/ratingAndReview');
@@ -11,6 +12,11 @@ const RatingAndReview = require('../models/ratingAndReview');
 const { uploadImageToS3, deleteFileFromS3 } = require('../utils/s3Uploader');
 const { convertSecondsToDuration } = require('../utils/secToDuration');
 const { cleanupCourseFiles } = require('../utils/fileCleanup');
+const { hasBundleAccess } = require('../utils/bundleUtils');
+const { hasSubscriptionAccess } = require('../utils/subscriptionUtils');
+const { findActiveOrder, hasEnrollmentExpired } = require('../utils/enrollmentUtils');
+const { hideLectureVideo } = require('../utils/playbackTokens');
+const { toStudentQuiz } = require('../utils/quizQuestionUtils');
 
 
 
@@ -19,7 +25,7 @@ const { cleanupCourseFiles } = require('../utils/fileCleanup');
 exports.updateProfile = async (req, res) => {
     try {
         // extract data
-        const { gender = '', dateOfBirth = "", about = "", contactNumber = '', firstName, lastName } = req.body;
+        const { gender = '', dateOfBirth = "", about = "", contactNumber = '', state, firstName, lastName } = req.body;
 
         // extract userId
         const userId = req.user.id;
@@ -41,6 +47,9 @@ exports.updateProfile = async (req, res) => {
         profileDetails.dateOfBirth = dateOfBirth;
         profileDetails.about = about;
         profileDetails.contactNumber = contactNumber;
+        if (state !== undefined) {
+            profileDetails.state = state;
+        }
 
         // save data to DB
         await profileDetails.save();
@@ -147,6 +156,9 @@ exports.deleteAccount = async (req, res) => {
                 await Promise.all([
                     // Delete all quizzes for this course's subsections
                     Quiz.deleteMany({ subSection: { $in: allSubSectionIds } }),
+
+                    // Delete all coding exercises for this course's subsections
+                    CodeExercise.deleteMany({ subSection: { $in: allSubSectionIds } }),
                     
                     // Delete all subsections and their videos
                     ...allSubSectionIds.map(async (subSectionId) => {
@@ -361,16 +373,13 @@ exports.getEnrolledCourses = async (req, res) => {
             const isFree = course.courseType === 'Free' || course.adminSetFree;
             
             // Check if user has an active order for paid courses
-            const activeOrder = await Order.findOne({
-                user: userId,
-                course: course._id,
-                status: true
-            })
+            const activeOrder = await findActiveOrder(userId, course._id)
 
             // Determine if course should be accessible
             let isAccessible = true;
             let isDeactivated = false;
             let isOrderInactive = false;
+            let isAccessExpired = false;
             
             // First check if course is deleted by admin (in recycle bin)
             if (course.isDeactivated) {
@@ -389,9 +398,15 @@ exports.getEnrolledCourses = async (req, res) => {
                         // Order exists but is inactive - different from recycle bin deletion
                         isOrderInactive = true;
                         isAccessible = false;
+                    } else if (!activeOrder && await hasEnrollmentExpired(userId, course._id) &&
+                        !(await hasBundleAccess(userId, course._id)) && !(await hasSubscriptionAccess(userId, course))) {
+                        // Time-limited access has ended and the expiry job has not removed it yet
+                        isAccessExpired = true;
+                        isAccessible = false;
                     }
-                } else if (!isFree) {
-                    // For paid courses without any order, they shouldn't be accessible
+                } else if (!isFree && !(await hasBundleAccess(userId, course._id)) &&
+                    !(await hasSubscriptionAccess(userId, course))) {
+                    // Paid courses without an order are only accessible through a bundle or membership
                     isAccessible = false;
                 }
                 // Free courses without orders remain accessible
@@ -437,6 +452,14 @@ exports.getEnrolledCourses = async (req, res) => {
                                 completedItems += 1
                             }
                         }
+
+                        // Count coding exercise if exists
+                        if (subsection.codeExercise) {
+                            totalItems += 1
+                            if (courseProgress.completedExercises && courseProgress.completedExercises.includes(subsection._id)) {
+                                completedItems += 1
+                            }
+                        }
                     }
                 }
 
@@ -454,6 +477,17 @@ exports.getEnrolledCourses = async (req, res) => {
             course.isDeactivated = isDeactivated;
             course.isOrderInactive = isOrderInactive;
             course.isAccessible = isAccessible;
+            course.isAccessExpired = isAccessExpired;
+            // End of time-limited access, null when the course is not time-limited
+            course.accessExpiresAt = activeOrder?.expiresAt || null;
+            // Lectures are played with playback tokens, not their stored video URLs,
+            // and their quizzes come without answers
+            course.courseContent.forEach(section => {
+                section.subSection = section.subSection.map(subSection => hideLectureVideo({
+                    ...subSection,
+                    quiz: subSection.quiz && toStudentQuiz(subSection.quiz)
+                }));
+            });
             
             // Add course to list
             activeCourses.push(course)
@@ -0,0 +1,245 @@
+const QuestionBank = require('../models/questionBank');
+const Quiz = require('../models/quiz');
+const Course = require('../models/course');
+const { getQuestionsError, getVisibleBankFilter } = require('../utils/quizQuestionUtils');
+
+// Most questions one bank may hold
+const MAX_BANK_QUESTIONS = 500;
+
+// Check the bank fields shared by create and update, resolving to an error message or null
+const validateBankInput = ({ title, questions }) => {
+    if (title !== undefined && !String(title).trim()) {
+        return 'Question bank title is required';
+    }
+    if (questions !== undefined) {
+        if (!Array.isArray(questions) || questions.length > MAX_BANK_QUESTIONS) {
+            return `Questions must be an array with up to ${MAX_BANK_QUESTIONS} items`;
+        }
+        return getQuestionsError(questions);
+    }
+    return null;
+};
+
+// Instructors may only file banks under courses they teach
+const canUseCourse = async (user, courseId) => {
+    if (!courseId || user.accountType === 'Admin') {
+        return true;
+    }
+    return Boolean(await Course.exists({ _id: courseId, instructor: user.id }));
+};
+
+// Admins manage every bank; instructors only the ones they created
+const findEditableBank = (bankId, user) => QuestionBank.findOne({
+    _id: bankId,
+    ...(user.accountType === 'Admin' ? {} : { createdBy: user.id })
+});
+
+// ================ GET QUESTION BANKS ================
+// Banks the user can draw from, without their questions
+exports.getQuestionBanks = async (req, res) => {
+    try {
+        const { course, category } = req.query;
+        const filter = await getVisibleBankFilter(req.user);
+        if (course) {
+            filter.course = course;
+        }
+        if (category) {
+            filter.category = category;
+        }
+
+        const banks = await QuestionBank.find(filter)
+            .populate('course', 'courseName')
+            .populate('category', 'name')
+            .populate('createdBy', 'firstName lastName')
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            data: banks.map(({ questions, ...bank }) => ({
+                ...bank,
+                questionCount: questions.length,
+                // Lets quiz authors build draws without loading every question
+                tags: [...new Set(questions.flatMap(question => question.tags || []))].sort(),
+                difficulties: questions.reduce((counts, question) => {
+                    counts[question.difficulty] = (counts[question.difficulty] || 0) + 1;
+                    return counts;
+                }, {})
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching question banks:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching question banks',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET QUESTION BANK ================
+exports.getQuestionBank = async (req, res) => {
+    try {
+        const bank = await QuestionBank.findOne({
+            _id: req.params.bankId,
+            ...(await getVisibleBankFilter(req.user))
+        });
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error fetching question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching question bank',
+            error: error.message
+        });
+    }
+};
+
+// ================ CREATE QUESTION BANK ================
+exports.createQuestionBank = async (req, res) => {
+    try {
+        const { title, description, course, category, questions = [] } = req.body;
+
+        if (!title) {
+            return res.status(400).json({
+                success: false,
+                message: 'Question bank title is required'
+            });
+        }
+
+        const validationError = validateBankInput({ title, questions });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (!(await canUseCourse(req.user, course))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only add question banks to your own courses'
+            });
+        }
+
+        const bank = await QuestionBank.create({
+            title: String(title).trim(),
+            description,
+            course: course || null,
+            category: category || null,
+            createdBy: req.user.id,
+            questions
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Question bank created successfully',
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error creating question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating question bank',
+            error: error.message
+        });
+    }
+};
+
+// ================ UPDATE QUESTION BANK ================
+// Attempts already started keep the questions they were served
+exports.updateQuestionBank = async (req, res) => {
+    try {
+        const { title, description, course, category, questions } = req.body;
+
+        const validationError = validateBankInput({ title, questions });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (course !== undefined && !(await canUseCourse(req.user, course))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only add question banks to your own courses'
+            });
+        }
+
+        const bank = await findEditableBank(req.params.bankId, req.user);
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (title !== undefined) bank.title = String(title).trim();
+        if (description !== undefined) bank.description = description;
+        if (course !== undefined) bank.course = course || null;
+        if (category !== undefined) bank.category = category || null;
+        if (questions !== undefined) bank.questions = questions;
+        await bank.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Question bank updated successfully',
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error updating question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating question bank',
+            error: error.message
+        });
+    }
+};
+
+// ================ DELETE QUESTION BANK ================
+// Banks that quizzes still draw from can't be deleted
+exports.deleteQuestionBank = async (req, res) => {
+    try {
+        const bank = await findEditableBank(req.params.bankId, req.user);
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        const quizCount = await Quiz.countDocuments({ 'questionDraws.bank': bank._id });
+        if (quizCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `This question bank is used by ${quizCount} ${quizCount === 1 ? 'quiz' : 'quizzes'}. Remove it from them first.`
+            });
+        }
+
+        await bank.deleteOne();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Question bank deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting question bank',
+            error: error.message
+        });
+    }
+};
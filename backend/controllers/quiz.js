@@ -1,9 +1,88 @@
 const Quiz = require('../models/quiz');
 const CourseProgress = require('../models/courseProgress');
+const QuizAttempt = require('../models/quizAttempt');
 const SubSection = require('../models/subSection');
+const Section = require('../models/section');
 const Course = require('../models/course');
-const { executeCode } = require('../services/codeExecution');
+const { executeCode, validateCodeWithTestCases } = require('../services/codeExecution');
+const {
+    toStudentTestResults,
+    hideQuizAnswers
+} = require('../utils/codeGrading');
+const { findUnansweredQuestions } = require('../utils/quizGrading');
+const {
+    getQuestionsError,
+    getQuestionDrawsError,
+    buildAttemptQuestions,
+    toStudentQuiz
+} = require('../utils/quizQuestionUtils');
+const {
+    isPastGrace,
+    isTimeUp,
+    getRetakePolicy,
+    getServedQuestions,
+    toQuestionTimes,
+    finishAttempt,
+    expireOverdueAttempts
+} = require('../utils/quizAttemptUtils');
+const {
+    MAX_ATTEMPT_EVENTS,
+    getIntegrityPolicyError,
+    toIntegrityEvents
+} = require('../utils/quizIntegrity');
 const { handleNewContentAddition } = require('../utils/certificateRegeneration');
+const { uploadFileToS3 } = require('../utils/s3Uploader');
+const { S3_FOLDERS } = require('../config/s3Storage');
+const { hasCourseAccess } = require('../utils/enrollmentUtils');
+
+// Most files a student may upload for one question in an attempt
+const MAX_UPLOADS_PER_QUESTION = 10;
+
+// Retake policy, question selection and integrity fields instructors may set on a quiz
+const QUIZ_SETTINGS = [
+    'passPercentage', 'maxAttempts', 'cooldownMinutes', 'scoringPolicy',
+    'questionDraws', 'shuffleQuestions', 'shuffleOptions',
+    'integrityPolicy', 'maxViolations', 'requireFullscreen'
+];
+
+// Check the retake policy of a quiz, resolving to an error message or null
+const getRetakeSettingsError = ({ passPercentage, maxAttempts, cooldownMinutes, scoringPolicy }) => {
+    if (passPercentage !== undefined && !(typeof passPercentage === 'number' && passPercentage >= 0 && passPercentage <= 100)) {
+        return 'Pass percentage must be between 0 and 100';
+    }
+    if (maxAttempts !== undefined && !(Number.isInteger(maxAttempts) && maxAttempts >= 0)) {
+        return 'Maximum attempts must be a whole number (0 for unlimited)';
+    }
+    if (cooldownMinutes !== undefined && !(typeof cooldownMinutes === 'number' && cooldownMinutes >= 0)) {
+        return 'Cooldown between attempts must be zero or more minutes';
+    }
+    if (scoringPolicy !== undefined && !['latest', 'best'].includes(scoringPolicy)) {
+        return 'Scoring policy must be either latest or best';
+    }
+    return null;
+};
+
+const pickQuizSettings = (body) => QUIZ_SETTINGS.reduce((settings, field) => {
+    if (body[field] !== undefined) {
+        settings[field] = body[field];
+    }
+    return settings;
+}, {});
+
+// Check the fixed questions and question bank draws of a quiz, resolving to an error message or null
+const getQuizQuestionsError = async ({ questions, questionDraws = [] }, user) => {
+    if (!Array.isArray(questions) || questions.length > 25) {
+        return 'Questions must be an array with up to 25 items';
+    }
+    const drawsError = await getQuestionDrawsError(questionDraws, user);
+    if (drawsError) {
+        return drawsError;
+    }
+    if (questions.length === 0 && questionDraws.length === 0) {
+        return 'A quiz needs at least one question or question bank draw';
+    }
+    return getQuestionsError(questions);
+};
 
 // Create a new quiz
 exports.createQuiz = async (req, res) => {
@@ -17,11 +96,11 @@ exports.createQuiz = async (req, res) => {
             });
         }
 
-        // Validate questions array
-        if (!Array.isArray(questions) || questions.length < 1 || questions.length > 25) {
+        const questionsError = await getQuizQuestionsError(req.body, req.user);
+        if (questionsError) {
             return res.status(400).json({
                 success: false,
-                message: 'Questions must be an array with 1 to 25 items'
+                message: questionsError
             });
         }
 
@@ -35,35 +114,12 @@ exports.createQuiz = async (req, res) => {
             }
         }
 
-        // Validate code solving questions
-        for (const question of questions) {
-            if (question.questionType === 'codeSolve') {
-                if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have at least one test case'
-                    });
-                }
-                
-                // Validate test cases
-                for (const testCase of question.testCases) {
-                    if (!testCase.expectedOutput || testCase.expectedOutput.trim() === '') {
-                        return res.status(400).json({
-                            success: false,
-                            message: 'All test cases must have expected output'
-                        });
-                    }
-                }
-                
-                // Validate programming language
-                const validLanguages = ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'rust', 'ruby', 'csharp', 'kotlin', 'typescript', 'sql', 'open'];
-                if (!question.programmingLanguage || !validLanguages.includes(question.programmingLanguage)) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have a valid programming language'
-                    });
-                }
-            }
+        const settingsError = getRetakeSettingsError(req.body) || getIntegrityPolicyError(req.body);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
         }
 
         // Check if quiz already exists for this subsection
@@ -78,7 +134,8 @@ exports.createQuiz = async (req, res) => {
         // Create quiz data
         const quizData = {
             subSection: subSectionId,
-            questions
+            questions,
+            ...pickQuizSettings(req.body)
         };
 
         // Add timeLimit if provided, otherwise use default
@@ -95,7 +152,6 @@ exports.createQuiz = async (req, res) => {
         // Handle certificate regeneration for students who completed the course
         try {
             // Find the section that contains this subsection
-            const Section = require('../models/section');
             const section = await Section.findOne({
                 subSection: subSectionId
             });
@@ -151,11 +207,11 @@ exports.updateQuiz = async (req, res) => {
             });
         }
 
-        // Validate questions array
-        if (!Array.isArray(questions) || questions.length < 1 || questions.length > 25) {
+        const questionsError = await getQuizQuestionsError(req.body, req.user);
+        if (questionsError) {
             return res.status(400).json({
                 success: false,
-                message: 'Questions must be an array with 1 to 25 items'
+                message: questionsError
             });
         }
 
@@ -169,39 +225,16 @@ exports.updateQuiz = async (req, res) => {
             }
         }
 
-        // Validate code solving questions
-        for (const question of questions) {
-            if (question.questionType === 'codeSolve') {
-                if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have at least one test case'
-                    });
-                }
-                
-                // Validate test cases
-                for (const testCase of question.testCases) {
-                    if (!testCase.expectedOutput || testCase.expectedOutput.trim() === '') {
-                        return res.status(400).json({
-                            success: false,
-                            message: 'All test cases must have expected output'
-                        });
-                    }
-                }
-
-                // Validate programming language
-                const validLanguages = ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'rust', 'ruby', 'csharp', 'kotlin', 'typescript', 'sql', 'open'];
-                if (!question.programmingLanguage || !validLanguages.includes(question.programmingLanguage)) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have a valid programming language'
-                    });
-                }
-            }
+        const settingsError = getRetakeSettingsError(req.body) || getIntegrityPolicyError(req.body);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
         }
 
         // Create update data
-        const updateData = { questions };
+        const updateData = { questions, ...pickQuizSettings(req.body) };
         if (timeLimit !== undefined) {
             updateData.timeLimit = timeLimit;
         }
@@ -226,7 +259,6 @@ exports.updateQuiz = async (req, res) => {
             
             if (subSection) {
                 // Find the section that contains this subsection
-                const Section = require('../models/section');
                 const section = await Section.findOne({
                     subSection: subSection._id
                 });
@@ -306,9 +338,16 @@ exports.getQuizById = async (req, res) => {
             });
         }
 
+        if (req.user.accountType !== 'Student') {
+            return res.status(200).json({
+                success: true,
+                data: quiz
+            });
+        }
+
         return res.status(200).json({
             success: true,
-            data: quiz
+            data: toStudentQuiz(quiz)
         });
     } catch (error) {
         console.error('Error fetching quiz:', error);
@@ -385,7 +424,7 @@ exports.validateSectionAccess = async (req, res) => {
             });
         }
 
-        // Check if all previous quizzes are passed with 60% or higher
+        // Check if all previous quizzes are passed
         for (const subsection of subsections) {
             if (subsection._id === sectionId) {
                 break;
@@ -395,7 +434,7 @@ exports.validateSectionAccess = async (req, res) => {
                 return res.status(200).json({
                     success: true,
                     canAccess: false,
-                    message: 'Pass previous quizzes with at least 60% to unlock this section'
+                    message: 'Pass previous quizzes to unlock this section'
                 });
             }
         }
@@ -414,55 +453,102 @@ exports.validateSectionAccess = async (req, res) => {
     }
 };
 
-// Submit quiz answers and validate
+// Find the student's counted result for a quiz
+const findQuizResult = async (userId, quizId) => {
+    const courseProgress = await CourseProgress.findOne({
+        userId,
+        'quizResults.quiz': quizId
+    });
+    return courseProgress?.quizResults.find(result => result.quiz.toString() === quizId.toString()) || null;
+};
+
+// The student's most recent finished attempt at a quiz
+const findLastFinishedAttempt = (userId, quizId) => QuizAttempt.findOne({
+    user: userId,
+    quiz: quizId,
+    status: { $ne: 'inProgress' }
+}).sort({ attemptNumber: -1 });
+
+const toAttemptData = (attempt) => ({
+    attemptId: attempt._id,
+    attemptNumber: attempt.attemptNumber,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    // Lets the browser correct its timer for clock drift
+    serverTime: new Date(),
+    answers: attempt.answers || {},
+    questionTimes: attempt.questionTimes || {},
+    violations: attempt.integrityEvents?.length || 0,
+    // Attempts started before questions were stored on them use the quiz's
+    questions: attempt.questions?.length ? hideQuizAnswers({ questions: attempt.questions }).questions : null
+});
+
+// The instructor's grades and comments on the written answers of an attempt
+const toReviewFeedback = (attempt, quiz) => {
+    const questions = getServedQuestions(attempt, quiz);
+    return attempt.manualGrades.map(grade => {
+        const questionIndex = questions.findIndex(question => question._id.toString() === grade.question.toString());
+        return {
+            question: grade.question,
+            questionNumber: questionIndex + 1,
+            questionText: questions[questionIndex]?.questionText || '',
+            score: grade.score,
+            marks: questions[questionIndex]?.marks ?? null,
+            feedback: grade.feedback
+        };
+    });
+};
+
 // Get quiz status (passed/failed/attempts)
 exports.getQuizStatus = async (req, res) => {
     try {
         const { quizId } = req.params;
         const userId = req.user.id;
 
-        const courseProgress = await CourseProgress.findOne({
-            userId,
-            'quizResults.quiz': quizId
-        });
-
-        if (!courseProgress) {
-            return res.status(200).json({
-                success: true,
-                data: {
-                    attempts: 0,
-                    passed: false,
-                    lastAttempt: null
-                }
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
             });
         }
 
-        const quizResult = courseProgress.quizResults.find(
-            result => result.quiz.toString() === quizId
-        );
+        await expireOverdueAttempts(userId, quiz);
 
-        if (!quizResult) {
-            return res.status(200).json({
-                success: true,
-                data: {
-                    attempts: 0,
-                    passed: false,
-                    lastAttempt: null
-                }
-            });
-        }
+        const [quizResult, lastFinishedAttempt, inProgressAttempt] = await Promise.all([
+            findQuizResult(userId, quiz._id),
+            findLastFinishedAttempt(userId, quiz._id),
+            QuizAttempt.findOne({ user: userId, quiz: quiz._id, status: 'inProgress' })
+        ]);
+        const policy = getRetakePolicy(quiz, quizResult, lastFinishedAttempt);
 
         return res.status(200).json({
             success: true,
             data: {
-                attempts: quizResult.attempts,
-                passed: quizResult.passed,
-                lastAttempt: {
+                attempts: quizResult?.attempts || 0,
+                passed: Boolean(quizResult?.passed),
+                lastAttempt: quizResult ? {
                     score: quizResult.score,
                     totalMarks: quizResult.totalMarks,
                     percentage: quizResult.percentage,
-                    completedAt: quizResult.completedAt
-                }
+                    completedAt: quizResult.completedAt,
+                    codeResults: quizResult.codeResults
+                } : null,
+                passPercentage: quiz.passPercentage,
+                maxAttempts: quiz.maxAttempts,
+                scoringPolicy: quiz.scoringPolicy,
+                integrityPolicy: quiz.integrityPolicy,
+                maxViolations: quiz.maxViolations,
+                requireFullscreen: quiz.requireFullscreen,
+                attemptsRemaining: policy.attemptsRemaining,
+                nextAttemptAt: policy.nextAttemptAt,
+                canStart: policy.canStart || Boolean(inProgressAttempt),
+                reason: policy.reason,
+                inProgressAttempt: inProgressAttempt ? toAttemptData(inProgressAttempt) : null,
+                pendingReview: lastFinishedAttempt?.gradingStatus === 'pending',
+                reviewFeedback: lastFinishedAttempt?.gradingStatus === 'graded'
+                    ? toReviewFeedback(lastFinishedAttempt, quiz)
+                    : null
             }
         });
     } catch (error) {
@@ -475,332 +561,380 @@ exports.getQuizStatus = async (req, res) => {
     }
 };
 
-exports.submitQuiz = async (req, res) => {
-    console.log('=== QUIZ SUBMISSION START ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-    console.log('User:', req.user);
-    
+// Start an attempt, or resume the one in progress. The deadline is set here
+// so the time limit holds whatever the browser does.
+exports.startQuizAttempt = async (req, res) => {
     try {
-        const { quizId, courseID, subsectionId, answers, timerExpired } = req.body;
-        const userId = req.user?.id;
+        const { quizId } = req.params;
+        const { subsectionId } = req.body;
+        const userId = req.user.id;
 
-        console.log('Extracted data:', { quizId, courseID, subsectionId, userId, timerExpired });
+        if (!subsectionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'subsectionId is required'
+            });
+        }
 
-        // Validate user
-        if (!userId) {
-            console.log('ERROR: User not authenticated');
-            return res.status(401).json({
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
                 success: false,
-                message: 'User not authenticated'
+                message: 'Quiz not found'
             });
         }
 
-        if (!quizId) {
-            console.log('ERROR: quizId missing');
+        if (quiz.subSection.toString() !== subsectionId.toString()) {
             return res.status(400).json({
                 success: false,
-                message: 'quizId is required'
+                message: 'Quiz does not belong to this lecture'
             });
         }
 
-        if (!courseID) {
-            console.log('ERROR: courseID missing');
-            return res.status(400).json({
+        // The course comes from where the quiz is, not from the request
+        const section = await Section.findOne({ subSection: quiz.subSection }).select('_id');
+        const course = section && await Course.findOne({ courseContent: section._id });
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course of this quiz not found'
+            });
+        }
+        if (!(await hasCourseAccess(userId, course))) {
+            return res.status(403).json({
                 success: false,
-                message: 'courseID is required'
+                message: 'Access denied. Course access has been disabled or not purchased.'
             });
         }
 
-        if (!subsectionId) {
-            console.log('ERROR: subsectionId missing');
-            return res.status(400).json({
+        await expireOverdueAttempts(userId, quiz);
+
+        const inProgressAttempt = await QuizAttempt.findOne({ user: userId, quiz: quiz._id, status: 'inProgress' });
+        if (inProgressAttempt) {
+            return res.status(200).json({
+                success: true,
+                message: 'Quiz attempt resumed',
+                data: toAttemptData(inProgressAttempt)
+            });
+        }
+
+        const [quizResult, lastFinishedAttempt] = await Promise.all([
+            findQuizResult(userId, quiz._id),
+            findLastFinishedAttempt(userId, quiz._id)
+        ]);
+        const policy = getRetakePolicy(quiz, quizResult, lastFinishedAttempt);
+        if (!policy.canStart) {
+            return res.status(403).json({
                 success: false,
-                message: 'subsectionId is required'
+                message: policy.reason,
+                data: {
+                    attemptsRemaining: policy.attemptsRemaining,
+                    nextAttemptAt: policy.nextAttemptAt
+                }
             });
         }
 
-        // Validate answers object
+        const questions = await buildAttemptQuestions(quiz);
+
+        const startedAt = new Date();
+        let attempt;
+        try {
+            attempt = await QuizAttempt.create({
+                user: userId,
+                quiz: quiz._id,
+                course: course._id,
+                subSection: quiz.subSection,
+                // Results from before attempts were tracked still count
+                attemptNumber: Math.max(policy.attemptsUsed, lastFinishedAttempt?.attemptNumber || 0) + 1,
+                startedAt,
+                deadline: new Date(startedAt.getTime() + quiz.timeLimit * 1000),
+                questions
+            });
+        } catch (error) {
+            // Another request started the same attempt
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This quiz attempt has already been started'
+                });
+            }
+            throw error;
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Quiz attempt started',
+            data: toAttemptData(attempt)
+        });
+    } catch (error) {
+        console.error('Error starting quiz attempt:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error starting quiz attempt',
+            error: error.message
+        });
+    }
+};
+
+// Save the answers of an attempt in progress, so they are graded if time runs out
+exports.saveAttemptAnswers = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const { answers, questionTimes } = req.body;
+        const userId = req.user.id;
+
         if (!answers || typeof answers !== 'object') {
-            console.log('ERROR: answers object invalid');
             return res.status(400).json({
                 success: false,
                 message: 'answers object is required'
             });
         }
 
-        console.log('All validations passed, finding quiz...');
-
-        // Find quiz
-        const quiz = await Quiz.findById(quizId);
-        if (!quiz) {
-            console.log('ERROR: Quiz not found for ID:', quizId);
+        const attempt = await QuizAttempt.findOne({ _id: attemptId, user: userId });
+        if (!attempt) {
             return res.status(404).json({
                 success: false,
-                message: 'Quiz not found'
+                message: 'Quiz attempt not found'
             });
         }
 
-        console.log('Quiz found:', quiz.title || 'Untitled Quiz');
+        if (isPastGrace(attempt)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Time is up for this quiz attempt'
+            });
+        }
 
-        // Find existing course progress
-        console.log('Finding course progress for:', { userId, courseID });
-        let courseProgress = await CourseProgress.findOne({ userId, courseID });
-        console.log('Found course progress:', courseProgress ? 'Yes' : 'No');
-        
-        // Check if quiz is already passed
-        const existingResult = courseProgress?.quizResults?.find(
-            result => result.quiz.toString() === quiz._id.toString() && result.passed
+        const times = toQuestionTimes(attempt, questionTimes);
+        const result = await QuizAttempt.updateOne(
+            { _id: attempt._id, status: 'inProgress' },
+            { $set: { answers, ...(times ? { questionTimes: times } : {}) } }
         );
-        console.log('Existing quiz result:', existingResult ? 'Yes (Passed)' : 'No');
-        
-        if (existingResult) {
-            console.log('Quiz already passed, returning existing result');
+        if (!result.matchedCount) {
+            return res.status(409).json({
+                success: false,
+                message: 'This quiz attempt has already been submitted'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                savedAt: new Date(),
+                deadline: attempt.deadline
+            }
+        });
+    } catch (error) {
+        console.error('Error saving quiz answers:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error saving quiz answers',
+            error: error.message
+        });
+    }
+};
+
+// Upload the file answering a file upload question of an attempt in progress.
+// The answer then points at the returned file; submitting checks it was uploaded here.
+exports.uploadAnswerFile = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const { questionId } = req.body;
+        const userId = req.user.id;
+
+        if (!req.file || !questionId) {
             return res.status(400).json({
                 success: false,
-                message: 'Quiz already passed. Retakes not allowed for passed quizzes.',
-                data: {
-                    score: existingResult.score,
-                    totalMarks: existingResult.totalMarks,
-                    percentage: existingResult.percentage,
-                    passed: true
-                }
+                message: 'A file and questionId are required'
             });
         }
 
-        console.log('Starting score calculation...');
+        const attempt = await QuizAttempt.findOne({ _id: attemptId, user: userId });
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz attempt not found'
+            });
+        }
 
-        // Validate required questions and calculate score
-        let score = 0;
-        let totalMarks = 0;
-        const unansweredQuestions = [];
+        if (attempt.status !== 'inProgress' || isPastGrace(attempt)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This quiz attempt is no longer in progress'
+            });
+        }
 
-        for (let i = 0; i < quiz.questions.length; i++) {
-            const question = quiz.questions[i];
-            const questionId = question._id.toString();
-            
-            totalMarks += question.marks;
+        const quiz = await Quiz.findById(attempt.quiz);
+        const question = getServedQuestions(attempt, quiz || { questions: [] })
+            .find(candidate => candidate._id.toString() === questionId.toString());
+        if (!question || question.questionType !== 'fileUpload') {
+            return res.status(400).json({
+                success: false,
+                message: 'This question does not take file uploads'
+            });
+        }
+
+        const extension = req.file.originalname.split('.').pop().toLowerCase();
+        if (!(question.allowedFileTypes || []).includes(extension)) {
+            return res.status(400).json({
+                success: false,
+                message: `This question accepts ${question.allowedFileTypes.join(', ')} files`
+            });
+        }
+        if (req.file.size > question.maxFileSizeMB * 1024 * 1024) {
+            return res.status(400).json({
+                success: false,
+                message: `Files for this question can be at most ${question.maxFileSizeMB}MB`
+            });
+        }
+        if (attempt.uploads.filter(upload => upload.question.toString() === questionId.toString()).length >= MAX_UPLOADS_PER_QUESTION) {
+            return res.status(400).json({
+                success: false,
+                message: `You can upload at most ${MAX_UPLOADS_PER_QUESTION} files for a question`
+            });
+        }
 
-            // Check if question is answered based on question type
-            let isAnswered = false;
-            let isCorrect = false;
+        const uploaded = await uploadFileToS3(req.file, S3_FOLDERS.QUIZ_ANSWERS, { processImage: false });
+        const file = {
+            url: uploaded.secure_url,
+            name: req.file.originalname,
+            size: req.file.size,
+            mimeType: req.file.mimetype
+        };
 
-            // Check if answer exists for this question
-            const answer = answers[questionId];
+        const result = await QuizAttempt.updateOne(
+            { _id: attempt._id, status: 'inProgress' },
+            { $push: { uploads: { question: question._id, ...file } } }
+        );
+        if (!result.matchedCount) {
+            return res.status(409).json({
+                success: false,
+                message: 'This quiz attempt has already been submitted'
+            });
+        }
 
-            if (question.questionType === 'codeSolve') {
-                // For code solving questions
-                isAnswered = answer && typeof answer.code === 'string' && answer.code.trim() !== '';
-                
-                if (isAnswered) {
-                    // Execute code against test cases
-                    try {
-                        const testResults = await Promise.all(question.testCases.map(async testCase => {
-                            const result = await executeCode(
-                                answer.code,
-                                question.programmingLanguage === 'open' ? answer.language : question.programmingLanguage,
-                                testCase.input
-                            );
-                            
-                            // Clean up output (remove trailing newlines, etc)
-                            const cleanOutput = (output) => output.trim().replace(/\r\n/g, '\n');
-                            const expectedOutput = cleanOutput(testCase.expectedOutput);
-                            const actualOutput = cleanOutput(result.data.stdout || '');
-                            
-                            return {
-                                passed: expectedOutput === actualOutput,
-                                input: testCase.input,
-                                expectedOutput,
-                                actualOutput,
-                                error: result.data.stderr || null
-                            };
-                        }));
-
-                        // Question is correct if all test cases pass
-                        isCorrect = testResults.every(result => result.passed);
-                        
-                        // Store test results for feedback
-                        answer.testResults = testResults;
-                    } catch (error) {
-                        console.error('Code execution error:', error);
-                        isCorrect = false;
-                        answer.error = error.message;
-                    }
-                }
-            } else if (question.questionType === 'matchTheFollowing') {
-                // For match the following, check if all pairs are answered
-                const hasAllMatches = question.options.every((_, optionIndex) => 
-                    answers[`${questionId}_${optionIndex}`] !== undefined && 
-                    answers[`${questionId}_${optionIndex}`] !== ''
-                );
-                isAnswered = hasAllMatches;
-                
-                if (isAnswered) {
-                    // Check if ALL matches are correct - if any one is wrong, entire question is wrong
-                    isCorrect = question.options.every((_, optionIndex) => {
-                        const userAnswer = answers[`${questionId}_${optionIndex}`];
-                        // The correct answer should match the option index
-                        return parseInt(userAnswer) === optionIndex;
-                    });
-                }
-            } else if (question.questionType === 'multipleChoice') {
-                // For multiple choice questions
-                const answer = answers[questionId];
-                isAnswered = Array.isArray(answer) && answer.length > 0;
-                
-                if (isAnswered && question.correctAnswers && question.correctAnswers.length > 0) {
-                    // Check if selected answers match correct answers
-                    const selectedIndices = answer.sort();
-                    const correctIndices = question.correctAnswers.sort();
-                    isCorrect = selectedIndices.length === correctIndices.length && 
-                               selectedIndices.every((val, index) => val === correctIndices[index]);
-                }
-            } else if (question.questionType === 'singleAnswer') {
-                // For single answer questions
-                const answer = answers[questionId];
-                isAnswered = answer !== undefined && answer !== null;
-                
-                if (isAnswered) {
-                    const correctNum = Number(question.correctAnswer);
-                    const answerNum = Number(answer);
-                    isCorrect = answerNum === correctNum;
-                }
-            } else {
-                // For other question types (shortAnswer, longAnswer)
-                const answer = answers[questionId];
-                isAnswered = answer !== undefined && answer !== null && 
-                           (typeof answer === 'string' ? answer.trim() !== '' : true);
-                
-                // For short answer questions, check if at least 50% of keywords match
-                if (isAnswered && question.questionType === 'shortAnswer') {
-                  if (!question.keywords || question.keywords.length === 0) {
-                    isCorrect = true; // If no keywords defined, consider it correct
-                  } else {
-                    const studentAnswer = answer.toLowerCase();
-                    const matchedKeywords = question.keywords.filter(keyword => 
-                      studentAnswer.includes(keyword.toLowerCase())
-                    );
-                    isCorrect = matchedKeywords.length >= Math.ceil(question.keywords.length * 0.5);
-                  }
-                } else if (isAnswered) {
-                  isCorrect = true; // For other text answers (like longAnswer)
-                }
-            }
+        return res.status(201).json({
+            success: true,
+            data: file
+        });
+    } catch (error) {
+        console.error('Error uploading answer file:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error uploading answer file',
+            error: error.message
+        });
+    }
+};
 
-            // Track unanswered required questions (only if timer hasn't expired)
-            if (question.required && !isAnswered && !timerExpired) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Answer required for question ${i + 1}`
-                });
-            }
+const getSubmissionMessage = (attempt) => {
+    if (attempt.gradingStatus === 'pending') {
+        return 'Quiz submitted. Your written answers will be graded by your instructor.';
+    }
+    return attempt.passed ? 'Quiz passed successfully!' : 'Quiz submitted successfully, but did not meet passing score.';
+};
 
-            // Add to score if correct
-            if (isCorrect) {
-                score += question.marks;
-            }
+// The result of a finished attempt as the student sees it
+const toSubmissionData = (finished, quiz, autoSubmitted) => ({
+    attemptId: finished.attempt._id,
+    attemptNumber: finished.attempt.attemptNumber,
+    score: finished.attempt.score,
+    totalMarks: finished.attempt.totalMarks,
+    percentage: finished.attempt.percentage.toFixed(1),
+    passed: finished.attempt.passed,
+    autoSubmitted,
+    // score and percentage only cover the questions graded so far
+    pendingReview: finished.attempt.gradingStatus === 'pending',
+    requiredPercentage: quiz.passPercentage,
+    codeResults: finished.codeResults.map(result => ({
+        ...result,
+        testResults: toStudentTestResults(result.testResults)
+    }))
+});
+
+// Submit quiz answers and grade them
+exports.submitQuiz = async (req, res) => {
+    try {
+        const { attemptId, answers, questionTimes } = req.body;
+        const userId = req.user?.id;
+
+        // Validate user
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not authenticated'
+            });
         }
 
-        console.log('Score calculation complete:', { score, totalMarks });
+        if (!attemptId) {
+            return res.status(400).json({
+                success: false,
+                message: 'attemptId is required'
+            });
+        }
 
-        // Only validate required questions if timer hasn't expired
-        if (!timerExpired && unansweredQuestions.length > 0) {
-            console.log('Unanswered questions found:', unansweredQuestions);
+        // Validate answers object
+        if (!answers || typeof answers !== 'object') {
             return res.status(400).json({
                 success: false,
-                message: `Please answer all questions before submitting. Unanswered questions: ${unansweredQuestions.join(', ')}`
+                message: 'answers object is required'
             });
         }
 
-        // Calculate percentage
-        const percentage = (score / totalMarks) * 100;
-        const passed = percentage >= 60;
+        const attempt = await QuizAttempt.findOne({ _id: attemptId, user: userId });
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz attempt not found'
+            });
+        }
 
-        console.log('Starting course progress update...');
+        const quiz = await Quiz.findById(attempt.quiz);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
 
-        // Simplified course progress update
-        if (!courseProgress) {
-            console.log('Creating new course progress');
-            try {
-                courseProgress = new CourseProgress({
-                    userId,
-                    courseID,
-                    completedVideos: [],
-                    completedQuizzes: passed ? [subsectionId] : [],
-                    passedQuizzes: passed ? [subsectionId] : [],
-                    quizResults: [{
-                        quiz: quiz._id,
-                        subSection: subsectionId,
-                        score,
-                        totalMarks,
-                        percentage,
-                        passed,
-                        attempts: 1,
-                        completedAt: new Date()
-                    }]
+        if (attempt.status !== 'inProgress') {
+            return res.status(409).json({
+                success: false,
+                message: 'This quiz attempt has already been submitted'
+            });
+        }
+
+        // Late submissions are graded from the answers saved before the deadline
+        const autoSubmitted = isPastGrace(attempt);
+        if (!autoSubmitted && !isTimeUp(attempt)) {
+            const unansweredQuestions = findUnansweredQuestions(getServedQuestions(attempt, quiz), answers);
+            if (unansweredQuestions.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Please answer all questions before submitting. Unanswered questions: ${unansweredQuestions.join(', ')}`
                 });
-                await courseProgress.save();
-                console.log('Course progress created successfully');
-            } catch (saveError) {
-                console.error('Error creating course progress:', saveError);
-                throw saveError;
             }
-        } else {
-            console.log('Updating existing course progress');
-            try {
-                // Find existing quiz result
-                const existingQuizResultIndex = courseProgress.quizResults.findIndex(
-                    result => result.quiz.toString() === quiz._id.toString()
-                );
-
-                const newQuizResult = {
-                    quiz: quiz._id,
-                    subSection: subsectionId,
-                    score,
-                    totalMarks,
-                    percentage,
-                    passed,
-                    attempts: existingQuizResultIndex >= 0 ? courseProgress.quizResults[existingQuizResultIndex].attempts + 1 : 1,
-                    completedAt: new Date()
-                };
-
-                if (existingQuizResultIndex >= 0) {
-                    // Update existing result
-                    courseProgress.quizResults[existingQuizResultIndex] = newQuizResult;
-                } else {
-                    // Add new result
-                    courseProgress.quizResults.push(newQuizResult);
-                }
-
-                // Update completed and passed quizzes if passed
-                if (passed) {
-                    if (!courseProgress.completedQuizzes.includes(subsectionId)) {
-                        courseProgress.completedQuizzes.push(subsectionId);
-                    }
-                    if (!courseProgress.passedQuizzes.includes(subsectionId)) {
-                        courseProgress.passedQuizzes.push(subsectionId);
-                    }
-                }
+        }
 
-                await courseProgress.save();
-                console.log('Course progress updated successfully');
-            } catch (updateError) {
-                console.error('Error updating course progress:', updateError);
-                throw updateError;
-            }
+        const finished = autoSubmitted
+            ? await finishAttempt(attempt, quiz, attempt.answers || {}, 'expired')
+            : await finishAttempt(attempt, quiz, answers, 'submitted', toQuestionTimes(attempt, questionTimes));
+        if (!finished) {
+            return res.status(409).json({
+                success: false,
+                message: 'This quiz attempt has already been submitted'
+            });
         }
 
-        console.log('Sending success response...');
+        let message = getSubmissionMessage(finished.attempt);
+        if (autoSubmitted) {
+            message = `Time was up, so your saved answers were graded. ${message}`;
+        }
 
         return res.status(200).json({
             success: true,
-            message: passed ? 'Quiz passed successfully!' : 'Quiz submitted successfully, but did not meet passing score.',
-            data: {
-                score,
-                totalMarks,
-                percentage: percentage.toFixed(1),
-                passed,
-                requiredPercentage: 60
-            }
+            message,
+            data: toSubmissionData(finished, quiz, autoSubmitted)
         });
     } catch (error) {
         console.error('=== QUIZ SUBMISSION ERROR ===');
@@ -808,11 +942,8 @@ exports.submitQuiz = async (req, res) => {
         console.error('Error stack:', error.stack);
         console.error('Error name:', error.name);
         console.error('Request data:', {
-            quizId: req.body?.quizId,
-            courseID: req.body?.courseID,
-            subsectionId: req.body?.subsectionId,
-            userId: req.user?.id,
-            timerExpired: req.body?.timerExpired
+            attemptId: req.body?.attemptId,
+            userId: req.user?.id
         });
 
         // Check for specific error types
@@ -852,3 +983,184 @@ exports.submitQuiz = async (req, res) => {
         });
     }
 };
+
+// Record integrity events of an attempt in progress. Under an autoSubmit
+// policy the attempt is submitted, with the answers sent along or saved
+// before, once it has as many violations as the quiz allows.
+exports.recordIntegrityEvents = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const { events, answers, questionTimes } = req.body;
+        const userId = req.user.id;
+
+        const attempt = await QuizAttempt.findOne({ _id: attemptId, user: userId });
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz attempt not found'
+            });
+        }
+
+        if (attempt.status !== 'inProgress' || isPastGrace(attempt)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This quiz attempt is no longer in progress'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.quiz);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const newEvents = toIntegrityEvents(attempt, events);
+        if (newEvents.length) {
+            const result = await QuizAttempt.updateOne(
+                { _id: attempt._id, status: 'inProgress' },
+                { $push: { integrityEvents: { $each: newEvents, $slice: MAX_ATTEMPT_EVENTS } } }
+            );
+            if (!result.matchedCount) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This quiz attempt has already been submitted'
+                });
+            }
+        }
+
+        const violations = Math.min(attempt.integrityEvents.length + newEvents.length, MAX_ATTEMPT_EVENTS);
+        let finished = null;
+        if (quiz.integrityPolicy === 'autoSubmit' && violations >= quiz.maxViolations) {
+            const finalAnswers = answers && typeof answers === 'object' ? answers : attempt.answers || {};
+            finished = await finishAttempt(attempt, quiz, finalAnswers, 'submitted', toQuestionTimes(attempt, questionTimes));
+            if (finished) {
+                await QuizAttempt.updateOne({ _id: attempt._id }, { $set: { integrityAutoSubmitted: true } });
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: finished
+                ? `Your quiz was submitted after ${violations} integrity violations. ${getSubmissionMessage(finished.attempt)}`
+                : 'Integrity events recorded',
+            data: {
+                violations,
+                maxViolations: quiz.maxViolations,
+                integrityPolicy: quiz.integrityPolicy,
+                autoSubmitted: Boolean(finished),
+                // The graded attempt, when it was submitted
+                result: finished ? toSubmissionData(finished, quiz, true) : null
+            }
+        });
+    } catch (error) {
+        console.error('Error recording integrity events:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error recording integrity events',
+            error: error.message
+        });
+    }
+};
+
+// Largest code and input accepted by the run endpoints
+const MAX_CODE_LENGTH = 64 * 1024;
+const MAX_TEST_CASES = 25;
+
+// Check the code, language and input sent to the run endpoints, resolving to an error message or null
+const validateRunInput = ({ code, language, input }) => {
+    if (typeof code !== 'string' || !code.trim()) {
+        return 'Code is required';
+    }
+    if (typeof language !== 'string' || !language) {
+        return 'Language is required';
+    }
+    if (code.length > MAX_CODE_LENGTH || (input && String(input).length > MAX_CODE_LENGTH)) {
+        return 'Code and input must be at most 64 KB';
+    }
+    return null;
+};
+
+// ================ RUN CODE ================
+// Runs code from the quiz editor with custom input
+exports.runCode = async (req, res) => {
+    try {
+        const { code, language, input = '' } = req.body;
+
+        const validationError = validateRunInput({ code, language, input });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const result = await executeCode(code, language, String(input), { userId: req.user.id });
+        if (!result.success) {
+            return res.status(422).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: result.data
+        });
+
+    } catch (error) {
+        console.error('Error running code:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error running code',
+            error: error.message
+        });
+    }
+};
+
+// ================ RUN TEST CASES ================
+// Runs code from the quiz editor against the test cases shown to the student
+exports.runTestCases = async (req, res) => {
+    try {
+        const { code, language, testCases } = req.body;
+
+        const validationError = validateRunInput({ code, language });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (!Array.isArray(testCases) || testCases.length === 0 || testCases.length > MAX_TEST_CASES) {
+            return res.status(400).json({
+                success: false,
+                message: `Send between 1 and ${MAX_TEST_CASES} test cases`
+            });
+        }
+
+        const result = await validateCodeWithTestCases(
+            code,
+            language,
+            testCases.map(testCase => ({
+                input: String(testCase?.input ?? ''),
+                expectedOutput: String(testCase?.expectedOutput ?? '')
+            })),
+            { userId: req.user.id }
+        );
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Error running test cases:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error running test cases',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,77 @@
+const QuizAttempt = require('../models/quizAttempt');
+const CourseProgress = require('../models/courseProgress');
+const { analyzeQuizItems } = require('../utils/quizItemAnalysis');
+const { findReviewableQuiz } = require('../utils/quizAttemptUtils');
+
+// The attempt a recorded result came from. Results recorded before they kept
+// their attempt fall back to the student's latest attempt with the same score.
+const findResultAttempt = (result, attempts) => {
+    if (result.attempt) {
+        return attempts.find(attempt => attempt._id.toString() === result.attempt.toString()) || null;
+    }
+    return attempts
+        .filter(attempt => attempt.score === result.score && attempt.totalMarks === result.totalMarks)
+        .sort((a, b) => b.attemptNumber - a.attemptNumber)[0] || null;
+};
+
+// ================ GET QUIZ ITEM ANALYSIS ================
+// Per-question statistics from every student's recorded result of the quiz
+exports.getQuizItemAnalysis = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const quiz = await findReviewableQuiz(quizId, req.user);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const progressRecords = await CourseProgress.find({ 'quizResults.quiz': quiz._id })
+            .select('userId quizResults')
+            .lean();
+        const results = progressRecords.map(progress => ({
+            user: progress.userId.toString(),
+            result: progress.quizResults.find(result => result.quiz.toString() === quiz._id.toString())
+        }));
+
+        const attempts = await QuizAttempt.find({
+            quiz: quiz._id,
+            user: { $in: results.map(({ user }) => user) },
+            status: { $ne: 'inProgress' },
+            gradingStatus: { $ne: 'pending' }
+        })
+            .select('user attemptNumber questions answers questionTimes score totalMarks codeResults manualGrades')
+            .lean();
+
+        const attemptsByUser = attempts.reduce((byUser, attempt) => {
+            const user = attempt.user.toString();
+            (byUser[user] = byUser[user] || []).push(attempt);
+            return byUser;
+        }, {});
+
+        const respondents = results.reduce((found, { user, result }) => {
+            const attempt = findResultAttempt(result, attemptsByUser[user] || []);
+            if (attempt) {
+                found.push({ percentage: result.percentage, passed: result.passed, attempt });
+            }
+            return found;
+        }, []);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                quizId: quiz._id,
+                title: quiz.title,
+                ...analyzeQuizItems(quiz, respondents)
+            }
+        });
+    } catch (error) {
+        console.error('Error analysing quiz items:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error analysing quiz items',
+            error: error.message
+        });
+    }
+};
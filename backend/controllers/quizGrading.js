@@ -0,0 +1,260 @@
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const { getManualGradeError, getManualGradeScore } = require('../utils/quizGrading');
+const {
+    getServedQuestions,
+    releaseAttemptGrades,
+    getGradableCourseFilter,
+    findGradableAttempt
+} = require('../utils/quizAttemptUtils');
+
+// ================ GET GRADING QUEUE ================
+// Attempts with written answers to grade, oldest first
+exports.getGradingQueue = async (req, res) => {
+    try {
+        const { course, status = 'pending' } = req.query;
+
+        if (!['pending', 'graded'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'status must be pending or graded'
+            });
+        }
+
+        const filter = {
+            gradingStatus: status,
+            ...(await getGradableCourseFilter(req.user))
+        };
+        if (course) {
+            // Instructors can't widen the filter to courses they don't teach
+            filter.course = filter.course
+                ? { $in: filter.course.$in.filter(id => id.toString() === course) }
+                : course;
+        }
+
+        const attempts = await QuizAttempt.find(filter)
+            .select('user course subSection quiz attemptNumber submittedAt status reviewQuestions manualGrades releasedAt')
+            .populate('user', 'firstName lastName email')
+            .populate('course', 'courseName')
+            .populate('subSection', 'title')
+            .sort({ submittedAt: status === 'pending' ? 1 : -1 })
+            .limit(200)
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            data: attempts.map(attempt => ({
+                attemptId: attempt._id,
+                attemptNumber: attempt.attemptNumber,
+                quiz: attempt.quiz,
+                student: attempt.user,
+                course: attempt.course,
+                lecture: attempt.subSection,
+                submittedAt: attempt.submittedAt,
+                expired: attempt.status === 'expired',
+                reviewCount: attempt.reviewQuestions.length,
+                gradedCount: attempt.manualGrades.length,
+                releasedAt: attempt.releasedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching grading queue:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching grading queue',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET ATTEMPT FOR GRADING ================
+// The written answers of an attempt with their questions, rubrics and any grades so far
+exports.getAttemptForGrading = async (req, res) => {
+    try {
+        const attempt = await findGradableAttempt(req.params.attemptId, req.user);
+        if (!attempt || attempt.gradingStatus === 'auto') {
+            return res.status(404).json({
+                success: false,
+                message: 'No answers to grade for this attempt'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.quiz);
+        await attempt.populate([
+            { path: 'user', select: 'firstName lastName email' },
+            { path: 'course', select: 'courseName' },
+            { path: 'subSection', select: 'title' }
+        ]);
+
+        const questions = getServedQuestions(attempt, quiz || { questions: [] });
+        const answers = attempt.answers || {};
+        const items = attempt.reviewQuestions.map(questionId => {
+            const questionIndex = questions.findIndex(question => question._id.toString() === questionId.toString());
+            const question = questions[questionIndex];
+            return {
+                questionNumber: questionIndex + 1,
+                question: question ? {
+                    _id: question._id,
+                    questionText: question.questionText,
+                    questionType: question.questionType,
+                    marks: question.marks,
+                    keywords: question.keywords,
+                    rubric: question.rubric
+                } : null,
+                answer: answers[questionId.toString()] ?? null,
+                grade: attempt.manualGrades.find(grade => grade.question.toString() === questionId.toString()) || null
+            };
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                attemptId: attempt._id,
+                attemptNumber: attempt.attemptNumber,
+                student: attempt.user,
+                course: attempt.course,
+                lecture: attempt.subSection,
+                submittedAt: attempt.submittedAt,
+                gradingStatus: attempt.gradingStatus,
+                autoScore: attempt.autoScore,
+                totalMarks: attempt.totalMarks,
+                passPercentage: quiz?.passPercentage ?? null,
+                items
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching attempt for grading:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching attempt for grading',
+            error: error.message
+        });
+    }
+};
+
+// ================ GRADE QUIZ ATTEMPT ================
+// Save grades for the written answers of an attempt. With release set, every
+// answer must be graded; the result is then recorded and the student notified.
+exports.gradeQuizAttempt = async (req, res) => {
+    try {
+        const { grades = [], release = false } = req.body;
+
+        if (!Array.isArray(grades)) {
+            return res.status(400).json({
+                success: false,
+                message: 'grades must be a list'
+            });
+        }
+
+        const attempt = await findGradableAttempt(req.params.attemptId, req.user);
+        if (!attempt || attempt.gradingStatus === 'auto') {
+            return res.status(404).json({
+                success: false,
+                message: 'No answers to grade for this attempt'
+            });
+        }
+        if (attempt.gradingStatus === 'graded') {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt has already been graded and released'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.quiz);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const questions = getServedQuestions(attempt, quiz);
+        const reviewIds = attempt.reviewQuestions.map(id => id.toString());
+
+        for (const grade of grades) {
+            const questionId = grade?.question?.toString();
+            const question = questions.find(candidate => candidate._id.toString() === questionId);
+            if (!question || !reviewIds.includes(questionId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only the written answers of this attempt can be graded'
+                });
+            }
+
+            const gradeError = getManualGradeError(question, grade);
+            if (gradeError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Question ${questions.indexOf(question) + 1}: ${gradeError}`
+                });
+            }
+
+            const manualGrade = {
+                question: question._id,
+                score: getManualGradeScore(question, grade),
+                rubricScores: question.rubric?.length ? grade.rubricScores.map(Number) : [],
+                feedback: (grade.feedback || '').trim(),
+                gradedBy: req.user.id,
+                gradedAt: new Date()
+            };
+            const existingIndex = attempt.manualGrades.findIndex(existing => existing.question.toString() === questionId);
+            if (existingIndex >= 0) {
+                attempt.manualGrades.set(existingIndex, manualGrade);
+            } else {
+                attempt.manualGrades.push(manualGrade);
+            }
+        }
+
+        if (release) {
+            const ungraded = reviewIds.filter(id => !attempt.manualGrades.some(grade => grade.question.toString() === id));
+            if (ungraded.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Grade every answer before releasing the result'
+                });
+            }
+        }
+
+        // Another grader may have released the attempt meanwhile
+        const saved = await QuizAttempt.findOneAndUpdate(
+            { _id: attempt._id, gradingStatus: 'pending' },
+            { $set: { manualGrades: attempt.manualGrades } },
+            { new: true }
+        );
+        if (!saved) {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt has already been graded and released'
+            });
+        }
+
+        const released = release ? await releaseAttemptGrades(saved, quiz) : null;
+        if (release && !released) {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt has already been graded and released'
+            });
+        }
+
+        const result = released || saved;
+        return res.status(200).json({
+            success: true,
+            message: release ? 'Result released to the student' : 'Grades saved',
+            data: {
+                attemptId: result._id,
+                gradingStatus: result.gradingStatus,
+                score: result.score,
+                totalMarks: result.totalMarks,
+                percentage: result.percentage,
+                passed: result.passed
+            }
+        });
+    } catch (error) {
+        console.error('Error grading quiz attempt:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error grading quiz attempt',
+            error: error.message
+        });
+    }
+};
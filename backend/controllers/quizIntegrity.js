@@ -0,0 +1,193 @@
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const { getServedQuestions, getGradableCourseFilter, findReviewableQuiz } = require('../utils/quizAttemptUtils');
+const { countIntegrityEvents } = require('../utils/quizIntegrity');
+const { DEFAULT_THRESHOLD, findSimilarAnswers } = require('../utils/codeSimilarity');
+
+// Each student's latest finished attempt at a quiz, whose code answers are compared
+const findLatestAttempts = async (quizId) => {
+    const attempts = await QuizAttempt.find({ quiz: quizId, status: { $ne: 'inProgress' } })
+        .select('user attemptNumber questions answers')
+        .populate('user', 'firstName lastName email')
+        .sort({ attemptNumber: -1 })
+        .lean();
+    const seen = new Set();
+    return attempts.filter(attempt => {
+        const user = attempt.user?._id?.toString();
+        if (!user || seen.has(user)) {
+            return false;
+        }
+        seen.add(user);
+        return true;
+    });
+};
+
+// Pairs of code answers by different students at least threshold similar,
+// for every code question of the quiz
+const findSimilarCode = (quiz, attempts, threshold) => {
+    const questions = new Map();
+    attempts.forEach(attempt => {
+        getServedQuestions(attempt, quiz)
+            .filter(question => question.questionType === 'codeSolve')
+            .forEach(question => questions.set(question._id.toString(), question));
+    });
+
+    return [...questions.values()].flatMap(question => {
+        const questionId = question._id.toString();
+        const answers = attempts
+            .filter(attempt => attempt.answers?.[questionId]?.code)
+            .map(attempt => ({ key: attempt, user: attempt.user._id, code: attempt.answers[questionId].code }));
+        return findSimilarAnswers(answers, threshold).map(pair => ({
+            question: { _id: question._id, questionText: question.questionText },
+            similarity: pair.similarity,
+            attempts: [pair.a, pair.b].map(attempt => ({
+                attemptId: attempt._id,
+                attemptNumber: attempt.attemptNumber,
+                student: attempt.user
+            }))
+        }));
+    });
+};
+
+const getThreshold = (query) => {
+    const threshold = Number(query.threshold);
+    return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD;
+};
+
+// ================ GET QUIZ INTEGRITY REPORT ================
+// Integrity violations of every finished attempt at a quiz, and code answers
+// by different students that are suspiciously alike
+exports.getQuizIntegrityReport = async (req, res) => {
+    try {
+        const quiz = await findReviewableQuiz(req.params.quizId, req.user);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const attempts = await QuizAttempt.find({ quiz: quiz._id, status: { $ne: 'inProgress' } })
+            .select('user attemptNumber status submittedAt percentage passed gradingStatus integrityEvents integrityAutoSubmitted')
+            .populate('user', 'firstName lastName email')
+            .sort({ submittedAt: -1 })
+            .limit(500)
+            .lean();
+
+        const similarCode = findSimilarCode(quiz, await findLatestAttempts(quiz._id), getThreshold(req.query));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                quizId: quiz._id,
+                title: quiz.title,
+                integrityPolicy: quiz.integrityPolicy,
+                maxViolations: quiz.maxViolations,
+                attempts: attempts.map(attempt => ({
+                    attemptId: attempt._id,
+                    attemptNumber: attempt.attemptNumber,
+                    student: attempt.user,
+                    submittedAt: attempt.submittedAt,
+                    expired: attempt.status === 'expired',
+                    percentage: attempt.percentage,
+                    passed: attempt.passed,
+                    pendingReview: attempt.gradingStatus === 'pending',
+                    violations: (attempt.integrityEvents || []).length,
+                    eventCounts: countIntegrityEvents(attempt.integrityEvents),
+                    autoSubmitted: Boolean(attempt.integrityAutoSubmitted)
+                })),
+                similarCode
+            }
+        });
+    } catch (error) {
+        console.error('Error building quiz integrity report:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error building quiz integrity report',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET ATTEMPT INTEGRITY REPORT ================
+// The integrity events of one attempt in order, the time spent on each
+// question, and other students' code answers its own resemble
+exports.getAttemptIntegrityReport = async (req, res) => {
+    try {
+        const attempt = await QuizAttempt.findOne({
+            _id: req.params.attemptId,
+            ...(await getGradableCourseFilter(req.user))
+        })
+            .populate('user', 'firstName lastName email')
+            .lean();
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz attempt not found'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.quiz).lean();
+        const questions = getServedQuestions(attempt, quiz || { questions: [] });
+        const questionNumber = (questionId) => (questionId
+            ? questions.findIndex(question => question._id.toString() === questionId.toString()) + 1 || null
+            : null);
+
+        const events = [...(attempt.integrityEvents || [])]
+            .sort((a, b) => new Date(a.at) - new Date(b.at))
+            .map(event => ({
+                kind: event.kind,
+                at: event.at,
+                questionNumber: questionNumber(event.question)
+            }));
+
+        const questionTimes = questions.map((question, index) => ({
+            questionNumber: index + 1,
+            questionText: question.questionText,
+            questionType: question.questionType,
+            seconds: attempt.questionTimes?.[question._id.toString()] ?? null
+        }));
+
+        // Compare with the other students' latest attempts, keeping pairs with this one
+        const others = quiz
+            ? (await findLatestAttempts(quiz._id)).filter(other => other.user._id.toString() !== attempt.user?._id?.toString())
+            : [];
+        const similarCode = quiz
+            ? findSimilarCode(quiz, [attempt, ...others], getThreshold(req.query))
+                .filter(pair => pair.attempts.some(item => item.attemptId.toString() === attempt._id.toString()))
+                .map(pair => ({
+                    question: pair.question,
+                    similarity: pair.similarity,
+                    other: pair.attempts.find(item => item.attemptId.toString() !== attempt._id.toString())
+                }))
+            : [];
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                attemptId: attempt._id,
+                attemptNumber: attempt.attemptNumber,
+                student: attempt.user,
+                status: attempt.status,
+                startedAt: attempt.startedAt,
+                submittedAt: attempt.submittedAt,
+                percentage: attempt.percentage,
+                integrityPolicy: quiz?.integrityPolicy ?? null,
+                maxViolations: quiz?.maxViolations ?? null,
+                autoSubmitted: Boolean(attempt.integrityAutoSubmitted),
+                violations: events.length,
+                eventCounts: countIntegrityEvents(attempt.integrityEvents),
+                events,
+                questionTimes,
+                similarCode
+            }
+        });
+    } catch (error) {
+        console.error('Error building attempt integrity report:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error building attempt integrity report',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,117 @@
+const Quiz = require('../models/quiz');
+const QuestionBank = require('../models/questionBank');
+const { getFormat, buildExport, previewImport } = require('../services/quizFormats');
+const { getVisibleBankFilter } = require('../utils/quizQuestionUtils');
+
+// Largest import file accepted, after decoding
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+const unknownFormat = (res) => res.status(400).json({
+    success: false,
+    message: 'Format must be one of csv, gift or qti'
+});
+
+// ================ EXPORT QUIZ ================
+// The quiz's own questions in the requested format. Questions drawn from banks
+// at attempt time are exported with their bank instead.
+exports.exportQuiz = async (req, res) => {
+    try {
+        const format = getFormat(req.query.format);
+        if (!format) {
+            return unknownFormat(res);
+        }
+
+        const quiz = await Quiz.findById(req.params.quizId).lean();
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: buildExport(format, quiz)
+        });
+    } catch (error) {
+        console.error('Error exporting quiz:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error exporting quiz',
+            error: error.message
+        });
+    }
+};
+
+// ================ EXPORT QUESTION BANK ================
+exports.exportQuestionBank = async (req, res) => {
+    try {
+        const format = getFormat(req.query.format);
+        if (!format) {
+            return unknownFormat(res);
+        }
+
+        const bank = await QuestionBank.findOne({
+            _id: req.params.bankId,
+            ...(await getVisibleBankFilter(req.user))
+        }).lean();
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: buildExport(format, bank)
+        });
+    } catch (error) {
+        console.error('Error exporting question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error exporting question bank',
+            error: error.message
+        });
+    }
+};
+
+// ================ PREVIEW QUIZ IMPORT ================
+// Dry run only: parses and validates the file and reports every row error.
+// Nothing is saved; the editor adds the questions and saves them as usual.
+exports.previewQuizImport = async (req, res) => {
+    try {
+        const { content, encoding = 'utf8' } = req.body;
+        const format = getFormat(req.body.format);
+        if (!format) {
+            return unknownFormat(res);
+        }
+
+        if (typeof content !== 'string' || !content || !['utf8', 'base64'].includes(encoding)) {
+            return res.status(400).json({
+                success: false,
+                message: 'File content is required as UTF-8 text or base64'
+            });
+        }
+
+        const buffer = Buffer.from(content, encoding);
+        if (buffer.length > MAX_IMPORT_BYTES) {
+            return res.status(400).json({
+                success: false,
+                message: `Import files can be at most ${MAX_IMPORT_BYTES / (1024 * 1024)}MB`
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: previewImport(format, buffer)
+        });
+    } catch (error) {
+        console.error('Error previewing quiz import:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error previewing quiz import',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const RefundRequest = require('../models/refundRequest');
+const { getGateway } = require('../services/paymentGateways');
+const { checkRefundEligibility, applyRefund, getRefundPolicy } = require('../utils/refundUtils');
+const { formatAmount } = require('../utils/currencyUtils');
+
+// ================ REQUEST REFUND (STUDENT) ================
+exports.requestRefund = async (req, res) => {
+    try {
+        const { orderId, reason } = req.body;
+        const userId = req.user.id;
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order ID'
+            });
+        }
+
+        const order = await Order.findOne({ _id: orderId, user: userId });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const existingRequest = await RefundRequest.findOne({ order: orderId, status: { $in: ['Pending', 'Processing'] } });
+        if (existingRequest) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a pending refund request for this order'
+            });
+        }
+
+        const eligibility = await checkRefundEligibility(order);
+        if (!eligibility.eligible) {
+            return res.status(400).json({
+                success: false,
+                message: eligibility.reason
+            });
+        }
+
+        order.transitionTo('refund_requested');
+        await order.save();
+
+        const refundRequest = await RefundRequest.create({
+            order: order._id,
+            user: userId,
+            course: order.course,
+            bundle: order.bundle,
+            subscriptionPlan: order.subscriptionPlan,
+            requestedAmount: eligibility.refundableAmount,
+            reason: reason || '',
+            progressPercentage: eligibility.progressPercentage
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Refund request submitted successfully',
+            data: refundRequest
+        });
+
+    } catch (error) {
+        console.error('Error requesting refund:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error submitting refund request',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET USER REFUND REQUESTS ================
+exports.getUserRefundRequests = async (req, res) => {
+    try {
+        const refundRequests = await RefundRequest.find({ user: req.user.id })
+            .populate('course', 'courseName thumbnail')
+            .populate('bundle', 'title thumbnail')
+            .populate('subscriptionPlan', 'name')
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: refundRequests,
+            policy: getRefundPolicy()
+        });
+
+    } catch (error) {
+        console.error('Error fetching refund requests:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching refund requests',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET ALL REFUND REQUESTS (ADMIN) ================
+exports.getAllRefundRequests = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const filter = status ? { status } : {};
+
+        const refundRequests = await RefundRequest.find(filter)
+            .populate('user', 'firstName lastName email')
+            .populate('course', 'courseName')
+            .populate('bundle', 'title')
+            .populate('subscriptionPlan', 'name')
+            .populate('order', 'amount currency refundedAmount paymentStatus paymentMethod transactionId purchaseDate')
+            .populate('processedBy', 'firstName lastName')
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: refundRequests
+        });
+
+    } catch (error) {
+        console.error('Error fetching refund requests:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching refund requests',
+            error: error.message
+        });
+    }
+};
+
+// ================ APPROVE/REJECT REFUND REQUEST (ADMIN) ================
+// Approving refunds `amount` (default: the full refundable amount) through
+// the payment gateway when the order was paid online, then updates the order.
+exports.handleRefundRequest = async (req, res) => {
+    try {
+        const { refundId } = req.params;
+        const { action, adminResponse, amount } = req.body; // action: 'approve' or 'reject'
+        const adminId = req.user.id;
+
+        if (!['approve', 'reject'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid action. Use "approve" or "reject"'
+            });
+        }
+
+        const pendingRequest = await RefundRequest.findById(refundId);
+        if (!pendingRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Refund request not found'
+            });
+        }
+
+        if (pendingRequest.status !== 'Pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'This request has already been processed'
+            });
+        }
+
+        const order = await Order.findById(pendingRequest.order);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const refundableAmount = Math.max(0, order.amount - (order.refundedAmount || 0));
+        const refundAmount = amount !== undefined && amount !== null && amount !== ''
+            ? Number(amount)
+            : refundableAmount;
+
+        if (action === 'approve' && (!(refundAmount > 0) || refundAmount > refundableAmount)) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund amount must be between 0 and ${formatAmount(refundableAmount, order.currency)}`
+            });
+        }
+
+        // Orders paid through a payment gateway are refunded there first
+        const gateway = action === 'approve' && order.gatewayPaymentId ? getGateway(order.gateway) : null;
+        if (action === 'approve' && order.gatewayPaymentId && (!gateway || !gateway.isConfigured())) {
+            return res.status(500).json({
+                success: false,
+                message: 'Payment gateway is not configured'
+            });
+        }
+
+        // Claim the request before refunding, so two admins (or a double click)
+        // approving it at once can't refund it twice at the gateway
+        const refundRequest = await RefundRequest.findOneAndUpdate(
+            { _id: refundId, status: 'Pending' },
+            { $set: { status: 'Processing' } },
+            { new: true }
+        );
+        if (!refundRequest) {
+            return res.status(400).json({
+                success: false,
+                message: 'This request has already been processed'
+            });
+        }
+
+        if (action === 'reject') {
+            order.transitionTo(order.refundedAmount > 0 ? 'partially_refunded' : 'paid');
+            await order.save();
+        } else {
+            let gatewayRefundId;
+            if (gateway) {
+                try {
+                    const gatewayRefund = await gateway.refund({
+                        paymentId: order.gatewayPaymentId,
+                        amount: refundAmount,
+                        currency: order.currency,
+                        notes: {
+                            orderId: order._id.toString(),
+                            refundRequestId: refundRequest._id.toString()
+                        }
+                    });
+                    gatewayRefundId = gatewayRefund.id;
+                } catch (error) {
+                    // Nothing was refunded, the request can be approved again
+                    await RefundRequest.updateOne({ _id: refundId, status: 'Processing' }, { $set: { status: 'Pending' } });
+                    throw error;
+                }
+            }
+
+            await applyRefund(order, refundAmount, gatewayRefundId);
+
+            refundRequest.refundedAmount = refundAmount;
+            refundRequest.gatewayRefundId = gatewayRefundId;
+        }
+
+        refundRequest.status = action === 'approve' ? 'Approved' : 'Rejected';
+        refundRequest.adminResponse = adminResponse || '';
+        refundRequest.processedBy = adminId;
+        refundRequest.responseDate = new Date();
+        await refundRequest.save();
+
+        const updatedRequest = await RefundRequest.findById(refundId)
+            .populate('user', 'firstName lastName email')
+            .populate('course', 'courseName')
+            .populate('bundle', 'title')
+            .populate('subscriptionPlan', 'name')
+            .populate('order', 'amount currency refundedAmount paymentStatus paymentMethod transactionId purchaseDate')
+            .populate('processedBy', 'firstName lastName');
+
+        return res.status(200).json({
+            success: true,
+            message: `Refund request ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
+            data: updatedRequest
+        });
+
+    } catch (error) {
+        console.error('Error handling refund request:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error processing refund request',
+            error: error.message
+        });
+    }
+};
@@ -2,9 +2,12 @@ const Section = require('../models/section');
 const SubSection = require('../models/subSection');
 const Course = require('../models/course');
 const Quiz = require('../models/quiz');
+const TranscriptSegment = require('../models/transcriptSegment');
 const { uploadFileToS3 } = require('../utils/s3Uploader');
 const { createNewContentNotification } = require('./notification');
 const { handleNewContentAddition } = require('../utils/certificateRegeneration');
+const { queueTranscode } = require('../utils/hlsTranscoder');
+const { queueCaptionGeneration, isAutoCaptioningEnabled, getAutoCaptionLanguage } = require('../utils/captionGenerator');
 
 // Helper function to get error suggestions
 const getSuggestionForError = (statusCode, fileSize) => {
@@ -27,6 +30,24 @@ const getSuggestionForError = (statusCode, fileSize) => {
     }
 };
 
+// Start the background HLS transcoding of a lecture's video, and its captions
+// when they are generated automatically. The original file keeps playing if
+// the jobs can't be queued.
+const queueVideoTranscode = async (subSection) => {
+    try {
+        await queueTranscode(subSection);
+    } catch (error) {
+        console.error('Error queueing video transcoding:', error);
+    }
+    if (isAutoCaptioningEnabled() && subSection.hls?.status === 'queued') {
+        try {
+            await queueCaptionGeneration(subSection, getAutoCaptionLanguage());
+        } catch (error) {
+            console.error('Error queueing caption generation:', error);
+        }
+    }
+};
+
 // ================ Update SubSection ================
 exports.updateSubSection = async (req, res) => {
     try {
@@ -183,6 +204,11 @@ exports.updateSubSection = async (req, res) => {
         // save data to DB
         await subSection.save();
 
+        // A new video replaces the adaptive stream of the old one
+        if (videoUrl || req.file) {
+            await queueVideoTranscode(subSection);
+        }
+
         const updatedSection = await Section.findById(sectionId).populate("subSection");
 
         // Handle certificate regeneration if content was modified
@@ -428,6 +454,10 @@ exports.createSubSection = async (req, res) => {
             }
         }
 
+        if (finalVideoUrl) {
+            await queueVideoTranscode(SubSectionDetails);
+        }
+
         // link subsection id to section
         // Update the corresponding section with the newly created sub-section
         const updatedSection = await Section.findByIdAndUpdate(
@@ -510,6 +540,7 @@ exports.deleteSubSection = async (req, res) => {
                 .status(404)
                 .json({ success: false, message: "SubSection not found" })
         }
+        await TranscriptSegment.deleteMany({ subSection: subSectionId })
 
         const updatedSection = await Section.findById(sectionId).populate('subSection')
 
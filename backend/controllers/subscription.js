@@ -0,0 +1,406 @@
+const mongoose = require('mongoose');
+const SubscriptionPlan = require('../models/subscriptionPlan');
+const Subscription = require('../models/subscription');
+const Category = require('../models/category');
+const Course = require('../models/course');
+const User = require('../models/user');
+const { getCurrentSubscription } = require('../utils/subscriptionUtils');
+
+// Check the plan fields shared by create and update, resolving to an error message or null
+const validatePlanInput = async ({ name, interval, price, access, categories, gracePeriodDays, features }) => {
+    if (name !== undefined && !String(name).trim()) {
+        return 'Plan name is required';
+    }
+    if (interval !== undefined && !['monthly', 'annual'].includes(interval)) {
+        return 'Billing interval must be monthly or annual';
+    }
+    if (price !== undefined && (isNaN(Number(price)) || Number(price) < 0)) {
+        return 'Plan price must be a positive number';
+    }
+    if (access !== undefined && !['all', 'categories'].includes(access)) {
+        return 'Access must be all or categories';
+    }
+    if (gracePeriodDays !== undefined && (isNaN(Number(gracePeriodDays)) || Number(gracePeriodDays) < 0)) {
+        return 'Grace period must be a positive number of days';
+    }
+    if (features !== undefined && !Array.isArray(features)) {
+        return 'Features must be a list';
+    }
+    if (categories !== undefined) {
+        if (!Array.isArray(categories) || !categories.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return 'Invalid category IDs provided';
+        }
+        const found = await Category.countDocuments({ _id: { $in: categories } });
+        if (found !== new Set(categories.map(String)).size) {
+            return 'One or more categories not found';
+        }
+    }
+    return null;
+};
+
+// ================ GET ACTIVE PLANS ================
+exports.getPlans = async (req, res) => {
+    try {
+        const plans = await SubscriptionPlan.find({ isActive: true })
+            .populate('categories', 'name')
+            .sort({ price: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: plans
+        });
+
+    } catch (error) {
+        console.error('Error fetching membership plans:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching membership plans',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET MY SUBSCRIPTION ================
+// The student's membership, including an expired one so it can be renewed
+exports.getMySubscription = async (req, res) => {
+    try {
+        const subscription = await Subscription.findOne({ user: req.user.id })
+            .populate({ path: 'plan', populate: { path: 'categories', select: 'name' } })
+            .select('-remindersSent');
+
+        return res.status(200).json({
+            success: true,
+            data: subscription ? { ...subscription.toObject(), isCurrent: subscription.isCurrent() } : null
+        });
+
+    } catch (error) {
+        console.error('Error fetching membership:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching membership',
+            error: error.message
+        });
+    }
+};
+
+// ================ ENROLL WITH SUBSCRIPTION ================
+// Adds a Paid course covered by the student's membership to their enrolled courses.
+// Access lasts as long as the membership; the course stays listed after it lapses.
+exports.enrollWithSubscription = async (req, res) => {
+    try {
+        const { courseId } = req.body;
+        const userId = req.user.id;
+
+        if (!mongoose.Types.ObjectId.isValid(courseId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid course ID'
+            });
+        }
+
+        const course = await Course.findById(courseId);
+        if (!course || course.status !== 'Published') {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        const subscription = await getCurrentSubscription(userId);
+        if (!subscription) {
+            return res.status(403).json({
+                success: false,
+                message: 'You need an active membership to enroll with it'
+            });
+        }
+
+        if (!subscription.plan.coversCourse(course)) {
+            return res.status(403).json({
+                success: false,
+                message: `This course is not included in your ${subscription.plan.name} membership`
+            });
+        }
+
+        await User.findByIdAndUpdate(userId, { $addToSet: { courses: course._id } });
+        await Course.findByIdAndUpdate(course._id, { $addToSet: { studentsEnrolled: userId } });
+
+        return res.status(200).json({
+            success: true,
+            message: `Enrolled in ${course.courseName} with your membership`
+        });
+
+    } catch (error) {
+        console.error('Error enrolling with membership:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error enrolling with membership',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET ALL PLANS (ADMIN) ================
+exports.getAllPlans = async (req, res) => {
+    try {
+        const plans = await SubscriptionPlan.find({})
+            .populate('categories', 'name')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const now = new Date();
+        const counts = await Subscription.aggregate([
+            {
+                $group: {
+                    _id: '$plan',
+                    totalSubscribers: { $sum: 1 },
+                    activeSubscribers: {
+                        $sum: {
+                            $cond: [{
+                                $and: [
+                                    { $ne: ['$status', 'expired'] },
+                                    { $gt: ['$graceEndsAt', now] }
+                                ]
+                            }, 1, 0]
+                        }
+                    }
+                }
+            }
+        ]);
+
+        const data = plans.map(plan => {
+            const count = counts.find(entry => entry._id.toString() === plan._id.toString());
+            return {
+                ...plan,
+                totalSubscribers: count?.totalSubscribers || 0,
+                activeSubscribers: count?.activeSubscribers || 0
+            };
+        });
+
+        return res.status(200).json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Error fetching membership plans:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching membership plans',
+            error: error.message
+        });
+    }
+};
+
+// ================ GET SUBSCRIBERS (ADMIN) ================
+// Memberships, optionally of one plan (?planId) or in one status (?status)
+exports.getSubscriptions = async (req, res) => {
+    try {
+        const { planId, status } = req.query;
+        const filter = {};
+
+        if (planId) {
+            if (!mongoose.Types.ObjectId.isValid(planId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid plan ID'
+                });
+            }
+            filter.plan = planId;
+        }
+        if (status) {
+            filter.status = status;
+        }
+
+        const subscriptions = await Subscription.find(filter)
+            .populate('user', 'firstName lastName email')
+            .populate('plan', 'name interval')
+            .select('-remindersSent')
+            .sort({ currentPeriodEnd: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: subscriptions
+        });
+
+    } catch (error) {
+        console.error('Error fetching memberships:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching memberships',
+            error: error.message
+        });
+    }
+};
+
+// ================ CREATE PLAN (ADMIN) ================
+exports.createPlan = async (req, res) => {
+    try {
+        const { name, description, interval, price, access, categories, features, gracePeriodDays, isActive } = req.body;
+
+        if (!name || !interval || price === undefined || price === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Name, billing interval and price are required'
+            });
+        }
+
+        const validationError = await validatePlanInput({ name, interval, price, access, categories, gracePeriodDays, features });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (access === 'categories' && !(categories || []).length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Select at least one category for this plan'
+            });
+        }
+
+        const plan = await SubscriptionPlan.create({
+            name: name.trim(),
+            description: description || '',
+            interval,
+            price: Number(price),
+            access: access || 'all',
+            categories: access === 'categories' ? categories : [],
+            features: (features || []).map(feature => String(feature).trim()).filter(Boolean),
+            gracePeriodDays: gracePeriodDays === undefined ? 3 : Number(gracePeriodDays),
+            isActive: isActive === undefined ? true : Boolean(isActive),
+            createdBy: req.user.id
+        });
+
+        await plan.populate('categories', 'name');
+
+        return res.status(201).json({
+            success: true,
+            message: 'Membership plan created successfully',
+            data: plan
+        });
+
+    } catch (error) {
+        console.error('Error creating membership plan:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating membership plan',
+            error: error.message
+        });
+    }
+};
+
+// ================ UPDATE PLAN (ADMIN) ================
+// Changes apply to current members straight away, except the price which is
+// charged from their next renewal.
+exports.updatePlan = async (req, res) => {
+    try {
+        const { planId } = req.params;
+        const { name, description, interval, price, access, categories, features, gracePeriodDays, isActive } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(planId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid plan ID'
+            });
+        }
+
+        const plan = await SubscriptionPlan.findById(planId);
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership plan not found'
+            });
+        }
+
+        const validationError = await validatePlanInput({ name, interval, price, access, categories, gracePeriodDays, features });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (name !== undefined) plan.name = name.trim();
+        if (description !== undefined) plan.description = description;
+        if (interval !== undefined) plan.interval = interval;
+        if (price !== undefined) plan.price = Number(price);
+        if (access !== undefined) plan.access = access;
+        if (categories !== undefined) plan.categories = categories;
+        if (features !== undefined) plan.features = features.map(feature => String(feature).trim()).filter(Boolean);
+        if (gracePeriodDays !== undefined) plan.gracePeriodDays = Number(gracePeriodDays);
+        if (isActive !== undefined) plan.isActive = Boolean(isActive);
+
+        if (plan.access === 'categories' && plan.categories.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Select at least one category for this plan'
+            });
+        }
+        if (plan.access === 'all') {
+            plan.categories = [];
+        }
+
+        await plan.save();
+        await plan.populate('categories', 'name');
+
+        return res.status(200).json({
+            success: true,
+            message: 'Membership plan updated successfully',
+            data: plan
+        });
+
+    } catch (error) {
+        console.error('Error updating membership plan:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating membership plan',
+            error: error.message
+        });
+    }
+};
+
+// ================ DELETE PLAN (ADMIN) ================
+// Plans that were ever subscribed to can only be deactivated
+exports.deletePlan = async (req, res) => {
+    try {
+        const { planId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(planId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid plan ID'
+            });
+        }
+
+        const plan = await SubscriptionPlan.findById(planId);
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Membership plan not found'
+            });
+        }
+
+        if (await Subscription.exists({ plan: planId })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This plan has members. Deactivate it instead of deleting it.'
+            });
+        }
+
+        await SubscriptionPlan.findByIdAndDelete(planId);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Membership plan deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting membership plan:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting membership plan',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Section = require('../models/section');
+const Course = require('../models/course');
+const TranscriptSegment = require('../models/transcriptSegment');
+const { hasCourseAccess } = require('../utils/enrollmentUtils');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_SEARCH_RESULTS = 50;
+
+// Staff of the course see its transcripts, students while they have access to it
+const canViewCourse = async (user, course) =>
+    user.accountType === 'Admin' ||
+    course.instructor?.toString() === user.id ||
+    hasCourseAccess(user.id, course);
+
+// ================ GET LECTURE TRANSCRIPT ================
+exports.getLectureTranscript = async (req, res) => {
+    try {
+        const { subSectionId } = req.params;
+        if (!mongoose.isValidObjectId(subSectionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid lecture id is required'
+            });
+        }
+
+        const section = await Section.findOne({ subSection: subSectionId }).select('_id');
+        const course = section && await Course.findOne({ courseContent: section._id });
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lecture not found'
+            });
+        }
+        if (!(await canViewCourse(req.user, course))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Course access has been disabled or not purchased.'
+            });
+        }
+
+        const segments = await TranscriptSegment.find({ subSection: subSectionId })
+            .sort({ start: 1 })
+            .select('start end text language -_id')
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                language: segments[0]?.language || null,
+                segments: segments.map(({ start, end, text }) => ({ start, end, text }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching lecture transcript:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching lecture transcript',
+            error: error.message
+        });
+    }
+};
+
+// ================ SEARCH COURSE TRANSCRIPTS ================
+// Lines spoken in a course's lectures that match the query, best matches first
+exports.searchCourseTranscripts = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const query = String(req.query.q || '').trim();
+        if (!mongoose.isValidObjectId(courseId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid course id is required'
+            });
+        }
+        if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Search for ${MIN_QUERY_LENGTH} to ${MAX_QUERY_LENGTH} characters`
+            });
+        }
+
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+        if (!(await canViewCourse(req.user, course))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Course access has been disabled or not purchased.'
+            });
+        }
+
+        const segments = await TranscriptSegment.find(
+            { course: course._id, $text: { $search: query } },
+            { score: { $meta: 'textScore' } }
+        )
+            .sort({ score: { $meta: 'textScore' }, start: 1 })
+            .limit(MAX_SEARCH_RESULTS)
+            .populate('subSection', 'title')
+            .lean();
+
+        // Where each lecture sits in the course, for linking to it
+        const sections = await Section.find({ _id: { $in: course.courseContent } }).select('subSection');
+        const sectionOfLecture = new Map();
+        sections.forEach(section => {
+            section.subSection.forEach(id => sectionOfLecture.set(id.toString(), section._id));
+        });
+
+        const results = segments
+            .filter(segment => segment.subSection && sectionOfLecture.has(segment.subSection._id.toString()))
+            .map(segment => ({
+                sectionId: sectionOfLecture.get(segment.subSection._id.toString()),
+                subSectionId: segment.subSection._id,
+                lectureTitle: segment.subSection.title,
+                start: segment.start,
+                end: segment.end,
+                text: segment.text
+            }));
+
+        return res.status(200).json({
+            success: true,
+            data: results
+        });
+    } catch (error) {
+        console.error('Error searching course transcripts:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error searching course transcripts',
+            error: error.message
+        });
+    }
+};
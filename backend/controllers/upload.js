@@ -1,5 +1,5 @@
-const { s3Client } = require('../config/awsS3');
-const { getS3BucketForFileType, validateFile } = require('../config/s3Storage');
+const { s3Client, s3PresignClient, BUCKET_NAME, getPublicUrl } = require('../config/awsS3');
+const { getS3FolderForFileType, validateFile, isVideoFile } = require('../config/s3Storage');
 const { extractVideoMetadata } = require('../utils/videoMetadata');
 const { GetObjectCommand, DeleteObjectCommand, PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
@@ -33,9 +33,9 @@ const generateSignedUrl = async (req, res) => {
     const baseName = path.basename(fileName, extension).replace(/[^a-zA-Z0-9]/g, '_');
     const uniqueFileName = `${baseName}_${timestamp}_${randomString}${extension}`;
     
-    // Determine bucket
-    const bucket = getS3BucketForFileType(mimeType, folder, fileName);
-    const filePath = folder ? `${folder}/${uniqueFileName}` : uniqueFileName;
+    // Everything goes to the one bucket, in the folder for its file type
+    const bucket = BUCKET_NAME;
+    const filePath = `${getS3FolderForFileType(mimeType, folder, fileName)}/${uniqueFileName}`;
     
     // Validate file (mock file object for validation)
     const mockFile = {
@@ -60,7 +60,7 @@ const generateSignedUrl = async (req, res) => {
       ContentLength: fileSize
     });
 
-    const signedUrl = await getSignedUrl(s3Client, command, { expiresIn: 24 * 60 * 60 }); // 24 hours
+    const signedUrl = await getSignedUrl(s3PresignClient, command, { expiresIn: 24 * 60 * 60 }); // 24 hours
 
     // Store upload metadata for tracking
     const uploadMetadata = {
@@ -76,7 +76,7 @@ const generateSignedUrl = async (req, res) => {
       status: 'pending',
       createdAt: new Date(),
       signedUrl,
-      isVideo: validation.isVideo,
+      isVideo: isVideoFile(mimeType, fileName),
       willUseResumableUpload: validation.willUseResumableUpload
     };
 
@@ -86,7 +86,7 @@ const generateSignedUrl = async (req, res) => {
       uploadId,
       bucket,
       filePath,
-      isVideo: validation.isVideo
+      isVideo: uploadMetadata.isVideo
     });
 
     res.status(200).json({
@@ -99,7 +99,7 @@ const generateSignedUrl = async (req, res) => {
         uniqueFileName,
         expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
         uploadMetadata: {
-          isVideo: validation.isVideo,
+          isVideo: uploadMetadata.isVideo,
           willUseResumableUpload: validation.willUseResumableUpload,
           detectedAsVideo: validation.detectedAsVideo
         }
@@ -159,7 +159,7 @@ const handleUploadComplete = async (req, res) => {
     }
 
     // Get public URL
-    const publicUrl = `https://${uploadMetadata.bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${uploadMetadata.filePath}`;
+    const publicUrl = getPublicUrl(uploadMetadata.filePath);
 
     // Prepare result object
     const result = {
@@ -119,9 +119,9 @@ exports.getUserAnalytics = async (req, res) => {
             .sort({ createdAt: -1 })
             .limit(10);
 
-        // Calculate total spent
+        // Calculate total spent, in the base currency
         const totalSpent = userOrders.reduce((total, order) => {
-            return total + (order.amount || 0);
+            return total + (order.amount || 0) * (order.exchangeRate || 1);
         }, 0);
 
         // Get course categories user is interested in
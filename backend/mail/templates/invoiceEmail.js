@@ -0,0 +1,73 @@
+exports.invoiceEmail = (name, courseName, invoiceNumber, formattedAmount) => {
+    return `<!DOCTYPE html>
+    <html>
+
+    <head>
+        <meta charset="UTF-8">
+        <title>Your Invoice</title>
+        <style>
+            body {
+                background-color: #ffffff;
+                font-family: Arial, sans-serif;
+                font-size: 16px;
+                line-height: 1.4;
+                color: #333333;
+                margin: 0;
+                padding: 0;
+            }
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                text-align: center;
+            }
+
+            .logo {
+                max-width: 200px;
+                margin-bottom: 20px;
+            }
+
+            .message {
+                font-size: 18px;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+
+            .body {
+                font-size: 16px;
+                margin-bottom: 20px;
+            }
+
+            .support {
+                font-size: 14px;
+                color: #999999;
+                margin-top: 20px;
+            }
+
+            .highlight {
+                font-weight: bold;
+            }
+        </style>
+
+    </head>
+
+    <body>
+        <div class="container">
+            <a href=""><img class="logo" src="cid:beeja-logo"
+                    alt="Beeja Innovative Ventures"></a>
+            <div class="message">Payment Received</div>
+            <div class="body">
+                <p>Dear ${name || 'Student'},</p>
+                <p>Thank you for your purchase of <span class="highlight">"${courseName}"</span>. We have received your
+                    payment of <span class="highlight">${formattedAmount}</span>.</p>
+                <p>Your tax invoice <span class="highlight">${invoiceNumber}</span> is attached to this email. You can
+                    also download it any time from your purchase history.</p>
+            </div>
+            <div class="support">If you have any questions or need assistance, please feel free to reach out to us at
+            <a href="mailto:info@beejaacademy.com">info@beejaacademy.com</a>. We are here to help!</div>
+        </div>
+    </body>
+
+    </html>`;
+  };
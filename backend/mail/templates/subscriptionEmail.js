@@ -0,0 +1,83 @@
+exports.subscriptionEmail = (name, heading, message, actionText = 'View Plans') => {
+    return `<!DOCTYPE html>
+    <html>
+
+    <head>
+        <meta charset="UTF-8">
+        <title>${heading}</title>
+        <style>
+            body {
+                background-color: #ffffff;
+                font-family: Arial, sans-serif;
+                font-size: 16px;
+                line-height: 1.4;
+                color: #333333;
+                margin: 0;
+                padding: 0;
+            }
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                text-align: center;
+            }
+
+            .logo {
+                max-width: 200px;
+                margin-bottom: 20px;
+            }
+
+            .message {
+                font-size: 18px;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+
+            .body {
+                font-size: 16px;
+                margin-bottom: 20px;
+            }
+
+            .support {
+                font-size: 14px;
+                color: #999999;
+                margin-top: 20px;
+            }
+
+            .highlight {
+                font-weight: bold;
+            }
+
+            .cta {
+                display: inline-block;
+                padding: 10px 20px;
+                background-color: #FFD60A;
+                color: #000000;
+                text-decoration: none;
+                border-radius: 5px;
+                font-size: 16px;
+                font-weight: bold;
+                margin-top: 20px;
+            }
+        </style>
+
+    </head>
+
+    <body>
+        <div class="container">
+            <a href=""><img class="logo" src="cid:beeja-logo"
+                    alt="Beeja Innovative Ventures"></a>
+            <div class="message">${heading}</div>
+            <div class="body">
+                <p>Dear ${name || 'Student'},</p>
+                <p>${message}</p>
+            </div>
+            <a class="cta" href="${process.env.FRONTEND_URL || 'http://35.177.233.147:5173'}/memberships">${actionText}</a>
+            <div class="support">If you have any questions or need assistance, please feel free to reach out to us at
+            <a href="mailto:info@beejaacademy.com">info@beejaacademy.com</a>. We are here to help!</div>
+        </div>
+    </body>
+
+    </html>`;
+  };
@@ -0,0 +1,20 @@
+const multer = require('multer');
+const { ANSWER_FILE_TYPES, MAX_ANSWER_FILE_MB } = require('../utils/quizQuestionUtils');
+
+// Files students upload as quiz answers. Each question narrows the types and size further.
+const answerFileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_ANSWER_FILE_MB * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: function (req, file, cb) {
+        const extension = file.originalname.split('.').pop().toLowerCase();
+        if (!ANSWER_FILE_TYPES.includes(extension)) {
+            return cb(new Error(`Only ${ANSWER_FILE_TYPES.join(', ')} files can be uploaded as answers`), false);
+        }
+        cb(null, true);
+    }
+});
+
+module.exports = { answerFileUpload };
@@ -0,0 +1,22 @@
+const multer = require('multer');
+const { MAX_CAPTION_FILE_MB } = require('../utils/captions');
+
+const CAPTION_FILE_TYPES = ['vtt', 'srt'];
+
+// Caption files instructors upload for a lecture, converted to WebVTT once read
+const captionFileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_CAPTION_FILE_MB * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: function (req, file, cb) {
+        const extension = file.originalname.split('.').pop().toLowerCase();
+        if (!CAPTION_FILE_TYPES.includes(extension)) {
+            return cb(new Error('Only WebVTT (.vtt) and SubRip (.srt) caption files can be uploaded'), false);
+        }
+        cb(null, true);
+    }
+});
+
+module.exports = { captionFileUpload };
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A set of courses sold together at one price
+const bundleSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    thumbnail: {
+        type: String,
+        default: ''
+    },
+    courses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Days of access from the purchase date, 0 means lifetime access
+    validityDays: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Students who bought the bundle. They are enrolled in every member course,
+    // including courses added to the bundle after the purchase.
+    enrollments: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        enrolledAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        }
+    }]
+}, { timestamps: true });
+
+bundleSchema.index({ isActive: 1 });
+bundleSchema.index({ 'enrollments.user': 1 });
+bundleSchema.index({ 'enrollments.expiresAt': 1 });
+
+// Enrollment of a user that hasn't expired yet, if any
+bundleSchema.methods.getActiveEnrollment = function (userId) {
+    const now = new Date();
+    return this.enrollments.find(enrollment =>
+        enrollment.user.toString() === userId.toString() &&
+        (!enrollment.expiresAt || enrollment.expiresAt > now)
+    );
+};
+
+module.exports = mongoose.model('Bundle', bundleSchema);
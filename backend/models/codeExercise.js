@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { testCaseSchema } = require('./quizQuestion');
+const { exerciseFileSchema } = require('./exerciseFile');
+
+// A coding exercise lecture: students write code in the browser and run it
+// against the exercise's test cases. Visible test cases are the samples
+// students can run as often as they like; hidden ones only run on submit.
+const codeExerciseSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        default: 'Coding Exercise'
+    },
+    instructions: {
+        type: String,
+        default: ''
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true,
+        unique: true
+    },
+    language: {
+        type: String,
+        enum: ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'rust', 'ruby', 'csharp', 'kotlin', 'typescript', 'sql'],
+        required: true
+    },
+    // Starter code. The first file is the one that runs; the others sit beside it.
+    files: {
+        type: [exerciseFileSchema],
+        default: []
+    },
+    testCases: {
+        type: [testCaseSchema],
+        default: []
+    },
+    // How program output is compared with each test case's expected output
+    comparator: {
+        type: String,
+        enum: ['exact', 'ignoreWhitespace', 'floatTolerance', 'unorderedLines', 'regex'],
+        default: 'exact'
+    },
+    floatTolerance: {
+        type: Number,
+        default: 1e-6,
+        min: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('CodeExercise', codeExerciseSchema);
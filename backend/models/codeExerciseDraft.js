@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { exerciseFileSchema } = require('./exerciseFile');
+
+// The code a student last saved for an exercise, loaded when they come back to it
+const codeExerciseDraftSchema = new mongoose.Schema({
+    exercise: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CodeExercise',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    files: {
+        type: [exerciseFileSchema],
+        default: []
+    }
+}, { timestamps: true });
+
+codeExerciseDraftSchema.index({ exercise: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CodeExerciseDraft', codeExerciseDraftSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { exerciseFileSchema } = require('./exerciseFile');
+
+// Code a student submitted for an exercise, with how it did on every test case
+const codeExerciseSubmissionSchema = new mongoose.Schema({
+    exercise: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CodeExercise',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true
+    },
+    files: {
+        type: [exerciseFileSchema],
+        default: []
+    },
+    // Every test case passed, hidden ones included
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    passedCount: {
+        type: Number,
+        default: 0
+    },
+    totalCount: {
+        type: Number,
+        default: 0
+    },
+    testResults: [
+        {
+            testCase: mongoose.Schema.Types.ObjectId,
+            hidden: Boolean,
+            weight: Number,
+            score: Number,
+            passed: Boolean,
+            status: String,
+            time: Number,
+            memory: Number
+        }
+    ]
+}, { timestamps: true });
+
+codeExerciseSubmissionSchema.index({ exercise: 1, user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CodeExerciseSubmission', codeExerciseSubmissionSchema);
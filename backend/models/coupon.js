@@ -28,6 +28,14 @@ const couponSchema = new mongoose.Schema({
             message: 'Percentage discount cannot exceed 100%'
         }
     },
+    // Currency of the flat discount, maximum discount and minimum order amount.
+    // They are converted at checkout when the student pays in another currency.
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: 'INR'
+    },
     maxDiscountAmount: {
         type: Number,
         default: 0, // 0 means no maximum limit
@@ -76,6 +84,11 @@ const couponSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category'
     }],
+    // Bundle coupons can be limited to these bundles, empty means every bundle
+    bundles: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bundle'
+    }],
     startDate: {
         type: Date,
         required: true
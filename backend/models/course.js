@@ -24,6 +24,20 @@ const courseSchema = new mongoose.Schema({
     originalPrice: {
         type: Number
     },
+    // Days of access a purchase or approved request gives, null for lifetime access
+    accessDurationDays: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    // Percent of a lecture video a student has to watch for it to be completed,
+    // null for the site default
+    videoCompletionPercent: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: null
+    },
     courseDescription: {
         type: String
     },
@@ -27,6 +27,46 @@ const courseProgressSchema = new mongoose.Schema({
             ref: "SubSection",
         }
     ],
+    // Lectures whose coding exercise passed every test case
+    completedExercises: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "SubSection",
+        }
+    ],
+    // Where the student is in each lecture video and which parts they have watched
+    videoProgress: [
+        {
+            subSection: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "SubSection"
+            },
+            position: {
+                type: Number,
+                default: 0
+            },
+            duration: {
+                type: Number,
+                default: 0
+            },
+            // Merged, non-overlapping [start, end] ranges in seconds
+            watchedIntervals: [
+                {
+                    _id: false,
+                    start: Number,
+                    end: Number
+                }
+            ],
+            watchedSeconds: {
+                type: Number,
+                default: 0
+            },
+            lastWatchedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
     quizResults: [
         {
             quiz: {
@@ -37,6 +77,11 @@ const courseProgressSchema = new mongoose.Schema({
                 type: mongoose.Schema.Types.ObjectId,
                 ref: "SubSection"
             },
+            // The attempt this result was recorded from
+            attempt: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "QuizAttempt"
+            },
             score: Number,
             totalMarks: Number,
             percentage: Number,
@@ -48,6 +93,26 @@ const courseProgressSchema = new mongoose.Schema({
                 type: Number,
                 default: 1
             },
+            // Per test case outcome of codeSolve questions
+            codeResults: [
+                {
+                    question: mongoose.Schema.Types.ObjectId,
+                    score: Number,
+                    marks: Number,
+                    testResults: [
+                        {
+                            testCase: mongoose.Schema.Types.ObjectId,
+                            hidden: Boolean,
+                            weight: Number,
+                            score: Number,
+                            passed: Boolean,
+                            status: String,
+                            time: Number,
+                            memory: Number
+                        }
+                    ]
+                }
+            ],
             completedAt: {
                 type: Date,
                 default: Date.now
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A currency students can pay in. Prices are kept in the base currency (INR)
+// and converted with the exchange rate an admin sets here.
+const currencySchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency code must be a three letter ISO 4217 code']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    symbol: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Value of one unit of this currency in the base currency, e.g. 83.2 for USD
+    exchangeRate: {
+        type: Number,
+        required: true,
+        min: [0.000001, 'Exchange rate must be greater than zero']
+    },
+    // ISO 3166 country codes that default to this currency
+    countries: [{
+        type: String,
+        trim: true,
+        uppercase: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Currency', currencySchema);
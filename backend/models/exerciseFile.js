@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A source file of a coding exercise, a draft or a submission. It is embedded
+// in those documents and has no collection of its own.
+const exerciseFileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    content: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+module.exports = {
+    exerciseFileSchema
+};
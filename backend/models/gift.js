@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A course bought by one student for someone else, claimed with its code
+const giftSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    // The buyer's order that paid for the gift
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    purchaser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recipientEmail: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    recipientName: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+    // pending until the order is paid; expired when nobody claimed it in time
+    status: {
+        type: String,
+        enum: ['pending', 'unclaimed', 'redeemed', 'expired', 'refunded'],
+        default: 'pending'
+    },
+    // Last day the gift can be claimed, set once it is paid for
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    redeemedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    redeemedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+giftSchema.index({ recipientEmail: 1, status: 1 });
+giftSchema.index({ status: 1, expiresAt: 1 });
+
+// Whether the gift can be claimed right now
+giftSchema.methods.isClaimable = function () {
+    return this.status === 'unclaimed' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('Gift', giftSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    address: String,
+    state: String,
+    stateCode: String,
+    gstin: String,
+    email: String,
+    phone: String
+}, { _id: false });
+
+// Tax invoice issued for a paid order. Everything printed on the invoice is
+// copied here when it is issued so later profile or price changes don't alter it.
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    invoiceDate: {
+        type: Date,
+        required: true
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    description: {
+        type: String,
+        required: true
+    },
+    // SAC for online education services
+    sacCode: {
+        type: String,
+        default: '999293'
+    },
+    originalPrice: {
+        type: Number,
+        default: 0
+    },
+    couponDiscount: {
+        type: Number,
+        default: 0
+    },
+    couponCodes: [{
+        type: String
+    }],
+    taxableValue: {
+        type: Number,
+        required: true
+    },
+    gstRate: {
+        type: Number,
+        required: true
+    },
+    isInterState: {
+        type: Boolean,
+        default: false
+    },
+    cgst: {
+        type: Number,
+        default: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0
+    },
+    igst: {
+        type: Number,
+        default: 0
+    },
+    totalAmount: {
+        type: Number,
+        required: true
+    },
+    // Currency of every amount on the invoice, copied from the order
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
+    paymentMethod: {
+        type: String
+    },
+    transactionId: {
+        type: String
+    }
+}, { timestamps: true });
+
+invoiceSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -30,6 +30,7 @@ const notificationSchema = new mongoose.Schema({
             'NEW_CONTENT_ADDED',
             'COURSE_PROGRESS_MILESTONE',
             'NEW_RATING_ON_ENROLLED_COURSE',
+            'QUIZ_GRADED',
             
             // Instructor notifications
             'NEW_STUDENT_ENROLLMENT',
@@ -45,6 +46,18 @@ const notificationSchema = new mongoose.Schema({
             'NEW_RATING_REVIEW',
             'ADMIN_ANNOUNCEMENT',
             
+            // Membership notifications
+            'SUBSCRIPTION_RENEWAL_REMINDER',
+            'SUBSCRIPTION_EXPIRED',
+            
+            // Course access notifications
+            'COURSE_ACCESS_EXPIRING',
+            'COURSE_ACCESS_EXPIRED',
+            
+            // Gift notifications
+            'GIFT_REDEEMED',
+            'GIFT_EXPIRED',
+            
             // Chat notifications
             'NEW_STUDENT_CHAT',
             'NEW_CHAT_MESSAGE',
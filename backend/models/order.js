@@ -6,15 +6,39 @@ const orderSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Each order buys a single course, a bundle or one period of a membership plan
     course: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Course',
-        required: true
+        required: function () {
+            return !this.bundle && !this.subscriptionPlan;
+        }
+    },
+    bundle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bundle',
+        default: null
+    },
+    subscriptionPlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionPlan',
+        default: null
     },
     amount: {
         type: Number,
         required: true
     },
+    // Currency of amount, originalPrice and the discounts, see utils/currencyUtils
+    currency: {
+        type: String,
+        uppercase: true,
+        default: 'INR'
+    },
+    // Base currency value of one unit of the order currency at checkout
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
     originalPrice: {
         type: Number,
         default: 0
@@ -46,10 +70,62 @@ const orderSchema = new mongoose.Schema({
             default: 0
         }
     },
+    // Per-coupon share of this course's discount, as priced on the server at checkout
+    discountBreakdown: [{
+        code: {
+            type: String,
+            required: true
+        },
+        discountType: {
+            type: String,
+            enum: ['percentage', 'flat']
+        },
+        discountValue: {
+            type: Number,
+            default: 0
+        },
+        discountAmount: {
+            type: Number,
+            default: 0
+        }
+    }],
     status: {
         type: Boolean,
         default: true
     },
+    // Lifecycle of the payment behind this order, see ORDER_TRANSITIONS below.
+    // Orders created before the Razorpay flow have no value stored and are treated as paid.
+    paymentStatus: {
+        type: String,
+        enum: ['pending', 'paid', 'failed', 'refund_requested', 'refunded', 'partially_refunded'],
+        default: 'paid'
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Payment gateway that took the payment, see services/paymentGateways
+    gateway: {
+        type: String,
+        enum: ['razorpay', 'stripe', 'mock']
+    },
+    // The gateway's ids for the checkout, the payment and every refund of it
+    gatewayOrderId: {
+        type: String,
+        index: true
+    },
+    gatewayPaymentId: {
+        type: String
+    },
+    gatewaySignature: {
+        type: String
+    },
+    gatewayRefundIds: [{
+        type: String
+    }],
+    paidAt: {
+        type: Date
+    },
     paymentMethod: {
         type: String,
         required: true
@@ -61,7 +137,53 @@ const orderSchema = new mongoose.Schema({
     purchaseDate: {
         type: Date,
         default: Date.now
+    },
+    // End of time-limited course access, null for lifetime access
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Days-before-expiry reminders already sent for this order
+    expiryRemindersSent: [{
+        type: Number
+    }],
+    // Set once the expiry job has ended the access
+    accessEndedAt: {
+        type: Date,
+        default: null
+    },
+    // Bought for someone else: the buyer is not enrolled, see the Gift model
+    isGift: {
+        type: Boolean,
+        default: false
     }
 }, { timestamps: true });
 
+orderSchema.index({ expiresAt: 1 });
+
+// Allowed paymentStatus changes. A rejected refund request returns the order to
+// paid (or partially_refunded when part of it was refunded earlier).
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'failed'],
+    failed: ['paid'],
+    paid: ['refund_requested', 'refunded', 'partially_refunded'],
+    refund_requested: ['paid', 'refunded', 'partially_refunded'],
+    partially_refunded: ['refund_requested', 'refunded', 'partially_refunded'],
+    refunded: []
+};
+
+orderSchema.statics.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+
+orderSchema.methods.canTransitionTo = function (nextStatus) {
+    return (ORDER_TRANSITIONS[this.paymentStatus] || []).includes(nextStatus);
+};
+
+orderSchema.methods.transitionTo = function (nextStatus) {
+    if (!this.canTransitionTo(nextStatus)) {
+        throw new Error(`Order cannot move from ${this.paymentStatus} to ${nextStatus}`);
+    }
+    this.paymentStatus = nextStatus;
+    return this;
+};
+
 module.exports = mongoose.model("Order", orderSchema);
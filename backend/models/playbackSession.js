@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A browser tab playing a lecture, kept alive by heartbeats and counted
+// against the student's limit of concurrent streams
+const playbackSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Id the tab made up for itself; a tab moving to the next lecture keeps it
+    clientId: {
+        type: String,
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true
+    },
+    userAgent: {
+        type: String
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+playbackSessionSchema.index({ user: 1, clientId: 1 }, { unique: true });
+playbackSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PlaybackSession', playbackSessionSchema);
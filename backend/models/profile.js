@@ -14,6 +14,11 @@ const profileSchema = new mongoose.Schema({
     contactNumber: {
         type: String,
         trim: true
+    },
+    // Used as the place of supply on GST invoices
+    state: {
+        type: String,
+        trim: true
     }
 
 });
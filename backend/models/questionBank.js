@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { questionSchema } = require('./quizQuestion');
+
+// Reusable questions that quizzes draw from at random, see Quiz.questionDraws
+const questionBankSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // A bank belongs to a course, a category or neither (shared)
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    questions: {
+        type: [questionSchema],
+        default: []
+    }
+}, { timestamps: true });
+
+questionBankSchema.index({ course: 1 });
+questionBankSchema.index({ category: 1 });
+questionBankSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('QuestionBank', questionBankSchema);
@@ -1,76 +1,30 @@
 const mongoose = require('mongoose');
+const { questionSchema } = require('./quizQuestion');
 
-const testCaseSchema = new mongoose.Schema({
-    input: {
-        type: String,
-        default: ''
-    },
-    expectedOutput: {
-        type: String,
+// Questions drawn at random from a question bank for every attempt
+const questionDrawSchema = new mongoose.Schema({
+    bank: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QuestionBank',
         required: true
     },
-    isHidden: {
-        type: Boolean,
-        default: false
-    }
-});
-
-const questionSchema = new mongoose.Schema({
-    questionText: {
-        type: String,
-        required: true
+    count: {
+        type: Number,
+        required: true,
+        min: 1
     },
-    questionType: {
+    // 'any' draws from every difficulty
+    difficulty: {
         type: String,
-        enum: ['multipleChoice', 'singleAnswer', 'shortAnswer', 'matchTheFollowing', 'longAnswer', 'codeSolve'],
-        required: true
+        enum: ['any', 'easy', 'medium', 'hard'],
+        default: 'any'
     },
-    options: [
-        {
-            type: String
-        }
-    ],
-    answers: [
-        {
-            type: String // Array of answers for match the following questions
-        }
-    ],
-    correctAnswers: [
-        {
-            type: Number // Array of indices for multiple choice questions
-        }
-    ],
-    correctAnswer: {
-        type: Number // Single index for single answer questions
-    },
-    keywords: {
-        type: [String], // Array of keywords for short answer questions
+    // Only questions with at least one of these tags, when there are any
+    tags: {
+        type: [String],
         default: []
-    },
-    // Code solving specific fields
-    programmingLanguage: {
-        type: String,
-        enum: ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'open'], // 'open' means multiple languages allowed
-        default: 'javascript'
-    },
-    starterCode: {
-        type: String,
-        default: ''
-    },
-    solutionCode: {
-        type: String,
-        default: ''
-    },
-    testCases: [testCaseSchema],
-    marks: {
-        type: Number,
-        default: 1
-    },
-    required: {
-        type: Boolean,
-        default: true
     }
-});
+}, { _id: false });
 
 const quizSchema = new mongoose.Schema({
     title: {
@@ -99,11 +53,65 @@ const quizSchema = new mongoose.Schema({
         },
         required: true
     },
+    // Served after the fixed questions above
+    questionDraws: {
+        type: [questionDrawSchema],
+        default: []
+    },
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
+    shuffleOptions: {
+        type: Boolean,
+        default: false
+    },
     timeLimit: {
         type: Number,
         default: 10 * 60, // Default 10 minutes in seconds
         min: 1 * 60, // Minimum 1 minute
         max: 180 * 60 // Maximum 3 hours
+    },
+    // Retake policy
+    passPercentage: {
+        type: Number,
+        default: 60,
+        min: 0,
+        max: 100
+    },
+    maxAttempts: {
+        type: Number,
+        default: 0, // 0 means unlimited
+        min: 0
+    },
+    cooldownMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Which attempt's score counts towards course progress
+    scoringPolicy: {
+        type: String,
+        enum: ['latest', 'best'],
+        default: 'latest'
+    },
+    // What happens when students leave the quiz or paste answers: record only
+    // records it for the integrity report, warn also warns the student and
+    // autoSubmit submits the attempt after maxViolations of them
+    integrityPolicy: {
+        type: String,
+        enum: ['record', 'warn', 'autoSubmit'],
+        default: 'record'
+    },
+    maxViolations: {
+        type: Number,
+        default: 3,
+        min: 1
+    },
+    // Attempts run in full screen, and leaving it counts as a violation
+    requireFullscreen: {
+        type: Boolean,
+        default: false
     }
 });
 
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const { questionSchema } = require('./quizQuestion');
+
+// A question as it was served in the attempt. optionOrder maps each option
+// shown to its index in the source question, when options were shuffled.
+const servedQuestionSchema = questionSchema.clone();
+servedQuestionSchema.add({
+    optionOrder: {
+        type: [Number],
+        default: undefined
+    }
+});
+
+// One sitting of a quiz by a student. The server starts the clock, so the
+// deadline does not depend on the browser's timer.
+const quizAttemptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true
+    },
+    attemptNumber: {
+        type: Number,
+        required: true
+    },
+    // expired attempts were graded after their deadline from the saved answers
+    status: {
+        type: String,
+        enum: ['inProgress', 'submitted', 'expired'],
+        default: 'inProgress'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    deadline: {
+        type: Date,
+        required: true
+    },
+    submittedAt: {
+        type: Date,
+        default: null
+    },
+    // Fixed and drawn questions in the order they were served; grading uses these
+    questions: {
+        type: [servedQuestionSchema],
+        default: undefined
+    },
+    // Answers keyed like the quiz submission, saved as the student goes
+    answers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Files uploaded for file upload questions. Answers may only point at these.
+    uploads: [
+        {
+            question: mongoose.Schema.Types.ObjectId,
+            url: String,
+            name: String,
+            size: Number,
+            mimeType: String,
+            uploadedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Seconds spent on each question, keyed by question id, as the browser reports them
+    questionTimes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Tab switches, focus losses, pastes and full screen exits, as the browser reports them
+    integrityEvents: [
+        {
+            kind: {
+                type: String,
+                enum: ['tabSwitch', 'blur', 'paste', 'fullscreenExit'],
+                required: true
+            },
+            // The question on screen at the time
+            question: mongoose.Schema.Types.ObjectId,
+            at: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Submitted by the quiz's integrity policy after too many violations
+    integrityAutoSubmitted: {
+        type: Boolean,
+        default: false
+    },
+    score: {
+        type: Number,
+        default: null
+    },
+    totalMarks: {
+        type: Number,
+        default: null
+    },
+    percentage: {
+        type: Number,
+        default: null
+    },
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    // pending while written answers wait for an instructor; the result is
+    // only recorded on the student's progress once they are graded
+    gradingStatus: {
+        type: String,
+        enum: ['auto', 'pending', 'graded'],
+        default: 'auto'
+    },
+    // Marks of the questions graded on submission
+    autoScore: {
+        type: Number,
+        default: null
+    },
+    // Questions whose answers need an instructor's grade
+    reviewQuestions: [mongoose.Schema.Types.ObjectId],
+    manualGrades: [
+        {
+            question: mongoose.Schema.Types.ObjectId,
+            score: Number,
+            // Marks given for each rubric criterion, in rubric order
+            rubricScores: [Number],
+            feedback: {
+                type: String,
+                default: ''
+            },
+            gradedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            gradedAt: Date
+        }
+    ],
+    releasedAt: {
+        type: Date,
+        default: null
+    },
+    codeResults: [
+        {
+            question: mongoose.Schema.Types.ObjectId,
+            score: Number,
+            marks: Number,
+            testResults: [
+                {
+                    testCase: mongoose.Schema.Types.ObjectId,
+                    hidden: Boolean,
+                    weight: Number,
+                    score: Number,
+                    passed: Boolean,
+                    status: String,
+                    time: Number,
+                    memory: Number
+                }
+            ]
+        }
+    ]
+}, { timestamps: true });
+
+quizAttemptSchema.index({ user: 1, quiz: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ status: 1, deadline: 1 });
+quizAttemptSchema.index({ gradingStatus: 1, course: 1, submittedAt: 1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+
+// Question schema shared by quizzes, question banks and quiz attempts. It is
+// embedded in those documents and has no collection of its own. Coding
+// exercises use its test cases too.
+const testCaseSchema = new mongoose.Schema({
+    input: {
+        type: String,
+        default: ''
+    },
+    expectedOutput: {
+        type: String,
+        required: true
+    },
+    isHidden: {
+        type: Boolean,
+        default: false
+    },
+    // Share of the question's marks this case is worth, relative to the other cases
+    weight: {
+        type: Number,
+        default: 1,
+        min: 0
+    }
+});
+
+// One criterion of the rubric an instructor grades a written answer against
+const rubricCriterionSchema = new mongoose.Schema({
+    criterion: {
+        type: String,
+        required: true
+    },
+    marks: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// One blank of a cloze question and the answers accepted in it
+const clozeBlankSchema = new mongoose.Schema({
+    answers: {
+        type: [String],
+        default: []
+    }
+}, { _id: false });
+
+// A unit a numeric answer may be given in, and how many of the answer's own
+// unit one of it is worth (with an answer in metres: cm is 0.01, km is 1000)
+const numericUnitSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    factor: {
+        type: Number,
+        default: 1
+    }
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+    questionText: {
+        type: String,
+        required: true
+    },
+    questionType: {
+        type: String,
+        enum: [
+            'multipleChoice', 'singleAnswer', 'shortAnswer', 'matchTheFollowing', 'longAnswer', 'codeSolve',
+            'cloze', 'ordering', 'numeric', 'fileUpload'
+        ],
+        required: true
+    },
+    // Ordering questions list their items in the correct order
+    options: [
+        {
+            type: String
+        }
+    ],
+    answers: [
+        {
+            type: String // Array of answers for match the following questions
+        }
+    ],
+    correctAnswers: [
+        {
+            type: Number // Array of indices for multiple choice questions
+        }
+    ],
+    correctAnswer: {
+        type: Number // Single index for single answer questions
+    },
+    keywords: {
+        type: [String], // Array of keywords for short answer questions
+        default: []
+    },
+    // Short answers are graded by an instructor instead of by keywords.
+    // Long answers always are.
+    manualGrading: {
+        type: Boolean,
+        default: false
+    },
+    rubric: {
+        type: [rubricCriterionSchema],
+        default: []
+    },
+    // Cloze questions mark blank N in the question text as [[N]]
+    blanks: {
+        type: [clozeBlankSchema],
+        default: undefined
+    },
+    caseSensitive: {
+        type: Boolean,
+        default: false
+    },
+    // Numeric questions: the answer, how far off it may be and the units it may be given in
+    numericAnswer: {
+        type: Number
+    },
+    tolerance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // relative tolerances are a percentage of the answer
+    toleranceType: {
+        type: String,
+        enum: ['absolute', 'relative'],
+        default: 'absolute'
+    },
+    units: {
+        type: [numericUnitSchema],
+        default: undefined
+    },
+    // File upload questions: extensions accepted, without the dot, and the largest file
+    allowedFileTypes: {
+        type: [String],
+        default: undefined
+    },
+    maxFileSizeMB: {
+        type: Number,
+        default: 10,
+        min: 1
+    },
+    // Code solving specific fields
+    programmingLanguage: {
+        type: String,
+        enum: ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'open'], // 'open' means multiple languages allowed
+        default: 'javascript'
+    },
+    starterCode: {
+        type: String,
+        default: ''
+    },
+    solutionCode: {
+        type: String,
+        default: ''
+    },
+    testCases: [testCaseSchema],
+    // How program output is compared with each test case's expected output
+    comparator: {
+        type: String,
+        enum: ['exact', 'ignoreWhitespace', 'floatTolerance', 'unorderedLines', 'regex', 'custom'],
+        default: 'exact'
+    },
+    floatTolerance: {
+        type: Number,
+        default: 1e-6,
+        min: 0
+    },
+    // Custom comparator: reads {"input", "expectedOutput", "actualOutput"} as JSON
+    // on stdin and prints a score from 0 to 1
+    checkerScript: {
+        type: String,
+        default: ''
+    },
+    checkerLanguage: {
+        type: String,
+        enum: ['python', 'javascript'],
+        default: 'python'
+    },
+    // Award a share of the marks: for the weight of passing test cases, the
+    // blanks filled in correctly or the items put in their right place
+    partialCredit: {
+        type: Boolean,
+        default: false
+    },
+    marks: {
+        type: Number,
+        default: 1
+    },
+    required: {
+        type: Boolean,
+        default: true
+    },
+    // Used to pick questions out of question banks
+    tags: {
+        type: [String],
+        default: []
+    },
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        default: 'medium'
+    }
+});
+
+module.exports = {
+    questionSchema,
+    testCaseSchema
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const refundRequestSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: function () {
+            return !this.bundle && !this.subscriptionPlan;
+        }
+    },
+    bundle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bundle',
+        default: null
+    },
+    subscriptionPlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionPlan',
+        default: null
+    },
+    // Processing while an approval is being refunded at the payment gateway
+    status: {
+        type: String,
+        enum: ['Pending', 'Processing', 'Approved', 'Rejected'],
+        default: 'Pending'
+    },
+    requestedAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    reason: {
+        type: String,
+        maxlength: 500
+    },
+    adminResponse: {
+        type: String,
+        maxlength: 500
+    },
+    // Course progress when the student asked for the refund
+    progressPercentage: {
+        type: Number,
+        default: 0
+    },
+    // Refund id at the payment gateway of the order
+    gatewayRefundId: {
+        type: String
+    },
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    requestDate: {
+        type: Date,
+        default: Date.now
+    },
+    responseDate: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Only one open refund request per order
+refundRequestSchema.index({ order: 1 }, {
+    unique: true,
+    partialFilterExpression: { status: 'Pending' }
+});
+
+module.exports = mongoose.model('RefundRequest', refundRequestSchema);
@@ -17,6 +17,99 @@ const subSectionSchema = new mongoose.Schema({
     quiz: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Quiz'
+    },
+    codeExercise: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CodeExercise'
+    },
+    // HLS ladder made from videoUrl in the background; the original file is
+    // played until the status is ready
+    hls: {
+        status: {
+            type: String,
+            enum: ['none', 'queued', 'processing', 'ready', 'failed'],
+            default: 'none'
+        },
+        sourceUrl: {
+            type: String
+        },
+        masterKey: {
+            type: String
+        },
+        renditions: [{
+            name: { type: String, required: true },
+            width: { type: Number, required: true },
+            height: { type: Number, required: true },
+            bandwidth: { type: Number, required: true },
+            playlistKey: { type: String, required: true }
+        }],
+        thumbnailKeys: [{
+            type: String
+        }],
+        thumbnailInterval: {
+            type: Number
+        },
+        error: {
+            type: String
+        },
+        startedAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        }
+    },
+    // Caption tracks, stored as WebVTT
+    captions: [{
+        language: {
+            type: String,
+            required: true
+        },
+        label: {
+            type: String,
+            required: true
+        },
+        url: {
+            type: String,
+            required: true
+        },
+        isDefault: {
+            type: Boolean,
+            default: false
+        },
+        // How the current text came about
+        source: {
+            type: String,
+            enum: ['upload', 'auto', 'edited'],
+            default: 'upload'
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Background generation of a caption track from the video's speech
+    captionJob: {
+        status: {
+            type: String,
+            enum: ['none', 'queued', 'processing', 'ready', 'failed'],
+            default: 'none'
+        },
+        language: {
+            type: String
+        },
+        provider: {
+            type: String
+        },
+        error: {
+            type: String
+        },
+        startedAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        }
     }
 
 });
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A student's membership. Each paid order adds one billing period; a student
+// keeps access until graceEndsAt, the end of the last period plus the plan's grace days.
+const subscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionPlan',
+        required: true
+    },
+    // active: inside a paid period, grace: period ended but still within the grace days
+    status: {
+        type: String,
+        enum: ['active', 'grace', 'expired'],
+        default: 'active'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    currentPeriodEnd: {
+        type: Date,
+        required: true
+    },
+    graceEndsAt: {
+        type: Date,
+        required: true
+    },
+    periods: [{
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        start: {
+            type: Date,
+            required: true
+        },
+        end: {
+            type: Date,
+            required: true
+        },
+        refunded: {
+            type: Boolean,
+            default: false
+        }
+    }],
+    // Days-before-expiry reminders already sent for the current period
+    remindersSent: [{
+        type: Number
+    }]
+}, { timestamps: true });
+
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+subscriptionSchema.index({ plan: 1, status: 1 });
+
+// Whether the subscription still grants access
+subscriptionSchema.methods.isCurrent = function () {
+    return this.status !== 'expired' && this.graceEndsAt > new Date();
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A membership plan. An active subscription to it unlocks the Paid courses of
+// its categories, or every Paid course when access is 'all'.
+const subscriptionPlanSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    interval: {
+        type: String,
+        enum: ['monthly', 'annual'],
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    access: {
+        type: String,
+        enum: ['all', 'categories'],
+        default: 'all'
+    },
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    features: [{
+        type: String,
+        trim: true
+    }],
+    // Days after the paid period during which access continues while the student renews
+    gracePeriodDays: {
+        type: Number,
+        default: 3,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+subscriptionPlanSchema.index({ isActive: 1 });
+
+// Whether the plan unlocks a course
+subscriptionPlanSchema.methods.coversCourse = function (course) {
+    if (this.access === 'all') {
+        return true;
+    }
+    const categoryId = (course.category?._id || course.category)?.toString();
+    return Boolean(categoryId) && this.categories.some(category =>
+        (category._id || category).toString() === categoryId
+    );
+};
+
+module.exports = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A line of a lecture's transcript, taken from its captions so students can
+// search what is said across a course and jump to it
+const transcriptSegmentSchema = new mongoose.Schema({
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    // Language tag of the caption track, e.g. en or pt-BR
+    language: {
+        type: String
+    },
+    // Language MongoDB stems the text in, or 'none' for ones it doesn't know
+    searchLanguage: {
+        type: String,
+        default: 'none'
+    },
+    // Seconds into the video
+    start: {
+        type: Number,
+        required: true
+    },
+    end: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    }
+});
+
+transcriptSegmentSchema.index({ subSection: 1, start: 1 });
+// Searches are always within one course
+transcriptSegmentSchema.index(
+    { course: 1, text: 'text' },
+    { language_override: 'searchLanguage', default_language: 'none' }
+);
+
+module.exports = mongoose.model('TranscriptSegment', transcriptSegmentSchema);
@@ -66,6 +66,13 @@ const userSchema = new mongoose.Schema(
             type: Map,
             of: Number,
             default: new Map()
+        },
+        // Currency the user chose to see prices and pay in, see utils/currencyUtils
+        preferredCurrency: {
+            type: String,
+            uppercase: true,
+            trim: true,
+            default: null
         }
     },// Add timestamps for when the document is created and last modified
     { timestamps: true }
@@ -34,6 +34,7 @@ const {
     cleanupExpiredCoupons
 } = require('../controllers/coupon');
 const { getAllOrders, deleteOrder, updateOrderStatus, generateOrdersPDF, getOrderByCourse } = require('../controllers/order');
+const { getAllRefundRequests, handleRefundRequest } = require('../controllers/refund');
 const { 
     getAllReviewsForAdmin, 
     toggleReviewSelection, 
@@ -84,6 +85,10 @@ router.delete('/orders/:orderId', auth, isAdmin, deleteOrder);
 router.patch('/orders/:orderId/status', auth, isAdmin, updateOrderStatus);
 router.get('/orders/export-pdf', auth, isAdmin, generateOrdersPDF);
 router.get('/orders/course/:courseId', auth, getOrderByCourse);
+
+// ================ REFUND ROUTES ================
+router.get('/refunds', auth, isAdmin, getAllRefundRequests);
+router.patch('/refunds/:refundId', auth, isAdmin, handleRefundRequest);
 // ================ NOTIFICATION MANAGEMENT ROUTES ================
 router.post('/notifications/send', auth, isAdmin, sendNotification);
 router.get('/notifications', auth, isAdmin, getAllNotifications);
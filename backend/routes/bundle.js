@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getBundles,
+    getBundleDetails,
+    getAllBundles,
+    createBundle,
+    updateBundle,
+    deleteBundle
+} = require('../controllers/bundle');
+
+const { auth, isAdmin } = require('../middleware/auth');
+const { upload } = require('../middleware/multer');
+
+// ================ BUNDLE ROUTES ================
+// Admin routes
+router.get('/admin/all', auth, isAdmin, getAllBundles);
+router.post('/create', auth, isAdmin, upload.single('thumbnailImage'), createBundle);
+router.put('/update/:bundleId', auth, isAdmin, upload.single('thumbnailImage'), updateBundle);
+router.delete('/delete/:bundleId', auth, isAdmin, deleteBundle);
+
+// Public routes
+router.get('/', getBundles);
+router.get('/:bundleId', getBundleDetails);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getCaptionTracks,
+    addCaptionTrack,
+    getCaptionTrackContent,
+    updateCaptionTrack,
+    deleteCaptionTrack,
+    generateCaptions
+} = require('../controllers/captions');
+
+const { auth, isInstructor } = require('../middleware/auth');
+const { captionFileUpload } = require('../middleware/captionFileMulter');
+const { MAX_CAPTION_FILE_MB } = require('../utils/captions');
+
+// ================ CAPTION ROUTES ================
+// Caption tracks of a lecture, for instructors and admins. Students get them
+// through the video routes, with a playback token.
+router.get('/:subSectionId', auth, isInstructor, getCaptionTracks);
+router.post('/:subSectionId', auth, isInstructor, (req, res, next) => {
+    // Report rejected files here rather than in the global error handler
+    captionFileUpload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `Caption files can be at most ${MAX_CAPTION_FILE_MB}MB`
+                    : error.message
+            });
+        }
+        next();
+    });
+}, addCaptionTrack);
+router.post('/:subSectionId/generate', auth, isInstructor, generateCaptions);
+router.get('/:subSectionId/:trackId', auth, isInstructor, getCaptionTrackContent);
+router.put('/:subSectionId/:trackId', auth, isInstructor, updateCaptionTrack);
+router.delete('/:subSectionId/:trackId', auth, isInstructor, deleteCaptionTrack);
+
+module.exports = router;
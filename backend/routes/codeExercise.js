@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    createCodeExercise,
+    updateCodeExercise,
+    getCodeExercise,
+    getExerciseDraft,
+    saveExerciseDraft,
+    runExerciseSamples,
+    submitCodeExercise,
+    getExerciseSubmissions
+} = require('../controllers/codeExercise');
+
+const { auth, isInstructor } = require('../middleware/auth');
+
+// ================ CODING EXERCISE ROUTES ================
+// Authoring, for instructors and admins
+router.post('/', auth, isInstructor, createCodeExercise);
+router.put('/:exerciseId', auth, isInstructor, updateCodeExercise);
+
+// Practising: drafts, sample runs and submissions of the signed in user
+router.get('/:exerciseId', auth, getCodeExercise);
+router.get('/:exerciseId/draft', auth, getExerciseDraft);
+router.put('/:exerciseId/draft', auth, saveExerciseDraft);
+router.post('/:exerciseId/run', auth, runExerciseSamples);
+router.post('/:exerciseId/submit', auth, submitCodeExercise);
+router.get('/:exerciseId/submissions', auth, getExerciseSubmissions);
+
+module.exports = router;
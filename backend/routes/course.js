@@ -15,7 +15,14 @@ const {
 
 } = require('../controllers/course')
 
-const { updateCourseProgress, updateQuizProgress, checkSectionAccess, getProgressPercentage } = require('../controllers/courseProgress')
+const {
+    updateCourseProgress,
+    checkSectionAccess,
+    getProgressPercentage,
+    updateVideoProgress,
+    getVideoProgress,
+    getContinueLearning
+} = require('../controllers/courseProgress')
 
 // categories Controllers
 const {
@@ -106,15 +113,19 @@ router.delete("/deleteCourse", auth, deleteCourse)
 // update Course Progress
 router.post("/updateCourseProgress", auth, isStudent, updateCourseProgress)
 
-// update Quiz Progress
-router.post("/updateQuizProgress", auth, isStudent, updateQuizProgress)
-
 // check Section Access
 router.post("/checkSectionAccess", auth, isStudent, checkSectionAccess)
 
 // get Progress Percentage
 router.post("/getProgressPercentage", auth, isStudent, getProgressPercentage)
 
+// save and get where the student is in a lecture video
+router.post("/updateVideoProgress", auth, isStudent, updateVideoProgress)
+router.post("/getVideoProgress", auth, isStudent, getVideoProgress)
+
+// next unfinished lecture of each enrolled course
+router.get("/continueLearning", auth, isStudent, getContinueLearning)
+
 
 // ********************************************************************************************************
 //                                      Category routes (Only by Admin)
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getCurrencies,
+    updatePreferredCurrency,
+    getAllCurrencies,
+    createCurrency,
+    updateCurrency,
+    deleteCurrency
+} = require('../controllers/currency');
+
+const { auth, isAdmin } = require('../middleware/auth');
+
+// ================ CURRENCY ROUTES ================
+// Admin routes
+router.get('/admin', auth, isAdmin, getAllCurrencies);
+router.post('/admin', auth, isAdmin, createCurrency);
+router.put('/admin/:currencyId', auth, isAdmin, updateCurrency);
+router.delete('/admin/:currencyId', auth, isAdmin, deleteCurrency);
+
+// User routes
+router.put('/preference', auth, updatePreferredCurrency);
+
+// Public routes
+router.get('/', getCurrencies);
+
+module.exports = router;
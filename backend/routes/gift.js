@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+
+const { getGift, claimGift } = require('../controllers/gift');
+
+const { auth, isStudent } = require('../middleware/auth');
+
+// ================ GIFT ROUTES ================
+// Student routes
+router.post('/claim', auth, isStudent, claimGift);
+
+// Public routes
+router.get('/:code', getGift);
+
+module.exports = router;
@@ -1,13 +1,25 @@
 const express = require('express');
 const router = express.Router();
 
-const { capturePayment, verifyPayment, getPurchaseHistory } = require('../controllers/payments');
+const { capturePayment, captureBundlePayment, captureSubscriptionPayment, captureGiftPayment, verifyPayment, getPurchaseHistory, paymentWebhook } = require('../controllers/payments');
 const { getOrderByCourse } = require('../controllers/order');
+const { requestRefund, getUserRefundRequests } = require('../controllers/refund');
+const { downloadInvoice } = require('../controllers/invoice');
 const { auth, isAdmin, isInstructor, isStudent } = require('../middleware/auth');
 
 router.post('/capturePayment', auth, isStudent, capturePayment);
+router.post('/bundle/capturePayment', auth, isStudent, captureBundlePayment);
+router.post('/subscription/capturePayment', auth, isStudent, captureSubscriptionPayment);
+router.post('/gift/capturePayment', auth, isStudent, captureGiftPayment);
 router.post('/verifyPayment', auth, isStudent, verifyPayment);
+// Called by the payment gateways, authenticated through the webhook signature
+router.post('/webhook', paymentWebhook);
+router.post('/webhook/:gateway', paymentWebhook);
 router.get('/purchaseHistory', auth, isStudent, getPurchaseHistory);
 router.get('/order/course/:courseId', auth, isStudent, getOrderByCourse);
+router.post('/refunds/request', auth, isStudent, requestRefund);
+router.get('/refunds', auth, isStudent, getUserRefundRequests);
+// Owner or admin, checked in the controller
+router.get('/invoice/:orderId', auth, downloadInvoice);
 
 module.exports = router
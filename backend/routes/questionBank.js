@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getQuestionBanks,
+    getQuestionBank,
+    createQuestionBank,
+    updateQuestionBank,
+    deleteQuestionBank
+} = require('../controllers/questionBank');
+const { exportQuestionBank } = require('../controllers/quizTransfer');
+
+const { auth, isInstructor } = require('../middleware/auth');
+
+// ================ QUESTION BANK ROUTES ================
+// Instructors and admins only
+router.get('/', auth, isInstructor, getQuestionBanks);
+router.post('/', auth, isInstructor, createQuestionBank);
+router.get('/:bankId', auth, isInstructor, getQuestionBank);
+router.get('/:bankId/export', auth, isInstructor, exportQuestionBank);
+router.put('/:bankId', auth, isInstructor, updateQuestionBank);
+router.delete('/:bankId', auth, isInstructor, deleteQuestionBank);
+
+module.exports = router;
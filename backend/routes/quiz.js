@@ -12,11 +12,29 @@ const {
   getQuizResults,
   validateSectionAccess,
   submitQuiz,
-  getQuizStatus
+  getQuizStatus,
+  startQuizAttempt,
+  saveAttemptAnswers,
+  uploadAnswerFile,
+  recordIntegrityEvents,
+  runCode,
+  runTestCases
 } = require('../controllers/quiz');
+const {
+  getGradingQueue,
+  getAttemptForGrading,
+  gradeQuizAttempt
+} = require('../controllers/quizGrading');
+const { exportQuiz, previewQuizImport } = require('../controllers/quizTransfer');
+const { getQuizItemAnalysis } = require('../controllers/quizAnalytics');
+const { getQuizIntegrityReport, getAttemptIntegrityReport } = require('../controllers/quizIntegrity');
+const { answerFileUpload } = require('../middleware/answerFileMulter');
+const { MAX_ANSWER_FILE_MB } = require('../utils/quizQuestionUtils');
 
 // Routes
 router.get('/all', auth, getAllQuizzes);
+router.post('/run-code', auth, runCode);
+router.post('/run-tests', auth, runTestCases);
 router.post('/create', auth, (req, res, next) => {
   // Allow both admin and instructor to create quizzes
   if (req.user.accountType === 'Admin' || req.user.accountType === 'Instructor') {
@@ -29,6 +47,14 @@ router.post('/create', auth, (req, res, next) => {
   }
 }, createQuiz);
 router.get('/status/:quizId', auth, getQuizStatus);
+router.get('/grading/queue', auth, isInstructor, getGradingQueue);
+router.get('/grading/attempt/:attemptId', auth, isInstructor, getAttemptForGrading);
+router.put('/grading/attempt/:attemptId', auth, isInstructor, gradeQuizAttempt);
+router.get('/export/:quizId', auth, isInstructor, exportQuiz);
+router.post('/import/preview', auth, isInstructor, previewQuizImport);
+router.get('/analysis/:quizId', auth, isInstructor, getQuizItemAnalysis);
+router.get('/integrity/attempt/:attemptId', auth, isInstructor, getAttemptIntegrityReport);
+router.get('/integrity/:quizId', auth, isInstructor, getQuizIntegrityReport);
 router.get('/results/:quizId', auth, getQuizResults);
 router.get('/validate-access/:sectionId', auth, validateSectionAccess);
 router.get('/:quizId', auth, getQuizById);
@@ -43,6 +69,23 @@ router.put('/update/:quizId', auth, (req, res, next) => {
     });
   }
 }, updateQuiz);
+router.post('/start/:quizId', auth, startQuizAttempt);
+router.put('/attempt/:attemptId/answers', auth, saveAttemptAnswers);
+router.post('/attempt/:attemptId/upload', auth, (req, res, next) => {
+  // Report rejected files here rather than in the global error handler
+  answerFileUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Answer files can be at most ${MAX_ANSWER_FILE_MB}MB`
+          : error.message
+      });
+    }
+    next();
+  });
+}, uploadAnswerFile);
+router.post('/attempt/:attemptId/integrity', auth, recordIntegrityEvents);
 router.post('/submit', auth, submitQuiz);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getPlans,
+    getMySubscription,
+    enrollWithSubscription,
+    getAllPlans,
+    getSubscriptions,
+    createPlan,
+    updatePlan,
+    deletePlan
+} = require('../controllers/subscription');
+
+const { auth, isStudent, isAdmin } = require('../middleware/auth');
+
+// ================ MEMBERSHIP ROUTES ================
+// Admin routes
+router.get('/admin/plans', auth, isAdmin, getAllPlans);
+router.get('/admin/subscriptions', auth, isAdmin, getSubscriptions);
+router.post('/admin/plans', auth, isAdmin, createPlan);
+router.put('/admin/plans/:planId', auth, isAdmin, updatePlan);
+router.delete('/admin/plans/:planId', auth, isAdmin, deletePlan);
+
+// Student routes
+router.get('/me', auth, isStudent, getMySubscription);
+router.post('/enroll', auth, isStudent, enrollWithSubscription);
+
+// Public routes
+router.get('/plans', getPlans);
+
+module.exports = router;
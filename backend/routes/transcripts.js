@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const { getLectureTranscript, searchCourseTranscripts } = require('../controllers/transcripts');
+const { auth } = require('../middleware/auth');
+
+// ================ TRANSCRIPT ROUTES ================
+router.get('/course/:courseId/search', auth, searchCourseTranscripts);
+router.get('/:subSectionId', auth, getLectureTranscript);
+
+module.exports = router;
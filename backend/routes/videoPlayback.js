@@ -1,16 +1,113 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { issuePlaybackToken, playbackHeartbeat, endPlaybackSession, isPlaybackSessionLive } = require('../controllers/playbackSession');
 const ChunkedVideo = require('../models/chunkedVideo');
 const SubSection = require('../models/subSection');
-const { s3Client, BUCKET_NAME } = require('../config/awsS3');
+const { s3Client, s3PresignClient, BUCKET_NAME, getKeyFromUrl, getSignedUrl } = require('../config/awsS3');
 const { GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { buildMasterPlaylist } = require('../utils/hlsTranscoder');
+const { verifyPlaybackToken, getPlaybackSource, getChunkedVideoId } = require('../utils/playbackTokens');
+const { readCaptionFile } = require('../utils/captions');
+
+// Signed S3 links handed out with a playback token expire along with it
+const getSignedUrlTtl = (req) => Math.max(60, Math.floor((req.playback.expiresAt - Date.now()) / 1000));
+
+// Video requests carry a playback token, in the query string as players can't
+// add headers to them. A student's token only plays while the tab it was
+// issued to keeps its stream; staff tokens aren't tied to a tab.
+const requirePlaybackToken = async (req, res, next) => {
+    try {
+        const token = req.query.token || req.headers['x-playback-token'];
+        const playback = verifyPlaybackToken(token);
+        if (!playback) {
+            return res.status(401).json({
+                success: false,
+                message: 'Playback link is invalid or has expired'
+            });
+        }
+        if (playback.clientId && !(await isPlaybackSessionLive(playback.userId, playback.clientId))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Playback session has ended'
+            });
+        }
+        req.playback = playback;
+        req.playbackToken = token;
+        next();
+    } catch (error) {
+        console.error('Error checking playback token:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to check video access'
+        });
+    }
+};
+
+// The token must have been issued for the lecture in the URL
+const requireTokenLecture = (req, res, next) => {
+    if (req.params.subSectionId !== req.playback.subSectionId) {
+        return res.status(403).json({
+            success: false,
+            message: 'Playback link is for another lecture'
+        });
+    }
+    next();
+};
+
+// Chunked videos are known by their own id; it must be the token's lecture's video
+const requireVideoOfLecture = async (req, res, next) => {
+    try {
+        const subSection = await SubSection.findById(req.playback.subSectionId).select('videoUrl');
+        if (!subSection || getChunkedVideoId(subSection.videoUrl) !== req.params.videoId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Playback link is for another lecture'
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking video lecture:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to check video access'
+        });
+    }
+};
+
+const findReadyHls = async (subSectionId, res) => {
+    const subSection = await SubSection.findById(subSectionId).select('hls');
+    if (!subSection || subSection.hls?.status !== 'ready') {
+        res.status(404).json({
+            success: false,
+            message: 'Adaptive stream is not ready for this video'
+        });
+        return null;
+    }
+    return subSection;
+};
+
+/**
+ * Get a playback token for a lecture the user may watch
+ * POST /api/v1/video/playback-token
+ */
+router.post('/playback-token', auth, issuePlaybackToken);
+
+/**
+ * Keep a player's stream counted, or free it when the player closes
+ * POST /api/v1/video/playback-session/heartbeat
+ * DELETE /api/v1/video/playback-session/:clientId
+ */
+router.post('/playback-session/heartbeat', auth, playbackHeartbeat);
+router.delete('/playback-session/:clientId', auth, endPlaybackSession);
 
 /**
  * Get video manifest for chunked video playback
  * GET /api/v1/video/manifest/:videoId
  */
-router.get('/manifest/:videoId', auth, async (req, res) => {
+router.get('/manifest/:videoId', requirePlaybackToken, requireVideoOfLecture, async (req, res) => {
     try {
         const { videoId } = req.params;
         
@@ -33,17 +130,16 @@ router.get('/manifest/:videoId', auth, async (req, res) => {
         // Sort chunks by index
         const sortedChunks = chunkedVideo.uploadedChunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
 
-        // Generate chunk URLs for playback
-        const chunkUrls = sortedChunks.map(chunk => {
-            // For S3, we'll use signed URLs or direct streaming
-            const s3Key = chunk.chunkPath;
-            const publicUrl = `https://${process.env.AWS_S3_BUCKET_VIDEOS}.s3.${process.env.AWS_REGION}.amazonaws.com/${s3Key}`;
-            return {
-                index: chunk.chunkIndex,
-                url: publicUrl,
-                size: chunk.chunkSize
-            };
-        });
+        // Generate chunk URLs for playback, expiring with the playback token
+        const chunkUrls = await Promise.all(sortedChunks.map(async (chunk) => ({
+            index: chunk.chunkIndex,
+            url: await getSignedUrl(
+                s3PresignClient,
+                new GetObjectCommand({ Bucket: process.env.AWS_S3_BUCKET_VIDEOS, Key: chunk.chunkPath }),
+                { expiresIn: getSignedUrlTtl(req) }
+            ),
+            size: chunk.chunkSize
+        })));
 
         const manifest = {
             videoId,
@@ -75,33 +171,9 @@ router.get('/manifest/:videoId', auth, async (req, res) => {
 /**
  * Stream chunked video for playback
  * GET /api/v1/video/stream/:videoId
- * Supports both header and query parameter authentication
+ * Requires a playback token for the lecture
  */
-router.get('/stream/:videoId', async (req, res) => {
-    // Check for token in header or query parameter
-    let token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token && req.query.token) {
-        token = req.query.token;
-    }
-    
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication token required'
-        });
-    }
-    
-    // Verify token manually since we're not using the auth middleware
-    try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-    } catch (error) {
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid authentication token'
-        });
-    }
+router.get('/stream/:videoId', requirePlaybackToken, requireVideoOfLecture, async (req, res) => {
     try {
         const { videoId } = req.params;
         const range = req.headers.range;
@@ -147,7 +219,7 @@ router.get('/stream/:videoId', async (req, res) => {
                 'Accept-Ranges': 'bytes',
                 'Content-Length': rangeSize,
                 'Content-Type': chunkedVideo.mimetype,
-                'Cache-Control': 'public, max-age=3600'
+                'Cache-Control': 'private, max-age=3600'
             });
 
             // Stream chunks as we download them for faster response
@@ -261,33 +333,9 @@ router.get('/stream/:videoId', async (req, res) => {
 /**
  * Get video info for chunked videos
  * GET /api/v1/video/info/:videoId
- * Supports both header and query parameter authentication
+ * Requires a playback token for the lecture
  */
-router.get('/info/:videoId', async (req, res) => {
-    // Check for token in header or query parameter
-    let token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token && req.query.token) {
-        token = req.query.token;
-    }
-    
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication token required'
-        });
-    }
-    
-    // Verify token manually
-    try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-    } catch (error) {
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid authentication token'
-        });
-    }
+router.get('/info/:videoId', requirePlaybackToken, requireVideoOfLecture, async (req, res) => {
     try {
         const { videoId } = req.params;
         
@@ -331,34 +379,9 @@ router.get('/info/:videoId', async (req, res) => {
 /**
  * Stream direct S3 videos (non-chunked)
  * GET /api/v1/video/direct/:subSectionId
- * Supports both header and query parameter authentication
+ * Requires a playback token for the lecture
  */
-router.get('/direct/:subSectionId', async (req, res) => {
-    // Check for token in header or query parameter
-    let token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token && req.query.token) {
-        token = req.query.token;
-    }
-    
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication token required'
-        });
-    }
-    
-    // Verify token manually since we're not using the auth middleware
-    try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-    } catch (error) {
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid authentication token'
-        });
-    }
-
+router.get('/direct/:subSectionId', requirePlaybackToken, requireTokenLecture, async (req, res) => {
     try {
         const { subSectionId } = req.params;
         const range = req.headers.range;
@@ -388,26 +411,18 @@ router.get('/direct/:subSectionId', async (req, res) => {
         }
 
         // Extract S3 key from URL
-        let s3Key;
         const videoUrl = subSection.videoUrl;
         
         console.log('🎥 Processing video URL:', videoUrl);
         
-        if (videoUrl.includes('amazonaws.com')) {
-            // Extract key from S3 URL
-            const urlParts = videoUrl.split('/');
-            s3Key = urlParts.slice(3).join('/'); // Remove https://bucket.s3.region.amazonaws.com/
-            console.log('🎥 Extracted S3 key from amazonaws URL:', s3Key);
-        } else if (process.env.AWS_CLOUDFRONT_DOMAIN && videoUrl.includes(process.env.AWS_CLOUDFRONT_DOMAIN)) {
-            // Extract key from CloudFront URL
-            s3Key = videoUrl.split(`https://${process.env.AWS_CLOUDFRONT_DOMAIN}/`)[1];
-            console.log('🎥 Extracted S3 key from CloudFront URL:', s3Key);
+        const s3Key = getKeyFromUrl(videoUrl);
+        if (s3Key) {
+            console.log('🎥 Extracted S3 key from video URL:', s3Key);
         } else {
             console.error('❌ Invalid video URL format:', videoUrl);
             return res.status(400).json({
                 success: false,
-                message: 'Invalid video URL format',
-                videoUrl: videoUrl
+                message: 'Invalid video URL format'
             });
         }
 
@@ -455,7 +470,7 @@ router.get('/direct/:subSectionId', async (req, res) => {
                 'Accept-Ranges': 'bytes',
                 'Content-Length': rangeSize,
                 'Content-Type': contentType,
-                'Cache-Control': 'public, max-age=3600'
+                'Cache-Control': 'private, max-age=3600'
             });
 
             // Stream the response
@@ -479,7 +494,7 @@ router.get('/direct/:subSectionId', async (req, res) => {
                 'Content-Length': contentLength,
                 'Content-Type': contentType,
                 'Accept-Ranges': 'bytes',
-                'Cache-Control': 'public, max-age=3600'
+                'Cache-Control': 'private, max-age=3600'
             });
 
             // Stream the response
@@ -507,32 +522,7 @@ router.get('/direct/:subSectionId', async (req, res) => {
  * Get video info for direct S3 videos
  * GET /api/v1/video/direct-info/:subSectionId
  */
-router.get('/direct-info/:subSectionId', async (req, res) => {
-    // Check for token in header or query parameter
-    let token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token && req.query.token) {
-        token = req.query.token;
-    }
-    
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication token required'
-        });
-    }
-    
-    // Verify token manually
-    try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-    } catch (error) {
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid authentication token'
-        });
-    }
-
+router.get('/direct-info/:subSectionId', requirePlaybackToken, requireTokenLecture, async (req, res) => {
     try {
         const { subSectionId } = req.params;
         
@@ -544,14 +534,14 @@ router.get('/direct-info/:subSectionId', async (req, res) => {
             });
         }
 
+        // Only the token-scoped stream, never the stored file URL
         const videoInfo = {
             subSectionId: subSection._id,
             title: subSection.title,
             description: subSection.description,
-            videoUrl: subSection.videoUrl,
             duration: subSection.timeDuration || 0,
             isChunked: false,
-            streamUrl: `/api/v1/video/direct/${subSectionId}`
+            streamUrl: getPlaybackSource(subSection.videoUrl, subSection._id, req.playbackToken).url
         };
 
         res.status(200).json({
@@ -569,4 +559,164 @@ router.get('/direct-info/:subSectionId', async (req, res) => {
     }
 });
 
+/**
+ * Get the HLS transcoding status and thumbnails of a lecture video
+ * GET /api/v1/video/hls/:subSectionId/status
+ */
+router.get('/hls/:subSectionId/status', requirePlaybackToken, requireTokenLecture, async (req, res) => {
+    try {
+        const subSection = await SubSection.findById(req.params.subSectionId).select('hls');
+        if (!subSection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        const { hls } = subSection;
+        const thumbnails = hls.status === 'ready'
+            ? await Promise.all(hls.thumbnailKeys.map(key => getSignedUrl(
+                s3PresignClient,
+                new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }),
+                { expiresIn: getSignedUrlTtl(req) }
+            )))
+            : [];
+
+        res.status(200).json({
+            success: true,
+            data: {
+                status: hls.status,
+                error: hls.error || null,
+                renditions: hls.renditions.map(rendition => ({
+                    name: rendition.name,
+                    width: rendition.width,
+                    height: rendition.height
+                })),
+                thumbnails,
+                thumbnailInterval: hls.thumbnailInterval || null,
+                masterUrl: hls.status === 'ready' ? `/api/v1/video/hls/${subSection._id}/master.m3u8` : null
+            },
+            message: 'Video transcoding status retrieved successfully'
+        });
+    } catch (error) {
+        console.error('Error getting video transcoding status:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get video transcoding status'
+        });
+    }
+});
+
+/**
+ * Get the HLS master playlist of a lecture video
+ * GET /api/v1/video/hls/:subSectionId/master.m3u8
+ */
+router.get('/hls/:subSectionId/master.m3u8', requirePlaybackToken, requireTokenLecture, async (req, res) => {
+    try {
+        const subSection = await findReadyHls(req.params.subSectionId, res);
+        if (!subSection) return;
+
+        // Rendition playlists are served by the route below, with the same token
+        const playlist = buildMasterPlaylist(
+            subSection.hls.renditions,
+            `?token=${encodeURIComponent(req.playbackToken)}`
+        );
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'private, no-cache'
+        });
+        res.status(200).send(playlist);
+    } catch (error) {
+        console.error('Error getting HLS master playlist:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get HLS playlist'
+        });
+    }
+});
+
+/**
+ * Get the HLS playlist of one rendition, its segments as signed S3 URLs
+ * GET /api/v1/video/hls/:subSectionId/:rendition/index.m3u8
+ */
+router.get('/hls/:subSectionId/:rendition/index.m3u8', requirePlaybackToken, requireTokenLecture, async (req, res) => {
+    try {
+        const subSection = await findReadyHls(req.params.subSectionId, res);
+        if (!subSection) return;
+
+        const rendition = subSection.hls.renditions.find(item => item.name === req.params.rendition);
+        if (!rendition) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rendition not found'
+            });
+        }
+
+        const response = await s3Client.send(new GetObjectCommand({
+            Bucket: BUCKET_NAME,
+            Key: rendition.playlistKey
+        }));
+        const stored = await response.Body.transformToString();
+
+        // Segments are fetched straight from the bucket, which may be private
+        const folder = rendition.playlistKey.slice(0, rendition.playlistKey.lastIndexOf('/') + 1);
+        const lines = await Promise.all(stored.split('\n').map(line => (
+            line && !line.startsWith('#')
+                ? getSignedUrl(
+                    s3PresignClient,
+                    new GetObjectCommand({ Bucket: BUCKET_NAME, Key: `${folder}${line.trim()}` }),
+                    { expiresIn: getSignedUrlTtl(req) }
+                )
+                : line
+        )));
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'private, no-cache'
+        });
+        res.status(200).send(lines.join('\n'));
+    } catch (error) {
+        console.error('Error getting HLS rendition playlist:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get HLS playlist'
+        });
+    }
+});
+
+/**
+ * Get a caption track of a lecture video as WebVTT
+ * GET /api/v1/video/captions/:subSectionId/:trackId
+ * Requires a playback token for the lecture
+ */
+router.get('/captions/:subSectionId/:trackId', requirePlaybackToken, requireTokenLecture, async (req, res) => {
+    try {
+        const subSection = await SubSection.findById(req.params.subSectionId).select('captions');
+        const track = subSection?.captions.id(req.params.trackId);
+        if (!track) {
+            return res.status(404).json({
+                success: false,
+                message: 'Caption track not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/vtt; charset=utf-8',
+            'Cache-Control': 'private, no-cache'
+        });
+        res.status(200).send(await readCaptionFile(track.url));
+    } catch (error) {
+        console.error('Error getting caption track:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get caption track'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const { expireBundleEnrollments } = require('../utils/bundleUtils');
+
+// Schedule removal of expired bundle access to run daily at 1 AM
+const scheduleBundleExpiry = () => {
+    cron.schedule('0 1 * * *', async () => {
+        try {
+            console.log('Running scheduled bundle expiry...');
+            const expired = await expireBundleEnrollments();
+            console.log(`Bundle expiry completed. Removed ${expired} expired enrollments.`);
+        } catch (error) {
+            console.error('Error during bundle expiry:', error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "UTC"
+    });
+
+    console.log('Bundle expiry scheduled to run daily at 1:00 AM UTC');
+};
+
+module.exports = {
+    scheduleBundleExpiry
+};
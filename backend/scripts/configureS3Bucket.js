@@ -9,6 +9,8 @@ const s3Client = new S3Client({
     },
 });
 
+const { PUBLIC_FOLDERS } = require('../config/s3Storage');
+
 const BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
 
 async function configureS3Bucket() {
@@ -50,7 +52,7 @@ async function configureS3Bucket() {
         await s3Client.send(publicAccessBlockCommand);
         console.log('✅ Public access block configuration updated');
 
-        // 3. Configure bucket policy for public read access
+        // 3. Configure bucket policy for public read access, except to videos
         const bucketPolicy = {
             Version: '2012-10-17',
             Statement: [
@@ -59,7 +61,7 @@ async function configureS3Bucket() {
                     Effect: 'Allow',
                     Principal: '*',
                     Action: 's3:GetObject',
-                    Resource: `arn:aws:s3:::${BUCKET_NAME}/*`
+                    Resource: PUBLIC_FOLDERS.map(folder => `arn:aws:s3:::${BUCKET_NAME}/${folder}/*`)
                 }
             ]
         };
@@ -75,7 +77,7 @@ async function configureS3Bucket() {
         console.log('🎉 S3 bucket configuration completed successfully!');
         console.log('📝 Your bucket is now configured for:');
         console.log('   - Cross-origin requests (CORS)');
-        console.log('   - Public read access for uploaded files');
+        console.log('   - Public read access for uploaded images and documents');
         console.log('   - Proper headers for web applications');
 
     } catch (error) {
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const { processEnrollmentExpiry } = require('../utils/enrollmentUtils');
+
+// Schedule course access reminders and expiry to run daily at 1:15 AM
+const scheduleEnrollmentExpiry = () => {
+    cron.schedule('15 1 * * *', async () => {
+        try {
+            console.log('Running scheduled enrollment expiry...');
+            const { reminded, expired } = await processEnrollmentExpiry();
+            console.log(`Enrollment expiry completed. Reminded ${reminded}, ended access for ${expired} enrollments.`);
+        } catch (error) {
+            console.error('Error during enrollment expiry:', error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "UTC"
+    });
+
+    console.log('Enrollment expiry scheduled to run daily at 1:15 AM UTC');
+};
+
+module.exports = {
+    scheduleEnrollmentExpiry
+};
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const { expireGifts } = require('../utils/giftUtils');
+
+// Schedule expiry of unclaimed gifts to run daily at 1:45 AM
+const scheduleGiftExpiry = () => {
+    cron.schedule('45 1 * * *', async () => {
+        try {
+            console.log('Running scheduled gift expiry...');
+            const expired = await expireGifts();
+            console.log(`Gift expiry completed. Expired ${expired} unclaimed gifts.`);
+        } catch (error) {
+            console.error('Error during gift expiry:', error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "UTC"
+    });
+
+    console.log('Gift expiry scheduled to run daily at 1:45 AM UTC');
+};
+
+module.exports = {
+    scheduleGiftExpiry
+};
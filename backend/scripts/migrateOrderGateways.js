@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Move the Razorpay specific fields of existing orders and refund requests to the
+// gateway neutral ones used since payments go through services/paymentGateways
+const migrateOrderGateways = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URL);
+        console.log('Connected to MongoDB');
+
+        const orders = mongoose.connection.collection('orders');
+        const refundRequests = mongoose.connection.collection('refundrequests');
+
+        const orderResult = await orders.updateMany(
+            { razorpayOrderId: { $exists: true } },
+            {
+                $set: { gateway: 'razorpay' },
+                $rename: {
+                    razorpayOrderId: 'gatewayOrderId',
+                    razorpayPaymentId: 'gatewayPaymentId',
+                    razorpaySignature: 'gatewaySignature',
+                    razorpayRefundIds: 'gatewayRefundIds'
+                }
+            }
+        );
+        console.log(`Updated ${orderResult.modifiedCount} orders`);
+
+        const refundResult = await refundRequests.updateMany(
+            { razorpayRefundId: { $exists: true } },
+            { $rename: { razorpayRefundId: 'gatewayRefundId' } }
+        );
+        console.log(`Updated ${refundResult.modifiedCount} refund requests`);
+
+        console.log('Migration completed successfully');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+};
+
+migrateOrderGateways();
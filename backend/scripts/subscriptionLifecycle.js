@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const { processSubscriptions } = require('../utils/subscriptionUtils');
+
+// Schedule membership reminders, grace periods and expiry to run daily at 1:30 AM
+const scheduleSubscriptionLifecycle = () => {
+    cron.schedule('30 1 * * *', async () => {
+        try {
+            console.log('Running scheduled membership upkeep...');
+            const { reminded, inGrace, expired } = await processSubscriptions();
+            console.log(`Membership upkeep completed. Reminded ${reminded}, moved ${inGrace} into grace period, expired ${expired}.`);
+        } catch (error) {
+            console.error('Error during membership upkeep:', error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "UTC"
+    });
+
+    console.log('Membership upkeep scheduled to run daily at 1:30 AM UTC');
+};
+
+module.exports = {
+    scheduleSubscriptionLifecycle
+};
@@ -37,6 +37,14 @@ const recycleBinRoutes = require('./routes/recycleBin');
 const uploadRoutes = require('./routes/upload');
 const chunkedUploadRoutes = require('./routes/chunkedUpload');
 const videoPlaybackRoutes = require('./routes/videoPlayback');
+const bundleRoutes = require('./routes/bundle');
+const subscriptionRoutes = require('./routes/subscription');
+const giftRoutes = require('./routes/gift');
+const currencyRoutes = require('./routes/currency');
+const questionBankRoutes = require('./routes/questionBank');
+const codeExerciseRoutes = require('./routes/codeExercise');
+const captionRoutes = require('./routes/captions');
+const transcriptRoutes = require('./routes/transcripts');
 
 // middleware 
 app.use(cookieParser());
@@ -68,7 +76,7 @@ const corsOptions = {
     origin: getAllowedOrigins(), // Dynamic frontend URLs
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Currency'],
     exposedHeaders: ['Content-Type', 'Authorization']
 };
 
@@ -225,7 +233,15 @@ io.on('connection', (socket) => {
 app.set('io', io);
 
 // Body parser middleware with increased limits
-app.use(express.json({ limit: '500mb' }));
+app.use(express.json({
+    limit: '500mb',
+    // Keep the raw payload of payment webhooks for signature verification
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/v1/payment/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '500mb' }));
 
 // Increase timeout for large uploads
@@ -295,6 +311,17 @@ app.use('/api/v1/upload', uploadRoutes);
 app.use('/api/v1/chunked-upload', chunkedUploadRoutes);
 // Video Playback Routes
 app.use('/api/v1/video', videoPlaybackRoutes);
+// Bundle Routes
+app.use('/api/v1/bundle', bundleRoutes);
+// Membership Routes
+app.use('/api/v1/subscription', subscriptionRoutes);
+// Gift Routes
+app.use('/api/v1/gift', giftRoutes);
+app.use('/api/v1/currency', currencyRoutes);
+app.use('/api/v1/question-bank', questionBankRoutes);
+app.use('/api/v1/code-exercise', codeExerciseRoutes);
+app.use('/api/v1/captions', captionRoutes);
+app.use('/api/v1/transcripts', transcriptRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -446,15 +473,10 @@ const { connectionMonitor } = require('./utils/connectionMonitor');
 // S3 Configuration function
 const configureS3Bucket = async () => {
     try {
-        const { S3Client, PutBucketCorsCommand, PutBucketPolicyCommand, PutPublicAccessBlockCommand } = require('@aws-sdk/client-s3');
-        
-        const s3Client = new S3Client({
-            region: process.env.AWS_REGION || 'us-east-1',
-            credentials: {
-                accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-            },
-        });
+        const { PutBucketCorsCommand, PutBucketPolicyCommand, PutPublicAccessBlockCommand } = require('@aws-sdk/client-s3');
+        // Shared client, so a custom endpoint such as MinIO is configured too
+        const { s3Client } = require('./config/awsS3');
+        const { PUBLIC_FOLDERS } = require('./config/s3Storage');
 
         const BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
 
@@ -503,7 +525,7 @@ const configureS3Bucket = async () => {
                     Effect: 'Allow',
                     Principal: '*',
                     Action: 's3:GetObject',
-                    Resource: `arn:aws:s3:::${BUCKET_NAME}/*`
+                    Resource: PUBLIC_FOLDERS.map(folder => `arn:aws:s3:::${BUCKET_NAME}/${folder}/*`)
                 }
             ]
         };
@@ -554,6 +576,30 @@ const startServer = async () => {
         const { scheduleCleanup } = require('./scripts/recycleBinCleanup');
         scheduleCleanup();
 
+        // Initialize bundle access expiry scheduler
+        const { scheduleBundleExpiry } = require('./scripts/bundleExpiry');
+        scheduleBundleExpiry();
+
+        // Initialize membership reminder and expiry scheduler
+        const { scheduleSubscriptionLifecycle } = require('./scripts/subscriptionLifecycle');
+        scheduleSubscriptionLifecycle();
+
+        // Initialize course access reminder and expiry scheduler
+        const { scheduleEnrollmentExpiry } = require('./scripts/enrollmentExpiry');
+        scheduleEnrollmentExpiry();
+
+        // Initialize unclaimed gift expiry scheduler
+        const { scheduleGiftExpiry } = require('./scripts/giftExpiry');
+        scheduleGiftExpiry();
+
+        // Re-queue lecture videos whose HLS transcoding a restart cut short
+        const { resumeTranscodeJobs } = require('./utils/hlsTranscoder');
+        resumeTranscodeJobs().catch(error => console.error('Error resuming video transcoding:', error));
+
+        // Re-queue caption generation a restart cut short
+        const { resumeCaptionJobs } = require('./utils/captionGenerator');
+        resumeCaptionJobs().catch(error => console.error('Error resuming caption generation:', error));
+
         // Start connection monitoring
         connectionMonitor.startMonitoring(30000); // Check every 30 seconds
 
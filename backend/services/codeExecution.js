@@ -1,30 +1,32 @@
-// Real code execution service using Piston API
-const fetch = require('node-fetch');
-
-// Rate limiting setup
-const rateLimiter = {
-  tokens: 5,
-  lastRefill: Date.now(),
-  refillRate: 2000, // 1 token per 2 seconds
-  maxTokens: 5
+// Code execution service. Runs go through a per-user fair queue to the runner
+// picked by CODE_RUNNER (see services/codeRunners).
+const { getCodeRunner, getLimits, runQueue } = require('./codeRunners');
+
+// Status ids follow Judge0, which the frontend was first written against
+const STATUS = {
+  accepted: { id: 3, description: "Accepted" },
+  timeLimitExceeded: { id: 5, description: "Time Limit Exceeded" },
+  compilationError: { id: 6, description: "Compilation Error" },
+  runtimeError: { id: 11, description: "Runtime Error" },
+  memoryLimitExceeded: { id: 12, description: "Memory Limit Exceeded" },
+  outputLimitExceeded: { id: 13, description: "Output Limit Exceeded" }
 };
 
-// Helper to check rate limit
-const checkRateLimit = () => {
-  const now = Date.now();
-  const timePassed = now - rateLimiter.lastRefill;
-  const tokensToAdd = Math.floor(timePassed / rateLimiter.refillRate);
-  
-  if (tokensToAdd > 0) {
-    rateLimiter.tokens = Math.min(rateLimiter.maxTokens, rateLimiter.tokens + tokensToAdd);
-    rateLimiter.lastRefill = now;
-  }
+// Exit status of a process killed with SIGKILL, which is how the sandbox's
+// memory limit ends a program
+const KILLED_EXIT_CODE = 137;
 
-  if (rateLimiter.tokens <= 0) {
-    throw new Error("Rate limit exceeded. Please wait a moment before trying again.");
+const getRunStatus = (run) => {
+  if (run.timedOut) {
+    return STATUS.timeLimitExceeded;
   }
-
-  rateLimiter.tokens--;
+  if (run.outputExceeded) {
+    return STATUS.outputLimitExceeded;
+  }
+  if (run.exitCode === KILLED_EXIT_CODE || run.signal === 'SIGKILL') {
+    return STATUS.memoryLimitExceeded;
+  }
+  return run.exitCode === 0 ? STATUS.accepted : STATUS.runtimeError;
 };
 
 // Transform JavaScript code to work in Node.js environment
@@ -86,28 +88,19 @@ const transformJavaCode = (code, customInput) => {
   return transformedCode;
 };
 
-exports.executeCode = async (code, language, customInput = "") => {
+// userId decides whose turn the run waits for in the queue; files are extra
+// { name, content } sources put beside the code, for it to import or read
+exports.executeCode = async (code, language, customInput = "", { userId, files } = {}) => {
   try {
-    // Check rate limit before executing
-    checkRateLimit();
-    
-    const pistonLanguageMap = {
-      javascript: "javascript",
-      python: "python",
-      java: "java",
-      cpp: "cpp",
-      c: "c",
-      go: "go",
-      rust: "rust",
-      ruby: "ruby",
-      csharp: "csharp",
-      kotlin: "kotlin",
-      typescript: "typescript",
-      sql: "sqlite"
-    };
+    const runner = getCodeRunner();
+    if (!runner) {
+      return {
+        success: false,
+        error: "Code execution is not available right now"
+      };
+    }
 
-    const pistonLanguage = pistonLanguageMap[language];
-    if (!pistonLanguage) {
+    if (!runner.supports(language)) {
       return {
         success: false,
         error: `Language ${language} not supported`
@@ -120,7 +113,9 @@ exports.executeCode = async (code, language, customInput = "") => {
 
     if (language === 'javascript') {
       processedCode = transformJavaScriptCode(code, customInput);
-      processedInput = ''; // Input is now handled within the code
+      if (processedCode !== code) {
+        processedInput = ''; // Input is now handled within the code
+      }
     } else if (language === 'kotlin') {
       // Check if code needs Scanner (contains readLine, nextInt, etc.)
       const needsScanner = code.includes('readLine') || code.includes('nextInt') || code.includes('nextDouble') || code.includes('next()') || code.includes('scanner.');
@@ -150,32 +145,7 @@ ${code}`;
     }
     // For other languages, we'll use the normal stdin approach
 
-    // Determine the correct filename and extension
-    let fileName = 'main';
-    if (language === 'java') {
-      fileName = 'Main.java';
-    } else if (language === 'cpp') {
-      fileName = 'main.cpp';
-    } else if (language === 'c') {
-      fileName = 'main.c';
-    } else if (language === 'go') {
-      fileName = 'main.go';
-    } else if (language === 'rust') {
-      fileName = 'main.rs';
-    } else if (language === 'ruby') {
-      fileName = 'main.rb';
-    } else if (language === 'python') {
-      fileName = 'main.py';
-    } else if (language === 'javascript') {
-      fileName = 'main.js';
-    } else if (language === 'typescript') {
-      fileName = 'main.ts';
-    } else if (language === 'csharp') {
-      fileName = 'main.cs';
-    } else if (language === 'kotlin') {
-      fileName = 'main.kt';
-    } else if (language === 'sql') {
-      fileName = 'main.sql';
+    if (language === 'sql') {
       // Add SQLite setup commands
       processedCode = `
 -- Enable column headers in output
@@ -189,39 +159,32 @@ ${code}`;
 ${code}`;
     }
 
-    const pistonData = {
-      language: pistonLanguage,
-      version: "*",
-      files: [
-        {
-          name: fileName,
-          content: processedCode
-        }
-      ],
+    const result = await runQueue.push(userId || 'anonymous', () => runner.execute({
+      language,
+      code: processedCode,
       stdin: processedInput,
-      // Add compilation and runtime args - increase timeouts for Kotlin
-      compile_timeout: language === 'kotlin' ? 30000 : 10000,
-      run_timeout: language === 'kotlin' ? 15000 : 10000,
-      compile_memory_limit: -1,
-      run_memory_limit: -1
-    };
-
-    const response = await fetch("https://emkc.org/api/v2/piston/execute", {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(pistonData)
-    });
+      limits: getLimits(),
+      files
+    }));
 
-    if (!response.ok) {
-      throw new Error(`Execution API error: ${response.status}`);
+    if (!result.run) {
+      return {
+        success: true,
+        data: {
+          stdout: "",
+          stderr: "",
+          compile_output: result.compile?.stderr || result.compile?.stdout || "",
+          exitCode: result.compile?.exitCode ?? null,
+          status: STATUS.compilationError,
+          time: null,
+          memory: null
+        }
+      };
     }
 
-    const result = await response.json();
-
     // Get clean output
-    let stdout = result.run.stdout || "";
+    const { run } = result;
+    let stdout = run.stdout || "";
     
     // Clean input prompts from output for all languages
     if (language !== 'javascript') {
@@ -256,35 +219,28 @@ ${code}`;
       success: true,
       data: {
         stdout,
-        stderr: result.run.stderr || "",
+        stderr: run.stderr || "",
         compile_output: result.compile?.stderr || "",
-        status: { 
-          id: result.run.code === 0 ? 3 : 6, 
-          description: result.run.code === 0 ? "Accepted" : "Runtime Error" 
-        },
-        time: result.run.time || "0.01",
-        memory: result.run.memory || 1024
+        exitCode: run.exitCode,
+        status: getRunStatus(run),
+        time: typeof run.time === 'number' ? Number(run.time.toFixed(3)) : null,
+        memory: run.memory
       }
     };
   } catch (error) {
     console.error("Code execution error:", error);
     return {
       success: false,
-      error: error.message.includes("Rate limit exceeded") 
-        ? "Too many requests. Please wait a few seconds before trying again."
-        : error.message
+      error: error.message
     };
   }
 };
 
-// Helper function to add delay between requests
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 // Validate code with test cases using real execution
-exports.validateCodeWithTestCases = async (code, language, testCases) => {
-  // Execute test cases with a small delay between each to avoid rate limiting
-  const testPromises = testCases.map((testCase, index) => 
-    delay(index * 200).then(() => exports.executeCode(code, language, testCase.input)
+exports.validateCodeWithTestCases = async (code, language, testCases, options = {}) => {
+  // The run queue spaces out the test cases, taking turns with other users
+  const testPromises = testCases.map(testCase =>
+    exports.executeCode(code, language, testCase.input, options)
       .then(result => {
         if (result.success) {
           const cleanOutput = (output) => output.trim().replace(/\r\n/g, '\n');
@@ -316,7 +272,7 @@ exports.validateCodeWithTestCases = async (code, language, testCases) => {
         expectedOutput: testCase.expectedOutput,
         actualOutput: "",
         error: error.message
-      })))
+      }))
   );
 
   // Wait for all test cases to complete
@@ -0,0 +1,51 @@
+// Code runners behind one interface. Every runner exposes:
+//   name
+//   isConfigured()      whether it can run code with the current env
+//   supports(language)
+//   execute({ language, code, stdin, limits, files })
+//       files are extra { name, content } sources written beside the main one
+//       -> { compile: { stdout, stderr, exitCode } | null,
+//            run: { stdout, stderr, exitCode, signal, timedOut, outputExceeded, time, memory } | null }
+//          run is null when compiling failed; time is in seconds and memory in KB,
+//          either null when the runner cannot measure it
+// CODE_RUNNER picks the runner: local (default, see ./sandbox) or piston.
+const local = require('./local');
+const piston = require('./piston');
+const { createJobQueue } = require('./queue');
+
+const runners = { local, piston };
+
+const DEFAULT_RUNNER = 'local';
+
+const readNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Resource limits of a single run, shared by all runners
+const getLimits = () => ({
+    timeMs: readNumber('CODE_RUNNER_TIME_LIMIT_MS', 5000),
+    compileTimeMs: readNumber('CODE_RUNNER_COMPILE_TIME_LIMIT_MS', 10000),
+    memoryMb: readNumber('CODE_RUNNER_MEMORY_MB', 256),
+    compileMemoryMb: readNumber('CODE_RUNNER_COMPILE_MEMORY_MB', 512),
+    cpus: readNumber('CODE_RUNNER_CPUS', 1),
+    processes: readNumber('CODE_RUNNER_MAX_PROCESSES', 64),
+    maxOutputBytes: readNumber('CODE_RUNNER_MAX_OUTPUT_BYTES', 64 * 1024),
+    fileSizeBytes: readNumber('CODE_RUNNER_MAX_FILE_BYTES', 16 * 1024 * 1024)
+});
+
+// The configured runner, or null when it can't run code with the current env
+const getCodeRunner = () => {
+    const runner = runners[(process.env.CODE_RUNNER || DEFAULT_RUNNER).toLowerCase()];
+    return runner?.isConfigured() ? runner : null;
+};
+
+// Every run goes through this queue, whichever runner executes it
+const runQueue = createJobQueue({
+    concurrency: readNumber('CODE_RUNNER_CONCURRENCY', 2),
+    maxPendingPerUser: readNumber('CODE_RUNNER_MAX_PENDING_PER_USER', 25),
+    maxPending: readNumber('CODE_RUNNER_MAX_PENDING', 500)
+});
+
+module.exports = {
+    getCodeRunner,
+    getLimits,
+    runQueue
+};
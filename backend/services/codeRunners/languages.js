@@ -0,0 +1,95 @@
+// How the local runner builds and runs each language. Commands run from the
+// directory holding the source file; `image` is the container used in docker
+// mode and can be replaced with CODE_RUNNER_IMAGE_<LANGUAGE>, e.g.
+// CODE_RUNNER_IMAGE_PYTHON=python:3.11-alpine. In nsjail and process modes
+// the toolchains installed on the host are used instead.
+const languages = {
+    javascript: {
+        image: 'node:20-alpine',
+        file: 'main.js',
+        run: ['node', 'main.js']
+    },
+    typescript: {
+        image: 'denoland/deno:alpine',
+        file: 'main.ts',
+        run: ['deno', 'run', '--quiet', '--no-prompt', 'main.ts'],
+        env: { DENO_DIR: '/tmp/deno' }
+    },
+    python: {
+        image: 'python:3.12-alpine',
+        file: 'main.py',
+        run: ['python3', 'main.py']
+    },
+    java: {
+        image: 'eclipse-temurin:21-jdk-alpine',
+        file: 'Main.java',
+        compile: ['javac', 'Main.java'],
+        run: ['java', '-XX:+UseSerialGC', 'Main']
+    },
+    cpp: {
+        image: 'gcc:13',
+        file: 'main.cpp',
+        compile: ['g++', '-O2', '-std=c++17', '-o', 'main', 'main.cpp'],
+        run: ['./main']
+    },
+    c: {
+        image: 'gcc:13',
+        file: 'main.c',
+        compile: ['gcc', '-O2', '-o', 'main', 'main.c', '-lm'],
+        run: ['./main']
+    },
+    go: {
+        image: 'golang:1.22-alpine',
+        file: 'main.go',
+        compile: ['go', 'build', '-o', 'main', 'main.go'],
+        run: ['./main'],
+        env: { GOCACHE: '/tmp/go-cache', GOPATH: '/tmp/go' }
+    },
+    rust: {
+        image: 'rust:1-slim',
+        file: 'main.rs',
+        compile: ['rustc', '-O', '-o', 'main', 'main.rs'],
+        run: ['./main']
+    },
+    ruby: {
+        image: 'ruby:3.3-alpine',
+        file: 'main.rb',
+        run: ['ruby', 'main.rb']
+    },
+    csharp: {
+        image: 'mono:6',
+        file: 'main.cs',
+        compile: ['mcs', '-out:main.exe', 'main.cs'],
+        run: ['mono', 'main.exe']
+    },
+    kotlin: {
+        image: 'zenika/kotlin:1.9',
+        file: 'main.kt',
+        compile: ['kotlinc', 'main.kt', '-include-runtime', '-d', 'main.jar'],
+        run: ['java', '-XX:+UseSerialGC', '-jar', 'main.jar'],
+        // The Kotlin compiler starts a JVM and is much slower than the rest
+        compileTimeMs: 30000
+    },
+    sql: {
+        image: 'keinos/sqlite3:latest',
+        file: 'main.sql',
+        run: ['sqlite3', ':memory:', '.read main.sql']
+    }
+};
+
+// Language names come from requests, so inherited keys like "constructor" don't count
+const getLanguage = (language) => {
+    if (typeof language !== 'string' || !Object.hasOwn(languages, language)) {
+        return null;
+    }
+    const config = languages[language];
+    return {
+        ...config,
+        image: process.env[`CODE_RUNNER_IMAGE_${language.toUpperCase()}`] || config.image
+    };
+};
+
+module.exports = {
+    getLanguage,
+    supportedLanguages: Object.keys(languages)
+};
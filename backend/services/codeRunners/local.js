@@ -0,0 +1,74 @@
+// Local runner: compiles and runs code on this server inside the sandbox from ./sandbox
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { getLanguage } = require('./languages');
+const { isSandboxAvailable, runInSandbox } = require('./sandbox');
+
+// Docker mounts this directory into the container, so when the server itself
+// runs in a container it must be a path the docker host can see
+const getWorkRoot = () => process.env.CODE_RUNNER_WORK_DIR || os.tmpdir();
+
+const isConfigured = () => isSandboxAvailable();
+
+const supports = (language) => Boolean(getLanguage(language));
+
+const execute = async ({ language, code, stdin, limits, files = [] }) => {
+    const config = getLanguage(language);
+    await fs.mkdir(getWorkRoot(), { recursive: true });
+    const workDir = await fs.mkdtemp(path.join(getWorkRoot(), 'code-run-'));
+
+    try {
+        // The sandbox user writes build output next to the source
+        await fs.chmod(workDir, 0o777);
+        // The main file is written last so no extra file can replace it
+        for (const file of files) {
+            await fs.writeFile(path.join(workDir, path.basename(file.name)), file.content);
+        }
+        await fs.writeFile(path.join(workDir, config.file), code);
+
+        let compile = null;
+        if (config.compile) {
+            const result = await runInSandbox({
+                command: config.compile,
+                workDir,
+                image: config.image,
+                env: config.env,
+                limits: { ...limits, memoryMb: limits.compileMemoryMb },
+                timeMs: config.compileTimeMs || limits.compileTimeMs
+            });
+            compile = {
+                stdout: result.stdout,
+                stderr: result.timedOut ? 'Compilation timed out' : result.stderr,
+                exitCode: result.exitCode
+            };
+            if (result.exitCode !== 0) {
+                return { compile, run: null };
+            }
+        }
+
+        const run = await runInSandbox({
+            command: config.run,
+            workDir,
+            stdin,
+            image: config.image,
+            env: config.env,
+            limits,
+            timeMs: limits.timeMs,
+            measure: true
+        });
+
+        return { compile, run };
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(error => {
+            console.error('Error removing code run directory:', error.message);
+        });
+    }
+};
+
+module.exports = {
+    name: 'local',
+    isConfigured,
+    supports,
+    execute
+};
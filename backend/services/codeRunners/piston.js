@@ -0,0 +1,85 @@
+// Piston runner for a self-hosted Piston instance (https://github.com/engineer-man/piston).
+// PISTON_URL is the instance root, e.g. http://piston:2000
+const fetch = require('node-fetch');
+
+const pistonLanguages = {
+    javascript: { language: 'javascript', file: 'main.js' },
+    typescript: { language: 'typescript', file: 'main.ts' },
+    python: { language: 'python', file: 'main.py' },
+    java: { language: 'java', file: 'Main.java' },
+    cpp: { language: 'cpp', file: 'main.cpp' },
+    c: { language: 'c', file: 'main.c' },
+    go: { language: 'go', file: 'main.go' },
+    rust: { language: 'rust', file: 'main.rs' },
+    ruby: { language: 'ruby', file: 'main.rb' },
+    csharp: { language: 'csharp', file: 'main.cs' },
+    kotlin: { language: 'kotlin', file: 'main.kt' },
+    sql: { language: 'sqlite3', file: 'main.sql' }
+};
+
+const isConfigured = () => Boolean(process.env.PISTON_URL);
+
+const supports = (language) => Boolean(pistonLanguages[language]);
+
+const execute = async ({ language, code, stdin, limits, files = [] }) => {
+    const { language: pistonLanguage, file } = pistonLanguages[language];
+    const response = await fetch(`${process.env.PISTON_URL.replace(/\/$/, '')}/api/v2/execute`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            language: pistonLanguage,
+            version: '*',
+            // Piston runs the first file
+            files: [
+                { name: file, content: code },
+                ...files.filter(extra => extra.name !== file).map(({ name, content }) => ({ name, content }))
+            ],
+            stdin,
+            compile_timeout: language === 'kotlin' ? 30000 : limits.compileTimeMs,
+            run_timeout: limits.timeMs,
+            compile_memory_limit: limits.compileMemoryMb * 1024 * 1024,
+            run_memory_limit: limits.memoryMb * 1024 * 1024
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Execution API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    const compile = result.compile ? {
+        stdout: result.compile.stdout || '',
+        stderr: result.compile.stderr || '',
+        exitCode: result.compile.code
+    } : null;
+
+    // Piston skips the run stage when compiling fails
+    if (!result.run || (compile && compile.exitCode !== 0)) {
+        return { compile, run: null };
+    }
+
+    const { run } = result;
+    return {
+        compile,
+        run: {
+            stdout: (run.stdout || '').slice(0, limits.maxOutputBytes),
+            stderr: (run.stderr || '').slice(0, limits.maxOutputBytes),
+            exitCode: run.code,
+            signal: run.signal,
+            // Status codes of Piston 3.2+: TO timed out, OL/EL output limits
+            timedOut: run.status === 'TO',
+            outputExceeded: run.status === 'OL' || run.status === 'EL',
+            time: run.wall_time !== undefined ? run.wall_time / 1000 : null,
+            memory: run.memory !== undefined ? Math.round(run.memory / 1024) : null
+        }
+    };
+};
+
+module.exports = {
+    name: 'piston',
+    isConfigured,
+    supports,
+    execute
+};
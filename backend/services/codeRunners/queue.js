@@ -0,0 +1,67 @@
+// Job queue for code runs. A few jobs run at once and waiting jobs are taken
+// from each user in turn, so a student who queues many runs only slows down
+// their own results.
+
+const createJobQueue = ({ concurrency = 2, maxPendingPerUser = 25, maxPending = 500 } = {}) => {
+    // userKey -> waiting jobs of that user, oldest first
+    const pendingByUser = new Map();
+    // Users with waiting jobs, in the order they get their next turn
+    const turns = [];
+    let pendingCount = 0;
+    let running = 0;
+
+    const next = () => {
+        while (running < concurrency && turns.length > 0) {
+            const userKey = turns.shift();
+            const jobs = pendingByUser.get(userKey);
+            const job = jobs.shift();
+
+            if (jobs.length > 0) {
+                turns.push(userKey);
+            } else {
+                pendingByUser.delete(userKey);
+            }
+            pendingCount--;
+            running++;
+
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    running--;
+                    next();
+                });
+        }
+    };
+
+    // Queue a task for a user; resolves with what the task resolves to
+    const push = (userKey, task) => new Promise((resolve, reject) => {
+        const key = String(userKey);
+        const jobs = pendingByUser.get(key) || [];
+
+        if (jobs.length >= maxPendingPerUser) {
+            reject(new Error('You have too many code runs waiting. Please wait for them to finish.'));
+            return;
+        }
+        if (pendingCount >= maxPending) {
+            reject(new Error('The code runner is busy. Please try again in a moment.'));
+            return;
+        }
+
+        jobs.push({ task, resolve, reject });
+        if (jobs.length === 1) {
+            pendingByUser.set(key, jobs);
+            turns.push(key);
+        }
+        pendingCount++;
+        next();
+    });
+
+    const stats = () => ({ running, pending: pendingCount, users: pendingByUser.size });
+
+    return { push, stats };
+};
+
+module.exports = {
+    createJobQueue
+};
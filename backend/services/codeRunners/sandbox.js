@@ -0,0 +1,250 @@
+// Runs one step of a code job (compile or run) in isolation. CODE_RUNNER_SANDBOX picks how:
+//   docker   a throwaway container with no network, no capabilities and a read-only root (default)
+//   nsjail   an nsjail jail with its own namespaces and rlimits, whose root only
+//            holds the host's toolchains read-only, or NSJAIL_ROOTFS when set
+//   process  a plain child process, for development and tests only
+// Every mode also gets a wall clock limit and an output cap enforced from here.
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { existsSync } = require('fs');
+const path = require('path');
+
+const SANDBOX_MODES = ['docker', 'nsjail', 'process'];
+
+// User code runs as nobody so it cannot touch files owned by the server
+const SANDBOX_USER = '65534';
+
+// Extra time docker gets to start and remove the container
+const DOCKER_STARTUP_MS = 3000;
+
+// What the jail sees of the host without NSJAIL_ROOTFS: the programs and
+// libraries needed to build and run code, read-only, and nothing else
+const NSJAIL_SYSTEM_DIRS = ['/bin', '/sbin', '/usr', '/lib', '/lib32', '/lib64', '/etc/alternatives', '/etc/ssl'];
+const NSJAIL_DEVICES = ['/dev/null', '/dev/zero', '/dev/random', '/dev/urandom'];
+
+// Written by GNU time when CODE_RUNNER_TIME_BIN is set
+const USAGE_FILE = '.usage';
+
+const getSandboxMode = () => (process.env.CODE_RUNNER_SANDBOX || 'docker').toLowerCase();
+
+// Whether a program can be started, by path or from the PATH
+const hasExecutable = (file) => (file.includes('/')
+    ? existsSync(file)
+    : (process.env.PATH || '').split(path.delimiter).some(dir => dir && existsSync(path.join(dir, file))));
+
+const isSandboxAvailable = () => {
+    switch (getSandboxMode()) {
+        case 'docker':
+            return hasExecutable('docker') && Boolean(process.env.DOCKER_HOST || existsSync('/var/run/docker.sock'));
+        case 'nsjail':
+            return hasExecutable(process.env.NSJAIL_PATH || 'nsjail') &&
+                (!process.env.NSJAIL_ROOTFS || existsSync(process.env.NSJAIL_ROOTFS));
+        case 'process':
+            // Plain processes share the server's network and filesystem and have no rlimits
+            return ['development', 'test'].includes(process.env.NODE_ENV);
+        default:
+            return false;
+    }
+};
+
+const toEnvList = (env) => Object.entries(env).map(([key, value]) => `${key}=${value}`);
+
+const buildDockerCommand = ({ command, workDir, image, env, limits, containerName }) => ({
+    file: 'docker',
+    args: [
+        'run', '--rm', '-i',
+        '--name', containerName,
+        '--network', 'none',
+        '--cpus', String(limits.cpus),
+        '--memory', `${limits.memoryMb}m`,
+        '--memory-swap', `${limits.memoryMb}m`,
+        '--pids-limit', String(limits.processes),
+        '--ulimit', `fsize=${limits.fileSizeBytes}`,
+        '--read-only',
+        '--tmpfs', '/tmp:rw,exec,size=64m',
+        '--cap-drop', 'ALL',
+        '--security-opt', 'no-new-privileges',
+        '--user', `${SANDBOX_USER}:${SANDBOX_USER}`,
+        '-v', `${workDir}:/code`,
+        '-w', '/code',
+        ...toEnvList(env).flatMap(entry => ['-e', entry]),
+        image,
+        ...command
+    ]
+});
+
+// The jail's root: a prepared root filesystem, or an empty one with the
+// host's toolchains mounted read-only. Never the host's own root.
+const getNsjailRootArgs = () => {
+    if (process.env.NSJAIL_ROOTFS) {
+        return ['--chroot', process.env.NSJAIL_ROOTFS];
+    }
+    return [
+        ...NSJAIL_SYSTEM_DIRS.filter(dir => existsSync(dir)).flatMap(dir => ['--bindmount_ro', dir]),
+        ...NSJAIL_DEVICES.filter(device => existsSync(device)).flatMap(device => ['--bindmount', device])
+    ];
+};
+
+const buildNsjailCommand = ({ command, workDir, env, limits, timeMs }) => ({
+    file: process.env.NSJAIL_PATH || 'nsjail',
+    args: [
+        '--mode', 'o',
+        '--quiet',
+        ...getNsjailRootArgs(),
+        // Mounted in order, so /tmp comes before the work directory inside it
+        '--tmpfsmount', '/tmp',
+        '--bindmount', workDir,
+        '--cwd', workDir,
+        '--user', SANDBOX_USER,
+        '--group', SANDBOX_USER,
+        '--time_limit', String(Math.ceil(timeMs / 1000) + 1),
+        '--rlimit_cpu', String(Math.ceil(timeMs / 1000)),
+        '--rlimit_as', String(limits.memoryMb),
+        '--rlimit_fsize', String(Math.ceil(limits.fileSizeBytes / (1024 * 1024))),
+        '--rlimit_nproc', String(limits.processes),
+        ...toEnvList(env).flatMap(entry => ['--env', entry]),
+        '--',
+        // nsjail does not search PATH
+        '/usr/bin/env',
+        ...command
+    ]
+});
+
+const buildProcessCommand = ({ command, workDir, env }) => ({
+    file: command[0],
+    args: command.slice(1),
+    options: {
+        cwd: workDir,
+        env: { PATH: process.env.PATH, ...env, HOME: workDir }
+    }
+});
+
+// Spawn the sandbox and collect its output until it exits, hits the time
+// limit or prints more than the output cap
+const runProcess = ({ file, args, options, stdin, timeMs, maxOutputBytes, onKill }) => new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const output = { stdout: [], stderr: [] };
+    let outputBytes = 0;
+    let timedOut = false;
+    let outputExceeded = false;
+    let settled = false;
+
+    const child = spawn(file, args, { ...options, stdio: ['pipe', 'pipe', 'pipe'] });
+
+    const kill = () => {
+        if (onKill) {
+            onKill();
+        }
+        child.kill('SIGKILL');
+    };
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+    }, timeMs);
+
+    const collect = (stream) => (chunk) => {
+        if (outputExceeded) {
+            return;
+        }
+        const remaining = maxOutputBytes - outputBytes;
+        output[stream].push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+        outputBytes += chunk.length;
+        if (outputBytes > maxOutputBytes) {
+            outputExceeded = true;
+            kill();
+        }
+    };
+
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    child.on('error', (error) => {
+        clearTimeout(timer);
+        if (!settled) {
+            settled = true;
+            reject(error);
+        }
+    });
+
+    child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        if (settled) {
+            return;
+        }
+        settled = true;
+        resolve({
+            stdout: Buffer.concat(output.stdout).toString('utf8'),
+            stderr: Buffer.concat(output.stderr).toString('utf8'),
+            exitCode,
+            signal,
+            timedOut,
+            outputExceeded,
+            time: (Date.now() - startedAt) / 1000
+        });
+    });
+
+    // Programs that never read their input close stdin early
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin || '');
+});
+
+// GNU time writes "<elapsed seconds> <max RSS in KB>" as its last line
+const readUsage = async (workDir) => {
+    try {
+        const lines = (await fs.readFile(path.join(workDir, USAGE_FILE), 'utf8')).trim().split('\n');
+        const [elapsed, maxRss] = lines[lines.length - 1].split(' ').map(Number);
+        return Number.isFinite(elapsed) && Number.isFinite(maxRss) ? { time: elapsed, memory: maxRss } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Run a command inside the sandbox. `measure` wraps it with GNU time, when
+// configured, to report the time and peak memory of the program itself.
+const runInSandbox = async ({ command, workDir, stdin, image, env = {}, limits, timeMs, measure = false }) => {
+    const mode = getSandboxMode();
+    const timeBin = process.env.CODE_RUNNER_TIME_BIN;
+    const fullCommand = measure && timeBin
+        ? [timeBin, '-f', '%e %M', '-o', USAGE_FILE, ...command]
+        : command;
+    const sandboxEnv = { HOME: '/tmp', ...env };
+
+    let spawnSpec;
+    let onKill = null;
+    let wallTimeMs = timeMs;
+
+    if (mode === 'docker') {
+        const containerName = `code-run-${crypto.randomBytes(6).toString('hex')}`;
+        spawnSpec = buildDockerCommand({ command: fullCommand, workDir, image, env: sandboxEnv, limits, containerName });
+        // Killing the docker client leaves the container running
+        onKill = () => spawn('docker', ['kill', containerName], { stdio: 'ignore' }).on('error', () => {});
+        wallTimeMs += DOCKER_STARTUP_MS;
+    } else if (mode === 'nsjail') {
+        spawnSpec = buildNsjailCommand({ command: fullCommand, workDir, env: sandboxEnv, limits, timeMs });
+    } else {
+        spawnSpec = buildProcessCommand({ command: fullCommand, workDir, env });
+    }
+
+    const result = await runProcess({
+        ...spawnSpec,
+        stdin,
+        timeMs: wallTimeMs,
+        maxOutputBytes: limits.maxOutputBytes,
+        onKill
+    });
+
+    const usage = measure && timeBin ? await readUsage(workDir) : null;
+    return {
+        ...result,
+        time: usage ? usage.time : result.time,
+        memory: usage ? usage.memory : null
+    };
+};
+
+module.exports = {
+    getSandboxMode,
+    isSandboxAvailable,
+    runInSandbox
+};
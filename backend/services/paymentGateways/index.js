@@ -0,0 +1,46 @@
+// Payment gateways behind one interface. Every adapter exposes:
+//   name
+//   isConfigured()             whether it can take payments with the current env
+//   createPayment({ amount, currency, receipt, notes, description })
+//                              -> { id, checkout } with the gateway's order id and what the browser needs to pay
+//   verifyPayment(details)     checks the confirmation the browser sends back after paying
+//                              -> { valid, orderId, paymentId, signature }
+//   refund({ paymentId, amount, currency, notes }) -> { id }
+//   parseWebhook(req)          -> { valid, event } where event is null for ignored events or
+//                              { type: 'payment.captured' | 'payment.failed' | 'refund.processed',
+//                                orderId, paymentId, refundId, amount, refundRequestId }
+//                              refundRequestId is set on refunds approved from the admin panel
+// Amounts are in the major currency unit (rupees, dollars); adapters convert them
+// to the gateway's minor unit with utils/currencyUtils.
+const razorpay = require('./razorpay');
+const stripe = require('./stripe');
+const mock = require('./mock');
+
+const gateways = { razorpay, stripe, mock };
+
+const DEFAULT_GATEWAY = 'razorpay';
+
+// PAYMENT_GATEWAYS maps currencies to gateways, e.g. "INR:razorpay,USD:stripe".
+// Currencies without an entry use PAYMENT_GATEWAY_DEFAULT.
+const getGatewayName = (currency) => {
+    const routes = Object.fromEntries((process.env.PAYMENT_GATEWAYS || '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([code, name]) => code && name)
+        .map(([code, name]) => [code.toUpperCase(), name.toLowerCase()]));
+
+    return routes[String(currency).toUpperCase()] || process.env.PAYMENT_GATEWAY_DEFAULT || DEFAULT_GATEWAY;
+};
+
+const getGateway = (name) => gateways[name] || null;
+
+// The gateway that takes payments in this currency, or null when it isn't configured
+const getGatewayForCurrency = (currency) => {
+    const gateway = getGateway(getGatewayName(currency));
+    return gateway?.isConfigured() ? gateway : null;
+};
+
+module.exports = {
+    getGateway,
+    getGatewayForCurrency
+};
@@ -0,0 +1,45 @@
+// Mock adapter for local development: every payment succeeds when the browser
+// confirms it and nothing leaves the server. Never available in production.
+const crypto = require('crypto');
+const { toMinorUnits } = require('../../utils/currencyUtils');
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const isConfigured = () => process.env.NODE_ENV !== 'production';
+
+const createPayment = async ({ amount, currency }) => {
+    const id = randomId('mock_order');
+    return {
+        id,
+        checkout: {
+            orderId: id,
+            amount: toMinorUnits(amount, currency),
+            currency
+        }
+    };
+};
+
+const verifyPayment = async ({ mock_order_id }) => ({
+    valid: Boolean(mock_order_id) && String(mock_order_id).startsWith('mock_order_'),
+    orderId: mock_order_id,
+    paymentId: randomId('mock_pay')
+});
+
+const refund = async () => ({ id: randomId('mock_refund') });
+
+// Events are posted already in the normalized shape, e.g.
+// { type: 'refund.processed', paymentId, refundId, amount }
+const parseWebhook = (req) => ({
+    valid: isConfigured(),
+    event: req.body?.type ? req.body : null,
+    name: req.body?.type
+});
+
+module.exports = {
+    name: 'mock',
+    isConfigured,
+    createPayment,
+    verifyPayment,
+    refund,
+    parseWebhook
+};
@@ -0,0 +1,103 @@
+// Razorpay adapter: Razorpay Checkout on the page, HMAC signatures for payments and webhooks
+const crypto = require('crypto');
+const { instance } = require('../../config/razorpay');
+const { toMinorUnits, fromMinorUnits } = require('../../utils/currencyUtils');
+
+// Constant-time comparison of a hex HMAC-SHA256 digest against the received signature
+const isValidSignature = (payload, signature, secret) => {
+    if (!signature || !secret) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === receivedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const isConfigured = () => Boolean(instance);
+
+const createPayment = async ({ amount, currency, receipt, notes }) => {
+    // Razorpay expects the amount in the smallest currency unit (paise)
+    const razorpayOrder = await instance.orders.create({
+        amount: toMinorUnits(amount, currency),
+        currency,
+        receipt,
+        notes
+    });
+
+    return {
+        id: razorpayOrder.id,
+        checkout: {
+            key: process.env.RAZORPAY_KEY,
+            orderId: razorpayOrder.id,
+            amount: razorpayOrder.amount,
+            currency: razorpayOrder.currency
+        }
+    };
+};
+
+// The handler of Razorpay Checkout receives the order, payment and signature
+const verifyPayment = async ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => ({
+    valid: Boolean(razorpay_order_id && razorpay_payment_id) && isValidSignature(
+        `${razorpay_order_id}|${razorpay_payment_id}`,
+        razorpay_signature,
+        process.env.RAZORPAY_SECRET
+    ),
+    orderId: razorpay_order_id,
+    paymentId: razorpay_payment_id,
+    signature: razorpay_signature
+});
+
+const refund = async ({ paymentId, amount, currency, notes }) => {
+    const razorpayRefund = await instance.payments.refund(paymentId, {
+        amount: toMinorUnits(amount, currency),
+        notes
+    });
+    return { id: razorpayRefund.id };
+};
+
+const parseWebhook = (req) => {
+    const signature = req.header('X-Razorpay-Signature');
+    if (!req.rawBody || !isValidSignature(req.rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+        return { valid: false };
+    }
+
+    const { event, payload } = req.body;
+    switch (event) {
+        case 'payment.captured':
+        case 'payment.failed': {
+            const payment = payload.payment.entity;
+            return {
+                valid: true,
+                event: { type: event, orderId: payment.order_id, paymentId: payment.id }
+            };
+        }
+        case 'refund.processed': {
+            const razorpayRefund = payload.refund.entity;
+            return {
+                valid: true,
+                event: {
+                    type: event,
+                    paymentId: razorpayRefund.payment_id,
+                    refundId: razorpayRefund.id,
+                    amount: fromMinorUnits(razorpayRefund.amount, razorpayRefund.currency),
+                    refundRequestId: razorpayRefund.notes?.refundRequestId || null
+                }
+            };
+        }
+        default:
+            return { valid: true, event: null, name: event };
+    }
+};
+
+module.exports = {
+    name: 'razorpay',
+    isConfigured,
+    createPayment,
+    verifyPayment,
+    refund,
+    parseWebhook
+};
@@ -0,0 +1,166 @@
+// Stripe adapter: hosted Stripe Checkout sessions, called through the REST API
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { toMinorUnits, fromMinorUnits } = require('../../utils/currencyUtils');
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+// Webhook timestamps older than this are rejected to stop replays
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const isConfigured = () => Boolean(process.env.STRIPE_SECRET_KEY);
+
+// Stripe takes form encoded bodies with nested keys, e.g. metadata[userId]=...
+const toFormBody = (params, prefix = '', form = new URLSearchParams()) => {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') {
+            toFormBody(value, name, form);
+        } else {
+            form.append(name, String(value));
+        }
+    }
+    return form;
+};
+
+const stripeRequest = async (method, path, params) => {
+    const response = await fetch(`${STRIPE_API}${path}`, {
+        method,
+        headers: {
+            Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params ? toFormBody(params).toString() : undefined
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error?.message || `Stripe request failed with status ${response.status}`);
+    }
+    return data;
+};
+
+const createPayment = async ({ amount, currency, receipt, notes, description }) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://35.177.233.147:5173';
+    const session = await stripeRequest('POST', '/checkout/sessions', {
+        mode: 'payment',
+        client_reference_id: receipt,
+        line_items: [{
+            quantity: 1,
+            price_data: {
+                currency: currency.toLowerCase(),
+                unit_amount: toMinorUnits(amount, currency),
+                product_data: { name: description || 'Beeja Academy purchase' }
+            }
+        }],
+        metadata: notes,
+        payment_intent_data: { metadata: notes },
+        success_url: `${frontendUrl}/payment/complete?gateway=stripe&session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${frontendUrl}/payment/complete?gateway=stripe&cancelled=true`
+    });
+
+    return {
+        id: session.id,
+        checkout: {
+            orderId: session.id,
+            url: session.url,
+            amount: session.amount_total,
+            currency: session.currency.toUpperCase()
+        }
+    };
+};
+
+// Stripe redirects back with the session id; the session says whether it was paid
+const verifyPayment = async ({ session_id }) => {
+    if (!session_id) {
+        return { valid: false };
+    }
+
+    const session = await stripeRequest('GET', `/checkout/sessions/${encodeURIComponent(session_id)}`);
+    return {
+        valid: session.payment_status === 'paid',
+        orderId: session.id,
+        paymentId: session.payment_intent
+    };
+};
+
+const refund = async ({ paymentId, amount, currency, notes }) => {
+    const stripeRefund = await stripeRequest('POST', '/refunds', {
+        payment_intent: paymentId,
+        amount: toMinorUnits(amount, currency),
+        metadata: notes
+    });
+    return { id: stripeRefund.id };
+};
+
+// Check the Stripe-Signature header: "t=<timestamp>,v1=<signature>"
+const isValidWebhookSignature = (rawBody, header, secret) => {
+    if (!rawBody || !header || !secret) {
+        return false;
+    }
+
+    const parts = Object.fromEntries(String(header).split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!parts.t || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${rawBody}`).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(parts.v1);
+
+    return expectedBuffer.length === receivedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const parseWebhook = (req) => {
+    if (!isValidWebhookSignature(req.rawBody, req.header('Stripe-Signature'), process.env.STRIPE_WEBHOOK_SECRET)) {
+        return { valid: false };
+    }
+
+    const { type, data } = req.body;
+    const object = data.object;
+    switch (type) {
+        case 'checkout.session.completed':
+        case 'checkout.session.async_payment_succeeded':
+            // Delayed payment methods complete the session before the money arrives
+            if (object.payment_status !== 'paid') {
+                return { valid: true, event: null, name: type };
+            }
+            return {
+                valid: true,
+                event: { type: 'payment.captured', orderId: object.id, paymentId: object.payment_intent }
+            };
+        case 'checkout.session.async_payment_failed':
+        case 'checkout.session.expired':
+            return {
+                valid: true,
+                event: { type: 'payment.failed', orderId: object.id, paymentId: object.payment_intent }
+            };
+        case 'refund.created':
+            return {
+                valid: true,
+                event: {
+                    type: 'refund.processed',
+                    paymentId: object.payment_intent,
+                    refundId: object.id,
+                    amount: fromMinorUnits(object.amount, object.currency?.toUpperCase()),
+                    refundRequestId: object.metadata?.refundRequestId || null
+                }
+            };
+        default:
+            return { valid: true, event: null, name: type };
+    }
+};
+
+module.exports = {
+    name: 'stripe',
+    isConfigured,
+    createPayment,
+    verifyPayment,
+    refund,
+    parseWebhook
+};
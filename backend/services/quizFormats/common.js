@@ -0,0 +1,39 @@
+// A question with the defaults of the quiz question schema, for parsers to fill in
+const newQuestion = (fields) => ({
+    questionText: '',
+    questionType: 'singleAnswer',
+    marks: 1,
+    required: true,
+    options: [],
+    answers: [],
+    correctAnswers: [],
+    correctAnswer: null,
+    keywords: [],
+    manualGrading: false,
+    rubric: [],
+    tags: [],
+    difficulty: 'medium',
+    ...fields
+});
+
+// Questions a format can't hold, numbered as in the quiz
+const skippedQuestion = (index, reason) => ({ number: index + 1, reason });
+
+// Question types none of the formats hold, with how reasons name them
+const UNSUPPORTED_TYPES = {
+    cloze: 'fill in the blank',
+    ordering: 'ordering',
+    numeric: 'numeric',
+    fileUpload: 'file upload'
+};
+
+// Why a format can't hold a question of an unsupported type, or null
+const getUnsupportedReason = (question, formatName) => (UNSUPPORTED_TYPES[question.questionType]
+    ? `${formatName} export has no ${UNSUPPORTED_TYPES[question.questionType]} questions`
+    : null);
+
+module.exports = {
+    newQuestion,
+    skippedQuestion,
+    getUnsupportedReason
+};
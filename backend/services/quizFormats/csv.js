@@ -0,0 +1,282 @@
+// One question per row. Lists (options, answers, keywords, tags, rubric) are
+// separated by "|", with "\|" for a literal bar. Correct answers are option
+// numbers starting at 1, rubric criteria are "criterion:marks" and test cases
+// are a JSON array, so every question type fits.
+const { newQuestion, skippedQuestion, getUnsupportedReason } = require('./common');
+
+const COLUMNS = [
+    'type', 'question', 'marks', 'required', 'options', 'correct', 'answers', 'keywords',
+    'manual_grading', 'rubric', 'tags', 'difficulty', 'language', 'starter_code', 'test_cases',
+    'comparator', 'float_tolerance', 'partial_credit', 'checker_language', 'checker_script'
+];
+
+const QUESTION_TYPES = ['multipleChoice', 'singleAnswer', 'shortAnswer', 'matchTheFollowing', 'longAnswer', 'codeSolve'];
+
+// ================ WRITING ================
+
+const quoteField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const joinList = (values = []) => values.map(value => String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|')).join('|');
+
+const toRow = (question) => {
+    const isCode = question.questionType === 'codeSolve';
+    let correct = '';
+    if (question.questionType === 'multipleChoice') {
+        correct = (question.correctAnswers || []).map(index => index + 1).join('|');
+    } else if (question.questionType === 'singleAnswer' && question.correctAnswer !== null && question.correctAnswer !== undefined) {
+        correct = String(question.correctAnswer + 1);
+    }
+
+    const values = {
+        type: question.questionType,
+        question: question.questionText,
+        marks: question.marks,
+        required: question.required === false ? 'no' : 'yes',
+        options: isCode ? '' : joinList(question.options),
+        correct,
+        answers: question.questionType === 'matchTheFollowing' ? joinList(question.answers) : '',
+        keywords: question.questionType === 'shortAnswer' ? joinList(question.keywords) : '',
+        manual_grading: question.questionType === 'shortAnswer' && question.manualGrading ? 'yes' : '',
+        rubric: joinList((question.rubric || []).map(item => `${item.criterion}:${item.marks}`)),
+        tags: joinList(question.tags),
+        difficulty: question.difficulty || 'medium',
+        language: isCode ? question.programmingLanguage : '',
+        starter_code: isCode ? question.starterCode : '',
+        test_cases: isCode ? JSON.stringify((question.testCases || []).map(testCase => ({
+            input: testCase.input || '',
+            expectedOutput: testCase.expectedOutput,
+            isHidden: Boolean(testCase.isHidden),
+            weight: testCase.weight ?? 1
+        }))) : '',
+        comparator: isCode ? question.comparator : '',
+        float_tolerance: isCode && question.comparator === 'floatTolerance' ? question.floatTolerance : '',
+        partial_credit: isCode && question.partialCredit ? 'yes' : '',
+        checker_language: isCode && question.comparator === 'custom' ? question.checkerLanguage : '',
+        checker_script: isCode && question.comparator === 'custom' ? question.checkerScript : ''
+    };
+    return COLUMNS.map(column => quoteField(values[column])).join(',');
+};
+
+const exportQuestions = (questions) => {
+    const rows = [];
+    const skipped = [];
+    questions.forEach((question, index) => {
+        const unsupported = getUnsupportedReason(question, 'CSV');
+        if (unsupported) {
+            skipped.push(skippedQuestion(index, unsupported));
+        } else {
+            rows.push(toRow(question));
+        }
+    });
+    return {
+        content: [COLUMNS.join(','), ...rows].join('\r\n') + '\r\n',
+        skipped
+    };
+};
+
+// ================ READING ================
+
+// Split CSV text into records, each with the line it starts on. Quoted fields
+// may span lines.
+const parseCsv = (text) => {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+    }
+    // Blank lines hold no question
+    return records.filter(record => record.fields.some(value => value.trim() !== ''));
+};
+
+const splitList = (value) => {
+    if (!value || !value.trim()) return [];
+    const items = [];
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && (value[i + 1] === '|' || value[i + 1] === '\\')) {
+            current += value[++i];
+        } else if (value[i] === '|') {
+            items.push(current.trim());
+            current = '';
+        } else {
+            current += value[i];
+        }
+    }
+    items.push(current.trim());
+    return items;
+};
+
+const parseBoolean = (value, fallback) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return fallback;
+    if (['yes', 'y', 'true', '1'].includes(text)) return true;
+    if (['no', 'n', 'false', '0'].includes(text)) return false;
+    throw new Error(`"${value}" is not yes or no`);
+};
+
+// Option numbers start at 1 in the file and at 0 in the quiz
+const parseOptionNumbers = (value) => splitList(value).map(item => {
+    if (!/^\d+$/.test(item)) {
+        throw new Error(`Correct answer "${item}" is not an option number`);
+    }
+    return Number(item) - 1;
+});
+
+const findQuestionType = (value) => {
+    const key = String(value || '').replace(/[\s_-]/g, '').toLowerCase();
+    return QUESTION_TYPES.find(type => type.toLowerCase() === key) || null;
+};
+
+const toQuestion = (row) => {
+    const questionType = findQuestionType(row.type);
+    if (!questionType) {
+        throw new Error(`Unknown question type "${row.type || ''}"`);
+    }
+
+    const marks = row.marks?.trim() ? Number(row.marks) : 1;
+    const question = newQuestion({
+        questionType,
+        questionText: (row.question || '').trim(),
+        marks,
+        required: parseBoolean(row.required, true),
+        tags: splitList(row.tags),
+        difficulty: row.difficulty?.trim().toLowerCase() || 'medium',
+        rubric: splitList(row.rubric).map(item => {
+            const separator = item.lastIndexOf(':');
+            if (separator === -1) {
+                throw new Error(`Rubric criterion "${item}" needs marks, like "Clarity:2"`);
+            }
+            return { criterion: item.slice(0, separator).trim(), marks: Number(item.slice(separator + 1)) };
+        })
+    });
+
+    switch (questionType) {
+        case 'multipleChoice':
+            question.options = splitList(row.options);
+            question.correctAnswers = parseOptionNumbers(row.correct);
+            break;
+        case 'singleAnswer': {
+            question.options = splitList(row.options);
+            const [correct, ...extra] = parseOptionNumbers(row.correct);
+            if (extra.length) {
+                throw new Error('Single answer questions have one correct option');
+            }
+            question.correctAnswer = correct ?? null;
+            break;
+        }
+        case 'matchTheFollowing':
+            question.options = splitList(row.options);
+            question.answers = splitList(row.answers);
+            question.correctAnswers = question.options.map((_, index) => index);
+            break;
+        case 'shortAnswer':
+            question.keywords = splitList(row.keywords);
+            question.manualGrading = parseBoolean(row.manual_grading, false);
+            break;
+        case 'codeSolve': {
+            let testCases = [];
+            if (row.test_cases?.trim()) {
+                try {
+                    testCases = JSON.parse(row.test_cases);
+                } catch {
+                    throw new Error('test_cases must be a JSON array');
+                }
+            }
+            if (!Array.isArray(testCases)) {
+                throw new Error('test_cases must be a JSON array');
+            }
+            Object.assign(question, {
+                programmingLanguage: row.language?.trim() || 'javascript',
+                starterCode: row.starter_code || '',
+                testCases: testCases.map(testCase => ({
+                    input: String(testCase?.input ?? ''),
+                    expectedOutput: String(testCase?.expectedOutput ?? ''),
+                    isHidden: Boolean(testCase?.isHidden),
+                    weight: testCase?.weight ?? 1
+                })),
+                comparator: row.comparator?.trim() || 'exact',
+                floatTolerance: row.float_tolerance?.trim() ? Number(row.float_tolerance) : 1e-6,
+                partialCredit: parseBoolean(row.partial_credit, false),
+                checkerLanguage: row.checker_language?.trim() || 'python',
+                checkerScript: row.checker_script || ''
+            });
+            break;
+        }
+        default:
+            break;
+    }
+    return question;
+};
+
+const parseQuestions = (buffer) => {
+    const records = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    if (records.length === 0) {
+        return { items: [], errors: [] };
+    }
+
+    const [header, ...rows] = records;
+    const columns = header.fields.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = ['type', 'question'].filter(column => !columns.includes(column));
+    if (missing.length) {
+        return { items: [], errors: [{ row: header.line, message: `Missing column(s): ${missing.join(', ')}` }] };
+    }
+
+    const items = [];
+    const errors = [];
+    for (const record of rows) {
+        const row = Object.fromEntries(columns.map((column, index) => [column, record.fields[index] ?? '']));
+        try {
+            items.push({ row: record.line, question: toQuestion(row) });
+        } catch (error) {
+            errors.push({ row: record.line, message: error.message });
+        }
+    }
+    return { items, errors };
+};
+
+module.exports = {
+    name: 'csv',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    binary: false,
+    exportQuestions,
+    parseQuestions
+};
@@ -0,0 +1,271 @@
+// Moodle GIFT: one question per blank-line separated block, answers in braces.
+// Marks, tags, difficulty and rubrics have no place in GIFT, so they travel in
+// "// [key:value]" comments that Moodle ignores. Coding questions can't be written.
+const { newQuestion, skippedQuestion, getUnsupportedReason } = require('./common');
+
+const SPECIAL = /[~=#{}:\\]/g;
+
+// ================ WRITING ================
+
+const escapeText = (value) => String(value ?? '').replace(SPECIAL, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+
+const formatWeight = (weight) => String(Number(weight.toFixed(5)));
+
+const toAnswerBlock = (question) => {
+    const options = question.options || [];
+    switch (question.questionType) {
+        case 'singleAnswer':
+            return options.map((option, index) =>
+                `${index === question.correctAnswer ? '=' : '~'}${escapeText(option)}`);
+        case 'multipleChoice': {
+            const correct = question.correctAnswers || [];
+            const weight = formatWeight(100 / Math.max(correct.length, 1));
+            return options.map((option, index) =>
+                `~%${correct.includes(index) ? weight : '-100'}%${escapeText(option)}`);
+        }
+        case 'matchTheFollowing':
+            return options.map((option, index) => `=${escapeText(option)} -> ${escapeText(question.answers?.[index])}`);
+        case 'shortAnswer':
+            return (question.keywords || []).map(keyword => `=${escapeText(keyword)}`);
+        default:
+            return [];
+    }
+};
+
+const toBlock = (question, index) => {
+    const meta = [`// [marks:${question.marks ?? 1}]`];
+    if (question.difficulty && question.difficulty !== 'medium') {
+        meta.push(`// [difficulty:${question.difficulty}]`);
+    }
+    if (question.required === false) {
+        meta.push('// [optional]');
+    }
+    if (question.questionType === 'shortAnswer' && question.manualGrading) {
+        meta.push('// [manual-grading]');
+    }
+    (question.tags || []).forEach(tag => meta.push(`// [tag:${tag}]`));
+    (question.rubric || []).forEach(item => meta.push(`// [rubric:${item.criterion}:${item.marks}]`));
+
+    const answers = toAnswerBlock(question);
+    const body = answers.length ? `{\n${answers.map(answer => `\t${answer}`).join('\n')}\n}` : '{}';
+    return [...meta, `::Q${index + 1}:: ${escapeText(question.questionText)} ${body}`].join('\n');
+};
+
+const exportQuestions = (questions) => {
+    const blocks = [];
+    const skipped = [];
+    questions.forEach((question, index) => {
+        const unsupported = getUnsupportedReason(question, 'GIFT');
+        if (question.questionType === 'codeSolve') {
+            skipped.push(skippedQuestion(index, 'GIFT has no coding questions'));
+        } else if (unsupported) {
+            skipped.push(skippedQuestion(index, unsupported));
+        } else {
+            blocks.push(toBlock(question, index));
+        }
+    });
+    return { content: blocks.join('\n\n') + '\n', skipped };
+};
+
+// ================ READING ================
+
+const unescapeText = (value) => value
+    .replace(/\\(n|[~=#{}:\\])/g, (_, char) => (char === 'n' ? '\n' : char))
+    .trim();
+
+// Position of the first unescaped character from chars, or -1
+const findUnescaped = (text, chars, from = 0) => {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (chars.includes(text[i])) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+// Split an answer block into its "=" and "~" answers, dropping "#" feedback
+const splitAnswers = (body) => {
+    const answers = [];
+    let start = findUnescaped(body, '=~');
+    while (start !== -1) {
+        const next = findUnescaped(body, '=~', start + 1);
+        let text = body.slice(start + 1, next === -1 ? body.length : next);
+        const feedback = findUnescaped(text, '#');
+        if (feedback !== -1) text = text.slice(0, feedback);
+
+        let weight = null;
+        const weighted = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+        if (weighted) {
+            weight = Number(weighted[1]);
+            text = text.slice(weighted[0].length);
+        }
+        answers.push({ marker: body[start], weight, text });
+        start = next;
+    }
+    return answers;
+};
+
+const readAnswers = (question, body) => {
+    const trimmed = body.trim();
+    if (trimmed === '') {
+        question.questionType = question.manualGrading ? 'shortAnswer' : 'longAnswer';
+        return;
+    }
+    if (trimmed.startsWith('#')) {
+        throw new Error('Numerical questions are not supported');
+    }
+    const trueFalse = trimmed.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+    if (trueFalse) {
+        question.questionType = 'singleAnswer';
+        question.options = ['True', 'False'];
+        question.correctAnswer = trueFalse[1].toUpperCase().startsWith('T') ? 0 : 1;
+        return;
+    }
+
+    const answers = splitAnswers(body);
+    if (answers.length === 0) {
+        throw new Error('Could not read the answers');
+    }
+
+    if (answers.some(answer => answer.marker === '=' && answer.text.includes('->'))) {
+        question.questionType = 'matchTheFollowing';
+        for (const answer of answers) {
+            const arrow = answer.text.indexOf('->');
+            if (answer.marker !== '=' || arrow === -1) {
+                throw new Error('Every answer of a match question needs "=left -> right"');
+            }
+            question.options.push(unescapeText(answer.text.slice(0, arrow)));
+            question.answers.push(unescapeText(answer.text.slice(arrow + 2)));
+        }
+        question.correctAnswers = question.options.map((_, index) => index);
+        return;
+    }
+
+    if (answers.every(answer => answer.marker === '=')) {
+        question.questionType = 'shortAnswer';
+        question.keywords = answers.map(answer => unescapeText(answer.text)).filter(Boolean);
+        return;
+    }
+
+    question.options = answers.map(answer => unescapeText(answer.text));
+    const correct = answers.reduce((indexes, answer, index) => {
+        if (answer.marker === '=' || answer.weight > 0) indexes.push(index);
+        return indexes;
+    }, []);
+    if (correct.length === 0) {
+        throw new Error('No answer is marked correct');
+    }
+    if (correct.length === 1 && answers[correct[0]].marker === '=') {
+        question.questionType = 'singleAnswer';
+        question.correctAnswer = correct[0];
+    } else {
+        question.questionType = 'multipleChoice';
+        question.correctAnswers = correct;
+    }
+};
+
+// Apply a "// [key:value]" comment to a question
+const readComment = (question, comment) => {
+    const match = comment.match(/^\/\/\s*\[([\w-]+)(?::(.*))?\]\s*$/);
+    if (!match) return;
+    const [, key, value = ''] = match;
+    switch (key) {
+        case 'marks':
+            question.marks = Number(value);
+            break;
+        case 'difficulty':
+            question.difficulty = value.trim().toLowerCase();
+            break;
+        case 'optional':
+            question.required = false;
+            break;
+        case 'manual-grading':
+            question.manualGrading = true;
+            break;
+        case 'tag':
+            if (value.trim()) question.tags.push(value.trim());
+            break;
+        case 'rubric': {
+            const separator = value.lastIndexOf(':');
+            if (separator === -1) {
+                throw new Error(`Rubric criterion "${value}" needs marks, like "Clarity:2"`);
+            }
+            question.rubric.push({ criterion: value.slice(0, separator).trim(), marks: Number(value.slice(separator + 1)) });
+            break;
+        }
+        default:
+            break;
+    }
+};
+
+const toQuestion = (lines) => {
+    const question = newQuestion({});
+    const textLines = [];
+    for (const line of lines) {
+        if (line.trim().startsWith('//')) {
+            readComment(question, line.trim());
+        } else {
+            textLines.push(line);
+        }
+    }
+    const text = textLines.join('\n').trim();
+    if (text === '' || text.startsWith('$CATEGORY:')) {
+        return null;
+    }
+
+    const open = findUnescaped(text, '{');
+    const close = open === -1 ? -1 : findUnescaped(text, '}', open + 1);
+    if (open === -1 || close === -1) {
+        throw new Error('Question has no {answers} block');
+    }
+
+    let prompt = text.slice(0, open).replace(/^::(?:\\.|[^:\\])*::/, '').trim();
+    prompt = prompt.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+    const after = text.slice(close + 1).trim();
+    question.questionText = unescapeText(after ? `${prompt} _____ ${after}` : prompt);
+
+    readAnswers(question, text.slice(open + 1, close));
+    return question;
+};
+
+const parseQuestions = (buffer) => {
+    const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const items = [];
+    const errors = [];
+
+    let block = [];
+    let blockLine = 1;
+    const finishBlock = () => {
+        if (block.length === 0) return;
+        try {
+            const question = toQuestion(block);
+            if (question) items.push({ row: blockLine, question });
+        } catch (error) {
+            errors.push({ row: blockLine, message: error.message });
+        }
+        block = [];
+    };
+
+    lines.forEach((line, index) => {
+        if (line.trim() === '') {
+            finishBlock();
+        } else {
+            if (block.length === 0) blockLine = index + 1;
+            block.push(line);
+        }
+    });
+    finishBlock();
+
+    return { items, errors };
+};
+
+module.exports = {
+    name: 'gift',
+    extension: 'gift',
+    mimeType: 'text/plain',
+    binary: false,
+    exportQuestions,
+    parseQuestions
+};
@@ -0,0 +1,141 @@
+// Question import/export formats behind one interface. Every format exposes:
+//   name, extension, mimeType
+//   binary                     whether files are binary (QTI packages are zips)
+//   exportQuestions(questions) -> { content, skipped } with the file as a string or
+//                              Buffer and [{ number, reason }] for questions it can't hold
+//   parseQuestions(buffer)     -> { items: [{ row, question }], errors: [{ row, message }] }
+// Rows are what an author can find in the file: the CSV line, the line a GIFT
+// question starts on, or the position of a QTI item.
+const csv = require('./csv');
+const gift = require('./gift');
+const qti = require('./qti');
+const { getQuestionsError } = require('../../utils/quizQuestionUtils');
+
+const formats = { csv, gift, qti };
+
+const QUESTION_TYPES = ['multipleChoice', 'singleAnswer', 'shortAnswer', 'matchTheFollowing', 'longAnswer', 'codeSolve'];
+
+// Most questions one import may hold, as many as a question bank
+const MAX_IMPORT_QUESTIONS = 500;
+
+const getFormat = (name) => formats[String(name || '').toLowerCase()] || null;
+
+// Check that an imported question is complete, resolving to an error message or null
+const getImportedQuestionError = (question) => {
+    if (!question.questionText?.trim()) {
+        return 'Question text is required';
+    }
+    if (!QUESTION_TYPES.includes(question.questionType)) {
+        return `Unknown question type "${question.questionType}"`;
+    }
+    if (!(question.marks > 0)) {
+        return 'Marks must be a positive number';
+    }
+
+    const options = question.options || [];
+    switch (question.questionType) {
+        case 'multipleChoice':
+        case 'singleAnswer':
+            if (options.length < 2 || options.some(option => !option.trim())) {
+                return 'At least two non-empty options are required';
+            }
+            if (question.questionType === 'multipleChoice' &&
+                (!question.correctAnswers?.length || question.correctAnswers.some(index => !(index >= 0 && index < options.length)))) {
+                return 'Correct answers must be option numbers between 1 and ' + options.length;
+            }
+            if (question.questionType === 'singleAnswer' &&
+                !(question.correctAnswer >= 0 && question.correctAnswer < options.length)) {
+                return 'The correct answer must be an option number between 1 and ' + options.length;
+            }
+            break;
+        case 'matchTheFollowing':
+            if (options.length !== (question.answers || []).length ||
+                [...options, ...question.answers].some(value => !value?.trim())) {
+                return 'Every match item needs both sides filled in';
+            }
+            // As many pairs as the quiz editor offers
+            if (options.length < 3 || options.length > 7) {
+                return 'Match questions need between 3 and 7 pairs';
+            }
+            break;
+        case 'shortAnswer':
+            if (!question.manualGrading && !question.keywords?.length) {
+                return 'Short answer questions need keywords unless graded manually';
+            }
+            break;
+        default:
+            break;
+    }
+
+    return getQuestionsError([question]);
+};
+
+// The file for a quiz's or bank's questions: text formats as UTF-8, binary ones as base64
+const buildExport = (format, { title, questions }) => {
+    const { content, skipped } = format.exportQuestions(questions);
+    const baseName = String(title || 'quiz').trim().replace(/[^\w-]+/g, '_').slice(0, 60) || 'quiz';
+    return {
+        filename: `${baseName}.${format.extension}`,
+        mimeType: format.mimeType,
+        encoding: format.binary ? 'base64' : 'utf8',
+        content: format.binary ? content.toString('base64') : content,
+        skipped
+    };
+};
+
+// Parse and validate a file without saving anything. Every problem is listed
+// with its row, and questions are only returned when there are none.
+const previewImport = (format, buffer) => {
+    let parsed;
+    try {
+        parsed = format.parseQuestions(buffer);
+    } catch (error) {
+        return {
+            format: format.name,
+            total: 0,
+            valid: 0,
+            errors: [{ row: null, message: `Could not read the file: ${error.message}` }],
+            typeCounts: {},
+            questions: []
+        };
+    }
+
+    const errors = [...parsed.errors];
+    const valid = [];
+    for (const { row, question } of parsed.items) {
+        const message = getImportedQuestionError(question);
+        if (message) {
+            errors.push({ row, message });
+        } else {
+            valid.push(question);
+        }
+    }
+
+    // Rows that couldn't be read count too
+    const total = parsed.items.length + parsed.errors.filter(error => error.row !== null).length;
+    if (total > MAX_IMPORT_QUESTIONS) {
+        errors.push({ row: null, message: `A file can hold at most ${MAX_IMPORT_QUESTIONS} questions` });
+    }
+    if (total === 0 && errors.length === 0) {
+        errors.push({ row: null, message: 'No questions found in the file' });
+    }
+    errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+
+    return {
+        format: format.name,
+        total,
+        valid: valid.length,
+        errors,
+        typeCounts: valid.reduce((counts, question) => {
+            counts[question.questionType] = (counts[question.questionType] || 0) + 1;
+            return counts;
+        }, {}),
+        questions: errors.length === 0 ? valid : []
+    };
+};
+
+module.exports = {
+    getFormat,
+    buildExport,
+    previewImport
+};
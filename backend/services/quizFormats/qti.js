@@ -0,0 +1,366 @@
+// IMS QTI 2.1 content packages: an imsmanifest.xml and one assessmentItem per
+// question. The item's MAXSCORE outcome holds its marks, and text entries
+// without response processing are graded by hand. Tags, difficulty, rubrics
+// and coding questions have no QTI equivalent and are left out.
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { createZip, isZip, readZip } = require('../../utils/zipArchive');
+const { newQuestion, skippedQuestion, getUnsupportedReason } = require('./common');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+
+// ================ WRITING ================
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toParagraphs = (text) => String(text || '')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => `<p>${escapeXml(line)}</p>`)
+    .join('\n    ');
+
+// The declaration, interaction and response processing of each question type
+const toInteraction = (question) => {
+    const options = question.options || [];
+    switch (question.questionType) {
+        case 'singleAnswer':
+        case 'multipleChoice': {
+            const single = question.questionType === 'singleAnswer';
+            const correct = single ? [question.correctAnswer] : (question.correctAnswers || []);
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="${single ? 'single' : 'multiple'}" baseType="identifier">
+    <correctResponse>${correct.map(index => `<value>CHOICE_${index}</value>`).join('')}</correctResponse>
+  </responseDeclaration>`,
+                interaction: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${single ? 1 : 0}">
+      ${options.map((option, index) => `<simpleChoice identifier="CHOICE_${index}">${escapeXml(option)}</simpleChoice>`).join('\n      ')}
+    </choiceInteraction>`,
+                template: 'match_correct'
+            };
+        }
+        case 'matchTheFollowing':
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>${options.map((_, index) => `<value>L${index} R${index}</value>`).join('')}</correctResponse>
+  </responseDeclaration>`,
+                interaction: `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${options.length}">
+      <simpleMatchSet>
+        ${options.map((option, index) => `<simpleAssociableChoice identifier="L${index}" matchMax="1">${escapeXml(option)}</simpleAssociableChoice>`).join('\n        ')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+        ${(question.answers || []).map((answer, index) => `<simpleAssociableChoice identifier="R${index}" matchMax="1">${escapeXml(answer)}</simpleAssociableChoice>`).join('\n        ')}
+      </simpleMatchSet>
+    </matchInteraction>`,
+                template: 'match_correct'
+            };
+        case 'shortAnswer': {
+            const keywords = question.keywords || [];
+            const correct = keywords.length ? `
+    <correctResponse><value>${escapeXml(keywords[0])}</value></correctResponse>
+    <mapping defaultValue="0">${keywords.map(keyword => `<mapEntry mapKey="${escapeXml(keyword)}" mappedValue="${question.marks}" caseSensitive="false"/>`).join('')}</mapping>` : '';
+            return {
+                declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">${correct}
+  </responseDeclaration>`,
+                interaction: '<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>',
+                template: keywords.length && !question.manualGrading ? 'map_response' : null
+            };
+        }
+        default:
+            return {
+                declaration: '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+                interaction: '<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>',
+                template: null
+            };
+    }
+};
+
+const toItem = (question, identifier) => {
+    const { declaration, interaction, template } = toInteraction(question);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(String(question.questionText).slice(0, 80))}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${question.marks ?? 1}</value></defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+    ${toParagraphs(question.questionText)}
+    ${interaction}
+  </itemBody>${template ? `
+  <responseProcessing template="${TEMPLATES}/${template}"/>` : ''}
+</assessmentItem>
+`;
+};
+
+const toManifest = (identifiers) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST">
+  <organizations/>
+  <resources>
+    ${identifiers.map(identifier => `<resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="items/${identifier}.xml">
+      <file href="items/${identifier}.xml"/>
+    </resource>`).join('\n    ')}
+  </resources>
+</manifest>
+`;
+
+const exportQuestions = (questions) => {
+    const files = [];
+    const identifiers = [];
+    const skipped = [];
+    questions.forEach((question, index) => {
+        if (question.questionType === 'codeSolve') {
+            skipped.push(skippedQuestion(index, 'QTI has no coding questions'));
+            return;
+        }
+        const unsupported = getUnsupportedReason(question, 'QTI');
+        if (unsupported) {
+            skipped.push(skippedQuestion(index, unsupported));
+            return;
+        }
+        const identifier = `item${index + 1}`;
+        identifiers.push(identifier);
+        files.push({ name: `items/${identifier}.xml`, content: toItem(question, identifier) });
+    });
+    return {
+        content: createZip([{ name: 'imsmanifest.xml', content: toManifest(identifiers) }, ...files]),
+        skipped
+    };
+};
+
+// ================ READING ================
+
+// With preserveOrder every element is { tag: [children], ':@': { attributes } }
+// and text is { '#text': value }
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    preserveOrder: true,
+    trimValues: false,
+    parseTagValue: false,
+    processEntities: true
+});
+
+const BLOCK_TAGS = ['p', 'div', 'br', 'li', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'prompt'];
+const INTERACTIONS = [
+    'choiceInteraction', 'matchInteraction', 'textEntryInteraction', 'extendedTextInteraction',
+    'orderInteraction', 'associateInteraction', 'gapMatchInteraction', 'inlineChoiceInteraction',
+    'hottextInteraction', 'hotspotInteraction', 'sliderInteraction', 'uploadInteraction'
+];
+
+const tagOf = (node) => Object.keys(node).find(key => key !== ':@');
+// Namespace prefixes like "qti:" don't matter here
+const nameOf = (node) => String(tagOf(node)).replace(/^.*:/, '');
+const childrenOf = (node) => (Array.isArray(node[tagOf(node)]) ? node[tagOf(node)] : []);
+const attributesOf = (node) => node[':@'] || {};
+
+const findAll = (nodes, name, found = []) => {
+    for (const node of nodes) {
+        if (tagOf(node) === '#text') continue;
+        if (nameOf(node) === name) found.push(node);
+        findAll(childrenOf(node), name, found);
+    }
+    return found;
+};
+
+const findFirst = (nodes, name) => findAll(nodes, name)[0] || null;
+
+const tidyText = (text) => text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+// Text of the nodes, with a marker where a text entry sits inside the sentence
+const GAP = '\u0000';
+const collectText = (nodes) => nodes.map(node => {
+    const tag = tagOf(node);
+    if (tag === '#text') return String(node[tag]).replace(/\s+/g, ' ');
+    const name = nameOf(node);
+    if (name === 'textEntryInteraction') return GAP;
+    if (INTERACTIONS.includes(name)) return '\n';
+    const text = collectText(childrenOf(node));
+    return BLOCK_TAGS.includes(name) ? `\n${text}\n` : text;
+}).join('');
+
+const textOf = (nodes) => tidyText(collectText(nodes).replace(new RegExp(GAP, 'g'), ''));
+
+const questionTextOf = (itemBody, interaction) => {
+    const body = tidyText(collectText(childrenOf(itemBody)))
+        .replace(new RegExp(`\\s*${GAP}\\s*$`), '')
+        .replace(new RegExp(`\\s*${GAP}\\s*`, 'g'), ' _____ ')
+        .trim();
+    const prompt = findFirst(childrenOf(interaction), 'prompt');
+    return [body, prompt ? textOf(childrenOf(prompt)) : ''].filter(Boolean).join('\n');
+};
+
+const valuesOf = (node) => (node ? findAll(childrenOf(node), 'value').map(value => textOf(childrenOf(value))) : []);
+
+const getMarks = (item, declaration) => {
+    const maxScore = findAll(childrenOf(item), 'outcomeDeclaration')
+        .find(outcome => attributesOf(outcome).identifier === 'MAXSCORE');
+    const [value] = valuesOf(maxScore && findFirst(childrenOf(maxScore), 'defaultValue'));
+    if (value !== undefined) return Number(value);
+
+    // Without MAXSCORE the best mapped score stands in
+    const mapped = declaration ? findAll(childrenOf(declaration), 'mapEntry')
+        .map(entry => Number(attributesOf(entry).mappedValue)).filter(value => value > 0) : [];
+    return mapped.length ? Math.max(...mapped) : 1;
+};
+
+const toQuestion = (item) => {
+    const itemBody = findFirst(childrenOf(item), 'itemBody');
+    const interactions = itemBody ? INTERACTIONS.flatMap(name => findAll(childrenOf(itemBody), name)) : [];
+    if (interactions.length === 0) {
+        throw new Error('Item has no interaction');
+    }
+    if (interactions.length > 1) {
+        throw new Error('Items with more than one interaction are not supported');
+    }
+
+    const [interaction] = interactions;
+    const type = nameOf(interaction);
+    const responseId = attributesOf(interaction).responseIdentifier;
+    const declaration = findAll(childrenOf(item), 'responseDeclaration')
+        .find(node => attributesOf(node).identifier === responseId) || null;
+    const correct = valuesOf(declaration && findFirst(childrenOf(declaration), 'correctResponse'));
+
+    const question = newQuestion({
+        questionText: questionTextOf(itemBody, interaction),
+        marks: getMarks(item, declaration)
+    });
+
+    switch (type) {
+        case 'choiceInteraction': {
+            const choices = findAll(childrenOf(interaction), 'simpleChoice');
+            question.options = choices.map(choice => textOf(childrenOf(choice)));
+            const indexes = choices.reduce((found, choice, index) => {
+                if (correct.includes(attributesOf(choice).identifier)) found.push(index);
+                return found;
+            }, []);
+            const single = attributesOf(declaration || {}).cardinality === 'single' ||
+                String(attributesOf(interaction).maxChoices) === '1';
+            if (single) {
+                if (indexes.length > 1) {
+                    throw new Error('A single choice item lists more than one correct choice');
+                }
+                question.questionType = 'singleAnswer';
+                question.correctAnswer = indexes[0] ?? null;
+            } else {
+                question.questionType = 'multipleChoice';
+                question.correctAnswers = indexes;
+            }
+            break;
+        }
+        case 'matchInteraction': {
+            const sets = findAll(childrenOf(interaction), 'simpleMatchSet');
+            if (sets.length !== 2) {
+                throw new Error('Match items need two sets of choices');
+            }
+            const [left, right] = sets.map(set => new Map(findAll(childrenOf(set), 'simpleAssociableChoice')
+                .map(choice => [attributesOf(choice).identifier, textOf(childrenOf(choice))])));
+            for (const pair of correct) {
+                const [source, target] = pair.split(/\s+/);
+                if (!left.has(source) || !right.has(target)) {
+                    throw new Error(`Correct pair "${pair}" names an unknown choice`);
+                }
+                question.options.push(left.get(source));
+                question.answers.push(right.get(target));
+            }
+            if (question.options.length !== left.size) {
+                throw new Error('Every item on the left needs exactly one correct match');
+            }
+            question.questionType = 'matchTheFollowing';
+            question.correctAnswers = question.options.map((_, index) => index);
+            break;
+        }
+        case 'textEntryInteraction': {
+            const mapped = declaration ? findAll(childrenOf(declaration), 'mapEntry')
+                .filter(entry => !(Number(attributesOf(entry).mappedValue) <= 0))
+                .map(entry => String(attributesOf(entry).mapKey)) : [];
+            question.questionType = 'shortAnswer';
+            question.keywords = [...new Set([...correct, ...mapped].map(keyword => keyword.trim()).filter(Boolean))];
+            // No response processing means nothing scores it automatically
+            question.manualGrading = !findFirst(childrenOf(item), 'responseProcessing');
+            break;
+        }
+        case 'extendedTextInteraction':
+            question.questionType = 'longAnswer';
+            break;
+        default:
+            throw new Error(`${type} is not supported`);
+    }
+    return question;
+};
+
+const parseXml = (text, name) => {
+    const validation = XMLValidator.validate(text);
+    if (validation !== true) {
+        throw new Error(`${name} is not valid XML (line ${validation.err.line}: ${validation.err.msg})`);
+    }
+    return parser.parse(text);
+};
+
+// The item files of a package in manifest order, or every XML file when there is no manifest
+const getPackageDocuments = (buffer) => {
+    const files = readZip(buffer);
+    const byName = new Map(files.map(file => [file.name, file]));
+    const manifest = files.find(file => /(^|\/)imsmanifest\.xml$/i.test(file.name));
+
+    if (manifest) {
+        const base = manifest.name.slice(0, manifest.name.lastIndexOf('/') + 1);
+        const resources = findAll(parseXml(manifest.content.toString('utf8'), manifest.name), 'resource')
+            .filter(resource => String(attributesOf(resource).type || '').startsWith('imsqti_item'));
+        return resources.map(resource => {
+            const href = base + attributesOf(resource).href;
+            const file = byName.get(href);
+            if (!file) {
+                throw new Error(`The manifest lists ${href}, which is not in the package`);
+            }
+            return file;
+        });
+    }
+    return files
+        .filter(file => file.name.toLowerCase().endsWith('.xml'))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const parseQuestions = (buffer) => {
+    const documents = isZip(buffer)
+        ? getPackageDocuments(buffer)
+        : [{ name: 'The file', content: buffer }];
+
+    const items = [];
+    const errors = [];
+    let row = 0;
+    for (const document of documents) {
+        let assessmentItems;
+        try {
+            assessmentItems = findAll(parseXml(document.content.toString('utf8').replace(/^\uFEFF/, ''), document.name), 'assessmentItem');
+        } catch (error) {
+            errors.push({ row: null, message: error.message });
+            continue;
+        }
+        for (const item of assessmentItems) {
+            row++;
+            try {
+                items.push({ row, question: toQuestion(item) });
+            } catch (error) {
+                const identifier = attributesOf(item).identifier;
+                errors.push({ row, message: identifier ? `${identifier}: ${error.message}` : error.message });
+            }
+        }
+    }
+    return { items, errors };
+};
+
+module.exports = {
+    name: 'qti',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    binary: true,
+    exportQuestions,
+    parseQuestions
+};
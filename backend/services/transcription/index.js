@@ -0,0 +1,24 @@
+// Speech to text providers behind one interface, for captioning lecture
+// videos automatically. Every provider exposes:
+//   name
+//   isConfigured()      whether it can transcribe with the current env
+//   transcribe({ filePath, language, duration })
+//       filePath is the lecture video on this server, duration its length in seconds
+//       -> [{ start, end, text }], the captions with times in seconds
+// TRANSCRIPTION_PROVIDER picks the provider: local (default, see ./local).
+// A new provider is a module with this interface, added to providers below.
+const local = require('./local');
+
+const providers = { local };
+
+const DEFAULT_PROVIDER = 'local';
+
+// The configured provider, or null when it can't transcribe with the current env
+const getTranscriptionProvider = () => {
+    const provider = providers[(process.env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER).toLowerCase()];
+    return provider?.isConfigured() ? provider : null;
+};
+
+module.exports = {
+    getTranscriptionProvider
+};
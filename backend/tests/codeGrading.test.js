@@ -0,0 +1,217 @@
+// Output comparators, partial-credit grading of coding questions and what
+// students are shown of a quiz
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Programs aren't run here: each test says what the run of each input printed
+const runs = new Map();
+const codeExecutionPath = require.resolve('../services/codeExecution');
+require.cache[codeExecutionPath] = {
+    id: codeExecutionPath,
+    filename: codeExecutionPath,
+    loaded: true,
+    exports: {
+        executeCode: async (code, language, input) => {
+            const run = runs.get(input);
+            if (!run) {
+                return { success: false, error: 'No run for this input' };
+            }
+            return {
+                success: true,
+                data: { stdout: run.stdout, status: run.status || { id: 3, description: 'Accepted' }, time: '0.01', memory: 1024 }
+            };
+        }
+    }
+};
+
+const { compareOutput, gradeCodeQuestion, hideQuizAnswers } = require('../utils/codeGrading');
+
+beforeEach(() => {
+    runs.clear();
+});
+
+test('exact compares output without surrounding whitespace or Windows line endings', () => {
+    assert.equal(compareOutput('42\r\n', '42'), true);
+    assert.equal(compareOutput('  1\n2  ', '1\n2'), true);
+    assert.equal(compareOutput('1 2', '1  2'), false);
+});
+
+test('ignoreWhitespace compares the words of the output', () => {
+    assert.equal(compareOutput('1   2\n3', '1 2 3', { comparator: 'ignoreWhitespace' }), true);
+    assert.equal(compareOutput('1 2', '1 2 3', { comparator: 'ignoreWhitespace' }), false);
+});
+
+test('floatTolerance accepts numbers within the tolerance', () => {
+    assert.equal(compareOutput('3.1415927', '3.14159265', { comparator: 'floatTolerance' }), true);
+    assert.equal(compareOutput('3.14', '3.14159265', { comparator: 'floatTolerance' }), false);
+    assert.equal(compareOutput('3.14', '3.14159265', { comparator: 'floatTolerance', floatTolerance: 0.01 }), true);
+});
+
+test('floatTolerance accepts large numbers within the tolerance relative to them', () => {
+    assert.equal(compareOutput('1000000.5', '1000000', { comparator: 'floatTolerance', floatTolerance: 1e-6 }), true);
+    assert.equal(compareOutput('1000002', '1000000', { comparator: 'floatTolerance', floatTolerance: 1e-6 }), false);
+});
+
+test('floatTolerance needs the same words, and words that aren\'t numbers to match exactly', () => {
+    assert.equal(compareOutput('area 2.0000001', 'area 2', { comparator: 'floatTolerance' }), true);
+    assert.equal(compareOutput('size 2', 'area 2', { comparator: 'floatTolerance' }), false);
+    assert.equal(compareOutput('2 3', '2', { comparator: 'floatTolerance' }), false);
+    assert.equal(compareOutput('NaN', 'NaN', { comparator: 'floatTolerance' }), true);
+});
+
+test('unorderedLines accepts the lines in any order', () => {
+    assert.equal(compareOutput('b\na\nc', 'a\nb\nc', { comparator: 'unorderedLines' }), true);
+    assert.equal(compareOutput('a\nb', 'a\nb\nb', { comparator: 'unorderedLines' }), false);
+});
+
+test('regex must match the whole output', () => {
+    assert.equal(compareOutput('Total: 42', 'Total: \\d+', { comparator: 'regex' }), true);
+    assert.equal(compareOutput('Total: 42 apples', 'Total: \\d+', { comparator: 'regex' }), false);
+    assert.equal(compareOutput('yes', 'yes|no', { comparator: 'regex' }), true);
+});
+
+test('regex gives up on patterns that backtrack for too long', () => {
+    const started = Date.now();
+    assert.equal(compareOutput(`${'a'.repeat(40)}!`, '(a+)+', { comparator: 'regex' }), false);
+    assert.ok(Date.now() - started < 5000);
+});
+
+const codeQuestion = (overrides) => ({
+    questionType: 'codeSolve',
+    programmingLanguage: 'python',
+    marks: 10,
+    testCases: [
+        { _id: 't1', input: '1', expectedOutput: '1', weight: 1 },
+        { _id: 't2', input: '2', expectedOutput: '4', weight: 3 }
+    ],
+    ...overrides
+});
+
+test('gradeCodeQuestion gives partial credit in proportion to the weights passed', async () => {
+    runs.set('1', { stdout: '1\n' });
+    runs.set('2', { stdout: '5\n' });
+
+    const result = await gradeCodeQuestion(codeQuestion({ partialCredit: true }), { code: 'print()' }, 'user_1');
+
+    assert.equal(result.score, 2.5);
+    assert.equal(result.isCorrect, false);
+    assert.deepEqual(result.testResults.map(testResult => testResult.passed), [true, false]);
+});
+
+test('gradeCodeQuestion gives nothing for a partly passed question without partial credit', async () => {
+    runs.set('1', { stdout: '1' });
+    runs.set('2', { stdout: '5' });
+
+    const result = await gradeCodeQuestion(codeQuestion({ partialCredit: false }), { code: 'print()' }, 'user_1');
+
+    assert.equal(result.score, 0);
+});
+
+test('gradeCodeQuestion gives full marks when every case passes', async () => {
+    runs.set('1', { stdout: '1' });
+    runs.set('2', { stdout: '4' });
+
+    const result = await gradeCodeQuestion(codeQuestion({ partialCredit: false }), { code: 'print()' }, 'user_1');
+
+    assert.equal(result.score, 10);
+    assert.equal(result.isCorrect, true);
+});
+
+test('gradeCodeQuestion counts cases equally when none has a weight', async () => {
+    runs.set('1', { stdout: '1' });
+    runs.set('2', { stdout: '5' });
+    const question = codeQuestion({
+        partialCredit: true,
+        testCases: [
+            { _id: 't1', input: '1', expectedOutput: '1', weight: 0 },
+            { _id: 't2', input: '2', expectedOutput: '4', weight: 0 }
+        ]
+    });
+
+    const result = await gradeCodeQuestion(question, { code: 'print()' }, 'user_1');
+
+    assert.equal(result.score, 5);
+});
+
+test('gradeCodeQuestion gives nothing for cases whose program crashed', async () => {
+    runs.set('1', { stdout: '1', status: { id: 11, description: 'Runtime Error' } });
+    runs.set('2', { stdout: '4' });
+
+    const result = await gradeCodeQuestion(codeQuestion({ partialCredit: true }), { code: 'print()' }, 'user_1');
+
+    assert.equal(result.score, 7.5);
+    assert.equal(result.testResults[0].passed, false);
+});
+
+test('hideQuizAnswers removes the correct options and keywords of every question', () => {
+    const quiz = hideQuizAnswers({
+        title: 'Quiz',
+        questions: [
+            { _id: 'q1', questionType: 'singleAnswer', options: ['a', 'b'], correctAnswer: 1, optionOrder: [1, 0] },
+            { _id: 'q2', questionType: 'multipleChoice', options: ['a', 'b'], correctAnswers: [0, 1] },
+            { _id: 'q3', questionType: 'shortAnswer', keywords: ['loop'] }
+        ]
+    });
+
+    assert.equal(quiz.title, 'Quiz');
+    assert.deepEqual(quiz.questions, [
+        { _id: 'q1', questionType: 'singleAnswer', options: ['a', 'b'] },
+        { _id: 'q2', questionType: 'multipleChoice', options: ['a', 'b'] },
+        { _id: 'q3', questionType: 'shortAnswer' }
+    ]);
+});
+
+test('hideQuizAnswers removes the accepted answers of cloze and numeric questions', () => {
+    const quiz = hideQuizAnswers({
+        questions: [
+            { _id: 'q1', questionType: 'cloze', questionText: '[[1]] and [[2]]', blanks: [{ answers: ['cats'] }, { answers: ['dogs'] }] },
+            {
+                _id: 'q2',
+                questionType: 'numeric',
+                numericAnswer: 9.81,
+                tolerance: 0.1,
+                toleranceType: 'absolute',
+                units: [{ name: 'm/s²', factor: 1 }]
+            }
+        ]
+    });
+
+    assert.deepEqual(quiz.questions, [
+        { _id: 'q1', questionType: 'cloze', questionText: '[[1]] and [[2]]', blanks: [{ answers: [] }, { answers: [] }] },
+        { _id: 'q2', questionType: 'numeric', units: [{ name: 'm/s²' }] }
+    ]);
+});
+
+test('hideQuizAnswers keeps only the weight of hidden test cases and drops checkers and solutions', () => {
+    const quiz = hideQuizAnswers({
+        questions: [{
+            _id: 'q1',
+            questionType: 'codeSolve',
+            solutionCode: 'print(input())',
+            checkerScript: 'print(1)',
+            testCases: [
+                { _id: 't1', input: '1', expectedOutput: '1', isHidden: false, weight: 1 },
+                { _id: 't2', input: 'secret', expectedOutput: 'secret', isHidden: true, weight: 2 }
+            ]
+        }]
+    });
+
+    assert.deepEqual(quiz.questions, [{
+        _id: 'q1',
+        questionType: 'codeSolve',
+        testCases: [
+            { _id: 't1', input: '1', expectedOutput: '1', isHidden: false, weight: 1 },
+            { _id: 't2', isHidden: true, weight: 2 }
+        ]
+    }]);
+});
+
+test('hideQuizAnswers leaves the quiz it was given unchanged', () => {
+    const question = { _id: 'q1', questionType: 'singleAnswer', options: ['a'], correctAnswer: 0 };
+    const original = { questions: [question] };
+
+    hideQuizAnswers(original);
+
+    assert.equal(original.questions[0], question);
+    assert.equal(question.correctAnswer, 0);
+});
@@ -0,0 +1,233 @@
+// The Razorpay adapter's capture (checkout order) and verify paths, against a
+// local fake of the Razorpay API
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// The adapter's client is created from these when it is first loaded
+process.env.RAZORPAY_KEY = 'rzp_test_key';
+process.env.RAZORPAY_SECRET = 'test_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'test_webhook_secret';
+
+const { instance } = require('../config/razorpay');
+const razorpay = require('../services/paymentGateways/razorpay');
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Answers the Razorpay endpoints the adapter calls and keeps every request it got
+const createFakeRazorpay = () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const data = body ? JSON.parse(body) : {};
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: data });
+
+            const reply = (status, json) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(json));
+            };
+
+            const expectedAuth = `Basic ${Buffer.from(`${process.env.RAZORPAY_KEY}:${process.env.RAZORPAY_SECRET}`).toString('base64')}`;
+            if (req.headers.authorization !== expectedAuth) {
+                return reply(401, { error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+            }
+
+            if (req.method === 'POST' && req.url === '/v1/orders') {
+                if (!Number.isInteger(data.amount) || data.amount < 100) {
+                    return reply(400, { error: { code: 'BAD_REQUEST_ERROR', description: 'Order amount less than minimum amount allowed' } });
+                }
+                return reply(200, {
+                    id: `order_${requests.length}`,
+                    entity: 'order',
+                    amount: data.amount,
+                    currency: data.currency,
+                    receipt: data.receipt,
+                    notes: data.notes,
+                    status: 'created'
+                });
+            }
+
+            const refundMatch = /^\/v1\/payments\/([^/]+)\/refund$/.exec(req.url);
+            if (req.method === 'POST' && refundMatch) {
+                return reply(200, {
+                    id: `rfnd_${requests.length}`,
+                    entity: 'refund',
+                    payment_id: refundMatch[1],
+                    amount: data.amount,
+                    status: 'processed'
+                });
+            }
+
+            return reply(404, { error: { code: 'BAD_REQUEST_ERROR', description: 'The requested URL was not found on the server.' } });
+        });
+    });
+    return { server, requests };
+};
+
+let fake;
+
+before(async () => {
+    fake = createFakeRazorpay();
+    await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    // Point the SDK's HTTP client at the fake instead of api.razorpay.com
+    instance.api.rq.defaults.baseURL = `http://127.0.0.1:${fake.server.address().port}`;
+});
+
+after(() => new Promise(resolve => fake.server.close(resolve)));
+
+beforeEach(() => {
+    fake.requests.length = 0;
+});
+
+test('is configured when the keys are set', () => {
+    assert.equal(razorpay.isConfigured(), true);
+});
+
+test('createPayment creates a Razorpay order in the smallest currency unit', async () => {
+    const payment = await razorpay.createPayment({
+        amount: 499.5,
+        currency: 'INR',
+        receipt: 'receipt_1',
+        notes: { userId: 'user_1' }
+    });
+
+    assert.equal(fake.requests.length, 1);
+    assert.equal(fake.requests[0].url, '/v1/orders');
+    assert.deepEqual(fake.requests[0].body, {
+        amount: 49950,
+        currency: 'INR',
+        receipt: 'receipt_1',
+        notes: { userId: 'user_1' }
+    });
+
+    assert.equal(payment.id, 'order_1');
+    assert.deepEqual(payment.checkout, {
+        key: 'rzp_test_key',
+        orderId: 'order_1',
+        amount: 49950,
+        currency: 'INR'
+    });
+});
+
+test('createPayment keeps currencies without minor units whole', async () => {
+    const payment = await razorpay.createPayment({ amount: 1200, currency: 'JPY', receipt: 'receipt_2' });
+
+    assert.equal(fake.requests[0].body.amount, 1200);
+    assert.equal(payment.checkout.amount, 1200);
+});
+
+test('createPayment fails when Razorpay refuses the order', async () => {
+    await assert.rejects(
+        razorpay.createPayment({ amount: 0.5, currency: 'INR', receipt: 'receipt_3' }),
+        (error) => error.statusCode === 400 && error.error.code === 'BAD_REQUEST_ERROR'
+    );
+});
+
+test('verifyPayment accepts the signature Razorpay Checkout returns', async () => {
+    const result = await razorpay.verifyPayment({
+        razorpay_order_id: 'order_1',
+        razorpay_payment_id: 'pay_1',
+        razorpay_signature: sign('order_1|pay_1', process.env.RAZORPAY_SECRET)
+    });
+
+    assert.deepEqual(result, {
+        valid: true,
+        orderId: 'order_1',
+        paymentId: 'pay_1',
+        signature: sign('order_1|pay_1', process.env.RAZORPAY_SECRET)
+    });
+    // Verifying is done locally, without calling Razorpay
+    assert.equal(fake.requests.length, 0);
+});
+
+test('verifyPayment rejects a signature for another payment', async () => {
+    const result = await razorpay.verifyPayment({
+        razorpay_order_id: 'order_1',
+        razorpay_payment_id: 'pay_2',
+        razorpay_signature: sign('order_1|pay_1', process.env.RAZORPAY_SECRET)
+    });
+
+    assert.equal(result.valid, false);
+});
+
+test('verifyPayment rejects a signature made with another secret', async () => {
+    const result = await razorpay.verifyPayment({
+        razorpay_order_id: 'order_1',
+        razorpay_payment_id: 'pay_1',
+        razorpay_signature: sign('order_1|pay_1', 'wrong_secret')
+    });
+
+    assert.equal(result.valid, false);
+});
+
+test('verifyPayment rejects confirmations with missing fields', async () => {
+    const signature = sign('order_1|', process.env.RAZORPAY_SECRET);
+
+    assert.equal((await razorpay.verifyPayment({ razorpay_order_id: 'order_1', razorpay_signature: signature })).valid, false);
+    assert.equal((await razorpay.verifyPayment({ razorpay_order_id: 'order_1', razorpay_payment_id: 'pay_1' })).valid, false);
+    assert.equal((await razorpay.verifyPayment({})).valid, false);
+});
+
+test('refund refunds the payment in the smallest currency unit', async () => {
+    const result = await razorpay.refund({ paymentId: 'pay_1', amount: 100.25, currency: 'INR', notes: { orderId: 'o1' } });
+
+    assert.equal(fake.requests[0].url, '/v1/payments/pay_1/refund');
+    assert.deepEqual(fake.requests[0].body, { amount: 10025, notes: { orderId: 'o1' } });
+    assert.equal(result.id, 'rfnd_1');
+});
+
+// The webhook confirms a capture when the browser never came back to verify it
+const webhookRequest = (body, secret = process.env.RAZORPAY_WEBHOOK_SECRET) => {
+    const rawBody = JSON.stringify(body);
+    return {
+        rawBody,
+        body,
+        header: (name) => (name === 'X-Razorpay-Signature' ? sign(rawBody, secret) : undefined)
+    };
+};
+
+test('parseWebhook reads a signed payment.captured event', () => {
+    const result = razorpay.parseWebhook(webhookRequest({
+        event: 'payment.captured',
+        payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 49950, currency: 'INR' } } }
+    }));
+
+    assert.deepEqual(result, {
+        valid: true,
+        event: { type: 'payment.captured', orderId: 'order_1', paymentId: 'pay_1' }
+    });
+});
+
+test('parseWebhook rejects events signed with another secret', () => {
+    const result = razorpay.parseWebhook(webhookRequest({
+        event: 'payment.captured',
+        payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1' } } }
+    }, 'wrong_secret'));
+
+    assert.equal(result.valid, false);
+});
+
+test('parseWebhook reads a refund.processed event and the refund request it was made for', () => {
+    const result = razorpay.parseWebhook(webhookRequest({
+        event: 'refund.processed',
+        payload: {
+            refund: {
+                entity: {
+                    id: 'rfnd_1',
+                    payment_id: 'pay_1',
+                    amount: 10025,
+                    currency: 'INR',
+                    notes: { orderId: 'o1', refundRequestId: 'r1' }
+                }
+            }
+        }
+    }));
+
+    assert.deepEqual(result, {
+        valid: true,
+        event: { type: 'refund.processed', paymentId: 'pay_1', refundId: 'rfnd_1', amount: 100.25, refundRequestId: 'r1' }
+    });
+});
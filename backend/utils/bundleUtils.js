@@ -0,0 +1,148 @@
+const Bundle = require('../models/bundle');
+const Order = require('../models/order');
+const User = require('../models/user');
+const Course = require('../models/course');
+const { getCurrentSubscription } = require('./subscriptionUtils');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// When access bought now would end, or null for lifetime bundles
+const getBundleExpiry = (bundle, from = new Date()) =>
+    bundle.validityDays > 0 ? new Date(from.getTime() + bundle.validityDays * DAY_IN_MS) : null;
+
+// Whether the user has an active bundle that contains the course
+const hasBundleAccess = async (userId, courseId) => Boolean(await Bundle.exists({
+    courses: courseId,
+    enrollments: {
+        $elemMatch: {
+            user: userId,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }
+    }
+}));
+
+// Enroll users in courses, skipping anyone already enrolled
+const addCourseEnrollments = async (userIds, courseIds) => {
+    if (userIds.length === 0 || courseIds.length === 0) {
+        return;
+    }
+
+    await User.updateMany(
+        { _id: { $in: userIds } },
+        { $addToSet: { courses: { $each: courseIds } } }
+    );
+    await Course.updateMany(
+        { _id: { $in: courseIds } },
+        { $addToSet: { studentsEnrolled: { $each: userIds } } }
+    );
+};
+
+// Record a bundle purchase and enroll the student in every member course.
+// Buying a bundle again while it is still active extends the access.
+const enrollInBundle = async (userId, bundle, orderId) => {
+    const activeEnrollment = bundle.getActiveEnrollment(userId);
+    const startsAt = activeEnrollment?.expiresAt || new Date();
+
+    if (activeEnrollment) {
+        activeEnrollment.expiresAt = getBundleExpiry(bundle, startsAt);
+        activeEnrollment.order = orderId;
+    } else {
+        bundle.enrollments.push({
+            user: userId,
+            order: orderId,
+            enrolledAt: new Date(),
+            expiresAt: getBundleExpiry(bundle)
+        });
+    }
+    await bundle.save();
+
+    await addCourseEnrollments([userId], bundle.courses);
+};
+
+// Enroll the current students of a bundle in courses that were just added to it
+const enrollBundleStudentsInCourses = async (bundle, courseIds) => {
+    const now = new Date();
+    const userIds = bundle.enrollments
+        .filter(enrollment => !enrollment.expiresAt || enrollment.expiresAt > now)
+        .map(enrollment => enrollment.user);
+
+    await addCourseEnrollments(userIds, courseIds);
+};
+
+// End a student's bundle access. Courses the student also holds through their own
+// order, another active bundle or their membership are kept.
+const revokeBundleEnrollment = async (userId, bundle) => {
+    bundle.enrollments = bundle.enrollments.filter(enrollment => enrollment.user.toString() !== userId.toString());
+    await bundle.save();
+
+    const now = new Date();
+    const otherBundles = await Bundle.find({
+        _id: { $ne: bundle._id },
+        enrollments: {
+            $elemMatch: {
+                user: userId,
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+            }
+        }
+    }).select('courses');
+    const keptThroughBundles = new Set(otherBundles.flatMap(other => other.courses.map(String)));
+
+    const ownedCourses = await Order.find({
+        user: userId,
+        course: { $in: bundle.courses },
+        status: true,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).distinct('course');
+    const keptThroughOrders = new Set(ownedCourses.map(String));
+
+    const subscription = await getCurrentSubscription(userId);
+    const coveredCourses = subscription
+        ? (await Course.find({ _id: { $in: bundle.courses } }).select('category'))
+            .filter(course => subscription.plan.coversCourse(course))
+            .map(course => course._id)
+        : [];
+    const keptThroughSubscription = new Set(coveredCourses.map(String));
+
+    const courseIds = bundle.courses.filter(courseId =>
+        !keptThroughBundles.has(courseId.toString()) &&
+        !keptThroughOrders.has(courseId.toString()) &&
+        !keptThroughSubscription.has(courseId.toString())
+    );
+
+    if (courseIds.length > 0) {
+        await User.findByIdAndUpdate(userId, { $pull: { courses: { $in: courseIds } } });
+        await Course.updateMany(
+            { _id: { $in: courseIds } },
+            { $pull: { studentsEnrolled: userId } }
+        );
+    }
+};
+
+// Remove access for every bundle enrollment whose validity has ended
+const expireBundleEnrollments = async () => {
+    const now = new Date();
+    const bundles = await Bundle.find({ 'enrollments.expiresAt': { $ne: null, $lte: now } });
+    let expired = 0;
+
+    for (const bundle of bundles) {
+        const expiredUsers = bundle.enrollments
+            .filter(enrollment => enrollment.expiresAt && enrollment.expiresAt <= now)
+            .map(enrollment => enrollment.user);
+
+        for (const userId of expiredUsers) {
+            await revokeBundleEnrollment(userId, bundle);
+            expired += 1;
+        }
+    }
+
+    return expired;
+};
+
+module.exports = {
+    getBundleExpiry,
+    hasBundleAccess,
+    enrollInBundle,
+    enrollBundleStudentsInCourses,
+    revokeBundleEnrollment,
+    expireBundleEnrollments
+};
@@ -0,0 +1,149 @@
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const SubSection = require('../models/subSection');
+const { getKeyFromUrl } = require('../config/awsS3');
+const { getTranscriptionProvider } = require('../services/transcription');
+const { downloadObject, probeVideo } = require('./hlsTranscoder');
+const { cuesToWebVtt, getLanguageLabel, uploadCaptionFile } = require('./captions');
+const { deleteFileFromS3 } = require('./s3Uploader');
+const { refreshTranscript } = require('./transcripts');
+
+// Lecture ids waiting for captions; one video is transcribed at a time
+const queue = [];
+let running = false;
+
+// Transcribe one lecture's video into a caption track, replacing the track
+// generated before for the language. Nothing is saved if the lecture got a
+// different video in the meantime.
+const generateCaptions = async (subSectionId) => {
+    const subSection = await SubSection.findById(subSectionId);
+    if (!subSection || subSection.captionJob?.status !== 'queued') {
+        return;
+    }
+    const { language } = subSection.captionJob;
+    const videoUrl = subSection.videoUrl;
+    const current = { _id: subSection._id, videoUrl, 'captionJob.language': language };
+
+    await SubSection.updateOne(current, { 'captionJob.status': 'processing', 'captionJob.startedAt': new Date() });
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'captions-'));
+    try {
+        const provider = getTranscriptionProvider();
+        if (!provider) {
+            throw new Error('No speech to text provider is configured');
+        }
+        const sourceKey = getKeyFromUrl(videoUrl);
+        if (!sourceKey) {
+            throw new Error('Only videos uploaded to this site can be captioned automatically');
+        }
+
+        const filePath = path.join(workDir, `source${path.extname(sourceKey)}`);
+        await downloadObject(sourceKey, filePath);
+        const duration = subSection.timeDuration || (await probeVideo(filePath)).duration;
+        const cues = await provider.transcribe({ filePath, language, duration });
+        if (!cues.length) {
+            throw new Error('No speech was found in the video');
+        }
+
+        const url = await uploadCaptionFile(cuesToWebVtt(cues), `${subSection._id}_${language}_auto`);
+
+        const latest = await SubSection.findOne(current);
+        if (!latest) {
+            await deleteFileFromS3(url);
+            return;
+        }
+        const previous = latest.captions.find(track => track.language === language && track.source === 'auto');
+        if (previous) {
+            await deleteFileFromS3(previous.url);
+            previous.url = url;
+            previous.updatedAt = new Date();
+        } else {
+            latest.captions.push({
+                language,
+                label: `${getLanguageLabel(language)} (auto-generated)`,
+                url,
+                isDefault: latest.captions.length === 0,
+                source: 'auto'
+            });
+        }
+        latest.captionJob.status = 'ready';
+        latest.captionJob.error = undefined;
+        latest.captionJob.completedAt = new Date();
+        await latest.save();
+        await refreshTranscript(latest._id);
+        console.log(`✅ Captions generated for lecture ${subSection._id} (${language}, ${cues.length} captions)`);
+    } catch (error) {
+        console.error(`❌ Caption generation failed for lecture ${subSection._id}:`, error);
+        await SubSection.updateOne(current, {
+            'captionJob.status': 'failed',
+            'captionJob.error': error.message,
+            'captionJob.completedAt': new Date()
+        });
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+const runQueue = async () => {
+    if (running) {
+        return;
+    }
+    running = true;
+    while (queue.length) {
+        const subSectionId = queue.shift();
+        try {
+            await generateCaptions(subSectionId);
+        } catch (error) {
+            console.error(`Error running caption generation for lecture ${subSectionId}:`, error);
+        }
+    }
+    running = false;
+};
+
+const enqueue = (subSectionId) => {
+    const id = subSectionId.toString();
+    if (!queue.includes(id)) {
+        queue.push(id);
+    }
+    runQueue();
+};
+
+// Queue captions in the given language to be generated from a lecture's video
+const queueCaptionGeneration = async (subSection, language) => {
+    subSection.captionJob = {
+        status: 'queued',
+        language,
+        provider: getTranscriptionProvider()?.name
+    };
+    await subSection.save();
+    enqueue(subSection._id);
+    return subSection;
+};
+
+// Whether new lecture videos get captions generated without the instructor asking
+const isAutoCaptioningEnabled = () => process.env.AUTO_CAPTIONS === 'true';
+
+// Language auto-captions are generated in
+const getAutoCaptionLanguage = () => process.env.AUTO_CAPTIONS_LANGUAGE || 'en';
+
+// Queue again the lectures whose caption generation a restart cut short
+const resumeCaptionJobs = async () => {
+    const pending = await SubSection.find({ 'captionJob.status': { $in: ['queued', 'processing'] } }).select('_id');
+    if (!pending.length) {
+        return;
+    }
+    await SubSection.updateMany(
+        { _id: { $in: pending.map(subSection => subSection._id) } },
+        { 'captionJob.status': 'queued' }
+    );
+    pending.forEach(subSection => enqueue(subSection._id));
+    console.log(`Resumed caption generation of ${pending.length} lecture videos`);
+};
+
+module.exports = {
+    queueCaptionGeneration,
+    isAutoCaptioningEnabled,
+    getAutoCaptionLanguage,
+    resumeCaptionJobs
+};
@@ -0,0 +1,144 @@
+// Caption files. Tracks are stored as WebVTT, the format browsers play;
+// SRT files are converted on upload.
+const { s3Client, BUCKET_NAME, GetObjectCommand, getKeyFromUrl } = require('../config/awsS3');
+const { S3_FOLDERS } = require('../config/s3Storage');
+const { uploadFileToS3 } = require('./s3Uploader');
+
+const MAX_CAPTION_FILE_MB = 2;
+const MAX_CAPTION_LABEL_LENGTH = 50;
+// BCP 47 tags such as en, pt-BR or zh-Hant
+const LANGUAGE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8}){0,2}$/;
+
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{3})$/;
+const CUE_TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})(.*)$/;
+
+const parseTimestamp = (value) => {
+    const [, hours = 0, minutes, seconds, millis] = TIMESTAMP_PATTERN.exec(value);
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+};
+
+const formatTimestamp = (seconds) => {
+    const totalMillis = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor(totalMillis / 60000) % 60;
+    const secs = Math.floor(totalMillis / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(totalMillis % 1000, 3)}`;
+};
+
+const normalizeLineEndings = (content) => String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+const isWebVtt = (content) => /^WEBVTT(?:[ \t].*)?$/m.test(normalizeLineEndings(content).split('\n')[0]);
+
+// Cues of a WebVTT or SRT file as { start, end, text, settings }, times in seconds.
+// Header, NOTE, STYLE and REGION blocks have no timing line and are skipped.
+const parseCues = (content) => {
+    const vtt = isWebVtt(content);
+    const cues = [];
+    for (const block of normalizeLineEndings(content).split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        // The timing line comes first, or after a cue identifier (SRT's cue number)
+        const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+        if (timingIndex === -1 || timingIndex > 1) {
+            continue;
+        }
+        const [, start, end, settings] = CUE_TIMING_PATTERN.exec(lines[timingIndex]);
+        cues.push({
+            start: parseTimestamp(start),
+            end: parseTimestamp(end),
+            // SRT styles text with <font> tags, which WebVTT doesn't have
+            text: lines.slice(timingIndex + 1).join('\n').replace(/<\/?font[^>]*>/gi, '').trim(),
+            settings: vtt ? settings.trim() : ''
+        });
+    }
+    return cues;
+};
+
+// A WebVTT file of cues
+const cuesToWebVtt = (cues) => [
+    'WEBVTT',
+    ...cues.map((cue, index) => [
+        String(index + 1),
+        `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+        cue.text
+    ].join('\n'))
+].join('\n\n') + '\n';
+
+// Check the cues of a caption file, resolving to an error message or null
+const getCuesError = (cues) => {
+    if (!cues.length) {
+        return 'No captions were found in the file. Upload a WebVTT (.vtt) or SubRip (.srt) file.';
+    }
+    const invalid = cues.findIndex(cue => !(cue.end > cue.start));
+    if (invalid !== -1) {
+        return `Caption ${invalid + 1} must end after it starts`;
+    }
+    return null;
+};
+
+// A WebVTT or SRT file as WebVTT, or an error message when it has no valid
+// captions. WebVTT files are kept as written, so their styling survives.
+const toWebVtt = (content) => {
+    const cues = parseCues(content);
+    const error = getCuesError(cues);
+    if (error) {
+        return { error };
+    }
+    return {
+        vtt: isWebVtt(content) ? normalizeLineEndings(content).trimEnd() + '\n' : cuesToWebVtt(cues),
+        cues
+    };
+};
+
+// Check the language and label of a track, resolving to an error message or null
+const getTrackError = ({ language, label }) => {
+    if (!LANGUAGE_PATTERN.test(String(language ?? ''))) {
+        return 'Choose the language of the captions, as a code such as en or pt-BR';
+    }
+    if (label !== undefined && (!String(label).trim() || String(label).trim().length > MAX_CAPTION_LABEL_LENGTH)) {
+        return `Track names must have 1 to ${MAX_CAPTION_LABEL_LENGTH} characters`;
+    }
+    return null;
+};
+
+// The name of a language in English, e.g. "Brazilian Portuguese" for pt-BR
+const getLanguageLabel = (language) => {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+        return language;
+    }
+};
+
+// Store a WebVTT file in the bucket, resolving to its URL
+const uploadCaptionFile = async (vtt, name) => {
+    const buffer = Buffer.from(vtt, 'utf8');
+    const uploaded = await uploadFileToS3({
+        buffer,
+        originalname: `${name}.vtt`,
+        mimetype: 'text/vtt',
+        size: buffer.length
+    }, S3_FOLDERS.CAPTIONS, { processImage: false });
+    return uploaded.secure_url;
+};
+
+// The text of a stored caption file
+const readCaptionFile = async (url) => {
+    const key = getKeyFromUrl(url);
+    if (!key) {
+        throw new Error('Caption file is not stored in the bucket');
+    }
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    return response.Body.transformToString('utf8');
+};
+
+module.exports = {
+    MAX_CAPTION_FILE_MB,
+    parseCues,
+    cuesToWebVtt,
+    toWebVtt,
+    getTrackError,
+    getLanguageLabel,
+    uploadCaptionFile,
+    readCaptionFile
+};
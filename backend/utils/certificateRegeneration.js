@@ -26,6 +26,14 @@ const calculateProgressPercentage = (courseProgress, course) => {
                     completedItems += 1;
                 }
             }
+
+            // Count coding exercise if exists
+            if (subsection.codeExercise) {
+                totalItems += 1;
+                if (courseProgress.completedExercises.includes(subsection._id)) {
+                    completedItems += 1;
+                }
+            }
         });
     });
 
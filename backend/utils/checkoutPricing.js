@@ -0,0 +1,159 @@
+const { evaluateCoupon } = require('./couponUtils');
+const { BASE_CURRENCY, getCurrency, convertFromBase, toMinorUnits, fromMinorUnits } = require('./currencyUtils');
+
+// Price the student actually pays for a course, before any coupon, in the base currency
+const getCoursePrice = (course) => (course.courseType === 'Free' ? 0 : (course.price || 0));
+
+// Split a discount across lines in proportion to their amount. Works in the
+// currency's minor unit (paise for INR) and hands out the rounding remainder so
+// the parts always add up to the total.
+const allocateDiscount = (amounts, discountAmount, currencyCode = BASE_CURRENCY) => {
+    const toMinor = (amount) => toMinorUnits(amount, currencyCode);
+    const fromMinor = (minor) => fromMinorUnits(minor, currencyCode);
+    const amountsInMinor = amounts.map(toMinor);
+    const totalInMinor = amountsInMinor.reduce((sum, amount) => sum + amount, 0);
+    const discountInMinor = Math.min(toMinor(discountAmount), totalInMinor);
+
+    if (totalInMinor === 0) {
+        return amounts.map(() => 0);
+    }
+
+    const shares = amountsInMinor.map(amount => (amount * discountInMinor) / totalInMinor);
+    const allocated = shares.map(Math.floor);
+    let remainder = discountInMinor - allocated.reduce((sum, share) => sum + share, 0);
+
+    shares
+        .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ index }) => {
+            if (remainder > 0 && allocated[index] < amountsInMinor[index]) {
+                allocated[index] += 1;
+                remainder -= 1;
+            }
+        });
+
+    return allocated.map(fromMinor);
+};
+
+// Apply coupons to priced lines, in the given order, each on what is left after
+// the previous ones. Every coupon is re-validated with the same rules as the
+// coupon endpoints. Resolves to { lines, coupons, totalAmount, discountAmount,
+// finalAmount, currency, exchangeRate } or { error: { status, message } }.
+const applyCoupons = async ({ userId, lines, couponCodes = [], checkoutType, currency }) => {
+    const toMinor = (amount) => toMinorUnits(amount, currency.code);
+    const fromMinor = (minor) => fromMinorUnits(minor, currency.code);
+    const codes = [...new Set(couponCodes.filter(Boolean).map(code => code.toUpperCase()))];
+    const coupons = [];
+
+    for (const code of codes) {
+        const result = await evaluateCoupon({
+            code,
+            userId,
+            items: lines,
+            checkoutType,
+            currency: currency.code,
+            trackAnalytics: false
+        });
+
+        if (result.error) {
+            return result;
+        }
+
+        const { coupon, discountAmount, eligibleItems } = result;
+
+        if (codes.length > 1 && !coupon.isCombinable) {
+            return {
+                error: {
+                    status: 400,
+                    message: `Coupon ${coupon.code} cannot be combined with other coupons`
+                }
+            };
+        }
+
+        const shares = allocateDiscount(eligibleItems.map(line => line.amount), discountAmount, currency.code);
+        eligibleItems.forEach((line, index) => {
+            if (shares[index] <= 0) {
+                return;
+            }
+            line.amount = fromMinor(toMinor(line.amount) - toMinor(shares[index]));
+            line.discountAmount = fromMinor(toMinor(line.discountAmount) + toMinor(shares[index]));
+            line.discounts.push({
+                code: coupon.code,
+                discountType: coupon.discountType,
+                discountValue: coupon.discountValue,
+                discountAmount: shares[index]
+            });
+        });
+
+        coupons.push(coupon);
+    }
+
+    const sum = (field) => fromMinor(lines.reduce((total, line) => total + toMinor(line[field]), 0));
+
+    return {
+        lines,
+        coupons,
+        totalAmount: sum('originalPrice'),
+        discountAmount: sum('discountAmount'),
+        finalAmount: sum('amount'),
+        currency: currency.code,
+        exchangeRate: currency.exchangeRate
+    };
+};
+
+// The checkout currency, falling back to the base currency when none is given.
+// Resolves to null for a code that isn't an active currency.
+const getCheckoutCurrency = async (currencyCode) => (currencyCode ? getCurrency(currencyCode) : getCurrency(BASE_CURRENCY));
+
+const unsupportedCurrency = (currencyCode) => ({
+    error: { status: 400, message: `Payments in ${currencyCode} are not supported` }
+});
+
+const buildLine = (item, price) => ({
+    ...item,
+    originalPrice: price,
+    amount: price,
+    discountAmount: 0,
+    discounts: []
+});
+
+// Price a course checkout entirely on the server: every line starts from
+// Course.price converted into the checkout currency
+const priceCheckout = async ({ userId, courses, couponCodes = [], checkoutType = 'course', currency: currencyCode }) => {
+    const currency = await getCheckoutCurrency(currencyCode);
+    if (!currency) {
+        return unsupportedCurrency(currencyCode);
+    }
+
+    return applyCoupons({
+        userId,
+        lines: courses.map(course => buildLine({ course }, convertFromBase(getCoursePrice(course), currency))),
+        couponCodes,
+        checkoutType,
+        currency
+    });
+};
+
+// Price a bundle purchase: a single line at Bundle.price, open to bundle coupons
+const priceBundle = async ({ userId, bundle, couponCodes = [], currency: currencyCode }) => {
+    const currency = await getCheckoutCurrency(currencyCode);
+    if (!currency) {
+        return unsupportedCurrency(currencyCode);
+    }
+
+    return applyCoupons({
+        userId,
+        lines: [buildLine({ bundle }, convertFromBase(bundle.price, currency))],
+        couponCodes,
+        checkoutType: 'bundle',
+        currency
+    });
+};
+
+module.exports = {
+    getCoursePrice,
+    allocateDiscount,
+    getCheckoutCurrency,
+    priceCheckout,
+    priceBundle
+};
@@ -0,0 +1,270 @@
+const vm = require('vm');
+const { executeCode } = require('../services/codeExecution');
+
+// How a test case's output is compared with its expected output
+const COMPARATORS = ['exact', 'ignoreWhitespace', 'floatTolerance', 'unorderedLines', 'regex', 'custom'];
+
+const CHECKER_LANGUAGES = ['python', 'javascript'];
+
+const DEFAULT_FLOAT_TOLERANCE = 1e-6;
+
+// An instructor's pattern can backtrack for ages on the wrong output, which
+// would hold up the server; the match is given up after this long
+const REGEX_TIMEOUT_MS = 100;
+
+const normalizeOutput = (output) => String(output ?? '').replace(/\r\n/g, '\n').trim();
+
+const toTokens = (output) => normalizeOutput(output).split(/\s+/).filter(Boolean);
+
+// Numbers match when they are within the tolerance absolutely or relative to the expected value
+const tokensMatch = (actual, expected, tolerance) => {
+    const actualNumber = Number(actual);
+    const expectedNumber = Number(expected);
+    if (actual === expected) {
+        return true;
+    }
+    if (!Number.isFinite(actualNumber) || !Number.isFinite(expectedNumber)) {
+        return false;
+    }
+    const difference = Math.abs(actualNumber - expectedNumber);
+    return difference <= tolerance || difference <= tolerance * Math.abs(expectedNumber);
+};
+
+const toSortedLines = (output) => normalizeOutput(output)
+    .split('\n')
+    .map(line => line.trimEnd())
+    .sort();
+
+// Regex comparators must match the whole output
+const buildOutputPattern = (expectedOutput) => new RegExp(`^(?:${normalizeOutput(expectedOutput)})$`);
+
+// Output that takes too long to match fails
+const matchesOutputPattern = (pattern, output) => {
+    try {
+        return vm.runInNewContext('pattern.test(output)', { pattern, output }, { timeout: REGEX_TIMEOUT_MS });
+    } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Compare output with every comparator except the custom checker
+const compareOutput = (actualOutput, expectedOutput, { comparator = 'exact', floatTolerance } = {}) => {
+    switch (comparator) {
+        case 'ignoreWhitespace':
+            return toTokens(actualOutput).join(' ') === toTokens(expectedOutput).join(' ');
+        case 'floatTolerance': {
+            const actualTokens = toTokens(actualOutput);
+            const expectedTokens = toTokens(expectedOutput);
+            const tolerance = floatTolerance ?? DEFAULT_FLOAT_TOLERANCE;
+            return actualTokens.length === expectedTokens.length &&
+                actualTokens.every((token, index) => tokensMatch(token, expectedTokens[index], tolerance));
+        }
+        case 'unorderedLines': {
+            const actualLines = toSortedLines(actualOutput);
+            const expectedLines = toSortedLines(expectedOutput);
+            return actualLines.length === expectedLines.length &&
+                actualLines.every((line, index) => line === expectedLines[index]);
+        }
+        case 'regex':
+            return matchesOutputPattern(buildOutputPattern(expectedOutput), normalizeOutput(actualOutput));
+        default:
+            return normalizeOutput(actualOutput) === normalizeOutput(expectedOutput);
+    }
+};
+
+// The checker script reads {"input", "expectedOutput", "actualOutput"} as JSON on
+// stdin and prints a score from 0 to 1 as the last line of its output
+const runChecker = async (question, { input, expectedOutput, actualOutput }, userId) => {
+    const result = await executeCode(
+        question.checkerScript,
+        question.checkerLanguage || 'python',
+        JSON.stringify({ input, expectedOutput, actualOutput }),
+        { userId }
+    );
+
+    if (!result.success || result.data.status?.id !== 3) {
+        return { score: 0, error: 'Checker failed to run' };
+    }
+
+    const lines = normalizeOutput(result.data.stdout).split('\n');
+    const score = Number(lines[lines.length - 1]);
+    if (!Number.isFinite(score) || score < 0 || score > 1) {
+        return { score: 0, error: 'Checker printed an invalid score' };
+    }
+    return { score, error: null };
+};
+
+// runOptions are the userId and extra files passed on to executeCode
+const gradeTestCase = async (question, testCase, code, language, runOptions) => {
+    const base = {
+        testCase: testCase._id,
+        hidden: Boolean(testCase.isHidden),
+        weight: testCase.weight ?? 1,
+        input: testCase.input,
+        expectedOutput: normalizeOutput(testCase.expectedOutput)
+    };
+
+    const result = await executeCode(code, language, testCase.input, runOptions);
+    if (!result.success) {
+        return { ...base, score: 0, passed: false, actualOutput: '', status: null, time: null, memory: null, error: result.error };
+    }
+
+    const { data } = result;
+    const actualOutput = normalizeOutput(data.stdout);
+    const run = {
+        actualOutput,
+        status: data.status?.description || null,
+        time: data.time,
+        memory: data.memory,
+        error: data.compile_output || data.stderr || null
+    };
+
+    // Programs that crash, time out or fail to compile earn nothing
+    if (data.status?.id !== 3) {
+        return { ...base, ...run, score: 0, passed: false };
+    }
+
+    let score;
+    if (question.comparator === 'custom') {
+        const checked = await runChecker(question, { input: testCase.input, expectedOutput: base.expectedOutput, actualOutput }, runOptions.userId);
+        score = checked.score;
+        run.error = run.error || checked.error;
+    } else {
+        score = compareOutput(actualOutput, testCase.expectedOutput, question) ? 1 : 0;
+    }
+
+    return { ...base, ...run, score, passed: score === 1 };
+};
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+// Run a codeSolve answer against every test case. Each case earns its weight
+// times its score; questions with partial credit award that share of their
+// marks, the rest only award full marks when every case passes.
+const gradeCodeQuestion = async (question, answer, userId) => {
+    const language = question.programmingLanguage === 'open' ? answer.language : question.programmingLanguage;
+    const testResults = await Promise.all(question.testCases.map(testCase =>
+        gradeTestCase(question, testCase, answer.code, language, { userId })
+    ));
+
+    const allPassed = testResults.every(result => result.passed);
+    const totalWeight = testResults.reduce((sum, result) => sum + result.weight, 0);
+    const earnedWeight = testResults.reduce((sum, result) => sum + result.weight * result.score, 0);
+    // Cases without any weight count equally
+    const fraction = totalWeight > 0
+        ? earnedWeight / totalWeight
+        : testResults.reduce((sum, result) => sum + result.score, 0) / (testResults.length || 1);
+
+    const score = question.partialCredit
+        ? roundMarks(question.marks * fraction)
+        : (allPassed ? question.marks : 0);
+
+    return { score, isCorrect: allPassed, testResults };
+};
+
+// Run the files of a coding exercise against some of its test cases. The first
+// file is the program; the others are put beside it.
+const runExerciseTests = (exercise, files, testCases, userId) => {
+    const [main, ...others] = files;
+    return Promise.all(testCases.map(testCase =>
+        gradeTestCase(exercise, testCase, main.content, exercise.language, { userId, files: others })
+    ));
+};
+
+// Results the student may see: hidden cases only say whether they passed
+const toStudentTestResults = (testResults) => testResults.map(result => {
+    const { testCase, hidden, weight, score, passed, status, time, memory } = result;
+    if (hidden) {
+        return { testCase, hidden, weight, score, passed, status, time, memory };
+    }
+    const { input, expectedOutput, actualOutput, error } = result;
+    return { testCase, hidden, weight, score, passed, status, time, memory, input, expectedOutput, actualOutput, error };
+});
+
+// What is stored with the quiz result, without program output
+const toStoredTestResults = (testResults) => testResults.map(({ testCase, hidden, weight, score, passed, status, time, memory }) => ({
+    testCase, hidden, weight, score, passed, status, time, memory
+}));
+
+// Remove what students must not see of a quiz: the correct options and
+// keywords of every question, where its shuffled options came from, the
+// accepted answers of cloze and numeric questions, and the hidden test
+// cases, checkers and solutions of coding questions
+const hideQuizAnswers = (quiz) => {
+    const data = quiz.toObject ? quiz.toObject() : { ...quiz };
+    data.questions = (data.questions || []).map(({ correctAnswer, correctAnswers, keywords, optionOrder, ...question }) => {
+        if (question.questionType === 'cloze') {
+            return { ...question, blanks: (question.blanks || []).map(() => ({ answers: [] })) };
+        }
+        if (question.questionType === 'numeric') {
+            const { numericAnswer, tolerance, toleranceType, ...rest } = question;
+            return { ...rest, units: (question.units || []).map(unit => ({ name: unit.name })) };
+        }
+        if (question.questionType !== 'codeSolve') {
+            return question;
+        }
+        const { solutionCode, checkerScript, ...rest } = question;
+        return {
+            ...rest,
+            testCases: (question.testCases || []).map(testCase => (testCase.isHidden
+                ? { _id: testCase._id, isHidden: true, weight: testCase.weight }
+                : testCase))
+        };
+    });
+    return data;
+};
+
+// Remove the data of a coding exercise's hidden test cases, which students must not see
+const hideExerciseTests = (exercise) => {
+    const data = exercise.toObject ? exercise.toObject() : { ...exercise };
+    data.testCases = (data.testCases || []).map(testCase => (testCase.isHidden
+        ? { _id: testCase._id, isHidden: true, weight: testCase.weight }
+        : testCase));
+    return data;
+};
+
+// Check the grading settings of a codeSolve question, resolving to an error message or null
+const getCodeGradingError = (question) => {
+    const comparator = question.comparator || 'exact';
+    if (!COMPARATORS.includes(comparator)) {
+        return 'Unknown output comparator';
+    }
+    if (question.testCases.some(testCase => testCase.weight !== undefined && !(Number(testCase.weight) >= 0))) {
+        return 'Test case weights must be zero or more';
+    }
+    if (comparator === 'floatTolerance' && question.floatTolerance !== undefined && !(Number(question.floatTolerance) >= 0)) {
+        return 'Float tolerance must be zero or more';
+    }
+    if (comparator === 'regex') {
+        try {
+            question.testCases.forEach(testCase => buildOutputPattern(testCase.expectedOutput));
+        } catch (error) {
+            return `Invalid expected output pattern: ${error.message}`;
+        }
+    }
+    if (comparator === 'custom') {
+        if (!question.checkerScript || !question.checkerScript.trim()) {
+            return 'A checker script is required for the custom comparator';
+        }
+        if (question.checkerLanguage && !CHECKER_LANGUAGES.includes(question.checkerLanguage)) {
+            return 'Checker scripts must be written in Python or JavaScript';
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    COMPARATORS,
+    CHECKER_LANGUAGES,
+    compareOutput,
+    gradeCodeQuestion,
+    runExerciseTests,
+    toStudentTestResults,
+    toStoredTestResults,
+    hideQuizAnswers,
+    hideExerciseTests,
+    getCodeGradingError
+};
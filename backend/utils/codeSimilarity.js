@@ -0,0 +1,80 @@
+// Similarity of students' code answers, to point instructors at submissions
+// worth comparing by hand. Code is compared as tokens with comments dropped
+// and names replaced, so renaming variables or reformatting doesn't hide a copy.
+
+// Runs of this many tokens are compared between two answers
+const GRAM_SIZE = 5;
+// Answers shorter than this are too small to tell copies from common solutions
+const MIN_TOKENS = 20;
+// Answers at least this similar are reported, unless the caller asks otherwise
+const DEFAULT_THRESHOLD = 0.8;
+
+// Words kept as they are; other names become a placeholder
+const KEYWORDS = new Set([
+    'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return',
+    'function', 'def', 'class', 'struct', 'new', 'try', 'catch', 'except', 'finally', 'throw',
+    'raise', 'import', 'from', 'include', 'using', 'namespace', 'const', 'let', 'var', 'int',
+    'long', 'float', 'double', 'char', 'bool', 'boolean', 'void', 'string', 'String', 'in',
+    'of', 'and', 'or', 'not', 'elif', 'lambda', 'yield', 'async', 'await', 'public', 'private',
+    'static', 'fn', 'func', 'mut', 'match', 'true', 'false', 'True', 'False', 'null',
+    'None', 'nil', 'print', 'println', 'printf', 'cout', 'cin', 'input', 'range', 'len'
+]);
+
+const COMMENT_PATTERN = /\/\*[\s\S]*?\*\/|\/\/[^\n]*|^\s*#(?!include)[^\n]*/gm;
+const TOKEN_PATTERN = /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|[A-Za-z_]\w*|\d+(?:\.\d+)?|\S/g;
+
+const toTokens = (code) => (String(code || '').replace(COMMENT_PATTERN, '').match(TOKEN_PATTERN) || [])
+    .map(token => (/^[A-Za-z_]/.test(token) && !KEYWORDS.has(token) ? 'N' : token));
+
+// The distinct runs of GRAM_SIZE tokens in some code, or null when it is too short to compare
+const toFingerprint = (code) => {
+    const tokens = toTokens(code);
+    if (tokens.length < MIN_TOKENS) {
+        return null;
+    }
+    const grams = new Set();
+    for (let i = 0; i + GRAM_SIZE <= tokens.length; i++) {
+        grams.add(tokens.slice(i, i + GRAM_SIZE).join(' '));
+    }
+    return grams;
+};
+
+// Share of runs two fingerprints have in common, from 0 to 1
+const compareFingerprints = (a, b) => {
+    let shared = 0;
+    a.forEach(gram => {
+        if (b.has(gram)) {
+            shared++;
+        }
+    });
+    return shared / (a.size + b.size - shared);
+};
+
+// Pairs of answers by different students at least threshold similar, most
+// similar first. answers are { key, user, code }; pairs name them by key.
+const findSimilarAnswers = (answers, threshold = DEFAULT_THRESHOLD) => {
+    const fingerprinted = answers
+        .map(answer => ({ ...answer, fingerprint: toFingerprint(answer.code) }))
+        .filter(answer => answer.fingerprint);
+
+    const pairs = [];
+    for (let i = 0; i < fingerprinted.length; i++) {
+        for (let j = i + 1; j < fingerprinted.length; j++) {
+            const a = fingerprinted[i];
+            const b = fingerprinted[j];
+            if (String(a.user) === String(b.user)) {
+                continue;
+            }
+            const similarity = compareFingerprints(a.fingerprint, b.fingerprint);
+            if (similarity >= threshold) {
+                pairs.push({ a: a.key, b: b.key, similarity: Math.round(similarity * 100) / 100 });
+            }
+        }
+    }
+    return pairs.sort((x, y) => y.similarity - x.similarity);
+};
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    findSimilarAnswers
+};
@@ -0,0 +1,178 @@
+const Coupon = require('../models/coupon');
+const { BASE_CURRENCY, convertAmount, roundAmount } = require('./currencyUtils');
+
+const couponError = (status, message) => ({ error: { status, message } });
+
+// A coupon without courses or categories applies to every course
+const isCourseEligible = (coupon, course) => {
+    const courseIds = (coupon.courses || []).map(id => id.toString());
+    const categoryIds = (coupon.categories || []).map(id => id.toString());
+
+    if (courseIds.length === 0 && categoryIds.length === 0) {
+        return true;
+    }
+
+    const categoryId = course.category?._id || course.category;
+    return courseIds.includes(course._id.toString()) ||
+        (!!categoryId && categoryIds.includes(categoryId.toString()));
+};
+
+// Bundle items are matched against the coupon's bundles, course items against
+// its courses and categories
+const isItemEligible = (coupon, item) => {
+    if (item.bundle) {
+        const bundleIds = (coupon.bundles || []).map(id => id.toString());
+        return bundleIds.length === 0 || bundleIds.includes(item.bundle._id.toString());
+    }
+
+    return isCourseEligible(coupon, item.course);
+};
+
+// Validate a coupon code for a user and order amount and work out the discount.
+// Pass `items` ([{ course, amount }] or [{ bundle, amount }]) to apply the coupon's scope;
+// the discount is then taken from the eligible items only.
+// Amounts are in `currency`; the coupon's own amounts are converted into it.
+// Resolves to { coupon, discountAmount, eligibleItems } on success or
+// { error: { status, message } } so that both the coupon endpoints and checkout
+// share the same rules.
+const evaluateCoupon = async ({ code, userId, totalAmount, items, checkoutType = 'course', currency = BASE_CURRENCY, trackAnalytics = true }) => {
+    const normalizedCode = (code || '').toUpperCase();
+
+    if (items) {
+        totalAmount = items.reduce((sum, item) => sum + item.amount, 0);
+    }
+
+    const coupon = await Coupon.findOne({
+        code: normalizedCode,
+        linkedTo: checkoutType // Only find coupons linked to this checkout type
+    });
+
+    const recordFailure = async () => {
+        if (trackAnalytics && coupon) {
+            await Coupon.findByIdAndUpdate(coupon._id, {
+                $inc: { 'analytics.failedAttempts': 1 }
+            });
+        }
+    };
+
+    if (!coupon) {
+        if (trackAnalytics) {
+            // Update failed attempts analytics for any coupon with this code
+            await Coupon.updateOne(
+                { code: normalizedCode },
+                { $inc: { 'analytics.failedAttempts': 1 } }
+            );
+        }
+        return couponError(404, 'Invalid coupon code or not applicable for this checkout type');
+    }
+
+    // Update analytics - increment validation attempts
+    if (trackAnalytics) {
+        await Coupon.findByIdAndUpdate(coupon._id, {
+            $inc: { 'analytics.timesValidated': 1 }
+        });
+    }
+
+    // Check if coupon is active
+    if (!coupon.isActive) {
+        await recordFailure();
+        return couponError(400, 'Coupon is not active');
+    }
+
+    // Check expiry - use more precise date comparison
+    const now = new Date();
+    if (now < new Date(coupon.startDate)) {
+        await recordFailure();
+        return couponError(400, 'Coupon is not yet active');
+    }
+
+    if (now > new Date(coupon.expiryDate)) {
+        await recordFailure();
+        return couponError(400, 'Coupon has expired');
+    }
+
+    // Check usage limit
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+        await recordFailure();
+        return couponError(400, 'Coupon usage limit exceeded');
+    }
+
+    // Check per-user limit
+    const userUsage = coupon.userUsage.find(u => u.user.toString() === userId.toString());
+    if (coupon.perUserLimit > 0 && userUsage && userUsage.usedCount >= coupon.perUserLimit) {
+        await recordFailure();
+        return couponError(400, 'You have exceeded the usage limit for this coupon');
+    }
+
+    // Fixed amounts of the coupon in the checkout currency
+    const couponCurrency = coupon.currency || BASE_CURRENCY;
+    const [minimumOrderAmount, maxDiscountAmount, flatDiscount] = await Promise.all([
+        convertAmount(coupon.minimumOrderAmount || 0, couponCurrency, currency),
+        convertAmount(coupon.maxDiscountAmount || 0, couponCurrency, currency),
+        convertAmount(coupon.discountValue, couponCurrency, currency)
+    ]);
+    if (minimumOrderAmount === null) {
+        await recordFailure();
+        return couponError(400, `Coupon cannot be used for payments in ${currency}`);
+    }
+
+    // Check minimum order amount
+    if (minimumOrderAmount > 0 && totalAmount < minimumOrderAmount) {
+        await recordFailure();
+        const symbol = currency === BASE_CURRENCY ? '₹' : `${currency} `;
+        return couponError(400, `Minimum order amount of ${symbol}${minimumOrderAmount} required`);
+    }
+
+    // Restrict the discount to the courses or bundles the coupon is scoped to
+    let eligibleItems = items;
+    let eligibleAmount = totalAmount;
+    if (items) {
+        eligibleItems = items.filter(item => isItemEligible(coupon, item));
+        if (eligibleItems.length === 0) {
+            await recordFailure();
+            return couponError(400, `Coupon is not applicable to the selected ${checkoutType === 'bundle' ? 'bundle' : 'courses'}`);
+        }
+        eligibleAmount = eligibleItems.reduce((sum, item) => sum + item.amount, 0);
+    }
+
+    // Calculate discount
+    let discountAmount = 0;
+    if (coupon.discountType === 'percentage') {
+        discountAmount = (eligibleAmount * coupon.discountValue) / 100;
+        // Apply maximum discount limit if set
+        if (maxDiscountAmount > 0) {
+            discountAmount = Math.min(discountAmount, maxDiscountAmount);
+        }
+    } else {
+        discountAmount = flatDiscount;
+    }
+
+    // Ensure discount doesn't exceed order amount, and keep it to whole minor units (paise)
+    discountAmount = roundAmount(Math.min(discountAmount, eligibleAmount), currency);
+
+    return { coupon, discountAmount, eligibleItems };
+};
+
+// Count one use of the coupon against its global and per-user limits
+const recordCouponUsage = async (coupon, userId) => {
+    coupon.usedCount += 1;
+    coupon.lastUsed = new Date();
+
+    const userUsageIndex = coupon.userUsage.findIndex(u => u.user.toString() === userId.toString());
+    if (userUsageIndex >= 0) {
+        coupon.userUsage[userUsageIndex].usedCount += 1;
+    } else {
+        coupon.userUsage.push({ user: userId, usedCount: 1 });
+    }
+
+    coupon.analytics.successfulUses += 1;
+
+    await coupon.save();
+};
+
+module.exports = {
+    isCourseEligible,
+    isItemEligible,
+    evaluateCoupon,
+    recordCouponUsage
+};
@@ -0,0 +1,133 @@
+const Currency = require('../models/currency');
+const User = require('../models/user');
+
+// Course, bundle and plan prices are stored in the base currency and converted
+// into the checkout currency with the rates in the Currency collection
+const BASE_CURRENCY = 'INR';
+
+const BASE_CURRENCY_DETAILS = {
+    code: BASE_CURRENCY,
+    name: 'Indian Rupee',
+    symbol: '₹',
+    exchangeRate: 1,
+    countries: ['IN'],
+    isActive: true
+};
+
+// Country headers set by the CDN or proxy in front of the API
+const COUNTRY_HEADERS = ['CF-IPCountry', 'CloudFront-Viewer-Country', 'X-Country-Code'];
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Decimal places of the currency's minor unit: 2 for INR and USD, 0 for JPY
+const getCurrencyDigits = (code) => {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency: code })
+            .resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+        return 2;
+    }
+};
+
+const roundAmount = (amount, code = BASE_CURRENCY) => {
+    const factor = 10 ** getCurrencyDigits(code);
+    return Math.round((Number(amount) || 0) * factor) / factor;
+};
+
+// Gateways take amounts in the smallest unit of the currency
+const toMinorUnits = (amount, code = BASE_CURRENCY) =>
+    Math.round((Number(amount) || 0) * 10 ** getCurrencyDigits(code));
+
+const fromMinorUnits = (amount, code = BASE_CURRENCY) =>
+    (Number(amount) || 0) / 10 ** getCurrencyDigits(code);
+
+// Active currencies, the base currency always first
+const getActiveCurrencies = async () => {
+    const currencies = await Currency.find({ isActive: true, code: { $ne: BASE_CURRENCY } })
+        .sort({ code: 1 })
+        .lean();
+    return [BASE_CURRENCY_DETAILS, ...currencies];
+};
+
+// An active currency by code, or null
+const getCurrency = async (code) => {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+        return null;
+    }
+    if (normalized === BASE_CURRENCY) {
+        return BASE_CURRENCY_DETAILS;
+    }
+    return Currency.findOne({ code: normalized, isActive: true }).lean();
+};
+
+// Price in the base currency -> price in the given currency
+const convertFromBase = (amount, currency) =>
+    roundAmount((Number(amount) || 0) / currency.exchangeRate, currency.code);
+
+// Amount in the given currency -> amount in the base currency
+const convertToBase = (amount, currency) =>
+    roundAmount((Number(amount) || 0) * currency.exchangeRate, BASE_CURRENCY);
+
+// Convert between two currency codes. Resolves to null when either is unknown.
+const convertAmount = async (amount, fromCode, toCode) => {
+    if (normalizeCode(fromCode) === normalizeCode(toCode)) {
+        return amount;
+    }
+    const [from, to] = await Promise.all([getCurrency(fromCode), getCurrency(toCode)]);
+    if (!from || !to) {
+        return null;
+    }
+    return convertFromBase(convertToBase(amount, from), to);
+};
+
+// Pick the currency for a request: an explicit choice (body, query or
+// X-Currency header), then the user's saved preference, then the country the
+// request comes from, then the base currency
+const resolveCurrency = async (req) => {
+    const requested = await getCurrency(req.body?.currency || req.query?.currency || req.header('X-Currency'));
+    if (requested) {
+        return requested;
+    }
+
+    if (req.user?.id) {
+        const user = await User.findById(req.user.id).select('preferredCurrency').lean();
+        const preferred = await getCurrency(user?.preferredCurrency);
+        if (preferred) {
+            return preferred;
+        }
+    }
+
+    const country = COUNTRY_HEADERS.map(header => normalizeCode(req.header(header))).find(Boolean);
+    if (country) {
+        const currencies = await getActiveCurrencies();
+        const local = currencies.find(currency => (currency.countries || []).includes(country));
+        if (local) {
+            return local;
+        }
+    }
+
+    return BASE_CURRENCY_DETAILS;
+};
+
+// Amount as printed on invoices and emails, e.g. "Rs. 499.00" or "USD 5.99"
+const formatAmount = (amount, code = BASE_CURRENCY) => {
+    const digits = getCurrencyDigits(code);
+    const value = (Number(amount) || 0).toFixed(digits);
+    return code === BASE_CURRENCY ? `Rs. ${value}` : `${code} ${value}`;
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    getCurrencyDigits,
+    roundAmount,
+    toMinorUnits,
+    fromMinorUnits,
+    getActiveCurrencies,
+    getCurrency,
+    convertFromBase,
+    convertToBase,
+    convertAmount,
+    resolveCurrency,
+    formatAmount
+};
@@ -0,0 +1,180 @@
+const Order = require('../models/order');
+const User = require('../models/user');
+const Course = require('../models/course');
+const { hasBundleAccess } = require('./bundleUtils');
+const { hasSubscriptionAccess } = require('./subscriptionUtils');
+const { createAdvancedNotification } = require('../controllers/notification');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry on which a reminder goes out
+const getReminderDays = () => (process.env.ENROLLMENT_REMINDER_DAYS || '7,1')
+    .split(',')
+    .map(Number)
+    .filter(days => days > 0)
+    .sort((a, b) => b - a);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+});
+
+// When access granted now for the given number of days would end, or null for lifetime access
+const getAccessExpiry = (days, from = new Date()) =>
+    days > 0 ? new Date(new Date(from).getTime() + days * DAY_IN_MS) : null;
+
+// Orders of the user for the course that still give access
+const activeOrderQuery = (userId, courseId) => ({
+    user: userId,
+    course: courseId,
+    status: true,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+const findActiveOrder = (userId, courseId) => Order.findOne(activeOrderQuery(userId, courseId));
+
+// Whether the user's time-limited access to the course has run out with no
+// other order still covering it
+const hasEnrollmentExpired = async (userId, courseId) => {
+    const expiredOrder = await Order.exists({
+        user: userId,
+        course: courseId,
+        status: true,
+        expiresAt: { $ne: null, $lte: new Date() }
+    });
+    return Boolean(expiredOrder) && !(await Order.exists(activeOrderQuery(userId, courseId)));
+};
+
+// Whether the student may study the course: it is free and no time-limited
+// grant of it has ended, or an order, bundle or membership covers it
+const hasCourseAccess = async (userId, course) => {
+    const isFree = (course.courseType === 'Free' || course.adminSetFree) &&
+        !(await hasEnrollmentExpired(userId, course._id));
+    return isFree ||
+        Boolean(await findActiveOrder(userId, course._id)) ||
+        await hasBundleAccess(userId, course._id) ||
+        await hasSubscriptionAccess(userId, course);
+};
+
+// Validate an admin supplied number of access days. Empty means the course default.
+const parseAccessDays = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { days: undefined };
+    }
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) {
+        return { error: 'Access days must be a whole number of days' };
+    }
+    return { days };
+};
+
+const notifyStudent = async (order, { type, title, message, actionUrl }) => {
+    try {
+        await createAdvancedNotification({
+            recipient: order.user,
+            type,
+            title,
+            message,
+            priority: type === 'COURSE_ACCESS_EXPIRED' ? 'high' : 'medium',
+            actionUrl,
+            relatedCourse: order.course._id,
+            metadata: {
+                orderId: order._id,
+                courseId: order.course._id,
+                expiresAt: order.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Error sending course access notification:', error);
+    }
+};
+
+// Remove the course from the student's enrollments unless a newer order, a
+// bundle or a membership still gives access to it
+const endCourseAccess = async (userId, course) => {
+    const stillCovered = await Order.exists(activeOrderQuery(userId, course._id)) ||
+        await hasBundleAccess(userId, course._id) ||
+        await hasSubscriptionAccess(userId, course);
+    if (stillCovered) {
+        return false;
+    }
+
+    await User.findByIdAndUpdate(userId, { $pull: { courses: course._id } });
+    await Course.findByIdAndUpdate(course._id, { $pull: { studentsEnrolled: userId } });
+    return true;
+};
+
+// Daily enrollment upkeep: reminds students before their course access ends and
+// removes the enrollments whose access has ended
+const processEnrollmentExpiry = async () => {
+    const now = new Date();
+    const counts = { reminded: 0, expired: 0 };
+    const reminderDays = getReminderDays();
+
+    if (reminderDays.length > 0) {
+        const remindUntil = new Date(now.getTime() + reminderDays[0] * DAY_IN_MS);
+        const dueForReminder = await Order.find({
+            status: true,
+            expiresAt: { $gt: now, $lte: remindUntil }
+        }).populate('course', 'courseName');
+
+        for (const order of dueForReminder) {
+            if (!order.course) {
+                continue;
+            }
+
+            const daysLeft = Math.ceil((order.expiresAt - now) / DAY_IN_MS);
+            // Send the closest reminder not sent yet, never more than one a day
+            const due = reminderDays.filter(days => daysLeft <= days && !order.expiryRemindersSent.includes(days));
+            if (due.length === 0) {
+                continue;
+            }
+
+            await notifyStudent(order, {
+                type: 'COURSE_ACCESS_EXPIRING',
+                title: `Your access to ${order.course.courseName} ends soon`,
+                message: `Your access to "${order.course.courseName}" ends on ${formatDate(order.expiresAt)}. Finish the lessons you need before then.`,
+                actionUrl: '/dashboard/enrolled-courses'
+            });
+            order.expiryRemindersSent.push(...due);
+            await order.save();
+            counts.reminded += 1;
+        }
+    }
+
+    const ended = await Order.find({
+        status: true,
+        expiresAt: { $ne: null, $lte: now },
+        accessEndedAt: null
+    }).populate('course', 'courseName courseType category');
+
+    for (const order of ended) {
+        order.accessEndedAt = now;
+        await order.save();
+
+        if (!order.course || !(await endCourseAccess(order.user, order.course))) {
+            continue;
+        }
+
+        await notifyStudent(order, {
+            type: 'COURSE_ACCESS_EXPIRED',
+            title: `Your access to ${order.course.courseName} has ended`,
+            message: `Your access to "${order.course.courseName}" ended on ${formatDate(order.expiresAt)}. Your progress is saved if you enroll again.`,
+            actionUrl: `/courses/${order.course._id}`
+        });
+        counts.expired += 1;
+    }
+
+    return counts;
+};
+
+module.exports = {
+    getAccessExpiry,
+    activeOrderQuery,
+    findActiveOrder,
+    hasEnrollmentExpired,
+    hasCourseAccess,
+    parseAccessDays,
+    processEnrollmentExpiry
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const Gift = require('../models/gift');
+const Order = require('../models/order');
+const User = require('../models/user');
+const Course = require('../models/course');
+const mailSender = require('./mailSender');
+const { giftEmail } = require('../mail/templates/giftEmail');
+const { courseEnrollmentEmail } = require('../mail/templates/courseEnrollmentEmail');
+const { getAccessExpiry } = require('./enrollmentUtils');
+const { createAdvancedNotification } = require('../controllers/notification');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Readable code alphabet without look-alike characters (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Days the recipient has to claim a gift
+const getGiftClaimDays = () => Number(process.env.GIFT_CLAIM_DAYS) || 30;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+});
+
+// The buyer's message ends up in an email body
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// e.g. GIFT-7KQ2-M9XD
+const generateGiftCode = () => {
+    const chars = [...crypto.randomBytes(8)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    return `GIFT-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+const normalizeGiftCode = (code) => String(code || '').trim().toUpperCase();
+
+// Open the claim period of a paid gift and email the recipient their code
+const activateGift = async (order) => {
+    const gift = await Gift.findOneAndUpdate(
+        { order: order._id, status: 'pending' },
+        { $set: { status: 'unclaimed', expiresAt: new Date(Date.now() + getGiftClaimDays() * DAY_IN_MS) } },
+        { new: true }
+    ).populate('course', 'courseName').populate('purchaser', 'firstName lastName email');
+
+    if (!gift) {
+        return null;
+    }
+
+    try {
+        const buyerName = `${gift.purchaser.firstName} ${gift.purchaser.lastName}`.trim();
+        const deadline = formatDate(gift.expiresAt);
+        const note = gift.message ? ` Their message: "${escapeHtml(gift.message)}"` : '';
+
+        await mailSender(
+            gift.recipientEmail,
+            `${buyerName} sent you a course`,
+            giftEmail(
+                escapeHtml(gift.recipientName),
+                `${buyerName} sent you a course`,
+                `${buyerName} gifted you "${gift.course.courseName}" on Beeja Academy.${note} Claim it with code <b>${gift.code}</b> before ${deadline}. New to Beeja? Sign up with this email address and the course is added to your account automatically.`,
+                `/gift/${gift.code}`,
+                'Claim Your Gift'
+            )
+        );
+        await mailSender(
+            gift.purchaser.email,
+            'Your gift is on its way',
+            giftEmail(
+                gift.purchaser.firstName,
+                'Your gift is on its way',
+                `We've sent "${gift.course.courseName}" to ${gift.recipientEmail} with the gift code <b>${gift.code}</b>. It can be claimed until ${deadline}. If it isn't claimed by then you can request a refund from your purchase history.`,
+                '/dashboard/purchase-history',
+                'View Purchase History'
+            )
+        );
+    } catch (error) {
+        console.error('Error sending gift emails:', error);
+    }
+
+    return gift;
+};
+
+// Enroll the user in the gifted course. Resolves to { error } when the gift can't be claimed.
+const redeemGift = async (gift, user) => {
+    if (!gift.isClaimable()) {
+        return { error: gift.status === 'redeemed' ? 'This gift has already been claimed' : 'This gift is no longer available' };
+    }
+    if (user.accountType !== 'Student') {
+        return { error: 'Gifts can only be claimed with a student account' };
+    }
+
+    // A refund request on the buyer's order puts the gift on hold
+    const order = await Order.findById(gift.order);
+    if (!order || !order.status || !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        return { error: 'This gift is no longer available' };
+    }
+    if (await User.exists({ _id: user._id, courses: gift.course })) {
+        return { error: 'You are already enrolled in this course' };
+    }
+
+    // Claim first so the same code can't be redeemed twice
+    const claimed = await Gift.findOneAndUpdate(
+        { _id: gift._id, status: 'unclaimed' },
+        { $set: { status: 'redeemed', redeemedBy: user._id, redeemedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        return { error: 'This gift has already been claimed' };
+    }
+
+    const course = await Course.findById(gift.course);
+    await Order.create({
+        user: user._id,
+        course: course._id,
+        amount: 0,
+        status: true,
+        paymentStatus: 'paid',
+        paymentMethod: 'gift',
+        transactionId: `GIFT_${claimed.code}`,
+        paidAt: new Date(),
+        expiresAt: getAccessExpiry(course.accessDurationDays)
+    });
+    await User.findByIdAndUpdate(user._id, { $addToSet: { courses: course._id } });
+    await Course.findByIdAndUpdate(course._id, { $addToSet: { studentsEnrolled: user._id } });
+
+    try {
+        await mailSender(
+            user.email,
+            `Successfully Enrolled into ${course.courseName}`,
+            courseEnrollmentEmail(course.courseName, user.firstName)
+        );
+        await createAdvancedNotification({
+            recipient: claimed.purchaser,
+            type: 'GIFT_REDEEMED',
+            title: 'Your gift was claimed',
+            message: `${claimed.recipientEmail} claimed "${course.courseName}".`,
+            priority: 'low',
+            actionUrl: '/dashboard/purchase-history',
+            relatedCourse: course._id,
+            metadata: { giftId: claimed._id, orderId: claimed.order }
+        });
+    } catch (error) {
+        console.error('Error sending gift redemption notifications:', error);
+    }
+
+    return { gift: claimed, course };
+};
+
+// Claim the gifts sent to the user's email address and, when given, the gift with
+// this code. Resolves to the names of the courses that were added.
+const claimGiftsForUser = async (user, code) => {
+    if (user.accountType !== 'Student') {
+        return [];
+    }
+
+    const gifts = await Gift.find({
+        recipientEmail: user.email.toLowerCase(),
+        status: 'unclaimed',
+        expiresAt: { $gt: new Date() }
+    });
+    if (code) {
+        const giftByCode = await Gift.findOne({ code: normalizeGiftCode(code) });
+        if (giftByCode && !gifts.some(gift => gift._id.equals(giftByCode._id))) {
+            gifts.push(giftByCode);
+        }
+    }
+
+    const claimedCourses = [];
+    for (const gift of gifts) {
+        const result = await redeemGift(gift, user);
+        if (!result.error) {
+            claimedCourses.push(result.course.courseName);
+        }
+    }
+
+    return claimedCourses;
+};
+
+// Close the claim period of gifts nobody claimed and tell the buyers they can get a refund
+const expireGifts = async () => {
+    const gifts = await Gift.find({ status: 'unclaimed', expiresAt: { $lte: new Date() } })
+        .populate('course', 'courseName')
+        .populate('purchaser', 'firstName email');
+
+    for (const gift of gifts) {
+        gift.status = 'expired';
+        await gift.save();
+
+        try {
+            const title = 'Your gift was not claimed';
+            const message = `${gift.recipientEmail} didn't claim "${gift.course.courseName}" in time. You can request a refund from your purchase history.`;
+
+            await mailSender(
+                gift.purchaser.email,
+                title,
+                giftEmail(gift.purchaser.firstName, title, message, '/dashboard/purchase-history', 'Request a Refund')
+            );
+            await createAdvancedNotification({
+                recipient: gift.purchaser._id,
+                type: 'GIFT_EXPIRED',
+                title,
+                message,
+                priority: 'medium',
+                actionUrl: '/dashboard/purchase-history',
+                relatedCourse: gift.course._id,
+                metadata: { giftId: gift._id, orderId: gift.order }
+            });
+        } catch (error) {
+            console.error('Error sending gift expiry notification:', error);
+        }
+    }
+
+    return gifts.length;
+};
+
+module.exports = {
+    generateGiftCode,
+    normalizeGiftCode,
+    activateGift,
+    redeemGift,
+    claimGiftsForUser,
+    expireGifts
+};
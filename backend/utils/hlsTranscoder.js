@@ -0,0 +1,286 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const ffprobe = require('ffprobe');
+const ffprobeStatic = require('ffprobe-static');
+const SubSection = require('../models/subSection');
+const { s3Client, BUCKET_NAME, GetObjectCommand, PutObjectCommand, getKeyFromUrl } = require('../config/awsS3');
+const { S3_FOLDERS } = require('../config/s3Storage');
+
+// ffmpeg isn't bundled like ffprobe; it has to be installed on the server
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Rungs of the ladder. Videos are never scaled up, so a 720p upload stops at 720p.
+const HLS_LADDER = [
+    { name: '240p', height: 240, videoBitrate: 400000 },
+    { name: '480p', height: 480, videoBitrate: 1000000 },
+    { name: '720p', height: 720, videoBitrate: 2800000 },
+    { name: '1080p', height: 1080, videoBitrate: 5000000 }
+];
+const AUDIO_BITRATE = 128000;
+const SEGMENT_SECONDS = 6;
+const THUMBNAIL_COUNT = 10;
+const THUMBNAIL_WIDTH = 320;
+const UPLOAD_CONCURRENCY = 4;
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.jpg': 'image/jpeg'
+};
+
+// Lecture ids waiting for the job; one video is transcoded at a time
+const queue = [];
+let running = false;
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+const runFfmpeg = (args) => new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+    let stderr = '';
+    ffmpeg.stderr.on('data', data => {
+        stderr = (stderr + data).slice(-2000);
+    });
+    ffmpeg.on('error', error => {
+        reject(error.code === 'ENOENT'
+            ? new Error(`ffmpeg was not found at "${FFMPEG_PATH}"; install it or set FFMPEG_PATH`)
+            : error);
+    });
+    ffmpeg.on('close', code => {
+        if (code === 0) {
+            resolve();
+        } else {
+            reject(new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+        }
+    });
+});
+
+// Size, length and audio of a video file
+const probeVideo = async (filePath) => {
+    const { streams = [] } = await ffprobe(filePath, { path: ffprobeStatic.path });
+    const video = streams.find(stream => stream.codec_type === 'video');
+    if (!video || !video.width || !video.height) {
+        throw new Error('The uploaded file has no video stream');
+    }
+    return {
+        width: video.width,
+        height: video.height,
+        duration: parseFloat(video.duration) || 0,
+        hasAudio: streams.some(stream => stream.codec_type === 'audio')
+    };
+};
+
+// Rungs of the ladder for a source, each with a width keeping its aspect ratio
+const getRenditions = (source) => {
+    const rungs = HLS_LADDER.filter(rung => rung.height <= source.height);
+    const ladder = rungs.length
+        ? rungs
+        : [{ ...HLS_LADDER[0], name: `${toEven(source.height)}p`, height: toEven(source.height) }];
+    return ladder.map(rung => ({
+        ...rung,
+        width: toEven(rung.height * source.width / source.height),
+        bandwidth: Math.round(rung.videoBitrate * 1.1) + (source.hasAudio ? AUDIO_BITRATE : 0)
+    }));
+};
+
+const encodeRendition = (sourcePath, source, rendition, outputDir) => runFfmpeg([
+    '-i', sourcePath,
+    '-map', '0:v:0',
+    ...(source.hasAudio ? ['-map', '0:a:0'] : []),
+    '-vf', `scale=${rendition.width}:${rendition.height}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-pix_fmt', 'yuv420p',
+    '-b:v', String(rendition.videoBitrate),
+    '-maxrate', String(Math.round(rendition.videoBitrate * 1.1)),
+    '-bufsize', String(rendition.videoBitrate * 2),
+    // Keyframes on segment boundaries so players can switch rungs between segments
+    '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+    ...(source.hasAudio ? ['-c:a', 'aac', '-b:a', String(AUDIO_BITRATE), '-ac', '2'] : []),
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outputDir, 'segment_%04d.ts'),
+    path.join(outputDir, 'index.m3u8')
+]);
+
+// Master playlist pointing at each rendition's playlist, with query appended to their URIs
+const buildMasterPlaylist = (renditions, query = '') => [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...renditions.flatMap(rendition => [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+        `${rendition.name}/index.m3u8${query}`
+    ])
+].join('\n') + '\n';
+
+const downloadObject = async (key, filePath) => {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    await pipeline(response.Body, fs.createWriteStream(filePath));
+};
+
+// Upload every file under dir to the bucket below prefix, resolving to their keys
+const uploadDirectory = async (dir, prefix) => {
+    const files = (await fsp.readdir(dir, { recursive: true, withFileTypes: true }))
+        .filter(entry => entry.isFile())
+        .map(entry => path.join(entry.parentPath || entry.path, entry.name));
+
+    const keys = [];
+    for (let i = 0; i < files.length; i += UPLOAD_CONCURRENCY) {
+        await Promise.all(files.slice(i, i + UPLOAD_CONCURRENCY).map(async (filePath) => {
+            const key = `${prefix}/${path.relative(dir, filePath).split(path.sep).join('/')}`;
+            await s3Client.send(new PutObjectCommand({
+                Bucket: BUCKET_NAME,
+                Key: key,
+                Body: await fsp.readFile(filePath),
+                ContentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+                CacheControl: 'max-age=31536000'
+            }));
+            keys.push(key);
+        }));
+    }
+    return keys;
+};
+
+// Transcode one lecture's video into the ladder and thumbnails, and record
+// the result unless the lecture got a different video in the meantime
+const transcodeSubSection = async (subSectionId) => {
+    const subSection = await SubSection.findById(subSectionId);
+    if (!subSection || subSection.hls?.status !== 'queued') {
+        return;
+    }
+    const sourceUrl = subSection.hls.sourceUrl;
+    const sourceKey = getKeyFromUrl(sourceUrl);
+    const current = { _id: subSection._id, 'hls.sourceUrl': sourceUrl };
+
+    await SubSection.updateOne(current, { 'hls.status': 'processing', 'hls.startedAt': new Date() });
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'hls-'));
+    try {
+        const sourcePath = path.join(workDir, `source${path.extname(sourceKey)}`);
+        const outputDir = path.join(workDir, 'output');
+        await downloadObject(sourceKey, sourcePath);
+
+        const source = await probeVideo(sourcePath);
+        const renditions = getRenditions(source);
+        for (const rendition of renditions) {
+            const renditionDir = path.join(outputDir, rendition.name);
+            await fsp.mkdir(renditionDir, { recursive: true });
+            await encodeRendition(sourcePath, source, rendition, renditionDir);
+        }
+
+        const thumbnailInterval = Math.max(1, Math.ceil(source.duration / THUMBNAIL_COUNT));
+        await fsp.mkdir(path.join(outputDir, 'thumbnails'));
+        await runFfmpeg([
+            '-i', sourcePath,
+            '-vf', `fps=1/${thumbnailInterval},scale=${THUMBNAIL_WIDTH}:-2`,
+            '-frames:v', String(THUMBNAIL_COUNT),
+            '-q:v', '4',
+            path.join(outputDir, 'thumbnails', 'thumb_%03d.jpg')
+        ]);
+
+        await fsp.writeFile(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions));
+
+        // A folder per run, so a new upload never mixes with segments players still cache
+        const prefix = `${S3_FOLDERS.VIDEOS}/hls/${subSection._id}/${Date.now()}`;
+        const keys = await uploadDirectory(outputDir, prefix);
+
+        await SubSection.updateOne(current, {
+            'hls.status': 'ready',
+            'hls.masterKey': `${prefix}/master.m3u8`,
+            'hls.renditions': renditions.map(rendition => ({
+                name: rendition.name,
+                width: rendition.width,
+                height: rendition.height,
+                bandwidth: rendition.bandwidth,
+                playlistKey: `${prefix}/${rendition.name}/index.m3u8`
+            })),
+            'hls.thumbnailKeys': keys.filter(key => key.includes('/thumbnails/')).sort(),
+            'hls.thumbnailInterval': thumbnailInterval,
+            'hls.completedAt': new Date(),
+            $unset: { 'hls.error': 1 }
+        });
+
+        // Videos sent by URL are saved without a length; the probe knows it
+        if (!subSection.timeDuration && source.duration) {
+            await SubSection.updateOne({ _id: subSection._id, timeDuration: { $in: [0, null] } }, {
+                timeDuration: Math.round(source.duration)
+            });
+        }
+        console.log(`✅ HLS transcoding finished for lecture ${subSection._id} (${renditions.map(r => r.name).join(', ')})`);
+    } catch (error) {
+        console.error(`❌ HLS transcoding failed for lecture ${subSection._id}:`, error);
+        await SubSection.updateOne(current, {
+            'hls.status': 'failed',
+            'hls.error': error.message,
+            'hls.completedAt': new Date()
+        });
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+const runQueue = async () => {
+    if (running) {
+        return;
+    }
+    running = true;
+    while (queue.length) {
+        const subSectionId = queue.shift();
+        try {
+            await transcodeSubSection(subSectionId);
+        } catch (error) {
+            console.error(`Error running HLS transcoding for lecture ${subSectionId}:`, error);
+        }
+    }
+    running = false;
+};
+
+const enqueue = (subSectionId) => {
+    const id = subSectionId.toString();
+    if (!queue.includes(id)) {
+        queue.push(id);
+    }
+    runQueue();
+};
+
+// Queue a lecture's current video for transcoding. Videos outside the bucket,
+// like external links, are played as they are.
+const queueTranscode = async (subSection) => {
+    if (!getKeyFromUrl(subSection.videoUrl)) {
+        subSection.hls = { status: 'none' };
+        await subSection.save();
+        return subSection;
+    }
+    subSection.hls = { status: 'queued', sourceUrl: subSection.videoUrl };
+    await subSection.save();
+    enqueue(subSection._id);
+    return subSection;
+};
+
+// Queue again the lectures whose transcoding a restart cut short
+const resumeTranscodeJobs = async () => {
+    const pending = await SubSection.find({ 'hls.status': { $in: ['queued', 'processing'] } }).select('_id');
+    if (!pending.length) {
+        return;
+    }
+    await SubSection.updateMany(
+        { _id: { $in: pending.map(subSection => subSection._id) } },
+        { 'hls.status': 'queued' }
+    );
+    pending.forEach(subSection => enqueue(subSection._id));
+    console.log(`Resumed HLS transcoding of ${pending.length} lecture videos`);
+};
+
+module.exports = {
+    HLS_LADDER,
+    buildMasterPlaylist,
+    probeVideo,
+    downloadObject,
+    queueTranscode,
+    resumeTranscodeJobs
+};
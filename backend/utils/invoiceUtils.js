@@ -0,0 +1,288 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Order = require('../models/order');
+const Invoice = require('../models/invoice');
+const Counter = require('../models/counter');
+const mailSender = require('./mailSender');
+const { invoiceEmail } = require('../mail/templates/invoiceEmail');
+const { seller, gstRate, invoicePrefix } = require('../config/invoice');
+const { getStateCode } = require('./gstStates');
+const { formatAmount, toMinorUnits, fromMinorUnits } = require('./currencyUtils');
+
+// Orders that were paid at some point and can therefore be invoiced
+const INVOICEABLE_STATUSES = ['paid', 'refund_requested', 'partially_refunded', 'refunded'];
+
+
+// Indian financial year of a date, e.g. 2025-26 for any date from April 2025 to March 2026
+const getFinancialYear = (date) => {
+    const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+// Split a GST inclusive amount into taxable value and CGST/SGST or IGST, rounded
+// to the currency's minor unit (paise for INR)
+const computeGst = (amount, rate, isInterState, currency = 'INR') => {
+    const toPaise = (value) => toMinorUnits(value, currency);
+    const fromPaise = (paise) => fromMinorUnits(paise, currency);
+    const totalInPaise = toPaise(amount);
+    const taxableInPaise = Math.round((totalInPaise * 100) / (100 + rate));
+    const taxInPaise = totalInPaise - taxableInPaise;
+    const cgstInPaise = isInterState ? 0 : Math.floor(taxInPaise / 2);
+    const sgstInPaise = isInterState ? 0 : taxInPaise - cgstInPaise;
+
+    return {
+        taxableValue: fromPaise(taxableInPaise),
+        cgst: fromPaise(cgstInPaise),
+        sgst: fromPaise(sgstInPaise),
+        igst: isInterState ? fromPaise(taxInPaise) : 0
+    };
+};
+
+// Line item text of an order on its invoice
+const getOrderDescription = (order) => {
+    if (order.bundle) {
+        return `${order.bundle.title} (course bundle)`;
+    }
+    if (order.subscriptionPlan) {
+        return `${order.subscriptionPlan.name} membership (${order.subscriptionPlan.interval})`;
+    }
+    return order.course?.courseName || 'Online course';
+};
+
+// Link encoded in the invoice QR code
+const getOrderUrl = (orderId) =>
+    `${process.env.FRONTEND_URL || 'http://35.177.233.147:5173'}/dashboard/purchase-history?order=${orderId}`;
+
+// Invoice of an order, issuing it with the next number of the financial year on first
+// use. Resolves to null for orders that were never paid or cost nothing.
+const getOrCreateInvoice = async (orderId) => {
+    const existing = await Invoice.findOne({ order: orderId });
+    if (existing) {
+        return existing;
+    }
+
+    const order = await Order.findById(orderId)
+        .populate({ path: 'user', select: 'firstName lastName email additionalDetails', populate: { path: 'additionalDetails' } })
+        .populate('course', 'courseName')
+        .populate('bundle', 'title')
+        .populate('subscriptionPlan', 'name interval');
+
+    if (!order || order.amount <= 0 || !INVOICEABLE_STATUSES.includes(order.paymentStatus)) {
+        return null;
+    }
+
+    const invoiceDate = new Date(order.paidAt || order.purchaseDate);
+    const financialYear = getFinancialYear(invoiceDate);
+    const sequence = await Counter.next(`invoice-${financialYear}`);
+
+    // Place of supply is the buyer's state, or the seller's when we don't know it
+    const buyerState = order.user?.additionalDetails?.state || '';
+    const isInterState = Boolean(buyerState) && getStateCode(buyerState) !== getStateCode(seller.state);
+
+    const couponCodes = [...new Set([
+        ...(order.discountBreakdown || []).map(discount => discount.code),
+        ...(order.couponUsed?.code ? [order.couponUsed.code] : [])
+    ])];
+
+    try {
+        return await Invoice.create({
+            invoiceNumber: `${invoicePrefix}/${financialYear}/${String(sequence).padStart(6, '0')}`,
+            order: order._id,
+            user: order.user?._id || order.user,
+            invoiceDate,
+            seller: { ...seller, stateCode: getStateCode(seller.state) },
+            buyer: {
+                name: `${order.user?.firstName || ''} ${order.user?.lastName || ''}`.trim(),
+                email: order.user?.email,
+                phone: order.user?.additionalDetails?.contactNumber,
+                state: buyerState || seller.state,
+                stateCode: getStateCode(buyerState || seller.state)
+            },
+            description: getOrderDescription(order),
+            originalPrice: order.originalPrice || order.amount,
+            couponDiscount: order.discountAmount || order.couponUsed?.discountAmount || 0,
+            couponCodes,
+            gstRate,
+            isInterState,
+            ...computeGst(order.amount, gstRate, isInterState, order.currency),
+            totalAmount: order.amount,
+            currency: order.currency || 'INR',
+            exchangeRate: order.exchangeRate || 1,
+            paymentMethod: order.paymentMethod,
+            transactionId: order.gatewayPaymentId || order.transactionId
+        });
+    } catch (error) {
+        // Another request issued the invoice first
+        if (error.code === 11000) {
+            return Invoice.findOne({ order: orderId });
+        }
+        throw error;
+    }
+};
+
+// Render an invoice as a PDF and resolve to its bytes
+const generateInvoicePDF = async (invoice) => {
+    const qrCode = await QRCode.toBuffer(getOrderUrl(invoice.order), { margin: 1, width: 240 });
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = 50;
+        const right = doc.page.width - 50;
+        const width = right - left;
+
+        // Header
+        doc.rect(0, 0, doc.page.width, 90).fill('#2c3e50');
+        doc.fill('#ffffff')
+           .font('Helvetica-Bold')
+           .fontSize(22)
+           .text(invoice.seller.name, left, 30);
+        doc.fontSize(14)
+           .text('TAX INVOICE', left, 36, { width, align: 'right' });
+
+        // Invoice details and QR code
+        doc.fill('#000000').font('Helvetica').fontSize(10);
+        doc.text(`Invoice No: ${invoice.invoiceNumber}`, left, 110)
+           .text(`Invoice Date: ${new Date(invoice.invoiceDate).toLocaleDateString('en-IN', {
+               day: '2-digit',
+               month: 'long',
+               year: 'numeric'
+           })}`)
+           .text(`Order ID: ${invoice.order}`)
+           .text(`Place of Supply: ${invoice.buyer.state}${invoice.buyer.stateCode ? ` (${invoice.buyer.stateCode})` : ''}`);
+        doc.image(qrCode, right - 80, 100, { width: 80 });
+        doc.fontSize(7).text('Scan to view order', right - 80, 182, { width: 80, align: 'center' });
+
+        // Seller and buyer
+        const partyTop = 205;
+        const columnWidth = width / 2 - 10;
+        const printParty = (title, party, x) => {
+            doc.font('Helvetica-Bold').fontSize(11).text(title, x, partyTop, { width: columnWidth });
+            doc.font('Helvetica').fontSize(10);
+            [
+                party.name,
+                party.address,
+                party.state && `State: ${party.state}${party.stateCode ? ` (${party.stateCode})` : ''}`,
+                party.gstin && `GSTIN: ${party.gstin}`,
+                party.email,
+                party.phone
+            ].filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: columnWidth }));
+        };
+        printParty('Bill From', invoice.seller, left);
+        const sellerBottom = doc.y;
+        printParty('Bill To', invoice.buyer, left + width / 2 + 10);
+        doc.y = Math.max(sellerBottom, doc.y);
+
+        // Line items
+        const tableTop = doc.y + 25;
+        const columns = [
+            { label: 'Description', width: 235, align: 'left' },
+            { label: 'SAC', width: 60, align: 'center' },
+            { label: 'Qty', width: 40, align: 'center' },
+            { label: 'Price', width: 80, align: 'right' },
+            { label: 'Amount', width: 80, align: 'right' }
+        ];
+        const drawRow = (values, y, options = {}) => {
+            let x = left;
+            doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+            values.forEach((value, i) => {
+                doc.text(value, x + 5, y, { width: columns[i].width - 10, align: columns[i].align });
+                x += columns[i].width;
+            });
+        };
+
+        doc.rect(left, tableTop, width, 22).fill('#2c3e50');
+        doc.fill('#ffffff');
+        drawRow(columns.map(column => column.label), tableTop + 6, { bold: true });
+        doc.fill('#000000');
+        drawRow(
+            [invoice.description, invoice.sacCode, '1', formatAmount(invoice.originalPrice, invoice.currency), formatAmount(invoice.originalPrice, invoice.currency)],
+            tableTop + 30
+        );
+
+        // Totals
+        let y = Math.max(doc.y, tableTop + 45) + 15;
+        doc.moveTo(left, y - 8).lineTo(right, y - 8).strokeColor('#cccccc').stroke();
+        const labelX = left + width - 300;
+        const printTotal = (label, value, options = {}) => {
+            doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.bold ? 11 : 10);
+            doc.text(label, labelX, y, { width: 210, align: 'right' });
+            doc.text(value, labelX + 210, y, { width: 90, align: 'right' });
+            y += options.bold ? 20 : 16;
+        };
+
+        printTotal('Sub Total', formatAmount(invoice.originalPrice, invoice.currency));
+        if (invoice.couponDiscount > 0) {
+            const codes = invoice.couponCodes.length > 0 ? ` (${invoice.couponCodes.join(', ')})` : '';
+            printTotal(`Coupon Discount${codes}`, `- ${formatAmount(invoice.couponDiscount, invoice.currency)}`);
+        }
+        printTotal('Taxable Value', formatAmount(invoice.taxableValue, invoice.currency));
+        if (invoice.isInterState) {
+            printTotal(`IGST @ ${invoice.gstRate}%`, formatAmount(invoice.igst, invoice.currency));
+        } else {
+            printTotal(`CGST @ ${invoice.gstRate / 2}%`, formatAmount(invoice.cgst, invoice.currency));
+            printTotal(`SGST @ ${invoice.gstRate / 2}%`, formatAmount(invoice.sgst, invoice.currency));
+        }
+        doc.moveTo(labelX, y).lineTo(right, y).strokeColor('#2c3e50').stroke();
+        y += 6;
+        printTotal('Grand Total', formatAmount(invoice.totalAmount, invoice.currency), { bold: true });
+
+        // Payment details
+        doc.font('Helvetica').fontSize(10).fill('#000000');
+        doc.text(`Payment Method: ${invoice.paymentMethod || 'N/A'}`, left, y + 15)
+           .text(`Transaction ID: ${invoice.transactionId || 'N/A'}`);
+
+        // Footer
+        doc.fontSize(8)
+           .fill('#666666')
+           .text(
+               `Prices are inclusive of GST. This is a computer-generated invoice and does not require a signature. ${invoice.seller.website || ''}`,
+               left,
+               doc.page.height - 90,
+               { width, align: 'center' }
+           );
+
+        doc.end();
+    });
+};
+
+// Issue and email invoices for freshly paid orders. Failures are logged and never
+// thrown so they can't undo a successful payment.
+const sendInvoiceEmails = async (orders) => {
+    for (const order of orders) {
+        try {
+            const invoice = await getOrCreateInvoice(order._id);
+            if (!invoice || !invoice.buyer?.email) {
+                continue;
+            }
+
+            const pdf = await generateInvoicePDF(invoice);
+            await mailSender(
+                invoice.buyer.email,
+                `Invoice ${invoice.invoiceNumber} for ${invoice.description}`,
+                invoiceEmail(invoice.buyer.name, invoice.description, invoice.invoiceNumber, formatAmount(invoice.totalAmount, invoice.currency)),
+                [{
+                    filename: `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`,
+                    content: pdf,
+                    contentType: 'application/pdf'
+                }]
+            );
+        } catch (error) {
+            console.error('Error sending invoice email:', error);
+        }
+    }
+};
+
+module.exports = {
+    INVOICEABLE_STATUSES,
+    getFinancialYear,
+    computeGst,
+    getOrCreateInvoice,
+    generateInvoicePDF,
+    sendInvoiceEmails
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { getKeyFromUrl } = require('../config/awsS3');
+
+// Playback tokens let one user play one lecture for a short while. They go in
+// video URLs, so unlike login tokens they are useless to anyone they leak to
+// once they expire, and only open the lecture they were issued for.
+const PLAYBACK_TOKEN_TTL = (Number(process.env.VIDEO_PLAYBACK_TOKEN_TTL_MINUTES) || 120) * 60;
+
+const getSecret = () => process.env.VIDEO_PLAYBACK_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+// A token for the user to play the lecture from the given browser tab
+const createPlaybackToken = ({ userId, subSectionId, clientId }, now = Date.now()) => {
+    const exp = Math.floor(now / 1000) + PLAYBACK_TOKEN_TTL;
+    const payload = Buffer.from(JSON.stringify({
+        u: String(userId),
+        s: String(subSectionId),
+        c: clientId || null,
+        exp
+    })).toString('base64url');
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(exp * 1000)
+    };
+};
+
+// The user, lecture and tab a token was issued for, or null when it was
+// tampered with or has expired
+const verifyPlaybackToken = (token, now = Date.now()) => {
+    const [payload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature || extra !== undefined) {
+        return null;
+    }
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (!(claims.exp * 1000 > now)) {
+            return null;
+        }
+        return {
+            userId: claims.u,
+            subSectionId: claims.s,
+            clientId: claims.c,
+            expiresAt: new Date(claims.exp * 1000)
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Id of a video uploaded in chunks, from its manifest URL, else null
+const getChunkedVideoId = (videoUrl) => {
+    const match = /\/([a-f0-9]+)_manifest\.json/.exec(videoUrl || '');
+    return match ? match[1] : null;
+};
+
+// Where a player streams a lecture from with a playback token. Files of this
+// site only play through the video routes; links to other sites are kept.
+const getPlaybackSource = (videoUrl, subSectionId, token) => {
+    if (!videoUrl) {
+        return null;
+    }
+    const query = `?token=${encodeURIComponent(token)}`;
+    const videoId = getChunkedVideoId(videoUrl);
+    if (videoId) {
+        return { type: 'chunked', videoId, url: `/api/v1/video/stream/${videoId}${query}` };
+    }
+    if (getKeyFromUrl(videoUrl)) {
+        return { type: 'direct', url: `/api/v1/video/direct/${subSectionId}${query}` };
+    }
+    return { type: 'external', url: videoUrl };
+};
+
+// A lecture as students get it: whether it has a video but not where the
+// file is, so it can only be played with a playback token
+const hideLectureVideo = (subSection) => {
+    const { videoUrl, hls, captionJob, ...lecture } = subSection;
+    return {
+        ...lecture,
+        hasVideo: Boolean(videoUrl),
+        captions: (lecture.captions || []).map(({ url, ...track }) => track)
+    };
+};
+
+module.exports = {
+    PLAYBACK_TOKEN_TTL,
+    createPlaybackToken,
+    verifyPlaybackToken,
+    getChunkedVideoId,
+    getPlaybackSource,
+    hideLectureVideo
+};
@@ -0,0 +1,271 @@
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const CourseProgress = require('../models/courseProgress');
+const Course = require('../models/course');
+const Section = require('../models/section');
+const SubSection = require('../models/subSection');
+const { gradeQuizAnswers } = require('./quizGrading');
+const { toStoredTestResults } = require('./codeGrading');
+const { createQuizGradedNotification } = require('../controllers/notification');
+
+// Submissions are accepted this long after the deadline, for slow networks
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+// Answers may be incomplete from this long before the deadline, when the
+// browser's timer ran out a little ahead of the server's clock
+const CLOCK_SKEW_MS = 5 * 1000;
+
+const isPastGrace = (attempt, now = new Date()) =>
+    now.getTime() > attempt.deadline.getTime() + SUBMIT_GRACE_MS;
+
+const isTimeUp = (attempt, now = new Date()) =>
+    now.getTime() >= attempt.deadline.getTime() - CLOCK_SKEW_MS;
+
+// The questions an attempt was served; attempts from before they were stored
+// on the attempt use the quiz's own
+const getServedQuestions = (attempt, quiz) => (attempt.questions?.length ? attempt.questions : quiz.questions);
+
+// Keep the question times a browser reports when they are plausible: question
+// ids with seconds no longer than the attempt could have lasted. Resolves to
+// null when there are none to keep.
+const toQuestionTimes = (attempt, questionTimes) => {
+    if (!questionTimes || typeof questionTimes !== 'object' || Array.isArray(questionTimes)) {
+        return null;
+    }
+    const maxSeconds = (attempt.deadline - attempt.startedAt + SUBMIT_GRACE_MS) / 1000;
+    const entries = Object.entries(questionTimes)
+        .filter(([questionId, seconds]) => /^[a-f\d]{24}$/i.test(questionId) && Number.isFinite(seconds) && seconds >= 0)
+        .slice(0, 500)
+        .map(([questionId, seconds]) => [questionId, Math.round(Math.min(seconds, maxSeconds))]);
+    return entries.length ? Object.fromEntries(entries) : null;
+};
+
+// Answers to file upload questions may only point at files uploaded to the attempt
+const keepUploadedFiles = (questions, answers, uploads = []) => {
+    const kept = { ...answers };
+    questions.filter(question => question.questionType === 'fileUpload').forEach(question => {
+        const questionId = question._id.toString();
+        const upload = uploads.find(item =>
+            item.question.toString() === questionId && item.url === kept[questionId]?.url
+        );
+        if (upload) {
+            kept[questionId] = { url: upload.url, name: upload.name, size: upload.size, mimeType: upload.mimeType };
+        } else {
+            delete kept[questionId];
+        }
+    });
+    return kept;
+};
+
+// Which attempts a student has left and when the next one may start
+const getRetakePolicy = (quiz, quizResult, lastFinishedAttempt, now = new Date()) => {
+    const attemptsUsed = quizResult?.attempts || 0;
+    const attemptsRemaining = quiz.maxAttempts > 0 ? Math.max(quiz.maxAttempts - attemptsUsed, 0) : null;
+
+    let nextAttemptAt = null;
+    if (quiz.cooldownMinutes > 0 && lastFinishedAttempt?.submittedAt) {
+        const cooldownEnd = new Date(lastFinishedAttempt.submittedAt.getTime() + quiz.cooldownMinutes * 60 * 1000);
+        if (cooldownEnd > now) {
+            nextAttemptAt = cooldownEnd;
+        }
+    }
+
+    let reason = null;
+    if (quizResult?.passed) {
+        reason = 'Quiz already passed. Retakes not allowed for passed quizzes.';
+    } else if (lastFinishedAttempt?.gradingStatus === 'pending') {
+        reason = 'Your last attempt is waiting to be graded.';
+    } else if (attemptsRemaining === 0) {
+        reason = 'You have used all attempts for this quiz.';
+    } else if (nextAttemptAt) {
+        reason = 'Please wait before retaking this quiz.';
+    }
+
+    return { attemptsUsed, attemptsRemaining, nextAttemptAt, canStart: !reason, reason };
+};
+
+// Save a finished attempt to the student's course progress. The quiz's
+// scoring policy decides whether its score replaces the one already counted.
+const recordQuizResult = async (attempt, quiz) => {
+    let courseProgress = await CourseProgress.findOne({ userId: attempt.user, courseID: attempt.course });
+    if (!courseProgress) {
+        courseProgress = new CourseProgress({
+            userId: attempt.user,
+            courseID: attempt.course,
+            completedVideos: [],
+            completedQuizzes: [],
+            passedQuizzes: [],
+            quizResults: []
+        });
+    }
+
+    const existingIndex = courseProgress.quizResults.findIndex(
+        result => result.quiz.toString() === quiz._id.toString()
+    );
+    const existing = existingIndex >= 0 ? courseProgress.quizResults[existingIndex] : null;
+    const attempts = (existing?.attempts || 0) + 1;
+
+    const keepExisting = existing && quiz.scoringPolicy === 'best' && existing.percentage >= attempt.percentage;
+    if (keepExisting) {
+        existing.attempts = attempts;
+    } else {
+        const quizResult = {
+            quiz: quiz._id,
+            subSection: attempt.subSection,
+            attempt: attempt._id,
+            score: attempt.score,
+            totalMarks: attempt.totalMarks,
+            percentage: attempt.percentage,
+            passed: attempt.passed,
+            attempts,
+            codeResults: attempt.codeResults,
+            completedAt: attempt.submittedAt
+        };
+        if (existing) {
+            courseProgress.quizResults[existingIndex] = quizResult;
+        } else {
+            courseProgress.quizResults.push(quizResult);
+        }
+    }
+
+    if (attempt.passed) {
+        if (!courseProgress.completedQuizzes.some(id => id.toString() === attempt.subSection.toString())) {
+            courseProgress.completedQuizzes.push(attempt.subSection);
+        }
+        if (!courseProgress.passedQuizzes.some(id => id.toString() === attempt.subSection.toString())) {
+            courseProgress.passedQuizzes.push(attempt.subSection);
+        }
+    }
+
+    await courseProgress.save();
+    return courseProgress;
+};
+
+// Grade an in-progress attempt and record it. Expired attempts are graded
+// from whatever answers were saved before time ran out, and attempts with
+// written answers to grade are recorded once an instructor releases them.
+// Resolves to null when another request already finished the attempt.
+const finishAttempt = async (attempt, quiz, submittedAnswers, status = 'submitted', questionTimes = null) => {
+    const answers = keepUploadedFiles(getServedQuestions(attempt, quiz), submittedAnswers, attempt.uploads);
+
+    // Claim the attempt first so a double submit can't grade it twice
+    const claimed = await QuizAttempt.findOneAndUpdate(
+        { _id: attempt._id, status: 'inProgress' },
+        { $set: { status, answers, submittedAt: new Date(), ...(questionTimes ? { questionTimes } : {}) } },
+        { new: true }
+    );
+    if (!claimed) {
+        return null;
+    }
+
+    let graded;
+    try {
+        graded = await gradeQuizAnswers(getServedQuestions(claimed, quiz), answers, claimed.user.toString());
+    } catch (error) {
+        // Let the student submit again
+        await QuizAttempt.updateOne({ _id: claimed._id }, { $set: { status: 'inProgress', submittedAt: null } });
+        throw error;
+    }
+
+    claimed.score = graded.score;
+    claimed.totalMarks = graded.totalMarks;
+    claimed.percentage = graded.percentage;
+    claimed.autoScore = graded.score;
+    claimed.reviewQuestions = graded.reviewQuestions;
+    claimed.gradingStatus = graded.reviewQuestions.length ? 'pending' : 'auto';
+    claimed.passed = claimed.gradingStatus === 'auto' && graded.percentage >= quiz.passPercentage;
+    claimed.codeResults = graded.codeResults.map(result => ({
+        ...result,
+        testResults: toStoredTestResults(result.testResults)
+    }));
+    await claimed.save();
+
+    if (claimed.gradingStatus === 'auto') {
+        await recordQuizResult(claimed, quiz);
+    }
+
+    return { attempt: claimed, codeResults: graded.codeResults };
+};
+
+// Add the instructor's grades to an attempt waiting for them, record the final
+// result and let the student know. Resolves to null when the attempt was
+// already released.
+const releaseAttemptGrades = async (attempt, quiz) => {
+    const manualScore = attempt.manualGrades.reduce((sum, grade) => sum + grade.score, 0);
+    const score = Math.round((attempt.autoScore + manualScore) * 100) / 100;
+    const percentage = attempt.totalMarks > 0 ? (score / attempt.totalMarks) * 100 : 0;
+    const passed = percentage >= quiz.passPercentage;
+
+    // Claim the release so two graders can't record the result twice
+    const released = await QuizAttempt.findOneAndUpdate(
+        { _id: attempt._id, gradingStatus: 'pending' },
+        { $set: { gradingStatus: 'graded', score, percentage, passed, releasedAt: new Date() } },
+        { new: true }
+    );
+    if (!released) {
+        return null;
+    }
+
+    await recordQuizResult(released, quiz);
+    await createQuizGradedNotification(released, quiz);
+
+    return released;
+};
+
+// Grade the student's attempts whose time ran out without a submission
+const expireOverdueAttempts = async (userId, quiz) => {
+    const overdue = await QuizAttempt.find({
+        user: userId,
+        quiz: quiz._id,
+        status: 'inProgress',
+        deadline: { $lt: new Date(Date.now() - SUBMIT_GRACE_MS) }
+    });
+
+    for (const attempt of overdue) {
+        await finishAttempt(attempt, quiz, attempt.answers || {}, 'expired');
+    }
+    return overdue.length;
+};
+
+// Admins review every course's quizzes; instructors those of the courses they teach
+const getGradableCourseFilter = async (user) => {
+    if (user.accountType === 'Admin') {
+        return {};
+    }
+    const courses = await Course.find({ instructor: user.id }).select('_id');
+    return { course: { $in: courses.map(course => course._id) } };
+};
+
+const findGradableAttempt = async (attemptId, user) => QuizAttempt.findOne({
+    _id: attemptId,
+    ...(await getGradableCourseFilter(user))
+});
+
+// The quiz, when it is in a course the user may review, else null
+const findReviewableQuiz = async (quizId, user) => {
+    const quiz = await Quiz.findById(quizId).lean();
+    const { course } = await getGradableCourseFilter(user);
+    if (!quiz || !course) {
+        return quiz;
+    }
+    const subSections = await SubSection.find({ quiz: quiz._id }).select('_id');
+    const sections = await Section.find({ subSection: { $in: subSections.map(subSection => subSection._id) } }).select('_id');
+    const inCourse = await Course.exists({ _id: course, courseContent: { $in: sections.map(section => section._id) } });
+    return inCourse ? quiz : null;
+};
+
+module.exports = {
+    SUBMIT_GRACE_MS,
+    isPastGrace,
+    isTimeUp,
+    getRetakePolicy,
+    getServedQuestions,
+    toQuestionTimes,
+    recordQuizResult,
+    finishAttempt,
+    releaseAttemptGrades,
+    expireOverdueAttempts,
+    getGradableCourseFilter,
+    findGradableAttempt,
+    findReviewableQuiz
+};
@@ -0,0 +1,264 @@
+const { gradeCodeQuestion } = require('./codeGrading');
+
+// Whether the answers hold an answer to the question
+const isQuestionAnswered = (question, answers) => {
+    const questionId = question._id.toString();
+    const answer = answers[questionId];
+    switch (question.questionType) {
+        case 'codeSolve':
+            return Boolean(answer) && typeof answer.code === 'string' && answer.code.trim() !== '';
+        case 'matchTheFollowing':
+            // Every pair must be matched
+            return question.options.every((_, optionIndex) =>
+                answers[`${questionId}_${optionIndex}`] !== undefined &&
+                answers[`${questionId}_${optionIndex}`] !== ''
+            );
+        case 'multipleChoice':
+            return Array.isArray(answer) && answer.length > 0;
+        case 'singleAnswer':
+            return answer !== undefined && answer !== null;
+        case 'cloze':
+            // Every blank must be filled in
+            return Array.isArray(answer) && (question.blanks || []).every((_, blankIndex) =>
+                typeof answer[blankIndex] === 'string' && answer[blankIndex].trim() !== ''
+            );
+        case 'ordering':
+            return Array.isArray(answer) && answer.length === question.options.length;
+        case 'numeric':
+            return Boolean(answer) && String(answer.value ?? '').trim() !== '';
+        case 'fileUpload':
+            return Boolean(answer) && typeof answer.url === 'string' && answer.url !== '';
+        default:
+            return answer !== undefined && answer !== null &&
+                (typeof answer === 'string' ? answer.trim() !== '' : true);
+    }
+};
+
+// Answers an instructor grades: every long answer and uploaded file, and short
+// answers set for manual grading or without keywords to match
+const needsManualGrading = (question) =>
+    ['longAnswer', 'fileUpload'].includes(question.questionType) ||
+    (question.questionType === 'shortAnswer' && (question.manualGrading || !question.keywords?.length));
+
+// Whether an answered multiple choice, single answer, match or keyword-graded
+// short answer question was answered correctly
+const isAnswerCorrect = (question, answers) => {
+    const questionId = question._id.toString();
+    const answer = answers[questionId];
+
+    let isCorrect = false;
+    if (question.questionType === 'matchTheFollowing') {
+        // Check if ALL matches are correct - if any one is wrong, entire question is wrong
+        isCorrect = question.options.every((_, optionIndex) =>
+            // The correct answer should match the option index
+            parseInt(answers[`${questionId}_${optionIndex}`]) === optionIndex
+        );
+    } else if (question.questionType === 'multipleChoice') {
+        if (question.correctAnswers && question.correctAnswers.length > 0) {
+            // Check if selected answers match correct answers
+            const selectedIndices = [...answer].sort();
+            const correctIndices = [...question.correctAnswers].sort();
+            isCorrect = selectedIndices.length === correctIndices.length &&
+                selectedIndices.every((val, index) => val === correctIndices[index]);
+        }
+    } else if (question.questionType === 'singleAnswer') {
+        isCorrect = Number(answer) === Number(question.correctAnswer);
+    } else if (question.questionType === 'shortAnswer') {
+        // For short answer questions, check if at least 50% of keywords match
+        const studentAnswer = String(answer).toLowerCase();
+        const matchedKeywords = question.keywords.filter(keyword =>
+            studentAnswer.includes(keyword.toLowerCase())
+        );
+        isCorrect = matchedKeywords.length >= Math.ceil(question.keywords.length * 0.5);
+    }
+
+    return isCorrect;
+};
+
+const normalizeBlank = (value, caseSensitive) => {
+    const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+    return caseSensitive ? text : text.toLowerCase();
+};
+
+// Blanks of a cloze answer matching one of their accepted answers
+const countCorrectBlanks = (question, answer) => (question.blanks || []).filter((blank, blankIndex) =>
+    blank.answers.some(accepted =>
+        normalizeBlank(accepted, question.caseSensitive) === normalizeBlank(answer[blankIndex], question.caseSensitive)
+    )
+).length;
+
+// Items of an ordering answer in their right place. The answer lists the
+// items as served; optionOrder maps them back to the authored order.
+const countItemsInPlace = (question, answer) => {
+    const served = answer.map(Number);
+    const isPermutation = new Set(served).size === served.length &&
+        served.every(index => Number.isInteger(index) && index >= 0 && index < question.options.length);
+    if (!isPermutation) {
+        return 0;
+    }
+    return served.filter((index, position) =>
+        (question.optionOrder?.length ? question.optionOrder[index] : index) === position
+    ).length;
+};
+
+// Whether a numeric answer, converted from the unit it was given in, is within the tolerance
+const isNumericAnswerCorrect = (question, answer) => {
+    const value = Number(String(answer.value).trim());
+    if (!Number.isFinite(value) || question.numericAnswer === undefined || question.numericAnswer === null) {
+        return false;
+    }
+
+    let factor = 1;
+    if (question.units?.length) {
+        const unit = question.units.find(candidate => candidate.name === String(answer.unit ?? '').trim());
+        if (!unit) {
+            return false;
+        }
+        factor = unit.factor;
+    }
+
+    const allowed = question.toleranceType === 'relative'
+        ? Math.abs(question.numericAnswer) * (question.tolerance || 0) / 100
+        : (question.tolerance || 0);
+    // Leave room for floating point noise in the conversion
+    return Math.abs(value * factor - question.numericAnswer) <= allowed + 1e-9 * Math.max(1, Math.abs(question.numericAnswer));
+};
+
+// Share of the marks an answered, automatically graded question earns: all or
+// nothing, except for cloze and ordering questions with partial credit
+const getAnswerShare = (question, answers) => {
+    const answer = answers[question._id.toString()];
+    switch (question.questionType) {
+        case 'cloze': {
+            const blankCount = (question.blanks || []).length;
+            const correct = countCorrectBlanks(question, answer);
+            if (!blankCount) return 0;
+            if (question.partialCredit) return correct / blankCount;
+            return correct === blankCount ? 1 : 0;
+        }
+        case 'ordering': {
+            const inPlace = countItemsInPlace(question, answer);
+            if (question.partialCredit) return inPlace / question.options.length;
+            return inPlace === question.options.length ? 1 : 0;
+        }
+        case 'numeric':
+            return isNumericAnswerCorrect(question, answer) ? 1 : 0;
+        default:
+            return isAnswerCorrect(question, answers) ? 1 : 0;
+    }
+};
+
+// Marks earned by the answer to one question, with the test results of codeSolve
+// questions. Answers for manual grading earn nothing until an instructor grades them.
+const gradeQuestion = async (question, answers, userId) => {
+    if (!isQuestionAnswered(question, answers)) {
+        return { score: 0, codeResult: null, needsReview: false };
+    }
+
+    if (needsManualGrading(question)) {
+        return { score: 0, codeResult: null, needsReview: true };
+    }
+
+    const questionId = question._id.toString();
+    const answer = answers[questionId];
+
+    if (question.questionType === 'codeSolve') {
+        try {
+            const graded = await gradeCodeQuestion(question, answer, userId);
+            return {
+                score: graded.score,
+                needsReview: false,
+                codeResult: {
+                    question: question._id,
+                    score: graded.score,
+                    marks: question.marks,
+                    testResults: graded.testResults
+                }
+            };
+        } catch (error) {
+            console.error('Code execution error:', error);
+            return { score: 0, codeResult: null, needsReview: false };
+        }
+    }
+
+    const score = Math.round(getAnswerShare(question, answers) * question.marks * 100) / 100;
+    return { score, codeResult: null, needsReview: false };
+};
+
+// Numbers (1-based) of the required questions without an answer
+const findUnansweredQuestions = (questions, answers) => questions.reduce((unanswered, question, index) => {
+    if (question.required && !isQuestionAnswered(question, answers)) {
+        unanswered.push(index + 1);
+    }
+    return unanswered;
+}, []);
+
+// Grade every question of a quiz attempt. Unanswered questions earn nothing;
+// reviewQuestions lists the answers left for an instructor to grade.
+const gradeQuizAnswers = async (questions, answers, userId) => {
+    let score = 0;
+    let totalMarks = 0;
+    const codeResults = [];
+    const reviewQuestions = [];
+
+    for (const question of questions) {
+        totalMarks += question.marks;
+        const graded = await gradeQuestion(question, answers, userId);
+        score += graded.score;
+        if (graded.codeResult) {
+            codeResults.push(graded.codeResult);
+        }
+        if (graded.needsReview) {
+            reviewQuestions.push(question._id);
+        }
+    }
+
+    // Partial marks of code questions can leave float noise in the sum
+    score = Math.round(score * 100) / 100;
+    const percentage = totalMarks > 0 ? (score / totalMarks) * 100 : 0;
+
+    return { score, totalMarks, percentage, codeResults, reviewQuestions };
+};
+
+// Check an instructor's grade for a written answer, resolving to an error message or null.
+// Questions with a rubric are scored per criterion; others get a single score.
+const getManualGradeError = (question, { score, rubricScores, feedback }) => {
+    if (feedback !== undefined && typeof feedback !== 'string') {
+        return 'Feedback must be text';
+    }
+    if (question.rubric?.length) {
+        if (!Array.isArray(rubricScores) || rubricScores.length !== question.rubric.length) {
+            return 'Give a score for every rubric criterion';
+        }
+        const invalid = question.rubric.findIndex((criterion, index) =>
+            !(Number(rubricScores[index]) >= 0 && Number(rubricScores[index]) <= criterion.marks)
+        );
+        if (invalid !== -1) {
+            return `Score for "${question.rubric[invalid].criterion}" must be between 0 and ${question.rubric[invalid].marks}`;
+        }
+        return null;
+    }
+    if (!(Number(score) >= 0 && Number(score) <= question.marks)) {
+        return `Score must be between 0 and ${question.marks}`;
+    }
+    return null;
+};
+
+// Marks an instructor's grade is worth; rubric totals can't exceed the question's marks
+const getManualGradeScore = (question, { score, rubricScores }) => {
+    if (question.rubric?.length) {
+        const total = rubricScores.reduce((sum, value) => sum + Number(value), 0);
+        return Math.min(Math.round(total * 100) / 100, question.marks);
+    }
+    return Number(score);
+};
+
+module.exports = {
+    isQuestionAnswered,
+    getAnswerShare,
+    needsManualGrading,
+    findUnansweredQuestions,
+    gradeQuizAnswers,
+    getManualGradeError,
+    getManualGradeScore
+};
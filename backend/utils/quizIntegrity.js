@@ -0,0 +1,55 @@
+// Signals of a quiz attempt that may point at outside help. Every one counts
+// as a violation of the quiz's integrity policy.
+const INTEGRITY_EVENTS = ['tabSwitch', 'blur', 'paste', 'fullscreenExit'];
+const INTEGRITY_POLICIES = ['record', 'warn', 'autoSubmit'];
+
+// Most events kept on one attempt, and accepted in one report
+const MAX_ATTEMPT_EVENTS = 500;
+const MAX_REPORTED_EVENTS = 50;
+
+// Check the integrity policy of a quiz, resolving to an error message or null
+const getIntegrityPolicyError = ({ integrityPolicy, maxViolations, requireFullscreen }) => {
+    if (integrityPolicy !== undefined && !INTEGRITY_POLICIES.includes(integrityPolicy)) {
+        return 'Integrity policy must be record, warn or autoSubmit';
+    }
+    if (maxViolations !== undefined && !(Number.isInteger(maxViolations) && maxViolations >= 1)) {
+        return 'Violations before auto-submit must be a whole number of at least 1';
+    }
+    if (requireFullscreen !== undefined && typeof requireFullscreen !== 'boolean') {
+        return 'requireFullscreen must be true or false';
+    }
+    return null;
+};
+
+// Keep the events a browser reports when they are plausible: known kinds, at
+// times within the attempt. Events without a time are stamped now.
+const toIntegrityEvents = (attempt, events, now = new Date()) => {
+    if (!Array.isArray(events)) {
+        return [];
+    }
+    return events
+        .filter(event => event && INTEGRITY_EVENTS.includes(event.kind))
+        .slice(0, MAX_REPORTED_EVENTS)
+        .map(event => {
+            const at = event.at ? new Date(event.at) : now;
+            return {
+                kind: event.kind,
+                question: /^[a-f\d]{24}$/i.test(String(event.question)) ? event.question : undefined,
+                at: Number.isNaN(at.getTime()) || at < attempt.startedAt || at > now ? now : at
+            };
+        });
+};
+
+// How many events of each kind an attempt has
+const countIntegrityEvents = (events = []) => INTEGRITY_EVENTS.reduce((counts, kind) => ({
+    ...counts,
+    [kind]: events.filter(event => event.kind === kind).length
+}), {});
+
+module.exports = {
+    INTEGRITY_EVENTS,
+    MAX_ATTEMPT_EVENTS,
+    getIntegrityPolicyError,
+    toIntegrityEvents,
+    countIntegrityEvents
+};
@@ -0,0 +1,210 @@
+const { isQuestionAnswered, getAnswerShare, needsManualGrading } = require('./quizGrading');
+const { getServedQuestions } = require('./quizAttemptUtils');
+
+// Share of students in each of the upper and lower scoring groups
+const GROUP_SHARE = 0.27;
+// Fewer students than this can't be split into meaningful groups
+const MIN_DISCRIMINATION_RESPONDENTS = 5;
+
+const round = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Marks the answer earned as a share of the question's marks, or null when an
+// instructor hasn't graded it yet
+const getScoreShare = (question, attempt) => {
+    const questionId = question._id.toString();
+    const answers = attempt.answers || {};
+    if (!question.marks) {
+        return null;
+    }
+    if (question.questionType === 'codeSolve') {
+        const codeResult = (attempt.codeResults || []).find(result => String(result.question) === questionId);
+        return codeResult ? codeResult.score / question.marks : 0;
+    }
+    if (!isQuestionAnswered(question, answers)) {
+        return 0;
+    }
+    if (needsManualGrading(question)) {
+        const grade = (attempt.manualGrades || []).find(item => String(item.question) === questionId);
+        return grade ? grade.score / question.marks : null;
+    }
+    return getAnswerShare(question, answers);
+};
+
+// Option indexes a student picked, in the question's own option order
+const getSelectedOptions = (question, answers) => {
+    const answer = answers[question._id.toString()];
+    const selected = question.questionType === 'multipleChoice'
+        ? (Array.isArray(answer) ? answer : [])
+        : (answer === undefined || answer === null || answer === '' ? [] : [answer]);
+    return selected
+        .map(Number)
+        .filter(index => Number.isInteger(index) && index >= 0 && index < question.options.length)
+        .map(index => (question.optionOrder?.length ? question.optionOrder[index] : index));
+};
+
+// The question as authored, undoing any option shuffle of the attempt it was served in
+const toSourceQuestion = (question) => {
+    const plain = question.toObject ? question.toObject() : question;
+    if (!plain.optionOrder?.length) {
+        return plain;
+    }
+    const options = [];
+    plain.optionOrder.forEach((sourceIndex, shownIndex) => {
+        options[sourceIndex] = plain.options[shownIndex];
+    });
+    return {
+        ...plain,
+        options,
+        correctAnswers: (plain.correctAnswers || []).map(index => plain.optionOrder[index]),
+        correctAnswer: plain.correctAnswer === null || plain.correctAnswer === undefined
+            ? plain.correctAnswer
+            : plain.optionOrder[plain.correctAnswer]
+    };
+};
+
+const newItem = (question, quiz) => {
+    const source = toSourceQuestion(question);
+    const fixedIndex = quiz.questions.findIndex(fixed => fixed._id.toString() === source._id.toString());
+    const isChoice = ['multipleChoice', 'singleAnswer'].includes(source.questionType);
+    return {
+        question: source._id,
+        // Questions drawn from banks have no fixed place in the quiz
+        questionNumber: fixedIndex === -1 ? null : fixedIndex + 1,
+        fromBank: fixedIndex === -1,
+        questionText: source.questionText,
+        questionType: source.questionType,
+        marks: source.marks,
+        responses: 0,
+        answered: 0,
+        shares: [],
+        upperShares: [],
+        lowerShares: [],
+        times: [],
+        options: isChoice ? source.options.map((text, index) => ({
+            text,
+            correct: source.questionType === 'multipleChoice'
+                ? (source.correctAnswers || []).includes(index)
+                : source.correctAnswer === index,
+            count: 0
+        })) : null,
+        testCases: source.questionType === 'codeSolve' ? (source.testCases || []).map((testCase, index) => ({
+            id: String(testCase._id),
+            number: index + 1,
+            hidden: Boolean(testCase.isHidden),
+            runs: 0,
+            passed: 0
+        })) : null
+    };
+};
+
+// Rules of thumb for questions worth a second look
+const getFlags = ({ responses, difficultyIndex, discriminationIndex, options }) => {
+    const flags = [];
+    if (responses === 0 || difficultyIndex === null) {
+        return flags;
+    }
+    if (difficultyIndex < 0.3) flags.push('tooHard');
+    if (difficultyIndex > 0.9) flags.push('tooEasy');
+    if (discriminationIndex !== null) {
+        if (discriminationIndex < 0) flags.push('negativeDiscrimination');
+        else if (discriminationIndex < 0.2) flags.push('lowDiscrimination');
+    }
+    if (options && responses >= MIN_DISCRIMINATION_RESPONDENTS &&
+        options.some(option => !option.correct && option.count === 0)) {
+        flags.push('unusedDistractor');
+    }
+    return flags;
+};
+
+// Per-question statistics of a quiz from the results students have on record.
+// respondents: [{ percentage, passed, attempt }] with the attempt each result came from.
+// Difficulty is the average share of marks earned (1 is easiest); discrimination
+// compares it between the top and bottom 27% of students by quiz score.
+const analyzeQuizItems = (quiz, respondents) => {
+    const ranked = [...respondents].sort((a, b) => b.percentage - a.percentage);
+    const groupSize = ranked.length >= MIN_DISCRIMINATION_RESPONDENTS
+        ? Math.max(1, Math.round(ranked.length * GROUP_SHARE))
+        : 0;
+    const upper = new Set(ranked.slice(0, groupSize));
+    const lower = new Set(groupSize ? ranked.slice(-groupSize) : []);
+
+    const items = new Map();
+    quiz.questions.forEach(question => items.set(question._id.toString(), newItem(question, quiz)));
+
+    for (const respondent of ranked) {
+        const { attempt } = respondent;
+        const answers = attempt.answers || {};
+        for (const question of getServedQuestions(attempt, quiz)) {
+            const questionId = question._id.toString();
+            if (!items.has(questionId)) {
+                items.set(questionId, newItem(question, quiz));
+            }
+            const item = items.get(questionId);
+            item.responses++;
+            if (isQuestionAnswered(question, answers)) {
+                item.answered++;
+            }
+
+            const share = getScoreShare(question, attempt);
+            if (share !== null) {
+                item.shares.push(share);
+                if (upper.has(respondent)) item.upperShares.push(share);
+                if (lower.has(respondent)) item.lowerShares.push(share);
+            }
+
+            const seconds = attempt.questionTimes?.[questionId];
+            if (Number.isFinite(seconds)) {
+                item.times.push(seconds);
+            }
+
+            if (item.options && question.options?.length) {
+                getSelectedOptions(question, answers).forEach(index => {
+                    if (item.options[index]) item.options[index].count++;
+                });
+            }
+
+            if (item.testCases) {
+                const codeResult = (attempt.codeResults || []).find(result => String(result.question) === questionId);
+                (codeResult?.testResults || []).forEach(testResult => {
+                    const testCase = item.testCases.find(candidate => candidate.id === String(testResult.testCase));
+                    if (testCase) {
+                        testCase.runs++;
+                        if (testResult.passed) testCase.passed++;
+                    }
+                });
+            }
+        }
+    }
+
+    const questions = [...items.values()].map(({ shares, upperShares, lowerShares, times, ...item }) => {
+        const difficultyIndex = round(average(shares));
+        const discriminationIndex = upperShares.length && lowerShares.length
+            ? round(average(upperShares) - average(lowerShares))
+            : null;
+        const stats = {
+            ...item,
+            difficultyIndex,
+            discriminationIndex,
+            averageScore: round(difficultyIndex === null ? null : average(shares) * item.marks),
+            averageTimeSeconds: round(average(times), 0),
+            testCases: item.testCases && item.testCases.map(({ id, ...testCase }) => ({
+                ...testCase,
+                passRate: testCase.runs ? round(testCase.passed / testCase.runs) : null
+            }))
+        };
+        return { ...stats, flags: getFlags(stats) };
+    });
+
+    return {
+        respondents: ranked.length,
+        groupSize,
+        averagePercentage: round(average(ranked.map(respondent => respondent.percentage)), 1),
+        passRate: ranked.length ? round(ranked.filter(respondent => respondent.passed).length / ranked.length) : null,
+        questions: questions.sort((a, b) => (a.questionNumber ?? Infinity) - (b.questionNumber ?? Infinity))
+    };
+};
+
+module.exports = {
+    analyzeQuizItems
+};
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const QuestionBank = require('../models/questionBank');
+const Course = require('../models/course');
+const { getCodeGradingError, hideQuizAnswers } = require('./codeGrading');
+
+const VALID_LANGUAGES = ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'rust', 'ruby', 'csharp', 'kotlin', 'typescript', 'sql', 'open'];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Most questions one attempt may draw from question banks
+const MAX_DRAWN_QUESTIONS = 25;
+
+// Files students may upload as answers, all of which S3 uploads accept
+const ANSWER_FILE_TYPES = ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png', 'gif', 'webp'];
+const MAX_ANSWER_FILE_MB = 50;
+
+// Blank markers of cloze question text: [[1]], [[2]], ...
+const BLANK_MARKER = /\[\[(\d+)\]\]/g;
+const MAX_BLANKS = 20;
+const MAX_ORDERING_ITEMS = 10;
+
+// Rubrics are for answers an instructor grades, and share out all of the question's marks
+const getRubricError = (question) => {
+    if (!['longAnswer', 'shortAnswer', 'fileUpload'].includes(question.questionType)) {
+        return 'Only long answer, short answer and file upload questions can have a rubric';
+    }
+    if (!Array.isArray(question.rubric) ||
+        question.rubric.some(item => !item?.criterion?.trim() || !(Number(item.marks) >= 0))) {
+        return 'Every rubric criterion needs a description and marks';
+    }
+    const rubricMarks = question.rubric.reduce((sum, item) => sum + Number(item.marks), 0);
+    if (Math.abs(rubricMarks - (question.marks ?? 1)) > 1e-9) {
+        return `Rubric marks must add up to the question's ${question.marks ?? 1} marks`;
+    }
+    return null;
+};
+
+// Check the blanks of a cloze question against the markers in its text
+const getClozeError = (question) => {
+    const blanks = question.blanks;
+    if (!Array.isArray(blanks) || blanks.length === 0 || blanks.length > MAX_BLANKS) {
+        return `Fill in the blank questions need between 1 and ${MAX_BLANKS} blanks`;
+    }
+    const markers = [...String(question.questionText || '').matchAll(BLANK_MARKER)].map(match => Number(match[1]));
+    const expected = blanks.map((_, index) => index + 1);
+    if (markers.length !== blanks.length || expected.some(number => !markers.includes(number))) {
+        return `Mark each blank once in the question text, as [[1]] to [[${blanks.length}]]`;
+    }
+    if (blanks.some(blank => !Array.isArray(blank?.answers) ||
+        !blank.answers.length ||
+        blank.answers.some(answer => typeof answer !== 'string' || !answer.trim()))) {
+        return 'Every blank needs at least one accepted answer';
+    }
+    return null;
+};
+
+const getOrderingError = (question) => {
+    const items = question.options;
+    if (!Array.isArray(items) || items.length < 2 || items.length > MAX_ORDERING_ITEMS) {
+        return `Ordering questions need between 2 and ${MAX_ORDERING_ITEMS} items`;
+    }
+    if (items.some(item => typeof item !== 'string' || !item.trim())) {
+        return 'Every item to order needs text';
+    }
+    if (new Set(items.map(item => item.trim())).size !== items.length) {
+        return 'Items to order must all be different';
+    }
+    return null;
+};
+
+const getNumericError = (question) => {
+    if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+        return 'Numeric questions need a numeric answer';
+    }
+    if (question.tolerance !== undefined && !(typeof question.tolerance === 'number' && question.tolerance >= 0)) {
+        return 'Tolerance must be zero or more';
+    }
+    if (question.toleranceType !== undefined && !['absolute', 'relative'].includes(question.toleranceType)) {
+        return 'Tolerance must be absolute or relative';
+    }
+    if (question.units !== undefined) {
+        if (!Array.isArray(question.units) ||
+            question.units.some(unit => !unit?.name?.trim() || !(typeof unit.factor === 'number' && unit.factor > 0))) {
+            return 'Every unit needs a name and a conversion factor above zero';
+        }
+        if (new Set(question.units.map(unit => unit.name.trim())).size !== question.units.length) {
+            return 'Units must all have different names';
+        }
+    }
+    return null;
+};
+
+const getFileUploadError = (question) => {
+    const types = question.allowedFileTypes;
+    if (!Array.isArray(types) || types.length === 0 || types.some(type => !ANSWER_FILE_TYPES.includes(type))) {
+        return `Allowed file types must be some of ${ANSWER_FILE_TYPES.join(', ')}`;
+    }
+    if (question.maxFileSizeMB !== undefined &&
+        !(typeof question.maxFileSizeMB === 'number' && question.maxFileSizeMB >= 1 && question.maxFileSizeMB <= MAX_ANSWER_FILE_MB)) {
+        return `Largest file size must be between 1 and ${MAX_ANSWER_FILE_MB}MB`;
+    }
+    return null;
+};
+
+const typeErrorCheckers = {
+    cloze: getClozeError,
+    ordering: getOrderingError,
+    numeric: getNumericError,
+    fileUpload: getFileUploadError
+};
+
+// Check the questions of a quiz or question bank, resolving to an error message or null
+const getQuestionsError = (questions) => {
+    for (const question of questions) {
+        if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+            return 'Difficulty must be easy, medium or hard';
+        }
+        if (question.tags !== undefined && !Array.isArray(question.tags)) {
+            return 'Question tags must be a list';
+        }
+        if (question.rubric !== undefined && question.rubric.length) {
+            const rubricError = getRubricError(question);
+            if (rubricError) {
+                return rubricError;
+            }
+        }
+
+        const getTypeError = typeErrorCheckers[question.questionType];
+        if (getTypeError) {
+            const typeError = getTypeError(question);
+            if (typeError) {
+                return typeError;
+            }
+            continue;
+        }
+
+        if (question.questionType !== 'codeSolve') {
+            continue;
+        }
+
+        if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
+            return 'Code solving questions must have at least one test case';
+        }
+
+        // Validate test cases
+        for (const testCase of question.testCases) {
+            if (!testCase.expectedOutput || testCase.expectedOutput.trim() === '') {
+                return 'All test cases must have expected output';
+            }
+        }
+
+        // Validate programming language
+        if (!question.programmingLanguage || !VALID_LANGUAGES.includes(question.programmingLanguage)) {
+            return 'Code solving questions must have a valid programming language';
+        }
+
+        const gradingError = getCodeGradingError(question);
+        if (gradingError) {
+            return gradingError;
+        }
+    }
+    return null;
+};
+
+// Banks a user may see and draw from: admins see every bank; instructors see
+// their own, shared ones without a course and those of the courses they teach
+const getVisibleBankFilter = async (user) => {
+    if (user.accountType === 'Admin') {
+        return {};
+    }
+    const courses = await Course.find({ instructor: user.id }).select('_id');
+    return {
+        $or: [
+            { createdBy: user.id },
+            { course: null },
+            { course: { $in: courses.map(course => course._id) } }
+        ]
+    };
+};
+
+// Whether a bank question may be picked by a draw
+const matchesDraw = (question, draw) =>
+    (!draw.difficulty || draw.difficulty === 'any' || question.difficulty === draw.difficulty) &&
+    (!draw.tags?.length || draw.tags.some(tag => (question.tags || []).includes(tag)));
+
+// Check the question draws of a quiz, and that the banks hold enough matching
+// questions, resolving to an error message or null
+const getQuestionDrawsError = async (draws, user) => {
+    if (!Array.isArray(draws)) {
+        return 'Question draws must be a list';
+    }
+
+    let total = 0;
+    for (const draw of draws) {
+        if (!draw.bank) {
+            return 'Every question draw needs a question bank';
+        }
+        if (!Number.isInteger(draw.count) || draw.count < 1) {
+            return 'Every question draw must pick at least one question';
+        }
+        if (draw.difficulty !== undefined && !['any', ...DIFFICULTIES].includes(draw.difficulty)) {
+            return 'Draw difficulty must be any, easy, medium or hard';
+        }
+        if (draw.tags !== undefined && !Array.isArray(draw.tags)) {
+            return 'Draw tags must be a list';
+        }
+        total += draw.count;
+    }
+    if (total > MAX_DRAWN_QUESTIONS) {
+        return `A quiz can draw at most ${MAX_DRAWN_QUESTIONS} questions from question banks`;
+    }
+
+    const bankIds = [...new Set(draws.map(draw => draw.bank.toString()))];
+    const banks = await QuestionBank.find({ _id: { $in: bankIds }, ...(await getVisibleBankFilter(user)) });
+    if (banks.length !== bankIds.length) {
+        return 'Question bank not found';
+    }
+
+    // Draws from one bank never pick the same question twice
+    for (const bank of banks) {
+        const bankDraws = draws.filter(draw => draw.bank.toString() === bank._id.toString());
+        for (const draw of bankDraws) {
+            if (bank.questions.filter(question => matchesDraw(question, draw)).length < draw.count) {
+                return `Question bank "${bank.title}" does not have ${draw.count} matching questions`;
+            }
+        }
+        const available = bank.questions.filter(question => bankDraws.some(draw => matchesDraw(question, draw))).length;
+        const needed = bankDraws.reduce((sum, draw) => sum + draw.count, 0);
+        if (available < needed) {
+            return `Question bank "${bank.title}" does not have ${needed} matching questions`;
+        }
+    }
+    return null;
+};
+
+// Fisher-Yates shuffle into a new array
+const shuffle = (items) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+const toPlainQuestion = (question) => (question.toObject ? question.toObject() : { ...question });
+
+// Shuffle a question's options, moving the correct answers along with them
+const shuffleOptions = (question) => {
+    if (!['multipleChoice', 'singleAnswer', 'matchTheFollowing', 'ordering'].includes(question.questionType) || !question.options?.length) {
+        return question;
+    }
+
+    let optionOrder = shuffle(question.options.map((_, index) => index));
+    // Items to order are never served in their answer order
+    while (question.questionType === 'ordering' && optionOrder.length > 1 && optionOrder.every((sourceIndex, index) => sourceIndex === index)) {
+        optionOrder = shuffle(optionOrder);
+    }
+    const shuffled = {
+        ...question,
+        options: optionOrder.map(index => question.options[index]),
+        optionOrder
+    };
+
+    if (question.questionType === 'ordering') {
+        return shuffled;
+    }
+    if (question.questionType === 'matchTheFollowing') {
+        // Pairs stay together, only their order changes
+        shuffled.answers = optionOrder.map(index => question.answers?.[index]);
+        shuffled.correctAnswers = optionOrder.map((_, index) => index);
+    } else {
+        shuffled.correctAnswers = (question.correctAnswers || []).map(index => optionOrder.indexOf(index));
+        if (question.correctAnswer !== undefined && question.correctAnswer !== null) {
+            shuffled.correctAnswer = optionOrder.indexOf(question.correctAnswer);
+        }
+    }
+    return shuffled;
+};
+
+// The questions one attempt is served: the quiz's fixed questions, then the
+// ones drawn from its banks, shuffled when the quiz asks for it
+const buildAttemptQuestions = async (quiz) => {
+    const questions = quiz.questions.map(toPlainQuestion);
+    const servedIds = new Set(questions.map(question => question._id.toString()));
+
+    if (quiz.questionDraws?.length) {
+        const banks = await QuestionBank.find({ _id: { $in: quiz.questionDraws.map(draw => draw.bank) } });
+        for (const draw of quiz.questionDraws) {
+            const bank = banks.find(candidate => candidate._id.toString() === draw.bank.toString());
+            const pool = (bank?.questions || []).filter(question =>
+                matchesDraw(question, draw) && !servedIds.has(question._id.toString())
+            );
+            if (pool.length < draw.count) {
+                throw new Error(`Question bank "${bank?.title || draw.bank}" no longer has enough questions for this quiz`);
+            }
+            shuffle(pool).slice(0, draw.count).forEach(question => {
+                servedIds.add(question._id.toString());
+                questions.push(toPlainQuestion(question));
+            });
+        }
+    }
+
+    const ordered = quiz.shuffleQuestions ? shuffle(questions) : questions;
+    // Ordering questions are always shuffled, or they would give their answer away
+    return ordered.map(question => (quiz.shuffleOptions || question.questionType === 'ordering'
+        ? shuffleOptions(question)
+        : question));
+};
+
+// A quiz as students may see it outside an attempt: no answers, and items to
+// order never in their authored order, which would give the answer away
+const toStudentQuiz = (quiz) => {
+    const data = quiz.toObject ? quiz.toObject() : { ...quiz };
+    data.questions = (data.questions || []).map(question => (question.questionType === 'ordering'
+        ? shuffleOptions(question)
+        : question));
+    return hideQuizAnswers(data);
+};
+
+module.exports = {
+    DIFFICULTIES,
+    ANSWER_FILE_TYPES,
+    MAX_ANSWER_FILE_MB,
+    getQuestionsError,
+    getVisibleBankFilter,
+    getQuestionDrawsError,
+    shuffleOptions,
+    buildAttemptQuestions,
+    toStudentQuiz
+};
@@ -0,0 +1,226 @@
+const Order = require('../models/order');
+const User = require('../models/user');
+const Course = require('../models/course');
+const Coupon = require('../models/coupon');
+const CourseProgress = require('../models/courseProgress');
+const Bundle = require('../models/bundle');
+const Gift = require('../models/gift');
+const { revokeBundleEnrollment } = require('./bundleUtils');
+const { revokeSubscriptionPeriod } = require('./subscriptionUtils');
+
+const { toMinorUnits, fromMinorUnits } = require('./currencyUtils');
+
+// Refund policy, configurable through the environment
+const getRefundPolicy = () => ({
+    // Days after payment during which a student can ask for a refund
+    windowDays: Number(process.env.REFUND_WINDOW_DAYS || 7),
+    // Students who completed more than this share of the lectures can't ask for a refund
+    maxProgressPercent: Number(process.env.REFUND_MAX_PROGRESS_PERCENT || 20)
+});
+
+// Share of the lectures of one or more courses the student has completed,
+// from CourseProgress.completedVideos
+const getCourseProgressPercent = async (userId, courseIds) => {
+    const ids = Array.isArray(courseIds) ? courseIds : [courseIds];
+    const courses = await Course.find({ _id: { $in: ids } })
+        .populate({ path: 'courseContent', select: 'subSection' });
+
+    const totalLectures = courses.reduce((total, course) => total + (course.courseContent || [])
+        .reduce((sum, section) => sum + (section.subSection?.length || 0), 0), 0);
+
+    if (totalLectures === 0) {
+        return 0;
+    }
+
+    const progress = await CourseProgress.find({ courseID: { $in: ids }, userId });
+    const completed = progress.reduce((total, entry) => total + (entry.completedVideos?.length || 0), 0);
+
+    return Math.round((completed / totalLectures) * 100);
+};
+
+// Courses an order gave access to: its course, or every course of its bundle.
+// Membership and gift orders don't enroll the buyer in any course themselves.
+const getOrderCourseIds = async (order) => {
+    if (order.subscriptionPlan || order.isGift) {
+        return [];
+    }
+    if (order.bundle) {
+        const bundle = await Bundle.findById(order.bundle._id || order.bundle).select('courses');
+        return bundle?.courses || [];
+    }
+    return [order.course?._id || order.course];
+};
+
+// Whether the student can still ask for a refund of this order.
+// Resolves to { eligible, reason, progressPercentage, refundableAmount }.
+const checkRefundEligibility = async (order) => {
+    const policy = getRefundPolicy();
+    const refundableAmount = Math.max(0, (order.amount || 0) - (order.refundedAmount || 0));
+
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus) || !order.status) {
+        return { eligible: false, reason: 'This order is not eligible for a refund', refundableAmount };
+    }
+
+    if (refundableAmount <= 0) {
+        return { eligible: false, reason: 'Nothing left to refund on this order', refundableAmount };
+    }
+
+    if (order.isGift) {
+        const gift = await Gift.findOne({ order: order._id });
+        if (gift?.status === 'redeemed') {
+            return { eligible: false, reason: 'This gift has already been claimed', refundableAmount };
+        }
+        // A gift nobody claimed in time can always be refunded to the buyer
+        if (gift && (gift.status === 'expired' || (gift.status === 'unclaimed' && !gift.isClaimable()))) {
+            return { eligible: true, progressPercentage: 0, refundableAmount };
+        }
+    }
+
+    const paidAt = new Date(order.paidAt || order.purchaseDate);
+    const windowEnds = new Date(paidAt.getTime() + policy.windowDays * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+        return {
+            eligible: false,
+            reason: `Refunds can only be requested within ${policy.windowDays} days of purchase`,
+            refundableAmount
+        };
+    }
+
+    const progressPercentage = await getCourseProgressPercent(order.user, await getOrderCourseIds(order));
+    if (progressPercentage > policy.maxProgressPercent) {
+        return {
+            eligible: false,
+            reason: `Refunds are not available after completing more than ${policy.maxProgressPercent}% of the course`,
+            progressPercentage,
+            refundableAmount
+        };
+    }
+
+    return { eligible: true, progressPercentage, refundableAmount };
+};
+
+// Remove the courses from the student's enrollments
+const revokeEnrollment = async (userId, courseIds) => {
+    await User.findByIdAndUpdate(userId, { $pull: { courses: { $in: courseIds } } });
+    await Course.updateMany(
+        { _id: { $in: courseIds } },
+        { $pull: { studentsEnrolled: userId } }
+    );
+};
+
+// Cancel the gift bought with a refunded order. A gift that was already claimed
+// (only possible through an admin refund) is taken back from the recipient.
+const refundGift = async (order) => {
+    const gift = await Gift.findOne({ order: order._id });
+    if (!gift) {
+        return;
+    }
+
+    if (gift.status === 'redeemed' && gift.redeemedBy) {
+        await Order.updateMany(
+            { user: gift.redeemedBy, transactionId: `GIFT_${gift.code}` },
+            { $set: { status: false } }
+        );
+        await revokeEnrollment(gift.redeemedBy, [gift.course]);
+    }
+
+    gift.status = 'refunded';
+    await gift.save();
+};
+
+// Give back one use of each coupon, reversing recordCouponUsage
+const restoreCouponUsage = async (couponCodes, userId) => {
+    const coupons = await Coupon.find({ code: { $in: couponCodes } });
+
+    for (const coupon of coupons) {
+        coupon.usedCount = Math.max(0, coupon.usedCount - 1);
+
+        const userUsage = coupon.userUsage.find(u => u.user.toString() === userId.toString());
+        if (userUsage) {
+            userUsage.usedCount = Math.max(0, userUsage.usedCount - 1);
+        }
+
+        coupon.analytics.successfulUses = Math.max(0, coupon.analytics.successfulUses - 1);
+
+        await coupon.save();
+    }
+};
+
+// Record a refund against an order: moves it to refunded/partially_refunded and,
+// once the whole amount is back with the student, revokes the enrollment. Coupon
+// usage is restored when every order bought in the same checkout is fully refunded.
+// A gateway refund is only applied once: the admin panel and the gateway's webhook
+// both report it, so its id is claimed on the order atomically first. Resolves to
+// null when the refund was already applied.
+const applyRefund = async (order, amount, gatewayRefundId) => {
+    if (gatewayRefundId) {
+        const claimed = await Order.findOneAndUpdate(
+            { _id: order._id, gatewayRefundIds: { $ne: gatewayRefundId } },
+            { $push: { gatewayRefundIds: gatewayRefundId } },
+            { new: true }
+        );
+        if (!claimed) {
+            return null;
+        }
+        order = claimed;
+    }
+
+    const toPaise = (value) => toMinorUnits(value, order.currency);
+    const refundedInPaise = Math.min(toPaise(order.amount), toPaise(order.refundedAmount || 0) + toPaise(amount));
+    const fullyRefunded = refundedInPaise >= toPaise(order.amount);
+
+    order.refundedAmount = fromMinorUnits(refundedInPaise, order.currency);
+    order.transitionTo(fullyRefunded ? 'refunded' : 'partially_refunded');
+
+    if (fullyRefunded) {
+        order.status = false;
+    }
+
+    await order.save();
+
+    if (!fullyRefunded) {
+        return order;
+    }
+
+    if (order.bundle) {
+        const bundle = await Bundle.findById(order.bundle._id || order.bundle);
+        if (bundle) {
+            await revokeBundleEnrollment(order.user, bundle);
+        }
+    } else if (order.subscriptionPlan) {
+        await revokeSubscriptionPeriod(order);
+    } else if (order.isGift) {
+        await refundGift(order);
+    } else {
+        await revokeEnrollment(order.user, [order.course]);
+    }
+
+    const couponCodes = [...new Set([
+        ...(order.discountBreakdown || []).map(discount => discount.code),
+        ...(order.couponUsed?.code ? [order.couponUsed.code] : [])
+    ])];
+
+    if (couponCodes.length > 0) {
+        const openSiblings = await Order.countDocuments({
+            _id: { $ne: order._id },
+            user: order.user,
+            transactionId: order.transactionId,
+            paymentStatus: { $ne: 'refunded' }
+        });
+
+        if (openSiblings === 0) {
+            await restoreCouponUsage(couponCodes, order.user);
+        }
+    }
+
+    return order;
+};
+
+module.exports = {
+    getRefundPolicy,
+    getCourseProgressPercent,
+    checkRefundEligibility,
+    revokeEnrollment,
+    restoreCouponUsage,
+    applyRefund
+};
@@ -1,4 +1,4 @@
-const { s3Client, BUCKET_NAME, PutObjectCommand, DeleteObjectCommand, getPublicUrl } = require('../config/awsS3');
+const { s3Client, BUCKET_NAME, PutObjectCommand, DeleteObjectCommand, getPublicUrl, getKeyFromUrl, s3PresignClient, getSignedUrl } = require('../config/awsS3');
 const { S3_FOLDERS, FILE_SIZE_LIMITS, ALLOWED_FILE_TYPES, CHUNKED_UPLOAD_CONFIG, getS3FolderForFileType, validateFile, isVideoFile } = require('../config/s3Storage');
 const { uploadVideoInChunks } = require('./s3ChunkedVideoUploader');
 const { extractVideoMetadata } = require('./videoMetadata');
@@ -226,13 +226,7 @@ const deleteFileFromS3 = async (url) => {
 
     try {
         // Extract key from URL
-        let key;
-        if (process.env.AWS_CLOUDFRONT_DOMAIN && url.includes(process.env.AWS_CLOUDFRONT_DOMAIN)) {
-            key = url.split(`https://${process.env.AWS_CLOUDFRONT_DOMAIN}/`)[1];
-        } else {
-            const bucketUrl = `https://${BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/`;
-            key = url.split(bucketUrl)[1];
-        }
+        const key = getKeyFromUrl(url);
 
         if (!key) {
             console.warn('Could not extract S3 key from URL:', url);
@@ -266,7 +260,7 @@ const generateSignedUrl = async (key, contentType, expiresIn = 3600) => {
             CacheControl: 'max-age=31536000'
         });
 
-        const signedUrl = await getSignedUrl(s3Client, command, { expiresIn });
+        const signedUrl = await getSignedUrl(s3PresignClient, command, { expiresIn });
         
         return {
             signedUrl,
@@ -0,0 +1,231 @@
+const Subscription = require('../models/subscription');
+const User = require('../models/user');
+const mailSender = require('./mailSender');
+const { subscriptionEmail } = require('../mail/templates/subscriptionEmail');
+const { createAdvancedNotification } = require('../controllers/notification');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Days before the end of a paid period on which a renewal reminder goes out
+const getReminderDays = () => (process.env.SUBSCRIPTION_REMINDER_DAYS || '7,1')
+    .split(',')
+    .map(Number)
+    .filter(days => days > 0)
+    .sort((a, b) => b - a);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+});
+
+// End of a billing period of the plan starting at the given date. A period
+// starting on the 31st ends on the last day of a shorter month.
+const getPeriodEnd = (plan, from = new Date()) => {
+    const end = new Date(from);
+    const day = end.getDate();
+    end.setDate(1);
+    end.setMonth(end.getMonth() + (plan.interval === 'annual' ? 12 : 1));
+    const lastDay = new Date(end.getFullYear(), end.getMonth() + 1, 0).getDate();
+    end.setDate(Math.min(day, lastDay));
+    return end;
+};
+
+const getGraceEnd = (plan, periodEnd) =>
+    new Date(new Date(periodEnd).getTime() + (plan.gracePeriodDays || 0) * DAY_IN_MS);
+
+// Subscription of a user that still grants access, with its plan populated
+const getCurrentSubscription = async (userId) => {
+    const subscription = await Subscription.findOne({ user: userId }).populate('plan');
+    return subscription && subscription.plan && subscription.isCurrent() ? subscription : null;
+};
+
+// How the user's membership relates to a course: 'active' when it unlocks the
+// course now, 'expired' when it used to, null when it doesn't cover the course
+const getSubscriptionAccess = async (userId, course) => {
+    const subscription = await Subscription.findOne({ user: userId }).populate('plan');
+    if (!subscription || !subscription.plan || !subscription.plan.coversCourse(course)) {
+        return null;
+    }
+    return subscription.isCurrent() ? 'active' : 'expired';
+};
+
+// Whether an active (or in grace) membership of the user unlocks the course
+const hasSubscriptionAccess = async (userId, course) =>
+    (await getSubscriptionAccess(userId, course)) === 'active';
+
+// Add a paid period to the user's membership. Renewing the same plan before the
+// grace period ends continues from the end of the current period; otherwise a
+// new membership starts now.
+const activateSubscription = async (userId, plan, orderId) => {
+    let subscription = await Subscription.findOne({ user: userId });
+    const now = new Date();
+    const continues = subscription && subscription.isCurrent() && subscription.plan.toString() === plan._id.toString();
+    const start = continues ? subscription.currentPeriodEnd : now;
+    const end = getPeriodEnd(plan, start);
+
+    if (!subscription) {
+        subscription = new Subscription({ user: userId, plan: plan._id, startedAt: now });
+    } else if (!continues) {
+        subscription.plan = plan._id;
+        subscription.startedAt = now;
+        subscription.periods = [];
+    }
+
+    subscription.periods.push({ order: orderId, start, end });
+    subscription.currentPeriodEnd = end;
+    subscription.graceEndsAt = getGraceEnd(plan, end);
+    subscription.status = end > now ? 'active' : 'grace';
+    subscription.remindersSent = [];
+    await subscription.save();
+
+    return subscription;
+};
+
+// Take back the period bought by a fully refunded order. Later periods move
+// forward so the membership ends as if the refunded period had never been bought.
+const revokeSubscriptionPeriod = async (order) => {
+    const subscription = await Subscription.findOne({ user: order.user, 'periods.order': order._id }).populate('plan');
+    if (!subscription) {
+        return null;
+    }
+
+    const period = subscription.periods.find(entry => entry.order?.toString() === order._id.toString());
+    if (!period || period.refunded) {
+        return subscription;
+    }
+
+    const now = new Date();
+    // Only the part of the period that hasn't been used yet can be taken back
+    const unusedFrom = period.start > now ? period.start : now;
+    const removedMs = Math.max(0, period.end.getTime() - unusedFrom.getTime());
+    period.refunded = true;
+
+    subscription.periods
+        .filter(entry => entry.start >= period.end)
+        .forEach(entry => {
+            entry.start = new Date(entry.start.getTime() - removedMs);
+            entry.end = new Date(entry.end.getTime() - removedMs);
+        });
+
+    subscription.currentPeriodEnd = new Date(subscription.currentPeriodEnd.getTime() - removedMs);
+    if (subscription.currentPeriodEnd <= now) {
+        // A refunded membership ends straight away, without a grace period
+        subscription.graceEndsAt = subscription.currentPeriodEnd;
+        subscription.status = 'expired';
+    } else {
+        subscription.graceEndsAt = getGraceEnd(subscription.plan, subscription.currentPeriodEnd);
+    }
+    await subscription.save();
+
+    return subscription;
+};
+
+// Tell the student about a change to their membership by email and in-app notification
+const notifySubscriber = async (subscription, { type, title, message, actionText }) => {
+    try {
+        const user = await User.findById(subscription.user).select('firstName email');
+        if (!user) {
+            return;
+        }
+
+        await mailSender(user.email, title, subscriptionEmail(user.firstName, title, message, actionText));
+        await createAdvancedNotification({
+            recipient: user._id,
+            type,
+            title,
+            message,
+            priority: type === 'SUBSCRIPTION_EXPIRED' ? 'high' : 'medium',
+            actionUrl: '/memberships',
+            metadata: {
+                subscriptionId: subscription._id,
+                planId: subscription.plan._id,
+                currentPeriodEnd: subscription.currentPeriodEnd
+            }
+        });
+    } catch (error) {
+        console.error('Error sending membership notification:', error);
+    }
+};
+
+// Daily membership upkeep: sends renewal reminders, moves ended periods into
+// their grace period and expires memberships whose grace period is over.
+const processSubscriptions = async () => {
+    const now = new Date();
+    const counts = { reminded: 0, inGrace: 0, expired: 0 };
+    const reminderDays = getReminderDays();
+
+    if (reminderDays.length > 0) {
+        const remindUntil = new Date(now.getTime() + reminderDays[0] * DAY_IN_MS);
+        const dueForReminder = await Subscription.find({
+            status: 'active',
+            currentPeriodEnd: { $gt: now, $lte: remindUntil }
+        }).populate('plan');
+
+        for (const subscription of dueForReminder) {
+            const daysLeft = Math.ceil((subscription.currentPeriodEnd - now) / DAY_IN_MS);
+            // Send the closest reminder not sent yet, never more than one a day
+            const due = reminderDays.filter(days => daysLeft <= days && !subscription.remindersSent.includes(days));
+            if (due.length === 0) {
+                continue;
+            }
+
+            await notifySubscriber(subscription, {
+                type: 'SUBSCRIPTION_RENEWAL_REMINDER',
+                title: `Your ${subscription.plan.name} membership ends soon`,
+                message: `Your ${subscription.plan.name} membership ends on ${formatDate(subscription.currentPeriodEnd)}. Renew it before then to keep learning without interruption.`,
+                actionText: 'Renew Membership'
+            });
+            subscription.remindersSent.push(...due);
+            await subscription.save();
+            counts.reminded += 1;
+        }
+    }
+
+    const ended = await Subscription.find({
+        status: 'active',
+        currentPeriodEnd: { $lte: now },
+        graceEndsAt: { $gt: now }
+    }).populate('plan');
+
+    for (const subscription of ended) {
+        subscription.status = 'grace';
+        await subscription.save();
+        await notifySubscriber(subscription, {
+            type: 'SUBSCRIPTION_RENEWAL_REMINDER',
+            title: `Your ${subscription.plan.name} membership has ended`,
+            message: `Your ${subscription.plan.name} membership ended on ${formatDate(subscription.currentPeriodEnd)}. You still have access until ${formatDate(subscription.graceEndsAt)}. Renew before then to keep your courses.`,
+            actionText: 'Renew Membership'
+        });
+        counts.inGrace += 1;
+    }
+
+    const lapsed = await Subscription.find({
+        status: { $in: ['active', 'grace'] },
+        graceEndsAt: { $lte: now }
+    }).populate('plan');
+
+    for (const subscription of lapsed) {
+        subscription.status = 'expired';
+        await subscription.save();
+        await notifySubscriber(subscription, {
+            type: 'SUBSCRIPTION_EXPIRED',
+            title: `Your ${subscription.plan.name} membership has expired`,
+            message: `Your ${subscription.plan.name} membership has expired and its courses are locked. Your progress is saved and comes back as soon as you subscribe again.`,
+            actionText: 'View Plans'
+        });
+        counts.expired += 1;
+    }
+
+    return counts;
+};
+
+module.exports = {
+    getPeriodEnd,
+    getCurrentSubscription,
+    getSubscriptionAccess,
+    hasSubscriptionAccess,
+    activateSubscription,
+    revokeSubscriptionPeriod,
+    processSubscriptions
+};
@@ -0,0 +1,79 @@
+// Lecture transcripts. They are built from a lecture's captions, so they
+// change whenever its caption tracks do.
+const SubSection = require('../models/subSection');
+const Section = require('../models/section');
+const Course = require('../models/course');
+const TranscriptSegment = require('../models/transcriptSegment');
+const { parseCues, readCaptionFile } = require('./captions');
+
+// Languages MongoDB text search can stem; others are matched word for word
+const SEARCH_LANGUAGES = ['da', 'nl', 'en', 'fi', 'fr', 'de', 'hu', 'it', 'nb', 'pt', 'ro', 'ru', 'es', 'sv', 'tr'];
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+const getSearchLanguage = (language) => {
+    const base = String(language || '').split('-')[0].toLowerCase();
+    return SEARCH_LANGUAGES.includes(base) ? base : 'none';
+};
+
+// The words of a cue, without WebVTT markup or line breaks
+const toPlainText = (text) => text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// The track a lecture's transcript is made from: its default captions, else the first
+const getTranscriptTrack = (subSection) =>
+    subSection.captions?.find(track => track.isDefault) || subSection.captions?.[0] || null;
+
+const findLectureCourse = async (subSectionId) => {
+    const section = await Section.findOne({ subSection: subSectionId }).select('_id');
+    return section ? Course.findOne({ courseContent: section._id }).select('_id') : null;
+};
+
+// Rebuild a lecture's transcript from its captions, resolving to the number of segments
+const syncTranscript = async (subSectionId) => {
+    const subSection = await SubSection.findById(subSectionId).select('captions');
+    const course = subSection && await findLectureCourse(subSectionId);
+    const track = subSection && getTranscriptTrack(subSection);
+
+    const segments = [];
+    if (course && track) {
+        const cues = parseCues(await readCaptionFile(track.url));
+        for (const cue of cues) {
+            const text = toPlainText(cue.text);
+            if (text) {
+                segments.push({
+                    subSection: subSectionId,
+                    course: course._id,
+                    language: track.language,
+                    searchLanguage: getSearchLanguage(track.language),
+                    start: cue.start,
+                    end: cue.end,
+                    text
+                });
+            }
+        }
+    }
+
+    await TranscriptSegment.deleteMany({ subSection: subSectionId });
+    if (segments.length) {
+        await TranscriptSegment.insertMany(segments);
+    }
+    return segments.length;
+};
+
+// Rebuild a lecture's transcript after its captions changed. A failure is
+// logged rather than thrown, as the captions themselves were saved.
+const refreshTranscript = async (subSectionId) => {
+    try {
+        await syncTranscript(subSectionId);
+    } catch (error) {
+        console.error(`Error updating the transcript of lecture ${subSectionId}:`, error);
+    }
+};
+
+module.exports = {
+    refreshTranscript
+};
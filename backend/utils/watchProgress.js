@@ -0,0 +1,131 @@
+// Percent of a video watched for it to count as completed when the course doesn't set one
+const getDefaultCompletionPercent = () => Number(process.env.VIDEO_COMPLETION_PERCENT) || 90;
+
+// Gaps shorter than this between watched ranges are treated as watched
+const MERGE_GAP_SECONDS = 1;
+// Ranges kept per request, so a client can't grow the document without bound
+const MAX_INTERVALS_PER_UPDATE = 100;
+
+const getCompletionPercent = (course) => course?.videoCompletionPercent || getDefaultCompletionPercent();
+
+// Watched ranges sent by the player as [start, end] pairs or { start, end }
+// objects, or an error message when they are malformed
+const parseIntervals = (intervals, duration) => {
+    if (intervals === undefined || intervals === null) {
+        return { intervals: [] };
+    }
+    if (!Array.isArray(intervals) || intervals.length > MAX_INTERVALS_PER_UPDATE) {
+        return { error: `Watched ranges must be a list of at most ${MAX_INTERVALS_PER_UPDATE} ranges` };
+    }
+
+    const parsed = [];
+    for (const interval of intervals) {
+        const start = Number(Array.isArray(interval) ? interval[0] : interval?.start);
+        const end = Number(Array.isArray(interval) ? interval[1] : interval?.end);
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+            return { error: 'Each watched range needs a start and an end after it' };
+        }
+        parsed.push({
+            start,
+            end: duration > 0 ? Math.min(end, duration) : end
+        });
+    }
+    return { intervals: parsed.filter(interval => interval.end > interval.start) };
+};
+
+// Sorted ranges with overlapping and touching ones joined
+const mergeIntervals = (intervals) => {
+    const sorted = intervals
+        .map(({ start, end }) => ({ start, end }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end + MERGE_GAP_SECONDS) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push(interval);
+        }
+    }
+    return merged;
+};
+
+const sumIntervals = (intervals) => intervals.reduce((total, { start, end }) => total + (end - start), 0);
+
+// Length of a lecture video as best known: from the player, else from the upload
+const getVideoDuration = (subSection, progress) =>
+    Math.max(Number(progress?.duration) || 0, Number(subSection?.timeDuration) || 0);
+
+const getWatchedPercent = (progress, duration) => {
+    if (!progress || !(duration > 0)) {
+        return 0;
+    }
+    return Math.min(100, Math.round((progress.watchedSeconds / duration) * 10000) / 100);
+};
+
+// Whether enough of a video has been watched, rather than skipped through,
+// for it to count as completed. Videos of unknown length can't be measured
+// and always count.
+const hasWatchedEnough = (subSection, progress, course) => {
+    const duration = getVideoDuration(subSection, progress);
+    if (!(duration > 0)) {
+        return true;
+    }
+    return getWatchedPercent(progress, duration) >= getCompletionPercent(course);
+};
+
+const findVideoProgress = (courseProgress, subSectionId) =>
+    courseProgress?.videoProgress?.find(entry => entry.subSection.toString() === subSectionId.toString());
+
+// Record where the student is in a video and what they have watched now,
+// resolving to the lecture's progress entry
+const recordVideoProgress = (courseProgress, subSectionId, { position, duration, intervals }) => {
+    let entry = findVideoProgress(courseProgress, subSectionId);
+    if (!entry) {
+        courseProgress.videoProgress.push({ subSection: subSectionId });
+        entry = courseProgress.videoProgress[courseProgress.videoProgress.length - 1];
+    }
+
+    if (duration > 0) {
+        entry.duration = duration;
+    }
+    if (Number.isFinite(position) && position >= 0) {
+        entry.position = entry.duration > 0 ? Math.min(position, entry.duration) : position;
+    }
+    if (intervals.length) {
+        entry.watchedIntervals = mergeIntervals([...entry.watchedIntervals, ...intervals]);
+        entry.watchedSeconds = Math.round(sumIntervals(entry.watchedIntervals) * 100) / 100;
+    }
+    entry.lastWatchedAt = new Date();
+    return entry;
+};
+
+const includesId = (ids, id) => (ids || []).some(item => item.toString() === id.toString());
+
+// Whether the student is done with everything in a lecture, as the next
+// section's lock counts it: marked complete, and its quiz and coding exercise done
+const isLectureFinished = (subSection, courseProgress) => {
+    if (!includesId(courseProgress?.completedVideos, subSection._id)) {
+        return false;
+    }
+    if (subSection.quiz && !includesId(courseProgress?.completedQuizzes, subSection._id)) {
+        return false;
+    }
+    if (subSection.codeExercise && !includesId(courseProgress?.completedExercises, subSection._id)) {
+        return false;
+    }
+    return true;
+};
+
+module.exports = {
+    getCompletionPercent,
+    parseIntervals,
+    mergeIntervals,
+    getVideoDuration,
+    getWatchedPercent,
+    hasWatchedEnough,
+    findVideoProgress,
+    recordVideoProgress,
+    isLectureFinished
+};
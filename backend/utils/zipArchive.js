@@ -0,0 +1,127 @@
+const zlib = require('zlib');
+
+// Just enough of the zip format for content packages: writing stores files
+// uncompressed, reading handles stored and deflated entries.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Build a zip from [{ name, content }] where content is a string or Buffer
+const createZip = (files) => {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+// Read the files of a zip into [{ name, content: Buffer }]. Throws on archives
+// it can't read.
+const readZip = (buffer) => {
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a valid zip archive');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let pointer = buffer.readUInt32LE(endOffset + 16);
+    const files = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+            throw new Error('Corrupt zip directory');
+        }
+        const method = buffer.readUInt16LE(pointer + 10);
+        const compressedSize = buffer.readUInt32LE(pointer + 20);
+        const nameLength = buffer.readUInt16LE(pointer + 28);
+        const extraLength = buffer.readUInt16LE(pointer + 30);
+        const commentLength = buffer.readUInt16LE(pointer + 32);
+        const localOffset = buffer.readUInt32LE(pointer + 42);
+        const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+        pointer += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+
+        const dataStart = localOffset + 30 +
+            buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.push({ name, content: data });
+        } else if (method === 8) {
+            files.push({ name, content: zlib.inflateRawSync(data) });
+        } else {
+            throw new Error(`Unsupported zip compression in ${name}`);
+        }
+    }
+    return files;
+};
+
+module.exports = {
+    createZip,
+    isZip,
+    readZip
+};
@@ -1,6 +1,6 @@
 import { useEffect, useState, Suspense, lazy } from "react";
 import { Route, Routes, useLocation } from "react-router-dom";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 
 // Core components that should be loaded immediately
 import Toast from "./components/common/Toast";
@@ -11,6 +11,7 @@ import AuthChecker from "./components/common/AuthChecker";
 import FaqButton from "./components/common/FaqButton";
 import { ACCOUNT_TYPE } from './utils/constants';
 import { HiArrowNarrowUp } from "react-icons/hi";
+import { fetchCurrencies } from "./services/operations/currencyAPI";
 
 // Loading component
 const LoadingSpinner = () => (
@@ -80,14 +81,24 @@ const InstructorChats = lazy(() => import("./pages/Dashboard/InstructorChats"));
 // Course viewing components
 const ViewCourse = lazy(() => import("./pages/ViewCourse"));
 const BundleCheckout = lazy(() => import("./pages/BundleCheckout"));
+const Memberships = lazy(() => import("./pages/Memberships"));
+const ClaimGift = lazy(() => import("./pages/ClaimGift"));
 const CourseCheckout = lazy(() => import("./pages/CourseCheckout"));
+const PaymentComplete = lazy(() => import("./pages/PaymentComplete"));
 const VideoDetails = lazy(() => import('./components/core/ViewCourse/VideoDetails'));
 const QuizView = lazy(() => import('./components/core/ViewCourse/QuizView'));
+const CodeExerciseView = lazy(() => import('./components/core/ViewCourse/CodeExerciseView'));
 
 
 function App() {
 
   const { user } = useSelector((state) => state.profile)
+  const dispatch = useDispatch()
+
+  // Currencies for showing prices, and the visitor's currency when none is chosen yet
+  useEffect(() => {
+    dispatch(fetchCurrencies())
+  }, [dispatch])
 
   // Disable right-click, text selection, and drag functionality
   useEffect(() => {
@@ -205,11 +216,22 @@ function App() {
           <Route path="/services/student" element={<StudentService />} />
           <Route path="catalog/:catalogName" element={<Catalog />} />
           <Route path="free-courses" element={<FreeCourses />} />
+          <Route path="memberships" element={<Memberships />} />
+          <Route path="gift/:code" element={<ClaimGift />} />
           <Route path="courses/:courseId" element={<CourseDetails />} />
           <Route path="verify-certificate" element={<VerifyCertificate />} />
           <Route path="verify-certificate/:certificateId" element={<VerifyCertificate />} />
           <Route path="bundle-checkout" element={<BundleCheckout />} />
+          <Route path="bundle-checkout/:bundleId" element={<BundleCheckout />} />
           <Route path="course-checkout" element={<CourseCheckout />} />
+          <Route
+            path="payment/complete"
+            element={
+              <ProtectedRoute>
+                <PaymentComplete />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Open Route - for Only Non Logged in User */}
           <Route
@@ -327,6 +349,10 @@ function App() {
                   path="view-course/:courseId/section/:sectionId/sub-section/:subSectionId/quiz"
                   element={<QuizView />}
                 />
+                <Route
+                  path="view-course/:courseId/section/:sectionId/sub-section/:subSectionId/exercise"
+                  element={<CodeExerciseView />}
+                />
               </>
             )}
           </Route>
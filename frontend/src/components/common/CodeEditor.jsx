@@ -1,7 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import Editor from '@monaco-editor/react';
+import { useSelector } from 'react-redux';
 import { executeCode, validateCodeWithTestCases } from '../../services/codeExecution';
 
+// Error output of a run, or the reason it stopped (e.g. time limit) when it printed none
+const getRunError = (data) =>
+  data.stderr || data.compile_output || (data.status && data.status.id !== 3 ? data.status.description : null);
+
 const CodeEditor = ({ 
   language = 'javascript', 
   starterCode = '', 
@@ -10,8 +15,11 @@ const CodeEditor = ({
   testCases = [],
   showInput = false,
   showOutput = false,
-  allowLanguageChange = false
+  allowLanguageChange = false,
+  // Off where the page runs the code itself, e.g. coding exercises with several files
+  runnable = true
 }) => {
+  const { token } = useSelector((state) => state.auth);
   const [code, setCode] = useState(starterCode);
   const [customInput, setCustomInput] = useState('');
   const [output, setOutput] = useState('');
@@ -53,7 +61,7 @@ const CodeEditor = ({
 
     try {
       // Run the code first to get output
-      const codeResult = await executeCode(code, currentLanguage, customInput);
+      const codeResult = await executeCode(code, currentLanguage, customInput, token);
       
       if (codeResult.success) {
         // Set the code output
@@ -62,10 +70,10 @@ const CodeEditor = ({
         // If there are test cases, run them in parallel but don't show in output
         if (testCases && testCases.length > 0) {
           try {
-            const testResult = await validateCodeWithTestCases(code, currentLanguage, testCases);
+            const testResult = await validateCodeWithTestCases(code, currentLanguage, testCases, token);
             setExecutionStatus({
-              success: codeResult.data.stderr || codeResult.data.compile_output ? false : true,
-              error: codeResult.data.stderr || codeResult.data.compile_output || null,
+              success: !getRunError(codeResult.data),
+              error: getRunError(codeResult.data),
               status: codeResult.data.status,
               time: codeResult.data.time,
               memory: codeResult.data.memory,
@@ -76,8 +84,8 @@ const CodeEditor = ({
           } catch (testError) {
             // If test execution fails, still show code output but no test results
             setExecutionStatus({
-              success: codeResult.data.stderr || codeResult.data.compile_output ? false : true,
-              error: codeResult.data.stderr || codeResult.data.compile_output || null,
+              success: !getRunError(codeResult.data),
+              error: getRunError(codeResult.data),
               status: codeResult.data.status,
               time: codeResult.data.time,
               memory: codeResult.data.memory
@@ -86,8 +94,8 @@ const CodeEditor = ({
         } else {
           // No test cases, just show code execution status
           setExecutionStatus({
-            success: codeResult.data.stderr || codeResult.data.compile_output ? false : true,
-            error: codeResult.data.stderr || codeResult.data.compile_output || null,
+            success: !getRunError(codeResult.data),
+            error: getRunError(codeResult.data),
             status: codeResult.data.status,
             time: codeResult.data.time,
             memory: codeResult.data.memory
@@ -138,27 +146,29 @@ const CodeEditor = ({
             </select>
           )}
         </div>
-        <div className="flex gap-2">
-          <button
-            onClick={runCode}
-            disabled={isExecuting}
-            className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white px-4 py-2 rounded transition-colors flex items-center gap-2"
-          >
-            {isExecuting ? (
-              <>
-                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                Running...
-              </>
-            ) : (
-              <>
-                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
-                </svg>
-                Run Code
-              </>
-            )}
-          </button>
-        </div>
+        {runnable && (
+          <div className="flex gap-2">
+            <button
+              onClick={runCode}
+              disabled={isExecuting}
+              className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white px-4 py-2 rounded transition-colors flex items-center gap-2"
+            >
+              {isExecuting ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                  Running...
+                </>
+              ) : (
+                <>
+                  <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                  </svg>
+                  Run Code
+                </>
+              )}
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Editor */}
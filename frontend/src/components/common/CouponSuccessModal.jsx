@@ -3,8 +3,9 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { FiX } from 'react-icons/fi';
 import { FaGift } from 'react-icons/fa';
 import confetti from 'canvas-confetti';
+import { formatPrice } from '../../utils/currency';
 
-const CouponSuccessModal = ({ isOpen, onClose, discountAmount }) => {
+const CouponSuccessModal = ({ isOpen, onClose, discountAmount, currency = 'INR' }) => {
   // Function to trigger confetti
   const triggerConfetti = () => {
     const count = 200;
@@ -136,7 +137,7 @@ const CouponSuccessModal = ({ isOpen, onClose, discountAmount }) => {
             >
               <div className="w-24 h-24 mx-auto bg-gradient-to-br from-yellow-50 to-yellow-100 rounded-full flex items-center justify-center shadow-lg">
                 <div className="w-20 h-20 bg-gradient-to-br from-yellow-200 to-yellow-400 rounded-full flex items-center justify-center">
-                  <span className="text-3xl text-richblack-900 font-bold">₹{discountAmount}</span>
+                  <span className="text-3xl text-richblack-900 font-bold">{formatPrice(discountAmount, currency)}</span>
                 </div>
               </div>
             </motion.div>
@@ -153,7 +154,7 @@ const CouponSuccessModal = ({ isOpen, onClose, discountAmount }) => {
               
               <div className="mb-4">
                 <p className="text-xl text-richblack-5 mb-1">
-                  You saved ₹{discountAmount} on this course!
+                  You saved {formatPrice(discountAmount, currency)} on this course!
                 </p>
                 <p className="text-sm text-richblack-300">
                   The discount has been applied to your order
@@ -0,0 +1,34 @@
+import { useDispatch, useSelector } from "react-redux"
+
+import { changeCurrency } from "../../services/operations/currencyAPI"
+import useCurrency from "../../hooks/useCurrency"
+
+// Picks the currency prices are shown and charged in. Hidden while only the
+// base currency is available.
+function CurrencySelector({ className = "" }) {
+  const dispatch = useDispatch()
+  const { token } = useSelector((state) => state.auth)
+  const { currencies } = useSelector((state) => state.currency)
+  const { code } = useCurrency()
+
+  if (currencies.length < 2) {
+    return null
+  }
+
+  return (
+    <select
+      value={code}
+      onChange={(e) => dispatch(changeCurrency(e.target.value, token))}
+      aria-label="Currency"
+      className={`rounded-lg border border-richblack-600 bg-richblack-800/80 px-2 py-1.5 text-sm text-richblack-100 focus:outline-none focus:ring-1 focus:ring-yellow-50 ${className}`}
+    >
+      {currencies.map((currency) => (
+        <option key={currency.code} value={currency.code}>
+          {currency.symbol ? `${currency.symbol} ${currency.code}` : currency.code}
+        </option>
+      ))}
+    </select>
+  )
+}
+
+export default CurrencySelector
@@ -13,6 +13,7 @@ import { AiOutlineShoppingCart } from "react-icons/ai";
 import { MdKeyboardArrowDown } from "react-icons/md";
 import * as Icons from "react-icons/fa";
 import NotificationPanel from "./NotificationPanel";
+import CurrencySelector from "./CurrencySelector";
 
 const ModernNavbar = () => {
   const navigate = useNavigate();
@@ -402,6 +403,24 @@ const ModernNavbar = () => {
             </Link>
           </motion.li>
 
+          {/* Memberships Link */}
+          <motion.li
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3, delay: 0.45 }}
+            whileHover={{ scale: 1.05 }}
+          >
+            <Link to="/memberships">
+              <p className={`text-sm font-medium transition-all duration-300 ${
+                matchRoute("/memberships")
+                  ? "bg-gradient-to-r from-teal-400 to-emerald-400 text-white rounded-lg p-1.5 px-3 shadow-[0_4px_20px_rgba(20,184,166,0.3)]"
+                  : "text-richblack-25 rounded-lg p-1.5 px-3 hover:bg-white/10 hover:backdrop-blur-sm"
+              }`}>
+                Memberships
+              </p>
+            </Link>
+          </motion.li>
+
           {/* Services Dropdown */}
           <motion.li 
             className="relative flex cursor-pointer items-center gap-1 rounded-lg p-1.5 px-3 text-richblack-25 hover:bg-white/10 hover:backdrop-blur-sm transition-all duration-300 services-dropdown-container"
@@ -452,6 +471,10 @@ const ModernNavbar = () => {
             </motion.div>
           </motion.li>
 
+          <li>
+            <CurrencySelector />
+          </li>
+
           {/* Auth Buttons - Show only when user is not logged in */}
           {!token && (
             <>
@@ -663,6 +686,23 @@ const ModernNavbar = () => {
                   </motion.div>
                 </motion.li>
 
+                {/* Memberships for Mobile */}
+                <motion.li
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  transition={{ duration: 0.3, delay: 0.45 }}
+                >
+                  <motion.div whileHover={{ x: 5 }} transition={{ duration: 0.2 }}>
+                    <Link
+                      to="/memberships"
+                      onClick={() => setMobileMenuOpen(false)}
+                      className="block rounded-lg p-1.5 xs:p-2 hover:bg-white/10 text-xs xs:text-sm font-medium transition-all duration-300"
+                    >
+                      Memberships
+                    </Link>
+                  </motion.div>
+                </motion.li>
+
                 {/* Services for Mobile */}
                 <motion.li
                   initial={{ opacity: 0, x: -20 }}
@@ -696,6 +736,10 @@ const ModernNavbar = () => {
                   </details>
                 </motion.li>
 
+                <li className="p-1.5 xs:p-2">
+                  <CurrencySelector className="w-full" />
+                </li>
+
                 {/* Profile Options for Mobile - Show when logged in */}
                 {token && user && (
                   <>
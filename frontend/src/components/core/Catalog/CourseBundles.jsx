@@ -0,0 +1,104 @@
+import { useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { FiPackage, FiClock, FiArrowRight } from "react-icons/fi"
+import Img from "../../common/Img"
+import { getBundles } from "../../../services/operations/bundleAPI"
+
+// Course bundles put together by admins, listed on the catalog page of a category
+function CourseBundles({ categoryId }) {
+  const [bundles, setBundles] = useState([])
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    if (!categoryId) return
+    ;(async () => {
+      setBundles(await getBundles(categoryId))
+    })()
+  }, [categoryId])
+
+  if (!bundles.length) {
+    return null
+  }
+
+  const getCoursesTotal = (bundle) =>
+    bundle.courses.reduce((total, course) => total + (course.courseType === 'Free' ? 0 : course.price || 0), 0)
+
+  return (
+    <div className="mx-auto box-content w-full max-w-maxContentTab px-4 sm:px-6 lg:px-8 py-8 sm:py-10 lg:py-12 lg:max-w-maxContent">
+      <div className="flex items-center gap-3 mb-4 sm:mb-6">
+        <FiPackage className="text-yellow-50 text-2xl sm:text-3xl" />
+        <h2 className="text-lg sm:text-xl md:text-2xl lg:text-3xl xl:text-4xl font-bold text-richblack-5">
+          Course Bundles
+        </h2>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {bundles.map((bundle) => {
+          const coursesTotal = getCoursesTotal(bundle)
+          const savings = Math.max(0, coursesTotal - bundle.price)
+
+          return (
+            <div
+              key={bundle._id}
+              onClick={() => navigate(`/bundle-checkout/${bundle._id}`)}
+              className="group overflow-hidden rounded-2xl bg-richblack-800 border border-richblack-700 hover:border-yellow-50 transition-all duration-300 cursor-pointer hover:scale-[1.02] hover:shadow-2xl"
+            >
+              {bundle.thumbnail ? (
+                <Img
+                  src={bundle.thumbnail}
+                  alt={bundle.title}
+                  className="h-[180px] w-full object-cover"
+                />
+              ) : (
+                <div className="h-[180px] w-full grid grid-cols-2 gap-1 bg-richblack-700">
+                  {bundle.courses.slice(0, 4).map((course) => (
+                    <Img
+                      key={course._id}
+                      src={course.thumbnail}
+                      alt={course.courseName}
+                      className="h-full w-full object-cover"
+                    />
+                  ))}
+                </div>
+              )}
+
+              <div className="p-6 space-y-3">
+                <h3 className="text-lg font-semibold text-richblack-5 line-clamp-2 group-hover:text-yellow-50 transition-colors duration-200">
+                  {bundle.title}
+                </h3>
+
+                <ul className="text-sm text-richblack-300 space-y-1">
+                  {bundle.courses.slice(0, 3).map((course) => (
+                    <li key={course._id} className="line-clamp-1">• {course.courseName}</li>
+                  ))}
+                  {bundle.courses.length > 3 && (
+                    <li className="text-richblack-400">+ {bundle.courses.length - 3} more courses</li>
+                  )}
+                </ul>
+
+                <div className="flex items-center gap-2 text-xs text-richblack-400">
+                  <FiClock className="w-4 h-4" />
+                  <span>{bundle.validityDays > 0 ? `${bundle.validityDays} days access` : 'Lifetime access'}</span>
+                </div>
+
+                <div className="flex items-center justify-between pt-2 border-t border-richblack-700">
+                  <div className="flex items-baseline gap-2">
+                    <span className="text-xl font-bold text-richblack-5">₹{bundle.price}</span>
+                    {savings > 0 && (
+                      <span className="text-sm text-richblack-400 line-through">₹{coursesTotal}</span>
+                    )}
+                  </div>
+                  <span className="flex items-center gap-1 text-sm font-semibold text-yellow-50">
+                    View Bundle <FiArrowRight className="w-4 h-4" />
+                  </span>
+                </div>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default CourseBundles
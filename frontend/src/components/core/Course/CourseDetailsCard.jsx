@@ -12,11 +12,13 @@ import { ACCOUNT_TYPE } from "../../../utils/constants"
 import { requestCourseAccess } from "../../../services/operations/courseAccessAPI"
 import RatingStars from "../../common/RatingStars"
 import Img from './../../common/Img';
+import useCurrency from "../../../hooks/useCurrency"
 
 
 function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
   const { user } = useSelector((state) => state.profile)
   const { token } = useSelector((state) => state.auth)
+  const { formatBase } = useCurrency()
   const navigate = useNavigate()
   const dispatch = useDispatch()
 
@@ -129,7 +131,7 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
                 </div>
               </div>
             ) : (
-              <span className="text-3xl font-semibold text-yellow-50">Rs. {CurrentPrice}</span>
+              <span className="text-3xl font-semibold text-yellow-50">{formatBase(CurrentPrice)}</span>
             )}
           </div>
           
@@ -0,0 +1,276 @@
+import { useEffect, useState } from "react"
+import { MdClosedCaption } from "react-icons/md"
+import { RiDeleteBin6Line, RiEditLine } from "react-icons/ri"
+import { useSelector } from "react-redux"
+
+import {
+  addCaptionTrack,
+  deleteCaptionTrack,
+  generateCaptions,
+  getCaptionTrack,
+  getCaptionTracks,
+  updateCaptionTrack,
+} from "../../../../../services/operations/captionAPI"
+import IconBtn from "../../../../common/IconBtn"
+
+// How often the caption generation status is checked while it runs
+const JOB_POLL_INTERVAL_MS = 5000
+
+const SOURCE_LABELS = {
+  upload: "Uploaded",
+  auto: "Auto-generated",
+  edited: "Edited",
+}
+
+const JOB_STATUS_TEXT = {
+  queued: "Waiting to generate captions...",
+  processing: "Generating captions from the video...",
+  ready: "Captions were generated. Review and correct them below.",
+  failed: "Captions could not be generated",
+}
+
+// Caption tracks of a saved lecture: upload, edit, delete and auto-generate
+export default function CaptionManager({ subSectionId }) {
+  const { token } = useSelector((state) => state.auth)
+  const [captions, setCaptions] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [file, setFile] = useState(null)
+  const [language, setLanguage] = useState("en")
+  const [label, setLabel] = useState("")
+  const [isDefault, setIsDefault] = useState(false)
+  // Changed after an upload to clear the file input
+  const [fileInputKey, setFileInputKey] = useState(0)
+  const [generateLanguage, setGenerateLanguage] = useState("en")
+  // The track being edited, with its WebVTT text
+  const [editing, setEditing] = useState(null)
+
+  const jobRunning = ["queued", "processing"].includes(captions?.job?.status)
+
+  useEffect(() => {
+    let cancelled = false
+    const loadCaptions = async () => {
+      const result = await getCaptionTracks(subSectionId, token)
+      if (result && !cancelled) setCaptions(result)
+    }
+    loadCaptions()
+    return () => {
+      cancelled = true
+    }
+  }, [subSectionId, token])
+
+  // Pick up the generated track once the job finishes
+  useEffect(() => {
+    if (!jobRunning) return
+    const interval = setInterval(async () => {
+      const result = await getCaptionTracks(subSectionId, token)
+      if (result) setCaptions(result)
+    }, JOB_POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [jobRunning, subSectionId, token])
+
+  const runAction = async (action) => {
+    setBusy(true)
+    const result = await action()
+    if (result) setCaptions(result)
+    setBusy(false)
+    return result
+  }
+
+  const handleUpload = async () => {
+    if (!file) return
+    const formData = new FormData()
+    formData.append("file", file)
+    formData.append("language", language.trim())
+    if (label.trim()) formData.append("label", label.trim())
+    formData.append("isDefault", isDefault)
+    const result = await runAction(() => addCaptionTrack(subSectionId, formData, token))
+    if (result) {
+      setFile(null)
+      setFileInputKey((key) => key + 1)
+      setLabel("")
+      setIsDefault(false)
+    }
+  }
+
+  const handleEdit = async (track) => {
+    setBusy(true)
+    const result = await getCaptionTrack(subSectionId, track._id, token)
+    if (result) setEditing(result)
+    setBusy(false)
+  }
+
+  const handleSaveEdit = async () => {
+    const result = await runAction(() =>
+      updateCaptionTrack(subSectionId, editing._id, {
+        label: editing.label,
+        language: editing.language,
+        content: editing.content,
+      }, token)
+    )
+    if (result) setEditing(null)
+  }
+
+  const handleDelete = (track) => {
+    if (!window.confirm(`Delete the "${track.label}" captions?`)) return
+    if (editing?._id === track._id) setEditing(null)
+    runAction(() => deleteCaptionTrack(subSectionId, track._id, token))
+  }
+
+  if (!captions) {
+    return null
+  }
+
+  return (
+    <div className="space-y-4 border-t border-richblack-600 px-8 py-8">
+      <div className="flex items-center gap-2 text-richblack-5">
+        <MdClosedCaption className="text-xl" />
+        <p className="text-lg font-semibold">Captions</p>
+      </div>
+
+      {/* Tracks */}
+      {captions.tracks.length === 0 ? (
+        <p className="text-sm text-richblack-300">This lecture has no captions yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {captions.tracks.map((track) => (
+            <div
+              key={track._id}
+              className="flex flex-wrap items-center justify-between gap-2 rounded-md bg-richblack-700 px-4 py-2"
+            >
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-richblack-5">{track.label}</span>
+                <span className="text-richblack-300">{track.language}</span>
+                <span className="rounded bg-richblack-600 px-2 py-0.5 text-xs text-richblack-200">
+                  {SOURCE_LABELS[track.source]}
+                </span>
+                {track.isDefault && (
+                  <span className="rounded bg-yellow-50 px-2 py-0.5 text-xs text-richblack-900">Default</span>
+                )}
+              </div>
+              <div className="flex items-center gap-3 text-richblack-200">
+                {!track.isDefault && (
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => runAction(() => updateCaptionTrack(subSectionId, track._id, { isDefault: true }, token))}
+                    className="text-xs hover:text-yellow-50"
+                  >
+                    Make default
+                  </button>
+                )}
+                <button type="button" disabled={busy} onClick={() => handleEdit(track)} title="Edit captions">
+                  <RiEditLine className="text-lg hover:text-yellow-50" />
+                </button>
+                <button type="button" disabled={busy} onClick={() => handleDelete(track)} title="Delete captions">
+                  <RiDeleteBin6Line className="text-lg hover:text-pink-200" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Editor */}
+      {editing && (
+        <div className="space-y-2 rounded-md border border-richblack-600 p-4">
+          <div className="flex flex-col gap-2 sm:flex-row">
+            <input
+              value={editing.label}
+              onChange={(e) => setEditing({ ...editing, label: e.target.value })}
+              placeholder="Track name"
+              className="form-style w-full"
+            />
+            <input
+              value={editing.language}
+              onChange={(e) => setEditing({ ...editing, language: e.target.value })}
+              placeholder="Language code, e.g. en"
+              className="form-style w-full sm:w-40"
+            />
+          </div>
+          <textarea
+            value={editing.content}
+            onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+            spellCheck={false}
+            className="form-style min-h-[240px] w-full font-mono text-sm"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="rounded-md bg-richblack-600 px-4 py-2 text-sm text-richblack-5"
+            >
+              Cancel
+            </button>
+            <IconBtn disabled={busy} text="Save Captions" onClick={handleSaveEdit} />
+          </div>
+        </div>
+      )}
+
+      {/* Upload */}
+      <div className="space-y-2">
+        <p className="text-sm text-richblack-5">Upload a WebVTT (.vtt) or SubRip (.srt) file</p>
+        <input
+          key={fileInputKey}
+          type="file"
+          accept=".vtt,.srt"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="w-full text-sm text-richblack-200"
+        />
+        <div className="flex flex-col gap-2 sm:flex-row">
+          <input
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            placeholder="Language code, e.g. en"
+            className="form-style w-full sm:w-40"
+          />
+          <input
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Track name (defaults to the language)"
+            className="form-style w-full"
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center gap-2 text-sm text-richblack-200">
+            <input
+              type="checkbox"
+              checked={isDefault}
+              onChange={(e) => setIsDefault(e.target.checked)}
+              className="form-checkbox"
+            />
+            Show these captions by default
+          </label>
+          <IconBtn disabled={busy || !file} text="Upload Captions" onClick={handleUpload} />
+        </div>
+      </div>
+
+      {/* Auto-generation */}
+      {(captions.canGenerate || captions.job?.status !== "none") && (
+        <div className="space-y-2 rounded-md bg-richblack-700 p-4">
+          <p className="text-sm text-richblack-5">Generate captions from the video</p>
+          {JOB_STATUS_TEXT[captions.job?.status] && (
+            <p className={`text-xs ${captions.job.status === "failed" ? "text-pink-200" : "text-richblack-300"}`}>
+              {JOB_STATUS_TEXT[captions.job.status]}
+              {captions.job.status === "failed" && captions.job.error && `: ${captions.job.error}`}
+            </p>
+          )}
+          {captions.canGenerate && (
+            <div className="flex items-center gap-2">
+              <input
+                value={generateLanguage}
+                onChange={(e) => setGenerateLanguage(e.target.value)}
+                placeholder="Language code"
+                className="form-style w-40"
+              />
+              <IconBtn
+                disabled={busy || jobRunning}
+                text={jobRunning ? "Generating..." : "Generate Captions"}
+                onClick={() => runAction(() => generateCaptions(subSectionId, generateLanguage.trim(), token))}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -11,6 +11,7 @@ import {
 import { setCourse } from "../../../../../slices/courseSlice"
 import IconBtn from "../../../../common/IconBtn"
 import Upload from "../Upload"
+import CaptionManager from "./CaptionManager"
 
 export default function SubSectionModal({ modalData, setModalData, add = false, view = false, edit = false, }) {
   const {
@@ -335,6 +336,9 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
             </div>
           )}
         </form>
+
+        {/* Captions can be added once the lecture is saved */}
+        {edit && modalData?._id && <CaptionManager subSectionId={modalData._id} />}
       </div>
     </div>
   )
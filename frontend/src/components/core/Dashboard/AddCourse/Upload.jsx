@@ -3,6 +3,7 @@ import { useDropzone } from "react-dropzone"
 import { FiUploadCloud } from "react-icons/fi"
 import { useSelector } from "react-redux"
 import { uploadFile, ResumableUploader } from "../../../../utils/directUpload"
+import { requestPlaybackToken } from "../../../../utils/videoUtils"
 import VideoUploadProgress from "../../../common/VideoUploadProgress"
 
 
@@ -340,20 +341,21 @@ export default function Upload({ name, label, register, setValue, errors, video
                          (typeof window !== 'undefined' && window.location.hostname !== 'localhost' 
                            ? `${window.location.protocol}//${window.location.hostname}:5001` 
                            : 'http://localhost:5001');
-          const streamingUrl = `${baseUrl}/api/v1/video/direct/${actualSubSectionId}?token=${token}`
-          console.log("🎥 S3 Video Preview Debug:", {
-            originalUrl: initialVideoUrl,
-            subSectionId: actualSubSectionId,
-            streamingUrl: streamingUrl,
-            token: token ? `${token.substring(0, 20)}...` : 'No token'
-          })
+          let streamingUrl = ""
           
-          // Test the streaming endpoint first
-          fetch(streamingUrl, {
-            method: 'HEAD',
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
+          // Videos only play with a playback token for the lecture
+          requestPlaybackToken(actualSubSectionId, token)
+          .then(({ data, message }) => {
+            if (!data) throw new Error(message)
+            streamingUrl = `${baseUrl}/api/v1/video/direct/${actualSubSectionId}?token=${data.token}`
+            console.log("🎥 S3 Video Preview Debug:", {
+              originalUrl: initialVideoUrl,
+              subSectionId: actualSubSectionId,
+              streamingUrl: streamingUrl
+            })
+            
+            // Test the streaming endpoint first
+            return fetch(streamingUrl, { method: 'HEAD' })
           })
           .then(response => {
             console.log("🎥 Streaming endpoint test response:", {
@@ -490,10 +492,16 @@ export default function Upload({ name, label, register, setValue, errors, video
                                        (typeof window !== 'undefined' && window.location.hostname !== 'localhost' 
                                          ? `${window.location.protocol}//${window.location.hostname}:5001` 
                                          : 'http://localhost:5001');
-                        const streamingUrl = `${baseUrl}/api/v1/video/direct/${subSectionId}?token=${token}`
-                        console.log("Retrying with S3 streaming URL:", streamingUrl)
-                        setPreviewSource(streamingUrl)
-                        setIsLoadingPreview(false)
+                        requestPlaybackToken(subSectionId, token).then(({ data, message }) => {
+                          if (data) {
+                            const streamingUrl = `${baseUrl}/api/v1/video/direct/${subSectionId}?token=${data.token}`
+                            console.log("Retrying with S3 streaming URL:", streamingUrl)
+                            setPreviewSource(streamingUrl)
+                          } else {
+                            setPreviewError(message)
+                          }
+                          setIsLoadingPreview(false)
+                        })
                       } else {
                         setPreviewError("S3 video preview not available in edit mode. Video will be accessible in course view.")
                         setIsLoadingPreview(false)
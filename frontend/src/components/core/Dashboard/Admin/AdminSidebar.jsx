@@ -1,6 +1,6 @@
 import { useEffect, useState } from "react";
 import { useSelector, useDispatch } from 'react-redux';
-import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaStar, FaComments, FaTag, FaChartLine, FaCommentDots, FaBriefcase, FaEnvelope, FaTrash , FaSmile} from 'react-icons/fa';
+import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaStar, FaComments, FaTag, FaChartLine, FaCommentDots, FaBriefcase, FaEnvelope, FaTrash , FaSmile, FaLayerGroup, FaCrown, FaCoins} from 'react-icons/fa';
 import { MdSettings, MdKeyboardArrowLeft, MdKeyboardArrowRight } from 'react-icons/md';
 import { FiBell } from 'react-icons/fi';
 import { VscSignOut, VscPackage, VscGitPullRequestCreate, VscSymbolClass } from "react-icons/vsc";
@@ -37,6 +37,9 @@ const AdminSidebar = ({ activeTab, onTabChange }) => {
     { id: 'accessRequests', label: 'Access Requests', icon: <FaUsers size={16} />, notificationKey: 'accessRequests' },
     { id: 'bundleRequests', label: 'Bundle Requests', icon: <VscGitPullRequestCreate size={16} />, notificationKey: 'bundleRequests' },
     { id: 'orders', label: 'Orders', icon: <VscPackage size={16} />, notificationKey: null },
+    { id: 'bundles', label: 'Course Bundles', icon: <FaLayerGroup size={16} />, notificationKey: null },
+    { id: 'memberships', label: 'Membership Plans', icon: <FaCrown size={16} />, notificationKey: null },
+    { id: 'currencies', label: 'Currencies', icon: <FaCoins size={16} />, notificationKey: null },
     { id: 'coupons', label: 'Coupons', icon: <FaTag size={16} />, notificationKey: null },
     { id: 'careers', label: 'Careers', icon: <FaBriefcase size={16} />, notificationKey: 'careers' },
     { id: 'notifications', label: 'Notifications', icon: <FiBell size={16} />, notificationKey: 'notifications' },
@@ -13,6 +13,8 @@ export default function CourseAccessRequests() {
   const [totalPages, setTotalPages] = useState(1)
   const [selectedStatus, setSelectedStatus] = useState('Pending')
   const [processingId, setProcessingId] = useState(null)
+  // Access period in days per request, empty uses the course default
+  const [accessDays, setAccessDays] = useState({})
 
   useEffect(() => {
     fetchAccessRequests()
@@ -35,7 +37,7 @@ export default function CourseAccessRequests() {
   const handleStatusChange = async (requestId, action, adminResponse = '') => {
     setProcessingId(requestId)
     try {
-      const result = await handleAccessRequest(requestId, action, adminResponse, token)
+      const result = await handleAccessRequest(requestId, action, adminResponse, token, accessDays[requestId] ?? '')
       if (result) {
         toast.success(`Request ${action}d successfully`)
         await fetchAccessRequests()
@@ -200,6 +202,15 @@ export default function CourseAccessRequests() {
                       <td className="py-4 px-6">
                         {selectedStatus === 'Pending' ? (
                           <div className="flex items-center gap-2">
+                            <input
+                              type="number"
+                              min="0"
+                              value={accessDays[request._id] ?? ''}
+                              onChange={(e) => setAccessDays({ ...accessDays, [request._id]: e.target.value })}
+                              placeholder="Days"
+                              title="Access period in days. Leave empty for the course default, 0 for lifetime access."
+                              className="w-20 bg-slate-700/50 border border-slate-600/50 rounded-lg px-2 py-2 text-sm text-white focus:outline-none focus:border-purple-500/50"
+                            />
                             <button
                               onClick={() => handleStatusChange(request._id, 'approve')}
                               disabled={processingId === request._id}
@@ -284,6 +295,15 @@ export default function CourseAccessRequests() {
                   {/* Actions */}
                   {selectedStatus === 'Pending' ? (
                     <div className="flex gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        value={accessDays[request._id] ?? ''}
+                        onChange={(e) => setAccessDays({ ...accessDays, [request._id]: e.target.value })}
+                        placeholder="Days"
+                        title="Access period in days. Leave empty for the course default, 0 for lifetime access."
+                        className="w-20 bg-slate-800/50 border border-slate-600/50 rounded-lg px-2 py-3 text-sm text-white focus:outline-none focus:border-purple-500/50"
+                      />
                       <button
                         onClick={() => handleStatusChange(request._id, 'approve')}
                         disabled={processingId === request._id}
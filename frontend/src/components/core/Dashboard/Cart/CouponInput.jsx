@@ -3,9 +3,12 @@ import { useSelector } from 'react-redux';
 import { validateAndApplyCoupon, getAllCoupons } from '../../../../services/operations/couponAPI';
 import { toast } from 'react-hot-toast';
 import CouponSuccessModal from '../../../common/CouponSuccessModal';
+import useCurrency from '../../../../hooks/useCurrency';
+import { formatPrice } from '../../../../utils/currency';
 
-export default function CouponInput({ totalAmount, onCouponApply, checkoutType = 'course' }) {
+export default function CouponInput({ totalAmount, onCouponApply, checkoutType = 'course', courseIds = [], bundleId = null }) {
   const { token } = useSelector((state) => state.auth);
+  const { code: currency } = useCurrency();
   const [couponCode, setCouponCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [appliedCoupon, setAppliedCoupon] = useState(null);
@@ -52,7 +55,10 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
         {
           code,
           totalAmount,
-          checkoutType
+          courseIds,
+          bundleId,
+          checkoutType,
+          currency
         },
         token
       );
@@ -127,7 +133,7 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
                     <span className="text-xs text-richblack-300 group-hover:text-richblack-200">
                       {coupon.discountType === 'percentage' 
                         ? `${coupon.discountValue}% off` 
-                        : `₹${coupon.discountValue} off`}
+                        : `${formatPrice(coupon.discountValue, coupon.currency || 'INR')} off`}
                     </span>
                   </div>
                   <span className="text-xs px-2 py-1 bg-yellow-900/30 text-yellow-100 rounded-full border border-yellow-700">
@@ -195,6 +201,7 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
         isOpen={showSuccessModal}
         onClose={() => setShowSuccessModal(false)}
         discountAmount={appliedCoupon?.discountAmount || 0}
+        currency={currency}
       />
     </>
   );
@@ -1,24 +1,34 @@
-import { useState } from "react"
+import { useEffect, useState } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate } from "react-router-dom"
-import toast from "react-hot-toast"
 
 import IconBtn from "../../../common/IconBtn"
 import CouponInput from "./CouponInput"
 import { FiCreditCard, FiShield, FiZap, FiGift } from "react-icons/fi"
 import { buyCourse } from "../../../../services/operations/studentFeaturesAPI"
+import useCurrency from "../../../../hooks/useCurrency"
+import { formatPrice, roundAmount } from "../../../../utils/currency"
 
 export default function RenderTotalAmount() {
-  const { total, cart } = useSelector((state) => state.cart)
+  const { cart } = useSelector((state) => state.cart)
   const { token } = useSelector((state) => state.auth)
   const { user } = useSelector((state) => state.profile)
   const navigate = useNavigate()
   const dispatch = useDispatch()
 
+  const { code, convert, format } = useCurrency()
   const [appliedCoupon, setAppliedCoupon] = useState(null)
   const [discountAmount, setDiscountAmount] = useState(0)
 
-  const finalAmount = total - discountAmount
+  // Every course is converted on its own, the way the server prices the order
+  const total = roundAmount(cart.reduce((sum, course) => sum + convert(course.price), 0), code)
+  const finalAmount = roundAmount(total - discountAmount, code)
+
+  // A coupon's discount is in the currency it was applied in
+  useEffect(() => {
+    setAppliedCoupon(null)
+    setDiscountAmount(0)
+  }, [code])
 
   const handleCouponApply = (couponData) => {
     setAppliedCoupon(couponData)
@@ -31,14 +41,8 @@ export default function RenderTotalAmount() {
   }
 
   const handleBuyCourse = async () => {
-    // Check if total amount is not zero - prevent purchase and show message
-    if (finalAmount !== 0 && finalAmount !== null) {
-      toast.error("You have to pay first")
-      return
-    }
-    
     const courses = cart.map((course) => course._id)
-    await buyCourse(token, courses, user, navigate, dispatch)
+    await buyCourse(token, courses, user, navigate, dispatch, appliedCoupon, finalAmount, code)
   }
 
   const savings = Math.round(total * 0.3)
@@ -48,7 +52,7 @@ export default function RenderTotalAmount() {
     <div className="min-w-[280px] rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-6">
       <div className="mb-4">
         <p className="mb-1 text-sm font-medium text-richblack-300">Subtotal:</p>
-        <p className="text-2xl font-medium text-richblack-100">₹ {total}</p>
+        <p className="text-2xl font-medium text-richblack-100">{format(total)}</p>
       </div>
 
       {appliedCoupon && (
@@ -59,7 +63,7 @@ export default function RenderTotalAmount() {
               <p className="text-sm font-medium text-green-100">
                 {appliedCoupon.discountType === 'percentage' 
                   ? `${appliedCoupon.discountValue}% OFF` 
-                  : `₹${appliedCoupon.discountValue} OFF`}
+                  : `${formatPrice(appliedCoupon.discountValue, appliedCoupon.couponCurrency || code)} OFF`}
               </p>
             </div>
             <button
@@ -70,19 +74,23 @@ export default function RenderTotalAmount() {
             </button>
           </div>
           <p className="text-sm text-green-200 mt-1">
-            Discount: -₹{discountAmount}
+            Discount: -{format(discountAmount)}
           </p>
         </div>
       )}
 
       <div className="mb-4">
         <p className="mb-1 text-sm font-medium text-richblack-300">Total:</p>
-        <p className="mb-6 text-3xl font-medium text-yellow-100">₹ {finalAmount}</p>
+        <p className="mb-6 text-3xl font-medium text-yellow-100">{format(finalAmount)}</p>
       </div>
 
       {!appliedCoupon && (
         <div className="mb-4">
-          <CouponInput totalAmount={total} onCouponApply={handleCouponApply} />
+          <CouponInput
+            totalAmount={total}
+            courseIds={cart.map((course) => course._id)}
+            onCouponApply={handleCouponApply}
+          />
         </div>
       )}
 
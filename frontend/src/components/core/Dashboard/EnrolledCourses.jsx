@@ -4,10 +4,33 @@ import { useSelector } from "react-redux"
 import { useNavigate } from "react-router-dom"
 import { getUserEnrolledCourses } from "../../../services/operations/profileAPI"
 import { generateCertificate } from "../../../services/operations/certificateAPI"
+import { getContinueLearning } from "../../../services/operations/courseDetailsAPI"
 import Img from './../../common/Img';
 import IconBtn from "../../common/IconBtn"
 import CertificateModal from "../Certificate/CertificateModal"
 
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+// Courses the student can't open right now
+const isCourseLocked = (course) => course.isDeactivated || course.isOrderInactive || course.isAccessExpired
+
+const formatAccessDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" })
+
+// Remaining time of a time-limited enrollment, e.g. "12 days left"
+const getRemainingAccess = (expiresAt) => {
+  const remaining = new Date(expiresAt) - Date.now()
+  if (remaining >= DAY_IN_MS) {
+    const days = Math.ceil(remaining / DAY_IN_MS)
+    return `${days} day${days === 1 ? "" : "s"} left`
+  }
+  const hours = Math.max(1, Math.ceil(remaining / (60 * 60 * 1000)))
+  return `${hours} hour${hours === 1 ? "" : "s"} left`
+}
+
+const getLecturePath = (item) =>
+  `/view-course/${item.course._id}/section/${item.section._id}/sub-section/${item.subSection._id}`
+
 export default function EnrolledCourses() {
   const { token } = useSelector((state) => state.auth)
   const { user } = useSelector((state) => state.profile)
@@ -16,6 +39,8 @@ export default function EnrolledCourses() {
   const [showCertificate, setShowCertificate] = useState(false)
   const [selectedCourse, setSelectedCourse] = useState(null)
   const [loading, setLoading] = useState(true)
+  // Next unfinished lecture of each course, most recently studied first
+  const [continueLearning, setContinueLearning] = useState([])
 
   const getEnrolledCourses = useCallback(async () => {
     if (!token || enrolledCourses !== null) return; // Prevent duplicate calls
@@ -35,6 +60,11 @@ export default function EnrolledCourses() {
     getEnrolledCourses();
   }, [getEnrolledCourses])
 
+  useEffect(() => {
+    if (!token) return
+    getContinueLearning(token).then(setContinueLearning)
+  }, [token])
+
   // Optimized Loading Skeleton
   const SkeletonCard = useMemo(() => (
     <div className="bg-slate-800/50 rounded-2xl p-6 border border-slate-700/50 animate-pulse">
@@ -51,17 +81,23 @@ export default function EnrolledCourses() {
 
   // Memoized navigation handler
   const handleCourseNavigation = useCallback((course) => {
-    // Don't navigate if course is deleted/deactivated or order is inactive
-    if (course.isDeactivated || course.isOrderInactive) {
+    // Don't navigate if course is deleted/deactivated, order is inactive or access has ended
+    if (isCourseLocked(course)) {
       return; // Just return without any action or toast
     }
     
+    // Pick up at the next unfinished lecture, else start from the beginning
+    const next = continueLearning.find((item) => item.course._id === course._id);
+    if (next) {
+      navigate(getLecturePath(next));
+      return;
+    }
     const firstSection = course.courseContent?.[0];
     const firstSubSection = firstSection?.subSection?.[0];
     if (firstSection && firstSubSection) {
       navigate(`/view-course/${course._id}/section/${firstSection._id}/sub-section/${firstSubSection._id}`);
     }
-  }, [navigate]);
+  }, [navigate, continueLearning]);
 
   // Memoized certificate handler
   const handleCertificateGeneration = useCallback(async (course) => {
@@ -120,6 +156,38 @@ export default function EnrolledCourses() {
         </p>
       </div>
 
+      {/* Continue Learning */}
+      {continueLearning[0] && (
+        <div className="flex flex-col gap-4 rounded-2xl border border-purple-500/30 bg-slate-800/50 p-6 backdrop-blur-xl sm:flex-row sm:items-center">
+          <Img
+            src={continueLearning[0].course.thumbnail}
+            alt={continueLearning[0].course.courseName}
+            className="h-20 w-32 rounded-xl object-cover"
+          />
+          <div className="flex-1 min-w-0">
+            <p className="text-xs font-semibold uppercase tracking-wide text-purple-400">Continue learning</p>
+            <h3 className="mt-1 truncate text-lg font-semibold text-white">{continueLearning[0].course.courseName}</h3>
+            <p className="truncate text-sm text-slate-400">
+              {continueLearning[0].section.sectionName} · {continueLearning[0].subSection.title}
+            </p>
+            {continueLearning[0].watchedPercent > 0 && (
+              <ProgressBar
+                completed={Math.floor(continueLearning[0].watchedPercent)}
+                height="6px"
+                isLabelVisible={false}
+                bgColor="#a855f7"
+                baseBgColor="#334155"
+                className="mt-2 max-w-xs"
+              />
+            )}
+          </div>
+          <IconBtn
+            text={continueLearning[0].resumeAt > 0 ? "Resume" : "Start"}
+            onClick={() => navigate(getLecturePath(continueLearning[0]))}
+          />
+        </div>
+      )}
+
       {/* Course List */}
       <div className="space-y-4">
         {/* Loading State */}
@@ -140,6 +208,8 @@ export default function EnrolledCourses() {
               ? 'border-red-500/50 hover:border-red-500/70' 
               : course.isOrderInactive
               ? 'border-red-500/50 hover:border-red-500/70'
+              : course.isAccessExpired
+              ? 'border-yellow-500/50 hover:border-yellow-500/70'
               : 'border-slate-700/50 hover:border-purple-500/30'
           }`}
           >
@@ -180,11 +250,29 @@ export default function EnrolledCourses() {
               </div>
             )}
 
+            {course.isAccessExpired && (
+              <div className="bg-yellow-500/10 border-b border-yellow-500/20 p-4 rounded-t-2xl">
+                <div className="flex items-center gap-3">
+                  <div className="flex-shrink-0">
+                    <svg className="w-5 h-5 text-yellow-50" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                  </div>
+                  <div className="flex-1">
+                    <h4 className="text-yellow-50 font-semibold text-sm">Access Period Ended</h4>
+                    <p className="text-yellow-100/80 text-xs mt-1">
+                      Your access to this course has ended. Your progress is saved and comes back if you enroll again.
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+
             <div className="p-6">
               <div className="flex flex-col sm:flex-row gap-6">
                 {/* Thumbnail */}
                 <div 
-                  className={`relative ${(course.isDeactivated || course.isOrderInactive) ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}`}
+                  className={`relative ${isCourseLocked(course) ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}`}
                   onClick={() => handleCourseNavigation(course)}
                 >
                   <div className="relative">
@@ -216,7 +304,7 @@ export default function EnrolledCourses() {
                 <div className="flex-1 min-w-0">
                   <h3 
                     className={`text-lg font-semibold mb-2 transition-colors duration-200 ${
-                      (course.isDeactivated || course.isOrderInactive)
+                      isCourseLocked(course)
                         ? 'text-slate-400 cursor-not-allowed' 
                         : 'text-white cursor-pointer hover:text-purple-400'
                     }`}
@@ -236,6 +324,18 @@ export default function EnrolledCourses() {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                         </svg>
                         <span className="text-sm">{course?.totalDuration}</span>
+                        {course.accessExpiresAt && (
+                          <span
+                            title={`Access until ${formatAccessDate(course.accessExpiresAt)}`}
+                            className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${
+                              new Date(course.accessExpiresAt) - Date.now() <= 7 * DAY_IN_MS
+                                ? 'bg-yellow-500/10 text-yellow-50'
+                                : 'bg-slate-700/50 text-slate-300'
+                            }`}
+                          >
+                            {getRemainingAccess(course.accessExpiresAt)}
+                          </span>
+                        )}
                       </div>
                       <span className={`text-sm font-medium ${
                         course.isDeactivated ? 'text-slate-500' 
@@ -263,12 +363,14 @@ export default function EnrolledCourses() {
                   <div className="flex flex-col sm:flex-row gap-3 sm:gap-4 mt-4">
                     <button
                       onClick={() => handleCourseNavigation(course)}
-                      disabled={course.isDeactivated || course.isOrderInactive}
+                      disabled={isCourseLocked(course)}
                       className={`px-4 py-2 rounded-xl text-sm font-medium transition-colors duration-200 ${
                         course.isDeactivated 
                           ? 'bg-slate-600/20 text-slate-500 cursor-not-allowed' 
                           : course.isOrderInactive
                           ? 'bg-red-600/20 text-red-500 cursor-not-allowed'
+                          : course.isAccessExpired
+                          ? 'bg-yellow-600/20 text-yellow-50 cursor-not-allowed'
                           : 'bg-purple-500/10 text-purple-400 hover:bg-purple-500/20'
                       }`}
                     >
@@ -276,10 +378,12 @@ export default function EnrolledCourses() {
                         ? 'Course Deleted - Cannot Continue' 
                         : course.isOrderInactive
                         ? 'Access Suspended - Contact Support'
+                        : course.isAccessExpired
+                        ? 'Access Ended'
                         : 'Continue Learning'}
                     </button>
                     
-                    {course.progressPercentage === 100 && !course.isDeactivated && !course.isOrderInactive && (
+                    {course.progressPercentage === 100 && !isCourseLocked(course) && (
                       <button
                         onClick={(e) => {
                           e.stopPropagation()
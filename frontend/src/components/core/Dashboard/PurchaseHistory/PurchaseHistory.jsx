@@ -1,19 +1,69 @@
 import React, { useEffect, useState } from "react";
 import { useSelector } from "react-redux";
 import { toast } from "react-hot-toast";
-import { FiFileText } from "react-icons/fi";
+import { FiFileText, FiRotateCcw, FiGift } from "react-icons/fi";
 import { apiConnector } from "../../../../services/apiConnector";
 import { courseEndpoints } from "../../../../services/apis";
 import OrderViewModal from "../../../../pages/Admin/components/OrderViewModal";
+import RefundRequestModal from "./RefundRequestModal";
+import { requestRefund } from "../../../../services/operations/orderAPI";
+import { formatPrice } from "../../../../utils/currency";
 
 const { COURSE_PURCHASE_HISTORY_API } = courseEndpoints;
 
+const giftStatusStyles = {
+  pending: "text-richblack-300",
+  unclaimed: "text-yellow-100",
+  redeemed: "text-caribbeangreen-100",
+  expired: "text-pink-200",
+  refunded: "text-richblack-300",
+};
+
+const getGiftStatusText = (gift) => {
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+  switch (gift.status) {
+    case "unclaimed":
+      return `Not claimed yet, claimable until ${formatDate(gift.expiresAt)}`;
+    case "redeemed":
+      return `Claimed on ${formatDate(gift.redeemedAt)}`;
+    case "expired":
+      return "Not claimed in time, eligible for a refund";
+    case "refunded":
+      return "Gift refunded";
+    default:
+      return "Awaiting payment";
+  }
+};
+
+// Who a gift was bought for and whether they claimed it
+function GiftInfo({ purchase }) {
+  if (purchase.receivedAsGift) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-caribbeangreen-100">
+        <FiGift size={12} /> Received as a gift
+      </p>
+    );
+  }
+  if (!purchase.gift) {
+    return null;
+  }
+  return (
+    <div className="text-xs">
+      <p className="flex items-center gap-1 text-richblack-100">
+        <FiGift size={12} /> Gift for {purchase.gift.recipientName || purchase.gift.recipientEmail}
+      </p>
+      <p className={giftStatusStyles[purchase.gift.status]}>{getGiftStatusText(purchase.gift)}</p>
+    </div>
+  );
+}
+
 export default function PurchaseHistory() {
   const { token } = useSelector((state) => state.auth);
   const [purchases, setPurchases] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showInvoiceModal, setShowInvoiceModal] = useState(false);
+  const [refundPurchase, setRefundPurchase] = useState(null);
 
   useEffect(() => {
     const fetchPurchaseHistory = async () => {
@@ -41,6 +91,25 @@ export default function PurchaseHistory() {
     fetchPurchaseHistory();
   }, [token]);
 
+  const handleRefundRequest = async (reason) => {
+    const result = await requestRefund(token, refundPurchase._id, reason);
+    if (result) {
+      setPurchases((prev) =>
+        prev.map((purchase) =>
+          purchase._id === refundPurchase._id
+            ? {
+                ...purchase,
+                status: "Refund Requested",
+                paymentStatus: "refund_requested",
+                refund: { eligible: false, reason: "Refund request pending" },
+              }
+            : purchase
+        )
+      );
+      setRefundPurchase(null);
+    }
+  };
+
   const handleViewInvoice = (purchase) => {
     // Convert purchase data to order format for the admin invoice modal
     const orderData = {
@@ -48,6 +117,7 @@ export default function PurchaseHistory() {
       transactionId: purchase.transactionId || `TXN_${purchase._id.slice(-8)}`,
       purchaseDate: purchase.purchaseDate,
       amount: purchase.price,
+      currency: purchase.currency,
       originalPrice: purchase.originalPrice || purchase.price,
       discountAmount: purchase.discountAmount || 0,
       couponUsed: purchase.couponUsed || null,
@@ -121,6 +191,7 @@ export default function PurchaseHistory() {
                         ? `${purchase.courseDescription.slice(0, 50)}...`
                         : purchase.courseDescription}
                     </p>
+                    <GiftInfo purchase={purchase} />
                   </div>
                 </div>
                 <div className="w-[18%] px-2 py-3">
@@ -130,15 +201,20 @@ export default function PurchaseHistory() {
                 </div>
                 <div className="w-[15%] px-2 py-3">
                   <p className="text-sm font-medium text-richblack-100">
-                    {purchase.price === 0 ? "Free" : `₹${purchase.price}`}
+                    {purchase.price === 0 ? "Free" : formatPrice(purchase.price, purchase.currency)}
                   </p>
                 </div>
                 <div className="w-[15%] px-2 py-3">
                   <p className="text-sm font-medium text-yellow-100">
                     {purchase.status}
                   </p>
+                  {purchase.refundedAmount > 0 && (
+                    <p className="text-xs text-richblack-300">
+                      Refunded {formatPrice(purchase.refundedAmount, purchase.currency)}
+                    </p>
+                  )}
                 </div>
-                <div className="w-[12%] px-2 py-3">
+                <div className="flex w-[12%] flex-col items-start gap-2 px-2 py-3">
                   <button
                     onClick={() => handleViewInvoice(purchase)}
                     className="flex items-center gap-1 rounded-md bg-yellow-50 px-3 py-1 text-xs font-medium text-richblack-900 hover:bg-yellow-25"
@@ -146,6 +222,15 @@ export default function PurchaseHistory() {
                     <FiFileText size={14} />
                     Invoice
                   </button>
+                  {purchase.refund?.eligible && (
+                    <button
+                      onClick={() => setRefundPurchase(purchase)}
+                      className="flex items-center gap-1 rounded-md border border-richblack-500 px-3 py-1 text-xs font-medium text-richblack-100 hover:bg-richblack-700"
+                    >
+                      <FiRotateCcw size={14} />
+                      Refund
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -168,6 +253,7 @@ export default function PurchaseHistory() {
                         ? `${purchase.courseDescription.slice(0, 50)}...`
                         : purchase.courseDescription}
                     </p>
+                    <GiftInfo purchase={purchase} />
                   </div>
                 </div>
                 <div className="grid grid-cols-2 gap-4 text-sm text-richblack-100">
@@ -177,14 +263,14 @@ export default function PurchaseHistory() {
                   </div>
                   <div>
                     <p className="font-medium">Price</p>
-                    <p>{purchase.price === 0 ? "Free" : `₹${purchase.price}`}</p>
+                    <p>{purchase.price === 0 ? "Free" : formatPrice(purchase.price, purchase.currency)}</p>
                   </div>
                 </div>
                 <div>
                   <p className="font-medium text-yellow-100">Status</p>
                   <p>{purchase.status}</p>
                 </div>
-                <div className="mt-3">
+                <div className="mt-3 flex flex-wrap gap-3">
                   <button
                     onClick={() => handleViewInvoice(purchase)}
                     className="flex items-center gap-2 rounded-md bg-yellow-50 px-4 py-2 text-sm font-medium text-richblack-900 hover:bg-yellow-25"
@@ -192,6 +278,15 @@ export default function PurchaseHistory() {
                     <FiFileText size={16} />
                     Download Invoice
                   </button>
+                  {purchase.refund?.eligible && (
+                    <button
+                      onClick={() => setRefundPurchase(purchase)}
+                      className="flex items-center gap-2 rounded-md border border-richblack-500 px-4 py-2 text-sm font-medium text-richblack-100 hover:bg-richblack-600"
+                    >
+                      <FiRotateCcw size={16} />
+                      Request Refund
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -199,6 +294,15 @@ export default function PurchaseHistory() {
         </>
       )}
       
+      {/* Refund Request Modal */}
+      {refundPurchase && (
+        <RefundRequestModal
+          purchase={refundPurchase}
+          onSubmit={handleRefundRequest}
+          onClose={() => setRefundPurchase(null)}
+        />
+      )}
+
       {/* Invoice Modal */}
       {showInvoiceModal && selectedOrder && (
         <OrderViewModal
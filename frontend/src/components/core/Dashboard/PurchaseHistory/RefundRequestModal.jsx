@@ -0,0 +1,53 @@
+import { useState } from "react";
+import IconBtn from "../../../common/IconBtn";
+import { formatPrice } from "../../../../utils/currency";
+
+export default function RefundRequestModal({ purchase, onSubmit, onClose }) {
+  const [reason, setReason] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const refundableAmount = purchase.refund?.refundableAmount ?? purchase.price;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    await onSubmit(reason);
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] !mt-0 grid place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm">
+      <div className="w-11/12 max-w-[450px] rounded-lg border border-richblack-400 bg-richblack-800 p-6">
+        <p className="text-2xl font-semibold text-richblack-5">Request a refund</p>
+        <p className="mt-3 leading-6 text-richblack-200">
+          {purchase.courseName}
+        </p>
+        <p className="mt-1 mb-4 text-sm text-richblack-300">
+          Refundable amount: <span className="font-semibold text-yellow-50">{formatPrice(refundableAmount, purchase.currency)}</span>.
+          Your access to the course is removed once the refund is approved.
+        </p>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          rows={4}
+          placeholder="Tell us why you would like a refund (optional)"
+          className="w-full rounded-md bg-richblack-700 p-3 text-sm text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-50"
+        />
+        <div className="mt-5 flex items-center gap-x-4">
+          <IconBtn
+            onClick={handleSubmit}
+            disabled={submitting}
+            text={submitting ? "Submitting..." : "Submit Request"}
+            customClasses="rounded-md bg-yellow-50 px-4 py-2 text-richblack-900 font-semibold hover:scale-95 transition-all duration-200"
+          />
+          <button
+            className="cursor-pointer rounded-md bg-richblack-200 px-4 py-2 text-richblack-900 font-semibold hover:scale-95 transition-all duration-200"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { useNavigate } from "react-router-dom"
 
 import { updateProfile } from "../../../../services/operations/SettingsAPI"
 import IconBtn from "../../../common/IconBtn"
+import { indianStates } from "../../../../data/indian-states"
 
 const genders = ["Male", "Female", "Non-Binary", "Prefer not to say", "Other"]
 
@@ -179,6 +180,31 @@ export default function EditProfile() {
               )}
             </div>
           </div>
+
+          <div className="flex flex-col gap-5 lg:flex-row">
+            <div className="flex flex-col gap-2 lg:w-[48%]">
+              <label htmlFor="state" className="lable-style">
+                State
+              </label>
+              <select
+                name="state"
+                id="state"
+                className="form-style"
+                {...register("state")}
+                defaultValue={user?.additionalDetails?.state || ""}
+              >
+                <option value="">Select your state</option>
+                {indianStates.map((state) => (
+                  <option key={state} value={state}>
+                    {state}
+                  </option>
+                ))}
+              </select>
+              <span className="-mt-1 text-[12px] text-richblack-300">
+                Shown on your invoices as the place of supply.
+              </span>
+            </div>
+          </div>
         </div>
 
         <div className="flex justify-end gap-2">
@@ -0,0 +1,301 @@
+import { useEffect, useRef, useState } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { useParams } from "react-router-dom"
+import { FiCheckCircle, FiClock, FiPlay, FiRotateCcw, FiSend } from "react-icons/fi"
+import { HiMenuAlt1 } from "react-icons/hi"
+
+import CodeEditor from "../../common/CodeEditor"
+import { TestCaseResults } from "./CodeTestResults"
+import {
+  getCodeExercise,
+  getExerciseDraft,
+  saveExerciseDraft,
+  runExerciseSamples,
+  submitCodeExercise,
+  getExerciseSubmissions,
+} from "../../../services/operations/codeExerciseAPI"
+import { updateCompletedExercises } from "../../../slices/viewCourseSlice"
+import { setCourseViewSidebar } from "../../../slices/sidebarSlice"
+
+// How long edits wait before the draft is saved to the server
+const DRAFT_SAVE_DELAY_MS = 2000
+
+// The exercise's files holding the code of a draft or submission, by file name
+const withCodeOf = (exerciseFiles, savedFiles) => exerciseFiles.map((file) => ({
+  name: file.name,
+  content: savedFiles?.find((saved) => saved.name === file.name)?.content ?? file.content,
+}))
+
+const formatDate = (date) => new Date(date).toLocaleString()
+
+// A coding exercise lecture: edit the files, run them against the sample tests,
+// and submit them against every test. Passing every test completes the lecture.
+export default function CodeExerciseView() {
+  const { subSectionId } = useParams()
+  const dispatch = useDispatch()
+  const { token } = useSelector((state) => state.auth)
+  const { courseSectionData, completedExercises } = useSelector((state) => state.viewCourse)
+  const { courseViewSidebar } = useSelector((state) => state.sidebar)
+
+  const [exercise, setExercise] = useState(null)
+  const [files, setFiles] = useState([])
+  const [activeFile, setActiveFile] = useState(0)
+  // Bumped when files are replaced from outside the editor, so it shows them
+  const [editorKey, setEditorKey] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [running, setRunning] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [results, setResults] = useState(null)
+  const [submissions, setSubmissions] = useState([])
+  const [draftSavedAt, setDraftSavedAt] = useState(null)
+  // Edits since the files were loaded, which the draft does not hold yet
+  const dirtyRef = useRef(false)
+
+  const exerciseId = courseSectionData
+    .flatMap((section) => section.subSection)
+    .find((subSection) => subSection._id === subSectionId)?.codeExercise
+
+  useEffect(() => {
+    if (!exerciseId || !token) return
+
+    const loadExercise = async () => {
+      setLoading(true)
+      setResults(null)
+      const [exerciseData, draft, history] = await Promise.all([
+        getCodeExercise(exerciseId, token),
+        getExerciseDraft(exerciseId, token),
+        getExerciseSubmissions(exerciseId, token),
+      ])
+      if (exerciseData) {
+        setExercise(exerciseData)
+        setFiles(withCodeOf(exerciseData.files, draft?.files))
+        setActiveFile(0)
+        setEditorKey((key) => key + 1)
+        setDraftSavedAt(draft?.updatedAt || null)
+        setSubmissions(history)
+        dirtyRef.current = false
+      }
+      setLoading(false)
+    }
+
+    loadExercise()
+  }, [exerciseId, token])
+
+  // Save the draft a moment after the student stops typing
+  useEffect(() => {
+    if (!exercise || !dirtyRef.current) return
+
+    const timeout = setTimeout(async () => {
+      const saved = await saveExerciseDraft(exercise._id, files, token)
+      if (saved) {
+        dirtyRef.current = false
+        setDraftSavedAt(saved.updatedAt)
+      }
+    }, DRAFT_SAVE_DELAY_MS)
+
+    return () => clearTimeout(timeout)
+  }, [exercise, files, token])
+
+  const updateFile = (index, content) => {
+    dirtyRef.current = true
+    setFiles((current) => current.map((file, i) => (i === index ? { ...file, content } : file)))
+  }
+
+  // Put other code in the editor, e.g. the starter code or an earlier submission
+  const replaceFiles = (savedFiles) => {
+    dirtyRef.current = true
+    setFiles(withCodeOf(exercise.files, savedFiles))
+    setEditorKey((key) => key + 1)
+  }
+
+  const handleRun = async () => {
+    setRunning(true)
+    const data = await runExerciseSamples(exercise._id, files, token)
+    if (data) {
+      setResults({ ...data, submitted: false })
+    }
+    setRunning(false)
+  }
+
+  const handleSubmit = async () => {
+    setSubmitting(true)
+    const submission = await submitCodeExercise(exercise._id, files, token)
+    if (submission) {
+      setResults({ ...submission, submitted: true })
+      setSubmissions((current) => [{ ...submission, files }, ...current])
+      if (submission.passed && !completedExercises.includes(subSectionId)) {
+        dispatch(updateCompletedExercises(subSectionId))
+      }
+    }
+    setSubmitting(false)
+  }
+
+  if (!exerciseId) {
+    return (
+      <div className="flex items-center justify-center h-[400px] text-richblack-300">
+        This lecture has no coding exercise.
+      </div>
+    )
+  }
+
+  if (loading || !exercise) {
+    return (
+      <div className="flex items-center justify-center h-[400px]">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+      </div>
+    )
+  }
+
+  const solved = completedExercises.includes(subSectionId) || exercise.solved
+  const samples = exercise.testCases.filter((testCase) => !testCase.isHidden)
+  const hiddenCount = exercise.testCases.length - samples.length
+
+  return (
+    <div className="flex flex-col gap-6 text-white max-w-5xl mx-auto p-4 sm:p-6">
+      <div className="sm:hidden text-white absolute left-7 top-3 cursor-pointer" onClick={() => dispatch(setCourseViewSidebar(!courseViewSidebar))}>
+        {!courseViewSidebar && <HiMenuAlt1 size={33} />}
+      </div>
+
+      {/* Instructions */}
+      <div className="bg-richblack-800 rounded-xl p-6 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h1 className="text-2xl font-bold">{exercise.title}</h1>
+          {solved && (
+            <span className="flex items-center gap-2 text-sm text-caribbeangreen-100">
+              <FiCheckCircle />
+              Solved
+            </span>
+          )}
+        </div>
+        <p className="text-sm text-richblack-300 capitalize">Language: {exercise.language}</p>
+        {exercise.instructions && (
+          <p className="text-richblack-100 whitespace-pre-wrap">{exercise.instructions}</p>
+        )}
+      </div>
+
+      {/* Sample tests */}
+      <div className="bg-richblack-800 rounded-xl p-6 space-y-3">
+        <h2 className="text-lg font-semibold">Sample Tests</h2>
+        {samples.map((testCase, index) => (
+          <div key={testCase._id} className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+            <div>
+              <p className="text-xs text-richblack-300 mb-1">Input {index + 1}</p>
+              <pre className="bg-richblack-900 p-2 rounded whitespace-pre-wrap">{testCase.input || "(empty)"}</pre>
+            </div>
+            <div>
+              <p className="text-xs text-richblack-300 mb-1">Expected Output</p>
+              <pre className="bg-richblack-900 p-2 rounded whitespace-pre-wrap">{testCase.expectedOutput}</pre>
+            </div>
+          </div>
+        ))}
+        {hiddenCount > 0 && (
+          <p className="text-xs text-richblack-400">
+            Submitting also runs {hiddenCount} hidden {hiddenCount === 1 ? "test" : "tests"}.
+          </p>
+        )}
+      </div>
+
+      {/* Editor */}
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex flex-wrap gap-1">
+            {files.map((file, index) => (
+              <button
+                key={file.name}
+                onClick={() => setActiveFile(index)}
+                className={`px-3 py-1 rounded-t-lg text-sm font-mono ${
+                  activeFile === index ? "bg-richblack-800 text-yellow-50" : "bg-richblack-700 text-richblack-300 hover:text-richblack-50"
+                }`}
+              >
+                {file.name}
+              </button>
+            ))}
+          </div>
+          <span className="text-xs text-richblack-400">
+            {draftSavedAt ? `Draft saved ${formatDate(draftSavedAt)}` : "Drafts save as you type"}
+          </span>
+        </div>
+        <CodeEditor
+          key={`${editorKey}-${activeFile}`}
+          language={exercise.language}
+          starterCode={files[activeFile]?.content || ""}
+          onChange={(content) => updateFile(activeFile, content)}
+          runnable={false}
+          height="400px"
+        />
+        <div className="flex flex-wrap justify-end gap-3">
+          <button
+            onClick={() => {
+              if (window.confirm("Replace your code with the starter code?")) {
+                replaceFiles(exercise.files)
+              }
+            }}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-richblack-700 text-richblack-100 hover:bg-richblack-600"
+          >
+            <FiRotateCcw />
+            Reset
+          </button>
+          <button
+            onClick={handleRun}
+            disabled={running || submitting}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-richblack-600 text-richblack-5 hover:bg-richblack-500 disabled:opacity-50"
+          >
+            <FiPlay />
+            {running ? "Running..." : "Run Sample Tests"}
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={running || submitting}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-yellow-50 text-richblack-900 font-semibold hover:scale-95 transition-all duration-200 disabled:opacity-50"
+          >
+            <FiSend />
+            {submitting ? "Submitting..." : "Submit"}
+          </button>
+        </div>
+      </div>
+
+      {/* Results of the last run or submission */}
+      {results && (
+        <div className="bg-richblack-800 rounded-xl p-6 space-y-3">
+          <div className="flex justify-between items-center">
+            <h2 className="text-lg font-semibold">{results.submitted ? "Submission Results" : "Sample Test Results"}</h2>
+            <span className={results.passedCount === results.totalCount ? "text-caribbeangreen-100" : "text-pink-200"}>
+              {results.passedCount}/{results.totalCount} passed
+            </span>
+          </div>
+          <TestCaseResults testResults={results.testResults} />
+        </div>
+      )}
+
+      {/* Submission history */}
+      <div className="bg-richblack-800 rounded-xl p-6 space-y-3">
+        <h2 className="text-lg font-semibold">Your Submissions</h2>
+        {submissions.length === 0 ? (
+          <p className="text-sm text-richblack-400">No submissions yet.</p>
+        ) : (
+          <div className="divide-y divide-richblack-700">
+            {submissions.map((submission) => (
+              <div key={submission._id} className="flex flex-wrap items-center justify-between gap-3 py-2 text-sm">
+                <span className="flex items-center gap-2 text-richblack-300">
+                  <FiClock />
+                  {formatDate(submission.createdAt)}
+                </span>
+                <span className={submission.passed ? "text-caribbeangreen-100" : "text-pink-200"}>
+                  {submission.passedCount}/{submission.totalCount} tests passed
+                </span>
+                {submission.files?.length > 0 && (
+                  <button
+                    onClick={() => replaceFiles(submission.files)}
+                    className="text-yellow-50 hover:underline"
+                  >
+                    Load this code
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
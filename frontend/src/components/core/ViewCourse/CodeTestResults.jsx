@@ -0,0 +1,106 @@
+import { FiCheckCircle, FiXCircle, FiLock } from "react-icons/fi"
+
+// Run time and memory of a test case, when the code runner measured them
+const formatUsage = ({ status, time, memory }) => [
+  status,
+  typeof time === "number" ? `${time}s` : null,
+  typeof memory === "number" ? `${memory} KB` : null,
+].filter(Boolean).join(" · ")
+
+function OutputBlock({ label, value }) {
+  return (
+    <div>
+      <p className="text-xs text-richblack-300 mb-1">{label}</p>
+      <pre className="bg-richblack-900 text-richblack-25 p-2 rounded text-xs whitespace-pre-wrap max-h-32 overflow-y-auto">
+        {value || "(empty)"}
+      </pre>
+    </div>
+  )
+}
+
+// Results of one program's test cases. Hidden test cases only show whether
+// they passed; the server never sends their data.
+export function TestCaseResults({ testResults }) {
+  const visibleResults = testResults.filter((testResult) => !testResult.hidden)
+  const hiddenResults = testResults.filter((testResult) => testResult.hidden)
+
+  return (
+    <>
+      {visibleResults.map((testResult, index) => (
+        <div key={testResult.testCase} className="border border-richblack-600 rounded-lg p-3 space-y-2">
+          <div className="flex flex-wrap justify-between items-center gap-2 text-sm">
+            <span className={`flex items-center gap-2 font-medium ${testResult.passed ? "text-caribbeangreen-100" : "text-pink-200"}`}>
+              {testResult.passed ? <FiCheckCircle /> : <FiXCircle />}
+              Test {index + 1}
+              {testResult.weight !== 1 && <span className="text-richblack-300 font-normal">(weight {testResult.weight})</span>}
+            </span>
+            <span className="text-richblack-300">{formatUsage(testResult)}</span>
+          </div>
+          {testResult.expectedOutput !== undefined && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+              <OutputBlock label="Input" value={testResult.input} />
+              <OutputBlock label="Expected" value={testResult.expectedOutput} />
+              <OutputBlock label="Your Output" value={testResult.actualOutput} />
+            </div>
+          )}
+          {testResult.error && (
+            <pre className="bg-red-900/20 border border-red-600 text-red-200 p-2 rounded text-xs whitespace-pre-wrap max-h-32 overflow-y-auto">
+              {testResult.error}
+            </pre>
+          )}
+        </div>
+      ))}
+
+      {hiddenResults.length > 0 && (
+        <div className="space-y-2">
+          <p className="flex items-center gap-2 text-sm text-richblack-300">
+            <FiLock />
+            Hidden tests: {hiddenResults.filter((testResult) => testResult.passed).length}/{hiddenResults.length} passed
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {hiddenResults.map((testResult, index) => (
+              <span
+                key={testResult.testCase}
+                title={formatUsage(testResult)}
+                className={`px-2 py-1 rounded text-xs ${
+                  testResult.passed
+                    ? "bg-caribbeangreen-900/30 text-caribbeangreen-100"
+                    : "bg-pink-900/30 text-pink-200"
+                }`}
+              >
+                Hidden {index + 1}: {testResult.passed ? "Passed" : testResult.status || "Failed"}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+// Per test case results of the codeSolve questions of a quiz attempt
+export default function CodeTestResults({ codeResults, questions }) {
+  return (
+    <div className="bg-white/10 rounded-lg p-4 mb-6 text-left space-y-4">
+      <h2 className="text-lg font-semibold text-white">Code Results</h2>
+      {codeResults.map((result) => {
+        const questionIndex = questions.findIndex((question) => question._id === result.question)
+
+        return (
+          <div key={result.question} className="bg-richblack-800 rounded-lg p-4 space-y-3">
+            <div className="flex justify-between items-center">
+              <p className="text-richblack-5 font-medium">
+                Question {questionIndex + 1}
+              </p>
+              <p className="text-yellow-50 font-semibold">
+                {result.score}/{result.marks} marks
+              </p>
+            </div>
+
+            <TestCaseResults testResults={result.testResults} />
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,193 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef, useState } from "react"
+import Hls from "hls.js"
+import { MdFullscreen, MdFullscreenExit } from "react-icons/md"
+
+const PLAYBACK_SPEEDS = [0.5, 0.75, 1, 1.5, 2]
+// Fatal network errors retried before giving up on the stream
+const MAX_NETWORK_RETRIES = 3
+
+const selectClasses = "rounded bg-richblack-900/80 px-2 py-1 text-sm text-richblack-5 outline-none cursor-pointer"
+
+// Plays an HLS stream, letting hls.js pick the quality from the bandwidth
+// unless the student picks one. Browsers without Media Source Extensions but
+// with native HLS (Safari on iOS) play it themselves and pick the quality alone.
+const HlsVideoPlayer = forwardRef(({
+  src,
+  poster,
+  playbackRate,
+  setPlaybackRate,
+  onEnded,
+  onTimeUpdate,
+  onError,
+  tracks,
+  children,
+}, ref) => {
+  const containerRef = useRef(null)
+  const videoRef = useRef(null)
+  const hlsRef = useRef(null)
+  const onErrorRef = useRef(onError)
+  const [levels, setLevels] = useState([])
+  const [selectedLevel, setSelectedLevel] = useState(-1)
+  const [playingLevel, setPlayingLevel] = useState(-1)
+  const [isFullscreen, setIsFullscreen] = useState(false)
+
+  useEffect(() => {
+    onErrorRef.current = onError
+  }, [onError])
+
+  // Same handle as video-react's Player, so VideoDetails drives both alike
+  useImperativeHandle(ref, () => ({
+    seek: (time) => {
+      if (videoRef.current) videoRef.current.currentTime = time
+    },
+    get video() {
+      return { video: videoRef.current }
+    },
+  }))
+
+  useEffect(() => {
+    const video = videoRef.current
+    if (!video || !src) return
+    setLevels([])
+    setSelectedLevel(-1)
+    setPlayingLevel(-1)
+
+    if (Hls.isSupported()) {
+      const hls = new Hls({ capLevelToPlayerSize: true })
+      let networkRetries = 0
+      hlsRef.current = hls
+
+      hls.on(Hls.Events.MANIFEST_PARSED, (_, data) => {
+        setLevels(data.levels.map((level, index) => ({ index, height: level.height })))
+      })
+      hls.on(Hls.Events.LEVEL_SWITCHED, (_, data) => setPlayingLevel(data.level))
+      hls.on(Hls.Events.FRAG_LOADED, () => {
+        networkRetries = 0
+      })
+      hls.on(Hls.Events.ERROR, (_, data) => {
+        if (!data.fatal) return
+        if (data.type === Hls.ErrorTypes.NETWORK_ERROR && networkRetries < MAX_NETWORK_RETRIES) {
+          networkRetries += 1
+          hls.startLoad()
+        } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+          hls.recoverMediaError()
+        } else {
+          console.error("HLS playback failed:", data)
+          hls.destroy()
+          hlsRef.current = null
+          onErrorRef.current?.()
+        }
+      })
+
+      hls.loadSource(src)
+      hls.attachMedia(video)
+      return () => {
+        hls.destroy()
+        hlsRef.current = null
+      }
+    }
+
+    if (video.canPlayType("application/vnd.apple.mpegurl")) {
+      video.src = src
+      return () => {
+        video.removeAttribute("src")
+        video.load()
+      }
+    }
+
+    onErrorRef.current?.()
+  }, [src])
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.playbackRate = playbackRate
+  }, [playbackRate])
+
+  useEffect(() => {
+    const handleFullscreenChange = () => setIsFullscreen(document.fullscreenElement === containerRef.current)
+    document.addEventListener("fullscreenchange", handleFullscreenChange)
+    return () => document.removeEventListener("fullscreenchange", handleFullscreenChange)
+  }, [])
+
+  // The player rather than the bare video goes full screen, keeping overlays
+  // such as the watermark on top of it
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen()
+    } else {
+      containerRef.current?.requestFullscreen()
+    }
+  }
+
+  const handleQualityChange = (event) => {
+    const level = Number(event.target.value)
+    setSelectedLevel(level)
+    if (hlsRef.current) hlsRef.current.currentLevel = level
+  }
+
+  const playingHeight = levels.find((level) => level.index === playingLevel)?.height
+
+  return (
+    <div ref={containerRef} className="relative aspect-video w-full bg-black">
+      <video
+        ref={videoRef}
+        className="h-full w-full"
+        poster={poster}
+        controls
+        controlsList="nofullscreen nodownload"
+        disablePictureInPicture
+        playsInline
+        autoPlay
+        crossOrigin="anonymous"
+        onEnded={onEnded}
+        onTimeUpdate={onTimeUpdate}
+      >
+        {tracks}
+      </video>
+
+      <div className="absolute right-3 top-3 z-50 flex gap-2">
+        {levels.length > 1 && (
+          <select
+            value={selectedLevel}
+            onChange={handleQualityChange}
+            className={selectClasses}
+            aria-label="Video quality"
+          >
+            <option value={-1}>
+              {selectedLevel === -1 && playingHeight ? `Auto (${playingHeight}p)` : "Auto"}
+            </option>
+            {[...levels].sort((a, b) => b.height - a.height).map((level) => (
+              <option key={level.index} value={level.index}>
+                {level.height}p
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          value={playbackRate}
+          onChange={(event) => setPlaybackRate(Number(event.target.value))}
+          className={selectClasses}
+          aria-label="Playback speed"
+        >
+          {PLAYBACK_SPEEDS.map((speed) => (
+            <option key={speed} value={speed}>
+              {speed}x
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={toggleFullscreen}
+          className="rounded bg-richblack-900/80 px-2 py-1 text-richblack-5"
+          aria-label={isFullscreen ? "Exit full screen" : "Full screen"}
+        >
+          {isFullscreen ? <MdFullscreenExit size={18} /> : <MdFullscreen size={18} />}
+        </button>
+      </div>
+
+      {children}
+    </div>
+  )
+})
+
+HlsVideoPlayer.displayName = "HlsVideoPlayer"
+
+export default HlsVideoPlayer
@@ -1,15 +1,77 @@
-import React, { useEffect, useState } from "react"
+import React, { useEffect, useRef, useState } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate, useParams, useLocation } from "react-router-dom"
-import { getQuizById, submitQuiz, getQuizStatus } from "../../../services/operations/quizAPI"
+import { getQuizById, submitQuiz, getQuizStatus, startQuizAttempt, saveQuizAnswers, uploadQuizAnswerFile, recordIntegrityEvents } from "../../../services/operations/quizAPI"
 import IconBtn from "../../common/IconBtn"
 import CodeEditor from "../../common/CodeEditor"
+import CodeTestResults from "./CodeTestResults"
 import { IoIosArrowBack } from "react-icons/io"
 import { FiClock, FiCheckCircle, FiAlertCircle, FiAward } from "react-icons/fi"
 import { HiOutlineQuestionMarkCircle } from "react-icons/hi"
+import { RiArrowUpLine, RiArrowDownLine } from "react-icons/ri"
 import Xarrow from 'react-xarrows'
 import { toast } from "react-hot-toast"
 
+// Time warnings, from the earliest
+const TIME_NOTIFICATIONS = [
+  { key: "twenty", seconds: 1200, message: "20 minutes remaining!", icon: "⏰" },
+  { key: "ten", seconds: 600, message: "10 minutes remaining!", icon: "⚠️" },
+  { key: "five", seconds: 300, message: "5 minutes remaining!", icon: "⚠️" },
+  { key: "one", seconds: 60, message: "1 minute remaining!", icon: "🚨" },
+]
+
+// How long answers wait before they are saved to the server
+const AUTOSAVE_DELAY_MS = 2000
+
+// Integrity events are gathered for this long and reported together
+const INTEGRITY_REPORT_DELAY_MS = 1000
+
+// Seconds left until the attempt's deadline, by the server's clock
+const getSecondsLeft = (deadline, clockOffset) =>
+  Math.max(0, Math.round((new Date(deadline).getTime() - (Date.now() + clockOffset)) / 1000))
+
+// Add the time the question on screen has been shown to its total, and return the totals
+const collectQuestionTimes = (timesRef, clockRef) => {
+  const clock = clockRef.current
+  if (clock) {
+    const now = Date.now()
+    timesRef.current[clock.questionId] = (timesRef.current[clock.questionId] || 0) + (now - clock.since) / 1000
+    clock.since = now
+  }
+  return { ...timesRef.current }
+}
+
+// Splits fill in the blank text into text parts and blank numbers
+const BLANK_MARKER = /\[\[(\d+)\]\]/
+
+// Whether a question has an answer the server would accept as given
+const hasAnswer = (question, quizAnswers) => {
+  const answer = quizAnswers[question._id]
+
+  if (question.questionType === 'codeSolve') {
+    return !!(answer && answer.code && answer.code.trim() !== '')
+  } else if (question.questionType === 'matchTheFollowing') {
+    return question.options.every((_, optionIndex) => {
+      const matchAnswer = quizAnswers[`${question._id}_${optionIndex}`]
+      return matchAnswer !== undefined && matchAnswer !== null && matchAnswer !== ''
+    })
+  } else if (question.questionType === 'multipleChoice') {
+    return Array.isArray(answer) && answer.length > 0
+  } else if (question.questionType === 'singleAnswer') {
+    return answer !== undefined && answer !== null && !isNaN(Number(answer))
+  } else if (question.questionType === 'cloze') {
+    return Array.isArray(answer) && (question.blanks || []).every((_, index) =>
+      typeof answer[index] === 'string' && answer[index].trim() !== '')
+  } else if (question.questionType === 'ordering') {
+    return Array.isArray(answer) && answer.length === question.options.length
+  } else if (question.questionType === 'numeric') {
+    return !!answer && String(answer.value ?? '').trim() !== ''
+  } else if (question.questionType === 'fileUpload') {
+    return !!answer?.url
+  }
+  return !!answer && (typeof answer !== 'string' || answer.trim() !== '')
+}
+
 const QuizView = () => {
   const { courseId, sectionId, subSectionId } = useParams()
   const navigate = useNavigate()
@@ -18,6 +80,8 @@ const QuizView = () => {
   const { courseSectionData, courseEntireData, completedLectures } = useSelector((state) => state.viewCourse)
 
   const [quizData, setQuizData] = useState(null)
+  // Fixed questions plus those drawn from question banks on each attempt
+  const [questionCount, setQuestionCount] = useState(0)
   const [quizAnswers, setQuizAnswers] = useState({})
   const [loading, setLoading] = useState(false)
   const [quizResult, setQuizResult] = useState(null)
@@ -35,6 +99,19 @@ const QuizView = () => {
     one: false
   })
   const [initialTimeLimit, setInitialTimeLimit] = useState(null)
+  // The attempt the server started, and how far its clock is ahead of ours
+  const [attempt, setAttempt] = useState(null)
+  const [clockOffset, setClockOffset] = useState(0)
+  const [uploadingFile, setUploadingFile] = useState(false)
+  // Integrity violations of the attempt so far, and whether it is in full screen
+  const [violations, setViolations] = useState(0)
+  const [isFullscreen, setIsFullscreen] = useState(!!document.fullscreenElement)
+  const submittingRef = useRef(false)
+  // The latest answers, for integrity reports that may submit the attempt
+  const answersRef = useRef({})
+  // Seconds spent on each question, saved with the answers for the instructor's item analysis
+  const questionTimesRef = useRef({})
+  const questionClockRef = useRef(null)
 
   // Load quiz data and status
   useEffect(() => {
@@ -56,10 +133,16 @@ const QuizView = () => {
             getQuizStatus(quizId, token)
           ])
           setQuizData(quiz)
+          setQuestionCount(quiz.questions.length +
+            (quiz.questionDraws || []).reduce((sum, draw) => sum + draw.count, 0))
           setQuizStatus(status)
           const timeLimit = quiz.timeLimit || 10 * 60
           setTimeRemaining(timeLimit)
           setInitialTimeLimit(timeLimit) // Store initial time limit
+          // Pick up where the student left off, e.g. after a reload
+          if (status?.inProgressAttempt) {
+            enterAttempt(status.inProgressAttempt, timeLimit)
+          }
         } catch (error) {
           console.error("Error loading quiz:", error)
         } finally {
@@ -71,58 +154,200 @@ const QuizView = () => {
     loadQuiz()
   }, [courseSectionData, sectionId, subSectionId, token])
 
-  // Timer effect
+  // Timer effect - counts down to the deadline the server set for the attempt
   useEffect(() => {
-    if (quizStarted && timeRemaining > 0 && initialTimeLimit) {
+    if (quizStarted && attempt) {
       const timer = setInterval(() => {
-        setTimeRemaining(prev => {
-          // Smart notification logic - skip if initial time limit matches notification threshold
-          const shouldSkip20Min = initialTimeLimit === 1200 // Skip if quiz is exactly 20 minutes
-          const shouldSkip10Min = initialTimeLimit === 600  // Skip if quiz is exactly 10 minutes
-          const shouldSkip5Min = initialTimeLimit === 300   // Skip if quiz is exactly 5 minutes
-          const shouldSkip1Min = initialTimeLimit === 60    // Skip if quiz is exactly 1 minute
-
-          // Check for notification thresholds with smart skipping logic
-          if (prev === 1200 && !notificationsShown.twenty && !shouldSkip20Min) { // 20 minutes
-            toast.success("20 minutes remaining!", {
-              icon: "⏰",
-              duration: 4000
-            })
-            setNotificationsShown(prev => ({ ...prev, twenty: true }))
-          }
-          else if (prev === 600 && !notificationsShown.ten && !shouldSkip10Min) { // 10 minutes
-            toast.success("10 minutes remaining!", {
-              icon: "⚠️",
-              duration: 4000
-            })
-            setNotificationsShown(prev => ({ ...prev, ten: true }))
-          }
-          else if (prev === 300 && !notificationsShown.five && !shouldSkip5Min) { // 5 minutes
-            toast.success("5 minutes remaining!", {
-              icon: "⚠️",
-              duration: 4000
-            })
-            setNotificationsShown(prev => ({ ...prev, five: true }))
-          }
-          else if (prev === 60 && !notificationsShown.one && !shouldSkip1Min) { // 1 minute
-            toast.success("1 minute remaining!", {
-              icon: "🚨",
-              duration: 4000
-            })
-            setNotificationsShown(prev => ({ ...prev, one: true }))
-          }
-
-          if (prev <= 1) {
-            handleTimerExpiry()
-            return 0
-          }
-          return prev - 1
-        })
+        setTimeRemaining(getSecondsLeft(attempt.deadline, clockOffset))
       }, 1000)
 
       return () => clearInterval(timer)
     }
-  }, [quizStarted, timeRemaining, notificationsShown, initialTimeLimit])
+  }, [quizStarted, attempt, clockOffset])
+
+  // Time warnings and auto-submit
+  useEffect(() => {
+    if (!quizStarted || !attempt || timeRemaining === null) return
+
+    // Skip warnings for thresholds the quiz's time limit doesn't exceed
+    const notification = TIME_NOTIFICATIONS.find(({ key, seconds }) =>
+      timeRemaining <= seconds && initialTimeLimit > seconds && !notificationsShown[key]
+    )
+    if (notification && timeRemaining > 0) {
+      toast.success(notification.message, {
+        icon: notification.icon,
+        duration: 4000
+      })
+      setNotificationsShown(prev => ({ ...prev, [notification.key]: true }))
+    }
+
+    if (timeRemaining <= 0) {
+      handleTimerExpiry()
+    }
+  }, [quizStarted, attempt, timeRemaining, notificationsShown, initialTimeLimit])
+
+  // Save answers while the quiz is in progress, so they count if time runs out
+  useEffect(() => {
+    if (!quizStarted || !attempt) return
+
+    const timeout = setTimeout(() => {
+      saveQuizAnswers(attempt.attemptId, quizAnswers, token, collectQuestionTimes(questionTimesRef, questionClockRef))
+    }, AUTOSAVE_DELAY_MS)
+
+    return () => clearTimeout(timeout)
+  }, [quizStarted, attempt, quizAnswers, token])
+
+  useEffect(() => {
+    answersRef.current = quizAnswers
+  }, [quizAnswers])
+
+  // Report tab switches, focus losses, pastes and full screen exits while the
+  // attempt is in progress. The quiz's integrity policy may warn the student
+  // or have the server submit the attempt.
+  const quizId = quizData?._id
+  useEffect(() => {
+    if (!quizStarted || !attempt) return
+
+    const queue = []
+    let reportTimeout = null
+    let blurTimeout = null
+
+    const report = async () => {
+      reportTimeout = null
+      const events = queue.splice(0)
+      if (!events.length || submittingRef.current) return
+
+      const data = await recordIntegrityEvents(attempt.attemptId, {
+        events,
+        answers: answersRef.current,
+        questionTimes: collectQuestionTimes(questionTimesRef, questionClockRef),
+      }, token)
+      if (!data) return
+
+      setViolations(data.violations)
+      if (data.autoSubmitted) {
+        toast.error(`Your quiz was submitted after ${data.violations} integrity violations`)
+        setQuizResult(data.result)
+        setQuizStarted(false)
+        setAttempt(null)
+        setQuizStatus(await getQuizStatus(quizId, token))
+      } else if (data.integrityPolicy === "autoSubmit") {
+        const left = data.maxViolations - data.violations
+        toast.error(`Stay on the quiz and don't paste answers. ${left} more ${left === 1 ? "violation" : "violations"} will submit your quiz.`)
+      } else if (data.integrityPolicy === "warn") {
+        toast.error("Leaving the quiz and pasting answers are reported to your instructor")
+      }
+    }
+
+    const record = (kind) => {
+      queue.push({ kind, question: questionClockRef.current?.questionId, at: new Date().toISOString() })
+      if (!reportTimeout) {
+        reportTimeout = setTimeout(report, INTEGRITY_REPORT_DELAY_MS)
+      }
+    }
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) record("tabSwitch")
+    }
+    // Switching tabs blurs the window too, so only a blur that leaves the tab showing counts
+    const handleBlur = () => {
+      blurTimeout = setTimeout(() => {
+        if (!document.hidden) record("blur")
+      }, 200)
+    }
+    const handlePaste = () => record("paste")
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) record("fullscreenExit")
+    }
+
+    document.addEventListener("visibilitychange", handleVisibilityChange)
+    window.addEventListener("blur", handleBlur)
+    document.addEventListener("paste", handlePaste, true)
+    document.addEventListener("fullscreenchange", handleFullscreenChange)
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange)
+      window.removeEventListener("blur", handleBlur)
+      document.removeEventListener("paste", handlePaste, true)
+      document.removeEventListener("fullscreenchange", handleFullscreenChange)
+      clearTimeout(blurTimeout)
+      clearTimeout(reportTimeout)
+    }
+  }, [quizStarted, attempt, quizId, token])
+
+  useEffect(() => {
+    const handleFullscreenChange = () => setIsFullscreen(!!document.fullscreenElement)
+    document.addEventListener("fullscreenchange", handleFullscreenChange)
+    return () => document.removeEventListener("fullscreenchange", handleFullscreenChange)
+  }, [])
+
+  // Leave full screen once the attempt is over
+  useEffect(() => {
+    if (!quizStarted && document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {})
+    }
+  }, [quizStarted])
+
+  // Time the question on screen until another one is shown
+  const shownQuestionId = quizStarted ? quizData?.questions?.[currentQuestion]?._id : null
+  useEffect(() => {
+    if (!shownQuestionId) return
+    questionClockRef.current = { questionId: shownQuestionId, since: Date.now() }
+    return () => {
+      collectQuestionTimes(questionTimesRef, questionClockRef)
+      questionClockRef.current = null
+    }
+  }, [shownQuestionId])
+
+  // Enter an attempt the server started or resumed
+  function enterAttempt(attemptData, timeLimit) {
+    const offset = new Date(attemptData.serverTime).getTime() - Date.now()
+    const secondsLeft = getSecondsLeft(attemptData.deadline, offset)
+
+    // Warnings for thresholds already behind a resumed attempt are not shown
+    setNotificationsShown(TIME_NOTIFICATIONS.reduce((shown, { key, seconds }) => ({
+      ...shown,
+      [key]: secondsLeft <= seconds
+    }), {}))
+    submittingRef.current = false
+    questionTimesRef.current = { ...(attemptData.questionTimes || {}) }
+    setViolations(attemptData.violations || 0)
+    setAttempt(attemptData)
+    // Questions drawn from question banks and shuffled for this attempt
+    if (attemptData.questions) {
+      setQuizData(prev => ({ ...prev, questions: attemptData.questions }))
+      setCurrentQuestion(0)
+    }
+    setClockOffset(offset)
+    setQuizAnswers(attemptData.answers || {})
+    setInitialTimeLimit(timeLimit)
+    setTimeRemaining(secondsLeft)
+    setQuizStarted(true)
+  }
+
+  // Ask the server to start (or resume) an attempt, then show the questions
+  const beginAttempt = async (quiz) => {
+    // Asked for before the request, while the click still lets the page go full screen
+    if (quiz.requireFullscreen) {
+      enterFullscreen()
+    }
+    const attemptData = await startQuizAttempt(quiz._id, {
+      courseID: courseId,
+      subsectionId: subSectionId
+    }, token)
+    if (!attemptData) {
+      // Refresh the attempts left and cooldown the server refused with
+      const status = await getQuizStatus(quiz._id, token)
+      setQuizStatus(status)
+      return
+    }
+    enterAttempt(attemptData, quiz.timeLimit || 10 * 60)
+  }
+
+  const enterFullscreen = () => {
+    if (!document.fullscreenElement) {
+      document.documentElement.requestFullscreen?.().catch(() => {})
+    }
+  }
 
   // Function to check if shuffled array is in different order than original
   const isShuffledDifferent = (original, shuffled) => {
@@ -167,14 +392,6 @@ const QuizView = () => {
       setLoading(true)
       console.log("Retake Quiz button clicked")
       
-      // Reset notifications state for retake
-      setNotificationsShown({
-        twenty: false,
-        ten: false,
-        five: false,
-        one: false
-      })
-      
       // Check if quiz is already passed
       if (quizStatus && quizStatus.passed) {
         alert("Quiz already passed. Retakes are not allowed for passed quizzes.")
@@ -200,13 +417,9 @@ const QuizView = () => {
       setQuizAnswers({})
       setSelectedQuestion(null)
       setShuffledAnswers({})
+      setAttempt(null)
       setRetakeKey(prev => prev + 1)
       
-      // Reset timer with fallback
-      const timeLimit = quiz.timeLimit || 10 * 60
-      setTimeRemaining(timeLimit)
-      setInitialTimeLimit(timeLimit) // Update initial time limit for retake
-      
       // Re-shuffle answers for match the following questions
       if (quiz.questions) {
         const newShuffledAnswers = {}
@@ -228,8 +441,8 @@ const QuizView = () => {
         setShuffledAnswers(newShuffledAnswers)
       }
       
-      // Start the quiz immediately after reset
-      setQuizStarted(true)
+      // Start the quiz immediately after reset, when the server allows another attempt
+      await beginAttempt(quiz)
       
       setLoading(false)
       console.log("Quiz state reset and started for retake")
@@ -313,25 +526,55 @@ const QuizView = () => {
     }
   }
 
+  // Move an item of an ordering question; the answer lists served item indexes in the student's order
+  const handleOrderingMove = (question, position, offset) => {
+    const order = quizAnswers[question._id] || question.options.map((_, index) => index)
+    const moved = [...order]
+    const [item] = moved.splice(position, 1)
+    moved.splice(position + offset, 0, item)
+    handleQuizAnswer(question._id, moved)
+  }
+
+  // Upload a file answer to the attempt and answer the question with it
+  const handleAnswerFile = async (question, file) => {
+    if (!file || !attempt) return
+    const extension = file.name.split('.').pop().toLowerCase()
+    if (!(question.allowedFileTypes || []).includes(extension)) {
+      toast.error(`Only ${question.allowedFileTypes.map(type => `.${type}`).join(', ')} files are accepted`)
+      return
+    }
+    if (file.size > question.maxFileSizeMB * 1024 * 1024) {
+      toast.error(`Files can be at most ${question.maxFileSizeMB} MB`)
+      return
+    }
+
+    setUploadingFile(true)
+    const uploaded = await uploadQuizAnswerFile(attempt.attemptId, question._id, file, token)
+    if (uploaded) {
+      handleQuizAnswer(question._id, uploaded)
+    }
+    setUploadingFile(false)
+  }
 
   // Handle timer expiry - auto submit without validation
   const handleTimerExpiry = async () => {
-    if (!quizData) return
+    if (!quizData || !attempt || submittingRef.current) return
 
+    submittingRef.current = true
     setLoading(true)
     try {
       const quizSubmissionData = {
-        quizId: quizData._id,
-        courseID: courseId,
-        subsectionId: subSectionId,
+        attemptId: attempt.attemptId,
         answers: quizAnswers || {}, // Use empty object if no answers
-        timerExpired: true // Add timerExpired flag
+        questionTimes: collectQuestionTimes(questionTimesRef, questionClockRef),
+        timerExpired: true // Only changes the toast; the server checks the deadline itself
       }
 
-      const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
+      const result = await submitQuiz(quizSubmissionData, token)
       if (result) {
         setQuizResult(result)
         setQuizStarted(false) // Stop the quiz after submission
+        setAttempt(null)
         try {
           const updatedStatus = await getQuizStatus(quizData._id, token)
           setQuizStatus(updatedStatus)
@@ -343,6 +586,7 @@ const QuizView = () => {
       console.error("Error submitting quiz:", error)
       alert("Error submitting quiz due to timer expiry.")
     }
+    submittingRef.current = false
     setLoading(false)
   }
 
@@ -353,35 +597,8 @@ const QuizView = () => {
     // Validate all questions are answered
     const unansweredQuestions = []
     quizData.questions.forEach((question, index) => {
-      const answer = quizAnswers[question._id]
-      
-      if (question.questionType === 'codeSolve') {
-        // For code solving questions, check if code is provided
-        if (!answer || !answer.code || answer.code.trim() === '') {
-          unansweredQuestions.push(index + 1)
-        }
-      } else if (question.questionType === 'matchTheFollowing') {
-        const hasAllMatches = question.options.every((_, optionIndex) => {
-          const matchAnswer = quizAnswers[`${question._id}_${optionIndex}`]
-          return matchAnswer !== undefined && matchAnswer !== null && matchAnswer !== ''
-        })
-        if (!hasAllMatches) {
-          unansweredQuestions.push(index + 1)
-        }
-      } else if (question.questionType === 'multipleChoice') {
-        const selectedOptions = quizAnswers[question._id] || []
-        if (!Array.isArray(selectedOptions) || selectedOptions.length === 0) {
-          unansweredQuestions.push(index + 1)
-        }
-      } else if (question.questionType === 'singleAnswer') {
-        const answerNum = Number(answer)
-        if (isNaN(answerNum) && answer !== 0) {
-          unansweredQuestions.push(index + 1)
-        }
-      } else {
-        if (!answer || (typeof answer === 'string' && answer.trim() === '')) {
-          unansweredQuestions.push(index + 1)
-        }
+      if (!hasAnswer(question, quizAnswers)) {
+        unansweredQuestions.push(index + 1)
       }
     })
 
@@ -390,20 +607,23 @@ const QuizView = () => {
       return
     }
 
+    if (!attempt || submittingRef.current) return
+
+    submittingRef.current = true
     setLoading(true)
     try {
       const quizSubmissionData = {
-        quizId: quizData._id,
-        courseID: courseId,
-        subsectionId: subSectionId,
+        attemptId: attempt.attemptId,
         answers: quizAnswers,
-        timerExpired: false // Add timerExpired flag for manual submission
+        questionTimes: collectQuestionTimes(questionTimesRef, questionClockRef),
+        timerExpired: false
       }
 
-      const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
+      const result = await submitQuiz(quizSubmissionData, token)
       if (result) {
         setQuizResult(result)
         setQuizStarted(false) // Stop the quiz after submission
+        setAttempt(null)
         try {
           const updatedStatus = await getQuizStatus(quizData._id, token)
           setQuizStatus(updatedStatus)
@@ -415,6 +635,7 @@ const QuizView = () => {
       console.error("Error submitting quiz:", error)
       alert("Error submitting quiz. Please try again.")
     }
+    submittingRef.current = false
     setLoading(false)
   }
 
@@ -449,7 +670,22 @@ const QuizView = () => {
   // Compute result data
   const resultData = quizResult || (quizStatus?.lastAttempt && !quizStarted ? quizStatus.lastAttempt : null)
   const percentage = resultData ? parseFloat(resultData.percentage || 0) : 0
-  const isPassed = percentage >= 60
+  const passPercentage = quizResult?.requiredPercentage ?? quizStatus?.passPercentage ?? quizData?.passPercentage ?? 60
+  // Written answers of the submitted attempt still need an instructor's grade
+  const pendingReview = !!quizResult?.pendingReview
+  const isPassed = !pendingReview && percentage >= passPercentage
+  // Whether the retake policy lets the student start another attempt now
+  const canRetake = quizStatus?.canStart !== false
+
+  // Attempts left and the cooldown before the next one, for the result and start screens
+  const retakeInfo = [
+    quizStatus?.attemptsRemaining !== null && quizStatus?.attemptsRemaining !== undefined
+      ? `${quizStatus.attemptsRemaining} ${quizStatus.attemptsRemaining === 1 ? "attempt" : "attempts"} left`
+      : null,
+    quizStatus?.nextAttemptAt
+      ? `Next attempt available at ${new Date(quizStatus.nextAttemptAt).toLocaleString()}`
+      : null,
+  ].filter(Boolean).join(" · ")
 
   // Update quizStatus to reflect the correct pass state only if we have a result
   if (quizStatus && resultData) {
@@ -489,20 +725,22 @@ const QuizView = () => {
   if ((resultData && !quizStarted) || quizResult) {
     return (
       <div key={retakeKey} className="max-w-4xl mx-auto p-6">
-        <div className={`bg-gradient-to-r ${isPassed ? 'from-green-800 to-green-600' : 'from-red-800 to-red-600'} rounded-xl p-8 text-center shadow-xl`}>
-          {isPassed ? (
+        <div className={`bg-gradient-to-r ${pendingReview ? 'from-richblack-700 to-richblack-600' : isPassed ? 'from-green-800 to-green-600' : 'from-red-800 to-red-600'} rounded-xl p-8 text-center shadow-xl`}>
+          {pendingReview ? (
+            <FiClock className="mx-auto text-6xl text-white mb-4" />
+          ) : isPassed ? (
             <FiAward className="mx-auto text-6xl text-white mb-4" />
           ) : (
             <FiAlertCircle className="mx-auto text-6xl text-white mb-4" />
           )}
           <h1 className="text-3xl font-bold text-white mb-4">
-            {isPassed ? "Quiz Passed!" : "Quiz Completed"}
+            {pendingReview ? "Awaiting Grading" : isPassed ? "Quiz Passed!" : "Quiz Completed"}
           </h1>
           
           <div className="bg-white/10 rounded-lg p-6 mb-6">
             <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-white">
               <div>
-                <p className="text-lg font-semibold">Your Score</p>
+                <p className="text-lg font-semibold">{pendingReview ? "Score So Far" : "Your Score"}</p>
                 <p className="text-3xl font-bold">{resultData.score}/{resultData.totalMarks}</p>
               </div>
               <div>
@@ -512,7 +750,7 @@ const QuizView = () => {
               <div>
                 <p className="text-lg font-semibold">Status</p>
                 <p className="text-xl font-bold">
-                  {isPassed ? "Passed" : "Failed"}
+                  {pendingReview ? "Pending" : isPassed ? "Passed" : "Failed"}
                 </p>
               </div>
               <div>
@@ -522,20 +760,51 @@ const QuizView = () => {
             </div>
           </div>
 
+          {resultData.codeResults?.length > 0 && (
+            <CodeTestResults codeResults={resultData.codeResults} questions={quizData.questions} />
+          )}
+
+          {/* Instructor's grades for written answers */}
+          {!quizResult && quizStatus?.reviewFeedback?.length > 0 && (
+            <div className="bg-white/10 rounded-lg p-4 mb-6 text-left space-y-3">
+              <h2 className="text-lg font-semibold text-white">Instructor Feedback</h2>
+              {quizStatus.reviewFeedback.map((item) => (
+                <div key={item.question} className="bg-richblack-800 rounded-lg p-4 space-y-1">
+                  <div className="flex justify-between gap-4">
+                    <p className="text-richblack-5 font-medium">Question {item.questionNumber}: {item.questionText}</p>
+                    <p className="text-yellow-50 font-semibold whitespace-nowrap">{item.score}/{item.marks} marks</p>
+                  </div>
+                  {item.feedback && <p className="text-richblack-100 text-sm whitespace-pre-wrap">{item.feedback}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {pendingReview && (
+            <div className="bg-white/10 rounded-lg p-4 mb-6">
+              <p className="text-white text-sm">
+                Your written answers will be graded by your instructor. You will get a notification when your result is released,
+                and the next section unlocks once you pass.
+              </p>
+            </div>
+          )}
+
           {isPassed && (
             <div className="bg-white/10 rounded-lg p-4 mb-6">
               <p className="text-white text-sm">
-                🎉 Congratulations! You have successfully passed this quiz with {percentage}% (Required: 60%). 
+                🎉 Congratulations! You have successfully passed this quiz with {percentage}% (Required: {passPercentage}%). 
                 Retakes are not allowed for passed quizzes.
               </p>
             </div>
           )}
 
-          {!isPassed && (
+          {!isPassed && !pendingReview && (
             <div className="bg-white/10 rounded-lg p-4 mb-6">
               <p className="text-white text-sm">
-                You need at least 60% to pass this quiz. You can retake the quiz to improve your score.
+                You need at least {passPercentage}% to pass this quiz.
+                {canRetake ? " You can retake the quiz to improve your score." : ` ${quizStatus?.reason || ""}`}
               </p>
+              {retakeInfo && <p className="text-white/80 text-xs mt-2">{retakeInfo}</p>}
             </div>
           )}
 
@@ -545,7 +814,7 @@ const QuizView = () => {
               text="Back to Lecture"
               customClasses="px-6 py-3 bg-white text-gray-800 hover:bg-gray-100"
             />
-            {!isPassed && (
+            {!isPassed && !pendingReview && canRetake && (
               <IconBtn
                 onClick={handleQuizRetake}
                 text="Retake Quiz"
@@ -585,7 +854,7 @@ const QuizView = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-richblack-200">
               <div className="flex items-center gap-2">
                 <HiOutlineQuestionMarkCircle className="text-yellow-50" />
-                <span>Questions: {quizData.questions.length}</span>
+                <span>Questions: {questionCount}</span>
               </div>
               <div className="flex items-center gap-2">
                 <FiClock className="text-yellow-50" />
@@ -604,15 +873,15 @@ const QuizView = () => {
                   <p className="text-xl font-bold text-white">{quizStatus.attempts}</p>
                 </div>
                 <div>
-                  <p className="text-sm">Best Score</p>
+                  <p className="text-sm">{quizStatus.scoringPolicy === "best" ? "Best Score" : "Latest Score"}</p>
                   <p className="text-xl font-bold text-white">
                     {quizStatus.lastAttempt.percentage}%
                   </p>
                 </div>
                 <div>
                   <p className="text-sm">Status</p>
-                  <p className={`text-xl font-bold ${parseFloat(quizStatus.lastAttempt.percentage) >= 60 ? 'text-green-400' : 'text-red-400'}`}>
-                    {parseFloat(quizStatus.lastAttempt.percentage) >= 60 ? 'Passed' : 'Failed'}
+                  <p className={`text-xl font-bold ${parseFloat(quizStatus.lastAttempt.percentage) >= passPercentage ? 'text-green-400' : 'text-red-400'}`}>
+                    {parseFloat(quizStatus.lastAttempt.percentage) >= passPercentage ? 'Passed' : 'Failed'}
                   </p>
                 </div>
               </div>
@@ -626,10 +895,23 @@ const QuizView = () => {
               <li>• You cannot go back once you start the quiz</li>
               <li>• The quiz will auto-submit when time runs out</li>
               <li>• Make sure you have a stable internet connection</li>
-              <li>• You need at least 60% to pass this quiz</li>
+              <li>• You need at least {passPercentage}% to pass this quiz</li>
+              {quizStatus?.maxAttempts > 0 && (
+                <li>• You can take this quiz at most {quizStatus.maxAttempts} {quizStatus.maxAttempts === 1 ? "time" : "times"}</li>
+              )}
+              {quizStatus?.scoringPolicy === "best" && <li>• Your best attempt counts</li>}
+              <li>• Switching tabs or windows, pasting and leaving full screen are recorded for your instructor</li>
+              {quizData.requireFullscreen && <li>• The quiz runs in full screen</li>}
+              {quizData.integrityPolicy === "autoSubmit" && (
+                <li>• Your quiz is submitted automatically after {quizData.maxViolations} of these</li>
+              )}
+              {retakeInfo && !quizStatus?.passed && <li>• {retakeInfo}</li>}
               {quizStatus && quizStatus.passed && (
                 <li className="text-green-300">• You have already passed this quiz. Retakes are not allowed.</li>
               )}
+              {quizStatus?.pendingReview && (
+                <li className="text-yellow-50">• Your last attempt is waiting to be graded by your instructor</li>
+              )}
             </ul>
           </div>
 
@@ -651,21 +933,9 @@ const QuizView = () => {
               </div>
             ) : (
               <IconBtn
-                onClick={() => {
-                  // Reset notifications when starting quiz
-                  setNotificationsShown({
-                    twenty: false,
-                    ten: false,
-                    five: false,
-                    one: false
-                  })
-                  // Set initial time limit if not already set
-                  if (!initialTimeLimit && timeRemaining) {
-                    setInitialTimeLimit(timeRemaining)
-                  }
-                  setQuizStarted(true)
-                }}
-                text={quizStatus && quizStatus.attempts > 0 ? "Retake Quiz" : "Start Quiz"}
+                onClick={() => beginAttempt(quizData)}
+                disabled={!canRetake}
+                text={quizStatus?.inProgressAttempt ? "Resume Quiz" : quizStatus && quizStatus.attempts > 0 ? "Retake Quiz" : "Start Quiz"}
                 customClasses="px-8 py-3 text-lg"
               />
             )}
@@ -685,6 +955,13 @@ const QuizView = () => {
         <div className="flex items-center justify-between mb-4">
           <h1 className="text-2xl font-bold text-white">{quizData.title}</h1>
           <div className="flex items-center gap-4">
+            {quizData.integrityPolicy !== "record" && violations > 0 && (
+              <span className="text-sm text-pink-200">
+                {quizData.integrityPolicy === "autoSubmit"
+                  ? `${violations}/${quizData.maxViolations} violations`
+                  : `${violations} ${violations === 1 ? "violation" : "violations"}`}
+              </span>
+            )}
             <div className="flex items-center gap-2 text-yellow-50">
               <FiClock />
               <span className="font-mono text-lg">{formatTime(timeRemaining)}</span>
@@ -692,6 +969,18 @@ const QuizView = () => {
           </div>
         </div>
         
+        {quizData.requireFullscreen && !isFullscreen && (
+          <div className="flex flex-wrap items-center justify-between gap-3 bg-yellow-800/20 border border-yellow-600 rounded-lg p-3 mb-4">
+            <p className="text-yellow-100 text-sm">This quiz runs in full screen. Time outside it is recorded.</p>
+            <button
+              onClick={enterFullscreen}
+              className="px-3 py-1 rounded-md bg-yellow-50 text-richblack-900 text-sm font-semibold"
+            >
+              Enter Full Screen
+            </button>
+          </div>
+        )}
+
         <div className="flex items-center justify-between text-richblack-200">
           <span>Question {currentQuestion + 1} of {quizData.questions.length}</span>
           <div className="w-64 bg-richblack-700 rounded-full h-2">
@@ -706,7 +995,7 @@ const QuizView = () => {
       {/* Question */}
       <div className="bg-richblack-800 rounded-xl p-6 mb-6 shadow-xl">
         <h2 className="text-xl font-semibold text-white mb-4">
-          {currentQuestionData.questionText}
+          {currentQuestionData.questionType === 'cloze' ? 'Fill in the blanks' : currentQuestionData.questionText}
           <span className="text-sm text-richblack-300 ml-2">
             ({currentQuestionData.marks} {currentQuestionData.marks === 1 ? 'mark' : 'marks'})
           </span>
@@ -746,7 +1035,7 @@ const QuizView = () => {
                   language 
                 });
               }}
-              testCases={currentQuestionData.testCases || []}
+              testCases={(currentQuestionData.testCases || []).filter(testCase => !testCase.isHidden)}
               showInput={true}
               showOutput={true}
               allowLanguageChange={currentQuestionData.programmingLanguage === 'open'}
@@ -822,6 +1111,141 @@ const QuizView = () => {
           </div>
         )}
 
+        {/* Fill in the Blank Questions */}
+        {currentQuestionData.questionType === 'cloze' && (
+          <p className="text-lg text-richblack-25 leading-loose">
+            {currentQuestionData.questionText.split(BLANK_MARKER).map((part, partIndex) => {
+              // Odd parts are the numbers of the blanks between the text
+              if (partIndex % 2 === 0) return <span key={partIndex}>{part}</span>
+              const blankIndex = Number(part) - 1
+              const answer = quizAnswers[currentQuestionData._id] || []
+              return (
+                <input
+                  key={partIndex}
+                  type="text"
+                  value={answer[blankIndex] || ''}
+                  onChange={(e) => {
+                    const filled = currentQuestionData.blanks.map((_, index) => answer[index] || '')
+                    filled[blankIndex] = e.target.value
+                    handleQuizAnswer(currentQuestionData._id, filled)
+                  }}
+                  aria-label={`Blank ${part}`}
+                  className="mx-1 w-40 px-2 py-1 bg-richblack-700 text-richblack-25 rounded border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+                  maxLength={200}
+                />
+              )
+            })}
+          </p>
+        )}
+
+        {/* Ordering Questions */}
+        {currentQuestionData.questionType === 'ordering' && (() => {
+          const order = quizAnswers[currentQuestionData._id] || currentQuestionData.options.map((_, index) => index)
+          return (
+            <div className="space-y-3">
+              <p className="text-sm text-richblack-300 mb-4">Put the items in the right order:</p>
+              {order.map((optionIndex, position) => (
+                <div key={optionIndex} className="flex items-center gap-3 p-3 bg-richblack-700 rounded-lg">
+                  <span className="w-6 text-richblack-300">{position + 1}.</span>
+                  <span className="flex-1 text-richblack-25">{currentQuestionData.options[optionIndex]}</span>
+                  <button
+                    type="button"
+                    onClick={() => handleOrderingMove(currentQuestionData, position, -1)}
+                    disabled={position === 0}
+                    className="p-2 text-richblack-300 hover:text-yellow-50 disabled:opacity-30"
+                  >
+                    <RiArrowUpLine />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleOrderingMove(currentQuestionData, position, 1)}
+                    disabled={position === order.length - 1}
+                    className="p-2 text-richblack-300 hover:text-yellow-50 disabled:opacity-30"
+                  >
+                    <RiArrowDownLine />
+                  </button>
+                </div>
+              ))}
+              {!quizAnswers[currentQuestionData._id] && (
+                <button
+                  type="button"
+                  onClick={() => handleQuizAnswer(currentQuestionData._id, order)}
+                  className="text-sm text-yellow-50 hover:underline"
+                >
+                  Keep this order
+                </button>
+              )}
+            </div>
+          )
+        })()}
+
+        {/* Numeric Questions */}
+        {currentQuestionData.questionType === 'numeric' && (
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="number"
+              step="any"
+              placeholder="Enter a number..."
+              value={quizAnswers[currentQuestionData._id]?.value ?? ''}
+              onChange={(e) => handleQuizAnswer(currentQuestionData._id, {
+                // The unit list shows its first unit until the student picks one
+                unit: currentQuestionData.units?.[0]?.name,
+                ...quizAnswers[currentQuestionData._id],
+                value: e.target.value
+              })}
+              className="flex-1 p-4 bg-richblack-700 text-richblack-25 rounded-lg border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+            {currentQuestionData.units?.length > 0 && (
+              <select
+                value={quizAnswers[currentQuestionData._id]?.unit || currentQuestionData.units[0].name}
+                onChange={(e) => handleQuizAnswer(currentQuestionData._id, {
+                  value: '',
+                  ...quizAnswers[currentQuestionData._id],
+                  unit: e.target.value
+                })}
+                className="p-4 bg-richblack-700 text-richblack-25 rounded-lg border border-richblack-600"
+              >
+                {currentQuestionData.units.map(unit => (
+                  <option key={unit.name} value={unit.name}>{unit.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
+
+        {/* File Upload Questions */}
+        {currentQuestionData.questionType === 'fileUpload' && (
+          <div className="space-y-3">
+            <input
+              key={currentQuestionData._id}
+              type="file"
+              accept={(currentQuestionData.allowedFileTypes || []).map(type => `.${type}`).join(',')}
+              disabled={uploadingFile}
+              onChange={(e) => {
+                handleAnswerFile(currentQuestionData, e.target.files[0])
+                e.target.value = ''
+              }}
+              className="block w-full text-sm text-richblack-200 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-yellow-50 file:text-richblack-900 file:font-semibold"
+            />
+            <p className="text-xs text-richblack-400">
+              {(currentQuestionData.allowedFileTypes || []).map(type => `.${type}`).join(', ')} files up to {currentQuestionData.maxFileSizeMB} MB. Uploading again replaces your answer.
+            </p>
+            {quizAnswers[currentQuestionData._id]?.url && (
+              <p className="text-sm text-richblack-25">
+                Your answer:{' '}
+                <a
+                  href={quizAnswers[currentQuestionData._id].url}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-yellow-50 hover:underline"
+                >
+                  {quizAnswers[currentQuestionData._id].name}
+                </a>
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Match the Following Questions */}
         {currentQuestionData.questionType === 'matchTheFollowing' && (
           <div className="space-y-4">
@@ -1003,27 +1427,7 @@ const QuizView = () => {
         <h3 className="text-white font-semibold mb-4">Question Navigation</h3>
         <div className="grid grid-cols-5 sm:grid-cols-10 gap-2">
           {quizData.questions.map((_, index) => {
-            const isAnswered = (() => {
-              const question = quizData.questions[index]
-              const answer = quizAnswers[question._id]
-              
-              if (question.questionType === 'codeSolve') {
-                return answer && answer.code && answer.code.trim() !== ''
-              } else if (question.questionType === 'matchTheFollowing') {
-                return question.options.every((_, optionIndex) => {
-                  const matchAnswer = quizAnswers[`${question._id}_${optionIndex}`]
-                  return matchAnswer !== undefined && matchAnswer !== null && matchAnswer !== ''
-                })
-              } else if (question.questionType === 'multipleChoice') {
-                const selectedOptions = quizAnswers[question._id] || []
-                return Array.isArray(selectedOptions) && selectedOptions.length > 0
-              } else if (question.questionType === 'singleAnswer') {
-                const answerNum = Number(answer)
-                return !isNaN(answerNum) || answer === 0
-              } else {
-                return answer && (typeof answer !== 'string' || answer.trim() !== '')
-              }
-            })()
+            const isAnswered = hasAnswer(quizData.questions[index], quizAnswers)
 
             return (
               <button
@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { useLocation, useNavigate, useParams } from "react-router-dom"
+import { FaLock } from "react-icons/fa"
+import { IoSearch } from "react-icons/io5"
+
+import { getLectureTranscript, searchCourseTranscripts } from "../../../services/operations/transcriptAPI"
+import { requestVideoSeek } from "../../../slices/viewCourseSlice"
+
+// Wait for the student to stop typing before searching
+const SEARCH_DELAY_MS = 400
+const MIN_QUERY_LENGTH = 2
+
+// Seconds as m:ss, or h:mm:ss for long videos
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds)
+  const hours = Math.floor(total / 3600)
+  const mins = Math.floor(total / 60) % 60
+  const secs = (total % 60).toString().padStart(2, "0")
+  return hours ? `${hours}:${mins.toString().padStart(2, "0")}:${secs}` : `${mins}:${secs}`
+}
+
+// The current lecture's transcript, following the video, and a search of
+// everything said in the course. Clicking a line jumps the video to it.
+export default function TranscriptPanel({ sectionAccess }) {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const { courseId, sectionId, subSectionId } = useParams()
+  const { token } = useSelector((state) => state.auth)
+  const { videoTime } = useSelector((state) => state.viewCourse)
+
+  const [segments, setSegments] = useState(null)
+  const [query, setQuery] = useState("")
+  const [results, setResults] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const activeLineRef = useRef(null)
+
+  useEffect(() => {
+    if (!subSectionId) return
+    let cancelled = false
+    setSegments(null)
+    getLectureTranscript(subSectionId, token).then((transcript) => {
+      if (!cancelled) setSegments(transcript?.segments || [])
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [subSectionId, token])
+
+  useEffect(() => {
+    const trimmed = query.trim()
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults(null)
+      setSearching(false)
+      return
+    }
+    let cancelled = false
+    setSearching(true)
+    const timer = setTimeout(async () => {
+      const found = await searchCourseTranscripts(courseId, trimmed, token)
+      if (cancelled) return
+      setResults(found || [])
+      setSearching(false)
+    }, SEARCH_DELAY_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query, courseId, token])
+
+  // The last line that has started
+  const activeIndex = (segments || []).reduce(
+    (active, segment, index) => (segment.start <= videoTime ? index : active),
+    -1
+  )
+
+  // Keep the line being spoken in view
+  useEffect(() => {
+    activeLineRef.current?.scrollIntoView({ block: "nearest" })
+  }, [activeIndex])
+
+  // The video plays on the lecture's own page, not its quiz or exercise
+  const jumpTo = (result) => {
+    const lecturePath = `/view-course/${courseId}/section/${result.sectionId}/sub-section/${result.subSectionId}`
+    if (location.pathname !== lecturePath) {
+      navigate(lecturePath)
+    }
+    dispatch(requestVideoSeek({ subSectionId: result.subSectionId, time: result.start }))
+  }
+
+  return (
+    <div className="flex min-h-0 flex-1 flex-col text-sm text-richblack-5">
+      <div className="mx-5 my-3 flex items-center gap-2 rounded-md bg-richblack-700 px-3 py-2">
+        <IoSearch className="text-richblack-300" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search this course's lectures"
+          className="w-full bg-transparent outline-none placeholder:text-richblack-400"
+        />
+      </div>
+
+      <div className="flex-1 overflow-y-auto pb-4">
+        {results ? (
+          // Course-wide search
+          results.length === 0 ? (
+            <p className="px-5 text-richblack-300">{`Nothing in this course's lectures matches "${query.trim()}".`}</p>
+          ) : (
+            results.map((result, index) => {
+              const isLocked = sectionAccess[result.sectionId] === false
+              return (
+                <button
+                  key={`${result.subSectionId}-${result.start}-${index}`}
+                  disabled={isLocked}
+                  onClick={() => jumpTo(result)}
+                  className={`flex w-full flex-col gap-1 px-5 py-2 text-left ${
+                    isLocked ? "cursor-not-allowed opacity-50" : "hover:bg-richblack-900"
+                  }`}
+                >
+                  <span className="flex items-center gap-2 text-xs text-richblack-300">
+                    {isLocked && <FaLock size={10} className="text-yellow-50" />}
+                    {result.lectureTitle} · {formatTime(result.start)}
+                  </span>
+                  <span>{result.text}</span>
+                </button>
+              )
+            })
+          )
+        ) : searching ? (
+          <p className="px-5 text-richblack-300">Searching...</p>
+        ) : segments === null ? (
+          <p className="px-5 text-richblack-300">Loading transcript...</p>
+        ) : segments.length === 0 ? (
+          <p className="px-5 text-richblack-300">This lecture has no transcript.</p>
+        ) : (
+          // The current lecture's transcript
+          segments.map((segment, index) => (
+            <button
+              key={`${segment.start}-${index}`}
+              ref={index === activeIndex ? activeLineRef : null}
+              onClick={() => jumpTo({ ...segment, sectionId, subSectionId })}
+              className={`flex w-full gap-3 px-5 py-1.5 text-left ${
+                index === activeIndex ? "bg-richblack-700 text-yellow-50" : "hover:bg-richblack-900"
+              }`}
+            >
+              <span className="w-12 shrink-0 text-xs leading-5 text-richblack-300">{formatTime(segment.start)}</span>
+              <span>{segment.text}</span>
+            </button>
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
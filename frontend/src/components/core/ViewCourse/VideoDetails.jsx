@@ -2,21 +2,40 @@ import React, { useEffect, useRef, useState, useCallback, useMemo } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useLocation } from "react-router-dom"
 import { useNavigate, useParams } from "react-router-dom"
+import { toast } from "react-hot-toast"
 
 import "video-react/dist/video-react.css"
-import { BigPlayButton, Player, ControlBar, VolumeMenuButton } from "video-react"
+import { BigPlayButton, Player, ControlBar, VolumeMenuButton, ClosedCaptionButton } from "video-react"
 
-import { markLectureAsComplete } from "../../../services/operations/courseDetailsAPI"
-import { updateCompletedLectures } from "../../../slices/viewCourseSlice"
+import { markLectureAsComplete, getVideoProgress, updateVideoProgress } from "../../../services/operations/courseDetailsAPI"
+import { updateCompletedLectures, setVideoTime, clearSeekRequest } from "../../../slices/viewCourseSlice"
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice"
 import { apiConnector } from "../../../services/apiConnector"
 import { endpoints } from "../../../services/apis"
-import { getPlaybackUrl, isChunkedVideo, checkVideoAvailability } from "../../../utils/videoUtils"
+import {
+  getPlaybackUrl,
+  checkVideoAvailability,
+  getHlsStatus,
+  getHlsPlaybackUrl,
+  requestPlaybackToken,
+  sendPlaybackHeartbeat,
+  endPlaybackSession,
+  getCaptionTrackUrl,
+} from "../../../utils/videoUtils"
 
 import IconBtn from "../../common/IconBtn"
+import HlsVideoPlayer from "./HlsVideoPlayer"
+import VideoWatermark from "./VideoWatermark"
 
 import { HiMenuAlt1 } from 'react-icons/hi'
 
+// How often the watched part of a lecture is saved while it plays
+const PROGRESS_SAVE_INTERVAL_MS = 15000
+// Larger jumps between time updates are seeks, not watching
+const MAX_WATCHED_STEP_SECONDS = 3
+// The saved position is only resumed if playback hasn't got further than this
+const RESUME_WINDOW_SECONDS = 5
+
 const PlaybackSpeedControl = ({ playerRef, playbackRate, setPlaybackRate }) => {
   const [isOpen, setIsOpen] = useState(false)
 
@@ -112,7 +131,7 @@ const VideoDetails = () => {
   const dispatch = useDispatch()
 
   const { token } = useSelector((state) => state.auth)
-  const { courseSectionData, courseEntireData, completedLectures } = useSelector((state) => state.viewCourse)
+  const { courseSectionData, courseEntireData, completedLectures, seekRequest } = useSelector((state) => state.viewCourse)
 
   const [videoData, setVideoData] = useState(null)
   const [previewSource, setPreviewSource] = useState("")
@@ -122,8 +141,28 @@ const VideoDetails = () => {
   const [videoAvailable, setVideoAvailable] = useState(true)
   const [checkingVideo, setCheckingVideo] = useState(false)
   const [playbackSpeed, setPlaybackSpeed] = useState(1)
+  // Adaptive stream of the lecture once its transcoding is done
+  const [hlsStream, setHlsStream] = useState(null)
+  // Playback token, heartbeat interval and watermark for the lecture
+  const [playback, setPlayback] = useState(null)
+  const [playbackError, setPlaybackError] = useState("")
   const watchTimeRef = useRef(0)
   const lastUpdateTime = useRef(Date.now())
+  // Saved position and watched share of the lecture video
+  const [videoProgress, setVideoProgress] = useState(null)
+  // Ranges of the video watched since the last save, and the one playing now
+  const watchedRangesRef = useRef([])
+  const currentRangeRef = useRef(null)
+  const positionRef = useRef({ position: 0, duration: 0 })
+  const lastProgressSaveRef = useRef(Date.now())
+  const resumeAtRef = useRef(null)
+  // A transcript time to jump to once the video can seek, and whether the
+  // student jumped, in which case the saved position isn't resumed
+  const pendingSeekRef = useRef(null)
+  const jumpedRef = useRef(false)
+  const videoSecondRef = useRef(0)
+  const lectureRef = useRef(subSectionId)
+  lectureRef.current = subSectionId
 
   const updateWatchTime = useCallback(async () => {
     if (watchTimeRef.current > 0) {
@@ -142,8 +181,86 @@ const VideoDetails = () => {
     }
   }, [courseId, subSectionId, token])
 
+  const saveVideoProgress = useCallback(async () => {
+    const ranges = [...watchedRangesRef.current]
+    if (currentRangeRef.current) ranges.push(currentRangeRef.current)
+    watchedRangesRef.current = []
+    currentRangeRef.current = null
+    lastProgressSaveRef.current = Date.now()
+
+    const { position, duration } = positionRef.current
+    const intervals = ranges
+      .filter(range => range.end > range.start)
+      .map(range => [range.start, range.end])
+    if (!intervals.length && !position) return null
+
+    const progress = await updateVideoProgress({
+      courseId,
+      subsectionId: subSectionId,
+      position,
+      duration,
+      intervals,
+    }, token)
+    if (!progress) return null
+
+    if (lectureRef.current === subSectionId) {
+      setVideoProgress(progress)
+    }
+    if (progress.justCompleted) {
+      dispatch(updateCompletedLectures(subSectionId))
+      toast.success("Lecture Completed")
+    }
+    return progress
+  }, [courseId, subSectionId, token, dispatch])
+
+  // Follow which parts of the video are actually played, so skipping ahead
+  // doesn't count as watching, and resume where the student left off
+  const trackPlayback = useCallback(() => {
+    const video = playerRef.current?.video?.video
+    if (!video) return
+    const time = video.currentTime
+
+    if (pendingSeekRef.current !== null) {
+      const seekTo = pendingSeekRef.current
+      pendingSeekRef.current = null
+      playerRef.current.seek(seekTo)
+      return
+    }
+
+    if (resumeAtRef.current !== null) {
+      const resumeAt = resumeAtRef.current
+      resumeAtRef.current = null
+      if (resumeAt > 0 && time < RESUME_WINDOW_SECONDS) {
+        playerRef.current.seek(resumeAt)
+        return
+      }
+    }
+
+    const range = currentRangeRef.current
+    if (range && !video.seeking && time >= range.end && time - range.end <= MAX_WATCHED_STEP_SECONDS) {
+      range.end = time
+    } else {
+      if (range) watchedRangesRef.current.push(range)
+      currentRangeRef.current = { start: time, end: time }
+    }
+    positionRef.current = {
+      position: time,
+      duration: Number.isFinite(video.duration) ? video.duration : 0,
+    }
+    // The transcript follows along by the second
+    if (Math.floor(time) !== videoSecondRef.current) {
+      videoSecondRef.current = Math.floor(time)
+      dispatch(setVideoTime(videoSecondRef.current))
+    }
+
+    if (Date.now() - lastProgressSaveRef.current >= PROGRESS_SAVE_INTERVAL_MS) {
+      saveVideoProgress()
+    }
+  }, [saveVideoProgress, dispatch])
+
   const handleTimeUpdate = useCallback(() => {
     if (!playerRef.current) return
+    trackPlayback()
     
     const currentTime = Date.now()
     const timeDiff = currentTime - lastUpdateTime.current
@@ -158,7 +275,7 @@ const VideoDetails = () => {
         updateWatchTime()
       }
     }
-  }, [updateWatchTime])
+  }, [updateWatchTime, trackPlayback])
 
   useEffect(() => {
     return () => {
@@ -166,6 +283,49 @@ const VideoDetails = () => {
     }
   }, [updateWatchTime])
 
+  useEffect(() => {
+    return () => {
+      saveVideoProgress()
+    }
+  }, [saveVideoProgress])
+
+  // Load where the student left off in this lecture
+  useEffect(() => {
+    positionRef.current = { position: 0, duration: 0 }
+    resumeAtRef.current = null
+    pendingSeekRef.current = null
+    jumpedRef.current = false
+    videoSecondRef.current = 0
+    dispatch(setVideoTime(0))
+    setVideoProgress(null)
+    if (!courseId || !subSectionId) return
+
+    let cancelled = false
+    getVideoProgress({ courseId, subsectionId: subSectionId }, token).then(progress => {
+      if (cancelled || !progress) return
+      if (!jumpedRef.current) resumeAtRef.current = progress.resumeAt
+      setVideoProgress(progress)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [courseId, subSectionId, token, dispatch])
+
+  // Jump to a time picked in the transcript, now if the video is loaded
+  useEffect(() => {
+    if (!seekRequest || seekRequest.subSectionId !== subSectionId) return
+    dispatch(clearSeekRequest())
+    jumpedRef.current = true
+    resumeAtRef.current = null
+
+    const video = playerRef.current?.video?.video
+    if (video && video.readyState >= 1) {
+      playerRef.current.seek(seekRequest.time)
+    } else {
+      pendingSeekRef.current = seekRequest.time
+    }
+  }, [seekRequest, subSectionId, dispatch])
+
   const currentVideoData = useMemo(() => {
     if (!courseSectionData?.length || !sectionId || !subSectionId) return null
     
@@ -187,27 +347,93 @@ const VideoDetails = () => {
       if (courseEntireData?.thumbnail) {
         setPreviewSource(courseEntireData.thumbnail)
       }
-      
-      if (currentVideoData.videoUrl) {
-        setCheckingVideo(true)
-        checkVideoAvailability(currentVideoData.videoUrl, token, subSectionId)
-          .then(available => {
-            setVideoAvailable(available)
-            setCheckingVideo(false)
-          })
-          .catch(error => {
-            console.error('Error checking video availability:', error)
-            setVideoAvailable(false)
-            setCheckingVideo(false)
-          })
-      } else {
-        setVideoAvailable(true)
-        setCheckingVideo(false)
-      }
     }
     setVideoEnded(false)
     setPlaybackSpeed(1) // Reset playback speed when video changes
-  }, [currentVideoData, courseEntireData, courseId, sectionId, subSectionId, navigate, token])
+  }, [currentVideoData, courseEntireData, courseId, sectionId, subSectionId, navigate])
+
+  const lectureHasVideo = currentVideoData?.hasVideo
+
+  // Caption files are served like the video, with the playback token
+  const captionTracks = useMemo(() => {
+    if (!playback?.token) return []
+    return (videoData?.captions || []).map((track) => ({
+      id: track._id,
+      src: getCaptionTrackUrl(subSectionId, track._id, playback.token),
+      label: track.label,
+      srcLang: track.language,
+      isDefault: track.isDefault,
+    }))
+  }, [videoData, subSectionId, playback?.token])
+
+  const captionTrackElements = captionTracks.map((track) => (
+    <track
+      key={track.id}
+      kind="captions"
+      src={track.src}
+      label={track.label}
+      srcLang={track.srcLang}
+      default={track.isDefault}
+    />
+  ))
+
+  // Get a playback token for the lecture, then check the video with it and
+  // play the adaptive stream when there is one, else the original file
+  useEffect(() => {
+    setPlayback(null)
+    setPlaybackError("")
+    setHlsStream(null)
+    if (!lectureHasVideo || !subSectionId) {
+      setVideoAvailable(true)
+      setCheckingVideo(false)
+      return
+    }
+
+    let cancelled = false
+    setCheckingVideo(true)
+    requestPlaybackToken(subSectionId, token).then(async ({ data, message }) => {
+      if (cancelled) return
+      if (!data) {
+        setPlaybackError(message)
+        setCheckingVideo(false)
+        return
+      }
+
+      const [available, hlsStatus] = await Promise.all([
+        checkVideoAvailability(data.source, data.token, subSectionId).catch(error => {
+          console.error("Error checking video availability:", error)
+          return false
+        }),
+        getHlsStatus(subSectionId, data.token),
+      ])
+      if (cancelled) return
+      setPlayback(data)
+      if (hlsStatus?.status === "ready") {
+        setHlsStream({
+          src: getHlsPlaybackUrl(subSectionId, data.token),
+          poster: hlsStatus.thumbnails[0],
+        })
+      }
+      setVideoAvailable(available)
+      setCheckingVideo(false)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [lectureHasVideo, subSectionId, token])
+
+  // Keep the stream counted as playing while the lecture is open
+  const heartbeatInterval = playback?.heartbeatInterval
+  useEffect(() => {
+    if (!heartbeatInterval) return
+    const interval = setInterval(() => sendPlaybackHeartbeat(token), heartbeatInterval * 1000)
+    return () => clearInterval(interval)
+  }, [heartbeatInterval, token])
+
+  // Free the stream for other devices once the player is left
+  useEffect(() => {
+    return () => endPlaybackSession(token)
+  }, [token])
 
   // Effect to apply playback speed when player is ready
   useEffect(() => {
@@ -291,6 +517,10 @@ const VideoDetails = () => {
   const handleLectureCompletion = useCallback(async () => {
     setLoading(true)
     try {
+      // Saving what was just watched may be enough to complete it
+      const progress = await saveVideoProgress()
+      if (progress?.completed) return
+
       const res = await markLectureAsComplete(
         { courseId: courseId, subsectionId: subSectionId },
         token
@@ -303,12 +533,82 @@ const VideoDetails = () => {
     } finally {
       setLoading(false)
     }
-  }, [courseId, subSectionId, token, dispatch])
+  }, [courseId, subSectionId, token, dispatch, saveVideoProgress])
 
   const { courseViewSidebar } = useSelector(state => state.sidebar)
 
   if (courseViewSidebar && window.innerWidth <= 640) return null
 
+  const endedOverlay = videoEnded && (
+    <div
+      style={{
+        backgroundImage:
+          "linear-gradient(to top, rgb(0, 0, 0), rgba(0,0,0,0.7), rgba(0,0,0,0.5), rgba(0,0,0,0.1))",
+      }}
+      className="w-full absolute inset-0 z-[100] grid h-full place-content-center font-inter"
+    >
+      {!completedLectures.includes(subSectionId) && (
+        <IconBtn
+          disabled={loading}
+          onClick={() => handleLectureCompletion()}
+          text={!loading ? "Mark As Completed" : "Loading..."}
+          customClasses="text-xl max-w-max px-4 mx-auto"
+        />
+      )}
+      
+      {completedLectures.includes(subSectionId) && videoData?.quiz && (
+        <IconBtn
+          disabled={loading}
+          onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}/quiz`)}
+          text="Take Quiz"
+          customClasses="text-xl max-w-max px-4 mx-auto bg-green-600 hover:bg-green-700"
+        />
+      )}
+      
+      <IconBtn
+        disabled={loading}
+        onClick={() => {
+          if (playerRef?.current) {
+            playerRef.current.seek(0)
+            setVideoEnded(false)
+          }
+        }}
+        text="Rewatch"
+        customClasses="text-xl max-w-max px-4 mx-auto mt-2"
+      />
+
+      <div className="mt-10 flex min-w-[250px] justify-center gap-x-4 text-xl">
+        {!isFirstVideo && (
+          <button
+            disabled={loading}
+            onClick={goToPrevVideo}
+            className="blackButton"
+          >
+            Prev
+          </button>
+        )}
+        {!isLastVideo && (
+          <button
+            disabled={loading}
+            onClick={goToNextVideo}
+            className="blackButton"
+          >
+            Next
+          </button>
+        )}
+        {isLastVideo && (
+          <button
+            disabled={loading}
+            onClick={() => navigate('/dashboard/enrolled-courses')}
+            className="blackButton bg-green-600 hover:bg-green-700"
+          >
+            Go to Course
+          </button>
+        )}
+      </div>
+    </div>
+  )
+
   return (
     <div className="flex flex-col gap-5 text-white">
       <div className="sm:hidden text-white absolute left-7 top-3 cursor-pointer" onClick={() => dispatch(setCourseViewSidebar(!courseViewSidebar))}>
@@ -322,13 +622,26 @@ const VideoDetails = () => {
             <div className="h-2 w-32 bg-richblack-700 rounded"></div>
           </div>
         </div>
-      ) : !videoData.videoUrl ? (
+      ) : !videoData.hasVideo ? (
         <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
           <div className="text-center">
             <p className="text-richblack-200 text-lg mb-2">No video available for this lecture</p>
             <p className="text-richblack-400 text-sm">Please proceed to the next section or check back later.</p>
           </div>
         </div>
+      ) : playbackError ? (
+        <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
+          <div className="text-center px-4">
+            <p className="text-richblack-200 text-lg mb-2">This video can&apos;t be played right now</p>
+            <p className="text-richblack-400 text-sm">{playbackError}</p>
+            <button 
+              onClick={() => window.location.reload()} 
+              className="mt-4 px-4 py-2 bg-yellow-50 text-richblack-900 rounded hover:bg-yellow-100 transition-colors"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
       ) : checkingVideo ? (
         <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
           <div className="animate-pulse text-center">
@@ -349,6 +662,25 @@ const VideoDetails = () => {
             </button>
           </div>
         </div>
+      ) : hlsStream ? (
+        <HlsVideoPlayer
+          ref={playerRef}
+          src={hlsStream.src}
+          poster={hlsStream.poster || previewSource}
+          playbackRate={playbackSpeed}
+          setPlaybackRate={setPlaybackSpeed}
+          onEnded={() => {
+            setVideoEnded(true)
+            updateWatchTime()
+            saveVideoProgress()
+          }}
+          onTimeUpdate={handleTimeUpdate}
+          onError={() => setHlsStream(null)}
+          tracks={captionTrackElements}
+        >
+          <VideoWatermark text={playback?.watermark} />
+          {endedOverlay}
+        </HlsVideoPlayer>
       ) : (
         <>
           <Player
@@ -356,17 +688,21 @@ const VideoDetails = () => {
             aspectRatio="16:9"
             playsInline
             autoPlay
+            crossOrigin="anonymous"
             playbackRate={playbackSpeed}
             onEnded={() => {
               setVideoEnded(true)
               updateWatchTime()
+              saveVideoProgress()
             }}
             onTimeUpdate={handleTimeUpdate}
-            src={getPlaybackUrl(videoData.videoUrl, token, subSectionId)}
+            src={getPlaybackUrl(playback?.source)}
           >
+            {captionTrackElements}
             <BigPlayButton position="center" />
             <ControlBar>
               <VolumeMenuButton vertical />
+              {captionTracks.length > 0 && <ClosedCaptionButton order={7} />}
               <PlaybackSpeedControl 
                 playerRef={playerRef}
                 playbackRate={playbackSpeed}
@@ -374,80 +710,18 @@ const VideoDetails = () => {
               />
             </ControlBar>
             
-            {videoEnded && (
-              <div
-                style={{
-                  backgroundImage:
-                    "linear-gradient(to top, rgb(0, 0, 0), rgba(0,0,0,0.7), rgba(0,0,0,0.5), rgba(0,0,0,0.1))",
-                }}
-                className="w-full absolute inset-0 z-[100] grid h-full place-content-center font-inter"
-              >
-                {!completedLectures.includes(subSectionId) && (
-                  <IconBtn
-                    disabled={loading}
-                    onClick={() => handleLectureCompletion()}
-                    text={!loading ? "Mark As Completed" : "Loading..."}
-                    customClasses="text-xl max-w-max px-4 mx-auto"
-                  />
-                )}
-                
-                {completedLectures.includes(subSectionId) && videoData?.quiz && (
-                  <IconBtn
-                    disabled={loading}
-                    onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}/quiz`)}
-                    text="Take Quiz"
-                    customClasses="text-xl max-w-max px-4 mx-auto bg-green-600 hover:bg-green-700"
-                  />
-                )}
-                
-                <IconBtn
-                  disabled={loading}
-                  onClick={() => {
-                    if (playerRef?.current) {
-                      playerRef.current.seek(0)
-                      setVideoEnded(false)
-                    }
-                  }}
-                  text="Rewatch"
-                  customClasses="text-xl max-w-max px-4 mx-auto mt-2"
-                />
-
-                <div className="mt-10 flex min-w-[250px] justify-center gap-x-4 text-xl">
-                  {!isFirstVideo && (
-                    <button
-                      disabled={loading}
-                      onClick={goToPrevVideo}
-                      className="blackButton"
-                    >
-                      Prev
-                    </button>
-                  )}
-                  {!isLastVideo && (
-                    <button
-                      disabled={loading}
-                      onClick={goToNextVideo}
-                      className="blackButton"
-                    >
-                      Next
-                    </button>
-                  )}
-                  {isLastVideo && (
-                    <button
-                      disabled={loading}
-                      onClick={() => navigate('/dashboard/enrolled-courses')}
-                      className="blackButton bg-green-600 hover:bg-green-700"
-                    >
-                      Go to Course
-                    </button>
-                  )}
-                </div>
-              </div>
-            )}
+            <VideoWatermark text={playback?.watermark} />
+            {endedOverlay}
           </Player>
         </>
       )}
 
       <h1 className="mt-4 text-3xl font-semibold">{videoData?.title}</h1>
+      {videoData?.hasVideo && videoProgress && !completedLectures.includes(subSectionId) && (
+        <p className="text-sm text-richblack-300">
+          Watched {Math.floor(videoProgress.watchedPercent)}% of this video · {videoProgress.completionPercent}% completes the lecture
+        </p>
+      )}
       <p className="pt-2 pb-6">{videoData?.description}</p>
     </div>
   )
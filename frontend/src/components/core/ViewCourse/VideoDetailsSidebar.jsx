@@ -6,11 +6,12 @@ import IconBtn from './../../common/IconBtn';
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice"
 import { checkSectionAccess } from "../../../services/operations/courseProgressAPI"
 import ChatButton from '../Chat/ChatButton';
+import TranscriptPanel from "./TranscriptPanel"
 
 import { BsChevronDown } from "react-icons/bs"
 import { IoIosArrowBack } from "react-icons/io"
 import { FaLock } from "react-icons/fa"
-import { HiOutlineClipboardCheck } from "react-icons/hi"
+import { HiOutlineClipboardCheck, HiOutlineCode } from "react-icons/hi"
 import { RiQuestionAnswerLine } from "react-icons/ri"
 
 import { IoMdClose } from 'react-icons/io'
@@ -21,6 +22,7 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
   const [activeStatus, setActiveStatus] = useState("") // store curr section id
   const [videoBarActive, setVideoBarActive] = useState("") // store curr SubSection Id
   const [sectionAccess, setSectionAccess] = useState({}) // store section access status
+  const [activeTab, setActiveTab] = useState("lectures") // lectures or transcript
   const navigate = useNavigate()
   const location = useLocation()
   const dispatch = useDispatch();
@@ -34,6 +36,7 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
     completedLectures,
     completedQuizzes,
     passedQuizzes,
+    completedExercises,
   } = useSelector((state) => state.viewCourse)
 
 
@@ -74,7 +77,9 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
           const videoCompleted = completedLectures.includes(subSec._id)
           // If there's a quiz, it should also be completed
           const quizCompleted = subSec.quiz ? completedQuizzes.includes(subSec._id) : true
-          return videoCompleted && quizCompleted
+          // A coding exercise has to be solved
+          const exerciseCompleted = subSec.codeExercise ? completedExercises.includes(subSec._id) : true
+          return videoCompleted && quizCompleted && exerciseCompleted
         })
         
         // Use client-side check as primary source of truth
@@ -85,7 +90,7 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
     }
 
     checkAllSectionAccess()
-  }, [courseSectionData, courseEntireData, completedLectures, completedQuizzes, token])
+  }, [courseSectionData, courseEntireData, completedLectures, completedQuizzes, completedExercises, token])
 
 
 
@@ -143,8 +148,25 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
         </div>
 
 
+        {/* lectures - transcript tabs */}
+        <div className="mx-5 mt-3 flex gap-1 rounded-md bg-richblack-700 p-1 text-sm font-medium">
+          {["lectures", "transcript"].map((tab) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`flex-1 rounded py-1.5 capitalize ${
+                activeTab === tab ? "bg-richblack-900 text-yellow-50" : "text-richblack-300 hover:text-richblack-5"
+              }`}
+            >
+              {tab}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === "transcript" && <TranscriptPanel sectionAccess={sectionAccess} />}
+
         {/* render all section -subSection */}
-        <div className="h-[calc(100vh - 5rem)] overflow-y-auto">
+        <div className={`h-[calc(100vh - 5rem)] overflow-y-auto ${activeTab === "lectures" ? "" : "hidden"}`}>
           {courseSectionData.map((section, index) => (
             <div
               className="mt-2 cursor-pointer text-sm text-richblack-5"
@@ -168,7 +190,7 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                   <span className="text-[12px] font-medium">
                     {section.subSection.filter(subSec => {
                       // Count video completion
-                      if (subSec.videoUrl) {
+                      if (subSec.hasVideo) {
                         return completedLectures.includes(subSec._id)
                       }
                       // Count quiz completion - give full credit for passed quizzes, half for attempted
@@ -208,7 +230,8 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                         const previousSectionCompleted = previousSection.subSection.every(subSec => {
                           const videoCompleted = completedLectures.includes(subSec._id)
                           const quizCompleted = subSec.quiz ? completedQuizzes.includes(subSec._id) : true
-                          return videoCompleted && quizCompleted
+                          const exerciseCompleted = subSec.codeExercise ? completedExercises.includes(subSec._id) : true
+                          return videoCompleted && quizCompleted && exerciseCompleted
                         })
                         isLocked = !previousSectionCompleted
                       }
@@ -286,6 +309,24 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                               : 'Take Quiz'}
                           </button>
                         )}
+
+                        {/* Coding Exercise Button */}
+                        {topic.codeExercise && (
+                          <button
+                            onClick={() => navigate(`/view-course/${courseEntireData?._id}/section/${section?._id}/sub-section/${topic?._id}/exercise`)}
+                            className={`ml-11 mr-5 mt-1 flex items-center gap-2 rounded-md px-3 py-2 text-sm font-medium transition-colors ${
+                              completedExercises.includes(topic._id)
+                                ? 'bg-green-700 text-white hover:bg-green-600'
+                                : isLocked
+                                ? 'bg-richblack-700 text-richblack-300 cursor-not-allowed opacity-50'
+                                : 'bg-richblack-700 text-yellow-50 hover:bg-richblack-600'
+                            }`}
+                            disabled={isLocked}
+                          >
+                            <HiOutlineCode size={16} />
+                            {completedExercises.includes(topic._id) ? 'Exercise Solved' : 'Coding Exercise'}
+                          </button>
+                        )}
                       </div>
                     )
                   })}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react"
+
+// Spots the watermark moves between, so it can't be cropped or covered for long
+const POSITIONS = [
+  "left-[8%] top-[10%]",
+  "right-[8%] top-[18%]",
+  "left-[30%] top-[45%]",
+  "right-[10%] bottom-[22%]",
+  "left-[10%] bottom-[18%]",
+]
+const MOVE_INTERVAL_MS = 20000
+
+// The viewer's email over the video, so recordings of it can be traced back
+const VideoWatermark = ({ text }) => {
+  const [position, setPosition] = useState(0)
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setPosition((current) => (current + 1 + Math.floor(Math.random() * (POSITIONS.length - 1))) % POSITIONS.length)
+    }, MOVE_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [])
+
+  if (!text) return null
+
+  return (
+    <div
+      className={`pointer-events-none absolute z-[60] select-none text-sm font-medium text-white/30 transition-all duration-1000 ${POSITIONS[position]}`}
+      style={{ textShadow: "0 0 2px rgba(0, 0, 0, 0.4)" }}
+      aria-hidden="true"
+    >
+      {text}
+    </div>
+  )
+}
+
+export default VideoWatermark
@@ -0,0 +1,24 @@
+import { useSelector } from "react-redux"
+
+import { convertFromBase, formatPrice } from "../utils/currency"
+
+// The currency prices are shown and charged in, with helpers for base currency prices
+export default function useCurrency() {
+  const { currency: selected, baseCurrency, currencies } = useSelector((state) => state.currency)
+
+  const currency =
+    currencies.find((item) => item.code === selected) ||
+    currencies.find((item) => item.code === baseCurrency) ||
+    { code: baseCurrency, exchangeRate: 1 }
+
+  return {
+    currency,
+    code: currency.code,
+    // Base currency price -> selected currency
+    convert: (amount) => convertFromBase(amount, currency),
+    // Amount already in the selected currency
+    format: (amount) => formatPrice(amount, currency.code),
+    // Base currency price, converted and formatted
+    formatBase: (amount) => formatPrice(convertFromBase(amount, currency), currency.code),
+  }
+}
@@ -1,7 +1,7 @@
 import { useState, lazy, Suspense } from 'react';
 import { useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaChartLine, FaTag } from 'react-icons/fa';
+import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaChartLine, FaTag, FaCrown, FaCoins } from 'react-icons/fa';
 import { MdSettings } from 'react-icons/md';
 import { VscPackage } from 'react-icons/vsc';
 
@@ -20,6 +20,9 @@ const CourseCategories = lazy(() => import('../../components/core/Dashboard/AddC
 const BundleAccessRequests = lazy(() => import('./components/BundleAccessRequests'));
 const Coupons = lazy(() => import('./Coupons'));
 const Orders = lazy(() => import('./components/Orders'));
+const BundleManagement = lazy(() => import('./components/BundleManagement'));
+const MembershipPlans = lazy(() => import('./components/MembershipPlans'));
+const Currencies = lazy(() => import('./components/Currencies'));
 const NotificationManagement = lazy(() => import('./components/NotificationManagement'));
 const FeaturedCoursesManagement = lazy(() => import('./components/FeaturedCoursesManagement'));
 const ContactMessages = lazy(() => import('../../components/core/Dashboard/Admin/ContactMessages'));
@@ -59,6 +62,9 @@ const AdminDashboard = () => {
     { id: 'accessRequests', label: 'Access Requests', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'bundleRequests', label: 'Bundle Requests', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'orders', label: 'Orders', icon: <VscPackage className="w-5 h-5" /> },
+    { id: 'bundles', label: 'Course Bundles', icon: <VscPackage className="w-5 h-5" /> },
+    { id: 'memberships', label: 'Membership Plans', icon: <FaCrown className="w-5 h-5" /> },
+    { id: 'currencies', label: 'Currencies', icon: <FaCoins className="w-5 h-5" /> },
     { id: 'coupons', label: 'Coupons', icon: <FaTag className="w-5 h-5" /> },
     { id: 'careers', label: 'Careers', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'notifications', label: 'Notification Management', icon: <FaUsers className="w-5 h-5" /> },
@@ -117,6 +123,9 @@ const AdminDashboard = () => {
                     {activeTab === 'bundleRequests' && <BundleAccessRequests />}
                     {activeTab === 'studentProgress' && <StudentProgress />}
                     {activeTab === 'orders' && <Orders />}
+                    {activeTab === 'bundles' && <BundleManagement />}
+                    {activeTab === 'memberships' && <MembershipPlans />}
+                    {activeTab === 'currencies' && <Currencies />}
                     {activeTab === 'coupons' && <Coupons />}
                     {activeTab === 'notifications' && <NotificationManagement />}
                     {activeTab === 'contactMessages' && <ContactMessages />}
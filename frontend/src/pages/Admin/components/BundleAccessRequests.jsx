@@ -10,6 +10,8 @@ const BundleAccessRequests = () => {
   const [bundleRequests, setBundleRequests] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selectedStatus, setSelectedStatus] = useState('pending');
+  // Access period in days per request, empty uses each course's default
+  const [accessDays, setAccessDays] = useState({});
 
   useEffect(() => {
     fetchBundleRequests();
@@ -43,7 +45,8 @@ const BundleAccessRequests = () => {
         "POST",
         url,
         {
-          status
+          status,
+          accessDays: accessDays[bundleId] ?? ''
         },
         { Authorization: `Bearer ${token}` }
       );
@@ -142,6 +145,15 @@ const BundleAccessRequests = () => {
                 <div className="flex flex-col sm:flex-row items-stretch sm:items-center space-y-2 sm:space-y-0 sm:space-x-4">
                   {request.status === 'pending' ? (
                     <>
+                      <input
+                        type="number"
+                        min="0"
+                        value={accessDays[request._id] ?? ''}
+                        onChange={(e) => setAccessDays({ ...accessDays, [request._id]: e.target.value })}
+                        placeholder="Access days"
+                        title="Access period in days. Leave empty for each course's default, 0 for lifetime access."
+                        className="w-full sm:w-32 bg-richblack-700 text-richblack-5 px-3 py-2 rounded-lg border border-richblack-600 focus:outline-none focus:border-yellow-50 text-sm"
+                      />
                       <button
                         onClick={() => handleStatusUpdate(request._id, 'approved')}
                         className="flex items-center justify-center space-x-2 px-3 sm:px-4 py-2 rounded-lg bg-caribbeangreen-200 text-richblack-900 hover:bg-caribbeangreen-100 transition-colors text-sm"
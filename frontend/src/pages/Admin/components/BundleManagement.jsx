@@ -0,0 +1,411 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiPackage, FiEdit2, FiTrash2, FiClock, FiUsers, FiSearch } from 'react-icons/fi';
+import { getAllBundles, createBundle, updateBundle, deleteBundle } from '../../../services/operations/bundleAPI';
+import { getAllCourses } from '../../../services/operations/adminAPI';
+import ConfirmationModal from '../../../components/common/ConfirmationModal';
+
+const emptyForm = {
+  title: '',
+  description: '',
+  price: '',
+  validityDays: 0,
+  isActive: true,
+  courses: [],
+};
+
+const inputClass = 'w-full px-3 py-2.5 bg-richblack-700 border border-richblack-600 rounded-lg text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300';
+
+export default function BundleManagement() {
+  const { token } = useSelector((state) => state.auth);
+  const [bundles, setBundles] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingBundle, setEditingBundle] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [thumbnail, setThumbnail] = useState(null);
+  const [courseSearch, setCourseSearch] = useState('');
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        const [bundleList, courseResult] = await Promise.all([
+          getAllBundles(token),
+          getAllCourses(token),
+        ]);
+        setBundles(bundleList || []);
+        setCourses((courseResult?.courses || []).filter(course => course.status === 'Published'));
+      } catch (error) {
+        console.error('Error fetching bundles:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [token]);
+
+  const openCreateForm = () => {
+    setEditingBundle(null);
+    setFormData(emptyForm);
+    setThumbnail(null);
+    setShowForm(true);
+  };
+
+  const openEditForm = (bundle) => {
+    setEditingBundle(bundle);
+    setFormData({
+      title: bundle.title,
+      description: bundle.description || '',
+      price: bundle.price,
+      validityDays: bundle.validityDays || 0,
+      isActive: bundle.isActive,
+      courses: bundle.courses.map(course => course._id),
+    });
+    setThumbnail(null);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingBundle(null);
+    setCourseSearch('');
+  };
+
+  const toggleCourse = (courseId) => {
+    setFormData(prev => ({
+      ...prev,
+      courses: prev.courses.includes(courseId)
+        ? prev.courses.filter(id => id !== courseId)
+        : [...prev.courses, courseId],
+    }));
+  };
+
+  // Keep the enrollment counts of the admin listing when replacing a bundle
+  const mergeBundle = (updated) => {
+    setBundles(prev => prev.map(bundle => (
+      bundle._id === updated._id ? { ...bundle, ...updated } : bundle
+    )));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.title.trim()) {
+      toast.error('Bundle title is required');
+      return;
+    }
+    if (formData.courses.length < 2) {
+      toast.error('Select at least two courses');
+      return;
+    }
+
+    const data = new FormData();
+    data.append('title', formData.title.trim());
+    data.append('description', formData.description);
+    data.append('price', formData.price);
+    data.append('validityDays', formData.validityDays || 0);
+    data.append('isActive', formData.isActive);
+    data.append('courses', JSON.stringify(formData.courses));
+    if (thumbnail) {
+      data.append('thumbnailImage', thumbnail);
+    }
+
+    setSaving(true);
+    if (editingBundle) {
+      const updated = await updateBundle(editingBundle._id, data, token);
+      if (updated) {
+        mergeBundle(updated);
+        closeForm();
+      }
+    } else {
+      const created = await createBundle(data, token);
+      if (created) {
+        setBundles(prev => [{ ...created, totalEnrollments: 0, activeEnrollments: 0 }, ...prev]);
+        closeForm();
+      }
+    }
+    setSaving(false);
+  };
+
+  const handleToggleActive = async (bundle) => {
+    const data = new FormData();
+    data.append('isActive', !bundle.isActive);
+    const updated = await updateBundle(bundle._id, data, token);
+    if (updated) {
+      mergeBundle(updated);
+    }
+  };
+
+  const handleDelete = async (bundleId) => {
+    const success = await deleteBundle(bundleId, token);
+    if (success) {
+      setBundles(prev => prev.filter(bundle => bundle._id !== bundleId));
+    }
+    setConfirmationModal(null);
+  };
+
+  const coursesTotal = courses
+    .filter(course => formData.courses.includes(course._id))
+    .reduce((total, course) => total + (course.courseType === 'Free' ? 0 : course.price || 0), 0);
+
+  const filteredCourses = courses.filter(course =>
+    course.courseName?.toLowerCase().includes(courseSearch.toLowerCase())
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6 sm:gap-10">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 sm:gap-0">
+        <h1 className="text-2xl sm:text-3xl font-medium text-richblack-5">
+          Course Bundles
+        </h1>
+        {!showForm && (
+          <button
+            onClick={openCreateForm}
+            className="bg-yellow-50 text-richblack-900 px-4 sm:px-6 py-2.5 sm:py-3 rounded-md font-medium hover:scale-95 transition-all duration-200 text-sm sm:text-base w-full sm:w-auto"
+          >
+            Create Bundle
+          </button>
+        )}
+      </div>
+
+      {showForm ? (
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col gap-4 sm:gap-6 bg-richblack-800 p-4 sm:p-6 rounded-lg border-[1px] border-richblack-700"
+        >
+          <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 sm:gap-0">
+            <h2 className="text-lg font-semibold text-richblack-5">
+              {editingBundle ? 'Edit Bundle' : 'Create New Bundle'}
+            </h2>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="text-richblack-300 hover:text-richblack-100 transition-colors text-sm sm:text-base self-start sm:self-auto"
+            >
+              Back to List
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Title <sup className="text-pink-200">*</sup></span>
+              <input
+                value={formData.title}
+                onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                placeholder="e.g. Full Stack Developer Bundle"
+                className={inputClass}
+              />
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Thumbnail</span>
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => setThumbnail(e.target.files[0] || null)}
+                className="text-sm text-richblack-300 file:mr-3 file:rounded-md file:border-0 file:bg-richblack-700 file:px-3 file:py-2 file:text-richblack-50"
+              />
+            </label>
+
+            <label className="flex flex-col gap-2 md:col-span-2">
+              <span className="text-sm text-richblack-5">Description</span>
+              <textarea
+                rows={3}
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Bundle Price (₹) <sup className="text-pink-200">*</sup></span>
+              <input
+                type="number"
+                min="0"
+                value={formData.price}
+                onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+                className={inputClass}
+              />
+              {formData.courses.length > 0 && (
+                <span className="text-xs text-richblack-400">
+                  Courses bought separately: ₹{coursesTotal}
+                </span>
+              )}
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Access Validity (days)</span>
+              <input
+                type="number"
+                min="0"
+                value={formData.validityDays}
+                onChange={(e) => setFormData({ ...formData, validityDays: e.target.value })}
+                className={inputClass}
+              />
+              <span className="text-xs text-richblack-400">Use 0 for lifetime access</span>
+            </label>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-richblack-5">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+            />
+            Available for purchase
+          </label>
+
+          <div className="flex flex-col gap-3">
+            <span className="text-sm text-richblack-5">
+              Courses ({formData.courses.length} selected) <sup className="text-pink-200">*</sup>
+            </span>
+            <div className="relative">
+              <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-richblack-400" />
+              <input
+                value={courseSearch}
+                onChange={(e) => setCourseSearch(e.target.value)}
+                placeholder="Search courses..."
+                className={`${inputClass} pl-10`}
+              />
+            </div>
+            <div className="max-h-72 overflow-y-auto grid grid-cols-1 md:grid-cols-2 gap-2">
+              {filteredCourses.map(course => (
+                <label
+                  key={course._id}
+                  className={`flex items-center gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                    formData.courses.includes(course._id)
+                      ? 'border-yellow-50 bg-richblack-700'
+                      : 'border-richblack-600 hover:border-richblack-500'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.courses.includes(course._id)}
+                    onChange={() => toggleCourse(course._id)}
+                  />
+                  <span className="flex-1 text-sm text-richblack-5 line-clamp-1">{course.courseName}</span>
+                  <span className="text-xs text-richblack-300">
+                    {course.courseType === 'Free' ? 'Free' : `₹${course.price}`}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-4 py-2.5 rounded-md bg-richblack-700 text-richblack-50 hover:bg-richblack-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2.5 rounded-md bg-yellow-50 text-richblack-900 font-medium hover:scale-95 transition-all duration-200 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingBundle ? 'Save Changes' : 'Create Bundle'}
+            </button>
+          </div>
+        </form>
+      ) : bundles.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="bg-richblack-700 rounded-2xl p-8 border border-richblack-600">
+            <FiPackage className="mx-auto text-6xl text-richblack-400 mb-4" />
+            <p className="text-richblack-300 text-xl font-semibold mb-2">No bundles created yet</p>
+            <p className="text-richblack-400 text-sm">Click &quot;Create Bundle&quot; to sell several courses together at one price</p>
+          </div>
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:gap-6">
+          {bundles.map(bundle => (
+            <div
+              key={bundle._id}
+              className="bg-gradient-to-r from-richblack-800 to-richblack-700 border border-richblack-600 rounded-2xl p-4 sm:p-6"
+            >
+              <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-4">
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 sm:gap-3 mb-2">
+                    <FiPackage className="text-yellow-50 text-lg sm:text-xl" />
+                    <h3 className="text-lg sm:text-2xl font-bold text-richblack-5">{bundle.title}</h3>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      bundle.isActive
+                        ? 'bg-caribbeangreen-900/30 text-caribbeangreen-100 border border-caribbeangreen-700'
+                        : 'bg-richblack-600 text-richblack-300 border border-richblack-500'
+                    }`}>
+                      {bundle.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-4 text-sm text-richblack-300">
+                    <span className="font-semibold text-yellow-50">₹{bundle.price}</span>
+                    <span className="flex items-center gap-1">
+                      <FiClock /> {bundle.validityDays > 0 ? `${bundle.validityDays} days` : 'Lifetime'}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <FiUsers /> {bundle.activeEnrollments ?? 0} active / {bundle.totalEnrollments ?? 0} total
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {bundle.courses.map(course => (
+                      <span key={course._id} className="px-2 py-1 rounded-md bg-richblack-600 text-xs text-richblack-100">
+                        {course.courseName}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleToggleActive(bundle)}
+                    className="px-3 py-2 rounded-md bg-richblack-600 text-richblack-100 text-sm hover:bg-richblack-500 transition-colors"
+                  >
+                    {bundle.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                  <button
+                    onClick={() => openEditForm(bundle)}
+                    title="Edit"
+                    className="p-2 rounded-md bg-richblack-600 text-richblack-100 hover:text-yellow-50 transition-colors"
+                  >
+                    <FiEdit2 />
+                  </button>
+                  <button
+                    onClick={() => setConfirmationModal({
+                      text1: 'Delete this bundle?',
+                      text2: bundle.totalEnrollments > 0
+                        ? 'This bundle has been purchased and can only be deactivated.'
+                        : 'This bundle will be permanently deleted.',
+                      btn1Text: 'Delete',
+                      btn2Text: 'Cancel',
+                      btn1Handler: () => handleDelete(bundle._id),
+                      btn2Handler: () => setConfirmationModal(null),
+                    })}
+                    title="Delete"
+                    className="p-2 rounded-md bg-richblack-600 text-richblack-100 hover:text-pink-200 transition-colors"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+}
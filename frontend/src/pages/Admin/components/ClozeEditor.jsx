@@ -0,0 +1,99 @@
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+const MAX_BLANKS = 20
+
+// Blanks of a fill in the blank question. Each blank is marked [[N]] in the
+// question text and accepts any of its answers, separated by |.
+export default function ClozeEditor({ question, onChange, hasError }) {
+  const blanks = question.blanks || []
+
+  const addBlank = () => {
+    const number = blanks.length + 1
+    const text = question.questionText
+    onChange({
+      blanks: [...blanks, { answers: [""] }],
+      questionText: `${text}${text && !text.endsWith(" ") ? " " : ""}[[${number}]]`,
+    })
+  }
+
+  // Later blanks move up a number, in the list and in the text
+  const removeBlank = (index) => {
+    const removed = index + 1
+    onChange({
+      blanks: blanks.filter((_, i) => i !== index),
+      questionText: question.questionText.replace(/\[\[(\d+)\]\]/g, (marker, number) => {
+        const value = Number(number)
+        if (value === removed) return ""
+        return value > removed ? `[[${value - 1}]]` : marker
+      }),
+    })
+  }
+
+  const updateAnswers = (index, value) => {
+    onChange({
+      blanks: blanks.map((blank, i) => (i === index ? { answers: value.split("|") } : blank)),
+    })
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="text-sm text-richblack-5">Blanks *</label>
+        <button
+          type="button"
+          onClick={addBlank}
+          disabled={blanks.length >= MAX_BLANKS}
+          className="flex items-center gap-1 text-sm text-yellow-50 hover:text-yellow-100 disabled:opacity-50"
+        >
+          <RiAddLine />
+          Add Blank
+        </button>
+      </div>
+      {blanks.map((blank, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <span className="w-16 text-sm text-richblack-300 font-mono">[[{index + 1}]]</span>
+          <input
+            type="text"
+            value={blank.answers.join("|")}
+            onChange={(e) => updateAnswers(index, e.target.value)}
+            placeholder="Accepted answers, e.g. colour|color"
+            className={`flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm border ${
+              hasError ? "border-red-500" : "border-richblack-600"
+            }`}
+          />
+          <button
+            type="button"
+            onClick={() => removeBlank(index)}
+            className="text-pink-300 hover:text-pink-200 p-1"
+          >
+            <RiDeleteBin6Line />
+          </button>
+        </div>
+      ))}
+      <p className={`text-xs ${hasError ? "text-red-400" : "text-richblack-300"}`}>
+        Adding a blank puts its [[N]] marker at the end of the question text; move it where the blank belongs.
+        Every marker must appear once.
+      </p>
+      <div className="flex flex-wrap gap-4">
+        <label className="flex items-center gap-2 text-sm text-richblack-5">
+          <input
+            type="checkbox"
+            checked={!!question.caseSensitive}
+            onChange={(e) => onChange({ caseSensitive: e.target.checked })}
+            className="rounded"
+          />
+          Case sensitive
+        </label>
+        <label className="flex items-center gap-2 text-sm text-richblack-5">
+          <input
+            type="checkbox"
+            checked={!!question.partialCredit}
+            onChange={(e) => onChange({ partialCredit: e.target.checked })}
+            className="rounded"
+          />
+          Award marks for each correct blank
+        </label>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,394 @@
+import { useEffect, useState } from "react"
+import { useSelector } from "react-redux"
+import { toast } from "react-hot-toast"
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+import CodeEditor from "../../../components/common/CodeEditor"
+import {
+  createCodeExercise,
+  updateCodeExercise,
+  getCodeExercise,
+} from "../../../services/operations/codeExerciseAPI"
+
+const LANGUAGES = [
+  ["javascript", "JavaScript"],
+  ["python", "Python"],
+  ["java", "Java"],
+  ["cpp", "C++"],
+  ["c", "C"],
+  ["go", "Go"],
+  ["rust", "Rust"],
+  ["ruby", "Ruby"],
+  ["csharp", "C#"],
+  ["kotlin", "Kotlin"],
+  ["typescript", "TypeScript"],
+  ["sql", "SQL"],
+]
+
+// Name of the file students run, by language
+const MAIN_FILE_NAMES = {
+  javascript: "main.js",
+  python: "main.py",
+  java: "Main.java",
+  cpp: "main.cpp",
+  c: "main.c",
+  go: "main.go",
+  rust: "main.rs",
+  ruby: "main.rb",
+  csharp: "Program.cs",
+  kotlin: "Main.kt",
+  typescript: "main.ts",
+  sql: "main.sql",
+}
+
+const MAX_FILES = 10
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_][\w.-]{0,63}$/
+
+const newTestCase = () => ({ input: "", expectedOutput: "", isHidden: false, weight: 1 })
+
+// Check the form, returning an error message or null. The server checks the same.
+const getFormError = ({ files, testCases, comparator, floatTolerance }) => {
+  const names = files.map((file) => file.name.trim())
+  if (names.some((name) => !FILE_NAME_PATTERN.test(name))) {
+    return "File names may only use letters, numbers, dots, dashes and underscores"
+  }
+  if (new Set(names).size !== names.length) {
+    return "Every file needs its own name"
+  }
+  if (testCases.length === 0) {
+    return "Add at least one test case"
+  }
+  if (testCases.some((testCase) => !testCase.expectedOutput.trim())) {
+    return "All test cases must have expected output"
+  }
+  if (testCases.every((testCase) => testCase.isHidden)) {
+    return "At least one test case must be visible, for students to run as a sample"
+  }
+  if (comparator === "floatTolerance" && !(Number(floatTolerance) >= 0)) {
+    return "Tolerance must be a number of at least 0"
+  }
+  return null
+}
+
+// Creates or edits the coding exercise of a lecture: starter files, of which
+// the first is run, and the tests students' code must pass
+export default function CodeExerciseCreator({ subSectionId, exerciseId, onClose, onSuccess }) {
+  const { token } = useSelector((state) => state.auth)
+  const [exercise, setExercise] = useState({
+    title: "Coding Exercise",
+    instructions: "",
+    language: "javascript",
+    files: [{ name: MAIN_FILE_NAMES.javascript, content: "" }],
+    testCases: [newTestCase()],
+    comparator: "exact",
+    floatTolerance: 0.000001,
+  })
+  const [activeFile, setActiveFile] = useState(0)
+  // Bumped when the files are loaded, so the editor shows them
+  const [editorKey, setEditorKey] = useState(0)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!exerciseId || !token) return
+
+    const loadExercise = async () => {
+      setLoading(true)
+      const data = await getCodeExercise(exerciseId, token)
+      if (data) {
+        setExercise({
+          title: data.title,
+          instructions: data.instructions || "",
+          language: data.language,
+          files: data.files.map(({ name, content }) => ({ name, content })),
+          testCases: data.testCases.map(({ input, expectedOutput, isHidden, weight }) => ({
+            input, expectedOutput, isHidden, weight,
+          })),
+          comparator: data.comparator || "exact",
+          floatTolerance: data.floatTolerance ?? 0.000001,
+        })
+        setEditorKey((key) => key + 1)
+      }
+      setLoading(false)
+    }
+
+    loadExercise()
+  }, [exerciseId, token])
+
+  const update = (fields) => setExercise((current) => ({ ...current, ...fields }))
+
+  const updateFile = (index, fields) => {
+    setExercise((current) => ({
+      ...current,
+      files: current.files.map((file, i) => (i === index ? { ...file, ...fields } : file)),
+    }))
+  }
+
+  const updateTestCase = (index, fields) => {
+    update({ testCases: exercise.testCases.map((testCase, i) => (i === index ? { ...testCase, ...fields } : testCase)) })
+  }
+
+  const removeFile = (index) => {
+    update({ files: exercise.files.filter((_, i) => i !== index) })
+    setActiveFile(0)
+  }
+
+  const onSubmit = async () => {
+    const formError = getFormError(exercise)
+    if (formError) {
+      toast.error(formError)
+      return
+    }
+
+    const data = {
+      ...exercise,
+      files: exercise.files.map((file) => ({ ...file, name: file.name.trim() })),
+      testCases: exercise.testCases.map((testCase) => ({ ...testCase, weight: Number(testCase.weight ?? 1) })),
+      floatTolerance: Number(exercise.floatTolerance),
+    }
+
+    setLoading(true)
+    const result = exerciseId
+      ? await updateCodeExercise(exerciseId, data, token)
+      : await createCodeExercise({ ...data, subSectionId }, token)
+    setLoading(false)
+    if (result) {
+      onSuccess()
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <label className="text-sm text-richblack-5">Title</label>
+        <input
+          type="text"
+          value={exercise.title}
+          onChange={(e) => update({ title: e.target.value })}
+          className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm text-richblack-5">Instructions</label>
+        <textarea
+          value={exercise.instructions}
+          onChange={(e) => update({ instructions: e.target.value })}
+          placeholder="What the program should do, and the input and output it works with"
+          className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3 min-h-[120px]"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm text-richblack-5">Programming Language</label>
+        <select
+          value={exercise.language}
+          onChange={(e) => {
+            const language = e.target.value
+            // A main file still named for the old language is renamed for the new one
+            const files = exercise.files[0].name === MAIN_FILE_NAMES[exercise.language]
+              ? [{ ...exercise.files[0], name: MAIN_FILE_NAMES[language] }, ...exercise.files.slice(1)]
+              : exercise.files
+            update({ language, files })
+          }}
+          className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+        >
+          {LANGUAGES.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Starter files */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="text-sm text-richblack-5">Starter Files</label>
+          <button
+            type="button"
+            onClick={() => {
+              update({ files: [...exercise.files, { name: "", content: "" }] })
+              setActiveFile(exercise.files.length)
+            }}
+            disabled={exercise.files.length >= MAX_FILES}
+            className="flex items-center gap-1 text-sm text-yellow-50 hover:text-yellow-100 disabled:opacity-50"
+          >
+            <RiAddLine />
+            Add File
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {exercise.files.map((file, index) => (
+            <button
+              key={index}
+              type="button"
+              onClick={() => setActiveFile(index)}
+              className={`px-3 py-1 rounded-t-lg text-sm font-mono ${
+                activeFile === index ? "bg-richblack-700 text-yellow-50" : "bg-richblack-900 text-richblack-300 hover:text-richblack-50"
+              }`}
+            >
+              {file.name || "untitled"}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={exercise.files[activeFile]?.name || ""}
+            onChange={(e) => updateFile(activeFile, { name: e.target.value })}
+            placeholder="File name, e.g. helpers.js"
+            className="flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm font-mono"
+          />
+          {activeFile > 0 && (
+            <button
+              type="button"
+              onClick={() => removeFile(activeFile)}
+              className="text-pink-300 hover:text-pink-200 p-1"
+            >
+              <RiDeleteBin6Line />
+            </button>
+          )}
+        </div>
+        <CodeEditor
+          key={`${editorKey}-${activeFile}`}
+          language={exercise.language}
+          starterCode={exercise.files[activeFile]?.content || ""}
+          onChange={(content) => updateFile(activeFile, { content })}
+          runnable={false}
+          height="300px"
+        />
+        <p className="text-xs text-richblack-300">
+          The first file is the one that runs; the others sit next to it for it to import or read.
+        </p>
+      </div>
+
+      {/* Output comparison */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <label className="text-sm text-richblack-5">Output Comparison</label>
+          <select
+            value={exercise.comparator}
+            onChange={(e) => update({ comparator: e.target.value })}
+            className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+          >
+            <option value="exact">Exact match</option>
+            <option value="ignoreWhitespace">Ignore whitespace</option>
+            <option value="floatTolerance">Numbers within tolerance</option>
+            <option value="unorderedLines">Lines in any order</option>
+            <option value="regex">Expected output is a regex</option>
+          </select>
+        </div>
+        {exercise.comparator === "floatTolerance" && (
+          <div className="space-y-2">
+            <label className="text-sm text-richblack-5">Tolerance</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={exercise.floatTolerance}
+              onChange={(e) => update({ floatTolerance: e.target.value })}
+              className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Test cases */}
+      <div className="space-y-2">
+        <div className="flex justify-between items-center">
+          <label className="text-sm text-richblack-5">Test Cases</label>
+          <button
+            type="button"
+            onClick={() => update({ testCases: [...exercise.testCases, newTestCase()] })}
+            className="text-sm text-yellow-50 hover:text-yellow-100"
+          >
+            + Add Test Case
+          </button>
+        </div>
+        <div className="space-y-3">
+          {exercise.testCases.map((testCase, index) => (
+            <div key={index} className="p-3 bg-richblack-700 rounded-lg space-y-3">
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-richblack-300">Test Case {index + 1}</span>
+                {exercise.testCases.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => update({ testCases: exercise.testCases.filter((_, i) => i !== index) })}
+                    className="text-pink-300 hover:text-pink-200"
+                  >
+                    <RiDeleteBin6Line />
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-1">
+                  <label className="text-xs text-richblack-300">Input</label>
+                  <textarea
+                    value={testCase.input}
+                    onChange={(e) => updateTestCase(index, { input: e.target.value })}
+                    placeholder="Test case input"
+                    className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-2 text-sm font-mono"
+                    rows={3}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label className="text-xs text-richblack-300">Expected Output</label>
+                  <textarea
+                    value={testCase.expectedOutput}
+                    onChange={(e) => updateTestCase(index, { expectedOutput: e.target.value })}
+                    placeholder="Expected output"
+                    className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-2 text-sm font-mono"
+                    rows={3}
+                  />
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-6">
+                <label className="flex items-center gap-2 text-sm text-richblack-300">
+                  <input
+                    type="checkbox"
+                    checked={testCase.isHidden}
+                    onChange={(e) => updateTestCase(index, { isHidden: e.target.checked })}
+                    className="rounded"
+                  />
+                  Hidden Test Case
+                </label>
+                <label className="flex items-center gap-2 text-sm text-richblack-300">
+                  Weight
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={testCase.weight ?? 1}
+                    onChange={(e) => updateTestCase(index, { weight: e.target.value })}
+                    className="w-20 bg-richblack-800 text-richblack-5 rounded-lg p-1 text-sm"
+                  />
+                </label>
+              </div>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-richblack-300">
+          Students run their code against the visible tests; submitting runs every test, and passing them all completes the lecture.
+        </p>
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex justify-end gap-4 pt-4 border-t border-richblack-700">
+        <button
+          onClick={onClose}
+          disabled={loading}
+          className="px-6 py-2 bg-richblack-700 text-richblack-50 rounded-lg hover:bg-richblack-600 transition-all duration-200"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onSubmit}
+          disabled={loading}
+          className="px-6 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading
+            ? (exerciseId ? "Updating..." : "Creating...")
+            : (exerciseId ? "Update Exercise" : "Create Exercise")}
+        </button>
+      </div>
+    </div>
+  )
+}
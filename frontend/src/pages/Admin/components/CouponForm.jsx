@@ -11,6 +11,7 @@ import CustomTimePicker from '../../../components/common/CustomTimePicker';
 
 export default function CouponForm({ onSuccess }) {
   const { token } = useSelector((state) => state.auth);
+  const { baseCurrency, currencies } = useSelector((state) => state.currency);
   const dispatch = useDispatch();
   const [loading, setLoading] = useState(false);
   const [courses, setCourses] = useState([]);
@@ -36,12 +37,15 @@ export default function CouponForm({ onSuccess }) {
       showOnFront: false,
       isActive: true,
       priority: 0,
-      isCombinable: false
+      isCombinable: false,
+      currency: baseCurrency
     }
   });
 
   const watchDiscountType = watch('discountType');
   const watchLinkedTo = watch('linkedTo');
+  const watchCurrency = watch('currency') || baseCurrency;
+  const currencyLabel = watchCurrency === 'INR' ? '₹' : watchCurrency;
 
   const onSubmit = async (data) => {
     setLoading(true);
@@ -172,7 +176,7 @@ export default function CouponForm({ onSuccess }) {
               >
                 <option value="">Select discount type</option>
                 <option value="percentage">Percentage (%)</option>
-                <option value="flat">Flat Amount (₹)</option>
+                <option value="flat">Flat Amount ({currencyLabel})</option>
               </select>
               {errors.discountType && <span className="text-xs text-red-400">{errors.discountType.message}</span>}
             </div>
@@ -203,7 +207,7 @@ export default function CouponForm({ onSuccess }) {
                 />
                 {watchDiscountType && (
                   <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-richblack-400 text-sm">
-                    {watchDiscountType === 'percentage' ? '%' : '₹'}
+                    {watchDiscountType === 'percentage' ? '%' : currencyLabel}
                   </span>
                 )}
               </div>
@@ -230,7 +234,7 @@ export default function CouponForm({ onSuccess }) {
                     className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80 [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none"
                     onWheel={(e) => e.target.blur()}
                   />
-                  <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-richblack-400 text-sm">₹</span>
+                  <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-richblack-400 text-sm">{currencyLabel}</span>
                 </div>
                 {errors.maxDiscountAmount && <span className="text-xs text-red-400">{errors.maxDiscountAmount.message}</span>}
                 <p className="text-xs text-richblack-400">Maximum discount amount for percentage coupons</p>
@@ -256,10 +260,31 @@ export default function CouponForm({ onSuccess }) {
                   className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80 [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none"
                   onWheel={(e) => e.target.blur()}
                 />
-                <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-richblack-400 text-sm">₹</span>
+                <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-richblack-400 text-sm">{currencyLabel}</span>
               </div>
               {errors.minimumOrderAmount && <span className="text-xs text-red-400">{errors.minimumOrderAmount.message}</span>}
             </div>
+
+            {/* Currency of the flat, maximum and minimum amounts */}
+            {currencies.length > 1 && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                  <FiDollarSign className="text-green-400 text-sm" />
+                  Amounts Currency
+                </label>
+                <select
+                  {...register("currency")}
+                  className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
+                >
+                  {currencies.map(currency => (
+                    <option key={currency.code} value={currency.code}>
+                      {currency.code} - {currency.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-richblack-400">Converted at the current rate when students pay in another currency</p>
+              </div>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,345 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiDollarSign, FiEdit2, FiTrash2, FiGlobe } from 'react-icons/fi';
+import {
+  getAllCurrencies,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+} from '../../../services/operations/currencyAPI';
+import ConfirmationModal from '../../../components/common/ConfirmationModal';
+
+const emptyForm = {
+  code: '',
+  name: '',
+  symbol: '',
+  exchangeRate: '',
+  countries: '',
+  isActive: true,
+};
+
+const inputClass = 'w-full px-3 py-2.5 bg-richblack-700 border border-richblack-600 rounded-lg text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300';
+
+export default function Currencies() {
+  const { token } = useSelector((state) => state.auth);
+  const [currencies, setCurrencies] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState('INR');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingCurrency, setEditingCurrency] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      const result = await getAllCurrencies(token);
+      if (result) {
+        setBaseCurrency(result.baseCurrency);
+        setCurrencies(result.currencies || []);
+      }
+      setLoading(false);
+    };
+    fetchData();
+  }, [token]);
+
+  const openCreateForm = () => {
+    setEditingCurrency(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (currency) => {
+    setEditingCurrency(currency);
+    setFormData({
+      code: currency.code,
+      name: currency.name,
+      symbol: currency.symbol || '',
+      exchangeRate: currency.exchangeRate,
+      countries: currency.countries.join(', '),
+      isActive: currency.isActive,
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingCurrency(null);
+  };
+
+  const replaceCurrency = (updated) => {
+    setCurrencies(prev => prev.map(currency => (
+      currency._id === updated._id ? updated : currency
+    )));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!editingCurrency && !/^[A-Za-z]{3}$/.test(formData.code.trim())) {
+      toast.error('Enter a three letter ISO currency code');
+      return;
+    }
+    if (!formData.name.trim()) {
+      toast.error('Currency name is required');
+      return;
+    }
+    if (!(Number(formData.exchangeRate) > 0)) {
+      toast.error('Exchange rate must be greater than zero');
+      return;
+    }
+
+    const data = {
+      name: formData.name.trim(),
+      symbol: formData.symbol.trim(),
+      exchangeRate: Number(formData.exchangeRate),
+      countries: formData.countries.split(',').map(country => country.trim()).filter(Boolean),
+      isActive: formData.isActive,
+    };
+
+    setSaving(true);
+    if (editingCurrency) {
+      const updated = await updateCurrency(editingCurrency._id, data, token);
+      if (updated) {
+        replaceCurrency(updated);
+        closeForm();
+      }
+    } else {
+      const created = await createCurrency({ ...data, code: formData.code.trim().toUpperCase() }, token);
+      if (created) {
+        setCurrencies(prev => [...prev, created].sort((a, b) => a.code.localeCompare(b.code)));
+        closeForm();
+      }
+    }
+    setSaving(false);
+  };
+
+  const handleToggleActive = async (currency) => {
+    const updated = await updateCurrency(currency._id, { isActive: !currency.isActive }, token);
+    if (updated) {
+      replaceCurrency(updated);
+    }
+  };
+
+  const handleDelete = async (currencyId) => {
+    const success = await deleteCurrency(currencyId, token);
+    if (success) {
+      setCurrencies(prev => prev.filter(currency => currency._id !== currencyId));
+    }
+    setConfirmationModal(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6 sm:gap-10">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 sm:gap-0">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-medium text-richblack-5">
+            Currencies
+          </h1>
+          <p className="text-sm text-richblack-300 mt-1">
+            Course prices are set in {baseCurrency} and converted at these rates
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={openCreateForm}
+            className="bg-yellow-50 text-richblack-900 px-4 sm:px-6 py-2.5 sm:py-3 rounded-md font-medium hover:scale-95 transition-all duration-200 text-sm sm:text-base w-full sm:w-auto"
+          >
+            Add Currency
+          </button>
+        )}
+      </div>
+
+      {showForm ? (
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col gap-4 sm:gap-6 bg-richblack-800 p-4 sm:p-6 rounded-lg border-[1px] border-richblack-700"
+        >
+          <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 sm:gap-0">
+            <h2 className="text-lg font-semibold text-richblack-5">
+              {editingCurrency ? `Edit ${editingCurrency.code}` : 'Add Currency'}
+            </h2>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="text-richblack-300 hover:text-richblack-100 transition-colors text-sm sm:text-base self-start sm:self-auto"
+            >
+              Back to List
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Code <sup className="text-pink-200">*</sup></span>
+              <input
+                value={formData.code}
+                onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                disabled={!!editingCurrency}
+                maxLength={3}
+                placeholder="e.g. USD"
+                className={`${inputClass} uppercase disabled:opacity-60`}
+              />
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Name <sup className="text-pink-200">*</sup></span>
+              <input
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g. US Dollar"
+                className={inputClass}
+              />
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Symbol</span>
+              <input
+                value={formData.symbol}
+                onChange={(e) => setFormData({ ...formData, symbol: e.target.value })}
+                placeholder="e.g. $"
+                className={inputClass}
+              />
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Exchange Rate ({baseCurrency}) <sup className="text-pink-200">*</sup></span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={formData.exchangeRate}
+                onChange={(e) => setFormData({ ...formData, exchangeRate: e.target.value })}
+                placeholder="Value of one unit in the base currency"
+                className={inputClass}
+              />
+              {editingCurrency && (
+                <span className="text-xs text-richblack-400">Paid orders keep the rate they were charged at</span>
+              )}
+            </label>
+
+            <label className="flex flex-col gap-2 md:col-span-2">
+              <span className="text-sm text-richblack-5">Countries</span>
+              <input
+                value={formData.countries}
+                onChange={(e) => setFormData({ ...formData, countries: e.target.value })}
+                placeholder="e.g. US, PR"
+                className={inputClass}
+              />
+              <span className="text-xs text-richblack-400">Two letter country codes of visitors who see this currency by default</span>
+            </label>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-richblack-5">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+            />
+            Available at checkout
+          </label>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-4 py-2.5 rounded-md bg-richblack-700 text-richblack-50 hover:bg-richblack-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2.5 rounded-md bg-yellow-50 text-richblack-900 font-medium hover:scale-95 transition-all duration-200 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingCurrency ? 'Save Changes' : 'Add Currency'}
+            </button>
+          </div>
+        </form>
+      ) : currencies.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="bg-richblack-700 rounded-2xl p-8 border border-richblack-600">
+            <FiDollarSign className="mx-auto text-6xl text-richblack-400 mb-4" />
+            <p className="text-richblack-300 text-xl font-semibold mb-2">Only {baseCurrency} is available</p>
+            <p className="text-richblack-400 text-sm">Add a currency to let students pay in their local currency</p>
+          </div>
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:gap-6">
+          {currencies.map(currency => (
+            <div
+              key={currency._id}
+              className="bg-gradient-to-r from-richblack-800 to-richblack-700 border border-richblack-600 rounded-2xl p-4 sm:p-6"
+            >
+              <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-4">
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 sm:gap-3 mb-2">
+                    <span className="text-yellow-50 text-lg sm:text-xl font-bold">{currency.symbol || currency.code}</span>
+                    <h3 className="text-lg sm:text-2xl font-bold text-richblack-5">{currency.code}</h3>
+                    <span className="text-richblack-300">{currency.name}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      currency.isActive
+                        ? 'bg-caribbeangreen-900/30 text-caribbeangreen-100 border border-caribbeangreen-700'
+                        : 'bg-richblack-600 text-richblack-300 border border-richblack-500'
+                    }`}>
+                      {currency.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-4 text-sm text-richblack-300">
+                    <span className="font-semibold text-yellow-50">
+                      1 {currency.code} = {currency.exchangeRate} {baseCurrency}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <FiGlobe /> {currency.countries.length > 0 ? currency.countries.join(', ') : 'No default countries'}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleToggleActive(currency)}
+                    className="px-3 py-2 rounded-md bg-richblack-600 text-richblack-100 text-sm hover:bg-richblack-500 transition-colors"
+                  >
+                    {currency.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                  <button
+                    onClick={() => openEditForm(currency)}
+                    title="Edit"
+                    className="p-2 rounded-md bg-richblack-600 text-richblack-100 hover:text-yellow-50 transition-colors"
+                  >
+                    <FiEdit2 />
+                  </button>
+                  <button
+                    onClick={() => setConfirmationModal({
+                      text1: `Delete ${currency.code}?`,
+                      text2: 'Currencies used by orders or coupons can only be deactivated.',
+                      btn1Text: 'Delete',
+                      btn2Text: 'Cancel',
+                      btn1Handler: () => handleDelete(currency._id),
+                      btn2Handler: () => setConfirmationModal(null),
+                    })}
+                    title="Delete"
+                    className="p-2 rounded-md bg-richblack-600 text-richblack-100 hover:text-pink-200 transition-colors"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+}
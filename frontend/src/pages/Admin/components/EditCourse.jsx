@@ -45,6 +45,8 @@ export default function EditCourse({ course, onCancel, onSave }) {
       setValue("courseTitle", course.courseName);
       setValue("courseShortDesc", course.courseDescription);
       setValue("coursePrice", course.price);
+      setValue("accessDurationDays", course.accessDurationDays ?? "");
+      setValue("videoCompletionPercent", course.videoCompletionPercent ?? "");
       setValue("courseCategory", course.category?._id);
       setValue("courseTags", course.tag || []);
       setValue("courseBenefits", course.whatYouWillLearn);
@@ -100,6 +102,12 @@ export default function EditCourse({ course, onCancel, onSave }) {
       if (data.coursePrice !== course.price) {
         formData.append("price", data.coursePrice);
       }
+      if (String(data.accessDurationDays) !== String(course.accessDurationDays ?? "")) {
+        formData.append("accessDurationDays", data.accessDurationDays);
+      }
+      if (String(data.videoCompletionPercent) !== String(course.videoCompletionPercent ?? "")) {
+        formData.append("videoCompletionPercent", data.videoCompletionPercent);
+      }
       if (data.courseCategory !== course.category?._id) {
         formData.append("category", data.courseCategory);
       }
@@ -256,6 +264,63 @@ export default function EditCourse({ course, onCancel, onSave }) {
           )}
         </div>
 
+        {/* Access Period */}
+        <div className="flex flex-col space-y-2">
+          <label className="text-sm text-richblack-5" htmlFor="accessDurationDays">
+            Access Period (days)
+          </label>
+          <input
+            id="accessDurationDays"
+            type="number"
+            min="1"
+            placeholder="Lifetime access"
+            {...register("accessDurationDays", {
+              pattern: {
+                value: /^[1-9]\d*$/,
+                message: "Please enter a whole number of days"
+              },
+            })}
+            className="form-style w-full"
+          />
+          <span className="ml-2 text-xs text-richblack-300">
+            How long a purchase or approved request gives access. Leave empty for lifetime access.
+          </span>
+          {errors.accessDurationDays && (
+            <span className="ml-2 text-xs tracking-wide text-pink-200">
+              {errors.accessDurationDays.message}
+            </span>
+          )}
+        </div>
+
+        {/* Video Completion */}
+        <div className="flex flex-col space-y-2">
+          <label className="text-sm text-richblack-5" htmlFor="videoCompletionPercent">
+            Video Completion (% watched)
+          </label>
+          <input
+            id="videoCompletionPercent"
+            type="number"
+            min="1"
+            max="100"
+            placeholder="Site default"
+            {...register("videoCompletionPercent", {
+              pattern: {
+                value: /^([1-9]\d?|100)$/,
+                message: "Please enter a whole number from 1 to 100"
+              },
+            })}
+            className="form-style w-full"
+          />
+          <span className="ml-2 text-xs text-richblack-300">
+            How much of a lecture video students have to watch for it to count as completed. Leave empty for the site default.
+          </span>
+          {errors.videoCompletionPercent && (
+            <span className="ml-2 text-xs tracking-wide text-pink-200">
+              {errors.videoCompletionPercent.message}
+            </span>
+          )}
+        </div>
+
         {/* Course Category */}
         <div 
           className="flex flex-col space-y-2"
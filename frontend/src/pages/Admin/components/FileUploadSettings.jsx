@@ -0,0 +1,57 @@
+// Files students may upload as answers; the server accepts no others
+const ANSWER_FILE_TYPES = ["pdf", "doc", "docx", "jpg", "jpeg", "png", "gif", "webp"]
+const MAX_FILE_SIZE_MB = 50
+
+// The files a file upload question accepts. Uploaded answers are graded by an instructor.
+export default function FileUploadSettings({ question, onChange, hasError }) {
+  const allowed = question.allowedFileTypes || []
+
+  const toggleType = (type) => {
+    onChange({
+      allowedFileTypes: allowed.includes(type)
+        ? allowed.filter(value => value !== type)
+        : [...allowed, type],
+    })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        <label className="text-sm text-richblack-5">Accepted File Types *</label>
+        <div className="flex flex-wrap gap-3">
+          {ANSWER_FILE_TYPES.map(type => (
+            <label key={type} className="flex items-center gap-2 text-sm text-richblack-100">
+              <input
+                type="checkbox"
+                checked={allowed.includes(type)}
+                onChange={() => toggleType(type)}
+                className="rounded"
+              />
+              .{type}
+            </label>
+          ))}
+        </div>
+        {hasError && <span className="text-red-400 text-xs">Choose at least one file type</span>}
+      </div>
+      <div className="flex items-center gap-2">
+        <label className="text-sm text-richblack-5">Largest file (MB):</label>
+        <input
+          type="number"
+          value={question.maxFileSizeMB}
+          onChange={(e) => {
+            const value = parseInt(e.target.value)
+            if (value >= 1 && value <= MAX_FILE_SIZE_MB) {
+              onChange({ maxFileSizeMB: value })
+            }
+          }}
+          min="1"
+          max={MAX_FILE_SIZE_MB}
+          className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+        />
+      </div>
+      <p className="text-xs text-richblack-300">
+        Uploaded files are graded by an instructor from the grading queue.
+      </p>
+    </div>
+  )
+}
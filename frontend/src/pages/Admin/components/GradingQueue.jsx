@@ -0,0 +1,276 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import { FaCheck } from 'react-icons/fa';
+import {
+  getGradingQueue,
+  getAttemptForGrading,
+  gradeQuizAttempt,
+} from '../../../services/operations/quizAPI';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+// Grades of an attempt as the form edits them, keyed by question id
+const toGradeForm = (items) => items.reduce((form, item) => {
+  if (!item.question) return form;
+  const rubric = item.question.rubric || [];
+  form[item.question._id] = {
+    score: item.grade?.score ?? '',
+    rubricScores: rubric.map((_, index) => item.grade?.rubricScores?.[index] ?? ''),
+    feedback: item.grade?.feedback || '',
+  };
+  return form;
+}, {});
+
+// Written quiz answers waiting for an instructor's grade. Results are only
+// recorded for the student, and sections unlocked, once they are released.
+const GradingQueue = ({ courseId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [status, setStatus] = useState('pending');
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedAttempt, setSelectedAttempt] = useState(null);
+  const [gradeForm, setGradeForm] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    const result = await getGradingQueue(token, { status, ...(courseId ? { course: courseId } : {}) });
+    setAttempts(result || []);
+    setLoading(false);
+  }, [courseId, status, token]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const openAttempt = async (attemptId) => {
+    const attempt = await getAttemptForGrading(attemptId, token);
+    if (attempt) {
+      setGradeForm(toGradeForm(attempt.items));
+      setSelectedAttempt(attempt);
+    }
+  };
+
+  const updateGrade = (questionId, field, value) => {
+    setGradeForm(prev => ({ ...prev, [questionId]: { ...prev[questionId], [field]: value } }));
+  };
+
+  const updateRubricScore = (questionId, index, value) => {
+    setGradeForm(prev => ({
+      ...prev,
+      [questionId]: {
+        ...prev[questionId],
+        rubricScores: prev[questionId].rubricScores.map((score, i) => (i === index ? value : score)),
+      },
+    }));
+  };
+
+  // Only answers with a score are sent; the rest stay ungraded
+  const handleSave = async (release) => {
+    const grades = selectedAttempt.items
+      .filter(item => {
+        if (!item.question) return false;
+        const form = gradeForm[item.question._id];
+        return item.question.rubric?.length
+          ? form.rubricScores.every(score => score !== '')
+          : form.score !== '';
+      })
+      .map(item => {
+        const form = gradeForm[item.question._id];
+        return item.question.rubric?.length
+          ? { question: item.question._id, rubricScores: form.rubricScores, feedback: form.feedback }
+          : { question: item.question._id, score: form.score, feedback: form.feedback };
+      });
+
+    setSaving(true);
+    const result = await gradeQuizAttempt(selectedAttempt.attemptId, { grades, release }, token);
+    setSaving(false);
+    if (result) {
+      if (release) {
+        setSelectedAttempt(null);
+      }
+      fetchQueue();
+    }
+  };
+
+  const readOnly = selectedAttempt?.gradingStatus === 'graded';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        {['pending', 'graded'].map(value => (
+          <button
+            key={value}
+            onClick={() => setStatus(value)}
+            className={`px-4 py-2 rounded-lg text-sm transition-all duration-200 ${
+              status === value ? 'bg-yellow-50 text-richblack-900' : 'bg-richblack-700 text-richblack-100 hover:bg-richblack-600'
+            }`}
+          >
+            {value === 'pending' ? 'Awaiting Grading' : 'Released'}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-20">
+          <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-yellow-50"></div>
+        </div>
+      ) : attempts.length === 0 ? (
+        <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+          <p className="text-lg font-semibold text-richblack-100">
+            {status === 'pending' ? 'Nothing to grade' : 'No released results'}
+          </p>
+          <p className="text-sm text-richblack-400">
+            Quiz attempts with long or short answers to grade will show up here.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {attempts.map(attempt => (
+            <div key={attempt.attemptId} className="bg-richblack-700 rounded-lg p-4 flex justify-between items-center gap-4">
+              <div className="flex-1">
+                <h4 className="text-richblack-5 font-medium">
+                  {attempt.student?.firstName} {attempt.student?.lastName}
+                  <span className="text-richblack-300 font-normal text-sm"> · attempt {attempt.attemptNumber}</span>
+                </h4>
+                <p className="text-sm text-richblack-300 mt-1">
+                  {attempt.course?.courseName} - {attempt.lecture?.title}
+                </p>
+                <p className="text-xs text-richblack-400 mt-1">
+                  Submitted {formatDate(attempt.submittedAt)}
+                  {attempt.expired && ' (time ran out)'}
+                  {' · '}{attempt.gradedCount}/{attempt.reviewCount} answers graded
+                  {attempt.releasedAt && ` · released ${formatDate(attempt.releasedAt)}`}
+                </p>
+              </div>
+              <button
+                onClick={() => openAttempt(attempt.attemptId)}
+                className="bg-yellow-50 text-richblack-900 px-4 py-2 rounded-lg hover:scale-95 transition-all duration-200"
+              >
+                {status === 'pending' ? 'Grade' : 'View'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Grading Modal */}
+      {selectedAttempt && (
+        <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+          <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[800px] max-h-[90vh] overflow-auto">
+            <div className="flex justify-between items-start mb-6 gap-3">
+              <div>
+                <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                  {selectedAttempt.student?.firstName} {selectedAttempt.student?.lastName} - {selectedAttempt.lecture?.title}
+                </h3>
+                <p className="text-sm text-richblack-300 mt-1">
+                  Auto-graded marks: {selectedAttempt.autoScore ?? 0} of {selectedAttempt.totalMarks} total · pass at {selectedAttempt.passPercentage}%
+                </p>
+              </div>
+              <button
+                onClick={() => setSelectedAttempt(null)}
+                className="text-richblack-300 hover:text-richblack-50 text-xl"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="space-y-6">
+              {selectedAttempt.items.map(item => item.question && (
+                <div key={item.question._id} className="border border-richblack-700 rounded-lg p-4 space-y-3">
+                  <div className="flex justify-between gap-4">
+                    <p className="text-richblack-5 font-medium">
+                      Q{item.questionNumber}. {item.question.questionText}
+                    </p>
+                    <span className="text-sm text-richblack-300 whitespace-nowrap">{item.question.marks} marks</span>
+                  </div>
+                  <div className="bg-richblack-900 rounded-lg p-3 text-sm text-richblack-25 whitespace-pre-wrap">
+                    {item.answer?.url ? (
+                      <a href={item.answer.url} target="_blank" rel="noreferrer" className="text-yellow-50 hover:underline">
+                        {item.answer.name || 'Uploaded file'}
+                      </a>
+                    ) : (
+                      item.answer || <span className="text-richblack-400">(no answer)</span>
+                    )}
+                  </div>
+                  {item.question.keywords?.length > 0 && (
+                    <p className="text-xs text-richblack-400">Expected keywords: {item.question.keywords.join(', ')}</p>
+                  )}
+
+                  {item.question.rubric?.length > 0 ? (
+                    <div className="space-y-2">
+                      {item.question.rubric.map((criterion, index) => (
+                        <div key={index} className="flex items-center justify-between gap-4">
+                          <span className="text-sm text-richblack-100">{criterion.criterion}</span>
+                          <div className="flex items-center gap-2">
+                            <input
+                              type="number"
+                              value={gradeForm[item.question._id].rubricScores[index]}
+                              onChange={(e) => updateRubricScore(item.question._id, index, e.target.value)}
+                              min="0"
+                              max={criterion.marks}
+                              step="0.5"
+                              disabled={readOnly}
+                              className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                            />
+                            <span className="text-sm text-richblack-300">/ {criterion.marks}</span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <label className="text-sm text-richblack-5">Score:</label>
+                      <input
+                        type="number"
+                        value={gradeForm[item.question._id].score}
+                        onChange={(e) => updateGrade(item.question._id, 'score', e.target.value)}
+                        min="0"
+                        max={item.question.marks}
+                        step="0.5"
+                        disabled={readOnly}
+                        className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                      />
+                      <span className="text-sm text-richblack-300">/ {item.question.marks}</span>
+                    </div>
+                  )}
+
+                  <textarea
+                    value={gradeForm[item.question._id].feedback}
+                    onChange={(e) => updateGrade(item.question._id, 'feedback', e.target.value)}
+                    placeholder="Feedback for the student"
+                    rows={2}
+                    disabled={readOnly}
+                    className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3 text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+
+            {!readOnly && (
+              <div className="flex justify-end gap-4 pt-4 mt-6 border-t border-richblack-700">
+                <button
+                  onClick={() => handleSave(false)}
+                  disabled={saving}
+                  className="px-6 py-2 bg-richblack-700 text-richblack-50 rounded-lg hover:bg-richblack-600 transition-all duration-200 disabled:opacity-50"
+                >
+                  Save Draft
+                </button>
+                <button
+                  onClick={() => handleSave(true)}
+                  disabled={saving}
+                  className="flex items-center gap-2 px-6 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50"
+                >
+                  <FaCheck className="text-sm" />
+                  Release Result
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradingQueue;
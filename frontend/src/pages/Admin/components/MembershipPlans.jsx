@@ -0,0 +1,488 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FiAward, FiEdit2, FiTrash2, FiUsers, FiClock } from 'react-icons/fi';
+import {
+  getAllPlans,
+  getSubscriptions,
+  createPlan,
+  updatePlan,
+  deletePlan,
+} from '../../../services/operations/subscriptionAPI';
+import { fetchCourseCategories } from '../../../services/operations/courseDetailsAPI';
+import ConfirmationModal from '../../../components/common/ConfirmationModal';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  interval: 'monthly',
+  price: '',
+  access: 'all',
+  categories: [],
+  features: '',
+  gracePeriodDays: 3,
+  isActive: true,
+};
+
+const inputClass = 'w-full px-3 py-2.5 bg-richblack-700 border border-richblack-600 rounded-lg text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300';
+
+const statusStyles = {
+  active: 'text-caribbeangreen-100',
+  grace: 'text-yellow-100',
+  expired: 'text-pink-200',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+});
+
+export default function MembershipPlans() {
+  const { token } = useSelector((state) => state.auth);
+  const [plans, setPlans] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingPlan, setEditingPlan] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [membersPlanId, setMembersPlanId] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        const [planList, categoryList] = await Promise.all([
+          getAllPlans(token),
+          fetchCourseCategories(),
+        ]);
+        setPlans(planList || []);
+        setCategories(categoryList || []);
+      } catch (error) {
+        console.error('Error fetching membership plans:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [token]);
+
+  const openCreateForm = () => {
+    setEditingPlan(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (plan) => {
+    setEditingPlan(plan);
+    setFormData({
+      name: plan.name,
+      description: plan.description || '',
+      interval: plan.interval,
+      price: plan.price,
+      access: plan.access,
+      categories: plan.categories.map(category => category._id),
+      features: plan.features.join('\n'),
+      gracePeriodDays: plan.gracePeriodDays,
+      isActive: plan.isActive,
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingPlan(null);
+  };
+
+  const toggleCategory = (categoryId) => {
+    setFormData(prev => ({
+      ...prev,
+      categories: prev.categories.includes(categoryId)
+        ? prev.categories.filter(id => id !== categoryId)
+        : [...prev.categories, categoryId],
+    }));
+  };
+
+  // Keep the member counts of the admin listing when replacing a plan
+  const mergePlan = (updated) => {
+    setPlans(prev => prev.map(plan => (
+      plan._id === updated._id ? { ...plan, ...updated } : plan
+    )));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error('Plan name is required');
+      return;
+    }
+    if (formData.access === 'categories' && formData.categories.length === 0) {
+      toast.error('Select at least one category');
+      return;
+    }
+
+    const data = {
+      name: formData.name.trim(),
+      description: formData.description,
+      interval: formData.interval,
+      price: Number(formData.price),
+      access: formData.access,
+      categories: formData.access === 'categories' ? formData.categories : [],
+      features: formData.features.split('\n').map(feature => feature.trim()).filter(Boolean),
+      gracePeriodDays: Number(formData.gracePeriodDays || 0),
+      isActive: formData.isActive,
+    };
+
+    setSaving(true);
+    if (editingPlan) {
+      const updated = await updatePlan(editingPlan._id, data, token);
+      if (updated) {
+        mergePlan(updated);
+        closeForm();
+      }
+    } else {
+      const created = await createPlan(data, token);
+      if (created) {
+        setPlans(prev => [{ ...created, totalSubscribers: 0, activeSubscribers: 0 }, ...prev]);
+        closeForm();
+      }
+    }
+    setSaving(false);
+  };
+
+  const handleToggleActive = async (plan) => {
+    const updated = await updatePlan(plan._id, { isActive: !plan.isActive }, token);
+    if (updated) {
+      mergePlan(updated);
+    }
+  };
+
+  const handleDelete = async (planId) => {
+    const success = await deletePlan(planId, token);
+    if (success) {
+      setPlans(prev => prev.filter(plan => plan._id !== planId));
+    }
+    setConfirmationModal(null);
+  };
+
+  const toggleMembers = async (planId) => {
+    if (membersPlanId === planId) {
+      setMembersPlanId(null);
+      return;
+    }
+    setMembersPlanId(planId);
+    setMembers([]);
+    setMembers(await getSubscriptions(token, { planId }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6 sm:gap-10">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 sm:gap-0">
+        <h1 className="text-2xl sm:text-3xl font-medium text-richblack-5">
+          Membership Plans
+        </h1>
+        {!showForm && (
+          <button
+            onClick={openCreateForm}
+            className="bg-yellow-50 text-richblack-900 px-4 sm:px-6 py-2.5 sm:py-3 rounded-md font-medium hover:scale-95 transition-all duration-200 text-sm sm:text-base w-full sm:w-auto"
+          >
+            Create Plan
+          </button>
+        )}
+      </div>
+
+      {showForm ? (
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col gap-4 sm:gap-6 bg-richblack-800 p-4 sm:p-6 rounded-lg border-[1px] border-richblack-700"
+        >
+          <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 sm:gap-0">
+            <h2 className="text-lg font-semibold text-richblack-5">
+              {editingPlan ? 'Edit Plan' : 'Create New Plan'}
+            </h2>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="text-richblack-300 hover:text-richblack-100 transition-colors text-sm sm:text-base self-start sm:self-auto"
+            >
+              Back to List
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Name <sup className="text-pink-200">*</sup></span>
+              <input
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g. Pro Monthly"
+                className={inputClass}
+              />
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Billing Interval <sup className="text-pink-200">*</sup></span>
+              <select
+                value={formData.interval}
+                onChange={(e) => setFormData({ ...formData, interval: e.target.value })}
+                className={inputClass}
+              >
+                <option value="monthly">Monthly</option>
+                <option value="annual">Annual</option>
+              </select>
+            </label>
+
+            <label className="flex flex-col gap-2 md:col-span-2">
+              <span className="text-sm text-richblack-5">Description</span>
+              <textarea
+                rows={2}
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Price per Period (₹) <sup className="text-pink-200">*</sup></span>
+              <input
+                type="number"
+                min="0"
+                value={formData.price}
+                onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+                className={inputClass}
+              />
+              {editingPlan && (
+                <span className="text-xs text-richblack-400">Current members pay the new price from their next renewal</span>
+              )}
+            </label>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-sm text-richblack-5">Grace Period (days)</span>
+              <input
+                type="number"
+                min="0"
+                value={formData.gracePeriodDays}
+                onChange={(e) => setFormData({ ...formData, gracePeriodDays: e.target.value })}
+                className={inputClass}
+              />
+              <span className="text-xs text-richblack-400">Access continues this long after a period ends, while the member renews</span>
+            </label>
+
+            <label className="flex flex-col gap-2 md:col-span-2">
+              <span className="text-sm text-richblack-5">Features</span>
+              <textarea
+                rows={3}
+                value={formData.features}
+                onChange={(e) => setFormData({ ...formData, features: e.target.value })}
+                placeholder="One feature per line"
+                className={inputClass}
+              />
+            </label>
+          </div>
+
+          <div className="flex flex-col gap-3">
+            <span className="text-sm text-richblack-5">Unlocks</span>
+            <div className="flex flex-wrap gap-4 text-sm text-richblack-100">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={formData.access === 'all'}
+                  onChange={() => setFormData({ ...formData, access: 'all' })}
+                />
+                All paid courses
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={formData.access === 'categories'}
+                  onChange={() => setFormData({ ...formData, access: 'categories' })}
+                />
+                Paid courses in selected categories
+              </label>
+            </div>
+            {formData.access === 'categories' && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-2">
+                {categories.map(category => (
+                  <label
+                    key={category._id}
+                    className={`flex items-center gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                      formData.categories.includes(category._id)
+                        ? 'border-yellow-50 bg-richblack-700'
+                        : 'border-richblack-600 hover:border-richblack-500'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={formData.categories.includes(category._id)}
+                      onChange={() => toggleCategory(category._id)}
+                    />
+                    <span className="text-sm text-richblack-5">{category.name}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-richblack-5">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+            />
+            Available for new members
+          </label>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-4 py-2.5 rounded-md bg-richblack-700 text-richblack-50 hover:bg-richblack-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2.5 rounded-md bg-yellow-50 text-richblack-900 font-medium hover:scale-95 transition-all duration-200 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingPlan ? 'Save Changes' : 'Create Plan'}
+            </button>
+          </div>
+        </form>
+      ) : plans.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="bg-richblack-700 rounded-2xl p-8 border border-richblack-600">
+            <FiAward className="mx-auto text-6xl text-richblack-400 mb-4" />
+            <p className="text-richblack-300 text-xl font-semibold mb-2">No membership plans yet</p>
+            <p className="text-richblack-400 text-sm">Create a plan to sell time-limited access to many courses at once</p>
+          </div>
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:gap-6">
+          {plans.map(plan => (
+            <div
+              key={plan._id}
+              className="bg-gradient-to-r from-richblack-800 to-richblack-700 border border-richblack-600 rounded-2xl p-4 sm:p-6"
+            >
+              <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-4">
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 sm:gap-3 mb-2">
+                    <FiAward className="text-yellow-50 text-lg sm:text-xl" />
+                    <h3 className="text-lg sm:text-2xl font-bold text-richblack-5">{plan.name}</h3>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      plan.isActive
+                        ? 'bg-caribbeangreen-900/30 text-caribbeangreen-100 border border-caribbeangreen-700'
+                        : 'bg-richblack-600 text-richblack-300 border border-richblack-500'
+                    }`}>
+                      {plan.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-4 text-sm text-richblack-300">
+                    <span className="font-semibold text-yellow-50">
+                      ₹{plan.price} / {plan.interval === 'annual' ? 'year' : 'month'}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <FiClock /> {plan.gracePeriodDays} day grace period
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <FiUsers /> {plan.activeSubscribers ?? 0} active / {plan.totalSubscribers ?? 0} total
+                    </span>
+                  </div>
+                  <p className="mt-2 text-sm text-richblack-200">
+                    {plan.access === 'all'
+                      ? 'Unlocks all paid courses'
+                      : `Unlocks paid courses in ${plan.categories.map(category => category.name).join(', ')}`}
+                  </p>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => toggleMembers(plan._id)}
+                    className="px-3 py-2 rounded-md bg-richblack-600 text-richblack-100 text-sm hover:bg-richblack-500 transition-colors"
+                  >
+                    {membersPlanId === plan._id ? 'Hide Members' : 'Members'}
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(plan)}
+                    className="px-3 py-2 rounded-md bg-richblack-600 text-richblack-100 text-sm hover:bg-richblack-500 transition-colors"
+                  >
+                    {plan.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                  <button
+                    onClick={() => openEditForm(plan)}
+                    title="Edit"
+                    className="p-2 rounded-md bg-richblack-600 text-richblack-100 hover:text-yellow-50 transition-colors"
+                  >
+                    <FiEdit2 />
+                  </button>
+                  <button
+                    onClick={() => setConfirmationModal({
+                      text1: 'Delete this plan?',
+                      text2: plan.totalSubscribers > 0
+                        ? 'This plan has members and can only be deactivated.'
+                        : 'This plan will be permanently deleted.',
+                      btn1Text: 'Delete',
+                      btn2Text: 'Cancel',
+                      btn1Handler: () => handleDelete(plan._id),
+                      btn2Handler: () => setConfirmationModal(null),
+                    })}
+                    title="Delete"
+                    className="p-2 rounded-md bg-richblack-600 text-richblack-100 hover:text-pink-200 transition-colors"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              </div>
+
+              {membersPlanId === plan._id && (
+                <div className="mt-4 overflow-x-auto border-t border-richblack-600 pt-4">
+                  {members.length === 0 ? (
+                    <p className="text-sm text-richblack-400">No members yet</p>
+                  ) : (
+                    <table className="w-full text-left text-sm">
+                      <thead className="text-richblack-300">
+                        <tr>
+                          <th className="py-2 pr-4 font-medium">Member</th>
+                          <th className="py-2 pr-4 font-medium">Status</th>
+                          <th className="py-2 pr-4 font-medium">Member Since</th>
+                          <th className="py-2 font-medium">Paid Until</th>
+                        </tr>
+                      </thead>
+                      <tbody className="text-richblack-100">
+                        {members.map(member => (
+                          <tr key={member._id} className="border-t border-richblack-700">
+                            <td className="py-2 pr-4">
+                              {member.user?.firstName} {member.user?.lastName}
+                              <span className="block text-xs text-richblack-400">{member.user?.email}</span>
+                            </td>
+                            <td className={`py-2 pr-4 capitalize ${statusStyles[member.status]}`}>{member.status}</td>
+                            <td className="py-2 pr-4">{formatDate(member.startedAt)}</td>
+                            <td className="py-2">{formatDate(member.currentPeriodEnd)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+}
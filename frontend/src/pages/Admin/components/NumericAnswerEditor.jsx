@@ -0,0 +1,98 @@
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+// The answer of a numeric question, how far off a student's answer may be,
+// and the units it may be given in
+export default function NumericAnswerEditor({ question, onChange, hasError }) {
+  const units = question.units || []
+
+  const updateUnit = (index, field, value) => {
+    onChange({ units: units.map((unit, i) => (i === index ? { ...unit, [field]: value } : unit)) })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className="text-sm text-richblack-5 mb-2 block">Answer *</label>
+          <input
+            type="number"
+            value={question.numericAnswer}
+            onChange={(e) => onChange({ numericAnswer: e.target.value })}
+            step="any"
+            className={`w-full bg-richblack-700 text-richblack-5 rounded-lg p-3 border ${
+              hasError ? "border-red-500" : "border-richblack-600"
+            }`}
+          />
+        </div>
+        <div>
+          <label className="text-sm text-richblack-5 mb-2 block">Tolerance</label>
+          <input
+            type="number"
+            value={question.tolerance}
+            onChange={(e) => onChange({ tolerance: Number(e.target.value) })}
+            min="0"
+            step="any"
+            className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3 border border-richblack-600"
+          />
+        </div>
+        <div>
+          <label className="text-sm text-richblack-5 mb-2 block">Tolerance Type</label>
+          <select
+            value={question.toleranceType || "absolute"}
+            onChange={(e) => onChange({ toleranceType: e.target.value })}
+            className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+          >
+            <option value="absolute">Absolute (±)</option>
+            <option value="relative">Relative (% of the answer)</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="text-sm text-richblack-5">Units</label>
+          <button
+            type="button"
+            onClick={() => onChange({ units: [...units, { name: "", factor: units.length ? "" : 1 }] })}
+            className="flex items-center gap-1 text-sm text-yellow-50 hover:text-yellow-100"
+          >
+            <RiAddLine />
+            Add Unit
+          </button>
+        </div>
+        {units.map((unit, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={unit.name}
+              onChange={(e) => updateUnit(index, "name", e.target.value)}
+              placeholder="e.g. cm"
+              className="flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+            />
+            <input
+              type="number"
+              value={unit.factor}
+              onChange={(e) => updateUnit(index, "factor", e.target.value)}
+              min="0"
+              step="any"
+              placeholder="Factor"
+              className="w-32 bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+            />
+            <button
+              type="button"
+              onClick={() => onChange({ units: units.filter((_, i) => i !== index) })}
+              className="text-pink-300 hover:text-pink-200 p-1"
+            >
+              <RiDeleteBin6Line />
+            </button>
+          </div>
+        ))}
+        <p className="text-xs text-richblack-300">
+          {units.length > 0
+            ? "Students pick one of these units. The factor is how much of the answer's unit one of it is: with an answer in metres, cm is 0.01 and km is 1000."
+            : "Without units students give a plain number."}
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -1,7 +1,15 @@
 import React from 'react'
-import { FiX, FiPrinter } from 'react-icons/fi'
+import { useSelector } from 'react-redux'
+import { FiX, FiPrinter, FiDownload } from 'react-icons/fi'
+import { downloadInvoice } from '../../../services/operations/orderAPI'
 
 export default function OrderViewModal({ order, onClose }) {
+  const { token } = useSelector((state) => state.auth)
+
+  // Orders are charged in the currency the student paid in
+  const formatAmount = (amount) =>
+    order.currency && order.currency !== 'INR' ? `${order.currency} ${amount}` : `Rs. ${amount}`
+
   const handlePrint = () => {
     const printContent = document.getElementById('invoice-content')
     const originalContent = document.body.innerHTML
@@ -231,10 +239,10 @@ export default function OrderViewModal({ order, onClose }) {
                         <p>1</p>
                       </div>
                       <div class="i_col w_15 text_center">
-                        <p>${order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</p>
+                        <p>${order.amount === 0 ? 'Free' : formatAmount(order.amount)}</p>
                       </div>
                       <div class="i_col w_15 text_right">
-                        <p>${order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</p>
+                        <p>${order.amount === 0 ? 'Free' : formatAmount(order.amount)}</p>
                       </div>
                     </div>
                   </div>
@@ -245,8 +253,8 @@ export default function OrderViewModal({ order, onClose }) {
                         ${(order.couponUsed?.code || order.discountAmount > 0) ? '<p>Discount</p>' : ''}
                       </div>
                       <div class="i_col w_50 text_right">
-                        <p>${order.originalPrice > 0 ? `Rs. ${order.originalPrice}` : (order.amount === 0 ? 'Free' : `Rs. ${order.amount}`)}</p>
-                        ${(order.couponUsed?.discountAmount > 0 || order.discountAmount > 0) ? `<p style="color: #059669;">Rs. ${((order.couponUsed?.discountAmount || 0) + (order.discountAmount || 0)).toFixed(2)}</p>` : ''}
+                        <p>${order.originalPrice > 0 ? formatAmount(order.originalPrice) : (order.amount === 0 ? 'Free' : formatAmount(order.amount))}</p>
+                        ${(order.couponUsed?.discountAmount > 0 || order.discountAmount > 0) ? `<p style="color: #059669;">${formatAmount(((order.couponUsed?.discountAmount || 0) + (order.discountAmount || 0)).toFixed(2))}</p>` : ''}
                       </div>
                     </div>
                     <div class="i_row grand_total_wrap">
@@ -254,7 +262,7 @@ export default function OrderViewModal({ order, onClose }) {
                         <p>GRAND TOTAL:</p>
                       </div>
                       <div class="i_col w_50 text_right">
-                        <p>${order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</p>
+                        <p>${order.amount === 0 ? 'Free' : formatAmount(order.amount)}</p>
                       </div>
                     </div>
                   </div>
@@ -328,6 +336,15 @@ export default function OrderViewModal({ order, onClose }) {
               <FiPrinter />
               Print
             </button>
+            {order.amount > 0 && (
+              <button
+                onClick={() => downloadInvoice(token, order._id)}
+                className="flex items-center gap-2 rounded-md bg-richblack-700 px-4 py-2 text-richblack-5 hover:bg-richblack-600"
+              >
+                <FiDownload />
+                GST Invoice
+              </button>
+            )}
             <button
               onClick={onClose}
               className="text-richblack-300 hover:text-richblack-100"
@@ -451,7 +468,7 @@ export default function OrderViewModal({ order, onClose }) {
                       </div>
                     </td>
                     <td className="p-4 text-right">
-                      <p className="font-medium text-yellow-50">{order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</p>
+                      <p className="font-medium text-yellow-50">{order.amount === 0 ? 'Free' : formatAmount(order.amount)}</p>
                     </td>
                   </tr>
                 </tbody>
@@ -459,7 +476,7 @@ export default function OrderViewModal({ order, onClose }) {
                   <tr className="border-t border-richblack-600 bg-richblack-700">
                     <td colSpan="2" className="p-4 text-right font-semibold text-richblack-5">Total Amount:</td>
                     <td className="p-4 text-right">
-                      <p className="text-lg font-bold text-yellow-50">{order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</p>
+                      <p className="text-lg font-bold text-yellow-50">{order.amount === 0 ? 'Free' : formatAmount(order.amount)}</p>
                     </td>
                   </tr>
                 </tfoot>
@@ -0,0 +1,83 @@
+import { RiAddLine, RiDeleteBin6Line, RiArrowUpLine, RiArrowDownLine } from "react-icons/ri"
+
+const MAX_ITEMS = 10
+
+// Items of an ordering question, listed in the correct order. Students get
+// them shuffled and put them back in order.
+export default function OrderingEditor({ question, onChange, hasError }) {
+  const items = question.options || []
+
+  const moveItem = (index, offset) => {
+    const moved = [...items]
+    const [item] = moved.splice(index, 1)
+    moved.splice(index + offset, 0, item)
+    onChange({ options: moved })
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="text-sm text-richblack-5">Items in the Correct Order *</label>
+        <button
+          type="button"
+          onClick={() => onChange({ options: [...items, ""] })}
+          disabled={items.length >= MAX_ITEMS}
+          className="flex items-center gap-1 text-sm text-yellow-50 hover:text-yellow-100 disabled:opacity-50"
+        >
+          <RiAddLine />
+          Add Item
+        </button>
+      </div>
+      {items.map((item, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <span className="w-6 text-sm text-richblack-300">{index + 1}.</span>
+          <input
+            type="text"
+            value={item}
+            onChange={(e) => onChange({ options: items.map((value, i) => (i === index ? e.target.value : value)) })}
+            placeholder={`Item ${index + 1}`}
+            className={`flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm border ${
+              hasError ? "border-red-500" : "border-richblack-600"
+            }`}
+          />
+          <button
+            type="button"
+            onClick={() => moveItem(index, -1)}
+            disabled={index === 0}
+            className="text-richblack-300 hover:text-richblack-50 p-1 disabled:opacity-30"
+          >
+            <RiArrowUpLine />
+          </button>
+          <button
+            type="button"
+            onClick={() => moveItem(index, 1)}
+            disabled={index === items.length - 1}
+            className="text-richblack-300 hover:text-richblack-50 p-1 disabled:opacity-30"
+          >
+            <RiArrowDownLine />
+          </button>
+          <button
+            type="button"
+            onClick={() => onChange({ options: items.filter((_, i) => i !== index) })}
+            disabled={items.length <= 2}
+            className="text-pink-300 hover:text-pink-200 p-1 disabled:opacity-30"
+          >
+            <RiDeleteBin6Line />
+          </button>
+        </div>
+      ))}
+      <p className={`text-xs ${hasError ? "text-red-400" : "text-richblack-300"}`}>
+        Between 2 and {MAX_ITEMS} different items. Students always see them shuffled.
+      </p>
+      <label className="flex items-center gap-2 text-sm text-richblack-5">
+        <input
+          type="checkbox"
+          checked={!!question.partialCredit}
+          onChange={(e) => onChange({ partialCredit: e.target.checked })}
+          className="rounded"
+        />
+        Award marks for each item in its right place
+      </label>
+    </div>
+  )
+}
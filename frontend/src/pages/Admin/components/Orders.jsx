@@ -3,6 +3,16 @@ import { useSelector } from 'react-redux'
 import { FiDownload, FiEye, FiSearch } from 'react-icons/fi'
 import { getAllOrders, updateOrderStatus, generateOrdersPDF } from '../../../services/operations/orderAPI'
 import OrderViewModal from './OrderViewModal'
+import { formatPrice } from '../../../utils/currency'
+import RefundRequests from './RefundRequests'
+
+const paymentStatusLabels = {
+  pending: 'Payment Pending',
+  failed: 'Payment Failed',
+  refund_requested: 'Refund Requested',
+  partially_refunded: 'Partially Refunded',
+  refunded: 'Refunded',
+}
 
 export default function Orders() {
   const { token } = useSelector((state) => state.auth)
@@ -43,6 +53,7 @@ export default function Orders() {
         order.user?.lastName?.toLowerCase().includes(searchString) ||
         order.user?.email?.toLowerCase().includes(searchString) ||
         order.course?.courseName?.toLowerCase().includes(searchString) ||
+        order.bundle?.title?.toLowerCase().includes(searchString) ||
         order.transactionId?.toLowerCase().includes(searchString)
       )
     })
@@ -68,6 +79,24 @@ export default function Orders() {
     }
   }
 
+  // Reflect an approved or rejected refund in the orders list
+  const handleRefundProcessed = (refundRequest) => {
+    const updatedOrder = refundRequest.order
+    if (!updatedOrder?._id) return
+    setOrders((prev) =>
+      prev.map((order) =>
+        order._id === updatedOrder._id
+          ? {
+              ...order,
+              paymentStatus: updatedOrder.paymentStatus,
+              refundedAmount: updatedOrder.refundedAmount,
+              status: updatedOrder.paymentStatus === 'refunded' ? false : order.status,
+            }
+          : order
+      )
+    )
+  }
+
   // Generate PDF
   const handleGeneratePDF = () => {
     generateOrdersPDF(token)
@@ -125,6 +154,8 @@ export default function Orders() {
         </div>
       </div>
 
+      <RefundRequests onRefundProcessed={handleRefundProcessed} />
+
       {/* Mobile Card View and Desktop Table */}
       <div className="relative overflow-hidden rounded-2xl border border-richblack-600 bg-gradient-to-br from-richblack-800 to-richblack-900 shadow-2xl animate-fadeInUp animation-delay-400">
         {/* Mobile Card View */}
@@ -161,6 +192,9 @@ export default function Orders() {
                     <span className={`text-xs ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
                       {order.status ? 'Active' : 'Inactive'}
                     </span>
+                    {paymentStatusLabels[order.paymentStatus] && (
+                      <span className="text-xs text-orange-300">{paymentStatusLabels[order.paymentStatus]}</span>
+                    )}
                   </div>
                 </div>
 
@@ -170,7 +204,7 @@ export default function Orders() {
                     {order.user ? `${order.user.firstName || ''} ${order.user.lastName || ''}`.trim() : 'N/A'}
                   </p>
                   <p className="text-xs text-blue-300 truncate">{order.user?.email || 'N/A'}</p>
-                  <p className="text-xs text-green-300 truncate">{order.course?.courseName || 'N/A'}</p>
+                  <p className="text-xs text-green-300 truncate">{order.bundle?.title || order.course?.courseName || 'N/A'}</p>
                 </div>
 
                 {/* Payment Details */}
@@ -183,7 +217,7 @@ export default function Orders() {
                     <span className="text-xs bg-richblack-600 px-2 py-1 rounded text-orange-300">
                       {order.paymentMethod}
                     </span>
-                    <span className="text-sm font-bold text-green-400">₹{order.amount}</span>
+                    <span className="text-sm font-bold text-green-400">{formatPrice(order.amount, order.currency)}</span>
                   </div>
                 </div>
 
@@ -288,7 +322,7 @@ export default function Orders() {
                       </p>
                       <p className="flex items-center gap-2 text-xs text-richblack-300">
                         <span className="text-richblack-400">Course:</span> 
-                        <span className="text-green-300 truncate">{order.course?.courseName || 'N/A'}</span>
+                        <span className="text-green-300 truncate">{order.bundle?.title || order.course?.courseName || 'N/A'}</span>
                       </p>
                     </div>
                   </td>
@@ -304,7 +338,7 @@ export default function Orders() {
                       </p>
                       <p className="flex items-center gap-2 text-sm xl:text-lg font-bold text-yellow-50">
                         <span className="text-richblack-400 text-xs font-normal">Amount:</span> 
-                        <span className="text-green-400">₹{order.amount}</span>
+                        <span className="text-green-400">{formatPrice(order.amount, order.currency)}</span>
                       </p>
                     </div>
                   </td>
@@ -344,6 +378,11 @@ export default function Orders() {
                       <span className={`text-xs font-medium ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
                         {order.status ? 'Active' : 'Inactive'}
                       </span>
+                      {paymentStatusLabels[order.paymentStatus] && (
+                        <span className="rounded-full bg-richblack-600 px-2 py-0.5 text-xs text-orange-300">
+                          {paymentStatusLabels[order.paymentStatus]}
+                        </span>
+                      )}
                     </div>
                   </td>
                   <td className="p-4 xl:p-6">
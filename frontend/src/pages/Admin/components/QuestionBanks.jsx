@@ -0,0 +1,192 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import {
+  getQuestionBanks,
+  getQuestionBank,
+  createQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+} from '../../../services/operations/questionBankAPI';
+import ConfirmationModal from '../../../components/common/ConfirmationModal';
+import QuizCreator from './QuizCreator';
+
+// Question banks of a course, which its quizzes can draw random questions from
+const QuestionBanks = ({ courseId, categoryId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [banks, setBanks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // The bank being edited; an object without _id for a new bank. Its title and
+  // description are edited apart so QuizCreator keeps the questions it holds.
+  const [editingBank, setEditingBank] = useState(null);
+  const [bankForm, setBankForm] = useState({ title: '', description: '' });
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  const fetchBanks = useCallback(async () => {
+    setLoading(true);
+    const result = await getQuestionBanks(token, { course: courseId });
+    setBanks(result || []);
+    setLoading(false);
+  }, [courseId, token]);
+
+  useEffect(() => {
+    fetchBanks();
+  }, [fetchBanks]);
+
+  const openEditor = async (bankId) => {
+    if (!bankId) {
+      setBankForm({ title: '', description: '' });
+      setEditingBank({ questions: [] });
+      return;
+    }
+    const bank = await getQuestionBank(bankId, token);
+    if (bank) {
+      setBankForm({ title: bank.title, description: bank.description || '' });
+      setEditingBank(bank);
+    }
+  };
+
+  const handleSave = async (questions) => {
+    if (!bankForm.title.trim()) {
+      toast.error('Question bank title is required');
+      return false;
+    }
+
+    const data = {
+      title: bankForm.title,
+      description: bankForm.description,
+      questions,
+    };
+    const result = editingBank._id
+      ? await updateQuestionBank(editingBank._id, data, token)
+      : await createQuestionBank({ ...data, course: courseId, category: categoryId }, token);
+
+    if (result) {
+      fetchBanks();
+    }
+    return !!result;
+  };
+
+  const handleDelete = async (bankId) => {
+    setConfirmationModal(null);
+    if (await deleteQuestionBank(bankId, token)) {
+      fetchBanks();
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <label className="text-lg font-semibold text-richblack-5">Question Banks</label>
+        <button
+          onClick={() => openEditor(null)}
+          className="flex items-center gap-2 bg-yellow-50 text-richblack-900 px-4 py-2 rounded-lg hover:scale-95 transition-all duration-200"
+        >
+          <FaPlus className="text-sm" />
+          <span>New Bank</span>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-20">
+          <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-yellow-50"></div>
+        </div>
+      ) : banks.length === 0 ? (
+        <p className="text-sm text-richblack-400">
+          No question banks for this course. Quizzes can draw random questions from a bank on every attempt.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {banks.map((bank) => (
+            <div key={bank._id} className="bg-richblack-700 rounded-lg p-4 flex justify-between items-center">
+              <div className="flex-1">
+                <h4 className="text-richblack-5 font-medium">{bank.title}</h4>
+                {bank.description && (
+                  <p className="text-sm text-richblack-300 mt-1">{bank.description}</p>
+                )}
+                <p className="text-sm text-richblack-300 mt-1">
+                  Questions: {bank.questionCount} (easy {bank.difficulties?.easy || 0}, medium {bank.difficulties?.medium || 0}, hard {bank.difficulties?.hard || 0})
+                </p>
+                {bank.tags?.length > 0 && (
+                  <p className="text-xs text-richblack-400 mt-1">Tags: {bank.tags.join(', ')}</p>
+                )}
+              </div>
+              <div className="ml-4 flex gap-2">
+                <button
+                  onClick={() => openEditor(bank._id)}
+                  className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-all duration-200"
+                >
+                  <FaEdit className="text-sm" />
+                  <span>Edit</span>
+                </button>
+                <button
+                  onClick={() => setConfirmationModal({
+                    text1: `Delete ${bank.title}?`,
+                    text2: 'Banks that quizzes still draw from cannot be deleted.',
+                    btn1Text: 'Delete',
+                    btn2Text: 'Cancel',
+                    btn1Handler: () => handleDelete(bank._id),
+                    btn2Handler: () => setConfirmationModal(null),
+                  })}
+                  className="p-3 rounded-lg bg-richblack-600 text-richblack-100 hover:text-pink-200 transition-colors"
+                >
+                  <FaTrash className="text-sm" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Question Bank Editor Modal */}
+      {editingBank && (
+        <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+          <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[800px] max-h-[90vh] overflow-auto">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+              <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                {editingBank._id ? 'Edit' : 'New'} Question Bank
+              </h3>
+              <button
+                onClick={() => setEditingBank(null)}
+                className="text-richblack-300 hover:text-richblack-50 text-xl self-end sm:self-auto"
+              >
+                ✕
+              </button>
+            </div>
+            <div className="space-y-4 mb-6">
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">Title</label>
+                <input
+                  type="text"
+                  value={bankForm.title}
+                  onChange={(e) => setBankForm(prev => ({ ...prev, title: e.target.value }))}
+                  className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">Description</label>
+                <textarea
+                  value={bankForm.description}
+                  onChange={(e) => setBankForm(prev => ({ ...prev, description: e.target.value }))}
+                  rows={2}
+                  className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                />
+              </div>
+            </div>
+            <QuizCreator
+              bankMode
+              existingQuiz={editingBank._id ? editingBank : null}
+              onSaveQuestions={handleSave}
+              onClose={() => setEditingBank(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default QuestionBanks;
@@ -0,0 +1,144 @@
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+const inputClass = "w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+
+// Rules for drawing random questions from question banks on every attempt,
+// and whether questions and options are shuffled
+export default function QuestionDrawSettings({ banks, draws, setDraws, shuffleSettings, setShuffleSettings }) {
+  const updateDraw = (index, field, value) => {
+    setDraws(prev => prev.map((draw, i) => (i === index ? { ...draw, [field]: value } : draw)))
+  }
+
+  const addDraw = () => {
+    setDraws(prev => [...prev, { bank: banks[0]?._id || "", count: 1, difficulty: "any", tags: [] }])
+  }
+
+  const removeDraw = (index) => {
+    setDraws(prev => prev.filter((_, i) => i !== index))
+  }
+
+  // Questions of a bank a draw can pick from
+  const countMatching = (draw) => {
+    const bank = banks.find(b => b._id === draw.bank)
+    if (!bank) return 0
+    if (draw.difficulty === "any") return bank.questionCount
+    return bank.difficulties?.[draw.difficulty] || 0
+  }
+
+  return (
+    <div className="bg-richblack-700 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-richblack-5">Question Bank Draws</h3>
+        <button
+          type="button"
+          onClick={addDraw}
+          disabled={banks.length === 0}
+          className="flex items-center gap-2 bg-richblack-800 text-yellow-50 px-3 py-2 rounded-lg border border-richblack-600 hover:bg-richblack-900 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <RiAddLine />
+          Add Draw
+        </button>
+      </div>
+
+      {banks.length === 0 ? (
+        <p className="text-sm text-richblack-300">
+          No question banks yet. Create one to draw random questions for each attempt.
+        </p>
+      ) : draws.length === 0 ? (
+        <p className="text-sm text-richblack-300">
+          Every student gets the questions below. Add a draw to also pick random questions from a bank for each attempt.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {draws.map((draw, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-[2fr_1fr_1fr_2fr_auto] gap-3 items-end">
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">Bank</label>
+                <select
+                  value={draw.bank}
+                  onChange={(e) => updateDraw(index, "bank", e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">Select a bank</option>
+                  {banks.map(bank => (
+                    <option key={bank._id} value={bank._id}>
+                      {bank.title} ({bank.questionCount})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">Questions</label>
+                <input
+                  type="number"
+                  value={draw.count}
+                  onChange={(e) => updateDraw(index, "count", parseInt(e.target.value) || 1)}
+                  min="1"
+                  max="25"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">Difficulty</label>
+                <select
+                  value={draw.difficulty}
+                  onChange={(e) => updateDraw(index, "difficulty", e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="any">Any</option>
+                  <option value="easy">Easy</option>
+                  <option value="medium">Medium</option>
+                  <option value="hard">Hard</option>
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">Tags (any of)</label>
+                <input
+                  type="text"
+                  value={draw.tags.join(", ")}
+                  onChange={(e) => updateDraw(index, "tags", e.target.value.split(",").map(tag => tag.trimStart()))}
+                  onBlur={() => updateDraw(index, "tags", draw.tags.map(tag => tag.trim()).filter(Boolean))}
+                  placeholder="All tags"
+                  className={inputClass}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => removeDraw(index)}
+                className="text-pink-300 hover:text-pink-200 p-3"
+              >
+                <RiDeleteBin6Line />
+              </button>
+              {draw.bank && countMatching(draw) < draw.count && (
+                <p className="text-xs text-pink-200 md:col-span-5">
+                  This bank has only {countMatching(draw)} questions of this difficulty.
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-6 mt-4">
+        <label className="flex items-center gap-2 text-sm text-richblack-5">
+          <input
+            type="checkbox"
+            checked={shuffleSettings.shuffleQuestions}
+            onChange={(e) => setShuffleSettings(prev => ({ ...prev, shuffleQuestions: e.target.checked }))}
+            className="rounded"
+          />
+          Shuffle question order
+        </label>
+        <label className="flex items-center gap-2 text-sm text-richblack-5">
+          <input
+            type="checkbox"
+            checked={shuffleSettings.shuffleOptions}
+            onChange={(e) => setShuffleSettings(prev => ({ ...prev, shuffleOptions: e.target.checked }))}
+            className="rounded"
+          />
+          Shuffle answer options
+        </label>
+      </div>
+    </div>
+  )
+}
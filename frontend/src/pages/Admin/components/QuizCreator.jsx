@@ -4,11 +4,144 @@ import { useForm } from "react-hook-form"
 import { toast } from "react-hot-toast"
 import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
 import { createQuiz, updateQuiz } from "../../../services/operations/quizAPI"
+import { getQuestionBanks } from "../../../services/operations/questionBankAPI"
+import QuestionDrawSettings from "./QuestionDrawSettings"
+import RubricEditor from "./RubricEditor"
+import QuizImportExport from "./QuizImportExport"
+import ClozeEditor from "./ClozeEditor"
+import OrderingEditor from "./OrderingEditor"
+import NumericAnswerEditor from "./NumericAnswerEditor"
+import FileUploadSettings from "./FileUploadSettings"
 
-export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuccess }) {
+// Answers an instructor grades, which can have a rubric
+const isManuallyGraded = (q) =>
+  q.questionType === "longAnswer" || q.questionType === "fileUpload" || (q.questionType === "shortAnswer" && q.manualGrading)
+
+// Fields the fill in the blank, ordering, numeric and file upload types start with
+const getTypeDefaults = (type) => {
+  switch (type) {
+    case "cloze":
+      return { blanks: [], caseSensitive: false, partialCredit: false }
+    case "ordering":
+      return { options: ["", "", ""], partialCredit: false }
+    case "numeric":
+      return { numericAnswer: "", tolerance: 0, toleranceType: "absolute", units: [] }
+    case "fileUpload":
+      return { allowedFileTypes: ["pdf"], maxFileSizeMB: 10 }
+    default:
+      return {}
+  }
+}
+
+// A saved or imported question as the form edits it
+const toFormQuestion = (q) => {
+  let baseQuestion = {
+    _id: q._id, // Kept so results and analytics can follow the question across edits
+    questionText: q.questionText || "",
+    questionType: q.questionType || "multipleChoice",
+    options: [],
+    answers: [], // For match the following
+    correctAnswers: q.correctAnswers || [],
+    correctAnswer: q.correctAnswer !== undefined ? q.correctAnswer : null,
+    keywords: Array.isArray(q.keywords) ? [...q.keywords] : [], // Deep copy keywords array
+    manualGrading: !!q.manualGrading,
+    rubric: (q.rubric || []).map(item => ({ criterion: item.criterion, marks: item.marks })),
+    marks: q.marks || 5,
+    required: q.required !== undefined ? q.required : true,
+    tags: Array.isArray(q.tags) ? [...q.tags] : [],
+    difficulty: q.difficulty || "medium"
+  };
+
+  // Ensure keywords are properly initialized for short answer questions
+  if (q.questionType === "shortAnswer" && !baseQuestion.keywords.length && q.keywords) {
+    baseQuestion.keywords = Array.isArray(q.keywords) ? [...q.keywords] : [];
+  }
+
+  // Special handling for match the following questions
+  if (q.questionType === "matchTheFollowing") {
+    // Ensure both options and answers arrays exist and have proper length
+    const maxLength = Math.max(
+      (q.options || []).length,
+      (q.answers || []).length,
+      3 // the fewest pairs the editor offers
+    );
+    baseQuestion.options = Array(maxLength).fill("").map((_, i) => q.options?.[i] || "");
+    baseQuestion.answers = Array(maxLength).fill("").map((_, i) => q.answers?.[i] || "");
+  } else {
+    // For other question types
+    baseQuestion.options = q.options || ["", "", "", ""];
+    baseQuestion.answers = q.answers || [];
+  }
+
+  if (q.questionType === "cloze") {
+    baseQuestion.blanks = (q.blanks || []).map(blank => ({ answers: [...(blank.answers || [])] }))
+    baseQuestion.caseSensitive = !!q.caseSensitive
+    baseQuestion.partialCredit = !!q.partialCredit
+  }
+
+  if (q.questionType === "ordering") {
+    baseQuestion.partialCredit = !!q.partialCredit
+  }
+
+  if (q.questionType === "numeric") {
+    baseQuestion.numericAnswer = q.numericAnswer ?? ""
+    baseQuestion.tolerance = q.tolerance ?? 0
+    baseQuestion.toleranceType = q.toleranceType || "absolute"
+    baseQuestion.units = (q.units || []).map(unit => ({ name: unit.name, factor: unit.factor }))
+  }
+
+  if (q.questionType === "fileUpload") {
+    baseQuestion.allowedFileTypes = q.allowedFileTypes?.length ? [...q.allowedFileTypes] : ["pdf"]
+    baseQuestion.maxFileSizeMB = q.maxFileSizeMB || 10
+  }
+
+  // Add code solving specific fields if it's a code solving question
+  if (q.questionType === "codeSolve") {
+    baseQuestion.programmingLanguage = q.programmingLanguage || 'javascript';
+    baseQuestion.starterCode = q.starterCode || '// Write your code here\n';
+    baseQuestion.testCases = q.testCases || [{
+      input: '',
+      expectedOutput: '',
+      isHidden: false,
+      weight: 1
+    }];
+    baseQuestion.comparator = q.comparator || 'exact';
+    baseQuestion.floatTolerance = q.floatTolerance ?? 0.000001;
+    baseQuestion.checkerLanguage = q.checkerLanguage || 'python';
+    baseQuestion.checkerScript = q.checkerScript || '';
+    baseQuestion.partialCredit = !!q.partialCredit;
+  }
+
+  return baseQuestion;
+}
+
+// In bank mode the questions of a question bank are edited instead of a quiz:
+// existingQuiz is the bank and onSaveQuestions saves its questions
+export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuccess, bankMode = false, onSaveQuestions }) {
   const { token } = useSelector((state) => state.auth)
   const [loading, setLoading] = useState(false)
+  const maxQuestions = bankMode ? 500 : 25
   const [timeLimit, setTimeLimit] = useState(10) // Default 10 minutes
+  // Retake policy, enforced by the server when students start attempts
+  const [retakeSettings, setRetakeSettings] = useState({
+    passPercentage: 60,
+    maxAttempts: 0, // 0 means unlimited
+    cooldownMinutes: 0,
+    scoringPolicy: "latest",
+  })
+  // Questions drawn at random from question banks for every attempt
+  const [questionBanks, setQuestionBanks] = useState([])
+  const [questionDraws, setQuestionDraws] = useState([])
+  const [shuffleSettings, setShuffleSettings] = useState({
+    shuffleQuestions: false,
+    shuffleOptions: false,
+  })
+  // What happens when students leave the quiz or paste answers
+  const [integritySettings, setIntegritySettings] = useState({
+    integrityPolicy: "record",
+    maxViolations: 3,
+    requireFullscreen: false,
+  })
   const [questions, setQuestions] = useState([
     {
         questionText: "",
@@ -33,71 +166,56 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
   useEffect(() => {
     if (existingQuiz) {
       if (existingQuiz.questions) {
-        const processedQuestions = existingQuiz.questions.map(q => {
-          let baseQuestion = {
-            questionText: q.questionText || "",
-            questionType: q.questionType || "multipleChoice",
-            options: [],
-            answers: [], // For match the following
-            correctAnswers: q.correctAnswers || [],
-            correctAnswer: q.correctAnswer !== undefined ? q.correctAnswer : null,
-            keywords: Array.isArray(q.keywords) ? [...q.keywords] : [], // Deep copy keywords array
-            marks: q.marks || 5,
-            required: q.required !== undefined ? q.required : true
-          };
-
-          // Ensure keywords are properly initialized for short answer questions
-          if (q.questionType === "shortAnswer" && !baseQuestion.keywords.length && q.keywords) {
-            baseQuestion.keywords = Array.isArray(q.keywords) ? [...q.keywords] : [];
-          }
-
-          // Special handling for match the following questions
-          if (q.questionType === "matchTheFollowing") {
-            // Ensure both options and answers arrays exist and have proper length
-            const maxLength = Math.max(
-              (q.options || []).length,
-              (q.answers || []).length,
-              4 // minimum length
-            );
-            baseQuestion.options = Array(maxLength).fill("").map((_, i) => q.options?.[i] || "");
-            baseQuestion.answers = Array(maxLength).fill("").map((_, i) => q.answers?.[i] || "");
-          } else {
-            // For other question types
-            baseQuestion.options = q.options || ["", "", "", ""];
-            baseQuestion.answers = q.answers || [];
-          }
-
-          // Add code solving specific fields if it's a code solving question
-          if (q.questionType === "codeSolve") {
-            baseQuestion.programmingLanguage = q.programmingLanguage || 'javascript';
-            baseQuestion.starterCode = q.starterCode || '// Write your code here\n';
-            baseQuestion.testCases = q.testCases || [{
-              input: '',
-              expectedOutput: '',
-              isHidden: false
-            }];
-          }
-
-          return baseQuestion;
-        });
+        const processedQuestions = existingQuiz.questions.map(toFormQuestion);
         
         setQuestions(processedQuestions);
       }
       if (existingQuiz.timeLimit) {
         setTimeLimit(Math.floor(existingQuiz.timeLimit / 60)); // Convert seconds to minutes
       }
+      setRetakeSettings({
+        passPercentage: existingQuiz.passPercentage ?? 60,
+        maxAttempts: existingQuiz.maxAttempts ?? 0,
+        cooldownMinutes: existingQuiz.cooldownMinutes ?? 0,
+        scoringPolicy: existingQuiz.scoringPolicy || "latest",
+      });
+      setQuestionDraws((existingQuiz.questionDraws || []).map(draw => ({
+        bank: typeof draw.bank === "object" ? draw.bank._id : draw.bank,
+        count: draw.count,
+        difficulty: draw.difficulty || "any",
+        tags: draw.tags || []
+      })));
+      setShuffleSettings({
+        shuffleQuestions: !!existingQuiz.shuffleQuestions,
+        shuffleOptions: !!existingQuiz.shuffleOptions,
+      });
+      setIntegritySettings({
+        integrityPolicy: existingQuiz.integrityPolicy || "record",
+        maxViolations: existingQuiz.maxViolations ?? 3,
+        requireFullscreen: !!existingQuiz.requireFullscreen,
+      });
     }
   }, [existingQuiz])
 
+  // Banks quizzes can draw from
+  useEffect(() => {
+    if (bankMode) return
+    const loadQuestionBanks = async () => {
+      const banks = await getQuestionBanks(token)
+      setQuestionBanks(banks || [])
+    }
+    loadQuestionBanks()
+  }, [bankMode, token])
+
   const {
     register,
     handleSubmit,
     formState: { errors },
   } = useForm()
 
-  // Add more questions (up to 25)
+  // Add more questions (up to 25, or 500 in a question bank)
   const addQuestion = () => {
-    if (questions.length < 25) {
+    if (questions.length < maxQuestions) {
       setQuestions([...questions, {
         questionText: "",
         questionType: "multipleChoice",
@@ -107,14 +225,23 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         correctAnswer: null,
         keywords: [], // For short answer questions
         marks: 5,
-        required: true
+        required: true,
+        tags: [],
+        difficulty: "medium"
       }])
     }
   }
 
-  // Remove question (minimum 15)
+  // Add imported questions, replacing the blank question a new quiz starts with
+  const importQuestions = (imported) => {
+    const kept = questions.filter(q => q._id || q.questionText.trim())
+    setQuestions([...kept, ...imported.map(toFormQuestion)].slice(0, maxQuestions))
+    setValidationErrors({})
+  }
+
+  // Remove question; quizzes that draw from question banks and banks may have none
   const removeQuestion = (index) => {
-    if (questions.length > 1) {
+    if (questions.length > 1 || bankMode || questionDraws.length > 0) {
       const newQuestions = [...questions]
       newQuestions.splice(index, 1)
       setQuestions(newQuestions)
@@ -128,6 +255,13 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
     setQuestions(newQuestions)
   }
 
+  // Set several fields of a question at once
+  const updateQuestion = (index, fields) => {
+    const newQuestions = [...questions]
+    newQuestions[index] = { ...newQuestions[index], ...fields }
+    setQuestions(newQuestions)
+  }
+
   // Handle option changes
   const handleOptionChange = (questionIndex, optionIndex, value) => {
     const newQuestions = [...questions]
@@ -139,6 +273,18 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
   const onSubmit = async () => {
     // Clear previous validation errors
     setValidationErrors({});
+
+    if (!bankMode) {
+      if (questions.length === 0 && questionDraws.length === 0) {
+        toast.error("Add at least one question or question bank draw");
+        return;
+      }
+      const invalidDraw = questionDraws.findIndex(draw => !draw.bank || !(draw.count >= 1));
+      if (invalidDraw !== -1) {
+        toast.error(`Question bank draw ${invalidDraw + 1}: Select a bank and how many questions to draw`);
+        return;
+      }
+    }
     
     // Validate questions
     const invalidQuestions = [];
@@ -154,13 +300,61 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         questionErrors.push('questionText');
       }
       
+      // Rubric criteria share out the question's marks
+      if (isManuallyGraded(q) && q.rubric?.length > 0) {
+        const rubricMarks = q.rubric.reduce((sum, item) => sum + (Number(item.marks) || 0), 0);
+        if (q.rubric.some(item => !item.criterion.trim()) || rubricMarks !== q.marks) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Rubric criteria need a description and must add up to ${q.marks} marks`);
+          questionErrors.push('rubric');
+        }
+      }
+
       if (q.questionType === "shortAnswer") {
-        // For short answer, check if keywords are provided
-        if (!q.keywords || q.keywords.length === 0) {
+        // For short answer, check if keywords are provided unless an instructor grades it
+        if (!q.manualGrading && (!q.keywords || q.keywords.length === 0)) {
           invalidQuestions.push(index);
           validationErrorsList.push(`Question ${index + 1}: At least one keyword is required`);
           questionErrors.push('keywords');
         }
+      } else if (q.questionType === "cloze") {
+        const markers = [...q.questionText.matchAll(/\[\[(\d+)\]\]/g)].map(match => Number(match[1]))
+        if (!q.blanks?.length) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Add at least one blank`);
+          questionErrors.push('blanks');
+        } else if (markers.length !== q.blanks.length || q.blanks.some((_, blankIndex) => !markers.includes(blankIndex + 1))) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Mark each blank once in the question text, as [[1]] to [[${q.blanks.length}]]`);
+          questionErrors.push('blanks');
+        } else if (q.blanks.some(blank => !blank.answers.some(answer => answer.trim()))) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Every blank needs at least one accepted answer`);
+          questionErrors.push('blanks');
+        }
+      } else if (q.questionType === "ordering") {
+        const items = q.options.map(item => item.trim())
+        if (items.length < 2 || items.some(item => !item) || new Set(items).size !== items.length) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Items to order must be filled in and all different`);
+          questionErrors.push('options');
+        }
+      } else if (q.questionType === "numeric") {
+        if (String(q.numericAnswer).trim() === "" || !Number.isFinite(Number(q.numericAnswer))) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: The numeric answer is required`);
+          questionErrors.push('numericAnswer');
+        } else if (q.units.some(unit => !unit.name.trim() || !(Number(unit.factor) > 0))) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Every unit needs a name and a factor above zero`);
+          questionErrors.push('numericAnswer');
+        }
+      } else if (q.questionType === "fileUpload") {
+        if (!q.allowedFileTypes?.length) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Choose at least one accepted file type`);
+          questionErrors.push('allowedFileTypes');
+        }
       } else if (q.questionType === "matchTheFollowing") {
         if (q.options.some(opt => !opt.trim()) || 
             !q.answers || 
@@ -191,6 +385,11 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             questionErrors.push('testCases');
           }
         }
+        if (q.comparator === 'custom' && !q.checkerScript?.trim()) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: A checker script is required for custom comparison`);
+          questionErrors.push('checkerScript');
+        }
       } else if (q.questionType === "multipleChoice" || q.questionType === "singleAnswer") {
         // Validate options are filled
         if (q.options.some(opt => !opt.trim())) {
@@ -237,17 +436,71 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
       // Clean up questions data
       const cleanedQuestions = questions.map(q => {
         const base = {
+          ...(q._id ? { _id: q._id } : {}),
           questionText: q.questionText.trim(),
           questionType: q.questionType,
           marks: q.marks,
-          required: q.required
+          required: q.required,
+          tags: (q.tags || []).map(tag => tag.trim()).filter(Boolean),
+          difficulty: q.difficulty || "medium"
         }
 
         if (q.questionType === "shortAnswer") {
           return { 
             ...base, 
             options: [],
-            keywords: q.keywords || []
+            keywords: q.keywords || [],
+            manualGrading: !!q.manualGrading,
+            rubric: q.manualGrading ? q.rubric || [] : []
+          }
+        }
+
+        if (q.questionType === "longAnswer") {
+          return {
+            ...base,
+            options: [],
+            rubric: q.rubric || []
+          }
+        }
+
+        if (q.questionType === "cloze") {
+          return {
+            ...base,
+            options: [],
+            blanks: q.blanks.map(blank => ({
+              answers: blank.answers.map(answer => answer.trim()).filter(Boolean)
+            })),
+            caseSensitive: !!q.caseSensitive,
+            partialCredit: !!q.partialCredit
+          }
+        }
+
+        if (q.questionType === "ordering") {
+          return {
+            ...base,
+            options: q.options.map(item => item.trim()),
+            partialCredit: !!q.partialCredit
+          }
+        }
+
+        if (q.questionType === "numeric") {
+          return {
+            ...base,
+            options: [],
+            numericAnswer: Number(q.numericAnswer),
+            tolerance: Number(q.tolerance) || 0,
+            toleranceType: q.toleranceType || "absolute",
+            units: q.units.map(unit => ({ name: unit.name.trim(), factor: Number(unit.factor) }))
+          }
+        }
+
+        if (q.questionType === "fileUpload") {
+          return {
+            ...base,
+            options: [],
+            allowedFileTypes: q.allowedFileTypes,
+            maxFileSizeMB: q.maxFileSizeMB,
+            rubric: q.rubric || []
           }
         }
 
@@ -256,7 +509,15 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             ...base,
             programmingLanguage: q.programmingLanguage || 'javascript',
             starterCode: q.starterCode || '',
-            testCases: q.testCases || [],
+            testCases: (q.testCases || []).map(testCase => ({
+              ...testCase,
+              weight: Number(testCase.weight ?? 1)
+            })),
+            comparator: q.comparator || 'exact',
+            floatTolerance: Number(q.floatTolerance ?? 0.000001),
+            checkerLanguage: q.checkerLanguage || 'python',
+            checkerScript: q.comparator === 'custom' ? q.checkerScript || '' : '',
+            partialCredit: !!q.partialCredit,
             options: [] // Code solving questions don't have options
           }
         }
@@ -279,10 +540,25 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         }
       })
 
+      if (bankMode) {
+        const saved = await onSaveQuestions(cleanedQuestions)
+        if (saved) {
+          onClose()
+        }
+        return
+      }
+
       const quizData = {
         subSectionId,
         questions: cleanedQuestions,
-        timeLimit: timeLimit * 60 // Convert minutes to seconds
+        timeLimit: timeLimit * 60, // Convert minutes to seconds
+        ...retakeSettings,
+        questionDraws: questionDraws.map(draw => ({
+          ...draw,
+          tags: draw.tags.map(tag => tag.trim()).filter(Boolean)
+        })),
+        ...shuffleSettings,
+        ...integritySettings
       }
       
       console.log("Submitting quiz data:", quizData)
@@ -311,6 +587,8 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
 
   return (
     <div className="space-y-6">
+      {!bankMode && (
+      <>
       {/* Timer Settings */}
       <div className="bg-richblack-700 rounded-lg p-4">
         <h3 className="text-lg font-semibold text-richblack-5 mb-4">Quiz Timer Settings</h3>
@@ -342,19 +620,151 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         </div>
       </div>
 
+      {/* Attempt Settings */}
+      <div className="bg-richblack-700 rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-richblack-5 mb-4">Attempt Settings</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Pass Percentage</label>
+            <input
+              type="number"
+              value={retakeSettings.passPercentage}
+              onChange={(e) => {
+                const value = Number(e.target.value)
+                if (value >= 0 && value <= 100) {
+                  setRetakeSettings(prev => ({ ...prev, passPercentage: value }))
+                }
+              }}
+              min="0"
+              max="100"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Maximum Attempts</label>
+            <input
+              type="number"
+              value={retakeSettings.maxAttempts}
+              onChange={(e) => {
+                const value = parseInt(e.target.value)
+                if (value >= 0) {
+                  setRetakeSettings(prev => ({ ...prev, maxAttempts: value }))
+                }
+              }}
+              min="0"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+            <p className="text-xs text-richblack-300 mt-1">0 allows unlimited attempts</p>
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Cooldown Between Attempts (minutes)</label>
+            <input
+              type="number"
+              value={retakeSettings.cooldownMinutes}
+              onChange={(e) => {
+                const value = Number(e.target.value)
+                if (value >= 0) {
+                  setRetakeSettings(prev => ({ ...prev, cooldownMinutes: value }))
+                }
+              }}
+              min="0"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Score That Counts</label>
+            <select
+              value={retakeSettings.scoringPolicy}
+              onChange={(e) => setRetakeSettings(prev => ({ ...prev, scoringPolicy: e.target.value }))}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            >
+              <option value="latest">Latest attempt</option>
+              <option value="best">Best attempt</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Integrity Settings */}
+      <div className="bg-richblack-700 rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-richblack-5 mb-1">Integrity Settings</h3>
+        <p className="text-xs text-richblack-300 mb-4">
+          Tab switches, leaving the window, pasting and leaving full screen are always recorded for the integrity report.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">When Students Do These</label>
+            <select
+              value={integritySettings.integrityPolicy}
+              onChange={(e) => setIntegritySettings(prev => ({ ...prev, integrityPolicy: e.target.value }))}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            >
+              <option value="record">Only record them</option>
+              <option value="warn">Warn the student</option>
+              <option value="autoSubmit">Submit the quiz after a number of them</option>
+            </select>
+          </div>
+          {integritySettings.integrityPolicy === "autoSubmit" && (
+            <div>
+              <label className="text-sm text-richblack-300 mb-2 block">Violations Before Submitting</label>
+              <input
+                type="number"
+                value={integritySettings.maxViolations}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value)
+                  if (value >= 1) {
+                    setIntegritySettings(prev => ({ ...prev, maxViolations: value }))
+                  }
+                }}
+                min="1"
+                className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+              />
+            </div>
+          )}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-richblack-5 mt-4">
+          <input
+            type="checkbox"
+            checked={integritySettings.requireFullscreen}
+            onChange={(e) => setIntegritySettings(prev => ({ ...prev, requireFullscreen: e.target.checked }))}
+            className="rounded"
+          />
+          Run attempts in full screen
+        </label>
+      </div>
+
+      {/* Question Bank Draws */}
+      <QuestionDrawSettings
+        banks={questionBanks}
+        draws={questionDraws}
+        setDraws={setQuestionDraws}
+        shuffleSettings={shuffleSettings}
+        setShuffleSettings={setShuffleSettings}
+      />
+      </>
+      )}
+
       {/* Questions Header */}
-      <div className="flex items-center justify-between">
+      <div className="flex flex-wrap items-center justify-between gap-3">
         <p className="text-lg font-semibold text-richblack-5">
-          Quiz Questions ({questions.length}/25)
+          {bankMode ? "Bank Questions" : "Quiz Questions"} ({questions.length}/{maxQuestions})
         </p>
-        <button
-          onClick={addQuestion}
-          disabled={questions.length >= 25}
-          className="flex items-center gap-2 bg-yellow-50 text-richblack-900 px-3 py-2 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          <RiAddLine />
-          Add Question
-        </button>
+        <div className="flex flex-wrap items-center gap-2">
+          <QuizImportExport
+            sourceId={existingQuiz?._id}
+            bankMode={bankMode}
+            remaining={maxQuestions - questions.filter(q => q._id || q.questionText.trim()).length}
+            onImport={importQuestions}
+          />
+          <button
+            onClick={addQuestion}
+            disabled={questions.length >= maxQuestions}
+            className="flex items-center gap-2 bg-yellow-50 text-richblack-900 px-3 py-2 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RiAddLine />
+            Add Question
+          </button>
+        </div>
       </div>
 
 
@@ -371,7 +781,7 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
           >
             <div className="flex justify-between items-center">
               <p className="text-sm text-richblack-5 font-medium">Question {qIndex + 1}</p>
-              {questions.length > 1 && (
+              {(questions.length > 1 || bankMode || questionDraws.length > 0) && (
                 <button
                   onClick={() => removeQuestion(qIndex)}
                   className="text-pink-300 hover:text-pink-200 p-1"
@@ -409,7 +819,8 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                   const newType = e.target.value;
                   const newQuestion = {
                     ...questions[qIndex],
-                    questionType: newType
+                    questionType: newType,
+                    ...getTypeDefaults(newType)
                   };
                   
                   // Initialize code solving specific fields
@@ -419,8 +830,14 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                     newQuestion.testCases = [{
                       input: '',
                       expectedOutput: '',
-                      isHidden: false
+                      isHidden: false,
+                      weight: 1
                     }];
+                    newQuestion.comparator = 'exact';
+                    newQuestion.floatTolerance = 0.000001;
+                    newQuestion.checkerLanguage = 'python';
+                    newQuestion.checkerScript = '';
+                    newQuestion.partialCredit = false;
                   }
                   
                   // Initialize match the following with 3 pairs
@@ -453,8 +870,13 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                 <option value="multipleChoice">Multiple Choice</option>
                 <option value="singleAnswer">Single Answer</option>
                 <option value="shortAnswer">Short Answer</option>
+                <option value="longAnswer">Long Answer</option>
                 <option value="matchTheFollowing">Match the Following</option>
                 <option value="codeSolve">Code Solving</option>
+                <option value="cloze">Fill in the Blanks</option>
+                <option value="ordering">Ordering</option>
+                <option value="numeric">Numeric</option>
+                <option value="fileUpload">File Upload</option>
               </select>
             </div>
 
@@ -494,6 +916,77 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                   />
                 </div>
 
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <label className="text-sm text-richblack-5">Output Comparison</label>
+                    <select
+                      value={question.comparator || 'exact'}
+                      onChange={(e) => handleQuestionChange(qIndex, "comparator", e.target.value)}
+                      className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                    >
+                      <option value="exact">Exact match</option>
+                      <option value="ignoreWhitespace">Ignore whitespace</option>
+                      <option value="floatTolerance">Numbers within tolerance</option>
+                      <option value="unorderedLines">Lines in any order</option>
+                      <option value="regex">Expected output is a regex</option>
+                      <option value="custom">Custom checker script</option>
+                    </select>
+                  </div>
+                  {question.comparator === 'floatTolerance' && (
+                    <div className="space-y-2">
+                      <label className="text-sm text-richblack-5">Tolerance</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={question.floatTolerance ?? 0.000001}
+                        onChange={(e) => handleQuestionChange(qIndex, "floatTolerance", e.target.value)}
+                        className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                      />
+                    </div>
+                  )}
+                  {question.comparator === 'custom' && (
+                    <div className="space-y-2">
+                      <label className="text-sm text-richblack-5">Checker Language</label>
+                      <select
+                        value={question.checkerLanguage || 'python'}
+                        onChange={(e) => handleQuestionChange(qIndex, "checkerLanguage", e.target.value)}
+                        className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                      >
+                        <option value="python">Python</option>
+                        <option value="javascript">JavaScript</option>
+                      </select>
+                    </div>
+                  )}
+                </div>
+
+                {question.comparator === 'custom' && (
+                  <div className="space-y-2">
+                    <label className="text-sm text-richblack-5">Checker Script *</label>
+                    <textarea
+                      value={question.checkerScript || ''}
+                      onChange={(e) => handleQuestionChange(qIndex, "checkerScript", e.target.value)}
+                      placeholder={'import json, sys\ndata = json.load(sys.stdin)\nprint(1 if data["actualOutput"] == data["expectedOutput"] else 0)'}
+                      className={`w-full bg-richblack-700 text-richblack-5 rounded-lg p-3 min-h-[120px] font-mono border ${
+                        validationErrors[qIndex]?.includes('checkerScript') ? 'border-red-500' : 'border-transparent'
+                      }`}
+                    />
+                    <p className="text-xs text-richblack-300">
+                      Reads {'{"input", "expectedOutput", "actualOutput"}'} as JSON on standard input and prints a score from 0 to 1
+                    </p>
+                  </div>
+                )}
+
+                <label className="flex items-center gap-2 text-sm text-richblack-300">
+                  <input
+                    type="checkbox"
+                    checked={!!question.partialCredit}
+                    onChange={(e) => handleQuestionChange(qIndex, "partialCredit", e.target.checked)}
+                    className="rounded"
+                  />
+                  Partial marks for the weight of passing test cases
+                </label>
+
                 <div className="space-y-2">
                   <div className="flex justify-between items-center">
                     <label className="text-sm text-richblack-5">Test Cases</label>
@@ -506,7 +999,8 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                         newQuestions[qIndex].testCases.push({
                           input: '',
                           expectedOutput: '',
-                          isHidden: false
+                          isHidden: false,
+                          weight: 1
                         });
                         setQuestions(newQuestions);
                       }}
@@ -577,6 +1071,21 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                           />
                           Hidden Test Case
                         </label>
+                        <label className="flex items-center gap-2 text-sm text-richblack-300">
+                          Weight
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={testCase.weight ?? 1}
+                            onChange={(e) => {
+                              const newQuestions = [...questions];
+                              newQuestions[qIndex].testCases[tIndex].weight = e.target.value;
+                              setQuestions(newQuestions);
+                            }}
+                            className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-1 text-sm"
+                          />
+                        </label>
                       </div>
                     ))}
                   </div>
@@ -740,7 +1249,7 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             {/* Keywords for Short Answer Questions */}
             {question.questionType === "shortAnswer" && (
               <div className="space-y-2">
-                <label className="text-sm text-richblack-5">Keywords *</label>
+                <label className="text-sm text-richblack-5">Keywords {!question.manualGrading && "*"}</label>
                 <div className="space-y-2">
                   {/* Display existing keywords as tags */}
                   {question.keywords.length > 0 && (
@@ -803,9 +1312,66 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                 <p className="text-xs text-richblack-300">
                   Type a keyword and press Enter to add it as a tag. Student must match at least 50% of these keywords for the answer to be correct.
                 </p>
+                <label className="flex items-center gap-2 text-sm text-richblack-5">
+                  <input
+                    type="checkbox"
+                    checked={!!question.manualGrading}
+                    onChange={(e) => handleQuestionChange(qIndex, "manualGrading", e.target.checked)}
+                    className="rounded"
+                  />
+                  Grade manually instead of by keywords
+                </label>
               </div>
             )}
 
+            {question.questionType === "longAnswer" && (
+              <p className="text-xs text-richblack-300">
+                Long answers are graded by an instructor from the grading queue.
+              </p>
+            )}
+
+            {question.questionType === "cloze" && (
+              <ClozeEditor
+                question={question}
+                onChange={(fields) => updateQuestion(qIndex, fields)}
+                hasError={validationErrors[qIndex]?.includes('blanks')}
+              />
+            )}
+
+            {question.questionType === "ordering" && (
+              <OrderingEditor
+                question={question}
+                onChange={(fields) => updateQuestion(qIndex, fields)}
+                hasError={validationErrors[qIndex]?.includes('options')}
+              />
+            )}
+
+            {question.questionType === "numeric" && (
+              <NumericAnswerEditor
+                question={question}
+                onChange={(fields) => updateQuestion(qIndex, fields)}
+                hasError={validationErrors[qIndex]?.includes('numericAnswer')}
+              />
+            )}
+
+            {question.questionType === "fileUpload" && (
+              <FileUploadSettings
+                question={question}
+                onChange={(fields) => updateQuestion(qIndex, fields)}
+                hasError={validationErrors[qIndex]?.includes('allowedFileTypes')}
+              />
+            )}
+
+            {/* Rubric for answers an instructor grades */}
+            {isManuallyGraded(question) && (
+              <RubricEditor
+                rubric={question.rubric || []}
+                marks={question.marks}
+                onChange={(rubric) => handleQuestionChange(qIndex, "rubric", rubric)}
+                hasError={validationErrors[qIndex]?.includes('rubric')}
+              />
+            )}
+
             {/* Marks and Required */}
             <div className="flex items-center gap-4">
               <div className="flex items-center gap-2">
@@ -829,6 +1395,34 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                 Required
               </label>
             </div>
+
+            {/* Tags and Difficulty, used by question bank draws */}
+            {bankMode && (
+              <div className="flex flex-wrap items-center gap-4">
+                <div className="flex items-center gap-2">
+                  <label className="text-sm text-richblack-5">Difficulty:</label>
+                  <select
+                    value={question.difficulty || "medium"}
+                    onChange={(e) => handleQuestionChange(qIndex, "difficulty", e.target.value)}
+                    className="bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                  >
+                    <option value="easy">Easy</option>
+                    <option value="medium">Medium</option>
+                    <option value="hard">Hard</option>
+                  </select>
+                </div>
+                <div className="flex flex-1 items-center gap-2">
+                  <label className="text-sm text-richblack-5">Tags:</label>
+                  <input
+                    type="text"
+                    value={(question.tags || []).join(", ")}
+                    onChange={(e) => handleQuestionChange(qIndex, "tags", e.target.value.split(",").map(tag => tag.trimStart()))}
+                    placeholder="e.g. arrays, recursion"
+                    className="flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                  />
+                </div>
+              </div>
+            )}
           </div>
         ))}
       </div>
@@ -847,7 +1441,9 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
           disabled={loading}
           className="px-6 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
         >
-          {loading 
+          {bankMode
+            ? (loading ? "Saving..." : "Save Questions")
+            : loading 
             ? (existingQuiz ? "Updating..." : "Creating...") 
             : (existingQuiz ? "Update Quiz" : "Create Quiz")
           }
@@ -0,0 +1,256 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FaFileImport, FaFileExport } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { exportQuiz, previewQuizImport } from '../../../services/operations/quizAPI';
+import { exportQuestionBank } from '../../../services/operations/questionBankAPI';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV', accept: '.csv,text/csv' },
+  { value: 'gift', label: 'Moodle GIFT', accept: '.gift,.txt' },
+  { value: 'qti', label: 'IMS QTI 2.1', accept: '.zip,.xml' },
+];
+
+const TYPE_LABELS = {
+  multipleChoice: 'Multiple Choice',
+  singleAnswer: 'Single Answer',
+  shortAnswer: 'Short Answer',
+  longAnswer: 'Long Answer',
+  matchTheFollowing: 'Match the Following',
+  codeSolve: 'Code Solve',
+};
+
+// Files go to the server as text, or base64 for QTI packages
+const readImportFile = (file, format) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = () => reject(reader.error);
+  if (format === 'qti') {
+    reader.onload = () => resolve({ content: reader.result.split(',')[1] || '', encoding: 'base64' });
+    reader.readAsDataURL(file);
+  } else {
+    reader.onload = () => resolve({ content: reader.result, encoding: 'utf8' });
+    reader.readAsText(file);
+  }
+});
+
+const downloadExport = ({ filename, mimeType, encoding, content }) => {
+  const data = encoding === 'base64'
+    ? Uint8Array.from(atob(content), (char) => char.charCodeAt(0))
+    : content;
+  const url = window.URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Import questions from CSV, GIFT or QTI after a dry run that lists every row
+// error, and export the saved questions of a quiz or question bank
+const QuizImportExport = ({ sourceId, bankMode = false, remaining, onImport }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [importFormat, setImportFormat] = useState('csv');
+  const [file, setFile] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    const result = bankMode
+      ? await exportQuestionBank(sourceId, exportFormat, token)
+      : await exportQuiz(sourceId, exportFormat, token);
+    setExporting(false);
+    if (!result) return;
+
+    downloadExport(result);
+    if (result.skipped.length > 0) {
+      toast.error(`Left out ${result.skipped.map(item => `question ${item.number} (${item.reason})`).join(', ')}`);
+    }
+  };
+
+  const closeImport = () => {
+    setShowImport(false);
+    setFile(null);
+    setReport(null);
+  };
+
+  const handleCheck = async () => {
+    if (!file) {
+      toast.error('Choose a file to import');
+      return;
+    }
+    setChecking(true);
+    try {
+      const { content, encoding } = await readImportFile(file, importFormat);
+      setReport(await previewQuizImport({ format: importFormat, content, encoding }, token));
+    } catch {
+      toast.error(`Could not read ${file.name}`);
+    }
+    setChecking(false);
+  };
+
+  const handleImport = () => {
+    onImport(report.questions);
+    toast.success(`Added ${report.questions.length} questions`);
+    closeImport();
+  };
+
+  const tooMany = report && report.valid > remaining;
+  const canImport = report && report.errors.length === 0 && report.valid > 0 && !tooMany;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <button
+        type="button"
+        onClick={() => setShowImport(true)}
+        className="flex items-center gap-2 bg-richblack-700 text-richblack-50 px-3 py-2 rounded-lg hover:bg-richblack-600 transition-all duration-200"
+      >
+        <FaFileImport />
+        Import
+      </button>
+      <select
+        value={exportFormat}
+        onChange={(e) => setExportFormat(e.target.value)}
+        className="bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+      >
+        {FORMATS.map(format => (
+          <option key={format.value} value={format.value}>{format.label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handleExport}
+        disabled={!sourceId || exporting}
+        title={sourceId ? 'Export the saved questions' : 'Save first to export'}
+        className="flex items-center gap-2 bg-richblack-700 text-richblack-50 px-3 py-2 rounded-lg hover:bg-richblack-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <FaFileExport />
+        Export
+      </button>
+
+      {/* Import Modal */}
+      {showImport && (
+        <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+          <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[700px] max-h-[90vh] overflow-auto space-y-4">
+            <div className="flex justify-between items-center">
+              <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">Import Questions</h3>
+              <button
+                type="button"
+                onClick={closeImport}
+                className="text-richblack-300 hover:text-richblack-50 text-xl"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">Format</label>
+                <select
+                  value={importFormat}
+                  onChange={(e) => {
+                    setImportFormat(e.target.value);
+                    setFile(null);
+                    setReport(null);
+                  }}
+                  className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                >
+                  {FORMATS.map(format => (
+                    <option key={format.value} value={format.value}>{format.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-richblack-300 mb-2 block">File</label>
+                <input
+                  key={importFormat}
+                  type="file"
+                  accept={FORMATS.find(format => format.value === importFormat).accept}
+                  onChange={(e) => {
+                    setFile(e.target.files[0] || null);
+                    setReport(null);
+                  }}
+                  className="w-full text-sm text-richblack-100 file:mr-3 file:rounded-lg file:border-0 file:bg-richblack-700 file:px-3 file:py-2 file:text-richblack-50"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-richblack-400">
+              The file is checked first and nothing is added until every row is valid.
+              Coding questions can only be imported from CSV.
+            </p>
+
+            {report && (
+              <div className="space-y-3">
+                <div className="bg-richblack-700 rounded-lg p-3 text-sm text-richblack-100">
+                  <p>
+                    {report.valid} of {report.total} questions are valid
+                    {report.errors.length > 0 && `, ${report.errors.length} problem${report.errors.length === 1 ? '' : 's'} found`}
+                  </p>
+                  {Object.keys(report.typeCounts).length > 0 && (
+                    <p className="text-xs text-richblack-300 mt-1">
+                      {Object.entries(report.typeCounts)
+                        .map(([type, count]) => `${TYPE_LABELS[type] || type}: ${count}`)
+                        .join(' · ')}
+                    </p>
+                  )}
+                  {tooMany && (
+                    <p className="text-xs text-pink-200 mt-1">
+                      Only {remaining} more questions fit here
+                    </p>
+                  )}
+                </div>
+
+                {report.errors.length > 0 && (
+                  <div className="max-h-[40vh] overflow-auto rounded-lg border border-richblack-700">
+                    <table className="w-full text-sm">
+                      <thead className="bg-richblack-700 text-richblack-50 sticky top-0">
+                        <tr>
+                          <th className="text-left p-2 w-24">{importFormat === 'qti' ? 'Item' : 'Line'}</th>
+                          <th className="text-left p-2">Problem</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.errors.map((error, index) => (
+                          <tr key={index} className="border-t border-richblack-700">
+                            <td className="p-2 text-richblack-300">{error.row ?? '-'}</td>
+                            <td className="p-2 text-pink-200">{error.message}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-4 pt-4 border-t border-richblack-700">
+              <button
+                type="button"
+                onClick={handleCheck}
+                disabled={!file || checking}
+                className="px-6 py-2 bg-richblack-700 text-richblack-50 rounded-lg hover:bg-richblack-600 transition-all duration-200 disabled:opacity-50"
+              >
+                Check File
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={!canImport}
+                className="px-6 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Add {report?.valid || 0} Questions
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizImportExport;
@@ -0,0 +1,248 @@
+import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { FaArrowLeft } from 'react-icons/fa';
+import { getQuizIntegrityReport, getAttemptIntegrityReport } from '../../../services/operations/quizAPI';
+
+const EVENT_LABELS = {
+  tabSwitch: 'Tab switches',
+  blur: 'Window left',
+  paste: 'Pastes',
+  fullscreenExit: 'Full screen exits',
+};
+
+const POLICY_LABELS = {
+  record: 'Violations are only recorded',
+  warn: 'Students are warned on every violation',
+  autoSubmit: 'Attempts are submitted after',
+};
+
+const studentName = (student) => (student ? `${student.firstName} ${student.lastName}` : 'Deleted user');
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '-');
+const formatSeconds = (value) => {
+  if (value === null || value === undefined) return '-';
+  return value >= 60 ? `${Math.floor(value / 60)}m ${value % 60}s` : `${value}s`;
+};
+
+const Spinner = () => (
+  <div className="flex items-center justify-center h-40">
+    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+  </div>
+);
+
+// One attempt's events in order, its time on each question and the other
+// students' code it resembles
+const AttemptIntegrityDetails = ({ attemptId, onBack }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoading(true);
+      setReport(await getAttemptIntegrityReport(attemptId, token));
+      setLoading(false);
+    };
+    fetchReport();
+  }, [attemptId, token]);
+
+  return (
+    <div className="space-y-4">
+      <button onClick={onBack} className="flex items-center gap-2 text-sm text-yellow-50 hover:text-yellow-100">
+        <FaArrowLeft />
+        All attempts
+      </button>
+
+      {loading && <Spinner />}
+
+      {report && !loading && (
+        <>
+          <div>
+            <p className="text-richblack-5 font-semibold">
+              {studentName(report.student)} · Attempt {report.attemptNumber}
+            </p>
+            <p className="text-xs text-richblack-400">
+              Started {formatDateTime(report.startedAt)} · Submitted {formatDateTime(report.submittedAt)}
+              {report.percentage !== null && ` · ${Math.round(report.percentage)}%`}
+            </p>
+            {report.autoSubmitted && (
+              <p className="text-sm text-pink-200 mt-1">Submitted by the integrity policy after {report.violations} violations</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {Object.entries(EVENT_LABELS).map(([kind, label]) => (
+              <div key={kind} className="bg-richblack-700 rounded-lg p-3">
+                <p className="text-xs text-richblack-300">{label}</p>
+                <p className="text-lg font-semibold text-richblack-5">{report.eventCounts[kind]}</p>
+              </div>
+            ))}
+          </div>
+
+          {report.similarCode.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-sm font-semibold text-richblack-5">Similar Code</p>
+              {report.similarCode.map((match, index) => (
+                <div key={index} className="flex justify-between gap-3 bg-pink-900/40 rounded-lg p-3 text-sm">
+                  <span className="text-richblack-100 truncate">{match.question.questionText}</span>
+                  <span className="text-pink-200 whitespace-nowrap">
+                    {Math.round(match.similarity * 100)}% like {studentName(match.other.student)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <p className="text-sm font-semibold text-richblack-5">Timeline</p>
+            {report.events.length === 0 ? (
+              <p className="text-sm text-richblack-400">No integrity events were recorded.</p>
+            ) : (
+              <div className="max-h-60 overflow-auto rounded-lg border border-richblack-700 divide-y divide-richblack-700">
+                {report.events.map((event, index) => (
+                  <div key={index} className="flex justify-between gap-3 p-2 text-sm">
+                    <span className="text-richblack-100">{EVENT_LABELS[event.kind] || event.kind}</span>
+                    <span className="text-richblack-300">
+                      {event.questionNumber ? `Q${event.questionNumber} · ` : ''}{formatDateTime(event.at)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-sm font-semibold text-richblack-5">Time per Question</p>
+            <div className="rounded-lg border border-richblack-700 divide-y divide-richblack-700">
+              {report.questionTimes.map(item => (
+                <div key={item.questionNumber} className="flex justify-between gap-3 p-2 text-sm">
+                  <span className="text-richblack-100 truncate">
+                    <span className="text-richblack-300">Q{item.questionNumber}.</span> {item.questionText}
+                  </span>
+                  <span className="text-richblack-300 whitespace-nowrap">{formatSeconds(item.seconds)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Integrity violations of every submitted attempt at a quiz, most first, and
+// code answers by different students that are suspiciously alike
+const QuizIntegrityReport = ({ quizId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selectedAttempt, setSelectedAttempt] = useState(null);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoading(true);
+      setReport(await getQuizIntegrityReport(quizId, token));
+      setLoading(false);
+    };
+    fetchReport();
+  }, [quizId, token]);
+
+  if (selectedAttempt) {
+    return <AttemptIntegrityDetails attemptId={selectedAttempt} onBack={() => setSelectedAttempt(null)} />;
+  }
+
+  if (loading) {
+    return <Spinner />;
+  }
+
+  if (!report) {
+    return null;
+  }
+
+  if (report.attempts.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+        <p className="text-lg font-semibold text-richblack-100">No attempts yet</p>
+        <p className="text-sm text-richblack-400">The report fills in as students submit this quiz.</p>
+      </div>
+    );
+  }
+
+  const attempts = [...report.attempts].sort((a, b) => b.violations - a.violations);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-richblack-400">
+        {POLICY_LABELS[report.integrityPolicy]}
+        {report.integrityPolicy === 'autoSubmit' && ` ${report.maxViolations} violations`}. Click an attempt for its timeline.
+      </p>
+
+      {report.similarCode.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-semibold text-richblack-5">Similar Code Answers</p>
+          {report.similarCode.map((match, index) => (
+            <div key={index} className="bg-pink-900/40 rounded-lg p-3 text-sm space-y-1">
+              <div className="flex justify-between gap-3">
+                <span className="text-richblack-100 truncate">{match.question.questionText}</span>
+                <span className="text-pink-200 whitespace-nowrap">{Math.round(match.similarity * 100)}% alike</span>
+              </div>
+              <div className="flex flex-wrap gap-3">
+                {match.attempts.map(item => (
+                  <button
+                    key={item.attemptId}
+                    onClick={() => setSelectedAttempt(item.attemptId)}
+                    className="text-yellow-50 hover:underline"
+                  >
+                    {studentName(item.student)} (attempt {item.attemptNumber})
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="overflow-x-auto rounded-lg border border-richblack-700">
+        <table className="w-full text-sm">
+          <thead className="bg-richblack-700 text-richblack-50">
+            <tr>
+              <th className="text-left p-2">Student</th>
+              <th className="text-right p-2">Score</th>
+              {Object.values(EVENT_LABELS).map(label => (
+                <th key={label} className="text-right p-2">{label}</th>
+              ))}
+              <th className="text-right p-2">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {attempts.map(attempt => (
+              <tr
+                key={attempt.attemptId}
+                onClick={() => setSelectedAttempt(attempt.attemptId)}
+                className="border-t border-richblack-700 cursor-pointer hover:bg-richblack-700"
+              >
+                <td className="p-2">
+                  <p className="text-richblack-5">{studentName(attempt.student)}</p>
+                  <p className="text-xs text-richblack-400">
+                    Attempt {attempt.attemptNumber} · {formatDateTime(attempt.submittedAt)}
+                    {attempt.autoSubmitted && ' · submitted by the policy'}
+                  </p>
+                </td>
+                <td className="p-2 text-right text-richblack-100">
+                  {attempt.pendingReview || attempt.percentage === null ? '-' : `${Math.round(attempt.percentage)}%`}
+                </td>
+                {Object.keys(EVENT_LABELS).map(kind => (
+                  <td key={kind} className="p-2 text-right text-richblack-100">{attempt.eventCounts[kind]}</td>
+                ))}
+                <td className={`p-2 text-right font-semibold ${attempt.violations ? 'text-pink-200' : 'text-richblack-100'}`}>
+                  {attempt.violations}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default QuizIntegrityReport;
@@ -0,0 +1,233 @@
+import { useState, useEffect, Fragment } from 'react';
+import { useSelector } from 'react-redux';
+import { FaFileCsv } from 'react-icons/fa';
+import { getQuizItemAnalysis } from '../../../services/operations/quizAPI';
+
+const TYPE_LABELS = {
+  multipleChoice: 'Multiple Choice',
+  singleAnswer: 'Single Answer',
+  shortAnswer: 'Short Answer',
+  longAnswer: 'Long Answer',
+  matchTheFollowing: 'Match the Following',
+  codeSolve: 'Code Solve',
+  cloze: 'Fill in the Blanks',
+  ordering: 'Ordering',
+  numeric: 'Numeric',
+  fileUpload: 'File Upload',
+};
+
+const FLAG_LABELS = {
+  tooHard: 'Too hard',
+  tooEasy: 'Too easy',
+  lowDiscrimination: 'Low discrimination',
+  negativeDiscrimination: 'Negative discrimination - check the answer key',
+  unusedDistractor: 'Option nobody picks',
+};
+
+const formatIndex = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`);
+const formatSeconds = (value) => {
+  if (value === null || value === undefined) return '-';
+  return value >= 60 ? `${Math.floor(value / 60)}m ${value % 60}s` : `${value}s`;
+};
+
+const questionLabel = (item) => (item.questionNumber ? `Q${item.questionNumber}` : 'Bank');
+
+const describeOptions = (item) => (item.options || [])
+  .map(option => `${option.text}${option.correct ? ' (correct)' : ''}: ${option.count}`)
+  .join('; ');
+
+const describeTestCases = (item) => (item.testCases || [])
+  .map(testCase => `Test ${testCase.number}${testCase.hidden ? ' (hidden)' : ''}: ${formatPercent(testCase.passRate)}`)
+  .join('; ');
+
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadCSV = (analysis) => {
+  const headers = [
+    'Question', 'Text', 'Type', 'Marks', 'Responses', 'Answered', 'Difficulty Index',
+    'Discrimination Index', 'Average Score', 'Average Time (s)', 'Option Selections',
+    'Test Case Pass Rates', 'Flags',
+  ];
+  const rows = analysis.questions.map(item => [
+    questionLabel(item),
+    item.questionText,
+    TYPE_LABELS[item.questionType] || item.questionType,
+    item.marks,
+    item.responses,
+    item.answered,
+    item.difficultyIndex,
+    item.discriminationIndex,
+    item.averageScore,
+    item.averageTimeSeconds,
+    describeOptions(item),
+    describeTestCases(item),
+    item.flags.map(flag => FLAG_LABELS[flag] || flag).join('; '),
+  ].map(escapeCSV).join(','));
+
+  // BOM so Excel reads the file as UTF-8
+  const blob = new Blob(['\uFEFF' + [headers.join(','), ...rows].join('\n')], { type: 'text/csv;charset=utf-8;' });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${(analysis.title || 'quiz').replace(/[^\w-]+/g, '_')}-item-analysis.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// How each question of a quiz performs, from the results students have on record.
+// Difficulty is the share of marks earned (higher is easier); discrimination is
+// how much better the top 27% of students did on it than the bottom 27%.
+const QuizItemAnalysis = ({ quizId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    const fetchAnalysis = async () => {
+      setLoading(true);
+      setAnalysis(await getQuizItemAnalysis(quizId, token));
+      setLoading(false);
+    };
+    fetchAnalysis();
+  }, [quizId, token]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-40">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+      </div>
+    );
+  }
+
+  if (!analysis) {
+    return null;
+  }
+
+  if (analysis.respondents === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+        <p className="text-lg font-semibold text-richblack-100">No results yet</p>
+        <p className="text-sm text-richblack-400">Statistics appear once students have results for this quiz.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {[
+          ['Students', analysis.respondents],
+          ['Average Score', `${analysis.averagePercentage}%`],
+          ['Pass Rate', formatPercent(analysis.passRate)],
+          ['Group Size', analysis.groupSize || 'Too few'],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-richblack-700 rounded-lg p-3">
+            <p className="text-xs text-richblack-300">{label}</p>
+            <p className="text-lg font-semibold text-richblack-5">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-between items-center gap-3">
+        <p className="text-xs text-richblack-400">
+          Discrimination needs at least 5 students. Click a question for its option choices or test cases.
+        </p>
+        <button
+          onClick={() => downloadCSV(analysis)}
+          className="flex items-center gap-2 bg-richblack-700 text-richblack-50 px-3 py-2 rounded-lg hover:bg-richblack-600 transition-all duration-200 whitespace-nowrap"
+        >
+          <FaFileCsv />
+          Export CSV
+        </button>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border border-richblack-700">
+        <table className="w-full text-sm">
+          <thead className="bg-richblack-700 text-richblack-50">
+            <tr>
+              <th className="text-left p-2">Question</th>
+              <th className="text-right p-2">Responses</th>
+              <th className="text-right p-2">Difficulty</th>
+              <th className="text-right p-2">Discrimination</th>
+              <th className="text-right p-2">Avg. Score</th>
+              <th className="text-right p-2">Avg. Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analysis.questions.map(item => {
+              const hasDetails = Boolean(item.options?.length || item.testCases?.length);
+              const isExpanded = expanded === item.question;
+              return (
+                <Fragment key={item.question}>
+                  <tr
+                    onClick={() => hasDetails && setExpanded(isExpanded ? null : item.question)}
+                    className={`border-t border-richblack-700 ${hasDetails ? 'cursor-pointer hover:bg-richblack-700' : ''}`}
+                  >
+                    <td className="p-2">
+                      <p className="text-richblack-5">
+                        <span className="text-richblack-300">{questionLabel(item)}.</span> {item.questionText}
+                      </p>
+                      <p className="text-xs text-richblack-400">
+                        {TYPE_LABELS[item.questionType] || item.questionType} · {item.marks} marks
+                        {item.fromBank && ' · drawn from a question bank'}
+                      </p>
+                      {item.flags.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {item.flags.map(flag => (
+                            <span key={flag} className="text-xs bg-pink-900 text-pink-200 rounded px-2 py-0.5">
+                              {FLAG_LABELS[flag] || flag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-2 text-right text-richblack-100">{item.answered}/{item.responses}</td>
+                    <td className="p-2 text-right text-richblack-100">{formatIndex(item.difficultyIndex)}</td>
+                    <td className="p-2 text-right text-richblack-100">{formatIndex(item.discriminationIndex)}</td>
+                    <td className="p-2 text-right text-richblack-100">{item.averageScore ?? '-'}</td>
+                    <td className="p-2 text-right text-richblack-100">{formatSeconds(item.averageTimeSeconds)}</td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="bg-richblack-900">
+                      <td colSpan={6} className="p-3 space-y-2">
+                        {item.options?.map((option, index) => (
+                          <div key={index} className="flex items-center gap-3">
+                            <span className={`w-1/3 truncate ${option.correct ? 'text-caribbeangreen-200' : 'text-richblack-100'}`}>
+                              {option.text}{option.correct && ' ✓'}
+                            </span>
+                            <div className="flex-1 bg-richblack-700 rounded-full h-2">
+                              <div
+                                className={`h-2 rounded-full ${option.correct ? 'bg-caribbeangreen-200' : 'bg-richblack-300'}`}
+                                style={{ width: `${item.responses ? (option.count / item.responses) * 100 : 0}%` }}
+                              />
+                            </div>
+                            <span className="w-12 text-right text-richblack-300">{option.count}</span>
+                          </div>
+                        ))}
+                        {item.testCases?.map(testCase => (
+                          <div key={testCase.number} className="flex justify-between text-richblack-100">
+                            <span>Test {testCase.number}{testCase.hidden && ' (hidden)'}</span>
+                            <span>{formatPercent(testCase.passRate)} passed of {testCase.runs} runs</span>
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default QuizItemAnalysis;
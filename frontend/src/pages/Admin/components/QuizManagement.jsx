@@ -1,10 +1,15 @@
 import { useState, useEffect } from 'react';
 import { useSelector } from 'react-redux';
-import { FaPlus, FaEdit } from 'react-icons/fa';
+import { FaPlus, FaEdit, FaChartBar, FaCode, FaShieldAlt } from 'react-icons/fa';
 import { getAllCourses } from '../../../services/operations/adminAPI';
 import { getFullDetailsOfCourse } from '../../../services/operations/courseDetailsAPI';
 import { showAllCategories } from '../../../services/operations/categoryAPI';
 import QuizCreator from './QuizCreator';
+import QuestionBanks from './QuestionBanks';
+import GradingQueue from './GradingQueue';
+import QuizItemAnalysis from './QuizItemAnalysis';
+import QuizIntegrityReport from './QuizIntegrityReport';
+import CodeExerciseCreator from './CodeExerciseCreator';
 
 const QuizManagement = () => {
   const { token } = useSelector((state) => state.auth);
@@ -15,9 +20,13 @@ const QuizManagement = () => {
   const [selectedCourseDetails, setSelectedCourseDetails] = useState(null);
   const [selectedSubSection, setSelectedSubSection] = useState(null);
   const [showQuizForm, setShowQuizForm] = useState(false);
+  const [analysisSubSection, setAnalysisSubSection] = useState(null);
+  const [integritySubSection, setIntegritySubSection] = useState(null);
+  const [exerciseSubSection, setExerciseSubSection] = useState(null);
   const [loading, setLoading] = useState(false);
   const [loadingCategories, setLoadingCategories] = useState(false);
   const [loadingCourseDetails, setLoadingCourseDetails] = useState(false);
+  const [activeTab, setActiveTab] = useState('quizzes');
 
   useEffect(() => {
     fetchCategories();
@@ -160,11 +169,37 @@ const QuizManagement = () => {
     setShowQuizForm(false);
   };
 
+  const handleExerciseSaved = () => {
+    if (selectedCourse) {
+      fetchCourseDetails(selectedCourse._id);
+    }
+    setExerciseSubSection(null);
+  };
+
   try {
     return (
       <div className="flex flex-col gap-6">
         <h1 className="text-xl sm:text-2xl font-bold text-richblack-5">Quiz Management</h1>
-        
+
+        <div className="flex gap-2 border-b border-richblack-700">
+          {[['quizzes', 'Quizzes'], ['grading', 'Grading Queue']].map(([tab, label]) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`px-4 py-2 text-sm sm:text-base border-b-2 transition-all duration-200 ${
+                activeTab === tab ? 'border-yellow-50 text-yellow-50' : 'border-transparent text-richblack-300 hover:text-richblack-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Answers waiting for an instructor, of the selected course if any */}
+        {activeTab === 'grading' && <GradingQueue courseId={selectedCourse?._id} />}
+
+        {activeTab === 'quizzes' && (
+        <>
         {/* Category Selection */}
         {loadingCategories ? (
           <div className="flex items-center justify-center h-40">
@@ -269,6 +304,8 @@ const QuizManagement = () => {
                           <div className="mt-2 space-y-1">
                             <p className="text-sm text-richblack-300">
                               Questions: {subsection.quiz.questions?.length || 0}
+                              {subsection.quiz.questionDraws?.length > 0 &&
+                                ` + ${subsection.quiz.questionDraws.reduce((sum, draw) => sum + draw.count, 0)} drawn from question banks`}
                             </p>
                             <p className="text-sm text-richblack-300">
                               Total Marks: {subsection.quiz.questions?.reduce((sum, q) => sum + (q.marks || 0), 0) || 0}
@@ -279,18 +316,34 @@ const QuizManagement = () => {
                           </div>
                         )}
                       </div>
-                      <div className="ml-4">
+                      <div className="ml-4 flex flex-col sm:flex-row gap-2">
                         {subsection.quiz ? (
-                          <button
-                            onClick={() => {
-                              setSelectedSubSection(subsection);
-                              setShowQuizForm(true);
-                            }}
-                            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-all duration-200"
-                          >
-                            <FaEdit className="text-sm" />
-                            <span>Edit</span>
-                          </button>
+                          <div className="flex flex-col sm:flex-row gap-2">
+                            <button
+                              onClick={() => setAnalysisSubSection(subsection)}
+                              className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-4 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+                            >
+                              <FaChartBar className="text-sm" />
+                              <span>Analysis</span>
+                            </button>
+                            <button
+                              onClick={() => setIntegritySubSection(subsection)}
+                              className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-4 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+                            >
+                              <FaShieldAlt className="text-sm" />
+                              <span>Integrity</span>
+                            </button>
+                            <button
+                              onClick={() => {
+                                setSelectedSubSection(subsection);
+                                setShowQuizForm(true);
+                              }}
+                              className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-all duration-200"
+                            >
+                              <FaEdit className="text-sm" />
+                              <span>Edit</span>
+                            </button>
+                          </div>
                         ) : (
                           <button
                             onClick={() => {
@@ -303,6 +356,13 @@ const QuizManagement = () => {
                             <span>Add Quiz</span>
                           </button>
                         )}
+                        <button
+                          onClick={() => setExerciseSubSection(subsection)}
+                          className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-4 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+                        >
+                          <FaCode className="text-sm" />
+                          <span>{subsection.codeExercise ? 'Edit Exercise' : 'Add Exercise'}</span>
+                        </button>
                       </div>
                     </div>
                   ))}
@@ -316,8 +376,12 @@ const QuizManagement = () => {
                 </div>
               </div>
             )}
+
+            <QuestionBanks courseId={selectedCourse._id} categoryId={selectedCategory} />
           </div>
         )}
+        </>
+        )}
 
         {/* Quiz Creator Modal */}
         {showQuizForm && selectedSubSection && (
@@ -343,6 +407,71 @@ const QuizManagement = () => {
             </div>
           </div>
         )}
+
+        {/* Coding Exercise Modal */}
+        {exerciseSubSection && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[800px] max-h-[90vh] overflow-auto">
+              <div className="flex justify-between items-center mb-6 gap-3">
+                <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                  {exerciseSubSection.codeExercise ? 'Edit' : 'Add'} Coding Exercise - {exerciseSubSection.title}
+                </h3>
+                <button
+                  onClick={() => setExerciseSubSection(null)}
+                  className="text-richblack-300 hover:text-richblack-50 text-xl"
+                >
+                  ✕
+                </button>
+              </div>
+              <CodeExerciseCreator
+                subSectionId={exerciseSubSection._id}
+                exerciseId={exerciseSubSection.codeExercise}
+                onClose={() => setExerciseSubSection(null)}
+                onSuccess={handleExerciseSaved}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Item Analysis Modal */}
+        {analysisSubSection && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[1000px] max-h-[90vh] overflow-auto">
+              <div className="flex justify-between items-center mb-6 gap-3">
+                <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                  Item Analysis - {analysisSubSection.title}
+                </h3>
+                <button
+                  onClick={() => setAnalysisSubSection(null)}
+                  className="text-richblack-300 hover:text-richblack-50 text-xl"
+                >
+                  ✕
+                </button>
+              </div>
+              <QuizItemAnalysis quizId={analysisSubSection.quiz._id} />
+            </div>
+          </div>
+        )}
+
+        {/* Integrity Report Modal */}
+        {integritySubSection && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[1000px] max-h-[90vh] overflow-auto">
+              <div className="flex justify-between items-center mb-6 gap-3">
+                <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                  Integrity Report - {integritySubSection.title}
+                </h3>
+                <button
+                  onClick={() => setIntegritySubSection(null)}
+                  className="text-richblack-300 hover:text-richblack-50 text-xl"
+                >
+                  ✕
+                </button>
+              </div>
+              <QuizIntegrityReport quizId={integritySubSection.quiz._id} />
+            </div>
+          </div>
+        )}
       </div>
     );
   } catch (error) {
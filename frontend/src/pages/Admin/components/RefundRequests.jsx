@@ -0,0 +1,145 @@
+import { useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { FiCheck, FiX, FiRotateCcw } from 'react-icons/fi'
+import { getRefundRequests, handleRefundRequest } from '../../../services/operations/orderAPI'
+import { formatPrice } from '../../../utils/currency'
+
+const isBaseCurrency = (request) => !request.order?.currency || request.order.currency === 'INR'
+
+const statusStyles = {
+  Pending: 'bg-yellow-900/40 text-yellow-100 border-yellow-700',
+  Approved: 'bg-green-900/40 text-green-300 border-green-700',
+  Rejected: 'bg-red-900/40 text-red-300 border-red-700',
+}
+
+export default function RefundRequests({ onRefundProcessed }) {
+  const { token } = useSelector((state) => state.auth)
+  const [requests, setRequests] = useState([])
+  const [statusFilter, setStatusFilter] = useState('Pending')
+  const [amounts, setAmounts] = useState({})
+  const [processingId, setProcessingId] = useState(null)
+
+  useEffect(() => {
+    const fetchRequests = async () => {
+      const data = await getRefundRequests(token, statusFilter === 'All' ? null : statusFilter)
+      setRequests(data || [])
+    }
+    fetchRequests()
+  }, [token, statusFilter])
+
+  const handleAction = async (request, action) => {
+    setProcessingId(request._id)
+    const amount = amounts[request._id]
+    const updated = await handleRefundRequest(token, request._id, action, {
+      amount: action === 'approve' && amount !== undefined && amount !== '' ? Number(amount) : undefined,
+    })
+    if (updated) {
+      setRequests((prev) =>
+        statusFilter === 'Pending'
+          ? prev.filter((item) => item._id !== request._id)
+          : prev.map((item) => (item._id === request._id ? updated : item))
+      )
+      onRefundProcessed?.(updated)
+    }
+    setProcessingId(null)
+  }
+
+  return (
+    <div className="mb-6 sm:mb-8 rounded-2xl border border-richblack-600 bg-gradient-to-br from-richblack-800 to-richblack-900 p-4 sm:p-6 shadow-2xl">
+      <div className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <h2 className="flex items-center gap-2 text-lg sm:text-xl font-bold text-richblack-5">
+          <FiRotateCcw className="text-yellow-50" />
+          Refund Requests
+        </h2>
+        <div className="flex gap-2">
+          {['Pending', 'Approved', 'Rejected', 'All'].map((status) => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`rounded-lg px-3 py-1.5 text-xs sm:text-sm transition-all duration-200 ${
+                statusFilter === status
+                  ? 'bg-yellow-50 text-richblack-900 font-semibold'
+                  : 'bg-richblack-700 text-richblack-200 hover:bg-richblack-600'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {requests.length === 0 ? (
+        <p className="py-6 text-center text-sm text-richblack-300">No refund requests to show.</p>
+      ) : (
+        <div className="space-y-3">
+          {requests.map((request) => {
+            const refundable = Math.max(0, (request.order?.amount || 0) - (request.order?.refundedAmount || 0))
+            return (
+              <div
+                key={request._id}
+                className="flex flex-col gap-3 rounded-lg border border-richblack-600 bg-richblack-700 p-4 lg:flex-row lg:items-center lg:justify-between"
+              >
+                <div className="space-y-1 text-sm">
+                  <p className="font-semibold text-richblack-5">
+                    {request.user ? `${request.user.firstName || ''} ${request.user.lastName || ''}`.trim() : 'N/A'}
+                    <span className="ml-2 text-xs font-normal text-blue-300">{request.user?.email}</span>
+                  </p>
+                  <p className="text-xs text-green-300">{request.bundle?.title || request.course?.courseName || 'N/A'}</p>
+                  <p className="text-xs text-richblack-300">
+                    Paid {formatPrice(request.order?.amount ?? 0, request.order?.currency)} · Requested {formatPrice(request.requestedAmount, request.order?.currency)} · Progress {request.progressPercentage}% ·{' '}
+                    {new Date(request.requestDate).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}
+                  </p>
+                  {request.reason && (
+                    <p className="text-xs italic text-richblack-200">&ldquo;{request.reason}&rdquo;</p>
+                  )}
+                  {request.status === 'Approved' && (
+                    <p className="text-xs text-richblack-300">Refunded {formatPrice(request.refundedAmount, request.order?.currency)}</p>
+                  )}
+                </div>
+
+                {request.status === 'Pending' ? (
+                  <div className="flex items-center gap-2">
+                    <div className="relative">
+                      <span className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-richblack-400">{isBaseCurrency(request) ? '₹' : request.order.currency}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max={refundable}
+                        step="0.01"
+                        placeholder={`${refundable}`}
+                        value={amounts[request._id] ?? ''}
+                        onChange={(e) => setAmounts((prev) => ({ ...prev, [request._id]: e.target.value }))}
+                        className={`w-28 rounded-lg border border-richblack-500 bg-richblack-800 py-2 ${isBaseCurrency(request) ? 'pl-7' : 'pl-12'} pr-2 text-sm text-richblack-5 focus:outline-none focus:ring-2 focus:ring-yellow-50`}
+                        title="Leave empty for a full refund"
+                      />
+                    </div>
+                    <button
+                      onClick={() => handleAction(request, 'approve')}
+                      disabled={processingId === request._id}
+                      className="flex items-center gap-1 rounded-lg bg-gradient-to-r from-green-600 to-green-500 px-3 py-2 text-sm text-white transition-all duration-200 hover:scale-105 disabled:opacity-50"
+                    >
+                      <FiCheck size={16} />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleAction(request, 'reject')}
+                      disabled={processingId === request._id}
+                      className="flex items-center gap-1 rounded-lg bg-gradient-to-r from-red-600 to-red-500 px-3 py-2 text-sm text-white transition-all duration-200 hover:scale-105 disabled:opacity-50"
+                    >
+                      <FiX size={16} />
+                      Reject
+                    </button>
+                  </div>
+                ) : (
+                  <span className={`self-start rounded-full border px-3 py-1 text-xs font-medium lg:self-center ${statusStyles[request.status]}`}>
+                    {request.status}
+                  </span>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
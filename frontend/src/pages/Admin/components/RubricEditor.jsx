@@ -0,0 +1,58 @@
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+// Criteria an instructor scores a written answer against. Their marks share
+// out the question's marks; without a rubric the answer gets a single score.
+export default function RubricEditor({ rubric, marks, onChange, hasError }) {
+  const rubricMarks = rubric.reduce((sum, item) => sum + (Number(item.marks) || 0), 0)
+
+  const updateCriterion = (index, field, value) => {
+    onChange(rubric.map((item, i) => (i === index ? { ...item, [field]: value } : item)))
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="text-sm text-richblack-5">Grading Rubric</label>
+        <button
+          type="button"
+          onClick={() => onChange([...rubric, { criterion: "", marks: 1 }])}
+          className="flex items-center gap-1 text-sm text-yellow-50 hover:text-yellow-100"
+        >
+          <RiAddLine />
+          Add Criterion
+        </button>
+      </div>
+      {rubric.map((item, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={item.criterion}
+            onChange={(e) => updateCriterion(index, "criterion", e.target.value)}
+            placeholder="e.g. Explains the main idea"
+            className="flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+          />
+          <input
+            type="number"
+            value={item.marks}
+            onChange={(e) => updateCriterion(index, "marks", Number(e.target.value))}
+            min="0"
+            step="0.5"
+            className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(rubric.filter((_, i) => i !== index))}
+            className="text-pink-300 hover:text-pink-200 p-1"
+          >
+            <RiDeleteBin6Line />
+          </button>
+        </div>
+      ))}
+      <p className={`text-xs ${hasError ? "text-red-400" : "text-richblack-300"}`}>
+        {rubric.length > 0
+          ? `Criteria add up to ${rubricMarks} of ${marks} marks.`
+          : "Without a rubric the instructor gives one score for the answer."}
+      </p>
+    </div>
+  )
+}
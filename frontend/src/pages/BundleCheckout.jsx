@@ -1,8 +1,9 @@
-import React, { useState } from "react"
-import { useLocation, useNavigate } from "react-router-dom"
+import React, { useEffect, useState } from "react"
+import { useLocation, useNavigate, useParams } from "react-router-dom"
 import { useSelector } from "react-redux"
 import { motion } from "framer-motion"
-import { buyCourse } from "../services/operations/studentFeaturesAPI"
+import { buyBundle, buyCourse } from "../services/operations/studentFeaturesAPI"
+import { getBundleDetails } from "../services/operations/bundleAPI"
 import CouponInput from "../components/core/Dashboard/Cart/CouponInput"
 import { useDispatch } from "react-redux"
 import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiClock, FiUsers } from "react-icons/fi"
@@ -10,21 +11,53 @@ import RatingStars from "../components/common/RatingStars"
 import { apiConnector } from "../services/apiConnector"
 import { courseAccessEndpoints } from "../services/apis"
 import toast from "react-hot-toast"
+import useCurrency from "../hooks/useCurrency"
+import { roundAmount } from "../utils/currency"
 
 function BundleCheckout() {
   const { state } = useLocation()
+  const { bundleId } = useParams()
   const navigate = useNavigate()
   const dispatch = useDispatch()
   const { token } = useSelector((state) => state.auth)
   const { user } = useSelector((state) => state.profile)
   const [couponDiscount, setCouponDiscount] = useState(0)
+  const [appliedCoupon, setAppliedCoupon] = useState(null)
+  // Bundle created by an admin, when checking out /bundle-checkout/:bundleId
+  const [bundle, setBundle] = useState(null)
+  const [loading, setLoading] = useState(Boolean(bundleId))
+  const { code, convert, format } = useCurrency()
+
+  // A coupon's discount is in the currency it was applied in
+  useEffect(() => {
+    setCouponDiscount(0)
+    setAppliedCoupon(null)
+  }, [code])
+
+  useEffect(() => {
+    if (!bundleId) return
+    ;(async () => {
+      setLoading(true)
+      setBundle(await getBundleDetails(bundleId))
+      setLoading(false)
+    })()
+  }, [bundleId])
 
   const handleCouponApply = (discountDetails) => {
     const discountAmount = discountDetails.discountAmount;
     setCouponDiscount(discountAmount);
+    setAppliedCoupon(discountAmount > 0 ? discountDetails : null);
   }
 
-  const selectedCourses = state?.selectedCourses || []
+  const selectedCourses = bundle ? bundle.courses : (bundleId ? [] : state?.selectedCourses || [])
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-richblack-900 flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
 
   if (!selectedCourses.length) {
     return (
@@ -45,36 +78,47 @@ function BundleCheckout() {
   }
 
   const getOriginalPrice = () => {
-    return selectedCourses.reduce((total, course) => {
-      return total + (course.courseType === 'Free' ? 0 : course.price)
-    }, 0)
+    return roundAmount(selectedCourses.reduce((total, course) => {
+      return total + (course.courseType === 'Free' ? 0 : convert(course.price))
+    }, 0), code)
   }
 
   const getBundleDiscount = () => {
+    if (bundle) {
+      const originalPrice = getOriginalPrice()
+      return originalPrice > 0 ? Math.max(0, 1 - convert(bundle.price) / originalPrice) : 0
+    }
     if (selectedCourses.length >= 3) return 0.15 // 15% discount for 3+ courses
     if (selectedCourses.length >= 2) return 0.10 // 10% discount for 2+ courses
     return 0
   }
 
   const getFinalPrice = () => {
+    if (bundle) return convert(bundle.price)
     const originalPrice = getOriginalPrice()
     const discount = getBundleDiscount()
     return Math.round(originalPrice * (1 - discount))
   }
 
   const getSavings = () => {
-    return getOriginalPrice() - getFinalPrice()
+    return roundAmount(getOriginalPrice() - getFinalPrice(), code)
   }
 
-  const isAllFree = selectedCourses.every(course => course.courseType === 'Free')
+  const isAllFree = !bundle && selectedCourses.every(course => course.courseType === 'Free')
   const freeCourses = selectedCourses.filter(course => course.courseType === 'Free')
   const paidCourses = selectedCourses.filter(course => course.courseType !== 'Free')
 
   const handleBuyBundle = async () => {
-    const finalPrice = Math.max(0, getFinalPrice() - couponDiscount)
+    const finalPrice = Math.max(0, roundAmount(getFinalPrice() - couponDiscount, code))
     const courseIds = selectedCourses.map(course => course._id)
     const paidCourseIds = paidCourses.map(course => course._id)
     const freeCourseIds = freeCourses.map(course => course._id)
+
+    if (bundle) {
+      // The server prices the bundle and enrolls in all of its courses once paid
+      buyBundle(token, bundle._id, user, navigate, dispatch, appliedCoupon, finalPrice, code)
+      return
+    }
     
     if (isAllFree) {
       // Scenario 1: All courses are free - request access from admin
@@ -101,7 +145,7 @@ function BundleCheckout() {
         return
       }
       // Proceed with payment for all paid courses
-      buyCourse(token, paidCourseIds, user, navigate, dispatch)
+      buyCourse(token, paidCourseIds, user, navigate, dispatch, null, getOriginalPrice(), code)
     } else if (paidCourses.length > 0 && freeCourses.length > 0) {
       // Scenario 3: Mixed bundle (paid + free courses)
       if (finalPrice !== 0 && finalPrice !== null) {
@@ -111,7 +155,7 @@ function BundleCheckout() {
       
       // First, process payment for paid courses
       try {
-        const paymentResult = await buyCourse(token, paidCourseIds, user, navigate, dispatch)
+        const paymentResult = await buyCourse(token, paidCourseIds, user, navigate, dispatch, null, getOriginalPrice(), code)
         
         // After successful payment, request access for free courses
         if (paymentResult !== false) { // Assuming buyCourse returns false on failure
@@ -158,11 +202,16 @@ function BundleCheckout() {
           
           <div className="flex items-center gap-2 sm:gap-4 mb-2">
             <FiShoppingCart className="text-yellow-50 text-2xl sm:text-3xl" />
-            <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-richblack-5">Bundle Checkout</h1>
+            <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-richblack-5">
+              {bundle ? bundle.title : 'Bundle Checkout'}
+            </h1>
           </div>
           <p className="text-richblack-300 text-sm sm:text-base lg:text-lg">
             Complete your purchase and start your learning journey with {selectedCourses.length} courses
           </p>
+          {bundle?.description && (
+            <p className="text-richblack-400 text-sm sm:text-base mt-2">{bundle.description}</p>
+          )}
         </motion.div>
         
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 lg:gap-8">
@@ -221,7 +270,7 @@ function BundleCheckout() {
                           {course.courseType === 'Free' ? (
                             <span className="text-xl sm:text-2xl font-bold text-caribbeangreen-100">Free</span>
                           ) : (
-                            <span className="text-xl sm:text-2xl font-bold text-richblack-5">₹{course.price}</span>
+                            <span className="text-xl sm:text-2xl font-bold text-richblack-5">{format(convert(course.price))}</span>
                           )}
                           <span className={`px-2 sm:px-3 py-1 rounded-full text-xs font-medium ${
                             course.courseType === 'Free' 
@@ -251,9 +300,11 @@ function BundleCheckout() {
               <div className="space-y-3 sm:space-y-4 mb-4 sm:mb-6">
                 {/* Coupon Input */}
                 <CouponInput 
-                  totalAmount={getOriginalPrice()} 
+                  key={code}
+                  totalAmount={bundle ? convert(bundle.price) : getOriginalPrice()} 
                   onCouponApply={handleCouponApply}
                   checkoutType="bundle"
+                  bundleId={bundle?._id || null}
                 />
 
                 <div className="flex justify-between text-richblack-300 text-sm sm:text-base">
@@ -261,22 +312,31 @@ function BundleCheckout() {
                   <span className="font-semibold">{selectedCourses.length}</span>
                 </div>
                 
+                {bundle && (
+                  <div className="flex justify-between text-richblack-300 text-sm sm:text-base">
+                    <span className="flex items-center gap-1"><FiClock className="w-4 h-4" /> Access:</span>
+                    <span className="font-semibold">
+                      {bundle.validityDays > 0 ? `${bundle.validityDays} days` : 'Lifetime'}
+                    </span>
+                  </div>
+                )}
+
                 <div className="flex justify-between text-richblack-300 text-sm sm:text-base">
                   <span>Original Price:</span>
-                  <span className="font-semibold">₹{getOriginalPrice()}</span>
+                  <span className="font-semibold">{format(getOriginalPrice())}</span>
                 </div>
 
                 {getBundleDiscount() > 0 && (
                   <>
                     <div className="flex justify-between text-green-400 text-sm sm:text-base">
                       <span className="text-richblack-100">Bundle Discount ({Math.round(getBundleDiscount() * 100)}%):</span>
-                      <span className="font-bold text-green-400">-₹{getSavings()}</span>
+                      <span className="font-bold text-green-400">-{format(getSavings())}</span>
                     </div>
                     
                     <div className="bg-gradient-to-r from-green-900/30 to-green-800/30 border border-green-600 rounded-lg p-3 sm:p-4">
                       <div className="flex items-center gap-2 text-white text-xs sm:text-sm font-semibold">
                         <FiCheck className="w-4 h-4 sm:w-5 sm:h-5 text-green-400 flex-shrink-0" />
-                        <span>🎉 You're saving ₹{getSavings()} with this bundle!</span>
+                        <span>🎉 You're saving {format(getSavings())} with this bundle!</span>
                       </div>
                     </div>
                   </>
@@ -287,13 +347,13 @@ function BundleCheckout() {
                 {couponDiscount > 0 && (
                   <div className="flex justify-between text-green-400 text-sm sm:text-base">
                     <span>Coupon Discount:</span>
-                    <span className="font-bold text-green-400">-₹{couponDiscount}</span>
+                    <span className="font-bold text-green-400">-{format(couponDiscount)}</span>
                   </div>
                 )}
 
                 <div className="flex justify-between text-lg sm:text-xl font-bold text-richblack-5">
                   <span>Total Amount:</span>
-                  <span className="text-yellow-50">₹{Math.max(0, getFinalPrice() - couponDiscount)}</span>
+                  <span className="text-yellow-50">{format(Math.max(0, roundAmount(getFinalPrice() - couponDiscount, code)))}</span>
                 </div>
               </div>
 
@@ -339,7 +399,7 @@ function BundleCheckout() {
                       <span>Your request will be reviewed by admin</span>
                     ) : (
                       <>
-                        <span>Secure payment powered by Razorpay</span>
+                        <span>Secure payment through our payment partners</span>
                         {freeCourses.length > 0 && (
                           <div className="mt-2 text-xs text-yellow-100">
                             Note: Free course access will be requested after payment completion
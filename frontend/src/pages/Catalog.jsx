@@ -8,6 +8,7 @@ import ImprovedFooter from "../components/common/ImprovedFooter"
 import Course_Card from '../components/core/Catalog/Course_Card'
 import Course_Slider from "../components/core/Catalog/Course_Slider"
 import BundleCourseSection from "../components/core/Catalog/BundleCourseSection"
+import CourseBundles from "../components/core/Catalog/CourseBundles"
 import Loading from './../components/common/Loading';
 import BackgroundEffect from './BackgroundEffect'
 
@@ -222,6 +223,9 @@ function Catalog() {
                 </div>
                 </div>
 
+                {/* Admin Curated Bundles */}
+                <CourseBundles categoryId={categoryId} />
+
                 {/* Bundle Course Section */}
                 <BundleCourseSection courses={catalogPageData?.selectedCategory?.courses} />
 
@@ -0,0 +1,149 @@
+import { useEffect, useState } from "react"
+import { useSelector } from "react-redux"
+import { useNavigate, useParams } from "react-router-dom"
+import { motion } from "framer-motion"
+import { FiGift, FiClock } from "react-icons/fi"
+
+import BackgroundEffect from "./BackgroundEffect"
+import ImprovedFooter from "../components/common/ImprovedFooter"
+import { getGift, claimGift } from "../services/operations/giftAPI"
+import { ACCOUNT_TYPE } from "../utils/constants"
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "long", year: "numeric" })
+
+const unavailableMessages = {
+  redeemed: "This gift has already been claimed.",
+  expired: "This gift was not claimed in time and is no longer available.",
+}
+
+function ClaimGift() {
+  const { code } = useParams()
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const navigate = useNavigate()
+  const [gift, setGift] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [claiming, setClaiming] = useState(false)
+
+  useEffect(() => {
+    const fetchGift = async () => {
+      setLoading(true)
+      setGift(await getGift(code))
+      setLoading(false)
+    }
+    fetchGift()
+  }, [code])
+
+  // Logging in or signing up claims the gift, see authAPI
+  const handleAuth = (path) => {
+    localStorage.setItem("pendingGiftCode", code)
+    navigate(path)
+  }
+
+  const handleClaim = async () => {
+    setClaiming(true)
+    const claimed = await claimGift(code, token)
+    setClaiming(false)
+    if (claimed) {
+      navigate("/dashboard/enrolled-courses")
+    }
+  }
+
+  return (
+    <>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 1 }}
+        className="relative z-0"
+      >
+        <BackgroundEffect />
+      </motion.div>
+
+      <div className="relative mx-auto w-11/12 max-w-[600px] py-12 z-10">
+        {loading ? (
+          <div className="flex h-[calc(100vh-20rem)] items-center justify-center">
+            <div className="spinner"></div>
+          </div>
+        ) : !gift ? (
+          <div className="flex h-[calc(100vh-20rem)] flex-col items-center justify-center text-center">
+            <FiGift className="text-6xl text-richblack-400 mb-4" />
+            <h1 className="text-2xl font-semibold text-richblack-5">Gift not found</h1>
+            <p className="mt-2 text-richblack-300">Check the link in your email and try again.</p>
+          </div>
+        ) : (
+          <div className="rounded-2xl border border-richblack-700 bg-richblack-800 p-6 sm:p-8">
+            <div className="flex items-center gap-3">
+              <FiGift className="text-3xl text-yellow-50" />
+              <h1 className="text-2xl font-semibold text-richblack-5">
+                {gift.senderName} sent you a course
+              </h1>
+            </div>
+
+            {gift.course?.thumbnail && (
+              <img
+                src={gift.course.thumbnail}
+                alt={gift.course.courseName}
+                className="mt-6 aspect-video w-full rounded-xl object-cover"
+              />
+            )}
+            <h2 className="mt-4 text-xl font-semibold text-richblack-5">{gift.course?.courseName}</h2>
+            <p className="mt-2 text-sm text-richblack-300 line-clamp-3">{gift.course?.courseDescription}</p>
+
+            {gift.message && (
+              <blockquote className="mt-6 rounded-lg border-l-4 border-yellow-50 bg-richblack-700/50 p-4 text-richblack-100 italic">
+                &ldquo;{gift.message}&rdquo;
+              </blockquote>
+            )}
+
+            {gift.status !== "unclaimed" ? (
+              <p className="mt-6 rounded-lg border border-pink-700 bg-pink-900/30 p-4 text-center text-pink-200">
+                {unavailableMessages[gift.status]}
+              </p>
+            ) : (
+              <>
+                <p className="mt-6 flex items-center gap-2 text-sm text-richblack-300">
+                  <FiClock /> Claim by {formatDate(gift.expiresAt)} · Code {gift.code}
+                </p>
+
+                {!token ? (
+                  <div className="mt-6 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <button
+                      onClick={() => handleAuth("/signup")}
+                      className="rounded-lg bg-yellow-50 py-3 font-semibold text-richblack-900 transition-all duration-200 hover:scale-95"
+                    >
+                      Sign Up to Claim
+                    </button>
+                    <button
+                      onClick={() => handleAuth("/login")}
+                      className="rounded-lg border border-richblack-600 bg-richblack-700 py-3 font-semibold text-richblack-5 transition-all duration-200 hover:bg-richblack-600"
+                    >
+                      Log In to Claim
+                    </button>
+                  </div>
+                ) : user?.accountType === ACCOUNT_TYPE.STUDENT ? (
+                  <button
+                    onClick={handleClaim}
+                    disabled={claiming}
+                    className="mt-6 w-full rounded-lg bg-yellow-50 py-3 font-semibold text-richblack-900 transition-all duration-200 hover:scale-95 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:scale-100"
+                  >
+                    Claim Gift
+                  </button>
+                ) : (
+                  <p className="mt-6 text-center text-sm text-richblack-300">
+                    Gifts can only be claimed with a student account.
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <ImprovedFooter />
+    </>
+  )
+}
+
+export default ClaimGift
@@ -1,13 +1,15 @@
-import React, { useState } from "react"
+import React, { useEffect, useState } from "react"
 import { useLocation, useNavigate } from "react-router-dom"
 import { useSelector } from "react-redux"
 import { motion } from "framer-motion"
-import { buyCourse } from "../services/operations/studentFeaturesAPI"
+import { buyCourse, buyGift } from "../services/operations/studentFeaturesAPI"
 import CouponInput from "../components/core/Dashboard/Cart/CouponInput"
 import { useDispatch } from "react-redux"
-import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiUsers } from "react-icons/fi"
+import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiUsers, FiGift } from "react-icons/fi"
+import { toast } from "react-hot-toast"
 import RatingStars from "../components/common/RatingStars"
-import toast from "react-hot-toast"
+import useCurrency from "../hooks/useCurrency"
+import { roundAmount } from "../utils/currency"
 
 function CourseCheckout() {
   const { state } = useLocation()
@@ -17,6 +19,16 @@ function CourseCheckout() {
   const { user } = useSelector((state) => state.profile)
   const [couponDiscount, setCouponDiscount] = useState(0)
   const [appliedCoupon, setAppliedCoupon] = useState(null)
+  // Gift mode: the course is bought for someone else, who claims it with a code
+  const [isGift, setIsGift] = useState(Boolean(state?.gift))
+  const [gift, setGift] = useState({ recipientName: "", recipientEmail: "", message: "" })
+  const { code, convert, format } = useCurrency()
+
+  // A coupon's discount is in the currency it was applied in
+  useEffect(() => {
+    setCouponDiscount(0)
+    setAppliedCoupon(null)
+  }, [code])
 
   const handleCouponApply = (discountDetails) => {
     const discountAmount = discountDetails.discountAmount;
@@ -45,26 +57,30 @@ function CourseCheckout() {
   }
 
   const getOriginalPrice = () => {
-    return course.courseType === 'Free' ? 0 : course.price
+    return course.courseType === 'Free' ? 0 : convert(course.price)
   }
 
   const getFinalPrice = () => {
-    return Math.max(0, getOriginalPrice() - couponDiscount)
+    return Math.max(0, roundAmount(getOriginalPrice() - couponDiscount, code))
+  }
+
+  const handleGiftChange = (e) => {
+    setGift((prev) => ({ ...prev, [e.target.name]: e.target.value }))
   }
 
   const handleBuyCourse = () => {
-    const finalPrice = getFinalPrice()
-    
-    // Check if total amount is not zero - prevent purchase and show message
-    if (finalPrice !== 0 && finalPrice !== null) {
-      toast.error("You have to pay first")
+    if (isGift) {
+      const recipientEmail = gift.recipientEmail.trim()
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+        toast.error("Please enter the recipient's email address")
+        return
+      }
+      buyGift(token, course._id, { ...gift, recipientEmail }, user, navigate, dispatch, appliedCoupon, getFinalPrice(), code)
       return
     }
-    
+
     const coursesId = [course._id]
-    
-    // Only proceed if total amount is 0 or null
-    buyCourse(token, coursesId, user, navigate, dispatch, appliedCoupon)
+    buyCourse(token, coursesId, user, navigate, dispatch, appliedCoupon, getFinalPrice(), code)
   }
 
   return (
@@ -85,11 +101,13 @@ function CourseCheckout() {
           </button>
           
           <div className="flex items-center gap-4 mb-2">
-            <FiShoppingCart className="text-yellow-50 text-3xl" />
-            <h1 className="text-4xl font-bold text-richblack-5">Course Checkout</h1>
+            {isGift ? <FiGift className="text-yellow-50 text-3xl" /> : <FiShoppingCart className="text-yellow-50 text-3xl" />}
+            <h1 className="text-4xl font-bold text-richblack-5">{isGift ? "Gift a Course" : "Course Checkout"}</h1>
           </div>
           <p className="text-richblack-300 text-lg">
-            Complete your purchase and start your learning journey
+            {isGift
+              ? "We'll email the recipient a gift code to claim the course with"
+              : "Complete your purchase and start your learning journey"}
           </p>
         </motion.div>
         
@@ -138,7 +156,7 @@ function CourseCheckout() {
                       {course.courseType === 'Free' ? (
                         <span className="text-2xl font-bold text-caribbeangreen-100">Free</span>
                       ) : (
-                        <span className="text-2xl font-bold text-richblack-5">₹{course.price}</span>
+                        <span className="text-2xl font-bold text-richblack-5">{format(getOriginalPrice())}</span>
                       )}
                       <span className={`px-3 py-1 rounded-full text-xs font-medium ${
                         course.courseType === 'Free' 
@@ -152,6 +170,72 @@ function CourseCheckout() {
                 </div>
               </div>
             </motion.div>
+
+            {/* Gift Details - paid courses can be bought for someone else */}
+            {course.courseType !== 'Free' && (
+              <motion.div
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                className="mt-8 bg-gradient-to-br from-richblack-800 to-richblack-900 rounded-2xl p-8 border border-richblack-700"
+              >
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isGift}
+                    onChange={(e) => setIsGift(e.target.checked)}
+                    className="w-5 h-5 accent-yellow-50"
+                  />
+                  <span className="text-xl font-semibold text-richblack-5 flex items-center gap-2">
+                    <FiGift className="text-yellow-50" />
+                    Buy this course as a gift
+                  </span>
+                </label>
+
+                {isGift && (
+                  <div className="mt-6 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <label className="block">
+                        <span className="text-sm text-richblack-200">Recipient&apos;s Name</span>
+                        <input
+                          type="text"
+                          name="recipientName"
+                          value={gift.recipientName}
+                          onChange={handleGiftChange}
+                          placeholder="Who is this for?"
+                          className="mt-1 w-full rounded-lg bg-richblack-700 border border-richblack-600 p-3 text-richblack-5 placeholder:text-richblack-400 focus:outline-none focus:border-yellow-50"
+                        />
+                      </label>
+                      <label className="block">
+                        <span className="text-sm text-richblack-200">Recipient&apos;s Email <sup className="text-pink-200">*</sup></span>
+                        <input
+                          type="email"
+                          name="recipientEmail"
+                          value={gift.recipientEmail}
+                          onChange={handleGiftChange}
+                          placeholder="name@example.com"
+                          className="mt-1 w-full rounded-lg bg-richblack-700 border border-richblack-600 p-3 text-richblack-5 placeholder:text-richblack-400 focus:outline-none focus:border-yellow-50"
+                        />
+                      </label>
+                    </div>
+                    <label className="block">
+                      <span className="text-sm text-richblack-200">Personal Message</span>
+                      <textarea
+                        name="message"
+                        value={gift.message}
+                        onChange={handleGiftChange}
+                        maxLength={500}
+                        rows={3}
+                        placeholder="Add a note to go with your gift"
+                        className="mt-1 w-full rounded-lg bg-richblack-700 border border-richblack-600 p-3 text-richblack-5 placeholder:text-richblack-400 focus:outline-none focus:border-yellow-50"
+                      />
+                    </label>
+                    <p className="text-xs text-richblack-400">
+                      You won&apos;t be enrolled yourself. If the gift isn&apos;t claimed in time you can request a refund from your purchase history.
+                    </p>
+                  </div>
+                )}
+              </motion.div>
+            )}
           </div>
 
           {/* Payment Summary */}
@@ -167,7 +251,9 @@ function CourseCheckout() {
                 {/* Coupon Input - Only show for paid courses */}
                 {course.courseType !== 'Free' && (
                   <CouponInput 
+                    key={code}
                     totalAmount={getOriginalPrice()} 
+                    courseIds={[course._id]}
                     onCouponApply={handleCouponApply}
                     checkoutType="course"
                   />
@@ -180,13 +266,13 @@ function CourseCheckout() {
                 
                 <div className="flex justify-between text-richblack-300">
                   <span>Original Price:</span>
-                  <span className="font-semibold">₹{getOriginalPrice()}</span>
+                  <span className="font-semibold">{format(getOriginalPrice())}</span>
                 </div>
 
                 {couponDiscount > 0 && (
                   <div className="flex justify-between text-green-400">
                     <span>Coupon Discount:</span>
-                    <span className="font-bold text-green-400">-₹{couponDiscount}</span>
+                    <span className="font-bold text-green-400">-{format(couponDiscount)}</span>
                   </div>
                 )}
                 
@@ -194,7 +280,7 @@ function CourseCheckout() {
                 
                 <div className="flex justify-between text-xl font-bold text-richblack-5">
                   <span>Total Amount:</span>
-                  <span className="text-yellow-50">₹{getFinalPrice()}</span>
+                  <span className="text-yellow-50">{format(getFinalPrice())}</span>
                 </div>
               </div>
 
@@ -203,8 +289,8 @@ function CourseCheckout() {
                   onClick={handleBuyCourse}
                   className="w-full py-4 rounded-xl font-bold text-lg transition-all duration-200 shadow-lg hover:shadow-xl flex items-center justify-center gap-3 bg-gradient-to-r from-yellow-50 to-yellow-25 hover:from-yellow-25 hover:to-yellow-50 text-richblack-900"
                 >
-                  <FiShoppingCart className="w-5 h-5" />
-                  {getFinalPrice() === 0 ? 'Enroll for Free' : 'Complete Purchase'}
+                  {isGift ? <FiGift className="w-5 h-5" /> : <FiShoppingCart className="w-5 h-5" />}
+                  {isGift ? 'Send Gift' : getFinalPrice() === 0 ? 'Enroll for Free' : 'Complete Purchase'}
                 </button>
 
                 <button
@@ -219,7 +305,7 @@ function CourseCheckout() {
               <div className="mt-6 p-4 bg-richblack-700/30 rounded-lg border border-richblack-600">
                 <div className="flex items-center gap-2 text-richblack-300 text-sm">
                   <FiCheck className="text-green-400 w-4 h-4" />
-                  <span>Secure payment powered by Razorpay</span>
+                  <span>Secure payment through our payment partners</span>
                 </div>
               </div>
             </motion.div>
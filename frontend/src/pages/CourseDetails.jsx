@@ -1,7 +1,7 @@
 import React, { useEffect, useState } from "react"
 import { BiInfoCircle } from "react-icons/bi"
 import { HiOutlineGlobeAlt } from "react-icons/hi"
-import { FiClock, FiUsers, FiStar, FiPlay, FiBookOpen } from "react-icons/fi"
+import { FiClock, FiUsers, FiStar, FiPlay, FiBookOpen, FiGift } from "react-icons/fi"
 import { BsCheckCircle } from "react-icons/bs"
 import { motion } from "framer-motion"
 // import { ReactMarkdown } from "react-markdown/lib/react-markdown"
@@ -17,8 +17,10 @@ import { formatDate } from "../services/formatDate"
 import { fetchCourseDetails } from "../services/operations/courseDetailsAPI"
 import { buyCourse } from "../services/operations/studentFeaturesAPI"
 import { requestCourseAccess } from "../services/operations/courseAccessAPI"
+import { getMySubscription, enrollWithSubscription } from "../services/operations/subscriptionAPI"
 
 import GetAvgRating from "../utils/avgRating"
+import useCurrency from "../hooks/useCurrency"
 import { ACCOUNT_TYPE } from './../utils/constants';
 import { addToCart } from "../slices/cartSlice"
 
@@ -37,6 +39,7 @@ function CourseDetails() {
   const { token } = useSelector((state) => state.auth)
   const { loading } = useSelector((state) => state.profile)
   const { paymentLoading } = useSelector((state) => state.course)
+  const { formatBase } = useCurrency()
   const dispatch = useDispatch()
   const navigate = useNavigate()
 
@@ -100,6 +103,14 @@ function CourseDetails() {
     window.scrollTo(0, 0);
   }, [])
 
+  // Student's membership, to offer enrolling through it
+  const [subscription, setSubscription] = useState(null)
+  useEffect(() => {
+    if (token && user?.accountType === ACCOUNT_TYPE.STUDENT) {
+      getMySubscription(token).then(setSubscription)
+    }
+  }, [token, user?.accountType])
+
 
   // Loading skeleton
   if (paymentLoading || loading || !response) {
@@ -138,6 +149,7 @@ function CourseDetails() {
     instructor,
     studentsEnrolled,
     createdAt,
+    accessDurationDays,
     tag
   } = response?.data?.courseDetails
 
@@ -162,6 +174,39 @@ function CourseDetails() {
     })
   }
 
+  // Buy the course for someone else
+  const handleBuyAsGift = () => {
+    if (token) {
+      navigate("/course-checkout", { state: { course: response?.data?.courseDetails, gift: true } })
+      return
+    }
+    setConfirmationModal({
+      text1: "You are not logged in!",
+      text2: "Please login to send a course as a gift.",
+      btn1Text: "Login",
+      btn2Text: "Cancel",
+      btn1Handler: () => navigate("/login"),
+      btn2Handler: () => setConfirmationModal(null),
+    })
+  }
+
+  // Whether the student's current membership includes this course
+  const isCoveredByMembership = () => {
+    const plan = subscription?.isCurrent ? subscription.plan : null
+    if (!plan) return false
+    if (plan.access === 'all') return true
+    const categoryId = response?.data?.courseDetails?.category?._id || response?.data?.courseDetails?.category
+    return plan.categories.some((category) => (category._id || category) === categoryId)
+  }
+
+  // Enroll with membership handler
+  const handleEnrollWithMembership = async () => {
+    const enrolled = await enrollWithSubscription(courseId, token)
+    if (enrolled) {
+      navigate("/dashboard/enrolled-courses")
+    }
+  }
+
   // Add to cart Course handler
   const handleAddToCart = () => {
     if (!response?.data?.courseDetails) {
@@ -329,6 +374,12 @@ function CourseDetails() {
                   <HiOutlineGlobeAlt className="w-4 h-4" />
                   <span className="text-sm">English</span>
                 </div>
+                {accessDurationDays > 0 && (
+                  <div className="flex items-center gap-2 bg-richblack-700/40 px-3 py-2 rounded-lg border border-richblack-600 text-richblack-200">
+                    <FiClock className="w-4 h-4" />
+                    <span className="text-sm">{accessDurationDays} days access</span>
+                  </div>
+                )}
               </div>
             </motion.div>
 
@@ -348,7 +399,7 @@ function CourseDetails() {
                   </div>
                 ) : (
                   <>
-                    <p className="text-3xl font-bold text-richblack-5">₹{price}</p>
+                    <p className="text-3xl font-bold text-richblack-5">{formatBase(price)}</p>
                     <div className="bg-green-600 text-white px-3 py-1 rounded-lg text-sm font-medium">
                       Best Seller
                     </div>
@@ -415,6 +466,16 @@ function CourseDetails() {
               ) : (
                 /* Paid Course - Normal buy/cart flow */
                 <>
+                  {isCoveredByMembership() && !studentsEnrolled?.includes(user?._id) && (
+                    <motion.button
+                      className="bg-caribbeangreen-300 hover:bg-caribbeangreen-400 text-richblack-900 font-semibold py-3 px-6 rounded-lg transition-all duration-300 shadow-lg"
+                      onClick={handleEnrollWithMembership}
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                    >
+                      Enroll with Membership
+                    </motion.button>
+                  )}
                   <motion.button 
                     className="bg-yellow-50 text-richblack-900 font-semibold py-3 px-6 rounded-lg hover:bg-yellow-25 transition-all duration-300 shadow-lg"
                     onClick={handleBuyCourse}
@@ -431,6 +492,13 @@ function CourseDetails() {
                   >
                     Add to Cart
                   </motion.button>
+                  <button
+                    onClick={handleBuyAsGift}
+                    className="flex items-center justify-center gap-2 text-sm font-medium text-richblack-100 hover:text-yellow-50 transition-colors"
+                  >
+                    <FiGift />
+                    Buy as a Gift
+                  </button>
                 </>
               )}
             </motion.div>
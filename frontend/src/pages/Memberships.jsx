@@ -0,0 +1,208 @@
+import { useEffect, useState } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { useNavigate } from "react-router-dom"
+import { motion } from "framer-motion"
+import { FiCheck, FiClock, FiAward } from "react-icons/fi"
+
+import BackgroundEffect from "./BackgroundEffect"
+import ImprovedFooter from "../components/common/ImprovedFooter"
+import { getPlans, getMySubscription } from "../services/operations/subscriptionAPI"
+import { buySubscription } from "../services/operations/studentFeaturesAPI"
+import { ACCOUNT_TYPE } from "../utils/constants"
+import useCurrency from "../hooks/useCurrency"
+
+const intervalLabels = {
+  monthly: "month",
+  annual: "year",
+}
+
+const statusStyles = {
+  active: "bg-caribbeangreen-900/30 text-caribbeangreen-100 border-caribbeangreen-700",
+  grace: "bg-yellow-900/30 text-yellow-100 border-yellow-700",
+  expired: "bg-pink-900/30 text-pink-200 border-pink-700",
+}
+
+const statusLabels = {
+  active: "Active",
+  grace: "Grace Period",
+  expired: "Expired",
+}
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "long", year: "numeric" })
+
+const getAccessText = (plan) =>
+  plan.access === "all"
+    ? "Every paid course"
+    : `Paid courses in ${plan.categories.map((category) => category.name).join(", ")}`
+
+function Memberships() {
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const { code, convert, format } = useCurrency()
+  const navigate = useNavigate()
+  const dispatch = useDispatch()
+  const [plans, setPlans] = useState([])
+  const [subscription, setSubscription] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchMemberships = async () => {
+      setLoading(true)
+      const [planList, mySubscription] = await Promise.all([
+        getPlans(),
+        token && user?.accountType === ACCOUNT_TYPE.STUDENT ? getMySubscription(token) : null,
+      ])
+      setPlans(planList || [])
+      setSubscription(mySubscription)
+      setLoading(false)
+    }
+    fetchMemberships()
+  }, [token, user?.accountType])
+
+  const currentPlanId = subscription?.isCurrent ? subscription.plan?._id : null
+
+  const handleSubscribe = async (plan) => {
+    if (!token) {
+      navigate("/login")
+      return
+    }
+    await buySubscription(token, plan._id, user, navigate, dispatch, convert(plan.price), code)
+    setSubscription(await getMySubscription(token))
+  }
+
+  return (
+    <>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 1 }}
+        className="relative z-0"
+      >
+        <BackgroundEffect />
+      </motion.div>
+
+      <div className="relative mx-auto w-11/12 max-w-maxContent py-8 sm:py-12 z-10">
+        <div className="section_heading px-4 sm:px-0">
+          <h1 className="text-2xl sm:text-3xl lg:text-4xl font-semibold text-richblack-5">Memberships</h1>
+          <p className="mt-2 sm:mt-3 text-base sm:text-lg lg:text-xl text-richblack-200">
+            One membership, many courses. Enroll in any course included in your plan for as long as it is active.
+          </p>
+        </div>
+
+        {loading ? (
+          <div className="flex h-[calc(100vh-20rem)] items-center justify-center">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <>
+            {/* Current membership */}
+            {subscription?.plan && (
+              <div className="mt-8 rounded-2xl border border-richblack-700 bg-richblack-800 p-6">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                  <div>
+                    <div className="flex items-center gap-3">
+                      <FiAward className="text-2xl text-yellow-50" />
+                      <h2 className="text-xl font-semibold text-richblack-5">
+                        Your {subscription.plan.name} membership
+                      </h2>
+                      <span className={`rounded-full border px-3 py-1 text-xs font-medium ${statusStyles[subscription.isCurrent ? subscription.status : "expired"]}`}>
+                        {statusLabels[subscription.isCurrent ? subscription.status : "expired"]}
+                      </span>
+                    </div>
+                    <p className="mt-2 text-sm text-richblack-300">{getAccessText(subscription.plan)}</p>
+                  </div>
+                  <div className="text-sm text-richblack-200 sm:text-right">
+                    {subscription.isCurrent && subscription.status === "active" && (
+                      <p className="flex items-center gap-2 sm:justify-end">
+                        <FiClock /> Paid until {formatDate(subscription.currentPeriodEnd)}
+                      </p>
+                    )}
+                    {subscription.isCurrent && subscription.status === "grace" && (
+                      <p className="flex items-center gap-2 text-yellow-100 sm:justify-end">
+                        <FiClock /> Renew by {formatDate(subscription.graceEndsAt)} to keep access
+                      </p>
+                    )}
+                    {!subscription.isCurrent && (
+                      <p className="text-pink-200">Ended on {formatDate(subscription.graceEndsAt)}</p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Plans */}
+            {plans.length === 0 ? (
+              <p className="flex h-[calc(100vh-24rem)] items-center justify-center text-richblack-5 text-center px-4">
+                No membership plans available at the moment
+              </p>
+            ) : (
+              <div className="my-8 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 px-4 sm:px-0">
+                {plans.map((plan) => {
+                  const isCurrentPlan = currentPlanId === plan._id
+                  const blocked = Boolean(currentPlanId) && !isCurrentPlan
+
+                  return (
+                    <div
+                      key={plan._id}
+                      className={`flex flex-col rounded-2xl border bg-richblack-800 p-6 ${
+                        isCurrentPlan ? "border-yellow-50 shadow-lg shadow-yellow-50/20" : "border-richblack-700"
+                      }`}
+                    >
+                      <h3 className="text-xl font-semibold text-richblack-5">{plan.name}</h3>
+                      <p className="mt-3">
+                        <span className="text-3xl font-bold text-yellow-50">{format(convert(plan.price))}</span>
+                        <span className="text-richblack-300"> / {intervalLabels[plan.interval]}</span>
+                      </p>
+                      {plan.description && (
+                        <p className="mt-3 text-sm text-richblack-300">{plan.description}</p>
+                      )}
+
+                      <ul className="mt-4 flex-1 space-y-2 text-sm text-richblack-100">
+                        <li className="flex items-start gap-2">
+                          <FiCheck className="mt-0.5 flex-shrink-0 text-caribbeangreen-100" />
+                          <span>{getAccessText(plan)}</span>
+                        </li>
+                        {plan.features.map((feature) => (
+                          <li key={feature} className="flex items-start gap-2">
+                            <FiCheck className="mt-0.5 flex-shrink-0 text-caribbeangreen-100" />
+                            <span>{feature}</span>
+                          </li>
+                        ))}
+                        {plan.gracePeriodDays > 0 && (
+                          <li className="flex items-start gap-2 text-richblack-300">
+                            <FiClock className="mt-0.5 flex-shrink-0" />
+                            <span>{plan.gracePeriodDays} day grace period to renew</span>
+                          </li>
+                        )}
+                      </ul>
+
+                      {(!user || user.accountType === ACCOUNT_TYPE.STUDENT) && (
+                        <button
+                          onClick={() => handleSubscribe(plan)}
+                          disabled={blocked}
+                          className="mt-6 w-full rounded-lg bg-yellow-50 py-3 font-semibold text-richblack-900 transition-all duration-200 hover:scale-95 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:scale-100"
+                        >
+                          {isCurrentPlan ? "Renew" : "Subscribe"}
+                        </button>
+                      )}
+                      {blocked && (
+                        <p className="mt-2 text-center text-xs text-richblack-400">
+                          Available once your current membership ends
+                        </p>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <ImprovedFooter />
+    </>
+  )
+}
+
+export default Memberships
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { useNavigate, useSearchParams } from "react-router-dom"
+
+import { finishRedirectPayment } from "../services/operations/studentFeaturesAPI"
+
+// Landing page for hosted checkouts (Stripe) returning to the site
+function PaymentComplete() {
+  const [searchParams] = useSearchParams()
+  const { token } = useSelector((state) => state.auth)
+  const navigate = useNavigate()
+  const dispatch = useDispatch()
+  const handled = useRef(false)
+
+  useEffect(() => {
+    // Verify once, even when the effect runs twice in development
+    if (handled.current) return
+    handled.current = true
+
+    finishRedirectPayment({
+      gateway: searchParams.get("gateway"),
+      session_id: searchParams.get("session_id"),
+      cancelled: searchParams.get("cancelled") === "true",
+    }, token, navigate, dispatch)
+  }, [searchParams, token, navigate, dispatch])
+
+  return (
+    <div className="flex h-[calc(100vh-3.5rem)] flex-col items-center justify-center gap-4">
+      <div className="spinner"></div>
+      <p className="text-richblack-200">Confirming your payment...</p>
+    </div>
+  )
+}
+
+export default PaymentComplete
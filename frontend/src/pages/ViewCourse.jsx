@@ -13,6 +13,7 @@ import {
   setTotalNoOfLectures,
   setCompletedQuizzes,
   setPassedQuizzes,
+  setCompletedExercises,
 } from "../slices/viewCourseSlice"
 
 import { setCourseViewSidebar } from "../slices/sidebarSlice"
@@ -37,6 +38,7 @@ export default function ViewCourse() {
     dispatch(setCompletedLectures([]))
     dispatch(setCompletedQuizzes([]))
     dispatch(setPassedQuizzes([]))
+    dispatch(setCompletedExercises([]))
     dispatch(setTotalNoOfLectures(0))
   }, [dispatch])
 
@@ -72,6 +74,7 @@ export default function ViewCourse() {
           dispatch(setCompletedLectures(courseData.completedVideos || []))
           dispatch(setCompletedQuizzes(courseData.completedQuizzes || []))
           dispatch(setPassedQuizzes(courseData.passedQuizzes || []))
+          dispatch(setCompletedExercises(courseData.completedExercises || []))
           dispatch(setTotalNoOfLectures(totalLectures))
         })
       } else {
@@ -6,6 +6,7 @@ import courseReducer from "../slices/courseSlice"
 import profileReducer from "../slices/profileSlice"
 import viewCourseReducer from "../slices/viewCourseSlice"
 import adminNotificationReducer from "../slices/adminNotificationSlice"
+import currencyReducer from "../slices/currencySlice"
 
 import sidebarSlice from "../slices/sidebarSlice"
 
@@ -16,6 +17,7 @@ const rootReducer = combineReducers({
   cart: cartReducer,
   viewCourse: viewCourseReducer,
   adminNotification: adminNotificationReducer,
+  currency: currencyReducer,
   sidebar: sidebarSlice
 })
 
@@ -23,9 +23,15 @@ export const profileEndpoints = {
 // STUDENTS ENDPOINTS
 export const studentEndpoints = {
   COURSE_PAYMENT_API: BASE_URL + "/api/v1/payment/capturePayment",
+  BUNDLE_PAYMENT_API: BASE_URL + "/api/v1/payment/bundle/capturePayment",
+  SUBSCRIPTION_PAYMENT_API: BASE_URL + "/api/v1/payment/subscription/capturePayment",
+  GIFT_PAYMENT_API: BASE_URL + "/api/v1/payment/gift/capturePayment",
   COURSE_VERIFY_API: BASE_URL + "/api/v1/payment/verifyPayment",
   SEND_PAYMENT_SUCCESS_EMAIL_API: BASE_URL + "/api/v1/payment/sendPaymentSuccessEmail",
   GET_ORDER_BY_COURSE_API: BASE_URL + "/api/v1/payment/order/course/:courseId",
+  REQUEST_REFUND_API: BASE_URL + "/api/v1/payment/refunds/request",
+  GET_USER_REFUNDS_API: BASE_URL + "/api/v1/payment/refunds",
+  DOWNLOAD_INVOICE_API: BASE_URL + "/api/v1/payment/invoice/:orderId",
 }
 
 // COURSE ENDPOINTS
@@ -49,9 +55,11 @@ export const courseEndpoints = {
   DELETE_COURSE_API: BASE_URL + "/api/v1/course/deleteCourse",
   GET_FULL_COURSE_DETAILS_AUTHENTICATED: BASE_URL + "/api/v1/course/getFullCourseDetails",
   LECTURE_COMPLETION_API: BASE_URL + "/api/v1/course/updateCourseProgress",
-  UPDATE_QUIZ_PROGRESS_API: BASE_URL + "/api/v1/course/updateQuizProgress",
   CHECK_SECTION_ACCESS_API: BASE_URL + "/api/v1/course/checkSectionAccess",
   GET_PROGRESS_PERCENTAGE_API: BASE_URL + "/api/v1/course/getProgressPercentage",
+  UPDATE_VIDEO_PROGRESS_API: BASE_URL + "/api/v1/course/updateVideoProgress",
+  GET_VIDEO_PROGRESS_API: BASE_URL + "/api/v1/course/getVideoProgress",
+  CONTINUE_LEARNING_API: BASE_URL + "/api/v1/course/continueLearning",
   CREATE_RATING_API: BASE_URL + "/api/v1/course/createRating",
 }
 
@@ -137,6 +145,11 @@ export const adminEndpoints = {
   UPDATE_ORDER_STATUS_API: BASE_URL + "/api/v1/admin/orders/:orderId/status",
   GENERATE_ORDERS_PDF_API: BASE_URL + "/api/v1/admin/orders/export-pdf",
   GET_ORDER_BY_COURSE_API: BASE_URL + "/api/v1/admin/orders/course/:courseId",
+
+  // Refund Management
+  GET_REFUND_REQUESTS_API: BASE_URL + "/api/v1/admin/refunds",
+  HANDLE_REFUND_REQUEST_API: BASE_URL + "/api/v1/admin/refunds/:refundId",
+
   // Notification Management
   SEND_NOTIFICATION_API: BASE_URL + "/api/v1/admin/notifications/send",
   GET_ALL_NOTIFICATIONS_API: BASE_URL + "/api/v1/admin/notifications",
@@ -168,16 +181,122 @@ export const courseAccessEndpoints = {
   UPDATE_BUNDLE_REQUEST_STATUS_API: BASE_URL + "/api/v1/course-access/bundle-update-status/:bundleId",
 }
 
+// BUNDLE ENDPOINTS
+export const bundleEndpoints = {
+  // Public
+  GET_BUNDLES_API: BASE_URL + "/api/v1/bundle",
+  GET_BUNDLE_DETAILS_API: BASE_URL + "/api/v1/bundle/:bundleId",
+
+  // Admin
+  GET_ALL_BUNDLES_API: BASE_URL + "/api/v1/bundle/admin/all",
+  CREATE_BUNDLE_API: BASE_URL + "/api/v1/bundle/create",
+  UPDATE_BUNDLE_API: BASE_URL + "/api/v1/bundle/update/:bundleId",
+  DELETE_BUNDLE_API: BASE_URL + "/api/v1/bundle/delete/:bundleId",
+}
+
+// MEMBERSHIP ENDPOINTS
+export const subscriptionEndpoints = {
+  // Public
+  GET_PLANS_API: BASE_URL + "/api/v1/subscription/plans",
+
+  // Student
+  GET_MY_SUBSCRIPTION_API: BASE_URL + "/api/v1/subscription/me",
+  ENROLL_WITH_SUBSCRIPTION_API: BASE_URL + "/api/v1/subscription/enroll",
+
+  // Admin
+  GET_ALL_PLANS_API: BASE_URL + "/api/v1/subscription/admin/plans",
+  GET_SUBSCRIPTIONS_API: BASE_URL + "/api/v1/subscription/admin/subscriptions",
+  CREATE_PLAN_API: BASE_URL + "/api/v1/subscription/admin/plans",
+  UPDATE_PLAN_API: BASE_URL + "/api/v1/subscription/admin/plans/:planId",
+  DELETE_PLAN_API: BASE_URL + "/api/v1/subscription/admin/plans/:planId",
+}
+
+// GIFT ENDPOINTS
+export const giftEndpoints = {
+  // Public
+  GET_GIFT_API: BASE_URL + "/api/v1/gift/:code",
+
+  // Student
+  CLAIM_GIFT_API: BASE_URL + "/api/v1/gift/claim",
+}
+
+// CURRENCY ENDPOINTS
+export const currencyEndpoints = {
+  // Public
+  GET_CURRENCIES_API: BASE_URL + "/api/v1/currency",
+
+  // Signed in users
+  UPDATE_PREFERRED_CURRENCY_API: BASE_URL + "/api/v1/currency/preference",
+
+  // Admin
+  GET_ALL_CURRENCIES_API: BASE_URL + "/api/v1/currency/admin",
+  CREATE_CURRENCY_API: BASE_URL + "/api/v1/currency/admin",
+  UPDATE_CURRENCY_API: BASE_URL + "/api/v1/currency/admin/:currencyId",
+  DELETE_CURRENCY_API: BASE_URL + "/api/v1/currency/admin/:currencyId",
+}
+
+// QUESTION BANK ENDPOINTS
+export const questionBankEndpoints = {
+  GET_QUESTION_BANKS_API: BASE_URL + "/api/v1/question-bank",
+  GET_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId",
+  CREATE_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank",
+  UPDATE_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId",
+  DELETE_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId",
+  EXPORT_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId/export",
+}
+
+// CODING EXERCISE ENDPOINTS
+export const codeExerciseEndpoints = {
+  CREATE_CODE_EXERCISE_API: BASE_URL + "/api/v1/code-exercise",
+  UPDATE_CODE_EXERCISE_API: BASE_URL + "/api/v1/code-exercise/:exerciseId",
+  GET_CODE_EXERCISE_API: BASE_URL + "/api/v1/code-exercise/:exerciseId",
+  GET_EXERCISE_DRAFT_API: BASE_URL + "/api/v1/code-exercise/:exerciseId/draft",
+  SAVE_EXERCISE_DRAFT_API: BASE_URL + "/api/v1/code-exercise/:exerciseId/draft",
+  RUN_EXERCISE_SAMPLES_API: BASE_URL + "/api/v1/code-exercise/:exerciseId/run",
+  SUBMIT_CODE_EXERCISE_API: BASE_URL + "/api/v1/code-exercise/:exerciseId/submit",
+  GET_EXERCISE_SUBMISSIONS_API: BASE_URL + "/api/v1/code-exercise/:exerciseId/submissions",
+}
+
+// CAPTION ENDPOINTS
+export const captionEndpoints = {
+  GET_CAPTION_TRACKS_API: BASE_URL + "/api/v1/captions/:subSectionId",
+  ADD_CAPTION_TRACK_API: BASE_URL + "/api/v1/captions/:subSectionId",
+  GENERATE_CAPTIONS_API: BASE_URL + "/api/v1/captions/:subSectionId/generate",
+  GET_CAPTION_TRACK_API: BASE_URL + "/api/v1/captions/:subSectionId/:trackId",
+  UPDATE_CAPTION_TRACK_API: BASE_URL + "/api/v1/captions/:subSectionId/:trackId",
+  DELETE_CAPTION_TRACK_API: BASE_URL + "/api/v1/captions/:subSectionId/:trackId",
+}
+
+// TRANSCRIPT ENDPOINTS
+export const transcriptEndpoints = {
+  GET_LECTURE_TRANSCRIPT_API: BASE_URL + "/api/v1/transcripts/:subSectionId",
+  SEARCH_COURSE_TRANSCRIPTS_API: BASE_URL + "/api/v1/transcripts/course/:courseId/search",
+}
+
 // QUIZ ENDPOINTS
 export const quizEndpoints = {
   CREATE_QUIZ_API: BASE_URL + "/api/v1/quiz/create",
   UPDATE_QUIZ_API: BASE_URL + "/api/v1/quiz/update/:quizId",
   GET_QUIZ_API: BASE_URL + "/api/v1/quiz/:quizId",
   GET_ALL_QUIZZES_API: BASE_URL + "/api/v1/quiz/all",
+  START_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/start/:quizId",
+  SAVE_QUIZ_ANSWERS_API: BASE_URL + "/api/v1/quiz/attempt/:attemptId/answers",
+  UPLOAD_QUIZ_ANSWER_FILE_API: BASE_URL + "/api/v1/quiz/attempt/:attemptId/upload",
   SUBMIT_QUIZ_API: BASE_URL + "/api/v1/quiz/submit",
   GET_QUIZ_RESULTS_API: BASE_URL + "/api/v1/quiz/results/:quizId",
   GET_QUIZ_STATUS_API: BASE_URL + "/api/v1/quiz/status/:quizId",
   VALIDATE_SECTION_ACCESS_API: BASE_URL + "/api/v1/quiz/validate-access/:sectionId",
+  RUN_CODE_API: BASE_URL + "/api/v1/quiz/run-code",
+  RUN_TEST_CASES_API: BASE_URL + "/api/v1/quiz/run-tests",
+  GET_GRADING_QUEUE_API: BASE_URL + "/api/v1/quiz/grading/queue",
+  GET_ATTEMPT_FOR_GRADING_API: BASE_URL + "/api/v1/quiz/grading/attempt/:attemptId",
+  GRADE_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/grading/attempt/:attemptId",
+  EXPORT_QUIZ_API: BASE_URL + "/api/v1/quiz/export/:quizId",
+  PREVIEW_QUIZ_IMPORT_API: BASE_URL + "/api/v1/quiz/import/preview",
+  GET_QUIZ_ITEM_ANALYSIS_API: BASE_URL + "/api/v1/quiz/analysis/:quizId",
+  RECORD_INTEGRITY_EVENTS_API: BASE_URL + "/api/v1/quiz/attempt/:attemptId/integrity",
+  GET_QUIZ_INTEGRITY_REPORT_API: BASE_URL + "/api/v1/quiz/integrity/:quizId",
+  GET_ATTEMPT_INTEGRITY_REPORT_API: BASE_URL + "/api/v1/quiz/integrity/attempt/:attemptId",
 }
 
 // CERTIFICATE ENDPOINTS
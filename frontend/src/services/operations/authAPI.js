@@ -3,6 +3,7 @@ import { toast } from "react-hot-toast"
 import { setLoading, setToken, setUser, clearAuth } from "../../slices/authSlice"
 import { resetCart } from "../../slices/cartSlice"
 import { setUser as setProfileUser } from "../../slices/profileSlice"
+import { setCurrency } from "../../slices/currencySlice"
 import { apiConnector } from "../apiConnector"
 import { endpoints } from "../apis"
 
@@ -14,6 +15,15 @@ const {
   RESETPASSWORD_API,
 } = endpoints
 
+// Gift code saved by the claim page while the recipient signs up or logs in
+const getPendingGiftCode = () => localStorage.getItem("pendingGiftCode") || undefined
+
+const announceClaimedGifts = (claimedGifts = []) => {
+  if (claimedGifts.length > 0) {
+    toast.success(`Gift claimed: ${claimedGifts.join(", ")} added to your courses`)
+  }
+}
+
 // ================ send Otp ================
 export function sendOtp(email, navigate) {
   return async (dispatch) => {
@@ -60,6 +70,7 @@ export function signUp(accountType, firstName, lastName, email, password, confir
         password,
         confirmPassword,
         otp,
+        giftCode: getPendingGiftCode(),
       })
 
       // console.log("SIGNUP API RESPONSE --> ", response);
@@ -69,6 +80,10 @@ export function signUp(accountType, firstName, lastName, email, password, confir
       }
 
       toast.success("Signup Successful");
+      if (response.data.claimedGifts?.length > 0) {
+        localStorage.removeItem("pendingGiftCode");
+      }
+      announceClaimedGifts(response.data.claimedGifts);
       navigate("/login");
     } catch (error) {
       console.log("SIGNUP API ERROR --> ", error);
@@ -96,6 +111,7 @@ export function login(email, password, navigate) {
       const response = await apiConnector("POST", LOGIN_API, {
         email,
         password,
+        giftCode: getPendingGiftCode(),
       })
 
       console.log("LOGIN API RESPONSE............", response);
@@ -116,8 +132,14 @@ export function login(email, password, navigate) {
       // Set user data in both auth and profile slices
       dispatch(setUser(userData));
       dispatch(setProfileUser(userData));
+      if (userData.preferredCurrency) {
+        dispatch(setCurrency(userData.preferredCurrency));
+      }
 
-      navigate("/dashboard/my-profile");
+      const claimedGifts = response.data.claimedGifts || [];
+      localStorage.removeItem("pendingGiftCode");
+      announceClaimedGifts(claimedGifts);
+      navigate(claimedGifts.length > 0 ? "/dashboard/enrolled-courses" : "/dashboard/my-profile");
     } catch (error) {
       console.log("LOGIN API ERROR.......", error)
       toast.error(error.response?.data?.message)
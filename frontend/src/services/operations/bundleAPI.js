@@ -0,0 +1,131 @@
+import { toast } from "react-hot-toast";
+import { apiConnector } from "../apiConnector";
+import { bundleEndpoints } from "../apis";
+
+const {
+  GET_BUNDLES_API,
+  GET_BUNDLE_DETAILS_API,
+  GET_ALL_BUNDLES_API,
+  CREATE_BUNDLE_API,
+  UPDATE_BUNDLE_API,
+  DELETE_BUNDLE_API,
+} = bundleEndpoints;
+
+// ================ PUBLIC BUNDLE FUNCTIONS ================
+
+// Active bundles, optionally only those with a course in the given category
+export const getBundles = async (categoryId = null) => {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_BUNDLES_API, null, null, categoryId ? { categoryId } : null);
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch bundles");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_BUNDLES_API ERROR............", error);
+  }
+  return result;
+};
+
+export const getBundleDetails = async (bundleId) => {
+  let result = null;
+  try {
+    const response = await apiConnector("GET", GET_BUNDLE_DETAILS_API.replace(":bundleId", bundleId));
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch bundle details");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_BUNDLE_DETAILS_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not fetch bundle details");
+  }
+  return result;
+};
+
+// ================ ADMIN BUNDLE FUNCTIONS ================
+
+export const getAllBundles = async (token) => {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_ALL_BUNDLES_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch bundles");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_ALL_BUNDLES_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not fetch bundles");
+  }
+  return result;
+};
+
+// data is a FormData with title, description, price, validityDays, isActive,
+// courses (JSON array of ids) and an optional thumbnailImage
+export const createBundle = async (data, token) => {
+  const toastId = toast.loading("Creating bundle...");
+  let result = null;
+  try {
+    const response = await apiConnector("POST", CREATE_BUNDLE_API, data, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not create bundle");
+    }
+    result = response?.data?.data;
+    toast.success("Bundle created successfully");
+  } catch (error) {
+    console.log("CREATE_BUNDLE_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not create bundle");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const updateBundle = async (bundleId, data, token) => {
+  const toastId = toast.loading("Updating bundle...");
+  let result = null;
+  try {
+    const response = await apiConnector("PUT", UPDATE_BUNDLE_API.replace(":bundleId", bundleId), data, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not update bundle");
+    }
+    result = response?.data?.data;
+    toast.success("Bundle updated successfully");
+  } catch (error) {
+    console.log("UPDATE_BUNDLE_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not update bundle");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const deleteBundle = async (bundleId, token) => {
+  const toastId = toast.loading("Deleting bundle...");
+  let success = false;
+  try {
+    const response = await apiConnector("DELETE", DELETE_BUNDLE_API.replace(":bundleId", bundleId), null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not delete bundle");
+    }
+    success = true;
+    toast.success("Bundle deleted successfully");
+  } catch (error) {
+    console.log("DELETE_BUNDLE_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not delete bundle");
+  }
+  toast.dismiss(toastId);
+  return success;
+};
@@ -0,0 +1,144 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { captionEndpoints } from "../apis"
+
+const {
+  GET_CAPTION_TRACKS_API,
+  ADD_CAPTION_TRACK_API,
+  GENERATE_CAPTIONS_API,
+  GET_CAPTION_TRACK_API,
+  UPDATE_CAPTION_TRACK_API,
+  DELETE_CAPTION_TRACK_API,
+} = captionEndpoints
+
+const trackUrl = (url, subSectionId, trackId) =>
+  url.replace(":subSectionId", subSectionId).replace(":trackId", trackId)
+
+// ================ Get Caption Tracks ================
+// A lecture's tracks, its caption generation job and whether it can be started
+export const getCaptionTracks = async (subSectionId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_CAPTION_TRACKS_API.replace(":subSectionId", subSectionId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Captions")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_CAPTION_TRACKS_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Add Caption Track ================
+// formData holds the .vtt or .srt file with its language, label and isDefault
+export const addCaptionTrack = async (subSectionId, formData, token) => {
+  let result = null
+  const toastId = toast.loading("Uploading Captions...")
+  try {
+    const response = await apiConnector("POST", ADD_CAPTION_TRACK_API.replace(":subSectionId", subSectionId), formData, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Upload Captions")
+    }
+    result = response?.data?.data
+    toast.success("Captions Uploaded Successfully")
+  } catch (error) {
+    console.log("ADD_CAPTION_TRACK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Get Caption Track ================
+// The track with its WebVTT text, for editing
+export const getCaptionTrack = async (subSectionId, trackId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", trackUrl(GET_CAPTION_TRACK_API, subSectionId, trackId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Captions")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_CAPTION_TRACK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Update Caption Track ================
+export const updateCaptionTrack = async (subSectionId, trackId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Captions...")
+  try {
+    const response = await apiConnector("PUT", trackUrl(UPDATE_CAPTION_TRACK_API, subSectionId, trackId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Save Captions")
+    }
+    result = response?.data?.data
+    toast.success("Captions Saved Successfully")
+  } catch (error) {
+    console.log("UPDATE_CAPTION_TRACK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Delete Caption Track ================
+export const deleteCaptionTrack = async (subSectionId, trackId, token) => {
+  let result = null
+  const toastId = toast.loading("Deleting Captions...")
+  try {
+    const response = await apiConnector("DELETE", trackUrl(DELETE_CAPTION_TRACK_API, subSectionId, trackId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Delete Captions")
+    }
+    result = response?.data?.data
+    toast.success("Captions Deleted Successfully")
+  } catch (error) {
+    console.log("DELETE_CAPTION_TRACK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Generate Captions ================
+// Starts transcribing the lecture's video; the job runs in the background
+export const generateCaptions = async (subSectionId, language, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", GENERATE_CAPTIONS_API.replace(":subSectionId", subSectionId), { language }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Generate Captions")
+    }
+    result = response?.data?.data
+    toast.success("Captions Are Being Generated")
+  } catch (error) {
+    console.log("GENERATE_CAPTIONS_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
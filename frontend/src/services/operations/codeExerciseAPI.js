@@ -0,0 +1,182 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { codeExerciseEndpoints } from "../apis"
+
+const {
+  CREATE_CODE_EXERCISE_API,
+  UPDATE_CODE_EXERCISE_API,
+  GET_CODE_EXERCISE_API,
+  GET_EXERCISE_DRAFT_API,
+  SAVE_EXERCISE_DRAFT_API,
+  RUN_EXERCISE_SAMPLES_API,
+  SUBMIT_CODE_EXERCISE_API,
+  GET_EXERCISE_SUBMISSIONS_API,
+} = codeExerciseEndpoints
+
+// ================ Create Code Exercise ================
+export const createCodeExercise = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Creating Coding Exercise...")
+  try {
+    const response = await apiConnector("POST", CREATE_CODE_EXERCISE_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Create Coding Exercise")
+    }
+    result = response?.data?.data
+    toast.success("Coding Exercise Created Successfully")
+  } catch (error) {
+    console.log("CREATE_CODE_EXERCISE_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Update Code Exercise ================
+export const updateCodeExercise = async (exerciseId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Updating Coding Exercise...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_CODE_EXERCISE_API.replace(":exerciseId", exerciseId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Update Coding Exercise")
+    }
+    result = response?.data?.data
+    toast.success("Coding Exercise Updated Successfully")
+  } catch (error) {
+    console.log("UPDATE_CODE_EXERCISE_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Get Code Exercise ================
+// Students get it without hidden test cases, and with whether they solved it
+export const getCodeExercise = async (exerciseId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_CODE_EXERCISE_API.replace(":exerciseId", exerciseId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Coding Exercise")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_CODE_EXERCISE_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Get Exercise Draft ================
+// The student's saved files, or null when they have none
+export const getExerciseDraft = async (exerciseId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_EXERCISE_DRAFT_API.replace(":exerciseId", exerciseId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Draft")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_EXERCISE_DRAFT_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Save Exercise Draft ================
+// Called while the student types, so failures stay quiet
+export const saveExerciseDraft = async (exerciseId, files, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("PUT", SAVE_EXERCISE_DRAFT_API.replace(":exerciseId", exerciseId), { files }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Draft")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("SAVE_EXERCISE_DRAFT_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Run Exercise Samples ================
+// Runs the files against the visible test cases; nothing is recorded
+export const runExerciseSamples = async (exerciseId, files, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", RUN_EXERCISE_SAMPLES_API.replace(":exerciseId", exerciseId), { files }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Run Tests")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("RUN_EXERCISE_SAMPLES_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Submit Code Exercise ================
+export const submitCodeExercise = async (exerciseId, files, token) => {
+  let result = null
+  const toastId = toast.loading("Running all tests...")
+  try {
+    const response = await apiConnector("POST", SUBMIT_CODE_EXERCISE_API.replace(":exerciseId", exerciseId), { files }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Submit Code")
+    }
+    result = response?.data?.data
+    if (result.passed) {
+      toast.success(response.data.message)
+    } else {
+      toast.error(response.data.message)
+    }
+  } catch (error) {
+    console.log("SUBMIT_CODE_EXERCISE_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Get Exercise Submissions ================
+// The student's submissions, newest first
+export const getExerciseSubmissions = async (exerciseId, token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_EXERCISE_SUBMISSIONS_API.replace(":exerciseId", exerciseId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Submissions")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_EXERCISE_SUBMISSIONS_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
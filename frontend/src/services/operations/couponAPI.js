@@ -31,8 +31,9 @@ export function createCoupon(data, token) {
 // Validate and apply coupon in a single request
 export async function validateAndApplyCoupon(data, token) {
   try {
+    // Usage is recorded by the server once the order is paid, so only validate here
     const response = await apiConnector("POST", VALIDATE_AND_APPLY_COUPON_API, 
-      { ...data, applyImmediately: true },
+      { ...data, applyImmediately: false },
       { Authorization: `Bearer ${token}` }
     );
 
@@ -122,7 +122,7 @@ export const getAllAccessRequests = async (token, status = null, page = 1, limit
 }
 
 // ================ Handle Access Request (Admin) ================
-export const handleAccessRequest = async (requestId, action, adminResponse, token) => {
+export const handleAccessRequest = async (requestId, action, adminResponse, token, accessDays = '') => {
   let result = null
   const toastId = toast.loading("Processing...")
 
@@ -131,7 +131,8 @@ export const handleAccessRequest = async (requestId, action, adminResponse, toke
     
     const response = await apiConnector("PUT", url, {
       action,
-      adminResponse
+      adminResponse,
+      accessDays
     }, {
       Authorization: `Bearer ${token}`,
     })
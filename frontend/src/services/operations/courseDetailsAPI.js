@@ -22,6 +22,9 @@ const {
   GET_FULL_COURSE_DETAILS_AUTHENTICATED,
   CREATE_RATING_API,
   LECTURE_COMPLETION_API,
+  UPDATE_VIDEO_PROGRESS_API,
+  GET_VIDEO_PROGRESS_API,
+  CONTINUE_LEARNING_API,
 } = courseEndpoints
 
 
@@ -572,6 +575,59 @@ export const markLectureAsComplete = async (data, token) => {
   return result
 }
 
+// ================ Update Video Progress ================
+// Sent in the background while a lecture plays, so it doesn't toast
+export const updateVideoProgress = async (data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", UPDATE_VIDEO_PROGRESS_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Save Video Progress")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("UPDATE_VIDEO_PROGRESS_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Get Video Progress ================
+export const getVideoProgress = async (data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", GET_VIDEO_PROGRESS_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Fetch Video Progress")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_VIDEO_PROGRESS_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Get Continue Learning ================
+// The next unfinished lecture of each enrolled course, most recently studied first
+export const getContinueLearning = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", CONTINUE_LEARNING_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Fetch Continue Learning")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("CONTINUE_LEARNING_API ERROR............", error)
+  }
+  return result
+}
+
 
 // ================ create Course Rating  ================
 export const createRating = async (data, token) => {
@@ -0,0 +1,142 @@
+import { toast } from "react-hot-toast";
+import { apiConnector } from "../apiConnector";
+import { currencyEndpoints } from "../apis";
+import { setCurrencies, setCurrency } from "../../slices/currencySlice";
+
+const {
+  GET_CURRENCIES_API,
+  UPDATE_PREFERRED_CURRENCY_API,
+  GET_ALL_CURRENCIES_API,
+  CREATE_CURRENCY_API,
+  UPDATE_CURRENCY_API,
+  DELETE_CURRENCY_API,
+} = currencyEndpoints;
+
+// ================ CURRENCY FUNCTIONS ================
+
+// Load the currencies students can pay in. Without a saved choice the server
+// picks the currency of the user's country.
+export function fetchCurrencies() {
+  return async (dispatch, getState) => {
+    try {
+      const selected = getState().currency.currency;
+      const response = await apiConnector("GET", GET_CURRENCIES_API, null, null,
+        selected ? { currency: selected } : null);
+
+      if (!response?.data?.success) {
+        throw new Error("Could not fetch currencies");
+      }
+      const { baseCurrency, detected, currencies } = response.data.data;
+      dispatch(setCurrencies({ baseCurrency, currencies }));
+      if (detected !== selected) {
+        dispatch(setCurrency(detected));
+      }
+    } catch (error) {
+      console.log("GET_CURRENCIES_API ERROR............", error);
+    }
+  };
+}
+
+// Switch the currency prices are shown in, saving it for signed in users
+export function changeCurrency(currency, token) {
+  return async (dispatch) => {
+    dispatch(setCurrency(currency));
+    if (!token) {
+      return;
+    }
+    try {
+      const response = await apiConnector("PUT", UPDATE_PREFERRED_CURRENCY_API, { currency }, {
+        Authorization: `Bearer ${token}`,
+      });
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not save currency");
+      }
+    } catch (error) {
+      console.log("UPDATE_PREFERRED_CURRENCY_API ERROR............", error);
+    }
+  };
+}
+
+// ================ ADMIN CURRENCY FUNCTIONS ================
+
+export const getAllCurrencies = async (token) => {
+  let result = null;
+  try {
+    const response = await apiConnector("GET", GET_ALL_CURRENCIES_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch currencies");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_ALL_CURRENCIES_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not fetch currencies");
+  }
+  return result;
+};
+
+export const createCurrency = async (data, token) => {
+  const toastId = toast.loading("Adding currency...");
+  let result = null;
+  try {
+    const response = await apiConnector("POST", CREATE_CURRENCY_API, data, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not add currency");
+    }
+    result = response?.data?.data;
+    toast.success("Currency added successfully");
+  } catch (error) {
+    console.log("CREATE_CURRENCY_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not add currency");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const updateCurrency = async (currencyId, data, token) => {
+  const toastId = toast.loading("Updating currency...");
+  let result = null;
+  try {
+    const response = await apiConnector("PUT", UPDATE_CURRENCY_API.replace(":currencyId", currencyId), data, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not update currency");
+    }
+    result = response?.data?.data;
+    toast.success("Currency updated successfully");
+  } catch (error) {
+    console.log("UPDATE_CURRENCY_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not update currency");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const deleteCurrency = async (currencyId, token) => {
+  const toastId = toast.loading("Deleting currency...");
+  let success = false;
+  try {
+    const response = await apiConnector("DELETE", DELETE_CURRENCY_API.replace(":currencyId", currencyId), null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not delete currency");
+    }
+    success = true;
+    toast.success("Currency deleted successfully");
+  } catch (error) {
+    console.log("DELETE_CURRENCY_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not delete currency");
+  }
+  toast.dismiss(toastId);
+  return success;
+};
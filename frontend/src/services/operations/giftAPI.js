@@ -0,0 +1,48 @@
+import { toast } from "react-hot-toast";
+import { apiConnector } from "../apiConnector";
+import { giftEndpoints } from "../apis";
+
+const {
+  GET_GIFT_API,
+  CLAIM_GIFT_API,
+} = giftEndpoints;
+
+// ================ GIFT FUNCTIONS ================
+
+// Public details of a gift for its claim page, or null if the code is unknown
+export const getGift = async (code) => {
+  let result = null;
+  try {
+    const response = await apiConnector("GET", GET_GIFT_API.replace(":code", encodeURIComponent(code)));
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch gift");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_GIFT_API ERROR............", error);
+  }
+  return result;
+};
+
+// Resolves to the claimed course, or null if the gift could not be claimed
+export const claimGift = async (code, token) => {
+  const toastId = toast.loading("Claiming your gift...");
+  let result = null;
+  try {
+    const response = await apiConnector("POST", CLAIM_GIFT_API, { code }, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not claim gift");
+    }
+    toast.success(response.data.message);
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("CLAIM_GIFT_API ERROR............", error);
+    toast.error(error.response?.data?.message || error.message || "Could not claim gift");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
@@ -5,11 +5,15 @@ import { adminEndpoints, studentEndpoints } from "../apis";
 const { 
   GET_ALL_ORDERS_API, 
   UPDATE_ORDER_STATUS_API, 
-  GENERATE_ORDERS_PDF_API 
+  GENERATE_ORDERS_PDF_API,
+  GET_REFUND_REQUESTS_API,
+  HANDLE_REFUND_REQUEST_API
 } = adminEndpoints;
 
 const {
-  GET_ORDER_BY_COURSE_API: STUDENT_GET_ORDER_BY_COURSE_API
+  GET_ORDER_BY_COURSE_API: STUDENT_GET_ORDER_BY_COURSE_API,
+  REQUEST_REFUND_API,
+  DOWNLOAD_INVOICE_API
 } = studentEndpoints;
 
 export const getOrderByCourse = async (courseId, token) => {
@@ -133,3 +137,130 @@ export const generateOrdersPDF = async (token) => {
   
   toast.dismiss(toastId);
 };
+
+// Download the GST invoice PDF of an order
+export const downloadInvoice = async (token, orderId) => {
+  const toastId = toast.loading("Downloading invoice...");
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      DOWNLOAD_INVOICE_API.replace(":orderId", orderId),
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      },
+      null,
+      { responseType: "blob" }
+    );
+
+    const fileName = response.headers?.["content-disposition"]?.match(/filename=([^;]+)/)?.[1] || `invoice-${orderId}.pdf`;
+    const blob = new Blob([response.data], { type: "application/pdf" });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error("DOWNLOAD_INVOICE_API ERROR............", error);
+    // Error bodies arrive as a blob because of the responseType
+    let message = "Could not download invoice";
+    try {
+      message = JSON.parse(await error?.response?.data?.text())?.message || message;
+    } catch {
+      // keep the default message
+    }
+    toast.error(message);
+  }
+
+  toast.dismiss(toastId);
+};
+
+export const requestRefund = async (token, orderId, reason) => {
+  const toastId = toast.loading("Submitting refund request...");
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "POST",
+      REQUEST_REFUND_API,
+      { orderId, reason },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not submit refund request");
+    }
+
+    result = response?.data?.data;
+    toast.success("Refund request submitted");
+  } catch (error) {
+    console.error("REQUEST_REFUND_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not submit refund request");
+  }
+
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const getRefundRequests = async (token, status) => {
+  let result = [];
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_REFUND_REQUESTS_API,
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      },
+      status ? { status } : null
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not fetch refund requests");
+    }
+
+    result = response?.data?.data;
+  } catch (error) {
+    console.error("GET_REFUND_REQUESTS_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not fetch refund requests");
+  }
+
+  return result;
+};
+
+// action is "approve" or "reject"; amount (optional) makes an approval a partial refund
+export const handleRefundRequest = async (token, refundId, action, { amount, adminResponse } = {}) => {
+  const toastId = toast.loading(action === "approve" ? "Processing refund..." : "Rejecting request...");
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "PATCH",
+      HANDLE_REFUND_REQUEST_API.replace(":refundId", refundId),
+      { action, amount, adminResponse },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not update refund request");
+    }
+
+    result = response?.data?.data;
+    toast.success(response?.data?.message || "Refund request updated");
+  } catch (error) {
+    console.error("HANDLE_REFUND_REQUEST_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not update refund request");
+  }
+
+  toast.dismiss(toastId);
+  return result;
+};
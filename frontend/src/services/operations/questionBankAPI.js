@@ -0,0 +1,137 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { questionBankEndpoints } from "../apis"
+
+const {
+  GET_QUESTION_BANKS_API,
+  GET_QUESTION_BANK_API,
+  CREATE_QUESTION_BANK_API,
+  UPDATE_QUESTION_BANK_API,
+  DELETE_QUESTION_BANK_API,
+  EXPORT_QUESTION_BANK_API,
+} = questionBankEndpoints
+
+// ================ Get Question Banks ================
+// Banks without their questions, with question counts, tags and difficulties
+export const getQuestionBanks = async (token, filters = null) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_QUESTION_BANKS_API, null, {
+      Authorization: `Bearer ${token}`,
+    }, filters)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Question Banks")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUESTION_BANKS_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Get Question Bank ================
+export const getQuestionBank = async (bankId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUESTION_BANK_API.replace(":bankId", bankId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Question Bank")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUESTION_BANK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Create Question Bank ================
+export const createQuestionBank = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Creating Question Bank...")
+  try {
+    const response = await apiConnector("POST", CREATE_QUESTION_BANK_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Create Question Bank")
+    }
+    result = response?.data?.data
+    toast.success("Question Bank Created Successfully")
+  } catch (error) {
+    console.log("CREATE_QUESTION_BANK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Update Question Bank ================
+export const updateQuestionBank = async (bankId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Updating Question Bank...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_QUESTION_BANK_API.replace(":bankId", bankId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Update Question Bank")
+    }
+    result = response?.data?.data
+    toast.success("Question Bank Updated Successfully")
+  } catch (error) {
+    console.log("UPDATE_QUESTION_BANK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Delete Question Bank ================
+export const deleteQuestionBank = async (bankId, token) => {
+  let success = false
+  const toastId = toast.loading("Deleting Question Bank...")
+  try {
+    const response = await apiConnector("DELETE", DELETE_QUESTION_BANK_API.replace(":bankId", bankId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Delete Question Bank")
+    }
+    success = true
+    toast.success("Question Bank Deleted Successfully")
+  } catch (error) {
+    console.log("DELETE_QUESTION_BANK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return success
+}
+
+// ================ Export Question Bank ================
+// Resolves to { filename, mimeType, encoding, content, skipped }
+export const exportQuestionBank = async (bankId, format, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", EXPORT_QUESTION_BANK_API.replace(":bankId", bankId), null, {
+      Authorization: `Bearer ${token}`,
+    }, { format })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Export Question Bank")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("EXPORT_QUESTION_BANK_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
@@ -7,10 +7,22 @@ const {
   UPDATE_QUIZ_API,
   GET_QUIZ_API,
   GET_ALL_QUIZZES_API,
+  START_QUIZ_ATTEMPT_API,
+  SAVE_QUIZ_ANSWERS_API,
+  UPLOAD_QUIZ_ANSWER_FILE_API,
   SUBMIT_QUIZ_API,
   GET_QUIZ_RESULTS_API,
   GET_QUIZ_STATUS_API,
   VALIDATE_SECTION_ACCESS_API,
+  GET_GRADING_QUEUE_API,
+  GET_ATTEMPT_FOR_GRADING_API,
+  GRADE_QUIZ_ATTEMPT_API,
+  EXPORT_QUIZ_API,
+  PREVIEW_QUIZ_IMPORT_API,
+  GET_QUIZ_ITEM_ANALYSIS_API,
+  RECORD_INTEGRITY_EVENTS_API,
+  GET_QUIZ_INTEGRITY_REPORT_API,
+  GET_ATTEMPT_INTEGRITY_REPORT_API,
 } = quizEndpoints
 
 // ================ Get All Quizzes ================
@@ -96,6 +108,94 @@ export const updateQuiz = async (quizId, data, token) => {
   return result
 }
 
+// ================ Start Quiz Attempt ================
+// Starts a new attempt, or resumes the one in progress
+export const startQuizAttempt = async (quizId, data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", START_QUIZ_ATTEMPT_API.replace(":quizId", quizId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Start Quiz")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("START_QUIZ_ATTEMPT_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Save Quiz Answers ================
+// Saves answers, and the seconds spent on each question, while the quiz is in
+// progress, without a toast
+export const saveQuizAnswers = async (attemptId, answers, token, questionTimes = null) => {
+  let result = null
+  try {
+    const response = await apiConnector("PUT", SAVE_QUIZ_ANSWERS_API.replace(":attemptId", attemptId), { answers, questionTimes }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Answers")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("SAVE_QUIZ_ANSWERS_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Record Integrity Events ================
+// Reports tab switches, pastes and the like during an attempt, without a toast.
+// The attempt's answers go along in case the quiz's policy submits it.
+export const recordIntegrityEvents = async (attemptId, data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", RECORD_INTEGRITY_EVENTS_API.replace(":attemptId", attemptId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Record Integrity Events")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("RECORD_INTEGRITY_EVENTS_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Upload Quiz Answer File ================
+// Resolves to the uploaded file for the answer to point at
+export const uploadQuizAnswerFile = async (attemptId, questionId, file, token) => {
+  let result = null
+  const toastId = toast.loading("Uploading file...")
+  try {
+    const formData = new FormData()
+    formData.append("questionId", questionId)
+    formData.append("file", file)
+
+    const response = await apiConnector("POST", UPLOAD_QUIZ_ANSWER_FILE_API.replace(":attemptId", attemptId), formData, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Upload File")
+    }
+    result = response?.data?.data
+    toast.success("File uploaded")
+  } catch (error) {
+    console.log("UPLOAD_QUIZ_ANSWER_FILE_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
 // ================ Submit Quiz ================
 export const submitQuiz = async (data, token) => {
   let result = null
@@ -105,7 +205,7 @@ export const submitQuiz = async (data, token) => {
       throw new Error("No authentication token found")
     }
 
-    if (!data || !data.quizId) {
+    if (!data || !data.attemptId) {
       throw new Error("Quiz submission data is required")
     }
 
@@ -122,14 +222,18 @@ export const submitQuiz = async (data, token) => {
     }
     result = response?.data?.data
     
-    if (data.timerExpired) {
+    if (result.pendingReview) {
+      toast.success("Quiz submitted. Your written answers will be graded by your instructor")
+    } else if (result.autoSubmitted) {
+      toast.success("Time was up, so your saved answers were graded")
+    } else if (data.timerExpired) {
       toast.success("Quiz auto-submitted due to time expiry")
     } else {
       toast.success("Quiz Submitted Successfully")
     }
   } catch (error) {
     console.log("SUBMIT_QUIZ_API ERROR............", error)
-    toast.error(error.message)
+    toast.error(error?.response?.data?.message || error.message)
   }
   toast.dismiss(toastId)
   return result
@@ -200,3 +304,167 @@ export const validateSectionAccess = async (sectionId, token) => {
   }
   return result
 }
+
+// ================ Get Grading Queue ================
+// Quiz attempts with written answers waiting for (or given) an instructor's grades
+export const getGradingQueue = async (token, filters = null) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_GRADING_QUEUE_API, null, {
+      Authorization: `Bearer ${token}`,
+    }, filters)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Grading Queue")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_GRADING_QUEUE_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Get Attempt For Grading ================
+export const getAttemptForGrading = async (attemptId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_ATTEMPT_FOR_GRADING_API.replace(":attemptId", attemptId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Attempt")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_ATTEMPT_FOR_GRADING_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Grade Quiz Attempt ================
+// data: { grades: [{ question, score | rubricScores, feedback }], release }
+export const gradeQuizAttempt = async (attemptId, data, token) => {
+  let result = null
+  const toastId = toast.loading(data.release ? "Releasing Result..." : "Saving Grades...")
+  try {
+    const response = await apiConnector("PUT", GRADE_QUIZ_ATTEMPT_API.replace(":attemptId", attemptId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Save Grades")
+    }
+    result = response?.data?.data
+    toast.success(response?.data?.message)
+  } catch (error) {
+    console.log("GRADE_QUIZ_ATTEMPT_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Export Quiz ================
+// Resolves to { filename, mimeType, encoding, content, skipped }
+export const exportQuiz = async (quizId, format, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", EXPORT_QUIZ_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    }, { format })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Export Quiz")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("EXPORT_QUIZ_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Preview Quiz Import ================
+// Dry run: validates the file and reports row errors without saving anything
+// data: { format, content, encoding }
+export const previewQuizImport = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Checking File...")
+  try {
+    const response = await apiConnector("POST", PREVIEW_QUIZ_IMPORT_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Check File")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("PREVIEW_QUIZ_IMPORT_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Get Quiz Item Analysis ================
+// Per-question difficulty, discrimination, option choices, times and test case pass rates
+export const getQuizItemAnalysis = async (quizId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_ITEM_ANALYSIS_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Quiz Analysis")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_ITEM_ANALYSIS_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Get Quiz Integrity Report ================
+// Integrity violations of every attempt at a quiz, and alike code answers
+export const getQuizIntegrityReport = async (quizId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_INTEGRITY_REPORT_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Integrity Report")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_INTEGRITY_REPORT_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Get Attempt Integrity Report ================
+export const getAttemptIntegrityReport = async (attemptId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_ATTEMPT_INTEGRITY_REPORT_API.replace(":attemptId", attemptId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Attempt Integrity Report")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_ATTEMPT_INTEGRITY_REPORT_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
@@ -4,9 +4,13 @@ import { apiConnector } from "../apiConnector";
 import rzpLogo from "../../assets/Logo/rzp_logo.png"
 import { setPaymentLoading } from "../../slices/courseSlice";
 import { resetCart } from "../../slices/cartSlice";
+import { getCurrencyDigits } from "../../utils/currency";
 
 
-const { COURSE_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API } = studentEndpoints;
+const { COURSE_PAYMENT_API, BUNDLE_PAYMENT_API, SUBSCRIPTION_PAYMENT_API, GIFT_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API } = studentEndpoints;
+
+// Where to continue after a checkout that leaves the site, e.g. Stripe Checkout
+const PENDING_CHECKOUT_KEY = "pendingCheckout";
 
 function loadScript(src) {
     return new Promise((resolve) => {
@@ -24,54 +28,204 @@ function loadScript(src) {
 }
 
 // ================ buyCourse ================ 
-export async function buyCourse(token, coursesId, userDetails, navigate, dispatch, couponData = null) {
+// Resolves to true once the student is enrolled and false otherwise
+export async function buyCourse(token, coursesId, userDetails, navigate, dispatch, couponData = null, expectedAmount = null, currency = null) {
+    return checkout(COURSE_PAYMENT_API, { coursesId }, {
+        token, userDetails, navigate, dispatch, couponData, expectedAmount, currency,
+        description: "Thank you for purchasing the course",
+        clearCart: true,
+    });
+}
+
+
+// ================ buyBundle ================
+// Same flow as buyCourse for a course bundle
+export async function buyBundle(token, bundleId, userDetails, navigate, dispatch, couponData = null, expectedAmount = null, currency = null) {
+    return checkout(BUNDLE_PAYMENT_API, { bundleId }, {
+        token, userDetails, navigate, dispatch, couponData, expectedAmount, currency,
+        description: "Thank you for purchasing the bundle",
+        clearCart: false,
+    });
+}
+
+
+// ================ buySubscription ================
+// Pays for one period of a membership plan, renewing the current membership if it's the same plan
+export async function buySubscription(token, planId, userDetails, navigate, dispatch, expectedAmount = null, currency = null) {
+    return checkout(SUBSCRIPTION_PAYMENT_API, { planId }, {
+        token, userDetails, navigate, dispatch, expectedAmount, currency,
+        description: "Thank you for becoming a member",
+        clearCart: false,
+        redirectTo: "/memberships",
+    });
+}
+
+
+// ================ buyGift ================
+// Buys a course for someone else; the recipient gets an email with a gift code
+export async function buyGift(token, courseId, gift, userDetails, navigate, dispatch, couponData = null, expectedAmount = null, currency = null) {
+    return checkout(GIFT_PAYMENT_API, { courseId, ...gift }, {
+        token, userDetails, navigate, dispatch, couponData, expectedAmount, currency,
+        description: "Thank you for gifting the course",
+        clearCart: false,
+        redirectTo: "/dashboard/purchase-history",
+        successMessage: `Gift sent to ${gift.recipientEmail}!`,
+    });
+}
+
+
+// Create the order on the server and, when there is something to pay, hand over to the payment gateway
+async function checkout(paymentApi, requestBody, { token, userDetails, navigate, dispatch, couponData, expectedAmount, currency, description, clearCart, redirectTo = "/dashboard/enrolled-courses", successMessage }) {
     const toastId = toast.loading("Processing your enrollment...");
 
     try {
-        // Prepare request body with coupon information if available
-        const requestBody = { coursesId };
-        if (couponData) {
+        // The server prices the order itself, in the currency the student sees,
+        // and rejects it if the total it computes differs from the amount shown
+        if (currency) {
+            requestBody.currency = currency;
+        }
+        if (couponData?.code) {
             requestBody.couponCode = couponData.code;
-            requestBody.discountAmount = couponData.discountAmount;
+        }
+        if (expectedAmount !== null) {
+            requestBody.expectedAmount = expectedAmount;
         }
 
-        // First API call - capture payment/initiate enrollment
-        const courseResponse = await apiConnector(
+        // Create the order - orders that cost nothing are enrolled straight away
+        const orderResponse = await apiConnector(
             "POST", 
-            COURSE_PAYMENT_API,
+            paymentApi,
             requestBody,
             {
                 Authorization: `Bearer ${token}`,
             }
         );
 
-        if (!courseResponse.data.success) {
-            throw new Error(courseResponse.data.message);
+        if (!orderResponse.data.success) {
+            throw new Error(orderResponse.data.message);
         }
 
-        // If first call succeeds, proceed with verification
-        const verifyResponse = await apiConnector(
-            "POST", 
-            COURSE_VERIFY_API, 
-            requestBody,
-            {
-                Authorization: `Bearer ${token}`,
+        const order = orderResponse.data.data;
+        if (order.enrolled) {
+            toast.success(successMessage || "Successfully enrolled!");
+            navigate(redirectTo);
+            if (clearCart) {
+                dispatch(resetCart());
             }
-        );
+            return true;
+        }
 
-        if (!verifyResponse.data.success) {
-            throw new Error(verifyResponse.data.message);
+        // Hosted checkout pages redirect back to /payment/complete, see finishRedirectPayment
+        if (order.gateway === "stripe") {
+            sessionStorage.setItem(PENDING_CHECKOUT_KEY, JSON.stringify({
+                clearCart, redirectTo, successMessage, returnTo: window.location.pathname,
+            }));
+            window.location.assign(order.url);
+            return false;
         }
 
-        toast.success("Successfully enrolled in the course!");
-        navigate("/dashboard/enrolled-courses");
-        dispatch(resetCart());
+        // Development gateway: confirming the dialog stands in for paying
+        if (order.gateway === "mock") {
+            toast.dismiss(toastId);
+            if (!window.confirm(`Mock payment: pay ${order.currency} ${order.amount / 10 ** getCurrencyDigits(order.currency)}?`)) {
+                return false;
+            }
+            return await verifyPayment({ gateway: "mock", mock_order_id: order.orderId },
+                token, navigate, dispatch, clearCart, redirectTo, successMessage);
+        }
+
+        const scriptLoaded = await loadScript("https://checkout.razorpay.com/v1/checkout.js");
+        if (!scriptLoaded) {
+            toast.error("Razorpay SDK failed to load. Check your internet connection.");
+            return false;
+        }
+
+        toast.dismiss(toastId);
+
+        return await new Promise((resolve) => {
+            const options = {
+                key: order.key,
+                currency: order.currency,
+                amount: `${order.amount}`,
+                order_id: order.orderId,
+                name: "Beeja Academy",
+                description,
+                image: rzpLogo,
+                prefill: {
+                    name: `${userDetails.firstName} ${userDetails.lastName}`,
+                    email: userDetails.email,
+                },
+                handler: async (response) => {
+                    resolve(await verifyPayment({ gateway: "razorpay", ...response },
+                        token, navigate, dispatch, clearCart, redirectTo, successMessage));
+                },
+                modal: {
+                    ondismiss: () => resolve(false),
+                },
+            };
+
+            const paymentObject = new window.Razorpay(options);
+            paymentObject.on("payment.failed", (response) => {
+                toast.error("Oops, payment failed");
+                console.log("PAYMENT FAILED.....", response.error);
+            });
+            paymentObject.open();
+        });
 
     } catch (error) {
         console.log("ENROLLMENT API ERROR.....", error);
         toast.error(error.response?.data?.message || "Could not complete enrollment");
+        return false;
+    } finally {
+        toast.dismiss(toastId);
+    }
+}
+
+
+// ================ finish Redirect Payment ================
+// Completes a checkout on the page the gateway redirects back to
+export async function finishRedirectPayment(details, token, navigate, dispatch) {
+    const pending = JSON.parse(sessionStorage.getItem(PENDING_CHECKOUT_KEY) || "{}");
+    sessionStorage.removeItem(PENDING_CHECKOUT_KEY);
+
+    if (details.cancelled) {
+        toast.error("Payment cancelled");
+        navigate(pending.returnTo || "/");
+        return false;
+    }
+
+    return verifyPayment(details, token, navigate, dispatch, pending.clearCart, pending.redirectTo, pending.successMessage);
+}
+
+
+// ================ verify Payment ================
+// `details` holds the gateway name and the confirmation fields it returned to the browser
+async function verifyPayment(details, token, navigate, dispatch, clearCart = true, redirectTo = "/dashboard/enrolled-courses", successMessage) {
+    const toastId = toast.loading("Verifying payment...");
+    dispatch(setPaymentLoading(true));
+
+    try {
+        const verifyResponse = await apiConnector("POST", COURSE_VERIFY_API, details, {
+            Authorization: `Bearer ${token}`,
+        });
+
+        if (!verifyResponse.data.success) {
+            throw new Error(verifyResponse.data.message);
+        }
+
+        toast.success(successMessage || "Payment successful, you are enrolled!");
+        navigate(redirectTo);
+        if (clearCart) {
+            dispatch(resetCart());
+        }
+        return true;
+    } catch (error) {
+        console.log("PAYMENT VERIFY ERROR....", error);
+        toast.error(error.response?.data?.message || "Could not verify payment");
+        return false;
     } finally {
         toast.dismiss(toastId);
+        dispatch(setPaymentLoading(false));
     }
 }
 
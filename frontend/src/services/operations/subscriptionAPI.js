@@ -0,0 +1,171 @@
+import { toast } from "react-hot-toast";
+import { apiConnector } from "../apiConnector";
+import { subscriptionEndpoints } from "../apis";
+
+const {
+  GET_PLANS_API,
+  GET_MY_SUBSCRIPTION_API,
+  ENROLL_WITH_SUBSCRIPTION_API,
+  GET_ALL_PLANS_API,
+  GET_SUBSCRIPTIONS_API,
+  CREATE_PLAN_API,
+  UPDATE_PLAN_API,
+  DELETE_PLAN_API,
+} = subscriptionEndpoints;
+
+// ================ STUDENT MEMBERSHIP FUNCTIONS ================
+
+export const getPlans = async () => {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_PLANS_API);
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch membership plans");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_PLANS_API ERROR............", error);
+  }
+  return result;
+};
+
+// The student's membership (possibly expired), or null if they never had one
+export const getMySubscription = async (token) => {
+  let result = null;
+  try {
+    const response = await apiConnector("GET", GET_MY_SUBSCRIPTION_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch membership");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_MY_SUBSCRIPTION_API ERROR............", error);
+  }
+  return result;
+};
+
+export const enrollWithSubscription = async (courseId, token) => {
+  const toastId = toast.loading("Enrolling...");
+  let success = false;
+  try {
+    const response = await apiConnector("POST", ENROLL_WITH_SUBSCRIPTION_API, { courseId }, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not enroll");
+    }
+    success = true;
+    toast.success(response.data.message);
+  } catch (error) {
+    console.log("ENROLL_WITH_SUBSCRIPTION_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not enroll with your membership");
+  }
+  toast.dismiss(toastId);
+  return success;
+};
+
+// ================ ADMIN MEMBERSHIP FUNCTIONS ================
+
+export const getAllPlans = async (token) => {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_ALL_PLANS_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch membership plans");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_ALL_PLANS_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not fetch membership plans");
+  }
+  return result;
+};
+
+export const getSubscriptions = async (token, params = {}) => {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_SUBSCRIPTIONS_API, null, {
+      Authorization: `Bearer ${token}`,
+    }, params);
+
+    if (!response?.data?.success) {
+      throw new Error("Could not fetch members");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_SUBSCRIPTIONS_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not fetch members");
+  }
+  return result;
+};
+
+export const createPlan = async (data, token) => {
+  const toastId = toast.loading("Creating plan...");
+  let result = null;
+  try {
+    const response = await apiConnector("POST", CREATE_PLAN_API, data, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not create plan");
+    }
+    result = response?.data?.data;
+    toast.success("Plan created successfully");
+  } catch (error) {
+    console.log("CREATE_PLAN_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not create plan");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const updatePlan = async (planId, data, token) => {
+  const toastId = toast.loading("Updating plan...");
+  let result = null;
+  try {
+    const response = await apiConnector("PUT", UPDATE_PLAN_API.replace(":planId", planId), data, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not update plan");
+    }
+    result = response?.data?.data;
+    toast.success("Plan updated successfully");
+  } catch (error) {
+    console.log("UPDATE_PLAN_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not update plan");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const deletePlan = async (planId, token) => {
+  const toastId = toast.loading("Deleting plan...");
+  let success = false;
+  try {
+    const response = await apiConnector("DELETE", DELETE_PLAN_API.replace(":planId", planId), null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not delete plan");
+    }
+    success = true;
+    toast.success("Plan deleted successfully");
+  } catch (error) {
+    console.log("DELETE_PLAN_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not delete plan");
+  }
+  toast.dismiss(toastId);
+  return success;
+};
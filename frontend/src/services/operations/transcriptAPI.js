@@ -0,0 +1,47 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { transcriptEndpoints } from "../apis"
+
+const {
+  GET_LECTURE_TRANSCRIPT_API,
+  SEARCH_COURSE_TRANSCRIPTS_API,
+} = transcriptEndpoints
+
+// ================ Get Lecture Transcript ================
+// The lecture's transcript lines in order; lectures without captions have none
+export const getLectureTranscript = async (subSectionId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_LECTURE_TRANSCRIPT_API.replace(":subSectionId", subSectionId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Transcript")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_LECTURE_TRANSCRIPT_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Search Course Transcripts ================
+// Transcript lines across the course's lectures matching the query, best first
+export const searchCourseTranscripts = async (courseId, query, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", SEARCH_COURSE_TRANSCRIPTS_API.replace(":courseId", courseId), null, {
+      Authorization: `Bearer ${token}`,
+    }, { q: query })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Search Transcripts")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("SEARCH_COURSE_TRANSCRIPTS_API ERROR............", error)
+    toast.error(error?.response?.data?.message || error.message)
+  }
+  return result
+}
@@ -0,0 +1,27 @@
+import { createSlice } from "@reduxjs/toolkit"
+
+// Prices are stored in the base currency and shown in the selected one
+const initialState = {
+  currency: localStorage.getItem("currency") || null,
+  baseCurrency: "INR",
+  currencies: [],
+}
+
+const currencySlice = createSlice({
+  name: "currency",
+  initialState,
+  reducers: {
+    setCurrency: (state, action) => {
+      state.currency = action.payload
+      localStorage.setItem("currency", action.payload)
+    },
+    setCurrencies: (state, action) => {
+      state.baseCurrency = action.payload.baseCurrency
+      state.currencies = action.payload.currencies
+    },
+  },
+})
+
+export const { setCurrency, setCurrencies } = currencySlice.actions
+
+export default currencySlice.reducer
@@ -6,7 +6,12 @@ const initialState = {
   completedLectures: [],
   completedQuizzes: [],
   passedQuizzes: [],
+  completedExercises: [],
   totalNoOfLectures: 0,
+  // Whole seconds into the lecture video playing now
+  videoTime: 0,
+  // A time to jump to in a lecture's video, as { subSectionId, time }
+  seekRequest: null,
 }
 
 const viewCourseSlice = createSlice({
@@ -40,6 +45,21 @@ const viewCourseSlice = createSlice({
     updatePassedQuizzes: (state, action) => {
       state.passedQuizzes = [...state.passedQuizzes, action.payload]
     },
+    setCompletedExercises: (state, action) => {
+      state.completedExercises = action.payload
+    },
+    updateCompletedExercises: (state, action) => {
+      state.completedExercises = [...state.completedExercises, action.payload]
+    },
+    setVideoTime: (state, action) => {
+      state.videoTime = action.payload
+    },
+    requestVideoSeek: (state, action) => {
+      state.seekRequest = action.payload
+    },
+    clearSeekRequest: (state) => {
+      state.seekRequest = null
+    },
   },
 })
 
@@ -53,6 +73,11 @@ export const {
   updateCompletedQuizzes,
   setPassedQuizzes,
   updatePassedQuizzes,
+  setCompletedExercises,
+  updateCompletedExercises,
+  setVideoTime,
+  requestVideoSeek,
+  clearSeekRequest,
 } = viewCourseSlice.actions
 
 export default viewCourseSlice.reducer
\ No newline at end of file
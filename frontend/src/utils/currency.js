@@ -0,0 +1,39 @@
+// Converting and formatting prices, matching utils/currencyUtils on the server so
+// the totals shown at checkout are the ones charged
+
+// Decimal places of the currency's minor unit: 2 for INR and USD, 0 for JPY
+export const getCurrencyDigits = (code) => {
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency: code })
+      .resolvedOptions().maximumFractionDigits
+  } catch (error) {
+    return 2
+  }
+}
+
+export const roundAmount = (amount, code) => {
+  const factor = 10 ** getCurrencyDigits(code)
+  return Math.round((Number(amount) || 0) * factor) / factor
+}
+
+// Price in the base currency -> price in the given currency
+export const convertFromBase = (amount, currency) => {
+  if (!currency || !currency.exchangeRate) {
+    return Number(amount) || 0
+  }
+  return roundAmount((Number(amount) || 0) / currency.exchangeRate, currency.code)
+}
+
+// e.g. ₹499, ₹499.50 or $5.99. Whole amounts are shown without decimals.
+export const formatPrice = (amount, code = "INR") => {
+  const value = Number(amount) || 0
+  try {
+    return new Intl.NumberFormat(code === "INR" ? "en-IN" : "en", {
+      style: "currency",
+      currency: code,
+      minimumFractionDigits: Number.isInteger(value) ? 0 : getCurrencyDigits(code),
+    }).format(value)
+  } catch (error) {
+    return `${code} ${value}`
+  }
+}
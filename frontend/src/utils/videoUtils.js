@@ -59,87 +59,52 @@ export const extractVideoIdFromManifest = (manifestUrl) => {
 };
 
 /**
- * Get the appropriate video URL for playback
- * @param {string} videoUrl - The original video URL
- * @param {string} token - Authentication token
- * @param {string} subSectionId - The subsection ID (for direct S3 videos)
+ * Get the URL to play a lecture from
+ * @param {object} source - Where to stream the lecture from, as given with its playback token
  * @returns {string} - The URL to use for video playback
  */
-export const getPlaybackUrl = (videoUrl, token, subSectionId = null) => {
-  if (!videoUrl) return '';
-  
-  const baseUrl = getBaseUrl();
-  
-  // If it's a chunked video, use our chunked streaming endpoint
-  if (isChunkedVideo(videoUrl)) {
-    const videoId = extractVideoIdFromManifest(videoUrl);
-    if (videoId) {
-      // Use our streaming endpoint with authentication
-      return `${baseUrl}/api/v1/video/stream/${videoId}?token=${token}`;
-    }
-  }
-  
-  // For direct S3 videos, use our direct streaming endpoint
-  if (videoUrl.includes('amazonaws.com') || videoUrl.includes('cloudfront.net')) {
-    if (subSectionId) {
-      return `${baseUrl}/api/v1/video/direct/${subSectionId}?token=${token}`;
-    } else {
-      console.warn('SubSection ID required for direct S3 video streaming');
-      // Fallback to original URL (may not work due to CORS)
-      return videoUrl;
-    }
-  }
+export const getPlaybackUrl = (source) => {
+  if (!source) return '';
   
-  // For other video URLs (external links, etc.), return as-is
-  return videoUrl;
+  // External links are played as they are; files of this site through our API
+  return source.type === 'external' ? source.url : `${getBaseUrl()}${source.url}`;
 };
 
 /**
  * Check if a video is available for playback
- * @param {string} videoUrl - The video URL to check
- * @param {string} token - Authentication token
+ * @param {object} source - Where to stream the lecture from, as given with its playback token
+ * @param {string} token - Playback token for the lecture
  * @param {string} subSectionId - The subsection ID (for direct S3 videos)
  * @returns {Promise<boolean>} - True if video is available
  */
-export const checkVideoAvailability = async (videoUrl, token, subSectionId = null) => {
-  if (!videoUrl) return false;
+export const checkVideoAvailability = async (source, token, subSectionId = null) => {
+  if (!source) return false;
   
   try {
     const baseUrl = getBaseUrl();
     
-    if (isChunkedVideo(videoUrl)) {
-      const videoId = extractVideoIdFromManifest(videoUrl);
-      if (!videoId) return false;
-      
+    if (source.type === 'chunked') {
       // Check if chunked video is complete
-      const response = await fetch(`${baseUrl}/api/v1/video/info/${videoId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await fetch(`${baseUrl}/api/v1/video/info/${source.videoId}?token=${token}`);
       
       if (response.ok) {
         const data = await response.json();
         return data.success && data.data.isComplete;
       }
-    } else if (videoUrl.includes('amazonaws.com') || videoUrl.includes('cloudfront.net')) {
+    } else if (source.type === 'direct') {
       // For direct S3 videos, check via our API
       if (subSectionId) {
-        const response = await fetch(`${baseUrl}/api/v1/video/direct-info/${subSectionId}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
+        const response = await fetch(`${baseUrl}/api/v1/video/direct-info/${subSectionId}?token=${token}`);
         
         if (response.ok) {
           const data = await response.json();
-          return data.success && data.data.videoUrl;
+          return data.success && Boolean(data.data.streamUrl);
         }
       }
     } else {
       // For external videos, try to fetch the URL
       try {
-        const response = await fetch(videoUrl, { method: 'HEAD' });
+        const response = await fetch(source.url, { method: 'HEAD' });
         return response.ok;
       } catch (corsError) {
         // If CORS blocks the request, assume it's available
@@ -157,7 +122,7 @@ export const checkVideoAvailability = async (videoUrl, token, subSectionId = nul
 /**
  * Get video metadata for chunked videos
  * @param {string} videoUrl - The video URL
- * @param {string} token - Authentication token
+ * @param {string} token - Playback token for the lecture
  * @returns {Promise<object|null>} - Video metadata or null
  */
 export const getVideoMetadata = async (videoUrl, token) => {
@@ -168,11 +133,7 @@ export const getVideoMetadata = async (videoUrl, token) => {
     if (!videoId) return null;
     
     const baseUrl = getBaseUrl();
-    const response = await fetch(`${baseUrl}/api/v1/video/info/${videoId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+    const response = await fetch(`${baseUrl}/api/v1/video/info/${videoId}?token=${token}`);
     
     if (response.ok) {
       const data = await response.json();
@@ -184,3 +145,121 @@ export const getVideoMetadata = async (videoUrl, token) => {
   
   return null;
 };
+
+/**
+ * Get the HLS transcoding status of a lecture video
+ * @param {string} subSectionId - The subsection ID
+ * @param {string} token - Playback token for the lecture
+ * @returns {Promise<object|null>} - Status, renditions and thumbnail URLs, or null
+ */
+export const getHlsStatus = async (subSectionId, token) => {
+  if (!subSectionId) return null;
+  
+  try {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/v1/video/hls/${subSectionId}/status?token=${token}`);
+    
+    if (response.ok) {
+      const data = await response.json();
+      return data.success ? data.data : null;
+    }
+  } catch (error) {
+    console.error('Error getting HLS status:', error);
+  }
+  
+  return null;
+};
+
+/**
+ * Get the HLS master playlist URL of a lecture video
+ * @param {string} subSectionId - The subsection ID
+ * @param {string} token - Playback token for the lecture
+ * @returns {string} - The playlist URL, with the token for the player's requests
+ */
+export const getHlsPlaybackUrl = (subSectionId, token) => {
+  return `${getBaseUrl()}/api/v1/video/hls/${subSectionId}/master.m3u8?token=${token}`;
+};
+
+/**
+ * Get the WebVTT file URL of a lecture's caption track
+ * @param {string} subSectionId - The subsection ID
+ * @param {string} trackId - The caption track ID
+ * @param {string} token - Playback token for the lecture
+ * @returns {string} - The caption file URL
+ */
+export const getCaptionTrackUrl = (subSectionId, trackId, token) => {
+  return `${getBaseUrl()}/api/v1/video/captions/${subSectionId}/${trackId}?token=${token}`;
+};
+
+/**
+ * Get the id this browser tab plays videos under, made up on first use
+ * @returns {string} - The player id, counted as one stream by the server
+ */
+export const getPlaybackClientId = () => {
+  let clientId = sessionStorage.getItem('playbackClientId');
+  if (!clientId) {
+    clientId = crypto.randomUUID();
+    sessionStorage.setItem('playbackClientId', clientId);
+  }
+  return clientId;
+};
+
+/**
+ * Get a short-lived playback token for a lecture
+ * @param {string} subSectionId - The subsection ID
+ * @param {string} token - Authentication token
+ * @returns {Promise<object>} - { data } with the token and watermark, or { message } when refused
+ */
+export const requestPlaybackToken = async (subSectionId, token) => {
+  try {
+    const response = await fetch(`${getBaseUrl()}/api/v1/video/playback-token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ subSectionId, clientId: getPlaybackClientId() })
+    });
+    const data = await response.json();
+    return response.ok && data.success
+      ? { data: data.data }
+      : { message: data.message || 'This video cannot be played right now' };
+  } catch (error) {
+    console.error('Error getting playback token:', error);
+    return { message: 'This video cannot be played right now' };
+  }
+};
+
+/**
+ * Tell the server this tab is still playing
+ * @param {string} token - Authentication token
+ */
+export const sendPlaybackHeartbeat = async (token) => {
+  try {
+    await fetch(`${getBaseUrl()}/api/v1/video/playback-session/heartbeat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ clientId: getPlaybackClientId() })
+    });
+  } catch (error) {
+    console.error('Error sending playback heartbeat:', error);
+  }
+};
+
+/**
+ * Free this tab's stream so another device can play
+ * @param {string} token - Authentication token
+ */
+export const endPlaybackSession = (token) => {
+  fetch(`${getBaseUrl()}/api/v1/video/playback-session/${getPlaybackClientId()}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    },
+    // Lets the request finish when the tab is closing
+    keepalive: true
+  }).catch(error => console.error('Error ending playback session:', error));
+};